@@ -0,0 +1,89 @@
+// ADQL Query Builder
+// Builds TAP queries (NASA Exoplanet Archive) from structured parts. User text only ever enters a
+// query as an escaped string literal, and table/column names must be plain identifiers.
+
+// Longest search text accepted into a query
+const ADQL_MAX_TEXT_LENGTH = 100;
+
+// Table and column names: letters, digits and underscores only
+function adqlIdentifier(name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid ADQL identifier: ${name}`);
+    }
+    return name;
+}
+
+// String literal: control characters dropped, single quotes doubled
+function adqlString(value) {
+    const text = String(value)
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .slice(0, ADQL_MAX_TEXT_LENGTH);
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+// Case-insensitive substring match. '%' in the text is dropped rather than left as a wildcard.
+function adqlContains(column, text) {
+    const needle = String(text).replace(/%/g, '').toUpperCase();
+    return `upper(${adqlIdentifier(column)}) LIKE ${adqlString(`%${needle}%`)}`;
+}
+
+function adqlIn(column, values) {
+    if (values.length === 0) {
+        throw new Error('adqlIn needs at least one value');
+    }
+    return `${adqlIdentifier(column)} IN (${values.map(adqlString).join(', ')})`;
+}
+
+function adqlOr(...conditions) {
+    return `(${conditions.join(' OR ')})`;
+}
+
+class AdqlQuery {
+    constructor(table) {
+        this.table = adqlIdentifier(table);
+        this.columns = [];
+        this.conditions = [];
+        this.ordering = [];
+        this.rowLimit = null;
+        this.distinct = false;
+    }
+
+    select(...columns) {
+        this.columns.push(...columns.map(adqlIdentifier));
+        return this;
+    }
+
+    selectDistinct(...columns) {
+        this.distinct = true;
+        return this.select(...columns);
+    }
+
+    // Conditions built with adqlContains / adqlIn / adqlOr; several are combined with AND
+    where(condition) {
+        this.conditions.push(condition);
+        return this;
+    }
+
+    orderBy(column, direction = 'ASC') {
+        const dir = direction.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        this.ordering.push(`${adqlIdentifier(column)} ${dir}`);
+        return this;
+    }
+
+    // TOP n (ADQL's row limit)
+    limit(count) {
+        this.rowLimit = Math.max(1, Math.floor(count));
+        return this;
+    }
+
+    toString() {
+        const parts = ['SELECT'];
+        if (this.distinct) parts.push('DISTINCT');
+        if (this.rowLimit !== null) parts.push(`TOP ${this.rowLimit}`);
+        parts.push(this.columns.length > 0 ? this.columns.join(', ') : '*');
+        parts.push(`FROM ${this.table}`);
+        if (this.conditions.length > 0) parts.push(`WHERE ${this.conditions.join(' AND ')}`);
+        if (this.ordering.length > 0) parts.push(`ORDER BY ${this.ordering.join(', ')}`);
+        return parts.join(' ');
+    }
+}
@@ -12,28 +12,34 @@ const API_ENDPOINTS = {
     // NASA Exoplanet Archive - for exoplanets (TAP service)
     EXOPLANET: 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync?query=',
     
-    // AstronomyAPI - free API for stars and deep-sky objects (better CORS support)
-    ASTRONOMY_API: 'https://api.astronomyapi.com/api/v2/search',
+    // CDS Sesame name resolver (SIMBAD, then NED and VizieR) - for stars and deep-sky objects.
+    // -oxpI asks for XML with positions, properties and all identifiers.
+    SESAME: 'https://cds.unistra.fr/cgi-bin/nph-sesame/-oxpI/SNV?',
 };
 
-// NASA API key (demo key - replace with your own for production)
-const NASA_API_KEY = 'DEMO_KEY';
+// NASA API key: the shared demo key unless the user saves their own in Settings
+const DEFAULT_NASA_API_KEY = 'DEMO_KEY';
+const NASA_API_KEY_STORAGE_KEY = 'spaceMap.nasaApiKey';
+
+function getNasaApiKey() {
+    return localStorage.getItem(NASA_API_KEY_STORAGE_KEY) || DEFAULT_NASA_API_KEY;
+}
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
+    configureProviders();
+    setupOfflineControls();
+    setupSettingsPanel();
+
     const searchInput = document.getElementById('searchInput');
     const searchBtn = document.getElementById('searchBtn');
     const exampleBtns = document.querySelectorAll('.example-btn');
 
     // Search on button click
-    searchBtn.addEventListener('click', performSearch);
+    searchBtn.addEventListener('click', () => performSearch());
 
-    // Search on Enter key
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            performSearch();
-        }
-    });
+    // Suggestions while typing; Enter searches
+    setupAutocomplete(searchInput);
 
     // Example button clicks
     exampleBtns.forEach(btn => {
@@ -43,454 +49,915 @@ document.addEventListener('DOMContentLoaded', () => {
             performSearch();
         });
     });
+
+    // Identify objects clicked on the star map
+    const starMapCanvas = document.getElementById('starMapCanvas');
+    if (starMapCanvas) {
+        starMapCanvas.addEventListener('objectselected', (e) => showSelectedObject(e.detail));
+    }
 });
 
-async function performSearch() {
+// Catalog stars get a detail card straight from the bundled catalog; planets and
+// plotted search results are looked up again through the normal search
+function showSelectedObject(object) {
+    if (object.kind === 'star' || object.kind === 'deepsky') {
+        hideError();
+        clearResults();
+        lastSearchQuery = object.name;
+        scheduleUrlStateUpdate();
+        displayResults([object.kind === 'star' ? createStarResult(object.data) : createDeepSkyResult(object.data)]);
+        return;
+    }
+
+    document.getElementById('searchInput').value = object.name;
+    performSearch();
+}
+
+// Query of the search on screen, for deep links (see urlState.js)
+let lastSearchQuery = '';
+
+// Search for the text in the search box. options.keepView leaves the map view and plotted objects
+// alone instead of framing the results (used when restoring a link).
+async function performSearch({ keepView = false } = {}) {
     const query = document.getElementById('searchInput').value.trim();
     
     if (!query) {
         showError('Please enter a space object name to search.');
         return;
     }
+    lastSearchQuery = query;
+
+    // Typed coordinates re-center the map and list the catalog objects around them instead
+    let position;
+    try {
+        position = parseSkyCoordinates(query);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    if (position) {
+        hideError();
+        clearResults();
+        showConeSearch(position, getConeSearchRadius(), { keepView });
+        return;
+    }
 
     hideError();
     showLoading();
     clearResults();
 
+    // The search and the view it flies to become one history entry
+    holdUrlStateUpdates();
     try {
-        // Try multiple APIs in parallel
-        const results = await Promise.allSettled([
-            searchSBDB(query),           // Asteroids & Comets
-            searchNeoWs(query),          // Near-Earth Objects
-            searchExoplanet(query),      // Exoplanets
-            searchAstronomyAPI(query),   // Stars, Galaxies, Deep-Sky
-        ]);
-
-        const successfulResults = results
-            .filter(r => r.status === 'fulfilled' && r.value)
-            .map(r => r.value)
-            .flat();
+        // Query every enabled data source provider in parallel, then join results from
+        // different sources that describe the same object
+        const successfulResults = mergeCelestialObjects(await providerRegistry.searchAll(query), query);
 
         hideLoading();
+        renderSourceStatus();
+        updateQuotaDisplay();
 
         if (successfulResults.length === 0) {
-            // Try fallback as last resort
-            const fallbackResult = createFallbackResult(query);
-            if (fallbackResult) {
-                displayResults([fallbackResult]);
-                plotObjectsOnStarMap([fallbackResult], query);
+            // The bundled catalogs answer even when their provider is turned off
+            const localResult = findLocalObject(query);
+            if (localResult) {
+                displayResults([localResult]);
+                plotObjectsOnStarMap([localResult], query, { keepView });
             } else {
                 showNoResults(query);
             }
         } else {
             displayResults(successfulResults);
             // Try to plot objects on the star map
-            plotObjectsOnStarMap(successfulResults, query);
+            plotObjectsOnStarMap(successfulResults, query, { keepView });
         }
     } catch (error) {
         hideLoading();
         showError(`An error occurred: ${error.message}`);
+    } finally {
+        releaseUrlStateUpdates();
     }
 }
 
 // Search Small-Body Database (asteroids, comets)
-async function searchSBDB(query) {
-    try {
-        const response = await fetch(`${API_ENDPOINTS.SBDB}?name=${encodeURIComponent(query)}`);
+const sbdbProvider = createProvider({
+    id: 'sbdb',
+    name: 'NASA SBDB',
+    capabilities: ['asteroids', 'comets', 'orbits'],
+    // Elements change slowly; sky positions are recomputed from them on every read
+    cacheTtl: 7 * 24 * 60 * 60 * 1000,
+    timeDependent: true,
+
+    async search(query) {
+        const response = await fetchWithBackoff(`${API_ENDPOINTS.SBDB}?name=${encodeURIComponent(query)}`, { provider: this });
         if (!response.ok) {
-            console.log(`SBDB API returned ${response.status} for query: ${query}`);
-            return null;
+            throw errorFromResponse(response, 'SBDB API');
         }
         
+        // Lookups that match nothing (or several objects) come back without an object
         const data = await response.json();
-        if (!data || data.code !== '200' || !data.object) {
-            console.log(`SBDB API: No object found for ${query}`);
-            return null;
-        }
+        return data && data.object ? data : null;
+    },
 
+    normalize(data, query) {
         const obj = data.object;
-        // Try to extract coordinates from orbit data
+        const orbit = data.orbit || obj.orbit || null;
+        
+        // Propagate the orbital elements to a sky position and a ±30 day track
         let coordinates = null;
-        if (obj.orbit && obj.orbit.epoch) {
-            // For small bodies, we can't easily get current RA/Dec without ephemeris calculations
-            // But we can include orbital elements if needed
+        let track = null;
+        let position = null;
+        const elements = parseSbdbElements(orbit);
+        if (elements) {
+            const date = getEphemerisDate();
+            position = propagateToSky(elements, date);
+            coordinates = { ra: position.ra, dec: position.dec, date };
+            track = computeOrbitTrack(elements, date);
         }
         
-        return {
+        return createCelestialObject('NASA SBDB', {
             name: obj.name || query,
             type: obj.object_class || 'Small Body',
-            objectClass: obj.object_class,
-            source: 'NASA SBDB',
+            identifiers: [obj.fullname, obj.designation],
+            coordinates,
+            magnitudes: { H: parseNumber(obj.h_mag) },
+            physical: {
+                diameterKm: parseNumber(obj.diameter),
+                rotationPeriodH: parseNumber(obj.rot_per),
+                distanceAu: position ? position.distance : null,
+                sunDistanceAu: position ? position.sunDistance : null,
+            },
             details: {
-                'Designation': obj.designation || 'N/A',
-                'Class': obj.object_class || 'N/A',
-                'Absolute Magnitude (H)': obj.h_mag || 'N/A',
-                'Diameter': obj.diameter ? `${obj.diameter.toFixed(2)} km` : 'N/A',
-                'Rotation Period': obj.rot_per ? `${obj.rot_per} hours` : 'N/A',
-                'Discovery Date': obj.discovery_date || 'N/A',
-                'Orbit Class': obj.orbit_class || 'N/A',
+                'Orbit Class': obj.orbit_class,
+                'Discovery Date': obj.discovery_date,
             },
-            orbitalData: obj.orbit || null,
-            coordinates: coordinates,
-        };
-    } catch (error) {
-        console.log(`SBDB API error for ${query}:`, error.message);
-        return null;
-    }
-}
+            orbitalData: orbit,
+            orbitalElements: elements,
+            orbitId: elements ? obj.designation : null,
+            track,
+        });
+    },
+});
 
 // Search NeoWs (Near-Earth Objects)
-async function searchNeoWs(query) {
-    try {
-        // Try lookup by ID first
-        let response = await fetch(`${API_ENDPOINTS.NEO_LOOKUP}/${encodeURIComponent(query)}?api_key=${NASA_API_KEY}`);
+const neowsProvider = createProvider({
+    id: 'neows',
+    name: 'NASA NeoWs',
+    capabilities: ['neos'],
+
+    async search(query) {
+        const apiKey = encodeURIComponent(getNasaApiKey());
+        
+        // Try lookup by ID first; only "no such id" falls through to the feed, other failures are errors
+        const lookup = await fetchWithBackoff(`${API_ENDPOINTS.NEO_LOOKUP}/${encodeURIComponent(query)}?api_key=${apiKey}`, { provider: this });
+        if (lookup.ok) {
+            return lookup.json();
+        }
+        if (lookup.status !== 400 && lookup.status !== 404) {
+            throw errorFromResponse(lookup, 'NeoWs API');
+        }
         
+        // Otherwise search today's feed by name or id
+        const today = new Date().toISOString().split('T')[0];
+        const response = await fetchWithBackoff(`${API_ENDPOINTS.NEO_FEED}?start_date=${today}&end_date=${today}&api_key=${apiKey}`, { provider: this });
         if (!response.ok) {
-            // Try feed search
-            const today = new Date().toISOString().split('T')[0];
-            response = await fetch(`${API_ENDPOINTS.NEO_FEED}?start_date=${today}&end_date=${today}&api_key=${NASA_API_KEY}`);
-            if (!response.ok) {
-                console.log(`NeoWs API returned ${response.status} for query: ${query}`);
-                return null;
-            }
-            
-            const data = await response.json();
-            if (!data.near_earth_objects) return null;
-            
-            // Search in feed results
-            for (const date in data.near_earth_objects) {
-                const neos = data.near_earth_objects[date];
-                const found = neos.find(neo => 
-                    neo.name.toLowerCase().includes(query.toLowerCase()) ||
-                    neo.id.toString() === query
-                );
-                if (found) {
-                    return formatNeoResult(found);
-                }
-            }
-            return null;
+            throw errorFromResponse(response, 'NeoWs API');
         }
-
+        
         const data = await response.json();
-        return formatNeoResult(data);
-    } catch (error) {
-        console.log(`NeoWs API error for ${query}:`, error.message);
+        if (!data.near_earth_objects) return null;
+        
+        for (const date in data.near_earth_objects) {
+            const neos = data.near_earth_objects[date];
+            const found = neos.find(neo => 
+                neo.name.toLowerCase().includes(query.toLowerCase()) ||
+                neo.id.toString() === query
+            );
+            if (found) {
+                return found;
+            }
+        }
         return null;
-    }
-}
+    },
+
+    normalize: formatNeoResult,
+});
 
 function formatNeoResult(neo) {
     const closeApproaches = neo.close_approach_data || [];
     const latestApproach = closeApproaches[0];
+    const diameter = neo.estimated_diameter?.meters;
+    const velocity = parseNumber(latestApproach?.relative_velocity?.kilometers_per_second);
+    const missDistance = parseNumber(latestApproach?.miss_distance?.kilometers);
     
-    return {
+    return createCelestialObject('NASA NeoWs', {
         name: neo.name,
         type: 'Near-Earth Object',
-        objectClass: neo.neo_reference_id,
-        source: 'NASA NeoWs',
+        identifiers: [neo.neo_reference_id],
+        magnitudes: { H: parseNumber(neo.absolute_magnitude_h) },
+        physical: {
+            diameterRangeM: diameter && diameter.estimated_diameter_min && diameter.estimated_diameter_max
+                ? [diameter.estimated_diameter_min, diameter.estimated_diameter_max] : null,
+        },
         details: {
-            'NEO ID': neo.neo_reference_id || 'N/A',
+            'NEO ID': neo.neo_reference_id,
             'Potentially Hazardous': neo.is_potentially_hazardous_asteroid ? 'Yes' : 'No',
-            'Absolute Magnitude (H)': neo.absolute_magnitude_h || 'N/A',
-            'Estimated Diameter (min)': neo.estimated_diameter?.meters?.estimated_diameter_min 
-                ? `${neo.estimated_diameter.meters.estimated_diameter_min.toFixed(2)} m` : 'N/A',
-            'Estimated Diameter (max)': neo.estimated_diameter?.meters?.estimated_diameter_max 
-                ? `${neo.estimated_diameter.meters.estimated_diameter_max.toFixed(2)} m` : 'N/A',
-            'Close Approach Date': latestApproach?.close_approach_date || 'N/A',
-            'Relative Velocity': latestApproach?.relative_velocity?.kilometers_per_second 
-                ? `${parseFloat(latestApproach.relative_velocity.kilometers_per_second).toFixed(2)} km/s` : 'N/A',
+            'Close Approach Date': latestApproach?.close_approach_date,
+            'Relative Velocity': velocity !== null ? `${velocity.toFixed(2)} km/s` : null,
+            'Miss Distance': missDistance !== null ? formatMissDistance(missDistance) : null,
         },
-    };
+    });
+}
+
+// Close-approach distance in lunar distances and kilometres
+function formatMissDistance(km) {
+    return `${(km / LUNAR_DISTANCE_KM).toFixed(2)} LD (${Math.round(km).toLocaleString()} km)`;
+}
+
+// Exoplanet Archive table of one row per planet with the archive's preferred parameters,
+// and the columns read from it
+const EXOPLANET_TABLE = 'pscomppars';
+const EXOPLANET_COLUMNS = ['pl_name', 'hostname', 'sy_pnum', 'disc_year', 'pl_orbper', 'pl_bmassj',
+    'pl_radj', 'pl_eqt', 'sy_dist', 'ra', 'dec'];
+
+// Most host systems returned for one search
+const MAX_EXOPLANET_SYSTEMS = 5;
+
+// Sortable planet table columns: row key, header, and value formatting
+const PLANET_TABLE_COLUMNS = [
+    { key: 'name', label: 'Planet' },
+    { key: 'period', label: 'Period (days)', format: value => value.toFixed(2) },
+    { key: 'mass', label: 'Mass (Jupiter)', format: value => value.toFixed(4) },
+    { key: 'radius', label: 'Radius (Jupiter)', format: value => value.toFixed(3) },
+    { key: 'eqt', label: 'Eq. Temp (K)', format: value => value.toFixed(0) },
+];
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
 }
 
 // Search Exoplanet Archive
-async function searchExoplanet(query) {
-    try {
-        // SQL query to search exoplanets by name
-        const sql = `SELECT pl_name, hostname, disc_year, pl_orbper, pl_bmassj, pl_radj, st_dist 
-                     FROM ps WHERE pl_name LIKE '%${query}%' OR hostname LIKE '%${query}%' 
-                     LIMIT 5`;
-        
-        const url = `${API_ENDPOINTS.EXOPLANET}${encodeURIComponent(sql)}&format=json`;
-        const response = await fetch(url);
-        if (!response.ok) return null;
-        
+const exoplanetProvider = createProvider({
+    id: 'exoplanet',
+    name: 'NASA Exoplanet Archive',
+    capabilities: ['exoplanets'],
+    cacheTtl: 7 * 24 * 60 * 60 * 1000,
+
+    // Run one ADQL query and return its rows
+    async runQuery(query) {
+        const url = `${API_ENDPOINTS.EXOPLANET}${encodeURIComponent(query.toString())}&format=json`;
+        const response = await fetchWithBackoff(url, { provider: this });
+        if (!response.ok) {
+            throw errorFromResponse(response, 'Exoplanet Archive');
+        }
+
         const data = await response.json();
         // Handle different response formats
-        const results = Array.isArray(data) ? data : (data.data || []);
-        if (results.length === 0) return null;
-
-        // Return first result
-        const planet = results[0];
-        return {
-            name: planet.pl_name || query,
-            type: 'Exoplanet',
-            source: 'NASA Exoplanet Archive',
-            details: {
-                'Host Star': planet.hostname || 'N/A',
-                'Discovery Year': planet.disc_year || 'N/A',
-                'Orbital Period': planet.pl_orbper ? `${parseFloat(planet.pl_orbper).toFixed(2)} days` : 'N/A',
-                'Mass': planet.pl_bmassj ? `${parseFloat(planet.pl_bmassj).toFixed(4)} Jupiter masses` : 'N/A',
-                'Radius': planet.pl_radj ? `${parseFloat(planet.pl_radj).toFixed(4)} Jupiter radii` : 'N/A',
-                'Distance from Earth': planet.st_dist ? `${parseFloat(planet.st_dist).toFixed(2)} parsecs` : 'N/A',
+        return Array.isArray(data) ? data : (data.data || []);
+    },
+
+    // Hosts whose name, or the name of one of their planets, contains the query; then every
+    // planet of those hosts, so whole systems come back rather than just the matching planet
+    async search(query) {
+        const hostQuery = new AdqlQuery(EXOPLANET_TABLE)
+            .selectDistinct('hostname')
+            .where(adqlOr(adqlContains('pl_name', query), adqlContains('hostname', query)))
+            .orderBy('hostname')
+            .limit(MAX_EXOPLANET_SYSTEMS);
+        const hosts = (await this.runQuery(hostQuery)).map(row => row.hostname).filter(Boolean);
+        if (hosts.length === 0) return null;
+
+        const planetQuery = new AdqlQuery(EXOPLANET_TABLE)
+            .select(...EXOPLANET_COLUMNS)
+            .where(adqlIn('hostname', hosts))
+            .orderBy('hostname')
+            .orderBy('pl_orbper');
+        const rows = await this.runQuery(planetQuery);
+        return rows.length > 0 ? rows : null;
+    },
+
+    // One result per host star, with its planets in result.planets
+    normalize(rows) {
+        const systems = new Map();
+        rows.forEach(row => {
+            if (!systems.has(row.hostname)) {
+                systems.set(row.hostname, []);
+            }
+            systems.get(row.hostname).push(row);
+        });
+
+        return [...systems.entries()].map(([hostname, planets]) => {
+            const host = planets[0];
+            const discovered = planets.map(planet => parseNumber(planet.disc_year)).filter(year => year !== null);
+            const ra = parseNumber(host.ra);
+            const dec = parseNumber(host.dec);
+            return createCelestialObject('NASA Exoplanet Archive', {
+                name: hostname,
+                type: 'Exoplanet System',
+                // Plotted at the host star (the archive gives RA in degrees)
+                coordinates: ra === null || dec === null ? null : { ra: ra / 15, dec },
+                physical: {
+                    planetCount: parseNumber(host.sy_pnum) || planets.length,
+                    distancePc: parseNumber(host.sy_dist),
+                },
+                details: {
+                    'First Discovery': discovered.length > 0 ? Math.min(...discovered) : null,
+                },
+                planets: planets.map(planet => ({
+                    name: planet.pl_name,
+                    period: parseNumber(planet.pl_orbper),
+                    mass: parseNumber(planet.pl_bmassj),
+                    radius: parseNumber(planet.pl_radj),
+                    eqt: parseNumber(planet.pl_eqt),
+                })),
+            });
+        });
+    },
+});
+
+// SIMBAD spellings of the Greek letters used in Bayer designations ("α Cen" is "alf Cen")
+const GREEK_LETTER_ABBREVIATIONS = {
+    'α': 'alf', 'β': 'bet', 'γ': 'gam', 'δ': 'del', 'ε': 'eps', 'ζ': 'zet', 'η': 'eta', 'θ': 'tet',
+    'ι': 'iot', 'κ': 'kap', 'λ': 'lam', 'μ': 'mu.', 'ν': 'nu.', 'ξ': 'ksi', 'ο': 'omi', 'π': 'pi.',
+    'ρ': 'rho', 'σ': 'sig', 'τ': 'tau', 'υ': 'ups', 'φ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'ome',
+};
+
+// SIMBAD object type codes as shown on result cards; codes not listed fall back to the code itself
+// (or "Star" for the many stellar types ending in '*')
+const SIMBAD_OBJECT_TYPES = {
+    '*': 'Star',
+    '**': 'Double Star',
+    'SB*': 'Spectroscopic Binary Star',
+    'EB*': 'Eclipsing Binary Star',
+    'V*': 'Variable Star',
+    'BY*': 'Variable Star (BY Dra type)',
+    'PM*': 'High Proper Motion Star',
+    'WD*': 'White Dwarf Star',
+    'C*': 'Carbon Star',
+    'G': 'Galaxy',
+    'GiG': 'Galaxy in Group',
+    'GiC': 'Galaxy in Cluster',
+    'AGN': 'Galaxy with Active Nucleus',
+    'LIN': 'LINER Galaxy',
+    'SyG': 'Seyfert Galaxy',
+    'QSO': 'Quasar',
+    'GrG': 'Group of Galaxies',
+    'ClG': 'Cluster of Galaxies',
+    'OpC': 'Open Cluster',
+    'GlC': 'Globular Cluster',
+    'Cl*': 'Star Cluster',
+    'As*': 'Stellar Association',
+    'HII': 'HII Region (Emission Nebula)',
+    'RNe': 'Reflection Nebula',
+    'PN': 'Planetary Nebula',
+    'SNR': 'Supernova Remnant',
+    'MoC': 'Molecular Cloud',
+    'DNe': 'Dark Nebula',
+};
+
+// Query text in the form Sesame understands (Greek letters spelled out)
+function toSesameName(query) {
+    return query
+        .replace(/([α-ω])(\d*)\s*/g, (match, letter, index) =>
+            GREEK_LETTER_ABBREVIATIONS[letter] ? `${GREEK_LETTER_ABBREVIATIONS[letter]}${index} ` : match)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// SIMBAD identifier for display: catalog padding collapsed, "NAME " and "* " prefixes dropped,
+// and a leading Greek letter abbreviation turned back into the letter ("* alf Cen" -> "α Cen")
+function formatSimbadIdentifier(identifier) {
+    const name = identifier.replace(/\s+/g, ' ').replace(/^(NAME|\*|\*\*|V\*) /, '').trim();
+    const greek = Object.entries(GREEK_LETTER_ABBREVIATIONS).find(([, abbreviation]) =>
+        new RegExp(`^${abbreviation.replace('.', '\\.')}(?=\\d| )`).test(name));
+    return greek ? greek[0] + name.slice(greek[1].length).replace(/^0/, '') : name;
+}
+
+function describeSimbadType(code) {
+    if (!code) return 'Astronomical Object';
+    if (SIMBAD_OBJECT_TYPES[code]) return SIMBAD_OBJECT_TYPES[code];
+    return code.endsWith('*') ? 'Star' : code;
+}
+
+// First resolver in a Sesame XML response that found a position, as
+// { resolver, mainId, otype, ra, dec (degrees), vmag, spectralType, morphology, parallax (mas),
+//   redshift, aliases }, or null when no resolver knew the name
+function parseSesameXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    const resolver = [...doc.getElementsByTagName('Resolver')]
+        .find(element => element.getElementsByTagName('jradeg').length > 0);
+    if (!resolver) return null;
+
+    const field = (tag, parent = resolver) => {
+        const element = parent.getElementsByTagName(tag)[0];
+        return element ? element.textContent.trim() : null;
+    };
+    const vmag = [...resolver.getElementsByTagName('mag')].find(element => element.getAttribute('band') === 'V');
+    const parallax = resolver.getElementsByTagName('plx')[0];
+
+    return {
+        resolver: resolver.getAttribute('name'),
+        mainId: field('oname'),
+        otype: field('otype'),
+        ra: parseNumber(field('jradeg')),
+        dec: parseNumber(field('jdedeg')),
+        vmag: vmag ? parseNumber(field('v', vmag)) : null,
+        spectralType: field('spType'),
+        morphology: field('MType'),
+        parallax: parallax ? parseNumber(field('v', parallax)) : null,
+        redshift: parseNumber(field('z')),
+        aliases: [...resolver.getElementsByTagName('alias')].map(element => element.textContent.trim()),
+    };
+}
+
+// Resolve star and deep-sky names and catalog identifiers ("HD 209458", "NGC 7000", "M31", "α Cen")
+// through CDS Sesame
+const simbadProvider = createProvider({
+    id: 'simbad',
+    name: 'SIMBAD (CDS Sesame)',
+    capabilities: ['stars', 'deep-sky'],
+    cacheTtl: 30 * 24 * 60 * 60 * 1000,
+
+    async search(query) {
+        const url = `${API_ENDPOINTS.SESAME}${encodeURIComponent(toSesameName(query))}`;
+        const response = await fetchWithBackoff(url, { provider: this });
+        if (!response.ok) {
+            throw errorFromResponse(response, 'Sesame');
+        }
+        return parseSesameXml(await response.text());
+    },
+
+    normalize(record, query) {
+        if (record.ra === null || record.dec === null) return null;
+
+        return createCelestialObject(record.resolver && !record.resolver.includes('Simbad') ? 'CDS Sesame' : 'SIMBAD', {
+            name: record.mainId ? formatSimbadIdentifier(record.mainId) : query,
+            type: describeSimbadType(record.otype),
+            identifiers: record.aliases.map(formatSimbadIdentifier),
+            coordinates: { ra: record.ra / 15, dec: record.dec },
+            magnitudes: { V: record.vmag },
+            physical: {
+                spectralType: record.spectralType,
+                morphology: record.morphology,
+                distancePc: record.parallax > 0 ? 1000 / record.parallax : null,
+                // Redshift only for objects too far for a parallax
+                redshift: record.parallax === null ? record.redshift : null,
             },
-        };
-    } catch (error) {
-        // CORS or API issues - return null to allow other APIs to try
-        console.log(`Exoplanet API error for ${query}:`, error.message);
-        return null;
+        });
+    },
+});
+
+// Stars, planets and well-known deep-sky objects from the built-in tables
+const catalogProvider = createProvider({
+    id: 'catalog',
+    name: 'Built-in Catalog',
+    capabilities: ['stars', 'planets', 'deep-sky'],
+    local: true,
+    cacheTtl: 0,
+
+    // Exact names and designations are resolved through the local search index (searchIndex.js)
+    async search(query) {
+        return findLocalObject(query);
+    },
+});
+
+// Provider order here is the default search order; see loadProviderConfig() in providers.js
+providerRegistry.register(sbdbProvider);
+providerRegistry.register(neowsProvider);
+providerRegistry.register(exoplanetProvider);
+providerRegistry.register(simbadProvider);
+providerRegistry.register(catalogProvider);
+
+// Same-origin endpoints served by the local HTTP stand-in (tools/mockServer.js, ?backend=local)
+const LOCAL_API_ENDPOINTS = {
+    SBDB: '/api/sbdb.api',
+    NEO_LOOKUP: '/api/neo/rest/v1/neo',
+    NEO_FEED: '/api/neo/rest/v1/feed',
+    EXOPLANET: '/api/TAP/sync?query=',
+    SESAME: '/api/sesame?',
+};
+
+// localStorage key remembering whether offline mode is on
+const OFFLINE_MODE_KEY = 'spaceMap.offline';
+
+// Apply saved or URL provider configuration, including endpoint overrides, and attach the response cache
+function configureProviders() {
+    const config = loadProviderConfig();
+    providerRegistry.configure(config);
+    providerRegistry.setCache(new ResponseCache());
+    providerRegistry.setOffline(localStorage.getItem(OFFLINE_MODE_KEY) === 'true');
+    if (config.backend === 'local') {
+        Object.assign(API_ENDPOINTS, LOCAL_API_ENDPOINTS);
+    }
+    if (config.endpoints) {
+        Object.assign(API_ENDPOINTS, config.endpoints);
     }
 }
 
-// Search Astronomy API (stars, galaxies, deep-sky objects)
-async function searchAstronomyAPI(query) {
-    try {
-        // Use a simple approach - check fallback first for known stars
-        const fallback = createFallbackResult(query);
-        if (fallback && fallback.coordinates) {
-            return fallback;
-        }
+// Offline mode toggle, cache clearing and the connection status line
+function setupOfflineControls() {
+    const offlineModeBtn = document.getElementById('offlineModeBtn');
+    const clearCacheBtn = document.getElementById('clearCacheBtn');
 
-        // For now, rely on fallback data for common objects
-        // Note: AstronomyAPI requires authentication for production use
-        // We'll use the fallback system for common stars and objects
-        
-        return createFallbackResult(query);
-    } catch (error) {
-        console.log('Astronomy API error:', error);
-        return createFallbackResult(query);
+    if (offlineModeBtn) {
+        offlineModeBtn.addEventListener('click', () => {
+            providerRegistry.setOffline(!providerRegistry.offline);
+            localStorage.setItem(OFFLINE_MODE_KEY, String(providerRegistry.offline));
+            updateConnectionStatus();
+        });
+    }
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', async () => {
+            await providerRegistry.cache.clear();
+            updateConnectionStatus('Cache cleared.');
+        });
     }
+
+    window.addEventListener('online', () => updateConnectionStatus());
+    window.addEventListener('offline', () => updateConnectionStatus());
+    updateConnectionStatus();
 }
 
-// Enhanced fallback with more objects and better coordinate data
-function createFallbackResult(query) {
-    const lowerQuery = query.toLowerCase().trim();
-    
-    // Expanded database of known objects
-    const objectDatabase = {
-        // Planets (Solar System)
-        'mars': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Terrestrial Planet', 
-                'Distance from Sun': '227.9 million km',
-                'Orbital Period': '687 Earth days'
-            }
-        },
-        'jupiter': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Gas Giant', 
-                'Distance from Sun': '778.5 million km',
-                'Orbital Period': '12 years'
-            }
-        },
-        'saturn': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Gas Giant', 
-                'Distance from Sun': '1.4 billion km',
-                'Orbital Period': '29 years'
-            }
-        },
-        'neptune': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Ice Giant', 
-                'Distance from Sun': '4.5 billion km',
-                'Orbital Period': '165 years'
-            }
-        },
-        'venus': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Terrestrial Planet', 
-                'Distance from Sun': '108.2 million km',
-                'Orbital Period': '225 Earth days'
-            }
-        },
-        'mercury': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Terrestrial Planet', 
-                'Distance from Sun': '57.9 million km',
-                'Orbital Period': '88 Earth days'
-            }
-        },
-        'uranus': { 
-            type: 'Planet', 
-            details: { 
-                'Type': 'Ice Giant', 
-                'Distance from Sun': '2.9 billion km',
-                'Orbital Period': '84 years'
-            }
-        },
-        'earth': {
-            type: 'Planet',
-            details: {
-                'Type': 'Terrestrial Planet',
-                'Distance from Sun': '149.6 million km',
-                'Orbital Period': '365.25 days'
-            }
-        },
-        
-        // Comets
-        'halley': {
-            type: 'Comet',
-            details: {
-                'Type': 'Periodic Comet',
-                'Orbital Period': '75-76 years',
-                'Last Perihelion': '1986',
-                'Next Perihelion': '2061'
-            }
-        },
-        "halley's comet": {
-            type: 'Comet',
-            details: {
-                'Type': 'Periodic Comet',
-                'Orbital Period': '75-76 years',
-                'Last Perihelion': '1986',
-                'Next Perihelion': '2061'
-            }
-        },
-        'halley\'s comet': {
-            type: 'Comet',
-            details: {
-                'Type': 'Periodic Comet',
-                'Orbital Period': '75-76 years',
-                'Last Perihelion': '1986',
-                'Next Perihelion': '2061'
-            }
-        },
-        
-        // Galaxies
-        'andromeda': {
-            type: 'Galaxy',
-            coordinates: { ra: 0.71, dec: 41.27 },
-            details: {
-                'Type': 'Spiral Galaxy',
-                'Distance': '2.5 million light-years',
-                'Right Ascension': '0h 42.7m',
-                'Declination': '+41° 16\''
-            }
-        },
-        "andromeda galaxy": {
-            type: 'Galaxy',
-            coordinates: { ra: 0.71, dec: 41.27 },
-            details: {
-                'Type': 'Spiral Galaxy',
-                'Distance': '2.5 million light-years',
-                'Right Ascension': '0h 42.7m',
-                'Declination': '+41° 16\''
-            }
-        },
-        
-        // Exoplanets
-        'trappist-1': {
-            type: 'Star System',
-            details: {
-                'Type': 'Ultra-cool Dwarf Star',
-                'Distance': '40 light-years',
-                'Planets': '7 confirmed planets',
-                'Habitable Zone': '3 planets in habitable zone'
+function updateConnectionStatus(message = '') {
+    const offlineModeBtn = document.getElementById('offlineModeBtn');
+    const status = document.getElementById('connectionStatus');
+    if (offlineModeBtn) {
+        offlineModeBtn.classList.toggle('active', providerRegistry.offline);
+        offlineModeBtn.setAttribute('aria-pressed', String(providerRegistry.offline));
+    }
+    if (!status) return;
+
+    if (providerRegistry.isOffline()) {
+        const reason = providerRegistry.offline ? 'Offline mode' : 'No network';
+        status.textContent = `${reason}: answering from cached searches and the built-in catalogs. ${message}`.trim();
+    } else {
+        status.textContent = message;
+    }
+}
+
+// API key form and quota readout in the Settings panel
+function setupSettingsPanel() {
+    const keyInput = document.getElementById('nasaApiKeyInput');
+    const saveBtn = document.getElementById('saveApiKeyBtn');
+    const clearBtn = document.getElementById('clearApiKeyBtn');
+    if (!keyInput) return;
+
+    const stored = localStorage.getItem(NASA_API_KEY_STORAGE_KEY);
+    keyInput.value = stored || '';
+
+    saveBtn.addEventListener('click', () => {
+        const key = keyInput.value.trim();
+        if (key) {
+            localStorage.setItem(NASA_API_KEY_STORAGE_KEY, key);
+        } else {
+            localStorage.removeItem(NASA_API_KEY_STORAGE_KEY);
+        }
+        updateQuotaDisplay(key ? 'Key saved in this browser.' : 'Using the shared DEMO_KEY.');
+    });
+    clearBtn.addEventListener('click', () => {
+        localStorage.removeItem(NASA_API_KEY_STORAGE_KEY);
+        keyInput.value = '';
+        updateQuotaDisplay('Key removed; using the shared DEMO_KEY.');
+    });
+    updateQuotaDisplay();
+}
+
+// Remaining requests per source, as last reported by X-RateLimit-Remaining
+function updateQuotaDisplay(message = '') {
+    const quotaStatus = document.getElementById('quotaStatus');
+    if (!quotaStatus) return;
+
+    const keyLabel = getNasaApiKey() === DEFAULT_NASA_API_KEY ? 'shared DEMO_KEY' : 'your API key';
+    const quotas = providerRegistry.list()
+        .filter(provider => provider.quota)
+        .map(provider => {
+            const { remaining, limit } = provider.quota;
+            return `${provider.name}: ${remaining}${limit ? ` of ${limit}` : ''} requests left`;
+        });
+    const quotaText = quotas.length > 0 ? quotas.join(' • ') : 'No quota reported yet';
+    quotaStatus.textContent = `Using ${keyLabel}. ${quotaText}. ${message}`.trim();
+}
+
+// One chip per enabled network source for the last search: result count, no match, skipped or error
+function renderSourceStatus() {
+    const container = document.getElementById('sourceStatus');
+    if (!container) return;
+    container.innerHTML = '';
+
+    providerRegistry.lastSearch
+        .filter(entry => !entry.local)
+        .forEach(entry => {
+            const chip = document.createElement('span');
+            chip.className = `source-chip source-${entry.outcome}`;
+            if (entry.outcome === 'results') {
+                chip.textContent = `${entry.name}: ${entry.count} result${entry.count === 1 ? '' : 's'}`;
+            } else if (entry.outcome === 'no-match') {
+                chip.textContent = `${entry.name}: no match`;
+            } else if (entry.outcome === 'offline') {
+                chip.textContent = `${entry.name}: skipped (offline, not cached)`;
+            } else {
+                const hint = entry.error.kind === 'rate-limit' || entry.error.kind === 'auth'
+                    ? ' (check the API key in Settings)'
+                    : '';
+                chip.textContent = `${entry.name}: ${PROVIDER_ERROR_MESSAGES[entry.error.kind]}${hint}`;
+                chip.title = entry.error.message;
             }
+            container.appendChild(chip);
+        });
+}
+
+// "Cached 3 h ago" style age of a cache entry
+function formatCacheAge(storedAt) {
+    const minutes = Math.round((Date.now() - storedAt) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
+
+// Known star coordinates for plotting (RA in hours, Dec in degrees), from the bundled star catalog
+const KNOWN_STAR_COORDINATES = starCatalog.getCoordinateTable();
+
+// Object type and fixed facts for the Sun, Moon and planets; positions come from the ephemeris
+const SOLAR_SYSTEM_FACTS = {
+    sun: { type: 'Star', details: { 'Type': 'G-type Main-Sequence Star' }},
+    moon: { type: 'Moon', details: { 'Type': 'Natural Satellite', 'Orbital Period': '27.3 days' }},
+    mercury: { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '57.9 million km' }},
+    venus: { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '108.2 million km' }},
+    mars: { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '227.9 million km' }},
+    jupiter: { type: 'Planet', details: { 'Type': 'Gas Giant', 'Distance from Sun': '778.5 million km' }},
+    saturn: { type: 'Planet', details: { 'Type': 'Gas Giant', 'Distance from Sun': '1.4 billion km' }},
+    uranus: { type: 'Planet', details: { 'Type': 'Ice Giant', 'Distance from Sun': '2.9 billion km' }},
+    neptune: { type: 'Planet', details: { 'Type': 'Ice Giant', 'Distance from Sun': '4.5 billion km' }},
+};
+
+// Result for a query from the bundled catalogs alone, or null when nothing local matches
+function findLocalObject(query) {
+    const entry = localSearchIndex.resolve(query);
+    return entry ? createLocalResult(entry) : null;
+}
+
+// Result card data for a local search index entry (see searchIndex.js)
+function createLocalResult(entry) {
+    if (entry.kind === 'star') return createStarResult(entry.data);
+    if (entry.kind === 'deepsky') return createDeepSkyResult(entry.data);
+    if (entry.kind === 'constellation') return createConstellationResult(entry.data);
+    if (entry.kind === 'notable') return createNotableResult(entry.data);
+    return createBodyResult(entry.name.toLowerCase());
+}
+
+// Sun, Moon or planet with its live position, distance, magnitude, elongation and phase
+function createBodyResult(bodyId) {
+    const date = getEphemerisDate();
+    const position = computeBodyPosition(bodyId, date);
+    const facts = SOLAR_SYSTEM_FACTS[bodyId];
+    const details = { ...facts.details };
+    if (bodyId !== 'sun') {
+        details['Elongation'] = `${position.elongation.toFixed(1)}° from the Sun`;
+        details['Phase'] = `${(position.illumination * 100).toFixed(0)}% illuminated`;
+    }
+
+    return createCelestialObject('Solar System Database', {
+        name: SOLAR_SYSTEM_BODIES[bodyId].name,
+        type: facts.type,
+        coordinates: { ra: position.ra, dec: position.dec, date },
+        magnitudes: { V: position.magnitude },
+        physical: { distanceAu: position.distance },
+        details,
+        bodyId,
+    });
+}
+
+// Result card data for a star from the bundled catalog
+function createStarResult(star) {
+    return createCelestialObject('Star Catalog', {
+        name: starCatalog.getDisplayName(star),
+        type: 'Star',
+        identifiers: starCatalog.getDesignations(star),
+        coordinates: { ra: star.ra, dec: star.dec },
+        magnitudes: { V: star.mag },
+        physical: { colorIndex: star.bv },
+    });
+}
+
+function createConstellationResult(constellation) {
+    return createCelestialObject('IAU Constellations', {
+        name: constellation.name,
+        type: 'Constellation',
+        identifiers: [constellation.abbreviation],
+        coordinates: { ra: constellation.label.ra, dec: constellation.label.dec },
+        details: { 'Genitive': constellation.genitive },
+    });
+}
+
+// Result card data for a Messier/NGC/IC object from the bundled deep-sky catalog
+function createDeepSkyResult(object) {
+    return createCelestialObject('Deep-Sky Catalog', {
+        name: deepSkyCatalog.getDisplayName(object),
+        type: deepSkyCatalog.getTypeLabel(object),
+        identifiers: deepSkyCatalog.getDesignations(object),
+        coordinates: { ra: object.ra, dec: object.dec },
+        magnitudes: { V: object.mag },
+        physical: {
+            angularSize: object.major !== null ? { major: object.major, minor: object.minor } : null,
+            positionAngle: object.pa,
         },
-    };
+    });
+}
 
-    // Check if it's in the database
-    if (objectDatabase[lowerQuery]) {
-        const obj = objectDatabase[lowerQuery];
-        return {
-            name: query.charAt(0).toUpperCase() + query.slice(1),
-            type: obj.type,
-            source: 'Celestial Database',
-            details: obj.details,
-            coordinates: obj.coordinates || null,
-        };
+// Result card data for an object from data/notableObjects.js; a comet is propagated to the map
+// time with a ±30 day track, like an SBDB result
+function createNotableResult(object) {
+    let coordinates = object.ra === undefined ? null : { ra: object.ra, dec: object.dec };
+    let track = null;
+    let position = null;
+    const elements = object.orbit ? parseSbdbElements(object.orbit) : null;
+    if (elements) {
+        const date = getEphemerisDate();
+        position = propagateToSky(elements, date);
+        coordinates = { ra: position.ra, dec: position.dec, date };
+        track = computeOrbitTrack(elements, date);
     }
-    
-    // Check if it's a known star (has coordinates for plotting)
-    if (KNOWN_STAR_COORDINATES[lowerQuery]) {
-        const coords = KNOWN_STAR_COORDINATES[lowerQuery];
-        return {
-            name: query.charAt(0).toUpperCase() + query.slice(1),
-            type: 'Star',
-            source: 'Star Catalog',
-            details: {
-                'Type': 'Star',
-                'Right Ascension': `${coords.ra.toFixed(2)} hours`,
-                'Declination': `${coords.dec.toFixed(2)}°`,
-            },
-            coordinates: coords,
+
+    return createCelestialObject('Celestial Database', {
+        name: object.name,
+        type: object.type,
+        identifiers: object.aliases,
+        coordinates,
+        magnitudes: { V: object.mag },
+        physical: {
+            distancePc: object.distancePc,
+            distanceAu: position ? position.distance : null,
+            sunDistanceAu: position ? position.sunDistance : null,
+            planetCount: object.planetCount,
+        },
+        details: object.details,
+        orbitalElements: elements,
+        orbitId: elements ? object.designation : null,
+        track,
+    });
+}
+
+// Cone search: radius used when the radius menu is missing, and the most matches listed
+const DEFAULT_CONE_SEARCH_RADIUS = 2;
+const MAX_CONE_SEARCH_RESULTS = 100;
+// Widest field the map opens to when framing a search circle (degrees)
+const MAX_CONE_FIELD_OF_VIEW = 60;
+
+// Sky indexes over the bundled star and deep-sky catalogs, built on the first cone search
+let coneSearchIndexes = null;
+
+function getConeSearchRadius() {
+    const select = document.getElementById('coneRadiusSelect');
+    const radius = select ? parseFloat(select.value) : NaN;
+    return isNaN(radius) ? DEFAULT_CONE_SEARCH_RADIUS : radius;
+}
+
+// Stars, deep-sky objects, the Sun, Moon and planets within radius degrees of a position, nearest
+// first, as [{ kind, name, type, magnitude, separation, data }]
+function coneSearchLocalCatalogs(ra, dec, radius) {
+    if (!coneSearchIndexes) {
+        coneSearchIndexes = {
+            stars: new SkyIndex(starCatalog.stars),
+            deepSky: new SkyIndex(deepSkyCatalog.objects),
         };
     }
-    
-    return null;
-}
-
-// Known star coordinates for plotting (RA in hours, Dec in degrees)
-const KNOWN_STAR_COORDINATES = {
-    'sirius': { ra: 6.75, dec: -16.7 },
-    'betelgeuse': { ra: 5.92, dec: 7.4 },
-    'vega': { ra: 18.62, dec: 38.8 },
-    'arcturus': { ra: 14.26, dec: 19.2 },
-    'rigel': { ra: 5.24, dec: -8.2 },
-    'procyon': { ra: 7.66, dec: 5.2 },
-    'capella': { ra: 5.28, dec: 45.98 },
-    'altair': { ra: 19.85, dec: 8.87 },
-    'spica': { ra: 13.42, dec: -11.16 },
-    'pollux': { ra: 7.76, dec: 28.0 },
-    'fomalhaut': { ra: 22.96, dec: -29.6 },
-    'deneb': { ra: 20.69, dec: 45.28 },
-    'regulus': { ra: 10.14, dec: 11.97 },
-    'polaris': { ra: 2.52, dec: 89.26 },
-    'antares': { ra: 16.49, dec: -26.43 },
-    'aldebaran': { ra: 4.60, dec: 16.51 },
-    'mira': { ra: 2.19, dec: -2.98 },
-    'castor': { ra: 7.57, dec: 31.79 },
-};
 
-function createFallbackResult(query) {
-    // Fallback for objects not found in APIs but commonly searched
-    const commonObjects = {
-        'mars': { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '227.9 million km' }},
-        'jupiter': { type: 'Planet', details: { 'Type': 'Gas Giant', 'Distance from Sun': '778.5 million km' }},
-        'saturn': { type: 'Planet', details: { 'Type': 'Gas Giant', 'Distance from Sun': '1.4 billion km' }},
-        'neptune': { type: 'Planet', details: { 'Type': 'Ice Giant', 'Distance from Sun': '4.5 billion km' }},
-        'venus': { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '108.2 million km' }},
-        'mercury': { type: 'Planet', details: { 'Type': 'Terrestrial Planet', 'Distance from Sun': '57.9 million km' }},
-        'uranus': { type: 'Planet', details: { 'Type': 'Ice Giant', 'Distance from Sun': '2.9 billion km' }},
-    };
+    const matches = [];
+    coneSearchIndexes.stars.query(ra, dec, radius).forEach(({ item, separation }) => {
+        matches.push({ kind: 'star', name: starCatalog.getDisplayName(item), type: 'Star', magnitude: item.mag, separation, data: item });
+    });
+    coneSearchIndexes.deepSky.query(ra, dec, radius).forEach(({ item, separation }) => {
+        matches.push({
+            kind: 'deepsky',
+            name: deepSkyCatalog.getDisplayName(item),
+            type: deepSkyCatalog.getTypeLabel(item),
+            magnitude: item.mag,
+            separation,
+            data: item,
+        });
+    });
 
-    const lowerQuery = query.toLowerCase();
-    if (commonObjects[lowerQuery]) {
-        return {
-            name: query.charAt(0).toUpperCase() + query.slice(1),
-            type: commonObjects[lowerQuery].type,
-            source: 'Solar System Database',
-            details: commonObjects[lowerQuery].details,
-        };
+    // Solar system bodies move, so they are placed for the current ephemeris date
+    const date = getEphemerisDate();
+    Object.keys(SOLAR_SYSTEM_BODIES).forEach(bodyId => {
+        const position = computeBodyPosition(bodyId, date);
+        const separation = angularSeparation(ra, dec, position.ra, position.dec);
+        if (separation <= radius) {
+            matches.push({ kind: 'body', name: position.name, type: SOLAR_SYSTEM_FACTS[bodyId].type, magnitude: position.magnitude, separation, data: position });
+        }
+    });
+
+    return matches.sort((a, b) => a.separation - b.separation);
+}
+
+// Result card for a typed position, with the catalog objects around it, and the map re-centered
+// to frame the search circle (unless options.keepView)
+function showConeSearch(position, radius, { keepView = false } = {}) {
+    document.getElementById('sourceStatus').innerHTML = '';
+    const galactic = position.frame === 'galactic' ? position : equatorialToGalactic(position.ra, position.dec);
+    const matches = coneSearchLocalCatalogs(position.ra, position.dec, radius);
+    const name = `${formatRightAscension(position.ra)} ${formatDeclination(position.dec)}`;
+
+    const result = createCelestialObject('Coordinate Search', {
+        name,
+        type: 'Sky Position',
+        coordinates: { ra: position.ra, dec: position.dec },
+        details: {
+            'Galactic Longitude': `${galactic.l.toFixed(4)}°`,
+            'Galactic Latitude': `${galactic.b >= 0 ? '+' : ''}${galactic.b.toFixed(4)}°`,
+            'Search Radius': `${radius}°`,
+            'Objects Found': matches.length,
+        },
+    });
+    const card = createResultCard(result);
+    card.appendChild(createConeSearchTable(matches));
+    document.getElementById('resultsContainer').appendChild(card);
+
+    // Exports list the position followed by every object found, with its separation
+    displayedResults = [result, ...matches.map(match => {
+        const object = createLocalResult(match);
+        object.details['Separation'] = `${match.separation.toFixed(4)}°`;
+        object.provenance['details.Separation'] = 'Coordinate Search';
+        return object;
+    })];
+    updateResultsExport();
+
+    if (window.starMap) {
+        if (!window.starMap.keepPreviousResults && !keepView) {
+            window.starMap.clearPlottedObjects();
+        }
+        window.starMap.plotObject(name, position.ra, position.dec, 'Sky Position', {
+            fov: Math.min(MAX_CONE_FIELD_OF_VIEW, radius * 2 * 1.3),
+            fly: !keepView,
+        });
     }
-    
-    // Check if it's a known star
-    if (KNOWN_STAR_COORDINATES[lowerQuery]) {
-        const coords = KNOWN_STAR_COORDINATES[lowerQuery];
-        return {
-            name: query.charAt(0).toUpperCase() + query.slice(1),
-            type: 'Star',
-            source: 'Star Catalog',
-            details: {
-                'Type': 'Star',
-                'Right Ascension': `${coords.ra.toFixed(2)} hours`,
-                'Declination': `${coords.dec.toFixed(2)}°`,
-            },
-            coordinates: coords,
-        };
+}
+
+// Objects found by a cone search, nearest first; a name opens that object's card
+function createConeSearchTable(matches) {
+    if (matches.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'cone-empty';
+        empty.textContent = 'No catalog objects within this radius. Try a larger one.';
+        return empty;
     }
-    
-    return null;
+
+    const table = document.createElement('table');
+    table.className = 'planet-table cone-table';
+    const head = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    ['Object', 'Type', 'Magnitude', 'Separation'].forEach(label => {
+        const header = document.createElement('th');
+        header.textContent = label;
+        headerRow.appendChild(header);
+    });
+    head.appendChild(headerRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    matches.slice(0, MAX_CONE_SEARCH_RESULTS).forEach(match => {
+        const row = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.textContent = match.name;
+        open.addEventListener('click', () => showSelectedObject(match));
+        nameCell.appendChild(open);
+        row.appendChild(nameCell);
+
+        const separation = match.separation < 1
+            ? `${(match.separation * 60).toFixed(1)}′`
+            : `${match.separation.toFixed(2)}°`;
+        [match.type, match.magnitude === null ? '\u2014' : match.magnitude.toFixed(2), separation].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    if (matches.length <= MAX_CONE_SEARCH_RESULTS) return table;
+    const wrapper = document.createElement('div');
+    const note = document.createElement('p');
+    note.className = 'cone-empty';
+    note.textContent = `Showing the nearest ${MAX_CONE_SEARCH_RESULTS} of ${matches.length} objects.`;
+    wrapper.appendChild(table);
+    wrapper.appendChild(note);
+    return wrapper;
+}
+
+// Date used for ephemeris values: the time the star map shows (see the time controls), or now
+function getEphemerisDate() {
+    return window.starMap ? window.starMap.getObserverTime() : new Date();
 }
 
+// Results on screen, for export (see exporter.js)
+let displayedResults = [];
+
 function displayResults(results) {
     const container = document.getElementById('resultsContainer');
     
@@ -498,6 +965,8 @@ function displayResults(results) {
         const card = createResultCard(result);
         container.appendChild(card);
     });
+    displayedResults.push(...results);
+    updateResultsExport();
 }
 
 function createResultCard(result) {
@@ -519,29 +988,56 @@ function createResultCard(result) {
     }
 
     card.appendChild(typeBadge);
+
+    // Whether this result came from the network or the response cache (per source once merged)
+    const merged = result.sources && result.sources.length > 1;
+    if (result.cache && !merged) {
+        card.appendChild(createCacheBadge(result.cache));
+    }
+
     card.appendChild(title);
 
-    if (result.details) {
+    // Show which constellation the object lies in
+    if (result.coordinates) {
+        const constellation = constellationCatalog.findConstellation(result.coordinates.ra, result.coordinates.dec);
+        if (constellation) {
+            const note = document.createElement('p');
+            note.className = 'constellation-note';
+            note.textContent = `in ${constellation.name}`;
+            card.appendChild(note);
+        }
+    }
+
+    const rows = describeCelestialObject(result);
+    if (rows.length > 0) {
         const detailsSection = document.createElement('div');
         detailsSection.className = 'detail-section';
 
         const detailsGrid = document.createElement('div');
         detailsGrid.className = 'detail-grid';
 
-        Object.entries(result.details).forEach(([label, value]) => {
+        rows.forEach(row => {
             const detailItem = document.createElement('div');
             detailItem.className = 'detail-item';
             
             const detailLabel = document.createElement('div');
             detailLabel.className = 'detail-label';
-            detailLabel.textContent = label;
+            detailLabel.textContent = row.label;
             
             const detailValue = document.createElement('div');
             detailValue.className = 'detail-value';
-            detailValue.textContent = value;
+            detailValue.textContent = row.value;
 
             detailItem.appendChild(detailLabel);
             detailItem.appendChild(detailValue);
+
+            // Which source each value came from, when several contributed
+            if (merged && row.source) {
+                const detailSource = document.createElement('div');
+                detailSource.className = 'detail-source';
+                detailSource.textContent = row.source;
+                detailItem.appendChild(detailSource);
+            }
             detailsGrid.appendChild(detailItem);
         });
 
@@ -549,9 +1045,223 @@ function createResultCard(result) {
         card.appendChild(detailsSection);
     }
 
+    const aliases = result.identifiers.filter(identifier => identifier !== result.name).slice(0, MAX_LISTED_IDENTIFIERS);
+    if (aliases.length > 0) {
+        const aliasList = document.createElement('div');
+        aliasList.className = 'aliases';
+        aliases.forEach(alias => {
+            const tag = document.createElement('span');
+            tag.className = 'alias-tag';
+            tag.textContent = alias;
+            aliasList.appendChild(tag);
+        });
+        card.appendChild(aliasList);
+    }
+
+    if (result.planets && result.planets.length > 0) {
+        card.appendChild(createPlanetTable(result.planets));
+    }
+
+    if (merged) {
+        const sourceList = document.createElement('div');
+        sourceList.className = 'source-list';
+        sourceList.textContent = 'Sources:';
+        result.sources.forEach(source => {
+            const entry = document.createElement('span');
+            entry.className = 'source-entry';
+            entry.textContent = source.name;
+            if (source.cache) {
+                entry.appendChild(createCacheBadge(source.cache));
+            }
+            sourceList.appendChild(entry);
+        });
+        card.appendChild(sourceList);
+    }
+
+    card.appendChild(createAddToListButton(result));
+
     return card;
 }
 
+// "Live", or "Cached 3 h ago" for a { status, storedAt } cache annotation
+function createCacheBadge(cache) {
+    const cacheBadge = document.createElement('span');
+    cacheBadge.className = `cache-badge cache-${cache.status}`;
+    if (cache.status === 'miss') {
+        cacheBadge.textContent = 'Live';
+    } else {
+        const expired = cache.status === 'stale' ? ', expired' : '';
+        cacheBadge.textContent = `Cached ${formatCacheAge(cache.storedAt)}${expired}`;
+    }
+    return cacheBadge;
+}
+
+// Planets of an exoplanet system; clicking a header sorts by that column (again to reverse),
+// with unknown values always last
+function createPlanetTable(planets) {
+    const table = document.createElement('table');
+    table.className = 'planet-table';
+    const headerRow = document.createElement('tr');
+    const body = document.createElement('tbody');
+    let sortKey = 'period';
+    let ascending = true;
+
+    function renderRows() {
+        const sorted = [...planets].sort((a, b) => {
+            const x = a[sortKey];
+            const y = b[sortKey];
+            if (x === null || y === null) return (x === null) - (y === null);
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return ascending ? order : -order;
+        });
+
+        body.replaceChildren();
+        sorted.forEach(planet => {
+            const row = document.createElement('tr');
+            PLANET_TABLE_COLUMNS.forEach(column => {
+                const cell = document.createElement('td');
+                const value = planet[column.key];
+                cell.textContent = value === null ? '\u2014' : (column.format ? column.format(value) : value);
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        headerRow.querySelectorAll('th').forEach((header, index) => {
+            const active = PLANET_TABLE_COLUMNS[index].key === sortKey;
+            header.setAttribute('aria-sort', active ? (ascending ? 'ascending' : 'descending') : 'none');
+        });
+    }
+
+    PLANET_TABLE_COLUMNS.forEach(column => {
+        const header = document.createElement('th');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = column.label;
+        button.addEventListener('click', () => {
+            ascending = column.key === sortKey ? !ascending : true;
+            sortKey = column.key;
+            renderRows();
+        });
+        header.appendChild(button);
+        headerRow.appendChild(header);
+    });
+
+    const head = document.createElement('thead');
+    head.appendChild(headerRow);
+    table.appendChild(head);
+    table.appendChild(body);
+    renderRows();
+    return table;
+}
+
+// Suggestion dropdown under the search box, filled from the local search index as the user types.
+// Arrow keys move through the suggestions, Enter searches for the highlighted one (or for the typed
+// text when none is highlighted) and Escape closes the list.
+function setupAutocomplete(searchInput) {
+    const list = document.getElementById('searchSuggestions');
+    let suggestions = [];
+    let activeIndex = -1;
+
+    function close() {
+        suggestions = [];
+        activeIndex = -1;
+        list.replaceChildren();
+        list.classList.add('hidden');
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    function highlight(index) {
+        activeIndex = index;
+        [...list.children].forEach((item, i) => item.setAttribute('aria-selected', String(i === index)));
+        searchInput.setAttribute('aria-activedescendant', list.children[index].id);
+        list.children[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    function choose(match) {
+        searchInput.value = match.entry.name;
+        close();
+        performSearch();
+    }
+
+    function update() {
+        const query = searchInput.value.trim();
+        suggestions = query ? localSearchIndex.search(query) : [];
+        activeIndex = -1;
+        list.replaceChildren();
+        if (suggestions.length === 0) {
+            close();
+            return;
+        }
+
+        suggestions.forEach((match, i) => {
+            const item = createSuggestionItem(match, i);
+            // mousedown rather than click, so the input's blur does not close the list first
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                choose(match);
+            });
+            list.appendChild(item);
+        });
+        list.classList.remove('hidden');
+        searchInput.setAttribute('aria-expanded', 'true');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    searchInput.addEventListener('input', update);
+    searchInput.addEventListener('blur', close);
+    searchInput.addEventListener('keydown', (e) => {
+        const open = suggestions.length > 0;
+        if (e.key === 'ArrowDown' && open) {
+            e.preventDefault();
+            highlight((activeIndex + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && open) {
+            e.preventDefault();
+            highlight(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+        } else if (e.key === 'Escape' && open) {
+            close();
+        } else if (e.key === 'Enter') {
+            if (activeIndex >= 0) {
+                choose(suggestions[activeIndex]);
+            } else {
+                close();
+                performSearch();
+            }
+        }
+    });
+}
+
+// One suggestion: the object's name, the designation that matched when it is a different one,
+// and its type and magnitude
+function createSuggestionItem(match, index) {
+    const item = document.createElement('li');
+    item.id = `searchSuggestion-${index}`;
+    item.className = 'search-suggestion';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+
+    const name = document.createElement('span');
+    name.className = 'suggestion-name';
+    name.textContent = match.entry.name;
+    item.appendChild(name);
+
+    if (match.label !== match.entry.name) {
+        const matched = document.createElement('span');
+        matched.className = 'suggestion-match';
+        matched.textContent = match.label;
+        item.appendChild(matched);
+    }
+
+    const meta = document.createElement('span');
+    meta.className = 'suggestion-meta';
+    const magnitude = match.entry.magnitude;
+    meta.textContent = magnitude === null ? match.entry.type : `${match.entry.type} · mag ${magnitude.toFixed(2)}`;
+    item.appendChild(meta);
+
+    return item;
+}
+
 function showLoading() {
     document.getElementById('loadingIndicator').classList.remove('hidden');
 }
@@ -572,108 +1282,90 @@ function hideError() {
 
 function clearResults() {
     document.getElementById('resultsContainer').innerHTML = '';
+    displayedResults = [];
+    updateResultsExport();
 }
 
-// Plot objects on the star map if coordinates are available
-async function plotObjectsOnStarMap(results, query) {
+// Plot objects on the star map if coordinates are available, then frame them unless options.keepView
+async function plotObjectsOnStarMap(results, query, options = {}) {
     if (!window.starMap) {
         // Star map not initialized yet, wait a bit
-        setTimeout(() => plotObjectsOnStarMap(results, query), 500);
+        setTimeout(() => plotObjectsOnStarMap(results, query, options), 500);
         return;
     }
     
-    // Clear previous plotted objects
-    window.starMap.clearPlottedObjects();
+    // Replace earlier results unless the map is set to keep them
+    if (!window.starMap.keepPreviousResults && !options.keepView) {
+        window.starMap.clearPlottedObjects();
+    }
     
-    // Try to find coordinates for each result
+    // Plot every result we can find coordinates for, then frame them all
+    let plottedCount = 0;
     for (const result of results) {
         let ra, dec;
         
-        // Check if result has coordinates
         if (result.coordinates) {
             ra = result.coordinates.ra;
             dec = result.coordinates.dec;
-        } else if (result.details) {
-            // Try to parse RA/Dec from details
-            const raStr = result.details['Right Ascension'] || result.details['RA'];
-            const decStr = result.details['Declination'] || result.details['Dec'];
-            
-            if (raStr && decStr) {
-                ra = parseCoordinate(raStr, true);
-                dec = parseCoordinate(decStr, false);
-            }
         }
         
-        // Check known star coordinates
-        if (!ra || !dec) {
+        // Without a position of its own, a result is placed at the bundled star it names, or at the
+        // queried star when it is named like the query; any other result stays off the map
+        if (ra === undefined || dec === undefined) {
             const lowerName = result.name.toLowerCase();
-            if (KNOWN_STAR_COORDINATES[lowerName]) {
-                ra = KNOWN_STAR_COORDINATES[lowerName].ra;
-                dec = KNOWN_STAR_COORDINATES[lowerName].dec;
-            } else if (KNOWN_STAR_COORDINATES[query.toLowerCase()]) {
-                ra = KNOWN_STAR_COORDINATES[query.toLowerCase()].ra;
-                dec = KNOWN_STAR_COORDINATES[query.toLowerCase()].dec;
+            const lowerQuery = query.toLowerCase().trim();
+            const known = KNOWN_STAR_COORDINATES[lowerName] ||
+                (normalizeSearchTerm(result.name) === normalizeSearchTerm(query) ? KNOWN_STAR_COORDINATES[lowerQuery] : null);
+            if (known) {
+                ra = known.ra;
+                dec = known.dec;
             }
         }
         
         // If we have coordinates, plot on the map
         if (ra !== undefined && dec !== undefined) {
-            window.starMap.plotObject(result.name, ra, dec, result.type);
-            // Only plot the first object found to avoid clutter
-            break;
+            window.starMap.plotObject(result.name, ra, dec, result.type, {
+                track: result.track,
+                elements: result.orbitalElements,
+                bodyId: result.bodyId,
+                orbitId: result.orbitId,
+                fly: false,
+            });
+            plottedCount++;
         }
     }
-}
-
-// Helper function to parse RA/Dec strings
-function parseCoordinate(str, isRA) {
-    if (!str || str === 'N/A') return undefined;
-    
-    // Try to extract number from string like "6.75 hours" or "6h 45m"
-    const numbers = str.match(/[\d.]+/g);
-    if (!numbers || numbers.length === 0) return undefined;
-    
-    let value = parseFloat(numbers[0]);
-    
-    // If it's in hours format (for RA), it's already in hours
-    if (isRA && str.toLowerCase().includes('hour')) {
-        return value;
-    }
     
-    // If it's in degrees format (for Dec), it's already in degrees
-    if (!isRA && str.includes('°')) {
-        return value;
-    }
-    
-    // Try to parse hms format for RA (e.g., "6h 45m 30s")
-    if (isRA && str.includes('h')) {
-        const parts = str.match(/(\d+)h\s*(\d+)m/);
-        if (parts) {
-            value = parseFloat(parts[1]) + parseFloat(parts[2]) / 60;
-            if (str.includes('s')) {
-                const secMatch = str.match(/(\d+)s/);
-                if (secMatch) {
-                    value += parseFloat(secMatch[1]) / 3600;
-                }
-            }
-            return value;
-        }
+    if (plottedCount > 0 && !options.keepView) {
+        window.starMap.fitToPlottedObjects();
     }
-    
-    return value;
 }
 
 function showNoResults(query) {
     const container = document.getElementById('resultsContainer');
     const noResults = document.createElement('div');
     noResults.className = 'no-results';
-    noResults.innerHTML = `
-        <h2>🔍 No Results Found</h2>
-        <p>Could not find information about "${query}" in our space databases.</p>
-        <p style="margin-top: 15px; font-size: 0.9rem; color: #888;">
-            Try searching for: planet names, star names, asteroid numbers, exoplanet names, or galaxy names.
-        </p>
-    `;
+    
+    // The query can come from a shared link (see urlState.js), so it is only ever set as text
+    const heading = document.createElement('h2');
+    heading.textContent = '🔍 No Results Found';
+    const message = document.createElement('p');
+    message.textContent = `Could not find information about "${query}" in our space databases.`;
+    const hint = document.createElement('p');
+    hint.style.marginTop = '15px';
+    hint.style.fontSize = '0.9rem';
+    hint.style.color = '#888';
+    hint.textContent = 'Try searching for: planet names, star names, asteroid numbers, exoplanet names, or galaxy names.';
+    noResults.appendChild(heading);
+    noResults.appendChild(message);
+    noResults.appendChild(hint);
+    
+    // A failed source is not the same as "no match": the object may exist there
+    if (providerRegistry.lastSearch.some(entry => entry.outcome === 'error')) {
+        const failed = document.createElement('p');
+        failed.className = 'source-failure-note';
+        failed.textContent = 'Some sources could not be searched (see above), so this object may still exist there.';
+        noResults.appendChild(failed);
+    }
     container.appendChild(noResults);
 }
 
@@ -0,0 +1,188 @@
+// Astronomy Utilities Module
+// Time scales, sidereal time, precession and equatorial <-> horizontal and galactic coordinate transforms
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+
+// Julian Date for a JavaScript Date (UTC)
+function julianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+// Julian centuries since J2000.0
+function julianCenturies(date) {
+    return (julianDate(date) - J2000) / 36525;
+}
+
+// Normalize an angle to [0, 360) degrees
+function normalizeDegrees(angle) {
+    return ((angle % 360) + 360) % 360;
+}
+
+// Greenwich mean sidereal time in hours (IAU 1982 expression)
+function greenwichSiderealTime(date) {
+    const jd = julianDate(date);
+    const t = (jd - J2000) / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * (jd - J2000) +
+        0.000387933 * t * t - t * t * t / 38710000;
+    return normalizeDegrees(gmst) / 15;
+}
+
+// Local sidereal time in hours for an east-positive longitude in degrees
+function localSiderealTime(date, longitude) {
+    return normalizeDegrees(greenwichSiderealTime(date) * 15 + longitude) / 15;
+}
+
+// Equatorial (RA hours, Dec degrees) to horizontal (altitude, azimuth from north through east, degrees)
+function equatorialToHorizontal(ra, dec, latitude, lst) {
+    const hourAngle = (lst - ra) * 15 * DEG;
+    const d = dec * DEG;
+    const lat = latitude * DEG;
+
+    const sinAlt = Math.sin(d) * Math.sin(lat) + Math.cos(d) * Math.cos(lat) * Math.cos(hourAngle);
+    const alt = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+    const az = Math.atan2(
+        -Math.cos(d) * Math.sin(hourAngle),
+        Math.sin(d) * Math.cos(lat) - Math.cos(d) * Math.sin(lat) * Math.cos(hourAngle)
+    );
+
+    return { alt: alt / DEG, az: normalizeDegrees(az / DEG) };
+}
+
+// Horizontal (altitude, azimuth degrees) back to equatorial (RA hours, Dec degrees)
+function horizontalToEquatorial(alt, az, latitude, lst) {
+    const a = alt * DEG;
+    const A = az * DEG;
+    const lat = latitude * DEG;
+
+    const sinDec = Math.sin(a) * Math.sin(lat) + Math.cos(a) * Math.cos(lat) * Math.cos(A);
+    const dec = Math.asin(Math.max(-1, Math.min(1, sinDec)));
+    const hourAngle = Math.atan2(
+        -Math.cos(a) * Math.sin(A),
+        Math.sin(a) * Math.cos(lat) - Math.cos(a) * Math.sin(lat) * Math.cos(A)
+    );
+
+    return {
+        ra: normalizeDegrees(lst * 15 - hourAngle / DEG) / 15,
+        dec: dec / DEG,
+    };
+}
+
+// Format RA in hours as "6h 45m 08.9s"
+function formatRightAscension(ra) {
+    const totalSeconds = Math.round((((ra % 24) + 24) % 24) * 36000) / 10;
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds - h * 3600) / 60);
+    const s = totalSeconds - h * 3600 - m * 60;
+    return `${h % 24}h ${String(m).padStart(2, '0')}m ${s.toFixed(1).padStart(4, '0')}s`;
+}
+
+// Format Dec in degrees as "-16° 42′ 58″"
+function formatDeclination(dec) {
+    const sign = dec < 0 ? '-' : '+';
+    const totalSeconds = Math.round(Math.abs(dec) * 3600);
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds - d * 3600) / 60);
+    const s = totalSeconds - d * 3600 - m * 60;
+    return `${sign}${d}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`;
+}
+
+// Angular separation in degrees between two RA (hours) / Dec (degrees) positions
+function angularSeparation(ra1, dec1, ra2, dec2) {
+    const d1 = dec1 * DEG;
+    const d2 = dec2 * DEG;
+    const dRa = (ra1 - ra2) * 15 * DEG;
+    // Haversine form stays accurate for small separations
+    const a = Math.sin((d2 - d1) / 2) ** 2 + Math.cos(d1) * Math.cos(d2) * Math.sin(dRa / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(a))) / DEG;
+}
+
+// Position a given angular distance (degrees) from an RA (hours) / Dec (degrees) position, along a
+// position angle measured from north through east (degrees)
+function offsetSkyPosition(ra, dec, distance, positionAngle) {
+    const d = dec * DEG;
+    const r = distance * DEG;
+    const pa = positionAngle * DEG;
+    const sinDec = Math.sin(d) * Math.cos(r) + Math.cos(d) * Math.sin(r) * Math.cos(pa);
+    const newDec = Math.asin(Math.max(-1, Math.min(1, sinDec)));
+    const dRa = Math.atan2(Math.sin(pa) * Math.sin(r) * Math.cos(d), Math.cos(r) - Math.sin(d) * sinDec);
+    return {
+        ra: normalizeDegrees(ra * 15 + dRa / DEG) / 15,
+        dec: newDec / DEG,
+    };
+}
+
+// J2000 equatorial position of the north galactic pole (degrees) and the galactic longitude of
+// the north celestial pole
+const GALACTIC_POLE_RA = 192.85948;
+const GALACTIC_POLE_DEC = 27.12825;
+const GALACTIC_NCP_LONGITUDE = 122.93192;
+
+// Galactic longitude / latitude (degrees) to J2000 RA (hours) / Dec (degrees)
+function galacticToEquatorial(l, b) {
+    const bRad = b * DEG;
+    const poleDec = GALACTIC_POLE_DEC * DEG;
+    const dl = (GALACTIC_NCP_LONGITUDE - l) * DEG;
+    const sinDec = Math.sin(bRad) * Math.sin(poleDec) + Math.cos(bRad) * Math.cos(poleDec) * Math.cos(dl);
+    const ra = GALACTIC_POLE_RA * DEG + Math.atan2(
+        Math.cos(bRad) * Math.sin(dl),
+        Math.sin(bRad) * Math.cos(poleDec) - Math.cos(bRad) * Math.sin(poleDec) * Math.cos(dl)
+    );
+    return {
+        ra: normalizeDegrees(ra / DEG) / 15,
+        dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) / DEG,
+    };
+}
+
+// J2000 RA (hours) / Dec (degrees) to galactic longitude / latitude (degrees)
+function equatorialToGalactic(ra, dec) {
+    const d = dec * DEG;
+    const poleDec = GALACTIC_POLE_DEC * DEG;
+    const dRa = (ra * 15 - GALACTIC_POLE_RA) * DEG;
+    const sinB = Math.sin(d) * Math.sin(poleDec) + Math.cos(d) * Math.cos(poleDec) * Math.cos(dRa);
+    const l = GALACTIC_NCP_LONGITUDE * DEG - Math.atan2(
+        Math.cos(d) * Math.sin(dRa),
+        Math.sin(d) * Math.cos(poleDec) - Math.cos(d) * Math.sin(poleDec) * Math.cos(dRa)
+    );
+    return {
+        l: normalizeDegrees(l / DEG),
+        b: Math.asin(Math.max(-1, Math.min(1, sinB))) / DEG,
+    };
+}
+
+// Rotation matrix from J2000 mean equatorial coordinates to the mean equator and equinox of a
+// date (IAU 1976 precession, Lieske 1977; good to well under an arcminute over several millennia)
+function precessionMatrix(date) {
+    const t = julianCenturies(date);
+    const arcsec = DEG / 3600;
+    const zeta = (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) * arcsec;
+    const z = (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) * arcsec;
+    const theta = (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) * arcsec;
+
+    const cosZeta = Math.cos(zeta);
+    const sinZeta = Math.sin(zeta);
+    const cosZ = Math.cos(z);
+    const sinZ = Math.sin(z);
+    const cosTheta = Math.cos(theta);
+    const sinTheta = Math.sin(theta);
+    return [
+        [cosZeta * cosTheta * cosZ - sinZeta * sinZ, -sinZeta * cosTheta * cosZ - cosZeta * sinZ, -sinTheta * cosZ],
+        [cosZeta * cosTheta * sinZ + sinZeta * cosZ, -sinZeta * cosTheta * sinZ + cosZeta * cosZ, -sinTheta * sinZ],
+        [cosZeta * sinTheta, -sinZeta * sinTheta, cosTheta],
+    ];
+}
+
+// RA (hours) / Dec (degrees) turned by a rotation matrix, or by its inverse (J2000 from date)
+function rotateEquatorial(ra, dec, matrix, inverse = false) {
+    const r = ra * 15 * DEG;
+    const d = dec * DEG;
+    const v = [Math.cos(d) * Math.cos(r), Math.cos(d) * Math.sin(r), Math.sin(d)];
+    const m = (i, j) => (inverse ? matrix[j][i] : matrix[i][j]);
+    const x = m(0, 0) * v[0] + m(0, 1) * v[1] + m(0, 2) * v[2];
+    const y = m(1, 0) * v[0] + m(1, 1) * v[1] + m(1, 2) * v[2];
+    const z = m(2, 0) * v[0] + m(2, 1) * v[1] + m(2, 2) * v[2];
+    return {
+        ra: normalizeDegrees(Math.atan2(y, x) / DEG) / 15,
+        dec: Math.asin(Math.max(-1, Math.min(1, z))) / DEG,
+    };
+}
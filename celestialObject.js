@@ -0,0 +1,240 @@
+// Celestial Object Model
+// Every search result, whichever source it came from, is a celestial object of one shape. Results
+// from several sources that describe the same object are merged into one, keeping the source of
+// every field.
+//
+// Object fields:
+//   name, type       display name and object type
+//   identifiers      every name and designation the object is known by, name first
+//   coordinates      { ra (hours), dec (degrees), epoch, date } or null. epoch is the reference
+//                    frame ('J2000'); date is the instant a moving object's position applies to
+//                    (null for fixed objects)
+//   magnitudes       { V: apparent visual, H: absolute (small bodies) }
+//   physical         measured properties, keyed as in PHYSICAL_PROPERTIES
+//   details          other source-specific values, label -> display text
+//   planets, track, orbitalElements, orbitalData   optional, as provided by the source
+//   bodyId           SOLAR_SYSTEM_BODIES key of the Sun, Moon or a planet, placed from the ephemeris
+//   orbitId          SBDB designation the orbital elements can be looked up again by
+//   source           display name of the source ('SIMBAD', or 'SIMBAD + Star Catalog' once merged)
+//   provenance       source of each field: 'coordinates', 'magnitudes.V', 'physical.distancePc',
+//                    'details.Orbit Class', 'planets', ...
+//   sources          after merging: [{ name, provider, cache }] for every source that contributed
+
+// Magnitude bands shown on result cards
+const MAGNITUDE_BANDS = {
+    V: { label: 'Visual Magnitude' },
+    H: { label: 'Absolute Magnitude (H)' },
+};
+
+// Physical properties: card label and display format
+const PHYSICAL_PROPERTIES = {
+    distancePc: {
+        label: 'Distance from Earth',
+        format: value => `${value.toFixed(2)} parsecs (${(value * 3.2616).toFixed(1)} light years)`,
+    },
+    distanceAu: {
+        label: 'Distance from Earth',
+        // The Moon is closer in kilometres
+        format: value => value < 0.01
+            ? `${Math.round(value * AU_KM).toLocaleString()} km`
+            : `${value.toFixed(3)} AU (${(value * AU_KM / 1e6).toFixed(1)} million km)`,
+    },
+    sunDistanceAu: { label: 'Distance from Sun', format: value => `${value.toFixed(3)} AU` },
+    diameterKm: { label: 'Diameter', format: value => `${value.toFixed(2)} km` },
+    diameterRangeM: {
+        label: 'Estimated Diameter',
+        format: ([min, max]) => `${min.toFixed(0)}–${max.toFixed(0)} m`,
+    },
+    rotationPeriodH: { label: 'Rotation Period', format: value => `${value} hours` },
+    spectralType: { label: 'Spectral Type' },
+    colorIndex: { label: 'B-V Color Index', format: value => value.toFixed(2) },
+    morphology: { label: 'Morphology' },
+    redshift: { label: 'Redshift', format: value => value.toFixed(6) },
+    angularSize: {
+        label: 'Angular Size',
+        format: ({ major, minor }) => minor !== null && minor !== major ? `${major}′ × ${minor}′` : `${major}′`,
+    },
+    positionAngle: { label: 'Position Angle', format: value => `${value}°` },
+    planetCount: { label: 'Known Planets' },
+};
+
+// Fields carried over whole from the first source that has them
+const OBJECT_ATTACHMENTS = ['planets', 'track', 'orbitalElements', 'orbitalData', 'bodyId', 'orbitId'];
+
+// Fixed objects this close together (degrees) are taken to be the same object
+const SAME_OBJECT_RADIUS = 1 / 60;
+
+// Most alternative identifiers listed on a result card
+const MAX_LISTED_IDENTIFIERS = 12;
+
+// Copy of an object map without null, undefined and empty values
+function withoutEmptyValues(values = {}) {
+    return Object.fromEntries(Object.entries(values)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '' && !Number.isNaN(value)));
+}
+
+// A celestial object from one source; every field it has is attributed to that source
+function createCelestialObject(source, fields) {
+    const object = {
+        name: fields.name,
+        type: fields.type || 'Astronomical Object',
+        identifiers: [...new Set([fields.name, ...(fields.identifiers || [])].filter(Boolean))],
+        coordinates: fields.coordinates ? { epoch: 'J2000', date: null, ...fields.coordinates } : null,
+        magnitudes: withoutEmptyValues(fields.magnitudes),
+        physical: withoutEmptyValues(fields.physical),
+        details: withoutEmptyValues(fields.details),
+        source,
+        provenance: {},
+    };
+    OBJECT_ATTACHMENTS.forEach(key => {
+        if (fields[key]) object[key] = fields[key];
+    });
+
+    if (object.coordinates) object.provenance.coordinates = source;
+    ['magnitudes', 'physical', 'details'].forEach(group => {
+        Object.keys(object[group]).forEach(key => {
+            object.provenance[`${group}.${key}`] = source;
+        });
+    });
+    OBJECT_ATTACHMENTS.forEach(key => {
+        if (object[key]) object.provenance[key] = source;
+    });
+    return object;
+}
+
+// Copy of an object credited to a different source name (e.g. fixture data standing in for an archive)
+function relabelSource(object, source) {
+    return {
+        ...object,
+        source,
+        provenance: Object.fromEntries(Object.keys(object.provenance).map(field => [field, source])),
+    };
+}
+
+// Identifier keys used for matching; bare numbers (NEO reference ids, SBDB numbers) are too
+// ambiguous to join on
+function identifierKeys(object) {
+    return object.identifiers
+        .map(identifier => normalizeSearchTerm(identifier))
+        .filter(key => key && /[a-z]/.test(key));
+}
+
+// Whether two results came from the same provider and source. One source lists distinct objects
+// separately, however close (the two hosts of a close binary), so its results are never joined.
+function isSameOrigin(a, b) {
+    return (a.provider || null) === (b.provider || null) && a.source === b.source;
+}
+
+// Whether two types can name the same object (see markerCategory): the same category, an
+// uncategorized type, or a star and the exoplanet system around it
+function isCompatibleType(a, b) {
+    const categories = [markerCategory(a.type), markerCategory(b.type)];
+    return categories[0] === categories[1] ||
+        categories.includes('other') ||
+        categories.every(category => category === 'star' || category === 'exoplanetHost');
+}
+
+// Whether two results describe the same object: a shared identifier, or (for objects of compatible
+// types that do not move) positions within SAME_OBJECT_RADIUS
+function isSameObject(a, b) {
+    const keys = new Set(identifierKeys(a));
+    if (identifierKeys(b).some(key => keys.has(key))) return true;
+
+    if (!a.coordinates || !b.coordinates || a.coordinates.date || b.coordinates.date) return false;
+    if (!isCompatibleType(a, b)) return false;
+    return angularSeparation(a.coordinates.ra, a.coordinates.dec, b.coordinates.ra, b.coordinates.dec) <= SAME_OBJECT_RADIUS;
+}
+
+// Join results from different sources that describe the same object. Results keep their order;
+// within a merged object each field comes from the first result that has it, and the name from the
+// result named like the query (so "Sirius" stays Sirius rather than SIMBAD's "α CMa").
+function mergeCelestialObjects(objects, query = '') {
+    const groups = [];
+    objects.forEach(object => {
+        const group = groups.find(members =>
+            !members.some(member => isSameOrigin(member, object)) &&
+            members.some(member => isSameObject(member, object)));
+        if (group) {
+            group.push(object);
+        } else {
+            groups.push([object]);
+        }
+    });
+    return groups.map(group => combineCelestialObjects(group, query));
+}
+
+function combineCelestialObjects(parts, query) {
+    const queryKey = normalizeSearchTerm(query);
+    const named = parts.find(part => normalizeSearchTerm(part.name) === queryKey) || parts[0];
+    const sources = parts.map(part => ({ name: part.source, provider: part.provider || null, cache: part.cache || null }));
+
+    const merged = {
+        name: named.name,
+        type: parts[0].type,
+        identifiers: [...new Set([named.name, ...parts.flatMap(part => part.identifiers)])],
+        coordinates: null,
+        magnitudes: {},
+        physical: {},
+        details: {},
+        source: [...new Set(sources.map(source => source.name))].join(' + '),
+        provenance: {},
+        sources,
+        provider: parts[0].provider,
+        cache: parts[0].cache,
+    };
+
+    parts.forEach(part => {
+        if (!merged.coordinates && part.coordinates) {
+            merged.coordinates = part.coordinates;
+            merged.provenance.coordinates = part.provenance.coordinates;
+        }
+        ['magnitudes', 'physical', 'details'].forEach(group => {
+            Object.entries(part[group]).forEach(([key, value]) => {
+                if (!(key in merged[group])) {
+                    merged[group][key] = value;
+                    merged.provenance[`${group}.${key}`] = part.provenance[`${group}.${key}`];
+                }
+            });
+        });
+        OBJECT_ATTACHMENTS.forEach(key => {
+            if (!merged[key] && part[key]) {
+                merged[key] = part[key];
+                merged.provenance[key] = part.provenance[key];
+            }
+        });
+    });
+    return merged;
+}
+
+// Card rows for an object, in display order: [{ label, value (text), source }]
+function describeCelestialObject(object) {
+    const rows = [];
+    const { provenance } = object;
+
+    if (object.coordinates) {
+        const { ra, dec, epoch, date } = object.coordinates;
+        rows.push({ label: `Right Ascension (${epoch})`, value: formatRightAscension(ra), source: provenance.coordinates });
+        rows.push({ label: `Declination (${epoch})`, value: formatDeclination(dec), source: provenance.coordinates });
+        if (date) {
+            rows.push({ label: 'Position Date', value: `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`, source: provenance.coordinates });
+        }
+    }
+    Object.entries(MAGNITUDE_BANDS).forEach(([band, { label }]) => {
+        if (band in object.magnitudes) {
+            rows.push({ label, value: object.magnitudes[band].toFixed(2), source: provenance[`magnitudes.${band}`] });
+        }
+    });
+    // One distance from Earth per card: a merged card can hold a solar-system distance in AU and
+    // a catalog distance in parsecs, and the live AU figure is the one that applies
+    const skipped = 'distanceAu' in object.physical ? ['distancePc'] : [];
+    Object.entries(PHYSICAL_PROPERTIES).forEach(([key, { label, format }]) => {
+        if (key in object.physical && !skipped.includes(key)) {
+            const value = object.physical[key];
+            rows.push({ label, value: format ? format(value) : String(value), source: provenance[`physical.${key}`] });
+        }
+    });
+    Object.entries(object.details).forEach(([label, value]) => {
+        rows.push({ label, value: String(value), source: provenance[`details.${label}`] });
+    });
+    return rows;
+}
@@ -0,0 +1,482 @@
+// Close Approach Browser Module
+// Near-Earth object approaches to Earth over a date range, from the NeoWs feed. The feed answers
+// at most NEO_FEED_MAX_DAYS per request, so longer ranges are fetched page by page, and pages are
+// kept in the response cache like provider responses. Approaches are listed in a sortable,
+// filterable table and on a timeline of miss distance; clicking either opens the object's card.
+
+// Days per feed request, longest range loaded at once, and the range first offered
+const NEO_FEED_MAX_DAYS = 7;
+const MAX_CLOSE_APPROACH_DAYS = 60;
+const DEFAULT_CLOSE_APPROACH_DAYS = 7;
+
+// Response cache entry name and lifetime for feed pages (orbit solutions change slowly)
+const NEO_FEED_CACHE_ID = 'neows-feed';
+const NEO_FEED_CACHE_TTL = 6 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timeline size and plot margins (pixels), and dot colors
+const NEO_TIMELINE_HEIGHT = 220;
+const NEO_TIMELINE_MARGIN = { left: 78, right: 15, top: 12, bottom: 26 };
+const NEO_HAZARDOUS_COLOR = '#ff6b6b';
+const NEO_APPROACH_COLOR = '#74c0fc';
+
+// Table columns: header, value sorted on, and cell text
+const CLOSE_APPROACH_COLUMNS = [
+    { key: 'date', label: 'Approach (UTC)', sortValue: approach => approach.time, format: approach => approach.dateText },
+    { key: 'name', label: 'Object', sortValue: approach => approach.name.toLowerCase(), format: approach => approach.name },
+    {
+        key: 'missDistance', label: 'Miss Distance', sortValue: approach => approach.missKm,
+        format: approach => approach.missKm === null ? '\u2014' : formatMissDistance(approach.missKm),
+    },
+    {
+        key: 'velocity', label: 'Velocity', sortValue: approach => approach.velocityKms,
+        format: approach => approach.velocityKms === null ? '\u2014' : `${approach.velocityKms.toFixed(2)} km/s`,
+    },
+    {
+        key: 'diameter', label: 'Est. Diameter', sortValue: approach => approach.diameterM,
+        format: approach => approach.diameterM === null
+            ? '\u2014'
+            : PHYSICAL_PROPERTIES.diameterRangeM.format([approach.diameterMinM, approach.diameterMaxM]),
+    },
+    {
+        key: 'magnitude', label: 'H', sortValue: approach => approach.magnitudeH,
+        format: approach => approach.magnitudeH === null ? '\u2014' : approach.magnitudeH.toFixed(1),
+    },
+    {
+        key: 'hazardous', label: 'Hazardous', sortValue: approach => approach.hazardous ? 1 : 0,
+        format: approach => approach.hazardous ? 'Yes' : 'No',
+    },
+];
+
+// "YYYY-MM-DD" for a time (ms, UTC), and back
+function toIsoDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function parseIsoDate(text) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? Date.parse(`${text}T00:00:00Z`) : NaN;
+}
+
+// Feed requests covering start..end (inclusive "YYYY-MM-DD" dates): [{ start, end }]
+function splitFeedRange(start, end) {
+    const pages = [];
+    for (let time = parseIsoDate(start); time <= parseIsoDate(end); time += NEO_FEED_MAX_DAYS * DAY_MS) {
+        pages.push({ start: toIsoDate(time), end: toIsoDate(Math.min(time + (NEO_FEED_MAX_DAYS - 1) * DAY_MS, parseIsoDate(end))) });
+    }
+    return pages;
+}
+
+// SBDB designation for a NeoWs name: "(2024 AB1)" -> "2024 AB1", "433 Eros (A898 PA)" -> "433"
+function neoDesignation(name) {
+    const provisional = name.match(/^\((.+)\)$/);
+    if (provisional) return provisional[1];
+    const numbered = name.match(/^(\d+)\s/);
+    return numbered ? numbered[1] : name;
+}
+
+// One row per approach to Earth in a feed response
+function parseCloseApproachFeed(data) {
+    const approaches = [];
+    Object.entries(data.near_earth_objects || {}).forEach(([date, neos]) => {
+        neos.forEach(neo => {
+            const approach = (neo.close_approach_data || [])
+                .find(entry => entry.close_approach_date === date && (entry.orbiting_body || 'Earth') === 'Earth');
+            if (!approach) return;
+
+            const time = approach.epoch_date_close_approach || parseIsoDate(date);
+            const diameter = neo.estimated_diameter?.meters;
+            const diameterMinM = parseNumber(diameter?.estimated_diameter_min);
+            const diameterMaxM = parseNumber(diameter?.estimated_diameter_max);
+            const missKm = parseNumber(approach.miss_distance?.kilometers);
+            approaches.push({
+                key: `${neo.id}:${time}`,
+                neo: { ...neo, close_approach_data: [approach] },
+                name: neo.name,
+                time,
+                dateText: approach.epoch_date_close_approach
+                    ? new Date(time).toISOString().slice(0, 16).replace('T', ' ')
+                    : date,
+                missKm,
+                missLd: missKm === null ? null : missKm / LUNAR_DISTANCE_KM,
+                velocityKms: parseNumber(approach.relative_velocity?.kilometers_per_second),
+                diameterMinM,
+                diameterMaxM,
+                diameterM: diameterMinM !== null && diameterMaxM !== null ? (diameterMinM + diameterMaxM) / 2 : null,
+                magnitudeH: parseNumber(neo.absolute_magnitude_h),
+                hazardous: Boolean(neo.is_potentially_hazardous_asteroid),
+            });
+        });
+    });
+    return approaches;
+}
+
+class CloseApproachBrowser {
+    constructor() {
+        this.approaches = [];
+        this.range = null; // { start, end } of the loaded approaches ("YYYY-MM-DD")
+        this.sort = { key: 'date', direction: 1 };
+        this.selectedKey = null;
+        this.loading = false;
+        // Timeline dots for hit-testing: [{ x, y, radius, approach }]
+        this.timelineHitAreas = [];
+    }
+
+    setup() {
+        this.canvas = document.getElementById('neoTimelineCanvas');
+        this.tableContainer = document.getElementById('neoTableContainer');
+        const startInput = document.getElementById('neoStartDate');
+        const endInput = document.getElementById('neoEndDate');
+        const loadBtn = document.getElementById('neoLoadBtn');
+        if (!this.canvas || !startInput || !endInput || !loadBtn) return;
+
+        const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+        startInput.value = toIsoDate(today);
+        endInput.value = toIsoDate(today + (DEFAULT_CLOSE_APPROACH_DAYS - 1) * DAY_MS);
+        loadBtn.addEventListener('click', () => this.load(startInput.value, endInput.value));
+
+        ['neoMaxDistance', 'neoMinVelocity', 'neoMinDiameter', 'neoNameFilter', 'neoHazardousOnly'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', () => this.render());
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const approach = this.pickApproach(e.offsetX, e.offsetY);
+            this.canvas.style.cursor = approach ? 'pointer' : 'default';
+            this.canvas.title = approach
+                ? `${approach.name}, ${approach.dateText} UTC, ${approach.missLd.toFixed(2)} LD`
+                : '';
+        });
+        this.canvas.addEventListener('click', (e) => {
+            const approach = this.pickApproach(e.offsetX, e.offsetY);
+            if (approach) this.showDetails(approach);
+        });
+        window.addEventListener('resize', () => this.renderTimeline(this.getFilteredApproaches()));
+
+        this.render();
+    }
+
+    showStatus(message) {
+        const status = document.getElementById('neoStatus');
+        if (status) status.textContent = message;
+    }
+
+    // Fetch every feed page of a date range, one request at a time (the shared DEMO_KEY allows few
+    // requests an hour). Pages that fail are reported and the rest still shown.
+    async load(start, end) {
+        const startTime = parseIsoDate(start);
+        const endTime = parseIsoDate(end);
+        if (isNaN(startTime) || isNaN(endTime)) {
+            this.showStatus('Choose a start and end date.');
+            return;
+        }
+        if (endTime < startTime) {
+            this.showStatus('The end date is before the start date.');
+            return;
+        }
+        if ((endTime - startTime) / DAY_MS + 1 > MAX_CLOSE_APPROACH_DAYS) {
+            this.showStatus(`Choose a range of at most ${MAX_CLOSE_APPROACH_DAYS} days.`);
+            return;
+        }
+        if (this.loading) return;
+
+        this.loading = true;
+        const pages = splitFeedRange(start, end);
+        const approaches = new Map();
+        const failures = [];
+        for (const [i, page] of pages.entries()) {
+            this.showStatus(`Loading close approaches${pages.length > 1 ? ` (${i + 1} of ${pages.length})` : ''}...`);
+            try {
+                const data = await this.fetchFeedPage(page.start, page.end);
+                parseCloseApproachFeed(data).forEach(approach => approaches.set(approach.key, approach));
+            } catch (error) {
+                const reason = error.kind ? PROVIDER_ERROR_MESSAGES[error.kind] : error.message;
+                failures.push(`${page.start} to ${page.end} (${reason})`);
+            }
+        }
+        this.loading = false;
+
+        this.approaches = [...approaches.values()];
+        this.range = { start, end };
+        this.selectedKey = null;
+        updateQuotaDisplay();
+        this.render(failures.length > 0 ? ` Could not load ${failures.join(', ')}.` : '');
+    }
+
+    // Feed response for one page, from the response cache when fresh (or when offline)
+    async fetchFeedPage(start, end) {
+        const cache = providerRegistry.cache;
+        const key = `${start}/${end}`;
+        const offline = providerRegistry.isOffline();
+        const entry = cache ? await cache.get(NEO_FEED_CACHE_ID, key) : null;
+        if (entry && entry.raw && (offline || cache.isFresh(entry, NEO_FEED_CACHE_TTL))) {
+            return entry.raw;
+        }
+        if (offline) {
+            throw new ProviderError('Offline and not cached', 'network');
+        }
+
+        const apiKey = encodeURIComponent(getNasaApiKey());
+        const response = await fetchWithBackoff(`${API_ENDPOINTS.NEO_FEED}?start_date=${start}&end_date=${end}&api_key=${apiKey}`, { provider: neowsProvider });
+        if (!response.ok) {
+            throw errorFromResponse(response, 'NeoWs feed');
+        }
+        const data = await response.json();
+        if (cache) {
+            await cache.put(NEO_FEED_CACHE_ID, key, data, []);
+        }
+        return data;
+    }
+
+    // Approaches passing the filter inputs, in table order
+    getFilteredApproaches() {
+        const number = id => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return isNaN(value) ? null : value;
+        };
+        const maxDistance = number('neoMaxDistance');
+        const minVelocity = number('neoMinVelocity');
+        const minDiameter = number('neoMinDiameter');
+        const hazardousInput = document.getElementById('neoHazardousOnly');
+        const hazardousOnly = hazardousInput ? hazardousInput.checked : false;
+        const nameInput = document.getElementById('neoNameFilter');
+        const name = nameInput ? normalizeSearchTerm(nameInput.value) : '';
+
+        const column = CLOSE_APPROACH_COLUMNS.find(entry => entry.key === this.sort.key);
+        return this.approaches
+            .filter(approach =>
+                (maxDistance === null || (approach.missLd !== null && approach.missLd <= maxDistance)) &&
+                (minVelocity === null || (approach.velocityKms !== null && approach.velocityKms >= minVelocity)) &&
+                (minDiameter === null || (approach.diameterM !== null && approach.diameterM >= minDiameter)) &&
+                (!hazardousOnly || approach.hazardous) &&
+                (!name || normalizeSearchTerm(approach.name).includes(name)))
+            .sort((a, b) => {
+                const valueA = column.sortValue(a);
+                const valueB = column.sortValue(b);
+                // Missing values sort last either way
+                if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+                return (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) * this.sort.direction;
+            });
+    }
+
+    render(note = '') {
+        const approaches = this.getFilteredApproaches();
+        this.renderTable(approaches);
+        this.renderTimeline(approaches);
+        if (this.loading) return;
+        if (!this.range) {
+            this.showStatus('Choose dates and load the approaches reported by NASA NeoWs.' + note);
+            return;
+        }
+        const hazardous = approaches.filter(approach => approach.hazardous).length;
+        const shown = approaches.length === this.approaches.length
+            ? `${approaches.length} approach${approaches.length === 1 ? '' : 'es'}`
+            : `${approaches.length} of ${this.approaches.length} approaches`;
+        this.showStatus(`${shown} from ${this.range.start} to ${this.range.end}, ${hazardous} potentially hazardous.${note}`);
+    }
+
+    renderTable(approaches) {
+        this.tableContainer.innerHTML = '';
+        if (approaches.length === 0) {
+            if (this.range) {
+                const empty = document.createElement('p');
+                empty.className = 'cone-empty';
+                empty.textContent = this.approaches.length > 0 ? 'No approaches match the filters.' : 'No approaches in this range.';
+                this.tableContainer.appendChild(empty);
+            }
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'planet-table cone-table neo-table';
+        const head = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        CLOSE_APPROACH_COLUMNS.forEach(column => {
+            const header = document.createElement('th');
+            const sorted = this.sort.key === column.key;
+            header.setAttribute('aria-sort', sorted ? (this.sort.direction > 0 ? 'ascending' : 'descending') : 'none');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = column.label;
+            button.addEventListener('click', () => {
+                this.sort = { key: column.key, direction: sorted ? -this.sort.direction : 1 };
+                this.render();
+            });
+            header.appendChild(button);
+            headerRow.appendChild(header);
+        });
+        head.appendChild(headerRow);
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        approaches.forEach(approach => {
+            const row = document.createElement('tr');
+            if (approach.hazardous) row.className = 'neo-hazardous';
+            if (approach.key === this.selectedKey) row.classList.add('neo-selected');
+            CLOSE_APPROACH_COLUMNS.forEach(column => {
+                const cell = document.createElement('td');
+                if (column.key === 'name') {
+                    const open = document.createElement('button');
+                    open.type = 'button';
+                    open.textContent = approach.name;
+                    open.addEventListener('click', () => this.showDetails(approach));
+                    cell.appendChild(open);
+                } else {
+                    cell.textContent = column.format(approach);
+                }
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        this.tableContainer.appendChild(table);
+    }
+
+    // Miss distance (log scale, lunar distances) against approach time; dot size follows diameter
+    renderTimeline(approaches) {
+        const container = this.canvas.parentElement;
+        this.canvas.width = Math.max(300, container.getBoundingClientRect().width || 0);
+        this.canvas.height = NEO_TIMELINE_HEIGHT;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const margin = NEO_TIMELINE_MARGIN;
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        this.timelineHitAreas = [];
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        const placed = approaches.filter(approach => approach.missLd !== null && approach.missLd > 0);
+        if (!this.range || placed.length === 0) {
+            ctx.fillStyle = '#a0a0d0';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.range ? 'No approaches to show' : 'Load a date range to see the timeline', width / 2, height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        const startTime = parseIsoDate(this.range.start);
+        const endTime = parseIsoDate(this.range.end) + DAY_MS;
+        const logs = placed.map(approach => Math.log10(approach.missLd));
+        const minLog = Math.floor(Math.min(...logs));
+        const maxLog = Math.max(minLog + 1, Math.ceil(Math.max(...logs)));
+        const x = time => margin.left + (time - startTime) / (endTime - startTime) * plotWidth;
+        const y = ld => margin.top + (1 - (Math.log10(ld) - minLog) / (maxLog - minLog)) * plotHeight;
+
+        // Distance grid at powers of ten; 1 LD is the Moon's distance
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        for (let power = minLog; power <= maxLog; power++) {
+            const ld = Math.pow(10, power);
+            const lineY = y(ld);
+            ctx.strokeStyle = power === 0 ? 'rgba(255, 209, 102, 0.5)' : 'rgba(160, 160, 208, 0.2)';
+            ctx.beginPath();
+            ctx.moveTo(margin.left, lineY);
+            ctx.lineTo(width - margin.right, lineY);
+            ctx.stroke();
+            ctx.fillStyle = power === 0 ? '#ffd166' : '#a0a0d0';
+            ctx.fillText(power === 0 ? '1 LD (Moon)' : `${ld < 1 ? ld.toFixed(-power) : ld} LD`, margin.left - 6, lineY + 3);
+        }
+
+        // Day ticks, labeled often enough to stay legible
+        const days = Math.round((endTime - startTime) / DAY_MS);
+        const labelEvery = Math.ceil(days / Math.max(1, Math.floor(plotWidth / 60)));
+        ctx.textAlign = 'center';
+        for (let day = 0; day <= days; day++) {
+            const tickX = x(startTime + day * DAY_MS);
+            ctx.strokeStyle = 'rgba(160, 160, 208, 0.15)';
+            ctx.beginPath();
+            ctx.moveTo(tickX, margin.top);
+            ctx.lineTo(tickX, height - margin.bottom);
+            ctx.stroke();
+            if (day < days && day % labelEvery === 0) {
+                ctx.fillStyle = '#a0a0d0';
+                ctx.fillText(toIsoDate(startTime + day * DAY_MS).slice(5), x(startTime + (day + 0.5) * DAY_MS), height - margin.bottom + 14);
+            }
+        }
+        ctx.textAlign = 'left';
+
+        // Hazardous objects are drawn last so they stay on top
+        const ordered = placed.slice().sort((a, b) => a.hazardous - b.hazardous);
+        ordered.forEach(approach => {
+            const dotX = x(approach.time);
+            const dotY = y(approach.missLd);
+            const radius = approach.diameterM === null
+                ? 3
+                : Math.max(2.5, Math.min(9, 1 + 1.5 * Math.log10(Math.max(1, approach.diameterM))));
+            ctx.globalAlpha = 0.85;
+            ctx.fillStyle = approach.hazardous ? NEO_HAZARDOUS_COLOR : NEO_APPROACH_COLOR;
+            ctx.beginPath();
+            ctx.arc(dotX, dotY, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            if (approach.key === this.selectedKey) {
+                ctx.strokeStyle = '#ffd166';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(dotX, dotY, radius + 4, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.lineWidth = 1;
+            }
+            this.timelineHitAreas.push({ x: dotX, y: dotY, radius, approach });
+        });
+    }
+
+    // Timeline dot nearest a canvas point within PICK_TOLERANCE of its edge, or null
+    pickApproach(x, y) {
+        let best = null;
+        let bestDistance = Infinity;
+        this.timelineHitAreas.forEach(area => {
+            const distance = Math.hypot(area.x - x, area.y - y) - area.radius;
+            if (distance <= PICK_TOLERANCE && distance < bestDistance) {
+                best = area.approach;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Detail card for an approach: the feed's NeoWs record joined with the SBDB entry (orbit,
+    // sky position and track) when that source is enabled
+    async showDetails(approach) {
+        this.selectedKey = approach.key;
+        this.render();
+
+        const designation = neoDesignation(approach.name);
+        document.getElementById('searchInput').value = designation;
+        lastSearchQuery = designation;
+        hideError();
+        clearResults();
+        showLoading();
+
+        holdUrlStateUpdates();
+        try {
+            // The source status shows this lookup alone: the feed's NeoWs record and the SBDB search
+            const outcomes = [];
+            const neows = { ...formatNeoResult(approach.neo), provider: 'neows', cache: null };
+            providerRegistry.recordOutcome(outcomes, neowsProvider, 'results', 1);
+            const sbdb = providerRegistry.isEnabled('sbdb')
+                ? await providerRegistry.searchProvider(sbdbProvider, designation, outcomes)
+                : [];
+            providerRegistry.lastSearch = outcomes;
+            const results = mergeCelestialObjects([...sbdb, neows], designation);
+            hideLoading();
+            renderSourceStatus();
+            updateQuotaDisplay();
+            displayResults(results);
+            plotObjectsOnStarMap(results, designation);
+            document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            hideLoading();
+            showError(`An error occurred: ${error.message}`);
+        } finally {
+            releaseUrlStateUpdates();
+        }
+    }
+}
+
+const closeApproachBrowser = new CloseApproachBrowser();
+
+document.addEventListener('DOMContentLoaded', () => closeApproachBrowser.setup());
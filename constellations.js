@@ -0,0 +1,136 @@
+// Constellation Module
+// IAU stick figures, boundaries and labels (data/constellations.js), plus RA/Dec -> constellation lookup
+
+class ConstellationCatalog {
+    constructor(names, lines, boundaries, catalog) {
+        this.constellations = Object.entries(names).map(([id, info]) => ({
+            id,
+            abbreviation: id.slice(0, 3),
+            name: info.name,
+            genitive: info.genitive,
+            label: { ra: info.label[0], dec: info.label[1] },
+        }));
+        this.byId = new Map(this.constellations.map(c => [c.id, c]));
+
+        this.lineSegments = this.buildLineSegments(lines, catalog);
+        this.boundaries = this.buildBoundaries(boundaries);
+    }
+
+    // Turn HIP polylines into { star1, star2 } segments referencing catalog stars
+    buildLineSegments(lines, catalog) {
+        const segments = [];
+        Object.entries(lines).forEach(([id, polylines]) => {
+            polylines.forEach(polyline => {
+                for (let i = 1; i < polyline.length; i++) {
+                    const star1 = catalog.findByHip(polyline[i - 1]);
+                    const star2 = catalog.findByHip(polyline[i]);
+                    if (star1 && star2) {
+                        segments.push({ star1, star2, constellation: id });
+                    }
+                }
+            });
+        });
+        return segments;
+    }
+
+    // Unwrap each boundary ring so RA is continuous, closing rings around a celestial pole
+    buildBoundaries(boundaries) {
+        return Object.entries(boundaries).map(([id, ring]) => {
+            const polygon = [{ ra: ring[0][0], dec: ring[0][1] }];
+            for (let i = 1; i < ring.length; i++) {
+                let dRa = ring[i][0] - ring[i - 1][0];
+                if (dRa > 12) dRa -= 24;
+                if (dRa < -12) dRa += 24;
+                polygon.push({ ra: polygon[i - 1].ra + dRa, dec: ring[i][1] });
+            }
+
+            // A ring that winds once around the sky encloses a pole (Ursa Minor, Octans)
+            const first = polygon[0];
+            const last = polygon[polygon.length - 1];
+            const winding = Math.round((last.ra - first.ra) / 24);
+            const testPolygon = polygon.slice();
+            if (winding !== 0) {
+                const poleDec = polygon.reduce((sum, p) => sum + p.dec, 0) > 0 ? 90 : -90;
+                testPolygon.push({ ra: last.ra, dec: poleDec }, { ra: first.ra, dec: poleDec });
+            }
+
+            const ras = testPolygon.map(p => p.ra);
+            return {
+                id,
+                ring: ring.map(([ra, dec]) => ({ ra, dec })),
+                polygon: testPolygon,
+                minRa: Math.min(...ras),
+                maxRa: Math.max(...ras),
+            };
+        });
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    // Find the constellation containing a position (RA in hours, Dec in degrees)
+    findConstellation(ra, dec) {
+        ra = ((ra % 24) + 24) % 24;
+
+        for (const boundary of this.boundaries) {
+            // Try the RA shifted by a full turn, since unwrapped rings may extend outside 0-24h
+            for (const shift of [0, 24, -24]) {
+                const x = ra + shift;
+                if (x < boundary.minRa || x > boundary.maxRa) continue;
+                if (this.pointInPolygon(x, dec, boundary.polygon)) {
+                    return this.get(boundary.id);
+                }
+            }
+        }
+        return null;
+    }
+
+    // Even-odd ray casting in the (RA, Dec) plane
+    pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.dec > y) !== (b.dec > y) &&
+                x < (b.ra - a.ra) * (y - a.dec) / (b.dec - a.dec) + a.ra) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Boundary outlines densified to roughly one point per stepDegrees, so edges of
+    // constant declination follow their true curve under any projection
+    getBoundaryPaths(stepDegrees = 2) {
+        return this.boundaries.map(boundary => {
+            const points = [];
+            const ring = boundary.ring.concat([boundary.ring[0]]);
+            for (let i = 1; i < ring.length; i++) {
+                const a = ring[i - 1];
+                const b = ring[i];
+                let dRa = b.ra - a.ra;
+                if (dRa > 12) dRa -= 24;
+                if (dRa < -12) dRa += 24;
+                const span = Math.max(Math.abs(dRa * 15) * Math.cos(a.dec * Math.PI / 180), Math.abs(b.dec - a.dec));
+                const steps = Math.max(1, Math.ceil(span / stepDegrees));
+                for (let s = 0; s < steps; s++) {
+                    const t = s / steps;
+                    points.push({
+                        ra: (a.ra + dRa * t + 24) % 24,
+                        dec: a.dec + (b.dec - a.dec) * t,
+                    });
+                }
+            }
+            return { id: boundary.id, points };
+        });
+    }
+}
+
+// Shared constellation catalog used by the star map and result cards
+const constellationCatalog = new ConstellationCatalog(
+    CONSTELLATION_NAMES,
+    CONSTELLATION_LINES,
+    CONSTELLATION_BOUNDARIES,
+    starCatalog
+);
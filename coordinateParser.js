@@ -0,0 +1,121 @@
+// Coordinate Parser Module
+// Reads sky positions typed into the search box: sexagesimal or decimal, RA in hours or degrees,
+// equatorial J2000 or galactic. Examples that all parse:
+//   "10h45m03.6s -59d41m04s"   "10 45 03.6, -59 41 04"   "10:45:03.6 -59:41:04"
+//   "161.265 -59.685"          "10.751h -59.685"          "05h35m17s +07°24'25\""
+//   "gal 287.6 -0.6"           "l=287.6 b=-0.6"           "J2000 161.265 -59.685"
+
+// Frame keywords: equatorial input is J2000 (ICRS and FK5 J2000 agree to well under an arcsecond)
+const EQUATORIAL_FRAME_PATTERN = /\b(?:j2000(?:\.0)?|icrs|fk5|equatorial)\b/g;
+const GALACTIC_FRAME_PATTERN = /\b(?:galactic|gal)\b/g;
+const COORDINATE_LABEL_PATTERN = /\b(?:ra|dec|l|b)\s*[=:]/g;
+
+// Unit marker allowed after each sexagesimal part (degrees/hours, minutes, seconds)
+const SEXAGESIMAL_MARKERS = [['h', 'd', '°', ':', ''], ['m', "'", ':', ''], ['s', '"', '']];
+
+// Typographic primes, quotes and minus signs folded to ASCII
+function normalizeCoordinateText(text) {
+    return text
+        .toLowerCase()
+        .replace(/[−–—]/g, '-')
+        .replace(/″|“|”|''|′′/g, '"')
+        .replace(/[′’‘]/g, "'")
+        .replace(/º/g, '°')
+        .trim();
+}
+
+// Split the two angles of a position: at a comma, at a sign after the first angle, where a
+// hours/degrees marker starts a new angle, or down the middle of an even number of values
+function splitCoordinatePair(text) {
+    if (text.includes(',')) {
+        const parts = text.split(',');
+        return parts.length === 2 ? parts : null;
+    }
+
+    const signed = text.match(/^(.*?\S)\s*([+-]\s*\d.*)$/);
+    if (signed) return [signed[1], signed[2]];
+
+    const tokens = text.split(/\s+/);
+    const unitStart = tokens.findIndex((token, i) => i > 0 && /^\d+(?:\.\d*)?[hd°]/.test(token));
+    if (unitStart > 0) return [tokens.slice(0, unitStart).join(' '), tokens.slice(unitStart).join(' ')];
+    if (tokens.length % 2 === 0) {
+        return [tokens.slice(0, tokens.length / 2).join(' '), tokens.slice(tokens.length / 2).join(' ')];
+    }
+    return null;
+}
+
+// One angle as { value, unit: 'hours' | 'degrees' }. Several parts ("10 45 03.6", "10:45") are
+// sexagesimal in sexagesimalUnit unless marked; a single unmarked number is in decimalUnit.
+// Throws when the text is not a well-formed angle.
+function parseAngle(text, sexagesimalUnit, decimalUnit) {
+    let rest = text.trim();
+    const sign = rest.startsWith('-') ? -1 : 1;
+    rest = rest.replace(/^[+-]\s*/, '');
+
+    const parts = [...rest.matchAll(/(\d+(?:\.\d*)?|\.\d+)\s*([hdms°'":]?)\s*/g)];
+    const invalid = new Error(`Could not read "${text.trim()}" as an angle`);
+    if (parts.length === 0 || parts.length > 3 || parts.map(part => part[0]).join('') !== rest) {
+        throw invalid;
+    }
+
+    let value = 0;
+    parts.forEach(([, number, marker], i) => {
+        const amount = parseFloat(number);
+        // Only the last part may have a fraction, and minutes and seconds stay under 60
+        if (!SEXAGESIMAL_MARKERS[i].includes(marker) || (number.includes('.') && i < parts.length - 1) ||
+            (i > 0 && amount >= 60)) {
+            throw invalid;
+        }
+        value += amount / Math.pow(60, i);
+    });
+
+    const leading = parts[0][2];
+    let unit = parts.length > 1 ? sexagesimalUnit : decimalUnit;
+    if (leading === 'h') unit = 'hours';
+    if (leading === 'd' || leading === '°') unit = 'degrees';
+    return { value: sign * value, unit };
+}
+
+// Position typed as coordinates, as { ra (hours), dec (degrees), frame: 'J2000' | 'galactic',
+// l, b (galactic input only, degrees) }. Returns null for text that is not coordinates (a name
+// search), and throws an Error with a readable message for coordinates that are out of range.
+function parseSkyCoordinates(text) {
+    let normalized = normalizeCoordinateText(text);
+    const galactic = new RegExp(GALACTIC_FRAME_PATTERN.source).test(normalized) || /\bl\s*[=:]/.test(normalized);
+    normalized = normalized
+        .replace(EQUATORIAL_FRAME_PATTERN, ' ')
+        .replace(GALACTIC_FRAME_PATTERN, ' ')
+        .replace(COORDINATE_LABEL_PATTERN, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Letters other than unit markers right after a number mean a name ("HD 209458", "2004 MN4")
+    if (/[^\d\s+\-.,:hmsd°'"]/.test(normalized) || /[a-z]/.test(normalized.replace(/(\d)\s*[hmsd]/g, '$1'))) {
+        return null;
+    }
+    if ((normalized.match(/\d+(?:\.\d*)?/g) || []).length < 2) return null;
+
+    const pair = splitCoordinatePair(normalized);
+    if (!pair) {
+        throw new Error(`Could not read "${text.trim()}" as a position; separate the two coordinates with a comma`);
+    }
+
+    if (galactic) {
+        const l = parseAngle(pair[0], 'degrees', 'degrees');
+        const b = parseAngle(pair[1], 'degrees', 'degrees');
+        if (l.unit !== 'degrees' || b.unit !== 'degrees') {
+            throw new Error('Galactic coordinates are given in degrees');
+        }
+        if (l.value < 0 || l.value >= 360) throw new Error('Galactic longitude must be from 0° to 360°');
+        if (Math.abs(b.value) > 90) throw new Error('Galactic latitude must be between -90° and +90°');
+        return { ...galacticToEquatorial(l.value, b.value), frame: 'galactic', l: l.value, b: b.value };
+    }
+
+    const ra = parseAngle(pair[0], 'hours', 'degrees');
+    const dec = parseAngle(pair[1], 'degrees', 'degrees');
+    if (dec.unit !== 'degrees') throw new Error('Declination is given in degrees, not hours');
+    const raHours = ra.unit === 'hours' ? ra.value : ra.value / 15;
+    if (raHours < 0 || raHours >= 24) throw new Error('Right ascension must be from 0h to 24h (0° to 360°)');
+    if (Math.abs(dec.value) > 90) throw new Error('Declination must be between -90° and +90°');
+    return { ra: raHours, dec: dec.value, frame: 'J2000' };
+}
@@ -0,0 +1,8884 @@
+// Bundled Bright Star Catalog
+// Every star down to visual magnitude 6.5 (8874 stars), taken from the HYG database as
+// redistributed with d3-celestial (BSD-3-Clause, (c) Olaf Frohn). Positions are J2000.
+// HYG carries no HR numbers; the hr column is matched from the Yale Bright Star Catalogue on HD
+// number by tools/addHrNumbers.js. It is filled for 88 of the brightest named stars so far: run the
+// tool on the full BSC5 catalog file (CDS V/50) to fill the rest.
+// Columns: hip, hd, ra (hours), dec (degrees), mag, bv, bayer, flamsteed, constellation, name, hr
+
+const BRIGHT_STAR_CATALOG_CSV = `hip,hd,ra,dec,mag,bv,bayer,flam,con,name,hr
+32349,48915,6.75248,-16.7161,-1.44,0.009,α,9,CMa,Sirius,2491
+30438,45348,6.39920,-52.6957,-0.62,0.164,α,,Car,Canopus,2326
+69673,124897,14.26102,19.1824,-0.05,1.239,α,16,Boo,Arcturus,5340
+71683,128620,14.66014,-60.8340,-0.01,0.710,α1,,Cen,Rigil Kentaurus,5459
+91262,172167,18.61565,38.7837,0.03,-0.001,α,3,Lyr,Vega,7001
+24608,34029,5.27815,45.9980,0.08,0.795,α,13,Aur,Capella,1708
+24436,34085,5.24230,-8.2016,0.18,-0.030,β,19,Ori,Rigel,1713
+37279,61421,7.65503,5.2250,0.40,0.432,α,10,CMi,Procyon,2943
+7588,10144,1.62857,-57.2368,0.45,-0.158,α,,Eri,Achernar,472
+27989,39801,5.91953,7.4071,0.45,1.500,α,58,Ori,Betelgeuse,2061
+68702,122451,14.06373,-60.3730,0.61,-0.231,β,,Cen,Hadar,5267
+97649,187642,19.84639,8.8683,0.76,0.221,α,53,Aql,Altair,7557
+60718,108248,12.44331,-63.0991,0.77,-0.243,α1,,Cru,Acrux,4730
+21421,29139,4.59868,16.5093,0.87,1.538,α,87,Tau,Aldebaran,1457
+65474,116658,13.41988,-11.1613,0.98,-0.235,α,67,Vir,Spica,5056
+80763,148478,16.49013,-26.4320,1.06,1.865,α,21,Sco,Antares,6134
+37826,62509,7.75527,28.0262,1.16,0.991,β,78,Gem,Pollux,2990
+113368,216956,22.96085,-29.6222,1.17,0.145,α,24,PsA,Fomalhaut,8728
+62434,111123,12.79535,-59.6888,1.25,-0.238,β,,Cru,Mimosa,4853
+102098,197345,20.69053,45.2803,1.25,0.092,α,50,Cyg,Deneb,7924
+71681,128621,14.65975,-60.8372,1.35,0.900,α2,,Cen,Toliman,5460
+49669,87901,10.13953,11.9672,1.36,-0.087,α,32,Leo,Regulus,3982
+33579,52089,6.97710,-28.9721,1.50,-0.211,ε,21,CMa,Adhara,2618
+36850,60179,7.57663,31.8883,1.58,0.034,α,66,Gem,Castor,2891
+61084,108903,12.51943,-57.1132,1.59,1.600,γ,,Cru,Gacrux,4763
+85927,158926,17.56015,-37.1038,1.62,-0.231,λ,35,Sco,Shaula,6527
+25336,35468,5.41885,6.3497,1.64,-0.224,γ,24,Ori,Bellatrix,1790
+25428,35497,5.43820,28.6075,1.65,-0.130,β,112,Tau,Elnath,1791
+45238,80007,9.21999,-69.7172,1.67,0.070,β,,Car,Miaplacidus,3685
+26311,37128,5.60356,-1.2019,1.69,-0.184,ε,46,Ori,Alnilam,1903
+109268,209952,22.13722,-46.9610,1.73,-0.070,α,,Gru,Alnair,8425
+26727,37742,5.67931,-1.9426,1.74,-0.199,ζ,50,Ori,Alnitak,1948
+39953,68273,8.15887,-47.3366,1.75,-0.145,γ2,,Vel,Regor
+62956,112185,12.90049,55.9598,1.76,-0.022,ε,77,UMa,Alioth,4905
+15863,20902,3.40538,49.8612,1.79,0.481,α,33,Per,Mirfak,1017
+90185,169022,18.40287,-34.3846,1.79,-0.031,ε,20,Sgr,Kaus Australis,6879
+54061,95689,11.06213,61.7510,1.81,1.061,α,50,UMa,Dubhe,4301
+34444,54605,7.13986,-26.3932,1.83,0.671,δ,25,CMa,Wezen,2693
+67301,120315,13.79235,49.3133,1.85,-0.099,η,85,UMa,Alkaid,5191
+41037,71129,8.37523,-59.5095,1.86,1.196,ε,,Car,Avior,3307
+86228,159532,17.62198,-42.9978,1.86,0.406,θ,,Sco,Sargas,6553
+28360,40183,5.99215,44.9474,1.90,0.077,β,34,Aur,Menkalinan,2088
+82273,150798,16.81108,-69.0277,1.91,1.447,α,,TrA,Atria,6217
+31681,47105,6.62853,16.3993,1.93,0.001,γ,24,Gem,Alhena,2421
+42913,74956,8.74506,-54.7088,1.93,0.043,δ,,Vel,Alsephina
+100751,193924,20.42746,-56.7351,1.94,-0.118,α,,Pav,Peacock,7790
+11767,8890,2.53030,89.2641,1.97,0.636,α,1,UMi,Polaris,424
+30324,44743,6.37833,-17.9559,1.98,-0.240,β,2,CMa,Mirzam,2294
+46390,81797,9.45979,-8.6586,1.99,1.440,α,30,Hya,Alphard,3748
+9884,12929,2.11956,23.4624,2.01,1.151,α,13,Ari,Hamal,617
+50583,89484,10.33287,19.8415,2.01,1.128,γ1,41,Leo,Algieba,4057
+3419,4128,0.72649,-17.9866,2.04,1.019,β,16,Cet,Diphda,188
+92855,175191,18.92109,-26.2967,2.05,-0.134,σ,34,Sgr,Nunki,7121
+68933,123139,14.11137,-36.3700,2.06,1.011,θ,5,Cen,Menkent,5288
+677,358,0.13979,29.0904,2.07,-0.038,α,21,And,Alpheratz,15
+5447,6860,1.16220,35.6206,2.07,1.576,β,43,And,Mirach,337
+27366,38771,5.79594,-9.6696,2.07,-0.168,κ,53,Ori,Saiph,2004
+72607,131873,14.84509,74.1555,2.07,1.465,β,7,UMi,Kochab,5563
+112122,214952,22.71113,-46.8846,2.07,1.610,β,,Gru,Tiaki
+86032,159561,17.58224,12.5600,2.08,0.155,α,55,Oph,Rasalhague,6556
+14576,19356,3.13615,40.9556,2.09,-0.003,β,26,Per,Algol,936
+9640,12533,2.06499,42.3297,2.10,1.370,γ1,57,And,Almach,603
+57632,102647,11.81766,14.5721,2.14,0.090,β,94,Leo,Denebola,4534
+4427,5394,0.94515,60.7167,2.15,-0.046,γ,27,Cas,Navi,264
+61932,110304,12.69195,-48.9599,2.20,-0.023,γ,,Cen,Muhlifain
+39429,66811,8.05973,-40.0031,2.21,-0.269,ζ,,Pup,Naos
+45556,80404,9.28483,-59.2752,2.21,0.189,ι,,Car,Aspidiske
+76267,139006,15.57813,26.7147,2.22,0.032,α,5,CrB,Alphecca
+44816,78647,9.13327,-43.4326,2.23,1.665,λ,,Vel,Suhail
+65378,116656,13.39876,54.9254,2.23,0.057,ζ,79,UMa,Mizar,5054
+100453,194093,20.37047,40.2567,2.23,0.673,γ,37,Cyg,Sadr,7796
+3179,3712,0.67512,56.5373,2.24,1.170,α,18,Cas,Shedar,168
+87833,164058,17.94343,51.4889,2.24,1.521,γ,33,Dra,Eltanin,6705
+25930,36486,5.53345,-0.2991,2.25,-0.175,δ,34,Ori,Mintaka,1852
+746,432,0.15297,59.1498,2.28,0.380,β,11,Cas,Caph,21
+66657,118716,13.66479,-53.4664,2.29,-0.171,ε,,Cen,
+78401,143275,16.00556,-22.6217,2.29,-0.117,δ,7,Sco,Dschubba,5953
+82396,151680,16.83606,-34.2932,2.29,1.144,ε,26,Sco,Larawag
+71860,129056,14.69882,-47.3882,2.30,-0.154,α,,Lup,Men
+71352,127972,14.59179,-42.1578,2.33,-0.157,η,,Cen,
+53910,95418,11.03069,56.3824,2.34,0.033,β,48,UMa,Merak,4295
+72105,129988,14.74978,27.0742,2.35,0.966,ε,36,Boo,Izar
+107315,206778,21.73643,9.8750,2.38,1.520,ε,8,Peg,Enif,8308
+86670,160578,17.70813,-39.0300,2.39,-0.171,κ,,Sco,Mula
+2081,2261,0.43807,-42.3060,2.40,1.083,α,,Phe,Ankaa
+58001,103287,11.89718,53.6948,2.41,0.044,γ,64,UMa,Phecda,4554
+84012,155125,17.17297,-15.7249,2.43,0.059,η,35,Oph,Sabik
+113881,217906,23.06291,28.0828,2.44,1.655,β,53,Peg,Scheat,8775
+35904,58350,7.40159,-29.3031,2.45,-0.083,η,31,CMa,Aludra
+105199,203280,21.30966,62.5856,2.45,0.257,α,5,Cep,Alderamin,8162
+45941,81188,9.36856,-55.0107,2.47,-0.141,κ,,Vel,Markeb
+102488,197989,20.77019,33.9703,2.48,1.021,ε,53,Cyg,Aljanah
+113963,218045,23.07935,15.2053,2.49,-0.002,α,54,Peg,Markab,8781
+14135,18884,3.03799,4.0897,2.54,1.630,α,92,Cet,Menkar,911
+81377,149757,16.61931,-10.5671,2.54,0.038,ζ,13,Oph,Saik
+68002,121263,13.92566,-47.2884,2.55,-0.176,ζ,,Cen,Alnair
+54872,97603,11.23514,20.5237,2.56,0.128,δ,68,Leo,Zosma
+78820,144217,16.09062,-19.8055,2.56,-0.065,β1,8,Sco,Acrab,5984
+25985,36673,5.54551,-17.8223,2.58,0.211,α,11,Lep,Arneb
+59196,105435,12.13931,-50.7224,2.58,-0.128,δ,,Cen,
+59803,106625,12.26343,-17.5419,2.58,-0.107,γ,4,Crv,Gienah
+93506,176687,19.04353,-29.8801,2.60,0.062,ζ,38,Sgr,Ascella
+74785,135742,15.28345,-9.3829,2.61,-0.071,β,27,Lib,Zubeneschamali,5685
+77070,140573,15.73780,6.4256,2.63,1.167,α,24,Ser,Unukalhai,5854
+8903,11636,1.91067,20.8080,2.64,0.165,β,6,Ari,Sheratan
+26634,37795,5.66081,-34.0741,2.65,-0.120,α,,Col,Phact
+28380,40312,5.99535,37.2126,2.65,-0.083,θ,37,Aur,Mahasim
+61359,109379,12.57312,-23.3968,2.65,0.893,β,9,Crv,Kraz
+6686,8538,1.43027,60.2353,2.66,0.160,δ,37,Cas,Ruchbah,403
+67927,121370,13.91141,18.3977,2.68,0.580,η,8,Boo,Muphrid
+73273,132058,14.97553,-43.1340,2.68,-0.184,β,,Lup,KeKouan
+23015,31398,4.94989,33.1661,2.69,1.490,ι,3,Aur,Hassaleh
+52727,93497,10.77949,-49.4203,2.69,0.901,μ,,Vel,
+61585,109668,12.61973,-69.1356,2.69,-0.176,α,,Mus,
+85696,158408,17.51273,-37.2958,2.70,-0.179,υ,34,Sco,Lesath
+35264,56855,7.28571,-37.0975,2.71,1.616,π,,Pup,
+89931,168454,18.34990,-29.8281,2.72,1.380,δ,19,Sgr,Kaus Media
+97278,186791,19.77099,10.6133,2.72,1.507,γ,50,Aql,Tarazed,7525
+79593,146051,16.23909,-3.6943,2.73,1.584,δ,1,Oph,Yed Prior
+80331,148387,16.39986,61.5142,2.73,0.910,η,14,Dra,Athebyne
+52419,93030,10.71595,-64.3945,2.74,-0.220,θ,,Car,
+61941,110379,12.69435,-1.4494,2.74,0.368,γ,29,Vir,Porrima
+26241,37043,5.59055,-5.9099,2.75,-0.210,ι,44,Ori,Hatysa
+65109,115892,13.34328,-36.7123,2.75,0.068,ι,,Cen,
+72622,130841,14.84797,-16.0418,2.75,0.147,α2,9,Lib,Zubenelgenubi
+86742,161096,17.72454,4.5673,2.76,1.168,β,60,Oph,Cebalrai
+23875,33111,5.13083,-5.0864,2.78,0.161,β,67,Eri,Cursa
+80816,148856,16.50367,21.4896,2.78,0.947,β,27,Her,Kornephoros
+84345,156014,17.24413,14.3903,2.78,1.164,α1,64,Her,Rasalgethi,6406
+59747,106490,12.25242,-58.7489,2.79,-0.193,δ,,Cru,Imai
+85670,159181,17.50721,52.3014,2.79,0.954,β,23,Dra,Rastaban
+76297,138690,15.58568,-41.1668,2.80,-0.216,γ,,Lup,
+25606,36079,5.47075,-20.7594,2.81,0.807,β,9,Lep,Nihal
+81693,150680,16.68810,31.6027,2.81,0.650,ζ,40,Her,Rutilicus
+2021,2151,0.42919,-77.2542,2.82,0.618,β,,Hyi,
+81266,149438,16.59804,-28.2160,2.82,-0.206,τ,23,Sco,Paikauhale
+90496,169916,18.46618,-25.4217,2.82,1.025,λ,22,Sgr,Kaus Borealis
+1067,886,0.22060,15.1836,2.83,-0.190,γ,88,Peg,Algenib,39
+39757,67523,8.12573,-24.3043,2.83,0.458,ρ,15,Pup,Tureis
+77952,141891,15.91905,-63.4307,2.83,0.315,β,,TrA,
+18246,24398,3.90220,31.8836,2.84,0.271,ζ,44,Per,Atik
+85258,157244,17.42167,-55.5299,2.84,1.479,β,,Ara,
+85792,158427,17.53069,-49.8761,2.84,-0.136,α,,Ara,Choo
+17702,23630,3.79141,24.1051,2.85,-0.086,η,25,Tau,Alcyone,1165
+63608,113226,13.03628,10.9592,2.85,0.934,ε,47,Vir,Vindemiatrix,4932
+107556,207098,21.78401,-16.1273,2.85,0.180,δ,49,Cap,Deneb Algedi
+9236,12311,1.97950,-61.5699,2.86,0.290,α,,Hyi,
+97165,186882,19.74958,45.1308,2.86,-0.002,δ,18,Cyg,Fawaris
+30343,44478,6.38267,22.5136,2.87,1.621,μ,13,Gem,Tejat
+74946,135382,15.31516,-68.6795,2.87,0.014,γ,,TrA,
+110130,211416,22.30836,-60.2596,2.87,1.390,α,,Tuc,
+13847,18622,2.97102,-40.3047,2.88,0.128,θ1,,Eri,Acamar
+94141,178524,19.16273,-21.0236,2.88,0.377,π,41,Sgr,Albaldah
+36188,58715,7.45251,8.2893,2.89,-0.097,β,3,CMi,Gomeisa
+63125,112413,12.93379,38.3184,2.89,-0.115,α2,12,CVn,Cor Caroli
+78265,143018,15.98087,-26.1141,2.89,-0.180,π,6,Sco,Fang
+18532,24760,3.96423,40.0102,2.90,-0.199,ε,45,Per,
+80112,147165,16.35315,-25.5928,2.90,0.299,σ,20,Sco,Alniyat
+106278,204867,21.52598,-5.5712,2.90,0.828,β,22,Aqr,Sadalsuud
+14328,18925,3.07994,53.5064,2.91,0.716,γ,23,Per,
+48002,85123,9.78503,-65.0720,2.92,0.273,υ,,Car,
+112158,215182,22.71671,30.2212,2.93,0.852,η,44,Peg,Matar
+32768,50310,6.83227,-50.6146,2.94,1.207,τ,,Pup,
+60965,108767,12.49774,-16.5154,2.94,-0.012,δ,7,Crv,Algorab
+109074,209750,22.09640,-0.3199,2.95,0.969,α,34,Aqr,Sadalmelik
+18543,25025,3.96716,-13.5085,2.97,1.588,γ,34,Eri,Zaurak
+26451,37202,5.62741,21.1425,2.97,-0.148,ζ,123,Tau,Tianguan
+47908,84441,9.76419,23.7743,2.97,0.808,ε,17,Leo,Algenubi
+88635,165135,18.09680,-30.4241,2.98,0.981,γ2,10,Sgr,Alnasl
+64962,115659,13.31536,-23.1715,2.99,0.920,γ,46,Hya,
+87073,161471,17.79308,-40.1270,2.99,0.509,ι1,,Sco,Girtab
+93747,177724,19.09017,13.8635,2.99,0.014,ζ,17,Aql,Okab
+10064,13161,2.15906,34.9873,3.00,0.140,β,4,Tri,Mizan
+54539,96833,11.16106,44.4985,3.00,1.144,ψ,52,UMa,
+75097,137422,15.34547,71.8340,3.00,0.058,γ,13,UMi,Pherkad
+82514,151890,16.86451,-38.0474,3.00,-0.200,μ1,,Sco,Xamidimura
+108085,207971,21.89881,-37.3649,3.00,-0.084,γ,,Gru,Aldhanab
+17358,22928,3.71542,47.7876,3.01,-0.125,δ,39,Per,
+30122,44402,6.33855,-30.0634,3.02,-0.160,ζ,1,CMa,Furud
+33977,53138,7.05041,-23.8333,3.02,-0.077,ο2,24,CMa,Al Zara
+59316,105707,12.16875,-22.6198,3.02,1.326,ε,2,Crv,Minkar
+23416,31964,5.03281,43.8233,3.03,0.537,ε,7,Aur,Almaaz
+62322,110879,12.77133,-68.1081,3.04,-0.178,β,,Mus,
+71075,127762,14.53463,38.3083,3.04,0.191,γ,27,Boo,Seginus
+95947,183912,19.51202,27.9597,3.05,1.088,β1,6,Cyg,Albireo,7417
+100345,193495,20.35019,-14.7814,3.05,0.790,β,9,Cap,Dabih
+32246,48329,6.73220,25.1311,3.06,1.377,ε,27,Gem,Mebsuta
+50801,89758,10.37215,41.4995,3.06,1.603,μ,34,UMa,Tania Australis
+94376,180711,19.20925,67.6615,3.07,0.990,δ,57,Dra,Altais
+89642,167618,18.29379,-36.7617,3.10,1.582,η,,Sgr,Hamalwarid
+43813,76294,8.92323,5.9456,3.11,0.978,ζ,16,Hya,
+52943,93813,10.82708,-16.1936,3.11,1.232,ν,,Hya,
+56561,100841,11.59636,-63.0198,3.11,-0.044,λ,,Cen,
+101772,196171,20.62612,-47.2915,3.11,0.998,α,,Ind,Persian
+27628,39425,5.84933,-35.7683,3.12,1.146,β,,Col,Wazn
+44127,76644,8.98679,48.0418,3.12,0.223,ι,9,UMa,Talitha
+83081,152786,16.97700,-55.9901,3.12,1.552,ζ,,Ara,
+84379,156164,17.25053,24.8392,3.12,0.080,δ,65,Her,Sarin
+73334,132200,14.98603,-42.1042,3.13,-0.208,κ,,Cen,Ke Kwan
+45860,80493,9.35092,34.3926,3.14,1.550,α,40,Lyn,
+46701,82668,9.52037,-57.0344,3.16,1.538,N,,Vel,
+84380,156283,17.25079,36.8092,3.16,1.437,π,67,Her,
+31685,47670,6.62935,-43.1959,3.17,-0.103,ν,,Pup,
+46853,82328,9.54762,51.6773,3.17,0.475,θ,25,UMa,
+83895,155763,17.14644,65.7147,3.17,-0.120,ζ,22,Dra,Aldhibah
+92041,173300,18.76094,-26.9908,3.17,-0.107,φ,27,Sgr,Namalsadirah
+23767,32630,5.10858,41.2345,3.18,-0.148,η,10,Aur,Haedus
+71908,128898,14.70845,-64.9751,3.18,0.256,α,,Cir,
+22449,30652,4.83067,6.9613,3.19,0.484,π3,1,Ori,Tabit
+23685,32887,5.09102,-22.3710,3.19,1.460,ε,2,Lep,
+83000,153210,16.96114,9.3750,3.19,1.160,κ,27,Oph,
+87261,161892,17.83097,-37.0433,3.19,1.192,G,,Sco,Fuyue
+104732,202109,21.21561,30.2269,3.21,0.990,ζ,64,Cyg,
+116727,222404,23.65579,77.6323,3.21,1.031,γ,35,Cep,Errai
+75141,136298,15.35620,-40.6475,3.22,-0.227,δ,,Lup,
+79882,146791,16.30536,-4.6925,3.23,0.966,ε,2,Oph,Yed Posterior
+89962,168723,18.35517,-2.8988,3.23,0.941,η,58,Ser,
+106032,205021,21.47767,70.5607,3.23,-0.201,β,8,Cep,Alfirk
+32607,50241,6.80318,-61.9414,3.24,0.225,α,,Pic,
+99473,191692,20.18841,-0.8215,3.24,-0.066,θ,65,Aql,
+36377,59717,7.48717,-43.3014,3.25,1.509,σ,,Pup,
+68895,123123,14.10619,-26.6824,3.25,1.091,π,49,Hya,
+73714,133216,15.06784,-25.2820,3.25,1.674,σ,20,Lib,Brachium
+93194,176437,18.98239,32.6896,3.25,-0.049,γ,14,Lyr,Sulafat
+17678,24512,3.78732,-74.2390,3.26,1.590,γ,,Hyi,
+3092,3627,0.65547,30.8610,3.27,1.268,δ,31,And,
+84970,157056,17.36683,-24.9995,3.27,-0.186,θ,42,Oph,Garafsa
+113136,216627,22.91084,-15.8208,3.27,0.066,δ,76,Aqr,Skat
+24305,33904,5.21553,-16.2055,3.29,-0.110,μ,5,Lep,
+50099,89080,10.22895,-70.0379,3.29,-0.074,ω,,Car,
+75458,137759,15.41549,58.9661,3.29,1.166,ι,12,Dra,Edasich
+21281,29305,4.56661,-55.0450,3.30,-0.079,α,,Dor,
+51576,91465,10.53374,-61.6853,3.30,-0.089,p,,Car,
+29655,42995,6.24796,22.5068,3.31,1.600,η,7,Gem,Propus
+85267,157246,17.42324,-56.3777,3.31,-0.150,γ,,Ara,
+5165,6595,1.10140,-46.7184,3.32,0.885,β,,Phe,
+14354,19058,3.08627,38.8403,3.32,1.528,ρ,25,Per,Gorgonea Tertia
+59774,106591,12.25710,57.0326,3.32,0.077,δ,69,UMa,Megrez,4660
+84143,155203,17.20255,-43.2392,3.32,0.441,η,,Sco,
+88048,163917,17.98377,-9.7736,3.32,0.987,ν,64,Oph,Sinistra
+93864,177716,19.11567,-27.6704,3.32,1.169,τ,40,Sgr,
+19780,27256,4.24041,-62.4739,3.33,0.915,α,,Ret,
+54879,97633,11.23733,15.4296,3.33,-0.003,θ,70,Leo,Chertan
+38170,63700,7.82157,-24.8598,3.34,1.218,ξ,7,Pup,Azmidi
+8886,11415,1.90659,63.6701,3.35,-0.150,ε,45,Cas,Segin
+25281,35411,5.40795,-2.3971,3.35,-0.240,η,28,Ori,Saif al Jabbar
+32362,48737,6.75483,12.8956,3.35,0.443,ξ,31,Gem,Alzirr
+41704,71369,8.50441,60.7182,3.35,0.856,ο,1,UMa,Muscida
+95501,182640,19.42497,3.1148,3.36,0.319,δ,30,Aql,Almizan
+75264,136504,15.37802,-44.6896,3.37,-0.191,ε,,Lup,
+43109,74874,8.77959,6.4188,3.38,0.685,ε,11,Hya,Ashlesha
+66249,118098,13.57822,-0.5958,3.38,0.114,ζ,79,Vir,Heze
+26207,36861,5.58563,9.9342,3.39,-0.160,λ,39,Ori,Meissa
+50371,89388,10.28471,-61.3323,3.39,1.541,q,,Car,
+63090,112300,12.92673,3.3975,3.39,1.571,δ,43,Vir,Minelauva
+109492,210745,22.18091,58.2013,3.39,1.558,ζ,21,Cep,
+20894,28319,4.47771,15.8709,3.40,0.179,θ2,78,Tau,Chamukuy
+6867,9053,1.47276,-43.3182,3.41,1.542,γ,,Phe,
+18724,25204,4.01134,12.4903,3.41,-0.099,λ,35,Tau,
+67464,120307,13.82508,-41.6877,3.41,-0.225,ν,,Cen,
+74395,134505,15.20475,-52.0992,3.41,0.918,ζ,,Lup,
+102422,198149,20.75483,61.8388,3.41,0.912,η,3,Cep,Kabalfird
+112029,214923,22.69103,10.8314,3.41,-0.086,ζ,42,Peg,Homam
+8796,11443,1.88469,29.5788,3.42,0.488,α,2,Tri,Mothallah
+78384,143118,16.00203,-38.3967,3.42,-0.206,η,,Lup,
+86974,161797,17.77431,27.7207,3.42,0.750,μ,86,Her,
+102395,197051,20.74931,-66.2032,3.42,0.163,β,,Pav,
+45080,79351,9.18280,-58.9669,3.43,-0.190,a,,Car,
+50335,89025,10.27817,23.4173,3.43,0.307,ζ,36,Leo,Adhafera
+93805,177756,19.10415,-4.8826,3.43,-0.096,λ,16,Aql,Al Thalimain Prior
+50372,89021,10.28494,42.9144,3.45,0.029,λ,33,UMa,Tania Borealis
+3821,4614,0.81841,57.8152,3.46,0.587,η,24,Cas,Achird
+5364,6805,1.14317,-10.1823,3.46,1.161,η,31,Cet,Dheneb
+38827,65575,7.94631,-52.9824,3.46,-0.177,χ,,Car,
+74666,135722,15.25838,33.3148,3.46,0.961,δ,49,Boo,Thiba
+12706,16970,2.72168,3.2358,3.47,0.093,γ,86,Cet,Kaffaljidhma
+67472,120324,13.82694,-42.4737,3.47,-0.170,μ,,Cen,
+49583,87737,10.12221,16.7627,3.48,-0.031,η,30,Leo,Al Jabhah
+81833,150997,16.71493,38.9223,3.48,0.916,η,44,Her,
+8102,10700,1.73447,-15.9375,3.49,0.727,τ,52,Cet,
+33856,52877,7.02865,-27.9348,3.49,1.729,σ,22,CMa,Unurgunite
+55219,98262,11.30798,33.0943,3.49,1.400,ν,54,UMa,Alula Borealis
+73555,133208,15.03243,40.3906,3.49,0.956,β,42,Boo,Nekkar
+90422,169467,18.44956,-45.9685,3.49,-0.179,α,,Tel,
+112623,215789,22.80925,-51.3169,3.49,0.083,ε,,Gru,
+32759,50013,6.83068,-32.5085,3.50,-0.116,κ,13,CMa,
+35550,56986,7.33538,21.9823,3.50,0.374,δ,55,Gem,Wasat
+112724,216228,22.82801,66.2004,3.50,1.053,ι,32,Cep,
+98337,189319,19.97929,19.4921,3.51,1.571,γ,12,Sge,
+112748,216131,22.83339,24.6016,3.51,0.933,μ,48,Peg,Sadalbari
+17378,23249,3.72081,-9.7634,3.52,0.915,δ,23,Eri,Rana
+47508,83808,9.68584,9.8923,3.52,0.516,ο,14,Leo,Subra
+48774,86440,9.94771,-54.5678,3.52,-0.067,φ,,Vel,
+92420,174638,18.83467,33.3627,3.52,0.003,β,10,Lyr,Sheliak
+93085,175775,18.96217,-21.1067,3.52,1.151,ξ2,37,Sgr,
+109427,210418,22.16999,6.1979,3.52,0.086,θ,26,Peg,Biham
+20889,28305,4.47695,19.1804,3.53,1.014,ε,74,Tau,Ain
+40526,69267,8.27525,9.1855,3.53,1.481,β,17,Cnc,Tarf
+56343,100407,11.55003,-31.8576,3.54,0.947,ξ,,Hya,
+77516,141513,15.82700,-3.4302,3.54,-0.036,μ,32,Ser,
+86263,159876,17.62645,-15.3986,3.54,0.262,ξ,55,Ser,
+20042,27376,4.29824,-33.7983,3.55,-0.108,υ4,41,Eri,Beemim
+27288,38678,5.78259,-14.8220,3.55,0.104,ζ,14,Lep,
+69996,125238,14.32339,-46.0581,3.55,-0.184,ι,,Lup,
+89937,170153,18.35094,72.7328,3.55,0.489,χ,44,Dra,Alahakan
+99240,190248,20.14545,-66.1821,3.55,0.751,δ,,Pav,
+1562,1522,0.32380,-8.8239,3.56,1.214,ι,8,Cet,Deneb Kaitos Shemali
+10602,14228,2.27516,-51.5122,3.56,-0.120,φ,,Eri,
+55282,98430,11.32235,-14.7785,3.56,1.112,δ,12,Crt,Labr
+82545,151985,16.87226,-38.0175,3.56,-0.210,μ2,,Sco,Pipirima
+37740,62345,7.74079,24.3980,3.57,0.932,κ,77,Gem,
+44471,77327,9.06043,47.1565,3.57,0.007,κ,12,UMa,Alkaphrah
+71053,127665,14.53050,30.3714,3.57,1.298,ρ,25,Boo,
+75177,136422,15.36343,-36.2614,3.57,1.534,φ1,,Lup,
+35350,56537,7.30155,16.5404,3.58,0.106,λ,54,Gem,
+100064,192947,20.30091,-12.5449,3.58,0.883,α2,6,Cap,Algedi
+7607,9927,1.63321,48.6282,3.59,1.275,,51,And,Nembus
+24674,34503,5.29344,-6.8444,3.59,-0.115,τ,20,Ori,
+27072,38393,5.74105,-22.4484,3.59,0.481,γ,13,Lep,Kursi al Jabbar
+57757,102870,11.84492,1.7647,3.59,0.518,β,5,Vir,Zavijava
+60260,107446,12.35600,-60.4011,3.59,1.389,ε,,Cru,Ginan
+6537,8512,1.40039,-8.1833,3.60,1.065,θ,45,Cet,Al Naymat
+33018,50019,6.87981,33.9613,3.60,0.102,θ,34,Gem,
+42536,74195,8.67155,-52.9219,3.60,-0.168,ο,,Vel,
+46651,82434,9.51167,-40.4668,3.60,0.371,ψ,,Vel,
+76470,139063,15.61707,-28.1351,3.60,1.361,υ,39,Lib,
+85727,158094,17.51831,-60.6838,3.60,-0.104,δ,,Ara,
+13209,17573,2.83307,27.2605,3.61,-0.100,c,41,Ari,Bharani
+15900,21120,3.41355,9.0289,3.61,0.887,ο,1,Tau,
+49841,88284,10.17647,-12.3541,3.61,1.007,λ,41,Hya,
+63613,112985,13.03785,-71.5489,3.61,1.190,δ,,Mus,
+86929,160635,17.76222,-64.7239,3.61,1.161,η,,Pav,
+7097,9270,1.52473,15.3458,3.62,0.974,η,99,Psc,Alpherg
+17847,23850,3.81937,24.0534,3.62,-0.070,,27,Tau,Atlas
+37819,63032,7.75425,-37.9686,3.62,1.706,c,,Pup,
+82729,152334,16.90973,-42.3613,3.62,1.393,ζ2,,Sco,Grafias
+113726,217675,23.03202,42.3260,3.62,-0.099,ο,1,And,
+57363,102249,11.76011,-66.7288,3.63,0.160,λ,,Mus,
+101769,196524,20.62582,14.5951,3.64,0.425,β,6,Del,Rotanev
+20205,27371,4.32989,15.6276,3.65,0.981,γ,54,Tau,Prima Hyadum
+46733,81937,9.52547,63.0619,3.65,0.360,h,23,UMa,
+77233,141003,15.76979,15.4218,3.65,0.073,β,28,Ser,Nasak Shamiya
+88714,165024,18.11052,-50.0915,3.65,-0.101,θ,,Ara,
+110960,213051,22.48053,-0.0200,3.65,0.406,ζ1,55,Aqr,Sadaltager
+75695,137909,15.46381,29.1057,3.66,0.319,β,3,CrB,Nusakan
+76600,139365,15.64427,-29.7778,3.66,-0.177,τ,40,Lib,
+68756,123299,14.07315,64.3759,3.67,-0.049,α,11,Dra,Thuban,5291
+103227,198700,20.91350,-58.4542,3.67,1.250,β,,Ind,
+22549,30836,4.85343,5.6051,3.68,-0.157,π4,3,Ori,
+42828,74575,8.72654,-33.1864,3.68,-0.180,α,,Pyx,
+97365,187076,19.78979,18.5343,3.68,1.313,δ,7,Sge,
+114341,218594,23.15745,-21.1724,3.68,1.202,c2,88,Aqr,
+2920,3360,0.61619,53.8969,3.69,-0.196,ζ,17,Cas,Fulu
+9007,11937,1.93263,-51.6089,3.69,0.844,χ,,Eri,
+23453,32068,5.04130,41.0758,3.69,1.154,ζ,8,Aur,Saclateni
+47854,84810,9.75411,-62.5079,3.69,1.010,l,,Car,
+57399,102224,11.76751,47.7794,3.69,1.181,χ,63,UMa,Taiyangshou
+106985,206088,21.66818,-16.6623,3.69,0.320,γ,40,Cap,Nashira
+15474,20720,3.32528,-21.7579,3.70,1.614,τ4,16,Eri,Angetenar
+87933,163993,17.96275,29.2479,3.70,0.935,ξ,92,Her,
+114971,219615,23.28609,3.2823,3.70,0.916,γ,6,Psc,
+22797,31237,4.90419,2.4407,3.71,-0.179,π5,8,Ori,
+28103,40136,5.94008,-14.1677,3.71,0.337,η,16,Lep,
+38414,64440,7.87029,-40.5758,3.71,1.012,a,,Pup,
+77622,141795,15.84693,4.4777,3.71,0.147,ε,37,Ser,
+88771,165777,18.12249,9.5638,3.71,0.159,,72,Oph,
+98036,188512,19.92189,6.4068,3.71,0.855,β,60,Aql,Alshain
+16537,22049,3.54885,-9.4583,3.72,0.881,ε,18,Eri,Ran
+17499,23302,3.74793,24.1133,3.72,-0.105,,17,Tau,Electra
+28358,40035,5.99212,54.2847,3.72,1.010,δ,33,Aur,
+104060,200905,21.08219,43.9279,3.72,1.609,ξ,62,Cyg,
+16083,21364,3.45282,9.7327,3.73,-0.082,ξ,2,Tau,
+72220,130109,14.77081,1.8929,3.73,-0.005,,109,Vir,
+87585,163588,17.89215,56.8726,3.73,1.177,ξ,32,Dra,Grumium
+107089,205478,21.69129,-77.3900,3.73,1.008,ν,,Oct,
+112961,216386,22.87691,-7.5796,3.73,1.626,λ,73,Aqr,Hydor
+8645,11353,1.85767,-10.3350,3.74,1.136,ζ,55,Cet,Baten Kaitos
+80170,147547,16.36534,19.1531,3.74,0.299,γ,20,Her,
+104887,202444,21.24653,38.0453,3.74,0.393,τ,65,Cyg,
+44511,78004,9.06925,-47.0977,3.75,1.174,c,,Vel,
+87108,161868,17.79821,2.7073,3.75,0.043,γ,62,Oph,Muliphen
+26069,37350,5.56042,-62.4898,3.76,0.640,β,,Dor,
+27654,39364,5.85536,-20.8791,3.76,0.984,δ,15,Lep,Arsh al Jauzah
+30867,45725,6.48030,-7.0331,3.76,-0.113,β,11,Mon,
+93683,177241,19.07805,-21.7415,3.76,1.012,ο,39,Sgr,Manubrij
+95853,184006,19.49510,51.7298,3.76,0.148,ι,10,Cyg,
+111169,213558,22.52153,50.2825,3.76,0.031,α,7,Lac,
+13268,17506,2.84495,55.8955,3.77,1.690,η,15,Per,Miram
+17529,23230,3.75323,42.5785,3.77,0.425,ν,41,Per,
+20455,27697,4.38225,17.5425,3.77,0.983,δ,61,Tau,Secunda Hyadum
+26549,37468,5.64577,-2.6001,3.77,-0.190,σ,48,Ori,
+41312,71878,8.42894,-66.1369,3.77,1.132,β,,Vol,
+42570,74180,8.67710,-46.6487,3.77,0.670,b,,Vel,
+82363,151249,16.82977,-59.0414,3.77,1.562,η,,Ara,
+101958,196867,20.66063,15.9121,3.77,-0.057,α,9,Del,Sualocin
+105881,204075,21.44445,-22.4113,3.77,1.002,ζ,34,Cap,Yen
+109176,210027,22.11685,25.3451,3.77,0.435,ι,24,Peg,
+34481,55865,7.14579,-70.4989,3.78,1.006,γ2,,Vol,
+36046,58207,7.42878,27.7981,3.78,1.024,ι,60,Gem,Propus
+48319,84999,9.84982,59.0387,3.78,0.291,υ,29,UMa,
+53253,94510,10.89157,-58.8532,3.78,0.945,u,,Car,
+71795,129246,14.68582,13.7283,3.78,0.044,ζ,30,Boo,
+102618,198001,20.79460,-9.4958,3.78,0.000,ε,2,Aqr,Albali
+14668,19476,3.15827,44.8575,3.79,0.980,κ,27,Per,Misam
+53229,94264,10.88853,34.2149,3.79,1.040,,46,LMi,Praecipua
+55203,98230,11.30312,31.5308,3.79,0.606,ξ,53,UMa,Alula Australis
+14879,20010,3.20126,-28.9876,3.80,0.543,α,,For,Dalim
+37229,61555,7.64719,-26.8038,3.80,-0.159,κ1,,Pup,Markab
+76276,138917,15.58004,10.5389,3.80,0.268,δ,13,Ser,Nasak Yamani
+94779,181276,19.28505,53.3685,3.80,0.950,κ,1,Cyg,Fawaris
+99675,192577,20.22719,46.7413,3.80,1.270,ο1,31,Cyg,
+21393,29291,4.59251,-30.5623,3.81,0.957,υ2,52,Eri,Theemin
+51232,90853,10.46465,-58.7394,3.81,0.317,s,,Car,
+76952,140436,15.71238,26.2956,3.81,0.020,γ,8,CrB,
+116584,222107,23.62607,46.4582,3.81,0.984,λ,16,And,
+9487,12446,2.03412,2.7638,3.82,0.024,α,113,Psc,Alrescha
+45688,80081,9.31407,36.8026,3.82,0.066,,38,Lyn,
+56211,100029,11.52339,69.3311,3.82,1.613,λ,1,Dra,Giausar
+80883,148857,16.51523,1.9839,3.82,0.022,λ,10,Oph,Marfik
+86414,160762,17.65775,46.0063,3.82,-0.179,ι,85,Her,
+51069,90432,10.43484,-16.8363,3.83,1.456,μ,42,Hya,
+68245,121743,13.97119,-42.1008,3.83,-0.224,φ,,Cen,
+72370,129078,14.79770,-79.0448,3.83,1.433,α,,Aps,
+17440,23817,3.73666,-64.8069,3.84,1.133,β,,Ret,
+17448,23180,3.73865,32.2882,3.84,0.022,ο,38,Per,Atik
+20885,28307,4.47625,15.9622,3.84,0.952,θ1,77,Tau,
+43783,76728,8.91745,-60.6446,3.84,-0.104,c,,Car,
+51624,91316,10.54685,9.3066,3.84,-0.148,ρ,47,Leo,
+51986,92139,10.62171,-48.2256,3.84,0.300,p,,Vel,
+61199,109026,12.54111,-72.1330,3.84,-0.157,γ,,Mus,
+88794,166014,18.12571,28.7625,3.84,-0.018,ο,103,Her,
+89341,166937,18.22939,-21.0588,3.84,0.195,μ,13,Sgr,Polis
+97433,188119,19.80287,70.2679,3.84,0.888,ε,63,Dra,Tyl
+19747,26967,4.23337,-42.2944,3.85,1.085,α,,Hor,
+27321,39060,5.78808,-51.0665,3.85,0.171,β,,Pic,
+30277,44762,6.36857,-33.4364,3.85,0.858,δ,,Col,
+50191,88955,10.24560,-42.1219,3.85,0.051,q,,Vel,
+61281,109387,12.55804,69.7882,3.85,-0.116,κ,5,Dra,
+61622,109787,12.62838,-48.5413,3.85,0.049,τ,,Cen,
+78072,142860,15.94089,15.6616,3.85,0.478,γ,41,Ser,
+90139,169414,18.39497,21.7698,3.85,1.168,,109,Her,
+91117,171443,18.58679,-8.2441,3.85,1.317,α,,Sct,
+4436,5448,0.94589,38.4993,3.86,0.130,μ,37,And,
+21594,29503,4.63634,-14.3040,3.86,1.082,l,53,Eri,Sceptrum
+25859,36597,5.52021,-35.4705,3.86,1.130,ε,,Col,
+79664,145544,16.25730,-63.6857,3.86,1.105,δ,,TrA,
+81065,147675,16.55752,-78.8971,3.86,0.923,γ,,Aps,
+87808,163770,17.93755,37.2505,3.86,1.350,θ,91,Her,
+110395,212061,22.36094,-1.3873,3.86,-0.057,γ,48,Aqr,Sadachbia
+17573,23408,3.76378,24.3677,3.87,-0.063,,20,Tau,Maia
+43023,75063,8.76713,-46.0415,3.87,0.015,a,,Vel,
+68282,121790,13.97799,-44.8036,3.87,-0.208,υ1,,Cen,
+71957,129502,14.71767,-5.6582,3.87,0.385,μ,107,Vir,Rijl al Awwa
+78104,142669,15.94808,-29.2141,3.87,-0.199,ρ,5,Sco,Iklil
+97804,187929,19.87455,1.0057,3.87,0.630,η,55,Aql,Tarazed
+765,496,0.15685,-45.7474,3.88,1.013,ε,,Phe,
+8832,11502,1.89217,19.2939,3.88,-0.047,γ1,5,Ari,Mesarthim
+48455,85503,9.87939,26.0070,3.88,1.222,μ,24,Leo,Rasalas
+74376,134481,15.19891,-48.7378,3.88,-0.029,κ1,,Lup,
+114421,218670,23.17265,-45.2467,3.88,0.998,ι,,Gru,
+13701,18322,2.94046,-8.8981,3.89,1.088,η,3,Eri,Azha
+33152,50877,6.90221,-24.1842,3.89,1.740,ο1,16,CMa,Udra
+45336,79469,9.23941,2.3143,3.89,-0.060,θ,22,Hya,
+60129,107259,12.33177,-0.6668,3.89,0.026,η,15,Vir,Zaniah
+98110,188947,19.93843,35.0834,3.89,1.019,η,21,Cyg,
+47431,83618,9.66427,-1.1428,3.90,1.313,ι,35,Hya,Ukdah
+55425,98718,11.35011,-54.4910,3.90,-0.157,π,,Cen,
+65936,117440,13.51741,-39.4073,3.90,1.186,d,,Cen,
+18907,25490,4.05261,5.9893,3.91,0.032,ν,38,Tau,
+41307,71155,8.42767,-3.9064,3.91,-0.012,C,,Hya,
+60823,108483,12.46733,-50.2306,3.91,-0.192,σ,,Cen,
+73807,133242,15.08530,-47.0512,3.91,-0.144,π,,Lup,
+76333,138905,15.59211,-14.7895,3.91,1.007,γ,38,Lib,Zubenelhakrabi
+79992,147394,16.32901,46.3134,3.91,-0.151,τ,22,Her,
+83207,153808,17.00483,30.9264,3.92,-0.018,ε,58,Her,
+95168,181577,19.36121,-17.8472,3.92,0.228,ρ1,44,Sgr,
+104987,202447,21.26373,5.2478,3.92,0.549,α,8,Equ,Kitalpha
+2072,2262,0.43672,-43.6798,3.93,0.175,κ,,Phe,
+7083,9362,1.52086,-49.0727,3.93,0.972,δ,,Phe,
+13531,17878,2.90429,52.7625,3.93,0.758,τ,18,Per,
+21444,29248,4.60532,-3.3525,3.93,-0.210,ν,48,Eri,
+37504,63295,7.69702,-72.6061,3.93,1.033,ζ,,Vol,
+54463,96918,11.14317,-58.9750,3.93,1.225,x,,Car,
+78933,144470,16.11345,-20.6692,3.93,-0.046,ω1,9,Sco,Jabhat Acrabi
+88192,164353,18.01075,2.9316,3.93,0.029,,67,Oph,
+5348,6882,1.13975,-55.2458,3.94,-0.120,ζ,,Phe,Wurren
+37447,61935,7.68745,-9.5511,3.94,1.022,α,26,Mon,
+37677,62623,7.73013,-28.9548,3.94,0.160,l,3,Pup,
+42911,74442,8.74475,18.1543,3.94,1.083,δ,47,Cnc,Asellus Australis
+103413,199629,20.95289,41.1671,3.94,0.027,ν,58,Cyg,
+9598,12216,2.05725,72.4213,3.95,-0.002,,50,Cas,
+31592,47205,6.61140,-19.2559,3.95,1.037,ν2,7,CMa,
+19343,25940,4.14436,47.7125,3.96,-0.025,c,48,Per,Nembus
+28328,40808,5.98578,-42.8151,3.96,1.146,η,,Col,
+44248,76943,9.01066,41.7829,3.96,0.463,,10,UMa,
+45101,79447,9.18798,-62.3170,3.96,-0.180,i,,Car,
+95241,181454,19.37731,-44.4590,3.96,-0.085,β1,,Sgr,Arkab Prior
+95347,181869,19.39811,-40.6159,3.96,-0.105,α,,Sgr,Rukbat
+99848,192909,20.25787,47.7142,3.96,1.451,ο2,32,Cyg,
+115438,220321,23.38284,-20.1006,3.96,1.082,b1,98,Aqr,
+20535,28028,4.40061,-34.0168,3.97,1.468,,43,Eri,Beemim
+27673,39003,5.85817,39.1485,3.97,1.132,ν,32,Aur,
+35228,57623,7.28051,-67.9572,3.97,0.760,δ,,Vol,
+42515,74006,8.66837,-35.3084,3.97,0.936,β,,Pyx,
+59449,105937,12.19420,-52.3685,3.97,-0.156,ρ,,Cen,
+77634,141556,15.84931,-33.6272,3.97,-0.045,χ,5,Lup,
+98495,188228,20.00987,-72.9105,3.97,-0.032,ε,,Pav,
+110997,213009,22.48783,-43.4956,3.97,1.022,δ1,,Gru,
+112440,215665,22.77552,23.5657,3.97,1.070,λ,47,Peg,Sadalnazi
+18614,24912,3.98275,35.7910,3.98,0.016,ξ,46,Per,Menkib
+106481,205435,21.56635,45.5918,3.98,0.885,ρ,73,Cyg,
+9347,12274,2.00009,-21.0778,3.99,1.554,υ,59,Cet,
+29651,43232,6.24759,-6.2748,3.99,1.319,γ,5,Mon,
+50954,90589,10.40659,-74.0316,3.99,0.369,I,,Car,
+65477,116842,13.42043,54.9880,3.99,0.169,g,80,UMa,Alcor
+114996,219571,23.29049,-58.2357,3.99,0.410,γ,,Tuc,
+44382,78045,9.04077,-66.3961,4.00,0.145,α,,Vol,
+55642,99028,11.39874,10.5295,4.00,0.423,ι,78,Leo,
+79374,145502,16.19993,-19.4607,4.00,0.076,ν,14,Sco,Jabbah
+8068,10516,1.72768,50.6887,4.01,-0.098,φ,,Per,
+22109,30211,4.75837,-3.2547,4.01,-0.148,μ,57,Eri,
+34088,52973,7.06848,20.5703,4.01,0.899,ζ,43,Gem,Mekbuda
+35037,56139,7.24685,-26.7727,4.01,-0.150,ω,28,CMa,
+71865,129116,14.69933,-37.7935,4.01,-0.157,b,,Cen,
+78527,144284,16.03149,58.5653,4.01,0.528,θ,13,Dra,
+80000,146686,16.33067,-50.1555,4.01,1.080,γ2,,Nor,
+91792,171759,18.71726,-71.4281,4.01,1.134,ζ,,Pav,
+101076,195295,20.48993,30.3686,4.01,0.404,,41,Cyg,
+43409,75691,8.84220,-27.7098,4.02,1.272,γ,,Pyx,
+59199,105452,12.14023,-24.7289,4.02,0.334,α,1,Crv,Alchiba
+93244,176411,18.99371,15.0683,4.02,1.082,ε,13,Aql,Deneb al Okab Borealis
+93429,176678,19.02801,-5.7391,4.02,1.079,i,12,Aql,
+10670,14055,2.28857,33.8472,4.03,0.019,γ,9,Tri,
+23522,31910,5.05697,60.4422,4.03,0.921,β,10,Cam,
+43103,74739,8.77829,28.7599,4.03,1.007,ι,48,Cnc,Zubanah
+63003,112092,12.90989,-57.1779,4.03,-0.180,μ1,,Cru,
+88601,165341,18.09091,2.5001,4.03,0.860,p,70,Oph,
+101421,195810,20.55355,11.3033,4.03,-0.123,ε,2,Del,Aldulfin
+118268,224617,23.98853,6.8633,4.03,0.419,ω,28,Psc,
+19587,26574,4.19776,-6.8376,4.04,0.327,ο1,38,Eri,Beid
+57380,102212,11.76432,6.5294,4.04,1.501,ν,3,Vir,
+70497,126660,14.41995,51.8507,4.04,0.497,θ,23,Boo,Asellus Primus
+111497,213998,22.58927,-0.1175,4.04,-0.083,η,62,Aqr,
+14632,19373,3.15111,49.6133,4.05,0.595,ι,,Per,
+40702,71243,8.30877,-76.9197,4.05,0.413,α,,Cha,
+42884,74772,8.73999,-42.6493,4.05,0.874,d,,Vel,
+55434,98664,11.35227,6.0293,4.05,-0.058,σ,77,Leo,
+67459,120477,13.82462,15.7979,4.05,1.520,υ,5,Boo,
+70090,125473,14.34262,-37.8853,4.05,-0.030,ψ,,Cen,
+71536,128345,14.63145,-49.4258,4.05,-0.152,ρ,,Lup,
+112716,216032,22.82653,-13.5926,4.05,1.570,τ2,71,Aqr,
+22957,31421,4.93952,13.5145,4.06,1.158,ο2,9,Ori,
+36962,60522,7.59871,26.8957,4.06,1.540,υ,69,Gem,
+55705,99211,11.41470,-17.6840,4.06,0.216,γ,15,Crt,
+59929,106849,12.29285,-67.9607,4.06,1.603,ε,,Mus,
+60009,106983,12.30729,-64.0031,4.06,-0.168,ζ,,Cru,
+72010,129456,14.72762,-35.1737,4.06,1.356,c1,,Cen,
+83153,152980,16.99307,-53.1604,4.06,1.452,ε1,,Ara,
+69701,124850,14.26691,-6.0005,4.07,0.511,ι,99,Vir,Syrma
+74117,133955,15.14739,-45.2799,4.07,-0.162,λ,,Lup,
+74824,135379,15.29190,-58.8012,4.07,0.088,β,,Cir,
+110991,213306,22.48619,58.4152,4.07,0.778,δ,27,Cep,
+3693,4502,0.78898,24.2672,4.08,1.100,ζ,34,And,
+11001,15008,2.36249,-68.6594,4.08,0.034,δ,,Hyi,
+12387,16582,2.65805,0.3285,4.08,-0.212,δ,82,Cet,
+14146,18978,3.03986,-23.6245,4.08,0.163,τ3,11,Eri,
+33160,50778,6.90317,-12.0386,4.08,1.418,θ,14,CMa,
+46974,83183,9.57407,-59.2298,4.08,-0.013,h,,Car,
+53740,95272,10.99624,-18.2988,4.08,1.079,α,7,Crt,Alkes
+92862,175865,18.92225,43.9461,4.08,1.397,,13,Lyr,
+104139,200761,21.09912,-17.2329,4.08,-0.010,θ,23,Cap,
+105502,203504,21.36811,19.8045,4.08,1.108,,1,Peg,
+26366,37160,5.61511,9.2907,4.09,0.951,φ2,40,Ori,
+77450,141477,15.81233,18.1416,4.09,1.616,κ,35,Ser,Gudja
+7513,9826,1.61329,41.4055,4.10,0.536,υ,50,And,Titawin
+12777,16895,2.73666,49.2284,4.10,0.514,θ,13,Per,
+38164,63922,7.82064,-46.3732,4.10,-0.160,P,,Pup,
+90568,169767,18.48051,-49.0706,4.10,0.995,ζ,,Tel,
+94160,178345,19.16715,-39.3408,4.10,1.163,β,,CrA,
+12486,16815,2.67779,-39.8554,4.11,1.006,ι,,Eri,
+34045,53244,7.06264,-15.6333,4.11,-0.112,γ,23,CMa,Muliphein
+42312,73634,8.62740,-42.9891,4.11,0.109,e,,Vel,
+48356,85444,9.85797,-14.8466,4.11,0.918,υ1,39,Hya,Zhang
+51839,92305,10.59114,-78.6078,4.11,1.580,γ,,Cha,
+57439,,11.77523,-61.1784,4.11,0.895,,,,
+76440,138538,15.61201,-66.3170,4.11,1.161,ε,,TrA,
+94114,178253,19.15787,-37.9045,4.11,0.042,α,,CrA,Meridiana
+113638,217364,23.01467,-52.7541,4.11,0.960,ζ,,Gru,
+12394,16978,2.65982,-68.2669,4.12,-0.061,ε,,Hyi,
+19812,26630,4.24829,48.4093,4.12,0.935,μ,51,Per,
+28614,40932,6.03972,9.6473,4.12,0.170,μ,61,Ori,
+58948,104979,12.08681,8.7330,4.12,0.967,ο,9,Vir,
+98032,188114,19.92103,-41.8683,4.12,1.063,ι,,Sgr,
+102978,198542,20.86369,-26.9191,4.12,1.633,ω,18,Cap,
+111043,213080,22.49595,-43.7492,4.12,1.570,δ2,,Gru,
+25247,35369,5.39912,-7.8081,4.13,0.943,e,29,Ori,
+30883,45542,6.48272,20.2121,4.13,-0.115,ν,18,Gem,Nucatai
+77853,142198,15.89709,-16.7293,4.13,1.003,θ,46,Lib,
+102485,197692,20.76826,-25.2709,4.13,0.426,ψ,16,Cap,Wei
+112405,214846,22.76764,-81.3816,4.13,0.208,β,,Oct,
+116771,222368,23.66585,5.6263,4.13,0.507,ι,17,Psc,
+16369,21754,3.51455,12.9367,4.14,1.112,f,5,Tau,
+17608,23480,3.77211,23.9484,4.14,-0.051,,23,Tau,Merope
+42313,73262,8.62760,5.7038,4.14,0.003,δ,4,Hya,Minazal
+59072,105211,12.11469,-64.6137,4.14,0.353,η,,Cru,
+76127,138749,15.54883,31.3591,4.14,-0.127,θ,4,CrB,
+78159,143107,15.95979,26.8779,4.14,1.231,ε,13,CrB,
+107354,206901,21.74409,25.6450,4.14,0.425,κ,10,Peg,
+109937,211388,22.26616,37.7487,4.14,1.447,,1,Lac,
+34769,55185,7.19774,-0.4928,4.15,-0.005,δ,22,Mon,
+85112,157778,17.39471,37.1459,4.15,-0.011,ρ,75,Her,
+116805,222439,23.67347,44.3339,4.15,-0.071,κ,19,And,
+28734,41116,6.06867,23.2633,4.16,0.835,,1,Gem,Propus
+36366,58946,7.48520,31.7846,4.16,0.320,ρ,62,Gem,
+78727,144069,16.07267,-11.3736,4.16,0.460,,,,Grafias
+85340,157792,17.43951,-24.1753,4.16,0.283,b,44,Oph,
+2599,2905,0.55000,62.9318,4.17,0.130,κ,15,Cas,
+17874,24160,3.82423,-36.2003,4.17,0.927,g,,Eri,
+110003,211391,22.28057,-7.7833,4.17,0.979,θ,43,Aqr,Ancha
+69427,124294,14.21493,-10.2737,4.18,1.323,κ,98,Vir,Kang
+69732,125162,14.27306,46.0883,4.18,0.087,λ,19,Boo,Xuange
+81304,149447,16.60624,-35.2553,4.18,1.535,H,,Sco,
+109857,211336,22.25061,57.0436,4.18,0.278,ε,23,Cep,
+111954,214748,22.67759,-27.0436,4.18,-0.105,ε,18,PsA,
+67457,120323,13.82409,-34.4508,4.19,1.520,g,2,Cen,
+92043,173667,18.76103,20.5463,4.19,0.483,,110,Her,
+25813,36267,5.51307,5.9481,4.20,-0.143,,32,Ori,
+38835,65228,7.94765,-22.8801,4.20,0.718,j,11,Pup,
+51233,90537,10.46472,36.7072,4.20,0.908,β,31,LMi,
+81126,149630,16.56839,42.4370,4.20,-0.013,σ,35,Her,
+112447,215648,22.77822,12.1729,4.20,0.502,ξ,46,Peg,Suudalnujum
+113246,216763,22.93247,-32.5396,4.20,0.952,δ,23,PsA,
+16228,21291,3.48448,59.9403,4.21,0.419,,,Cam,
+20635,27934,4.42283,22.2939,4.21,0.136,κ,65,Tau,
+82080,153751,16.76618,82.0373,4.21,0.897,ε,22,UMi,Circitores
+101093,195725,20.49303,62.9941,4.21,0.199,θ,2,Cep,Al Kidr
+105858,203608,21.44073,-65.3662,4.21,0.494,γ,,Pav,
+13254,17584,2.84307,38.3186,4.22,0.343,,16,Per,
+17651,23754,3.78080,-23.2497,4.22,0.434,τ6,27,Eri,
+38518,64760,7.88838,-48.1029,4.22,-0.130,J,,Pup,
+78918,144294,16.10987,-36.8023,4.22,-0.184,θ,,Lup,
+80569,148184,16.45040,-18.4563,4.22,0.217,χ,7,Oph,
+89908,170000,18.34595,71.3378,4.22,-0.093,φ,43,Dra,Aldhiba
+92175,173764,18.78624,-4.7479,4.22,1.087,β,,Sct,
+92609,173948,18.87029,-62.1876,4.22,-0.150,λ,,Pav,
+92791,175588,18.90841,36.8986,4.22,1.575,δ2,12,Lyr,
+102453,197912,20.76104,30.7197,4.22,1.051,,52,Cyg,
+105102,202850,21.29027,39.3947,4.22,0.098,σ,67,Cyg,
+114724,219215,23.23871,-6.0490,4.22,1.545,φ,90,Aqr,
+1599,1581,0.33452,-64.8748,4.23,0.576,ζ,,Tuc,
+37629,62044,7.72187,28.8835,4.23,1.118,σ,75,Gem,
+64394,114710,13.19789,27.8782,4.23,0.572,β,43,Com,
+67153,119756,13.76146,-33.0437,4.23,0.390,i,1,Cen,
+68520,122408,14.02744,1.5445,4.23,0.121,τ,93,Vir,
+79101,145389,16.14616,44.9349,4.23,-0.045,φ,11,Her,
+81852,149324,16.71796,-77.5174,4.23,1.060,β,,Aps,
+93825,177474,19.10697,-37.0634,4.23,0.523,γ,,CrA,
+107259,206936,21.72513,58.7800,4.23,2.242,μ,,Cep,The Garnet Star
+107533,207330,21.77989,49.3096,4.23,-0.120,π2,81,Cyg,
+5372,5848,1.14580,86.2571,4.24,1.213,,2,UMi,
+11407,15371,2.44975,-47.7038,4.24,-0.136,κ,,Eri,
+12770,17081,2.73537,-13.8587,4.24,-0.122,π,89,Cet,
+60000,106911,12.30579,-79.3122,4.24,-0.123,β,,Cha,
+61317,109358,12.56237,41.3575,4.24,0.588,β,8,CVn,Chara
+80911,148703,16.52304,-34.7044,4.24,-0.168,N,,Sco,
+86565,160613,17.69024,-12.8753,4.24,0.086,ο,56,Ser,
+114855,219449,23.26486,-9.0877,4.24,1.107,ψ1,91,Aqr,
+5896,7788,1.26282,-68.8759,4.25,0.480,κ,,Tuc,
+19167,25642,4.10973,50.3513,4.25,-0.011,λ,47,Per,
+21402,29140,4.59424,10.1608,4.25,0.184,d,88,Tau,
+21476,29094,4.61151,41.2648,4.25,1.171,e,58,Per,
+23972,33328,5.15244,-8.7541,4.25,-0.187,λ,69,Eri,
+41075,70272,8.38059,43.1881,4.25,1.550,,31,Lyn,Alsciaukat
+62896,111968,12.89061,-40.1789,4.25,0.224,n,,Cen,
+70692,127700,14.45876,75.6960,4.25,1.431,,5,UMi,
+107418,207260,21.75748,61.1208,4.25,0.474,ν,10,Cep,Castula
+5434,6811,1.15837,47.2418,4.26,0.012,φ,42,And,
+8198,10761,1.75657,9.1577,4.26,0.942,ο,110,Psc,Torcular
+15510,20794,3.33213,-43.0698,4.26,0.711,e,82,Eri,
+16611,22203,3.56313,-21.6329,4.26,-0.106,τ5,19,Eri,
+19893,27290,4.26711,-51.4866,4.26,0.312,γ,,Dor,
+22783,30614,4.90083,66.3427,4.26,-0.008,α,9,Cam,
+44066,76756,8.97479,11.8577,4.26,0.141,α,65,Cnc,Acubens
+86170,159433,17.60912,-38.6353,4.26,1.075,Q,,Sco,
+88267,164668,18.02511,21.5958,4.26,0.406,,95,Her,
+108917,209790,22.06318,64.6280,4.26,0.379,ξ,17,Cep,Kurhah
+4906,6186,1.04906,7.8901,4.27,0.952,ε,71,Psc,
+12828,17094,2.74904,10.1141,4.27,0.311,μ,87,Cet,
+19860,26912,4.25891,8.8924,4.27,-0.054,μ,49,Tau,
+21589,29388,4.63596,12.5108,4.27,0.122,c1,90,Tau,
+21881,29763,4.70409,22.9569,4.27,-0.112,τ,94,Tau,
+64004,113791,13.11518,-49.9062,4.27,-0.182,ξ2,,Cen,
+74911,135734,15.30889,-47.8753,4.27,-0.086,μ,,Lup,
+95294,181623,19.38698,-44.7998,4.27,0.350,β2,,Sgr,Arkab Posterior
+102532,197964,20.77764,16.1243,4.27,1.042,γ2,12,Del,Al Salib
+115830,220954,23.46614,6.3790,4.27,1.062,θ,10,Psc,
+20711,28024,4.43846,22.8136,4.28,0.263,υ,69,Tau,
+47193,,9.61813,81.3264,4.28,1.488,,,,
+51172,90610,10.45253,-31.0678,4.28,1.429,α,,Ant,
+85423,157919,17.45591,-29.8670,4.28,0.402,d,45,Oph,
+99655,192696,20.22329,56.5677,4.28,0.114,,33,Cyg,
+105515,203387,21.37078,-16.8345,4.28,0.888,ι,32,Cap,
+109410,210459,22.16646,33.1782,4.28,0.471,π,29,Peg,
+114131,218227,23.11465,-43.5204,4.28,0.423,θ,,Gru,
+16852,22484,3.61455,0.4017,4.29,0.575,,10,Tau,
+24845,34816,5.32626,-13.1768,4.29,-0.235,λ,6,Lep,
+52154,92449,10.65511,-55.6033,4.29,1.025,x,,Vel,
+57936,103192,11.88181,-33.9081,4.29,-0.100,β,,Hya,
+77055,142105,15.73431,77.7945,4.29,0.038,ζ,16,UMi,Akfa Farkadain
+80894,148786,16.51899,-16.6127,4.29,0.924,φ,8,Oph,
+109139,209819,22.10729,-13.8697,4.29,-0.075,ι,33,Aqr,
+111188,213398,22.52509,-32.3461,4.29,0.011,β,17,PsA,Fum al Hui
+116631,222173,23.63561,43.2681,4.29,-0.083,ι,17,And,
+4577,5737,0.97677,-29.3574,4.30,-0.154,α,,Scl,
+11484,15318,2.46932,8.4601,4.30,-0.053,ξ2,73,Cet,
+17531,23338,3.75347,24.4673,4.30,-0.110,q,19,Tau,Taygeta
+17797,24071,3.80997,-37.6202,4.30,-0.038,f,,Eri,
+20648,27962,4.42483,17.9279,4.30,0.049,,68,Tau,
+28404,40239,5.99891,45.9367,4.30,1.701,π,35,Aur,
+42799,74280,8.72041,3.3987,4.30,-0.192,η,7,Hya,
+53417,94601,10.92689,24.7497,4.30,0.016,,54,Leo,
+56647,100920,11.61581,-0.8237,4.30,0.983,υ,91,Leo,
+57669,102776,11.82807,-63.7885,4.30,-0.149,j,,Cen,
+61174,109085,12.53451,-16.1960,4.30,0.388,η,8,Crv,
+70069,125288,14.33876,-56.3865,4.30,0.082,v,,Cen,
+100027,192876,20.29413,-12.5082,4.30,0.928,α1,5,Cap,Prima Giedi
+42568,74375,8.67695,-59.7610,4.31,-0.117,d,,Car,
+70638,124882,14.44867,-83.6679,4.31,1.300,δ,,Oct,
+75411,137391,15.40817,37.3772,4.31,0.309,μ1,51,Boo,Alkalurops
+78990,144608,16.12343,-20.8688,4.31,0.831,ω2,10,Sco,
+101847,196574,20.63897,-1.1051,4.31,0.949,l,71,Aql,
+16826,22192,3.60816,48.1926,4.32,-0.058,ψ,37,Per,
+21763,29755,4.67403,-19.6715,4.32,1.599,,54,Eri,
+25945,36389,5.53687,18.5942,4.32,2.060,,119,Tau,The Ruby Star
+29696,43039,6.25630,29.4981,4.32,1.021,κ,44,Aur,
+43067,74918,8.77293,-13.5477,4.32,0.900,D,12,Hya,
+46750,82308,9.52867,22.9680,4.32,1.541,λ,4,Leo,Alterf
+58758,104671,12.05042,-63.3129,4.32,0.280,θ1,,Cru,
+64241,114378,13.16647,17.5294,4.32,0.455,α,42,Com,Diadem
+67669,120709,13.86378,-32.9941,4.32,-0.146,k,3,Cen,
+72683,130807,14.86064,-43.5754,4.32,-0.154,ο,,Lup,
+84880,156928,17.34713,-12.8469,4.32,0.037,ν,53,Ser,
+36284,58972,7.46939,8.9255,4.33,1.425,γ,4,CMi,
+62867,111915,12.88525,-48.9433,4.33,1.344,e,,Cen,
+70576,126354,14.43634,-45.3793,4.33,0.434,τ2,,Lup,
+84405,155885,17.25583,-26.6028,4.33,0.855,A,36,Oph,Guniibuu
+88866,165040,18.14301,-63.6686,4.33,0.228,π,,Pav,
+89826,168775,18.33103,36.0645,4.33,1.162,κ,1,Lyr,
+2912,3369,0.61468,33.7193,4.34,-0.123,π,29,And,
+3031,3546,0.64259,29.3118,4.34,0.871,ε,30,And,
+5542,6961,1.18505,55.1499,4.34,0.170,θ,33,Cas,Marfak
+27100,39014,5.74621,-65.7355,4.34,0.217,δ,,Dor,
+31125,46328,6.53093,-23.4184,4.34,-0.245,ξ1,4,CMa,
+40888,71701,8.34404,-77.4845,4.34,1.161,θ,,Cha,
+45496,80230,9.27002,-57.5415,4.34,1.602,g,,Car,
+47175,83446,9.61376,-49.3550,4.34,0.173,M,,Vel,
+68523,122223,14.02875,-45.6034,4.34,0.598,υ2,,Cen,
+76552,139127,15.63423,-42.5673,4.34,1.412,ω,,Lup,
+85355,157999,17.44191,4.1404,4.34,1.480,σ,49,Oph,
+91971,173648,18.74621,37.6051,4.34,0.192,ζ1,6,Lyr,Nasr Alwaki
+92161,173880,18.78369,18.1815,4.34,0.148,,111,Her,
+107348,206859,21.74186,17.3500,4.34,1.161,,9,Peg,
+111022,213310,22.49217,47.7069,4.34,1.679,,5,Lac,
+14838,19787,3.19383,19.7267,4.35,1.033,δ,57,Ari,Botein
+22509,30739,4.84353,8.9002,4.35,0.010,π2,2,Ori,Al Taj
+31407,47306,6.58294,-52.9756,4.35,-0.021,N,,Car,
+33449,50522,6.95461,58.4228,4.35,0.850,,15,Lyn,
+39794,68520,8.13217,-68.6171,4.35,-0.113,ε,,Vol,
+43234,75137,8.80721,5.8378,4.35,-0.044,ρ,13,Hya,
+60742,108381,12.44897,28.2684,4.35,1.128,γ,15,Com,Al Dafirah
+74857,135758,15.29718,-30.1487,4.35,1.100,f,2,Lup,
+85822,166205,17.53695,86.5865,4.35,0.021,δ,23,UMi,Yildun
+90098,168339,18.38712,-61.4939,4.35,1.462,ξ,,Pav,
+94713,180809,19.27281,38.1337,4.35,1.258,θ,21,Lyr,
+107380,206742,21.74911,-33.0258,4.35,-0.053,ι,9,PsA,
+2484,2884,0.52574,-62.9582,4.36,-0.064,β1,,Tuc,
+3405,4150,0.72257,-57.4631,4.36,0.024,η,,Phe,
+10324,13611,2.21667,8.8467,4.36,0.878,ξ1,65,Cet,Al Kaff al Jidhmah
+16335,21552,3.50958,47.9952,4.36,1.367,σ,35,Per,
+19038,25604,4.07825,22.0819,4.36,1.064,A1,37,Tau,
+22701,31109,4.88157,-5.4527,4.36,0.257,ω,61,Eri,
+24327,33949,5.22052,-12.9413,4.36,-0.094,κ,4,Lep,
+28199,40494,5.95895,-35.2833,4.36,-0.165,γ,,Col,
+33347,51309,6.93562,-17.0542,4.36,-0.063,ι,20,CMa,
+39863,67594,8.14323,-2.9838,4.36,0.970,ζ,29,Mon,
+68862,122980,14.10077,-41.1796,4.36,-0.198,χ,,Cen,
+96468,184930,19.61202,-1.2866,4.36,-0.079,ι,41,Aql,Al Thalimain Posterior
+154,224935,0.03267,-6.0141,4.37,1.631,,30,Psc,
+29807,43785,6.27587,-35.1405,4.37,0.978,κ,,Col,
+35415,57061,7.31180,-24.9544,4.37,-0.132,τ,30,CMa,
+53773,95370,11.00257,-42.2259,4.37,0.116,i,,Vel,
+88886,166182,18.14597,20.8146,4.37,-0.164,,102,Her,
+98412,189103,19.99561,-35.2763,4.37,-0.150,θ1,,Sgr,
+64238,114330,13.16583,-5.5390,4.38,-0.008,θ,51,Vir,Apami-Atsa
+99255,192907,20.14815,77.7114,4.38,-0.046,κ,1,Cep,Al Aghnam
+115669,220704,23.43411,-20.6420,4.38,1.460,b2,99,Aqr,
+116231,221507,23.54951,-37.8183,4.38,-0.095,β,,Scl,
+8837,11695,1.89409,-46.3027,4.39,1.597,ψ,,Phe,
+17884,23475,3.82535,65.5260,4.39,1.870,,,Cam,
+26176,36822,5.58035,9.4896,4.39,-0.157,φ1,37,Ori,Heka
+27913,39587,5.90639,20.2762,4.39,0.594,χ1,54,Ori,
+30419,44769,6.39613,4.5929,4.39,0.215,ε,8,Mon,
+39311,66141,8.03776,2.3346,4.39,1.252,G,,CMi,
+49637,87837,10.13174,9.9975,4.39,1.448,A,31,Leo,
+73620,133165,15.04835,2.0913,4.39,1.026,,110,Vir,
+82673,152614,16.90013,10.1654,4.39,-0.088,ι,25,Oph,
+84893,156897,17.35011,-21.1129,4.39,0.394,ξ,40,Oph,Aggia
+96757,185758,19.66827,18.0139,4.39,0.777,α,5,Sge,Sham
+96837,185958,19.68415,17.4760,4.39,1.041,β,6,Sge,
+105319,202730,21.33111,-53.4494,4.39,0.191,θ,,Ind,
+4463,5516,0.95345,23.4176,4.40,0.940,η,38,And,
+38070,63462,7.80143,-25.9372,4.40,-0.070,ο,,Pup,
+39906,67797,8.15045,-19.2450,4.40,-0.160,,16,Pup,
+93015,174694,18.94917,-67.2335,4.40,0.530,κ,,Pav,
+108431,208450,21.96530,-54.9926,4.40,0.297,δ,,Ind,
+32761,50337,6.83092,-53.6224,4.41,0.899,A,,Car,
+34693,54719,7.18566,30.2452,4.41,1.261,τ,46,Gem,
+70300,125823,14.38395,-39.5118,4.41,-0.185,a,,Cen,Bidelman's Helium Variable Star
+85693,158899,17.51231,26.1106,4.41,1.434,λ,76,Her,Maasym
+87998,164136,17.97504,30.1893,4.41,0.380,ν,94,Her,
+105138,202904,21.29863,34.8969,4.41,-0.103,υ,66,Cyg,
+114222,218658,23.13163,75.3875,4.41,0.802,π,33,Cep,
+115033,219688,23.29839,-9.1825,4.41,-0.144,ψ2,93,Aqr,
+115102,219784,23.31373,-32.5320,4.41,1.109,γ,,Scl,
+29038,41753,6.12620,14.7685,4.42,-0.164,ν,67,Ori,
+31700,47442,6.63151,-18.2375,4.42,1.137,ν3,8,CMa,
+34922,56096,7.22565,-44.6397,4.42,1.331,L2,,Pup,
+34981,56014,7.23756,-26.3525,4.42,-0.170,,27,CMa,
+40326,69142,8.23415,-40.3479,4.42,1.170,h2,,Pup,
+53954,95608,11.03883,20.1798,4.42,0.053,b,60,Leo,
+72571,130694,14.83814,-27.9604,4.42,1.366,E,58,Hya,
+77257,141004,15.77406,7.3531,4.42,0.604,λ,27,Ser,
+88290,164577,18.02922,1.3051,4.42,0.046,,68,Oph,
+110538,212496,22.39267,52.2290,4.42,1.015,β,3,Lac,
+115623,220657,23.42299,23.4041,4.42,0.617,υ,68,Peg,Alkarab
+17593,23614,3.76904,-12.1016,4.43,1.604,π,26,Eri,
+19849,26965,4.25453,-7.6529,4.43,0.820,ο2,40,Eri,Keid
+23040,31278,4.95478,53.7521,4.43,-0.017,,7,Cam,
+94481,180163,19.22930,39.1460,4.43,-0.150,η,20,Lyr,Aladfar
+98688,189763,20.04430,-27.7098,4.43,1.640,c,62,Sgr,Terebellum
+100587,194317,20.39767,32.1902,4.43,1.331,,39,Cyg,
+102281,197461,20.72431,15.0746,4.43,0.302,δ,11,Del,Al Ukud
+102624,198026,20.79562,-5.0277,4.43,1.639,k,3,Aqr,
+1170,1038,0.24401,-18.9329,4.44,1.640,,7,Cet,
+3786,4656,0.81137,7.5851,4.44,1.500,δ,63,Psc,Kuton
+19921,27442,4.27473,-59.3022,4.44,1.078,ε,,Ret,
+21770,29875,4.67603,-41.8638,4.44,0.342,α,,Cae,
+30060,43378,6.32705,59.0110,4.44,0.032,,2,Lyn,
+36795,60532,7.56755,-22.2961,4.44,0.521,,,,
+40091,68553,8.18931,-39.6185,4.44,1.590,h1,,Pup,
+40706,70060,8.30925,-36.6593,4.44,0.222,q,,Pup,
+71121,127381,14.54363,-50.4572,4.44,-0.177,σ,,Lup,
+95771,183439,19.47843,24.6649,4.44,1.502,α,6,Vul,Anser
+7884,10380,1.69053,5.4876,4.45,1.347,ν,106,Psc,
+13147,17652,2.81817,-32.4059,4.45,0.981,β,,For,
+24244,33802,5.20497,-11.8692,4.45,-0.099,ι,3,Lep,
+29426,42560,6.19900,14.2088,4.45,-0.180,ξ,70,Ori,
+42402,73471,8.64595,3.3414,4.45,1.216,σ,5,Hya,Minchir
+44191,77258,9.00150,-41.2536,4.45,0.646,w,,Vel,
+51849,91942,10.59314,-57.5576,4.45,1.604,r,,Car,
+52633,93845,10.76305,-80.5402,4.45,-0.188,δ2,,Cha,
+55084,98058,11.27769,-3.6516,4.45,0.210,φ,74,Leo,
+80975,148898,16.53561,-21.4664,4.45,0.130,ω,9,Oph,
+94648,181984,19.25918,73.3555,4.45,1.257,τ,60,Dra,
+96229,184406,19.56815,7.3789,4.45,1.176,μ,38,Aql,
+11569,15089,2.48443,67.4025,4.46,0.153,ι,,Cas,
+18255,24554,3.90486,-2.9547,4.46,0.672,w,32,Eri,
+24331,33856,5.22152,2.8613,4.46,1.166,ρ,17,Ori,
+44901,78209,9.14785,51.6046,4.46,0.288,f,15,UMa,Alhaud
+54682,97277,11.19430,-22.8258,4.46,0.025,β,11,Crt,Al Sharasif
+59173,105382,12.13479,-50.6613,4.46,-0.163,,,Cen,
+80582,147971,16.45307,-47.5548,4.46,-0.070,ε,,Nor,
+112948,216336,22.87543,-32.8755,4.46,-0.037,γ,22,PsA,
+12843,17206,2.75172,-18.5726,4.47,0.481,τ1,1,Eri,
+15549,,3.33899,29.0485,4.47,1.555,,,,
+23123,31767,4.97581,1.7140,4.47,1.369,π6,10,Ori,
+30788,45813,6.46950,-32.5801,4.47,-0.169,λ,,CMa,
+31216,46300,6.54839,7.3330,4.47,0.023,,13,Mon,
+38957,65818,7.97068,-49.2449,4.47,-0.180,,,Pup,
+44599,78791,9.08578,-72.6027,4.47,0.607,G,,Car,
+46146,81146,9.41091,26.1823,4.47,1.222,κ,1,Leo,Al Minlear al Asad
+47006,82621,9.58040,52.0515,4.47,0.027,,26,UMa,
+57803,102964,11.85241,-45.1735,4.47,1.283,B,,Cen,
+71284,128167,14.57801,29.7451,4.47,0.364,σ,28,Boo,
+73165,132052,14.95305,-4.3465,4.47,0.318,,16,Lib,
+104858,202275,21.24134,10.0070,4.47,0.529,δ,7,Equ,
+109111,209688,22.10191,-39.5434,4.47,1.349,λ,,Gru,
+3504,4180,0.74542,48.2844,4.48,-0.069,ο,22,Cas,
+18744,25705,4.01495,-62.1593,4.48,1.500,γ,,Ret,
+20713,28052,4.43909,15.6183,4.48,0.262,,71,Tau,
+32578,49293,6.79768,2.4122,4.48,1.099,,18,Mon,
+49641,87887,10.13230,-0.3716,4.48,-0.032,α,15,Sex,
+75323,136415,15.38963,-59.3208,4.48,0.169,γ,,Cir,
+80343,147700,16.40172,-20.0373,4.48,0.996,ψ,4,Oph,
+113889,217891,23.06461,3.8200,4.48,-0.115,β,4,Psc,Fumalsamakah
+114119,218240,23.11135,-23.7431,4.48,0.892,c1,86,Aqr,
+9480,12111,2.03263,70.9070,4.49,0.164,A,48,Cas,
+21248,29085,4.55849,-29.7665,4.49,0.972,υ1,50,Eri,Beemim
+32249,48433,6.73314,13.2280,4.49,1.167,,30,Gem,
+34834,55892,7.20934,-46.7593,4.49,0.324,I,,Pup,
+38455,64503,7.87740,-38.8628,4.49,-0.188,b,,Pup,
+49593,87696,10.12382,35.2447,4.49,0.190,,21,LMi,
+71762,129174,14.67877,16.4183,4.49,-0.002,π1,29,Boo,
+96441,185395,19.60737,50.2211,4.49,0.395,θ,13,Cyg,
+104234,200914,21.11879,-25.0059,4.49,1.604,A,24,Cap,
+107310,206826,21.73571,28.7426,4.49,0.512,μ1,78,Cyg,
+116928,222603,23.70078,1.7800,4.49,0.200,λ,18,Psc,
+116971,222661,23.71204,-14.5449,4.49,-0.032,ω2,105,Aqr,
+118322,224686,23.99861,-65.5771,4.49,-0.075,ε,,Tuc,
+26594,37490,5.65309,4.1215,4.50,-0.098,ω,47,Ori,
+27530,39523,5.83046,-56.1667,4.50,1.075,γ,,Pic,
+43105,75311,8.77849,-56.7698,4.50,-0.169,f,,Car,
+50676,89890,10.34855,-56.0432,4.50,-0.102,J,,Vel,
+57565,102509,11.79976,20.2189,4.50,0.547,,93,Leo,
+67275,120136,13.78771,17.4569,4.50,0.508,τ,4,Boo,
+99874,192806,20.26281,27.8142,4.50,1.258,,23,Vul,
+104459,201381,21.15990,-11.3717,4.50,0.926,ν,13,Aqr,Albulaan
+106039,204381,21.47872,-21.8072,4.50,0.889,b,36,Cap,
+109285,210049,22.13973,-32.9885,4.50,0.054,μ,14,PsA,
+109754,,22.23131,39.7149,4.50,1.385,,,,
+111944,214868,22.67524,44.2763,4.50,1.318,,11,Lac,
+1473,1404,0.30546,36.7852,4.51,0.054,σ,25,And,
+5586,7106,1.19435,30.0896,4.51,1.092,τ,83,Psc,
+27483,38656,5.81957,39.1811,4.51,0.949,τ,29,Aur,
+46515,82150,9.48742,-35.9513,4.51,1.408,ε,,Ant,
+47391,83944,9.65583,-61.3281,4.51,-0.070,m,,Car,
+76852,140159,15.69251,19.6704,4.51,0.062,ι,21,Ser,
+98702,190940,20.04697,67.8736,4.51,1.313,ρ,67,Dra,
+102333,197157,20.73398,-51.9210,4.51,0.278,η,,Ind,
+106723,205637,21.61801,-19.4660,4.51,-0.180,ε,39,Cap,Kastra
+110838,212581,22.45555,-64.9664,4.51,-0.029,δ,,Tuc,
+117863,224014,23.90640,57.4994,4.51,1.190,ρ,7,Cas,
+13061,17361,2.79849,29.2471,4.52,1.112,,39,Ari,Lilii Borea
+65271,116087,13.37721,-60.9884,4.52,-0.141,J,,Cen,
+65387,116243,13.40013,-64.5357,4.52,0.822,m,,Cen,
+69974,125337,14.31850,-13.3711,4.52,0.128,λ,100,Vir,Khambaliya
+73745,133582,15.07409,26.9476,4.52,1.240,ψ,43,Boo,Aulad Alnathlat
+89112,166063,18.18715,-45.9544,4.52,1.009,ε,,Tel,
+95176,181615,19.36212,-15.9550,4.52,0.079,υ,46,Sgr,
+102431,198084,20.75587,57.5797,4.52,0.535,υ1,,Cep,
+106140,204724,21.49914,23.6388,4.52,1.618,,2,Peg,
+111104,213420,22.50813,43.1234,4.52,-0.086,,6,Lac,
+2487,2885,0.52597,-62.9656,4.53,0.147,β2,,Tuc,
+3881,4727,0.83023,41.0789,4.53,-0.136,ν,35,And,
+28413,,6.00093,-3.0743,4.53,1.202,,,,
+37096,61330,7.62281,-34.9685,4.53,-0.081,f,,Pup,
+69483,124675,14.22473,51.7900,4.53,0.233,κ2,17,Boo,Asellus Tertius
+85365,157950,17.44385,-5.0866,4.53,0.385,,47,Oph,
+87072,161592,17.79267,-27.8308,4.53,0.600,,3,Sgr,
+102589,198183,20.79015,36.4907,4.53,-0.083,λ,54,Cyg,
+114570,219080,23.20917,49.4062,4.53,0.302,,7,And,
+24727,34334,5.30293,33.3716,4.54,1.252,,16,Aur,
+31416,46933,6.58427,-22.9648,4.54,-0.035,ξ2,5,CMa,
+46776,82446,9.53303,-1.1847,4.54,0.109,τ2,32,Hya,
+46952,82635,9.57039,36.3976,4.54,0.914,,10,LMi,
+46977,82210,9.57468,69.8303,4.54,0.781,d,24,UMa,
+72659,131156,14.85649,19.1005,4.54,0.720,ξ,37,Boo,
+74392,134759,15.20369,-19.7917,4.54,-0.071,ι,24,Lib,
+75304,136664,15.38593,-36.8585,4.54,-0.155,φ2,,Lup,
+98162,188603,19.94912,-27.1699,4.54,1.462,b1,59,Sgr,Terebellum
+114144,218329,23.11674,9.4095,4.54,1.559,,55,Peg,
+115919,221115,23.48591,12.7606,4.54,0.939,,70,Peg,
+301,225132,0.06233,-17.3360,4.55,-0.047,,2,Cet,
+16281,21389,3.49854,58.8787,4.55,0.489,,,Cam,
+23595,32831,5.07345,-35.4830,4.55,1.177,γ,,Cae,
+33694,,7.00112,76.9774,4.55,1.365,,,,
+36425,59294,7.49661,12.0066,4.55,1.276,,6,CMi,
+48402,85235,9.86843,54.0643,4.55,0.038,φ,30,UMa,
+76371,138769,15.59813,-44.9584,4.55,-0.175,d,,Lup,
+80079,147084,16.34394,-24.1693,4.55,0.758,ο,19,Sco,
+88839,,18.13471,-28.4571,4.55,0.938,,,,
+107119,206952,21.69869,71.3114,4.55,1.108,,11,Cep,
+110351,212120,22.35043,46.5366,4.55,-0.100,,2,Lac,
+110609,212593,22.40861,49.4764,4.55,0.092,,4,Lac,
+13328,17709,2.85857,35.0597,4.56,1.554,,17,Per,
+18597,25422,3.97910,-61.4002,4.56,1.590,δ,,Ret,
+27830,39357,5.88879,27.6123,4.56,-0.008,,136,Tau,
+44700,,9.10883,38.4522,4.56,1.037,,,,
+54951,97778,11.25340,23.0955,4.56,1.657,,72,Leo,Zubrah
+70574,126341,14.43562,-45.2214,4.56,-0.147,τ1,,Lup,
+86092,159217,17.59433,-46.5057,4.56,-0.020,σ,,Ara,
+103004,198809,20.86880,27.0970,4.56,0.835,,31,Vul,
+104194,201251,21.11003,47.6484,4.56,1.569,f2,63,Cyg,
+16870,22663,3.61825,-40.2745,4.57,1.023,y,,Eri,
+80463,148112,16.42360,14.0333,4.57,0.002,ω,24,Her,Cujam
+80473,147933,16.42642,-23.4472,4.57,0.227,ρ,5,Oph,
+86614,162003,17.69899,72.1488,4.57,0.434,ψ,31,Dra,Dziban
+92818,175492,18.91247,22.6451,4.57,0.782,,113,Her,
+94005,177873,19.13916,-40.4967,4.57,1.070,δ,,CrA,
+97886,188260,19.89103,24.0796,4.57,-0.047,,13,Vul,
+26237,37018,5.58977,-4.8384,4.58,-0.183,c,42,Ori,Mizan Batil
+48374,85622,9.86129,-46.5476,4.58,1.172,m,,Vel,
+52468,93070,10.72563,-60.5666,4.58,1.700,w,,Car,
+64425,114529,13.20489,-59.9206,4.58,-0.073,,,Cen,
+67627,121130,13.85721,64.7233,4.58,1.572,i,10,Dra,
+79404,145482,16.20506,-27.9264,4.58,-0.172,c2,13,Sco,
+86284,159975,17.63075,-8.1188,4.58,0.132,μ,57,Oph,
+115250,220061,23.34395,23.7403,4.58,0.180,τ,62,Peg,Salm
+3245,3919,0.68877,-46.0850,4.59,0.953,μ,,Phe,
+17351,23319,3.71391,-37.3135,4.59,1.191,h,,Eri,
+17959,23401,3.83931,71.3323,4.59,0.064,γ,,Cam,
+25473,35715,5.44729,3.0957,4.59,-0.199,ψ,30,Ori,
+42527,73108,8.67023,64.3279,4.59,1.179,π2,4,UMa,Museida
+46509,81997,9.48581,-2.7690,4.59,0.411,τ1,31,Hya,Ukdah
+50555,89682,10.32687,-55.0293,4.59,1.600,,,Vel,
+54751,97534,11.21001,-60.3176,4.59,0.541,y,,Car,
+77512,141714,15.82657,26.0684,4.59,0.794,δ,10,CrB,
+77840,142114,15.89353,-25.3271,4.59,-0.073,A,2,Sco,
+91926,173607,18.73966,39.6127,4.59,0.180,ε2,5,Lyr,
+96465,184707,19.61179,-24.8836,4.59,-0.075,h2,52,Sgr,
+117452,223352,23.81543,-28.1303,4.59,0.001,δ,,Scl,
+20070,26961,4.30406,50.2955,4.60,0.043,b,,Per,
+49402,87504,10.08541,-13.0646,4.60,-0.087,υ2,40,Hya,
+53502,94890,10.94529,-37.1378,4.60,1.006,ι,,Ant,
+72125,129972,14.75402,16.9643,4.60,0.972,ο,35,Boo,
+75501,137058,15.42228,-38.7336,4.60,0.000,k,,Lup,
+77760,142373,15.87793,42.4515,4.60,0.563,χ,1,Her,
+95081,182564,19.34447,65.7145,4.60,0.033,π,58,Dra,Tais
+443,28,0.08893,-5.7076,4.61,1.029,,33,Psc,
+1366,1280,0.28486,38.6816,4.61,0.059,θ,24,And,
+8833,11559,1.89260,3.1875,4.61,0.928,ξ,111,Psc,
+14817,19656,3.18816,39.6116,4.61,1.115,ω,28,Per,Gorgonea Quarta
+36145,58142,7.44523,49.2115,4.61,-0.001,,21,Lyn,
+39095,,7.99779,-18.3992,4.61,0.087,,,,
+76219,138716,15.56964,-10.0645,4.61,1.000,,37,Lib,
+101474,196093,20.56505,35.2509,4.61,1.593,,47,Cyg,
+4422,5395,0.94442,59.1811,4.62,0.957,υ2,28,Cas,Castula
+18673,25267,3.99875,-24.0162,4.62,-0.121,τ9,36,Eri,
+23497,32301,5.05159,21.5900,4.62,0.155,ι,102,Tau,
+25923,36512,5.53218,-7.3015,4.62,-0.261,υ,36,Ori,Thabit
+44824,78541,9.13413,-25.8585,4.62,1.594,κ,,Pyx,
+54182,96097,11.08362,7.3360,4.62,0.332,χ,63,Leo,
+54301,96566,11.10901,-62.4241,4.62,0.988,z,,Car,
+56480,100673,11.57935,-54.2641,4.62,-0.077,A,,Cen,
+62327,,12.77297,-56.4888,4.62,-0.150,,,,
+63007,112078,12.91089,-59.1467,4.62,-0.153,λ,,Cru,
+80628,148367,16.46339,-8.3717,4.62,0.185,υ,3,Oph,
+88175,164259,18.00806,-3.6903,4.62,0.390,ζ,57,Ser,Alava
+90982,170845,18.55839,-42.3125,4.62,0.994,θ,,CrA,
+92946,175638,18.93699,4.2036,4.62,0.161,θ1,63,Ser,Alya
+13914,18519,2.98687,21.3404,4.63,0.048,ε,48,Ari,
+37648,62576,7.72566,-28.4109,4.63,1.632,,1,Pup,
+38500,,7.88434,-49.6130,4.63,-0.228,,,,
+42835,74395,8.72788,-7.2337,4.63,0.840,F,,Hya,
+45448,79940,9.26252,-37.4131,4.63,0.473,k,,Vel,Markeb
+61789,110073,12.66459,-39.9873,4.63,-0.082,l,,Cen,
+66738,119228,13.67897,54.6816,4.63,1.630,,83,UMa,
+73199,132813,14.95973,65.9325,4.63,1.590,,,UMi,
+77635,141637,15.84965,-25.7513,4.63,-0.072,b,1,Sco,
+78662,143474,16.05891,-57.7751,4.63,0.252,ι1,,Nor,
+90797,169978,18.52289,-62.2783,4.63,-0.116,ν,,Pav,
+92512,175306,18.85336,59.3884,4.63,1.185,ο,47,Dra,
+118131,224427,23.96265,25.1414,4.63,1.584,ψ,84,Peg,
+18216,24587,3.89519,-24.6122,4.64,-0.136,τ8,33,Eri,
+22845,31295,4.91493,10.1508,4.64,0.085,π1,7,Ori,
+28716,41117,6.06533,20.1385,4.64,0.236,χ2,62,Ori,
+67234,119834,13.77761,-51.4328,4.64,0.955,M,,Cen,
+76669,139891,15.65630,36.6358,4.64,-0.103,ζ1,7,CrB,
+76829,139664,15.68649,-44.6612,4.64,0.413,g,,Lup,
+82369,151769,16.83057,-10.7830,4.64,0.478,,20,Oph,
+84606,156729,17.29451,37.2915,4.64,0.043,e,69,Her,
+88765,165760,18.12177,8.7339,4.64,0.951,,71,Oph,
+95585,182835,19.44197,0.3386,4.64,0.576,ν,32,Aql,
+101589,196180,20.58848,14.6742,4.64,0.120,ζ,4,Del,
+111674,214454,22.62289,51.5451,4.64,0.254,,9,Lac,
+113919,218031,23.06972,50.0521,4.64,1.058,,3,And,
+12719,16908,2.72420,27.7071,4.65,-0.122,,35,Ari,
+21273,28910,4.56415,14.8444,4.65,0.255,ρ,86,Tau,
+23607,32549,5.07615,15.4041,4.65,-0.064,,11,Ori,
+27890,40409,5.90168,-63.0896,4.65,1.022,,36,Dor,
+35363,57150,7.30511,-36.7340,4.65,-0.099,v1,,Pup,
+36514,,7.51183,-30.9623,4.65,0.904,,,,
+36917,60863,7.58969,-28.3693,4.65,-0.111,p,,Pup,
+51192,90772,10.45680,-57.6388,4.65,0.474,P,,Car,
+58590,104321,12.01455,6.6143,4.65,0.122,π,8,Vir,
+78639,143546,16.05358,-49.2297,4.65,0.902,η,,Nor,
+5571,7087,1.19089,21.0347,4.66,1.024,χ,84,Psc,
+8497,11171,1.82642,-10.6864,4.66,0.333,χ,53,Cet,
+31978,47839,6.68296,9.8958,4.66,-0.233,,15,Mon,
+33302,51199,6.92707,-20.1365,4.66,0.374,π,19,CMa,
+35205,,7.27639,-27.8812,4.66,1.589,,,,
+42806,74198,8.72143,21.4685,4.66,0.010,γ,43,Cnc,Asellus Borealis
+44626,78764,9.09399,-70.5385,4.66,-0.149,E,,Car,
+53295,94334,10.89965,43.1900,4.66,-0.039,ω,45,UMa,
+61740,110014,12.65410,-7.9956,4.66,1.240,χ,26,Vir,
+62012,110458,12.70985,-48.8131,4.66,1.075,w,,Cen,
+76705,139521,15.66277,-34.4119,4.66,0.964,ψ1,3,Lup,
+88567,164975,18.08367,-29.5801,4.66,0.774,,,Sgr,Nash
+89678,,18.30089,-27.0426,4.66,1.629,,,,
+90135,169156,18.39433,-8.9344,4.66,0.932,ζ,,Sct,
+98543,189849,20.01835,27.7536,4.66,0.184,,15,Vul,
+5742,7318,1.22915,24.5837,4.67,1.047,φ,85,Psc,
+16244,21428,3.48946,49.5089,4.67,-0.096,,34,Per,
+19811,26673,4.24815,40.4837,4.67,1.007,f,52,Per,
+21683,29488,4.65459,15.9180,4.67,0.147,σ2,92,Tau,
+28910,41695,6.10259,-14.9353,4.67,0.046,θ,18,Lep,
+40167,68255,8.20353,17.6478,4.67,0.531,ζ1,16,Cnc,Tegmine
+45075,78362,9.18196,63.5136,4.67,0.381,τ,14,UMa,
+88128,164349,18.00095,16.7509,4.67,1.254,,93,Her,
+90595,170296,18.48663,-14.5658,4.67,0.076,γ,,Sct,
+91919,173582,18.73899,39.6701,4.67,0.170,ε1,4,Lyr,Double Double
+96100,185144,19.53933,69.6612,4.67,0.786,σ,61,Dra,Alsafi
+103738,199951,21.02152,-32.2578,4.67,0.890,γ,,Mic,
+7294,9408,1.56552,59.2320,4.68,0.991,χ,39,Cas,
+8928,11977,1.91559,-67.6473,4.68,0.931,η2,,Hyi,
+9677,12767,2.07485,-29.2968,4.68,-0.156,ν,,For,
+13879,18411,2.97935,39.6627,4.68,0.065,π,22,Per,Gorgonea Secunda
+43878,76805,8.93869,-52.7235,4.68,-0.115,H,,Vel,
+47310,83425,9.64091,4.6493,4.68,1.310,,2,Sex,
+49029,86663,10.00356,8.0442,4.68,1.589,π,29,Leo,
+52098,92125,10.64534,31.9762,4.68,0.823,,37,LMi,
+66006,117675,13.53275,-6.2558,4.68,1.606,l,74,Vir,
+66234,118232,13.57424,49.0160,4.68,0.132,,24,CVn,
+80047,145366,16.33911,-78.6957,4.68,1.680,δ1,,Aps,
+96683,185734,19.65628,30.1533,4.68,0.971,φ,12,Cyg,
+106786,205767,21.62920,-7.8542,4.68,0.175,ξ,23,Aqr,Bunda
+112211,215167,22.72645,-18.8304,4.68,1.358,g,66,Aqr,
+20732,28100,4.44344,14.7138,4.69,0.979,π,73,Tau,
+24813,34411,5.31902,40.0991,4.69,0.630,λ,15,Aur,
+37173,61429,7.63835,-25.3648,4.69,-0.100,m,,Pup,
+38089,63744,7.80560,-47.0777,4.69,1.039,Q,,Pup,
+39211,65953,8.02037,-1.3926,4.69,1.475,,28,Mon,
+52102,92397,10.64583,-59.1830,4.69,1.562,t2,,Car,
+62268,110829,12.76057,-60.9813,4.69,1.049,ι,,Cru,
+107136,206672,21.70157,51.1896,4.69,-0.119,π1,80,Cyg,Azelfafage
+108870,209100,22.05601,-56.7860,4.69,1.056,ε,,Ind,
+116389,221760,23.58460,-42.6151,4.69,0.078,ι,,Phe,
+24927,,5.34081,-21.2398,4.70,-0.048,,,,
+56633,100889,11.61137,-9.8022,4.70,-0.073,θ,21,Crt,
+56922,101431,11.67022,-34.7447,4.70,-0.070,ο,,Hya,
+82671,152236,16.89993,-42.3620,4.70,0.444,ζ1,,Sco,
+91726,172748,18.70456,-9.0525,4.70,0.358,δ,,Sct,
+98066,188376,19.93065,-26.2995,4.70,0.748,ω,58,Sgr,Terebellum
+104521,201601,21.17236,10.1316,4.70,0.262,γ,5,Equ,
+113116,,22.90693,84.3462,4.70,1.418,,,,
+116247,221565,23.55462,-20.9145,4.70,0.020,b3,101,Aqr,
+13954,18604,2.99525,8.9074,4.71,-0.109,λ,91,Cet,Menkar
+16245,22001,3.48963,-62.9375,4.71,0.410,κ,,Ret,
+22667,30959,4.87555,14.2506,4.71,1.773,ο1,4,Ori,Al Kumm
+23693,33262,5.09185,-57.4727,4.71,0.526,ζ,,Dor,
+25737,36167,5.49555,-1.0922,4.71,1.592,,31,Ori,
+25984,36371,5.54547,32.1920,4.71,0.281,χ,25,Aur,
+45902,80874,9.35822,-25.9654,4.71,1.633,θ,,Pyx,
+46026,81169,9.38673,-28.8339,4.71,0.892,λ,,Pyx,
+57283,102070,11.74605,-18.3507,4.71,0.958,ζ,27,Crt,
+63945,113703,13.10464,-48.4633,4.71,-0.148,f,,Cen,
+68191,,13.96080,-63.6867,4.71,1.075,,,,
+97938,188310,19.90413,8.4615,4.71,1.023,ξ,59,Aql,Libertas
+105140,202627,21.29897,-32.1725,4.71,0.070,ε,,Mic,
+114375,218640,23.16525,-22.4576,4.71,0.674,c3,89,Aqr,
+6692,8491,1.43223,68.1300,4.72,1.047,ψ,36,Cas,
+25044,35039,5.36271,-0.3825,4.72,-0.168,o,22,Ori,
+27639,38944,5.85068,37.3056,4.72,1.621,υ,31,Aur,
+29276,42933,6.17164,-54.9686,4.72,-0.229,δ,,Pic,
+40084,68290,8.18786,-12.9270,4.72,0.939,,19,Pup,
+46371,81799,9.45511,-22.3438,4.72,1.154,G,,Hya,
+51056,90277,10.43189,33.7961,4.72,0.260,,30,LMi,
+51438,91375,10.50559,-71.9928,4.72,0.042,K,,Car,
+51658,,10.55386,40.4256,4.72,0.222,,,,
+58867,104841,12.07201,-63.1657,4.72,-0.081,θ2,,Cru,
+60202,107383,12.34529,17.7929,4.72,1.010,,11,Com,
+64844,115604,13.29237,40.5726,4.72,0.306,,20,CVn,
+78592,144206,16.04664,46.0367,4.72,-0.094,υ,6,Her,
+84514,156266,17.27686,-0.4453,4.72,1.119,,41,Oph,
+107188,206453,21.71097,-18.8663,4.72,0.868,κ,43,Cap,
+11313,14872,2.42706,50.2786,4.73,1.532,,65,And,
+33202,50635,6.91073,13.1778,4.73,0.321,e,38,Gem,
+40096,,8.19053,-42.9873,4.73,0.164,,,,
+53907,95578,11.03047,-2.4846,4.73,1.593,p2,61,Leo,
+78914,144197,16.10818,-45.1732,4.73,0.230,δ,,Nor,
+79119,145328,16.14953,36.4909,4.73,1.015,τ,16,CrB,
+103045,198743,20.87757,-8.9833,4.73,0.325,μ,6,Aqr,Albulan
+2505,2772,0.52955,54.5223,4.74,-0.098,λ,14,Cas,
+6193,7964,1.32444,27.2641,4.74,0.032,υ,90,Psc,
+11783,15798,2.53479,-15.2447,4.74,0.454,σ,76,Cet,
+12413,16754,2.66333,-42.8917,4.74,0.061,s,,Eri,
+15520,20336,3.33313,65.6523,4.74,-0.108,,,Cam,
+16341,21790,3.51029,-5.0751,4.74,-0.092,v,17,Eri,
+39903,68456,8.15019,-61.3024,4.74,0.437,B,,Car,
+42624,74272,8.68698,-47.3171,4.74,0.137,n,,Vel,
+44390,76827,9.04241,67.6296,4.74,1.542,ρ,8,UMa,
+64924,115617,13.30675,-18.3112,4.74,0.709,,61,Vir,
+69191,,14.16523,-53.4389,4.74,0.938,,,,
+77661,141992,15.85442,20.9779,4.74,1.534,ρ,38,Ser,
+88116,163955,17.99654,-23.8161,4.74,-0.030,,4,Sgr,
+93542,176638,19.05191,-42.0951,4.74,-0.027,ζ,,CrA,
+96052,184171,19.52953,34.4530,4.74,-0.150,,8,Cyg,
+103632,200120,20.99710,47.5210,4.74,-0.084,f1,59,Cyg,
+108874,209409,22.05523,-2.1554,4.74,-0.100,ο,31,Aqr,Sadalmulk
+116602,,23.63083,-45.4924,4.74,0.082,,,,
+35020,,7.24393,-48.2719,4.75,-0.091,,,,
+57581,102584,11.80404,-66.8149,4.75,1.522,μ,,Mus,
+67786,120955,13.88681,-31.9276,4.75,-0.111,h,4,Cen,
+69713,125161,14.26943,51.3672,4.75,0.236,ι,21,Boo,Asellus Secundus
+76880,139997,15.69911,-19.6788,4.75,1.574,κ,43,Lib,
+76945,140008,15.71139,-34.7104,4.75,-0.151,ψ2,4,Lup,
+101612,195627,20.59301,-60.5817,4.75,0.291,φ1,,Pav,
+115088,219916,23.31041,68.1114,4.75,0.836,ο,34,Cep,
+2472,2834,0.52361,-48.8035,4.76,0.018,λ1,,Phe,
+13244,18293,2.84124,-75.0669,4.76,1.337,ν,,Hyi,
+13288,17824,2.85065,-21.0040,4.76,0.906,τ2,2,Eri,Angetenar
+27750,39400,5.87401,1.8551,4.76,1.382,,56,Ori,
+29997,,6.31411,69.3198,4.76,0.025,,,,
+38901,65456,7.96114,-30.3346,4.76,0.151,χ,,Pup,
+47522,83953,9.68806,-23.5915,4.76,-0.117,I,,Hya,
+52370,92938,10.70392,-64.4664,4.76,-0.139,,,Car,
+55266,98353,11.31886,38.1856,4.76,0.113,,55,UMa,
+60485,107950,12.40041,51.5623,4.76,0.877,,5,CVn,
+63355,112769,12.98207,17.4094,4.76,1.568,,36,Com,
+65639,116976,13.45755,-15.9736,4.76,1.096,,69,Vir,
+67665,120933,13.86319,34.4442,4.76,1.611,,,CVn,
+70264,,14.37697,-58.4591,4.76,0.795,,,,
+84969,156277,17.36652,-67.7707,4.76,1.194,ζ,,Aps,
+86486,160032,17.67329,-49.4156,4.76,0.415,λ,,Ara,
+94703,180554,19.27029,21.3904,4.76,-0.058,,1,Vul,
+106801,206165,21.63201,62.0819,4.76,0.246,,9,Cep,
+114155,218356,23.11854,25.4683,4.76,1.285,,56,Peg,
+3455,4188,0.73650,-10.6096,4.77,0.998,φ1,17,Cet,Alnitham
+14382,18970,3.09233,56.7057,4.77,1.018,k,,Per,
+26563,37507,5.64808,-7.2128,4.77,0.139,d,49,Ori,
+32533,49161,6.78884,8.0373,4.77,1.396,,17,Mon,
+45751,80499,9.32955,-11.9749,4.77,0.927,,26,Hya,
+56127,99998,11.50525,-3.0035,4.77,1.529,e,87,Leo,
+62985,112142,12.90588,-9.5390,4.77,1.590,ψ,40,Vir,
+86201,160922,17.61586,68.7580,4.77,0.430,ω,28,Dra,Al Dhih
+88404,164764,18.05137,-8.1803,4.77,0.410,τ,69,Oph,
+90905,171635,18.54292,57.0456,4.77,0.611,d,45,Dra,
+98761,,20.05929,-37.9407,4.77,1.417,,,,
+100044,193237,20.29645,38.0329,4.77,0.377,P,34,Cyg,Revenant of the Swan
+100310,193432,20.34439,-12.7591,4.77,-0.047,ν,8,Cap,Alshat
+101027,194943,20.48101,-17.8137,4.77,0.386,ρ,11,Cap,
+112519,,22.79141,83.1538,4.77,1.257,,,,
+122,224889,0.02659,-77.0657,4.78,1.254,θ,,Oct,
+4147,5112,0.88347,-1.1443,4.78,1.550,,20,Cet,
+9977,13041,2.14146,37.8591,4.78,0.120,,58,And,
+17587,,3.76731,63.3450,4.78,0.747,,,,
+21029,28527,4.50934,16.1940,4.78,0.170,,,,
+23231,32045,4.99881,-12.5374,4.78,0.267,,64,Eri,
+26199,,5.58408,-6.0020,4.78,-0.248,,,,
+39847,67006,8.14096,51.5067,4.78,0.048,,27,Lyn,
+40274,68980,8.22487,-35.8995,4.78,-0.110,r,,Pup,
+47758,84367,9.73669,-27.7695,4.78,0.516,θ,,Ant,
+50564,89449,10.32893,19.4709,4.78,0.452,,40,Leo,
+60351,107700,12.37509,25.8462,4.78,0.515,,12,Com,
+64852,115521,13.29341,5.4699,4.78,1.638,σ,60,Vir,
+70104,,14.34516,-45.1871,4.78,0.310,,,,
+70306,125932,14.38494,-27.7540,4.78,1.300,k,51,Hya,
+85755,158643,17.52360,-23.9626,4.78,0.016,c,51,Oph,
+87294,161912,17.83642,-40.0904,4.78,0.259,ι2,,Sco,Vanant
+92024,,18.75747,-64.8713,4.78,0.199,,,,
+110371,212097,22.35537,28.3305,4.78,-0.010,,32,Peg,
+110882,212943,22.46431,4.6957,4.78,1.039,,35,Peg,
+1168,1013,0.24338,20.2067,4.79,1.572,χ,89,Peg,
+9153,11973,1.96548,23.5961,4.79,0.290,λ,9,Ari,
+22678,30834,4.87722,36.7032,4.79,1.414,,2,Aur,
+41039,70930,8.37547,-48.4904,4.79,-0.146,B,,Vel,
+45856,81101,9.34911,-62.4046,4.79,0.926,k,,Car,
+64661,114911,13.25415,-67.8946,4.79,-0.078,η,,Mus,
+77655,142091,15.85387,35.6574,4.79,0.996,κ,11,CrB,
+80815,148605,16.50347,-25.1152,4.79,-0.116,i,22,Sco,
+87220,,17.81958,-31.7032,4.79,-0.028,,,,
+88149,164284,18.00439,4.3686,4.79,-0.100,,66,Oph,
+99824,192685,20.25441,25.5920,4.79,-0.181,,,Vul,
+109400,210807,22.16345,72.3412,4.79,0.919,,24,Cep,
+109908,211088,22.26025,-41.3467,4.79,0.790,μ1,,Gru,
+3300,3901,0.70108,50.5125,4.80,-0.105,ξ,19,Cas,
+4151,5015,0.88450,61.1240,4.80,0.540,,,,
+15197,20320,3.26389,-8.8197,4.80,0.232,ζ,13,Eri,Zibal
+20354,27396,4.35921,46.4989,4.80,-0.022,d,53,Per,
+20542,27819,4.40160,17.4441,4.80,0.154,,64,Tau,
+23364,32249,5.02399,-7.1740,4.80,-0.164,ψ,65,Eri,Kursi al Jauzah
+31832,47174,6.65551,42.4889,4.80,1.236,ψ2,50,Aur,
+45038,78154,9.17321,67.1340,4.80,0.489,σ2,13,UMa,
+45493,79439,9.26981,54.0219,4.80,0.199,e,18,UMa,
+45811,80586,9.34139,-9.5557,4.80,0.913,P,27,Hya,
+52502,,10.73525,-63.9611,4.80,-0.134,,,,
+61394,109485,12.58085,22.6293,4.80,0.012,,23,Com,
+64022,113996,13.11965,27.6247,4.80,1.482,,41,Com,
+69112,124547,14.14748,77.5475,4.80,1.368,,4,UMi,
+69879,125351,14.29995,35.5095,4.80,1.057,A,,Boo,
+71995,129712,14.72371,26.5279,4.80,1.672,,34,Boo,
+73568,133124,15.03514,25.0081,4.80,1.506,ω,41,Boo,
+79881,146624,16.30497,-28.6140,4.80,0.008,d,,Sco,
+84573,156633,17.28877,33.1001,4.80,-0.166,u,68,Her,
+99639,192514,20.22168,46.8157,4.80,0.100,,30,Cyg,
+103089,199081,20.88743,44.3873,4.80,-0.134,,57,Cyg,
+105382,203006,21.34601,-40.8095,4.80,0.029,θ1,,Mic,
+110672,212571,22.42129,1.3774,4.80,-0.171,π,52,Aqr,Seat
+112051,214994,22.69595,29.3076,4.80,-0.013,ο,43,Peg,Sadalmatar
+24010,33276,5.16165,15.5972,4.81,0.313,,15,Ori,
+24372,34649,5.22929,-67.1853,4.81,1.274,θ,,Dor,
+24659,34642,5.29141,-34.8952,4.81,0.987,ο,,Col,
+28237,40111,5.96657,25.9539,4.81,-0.088,,139,Tau,
+39138,66591,8.00555,-63.5675,4.81,-0.173,D,,Car,
+47029,,9.58440,39.6215,4.81,0.992,,,,
+55687,99167,11.41017,-10.8593,4.81,1.556,ε,14,Crt,
+70755,126868,14.47004,-2.2280,4.81,0.693,φ,105,Vir,Elgafar
+90289,169420,18.42251,-20.5417,4.81,1.310,,21,Sgr,
+101867,196724,20.64204,21.2012,4.81,-0.030,,29,Vul,
+102724,198478,20.81563,46.1141,4.81,0.571,,55,Cyg,
+9095,,1.95280,-47.3853,4.82,0.864,,,,
+24340,33641,5.22381,38.4845,4.82,0.189,μ,11,Aur,Alhiba
+31827,,6.65465,-14.1458,4.82,1.459,,,,
+33092,50707,6.89247,-20.2243,4.82,-0.212,,15,CMa,
+36773,60414,7.56332,-14.5239,4.82,1.362,,,Pup,
+50799,89998,10.37211,-41.6500,4.82,1.095,r,,Vel,
+51459,90839,10.51044,55.9805,4.82,0.541,,36,UMa,
+60710,108257,12.44215,-51.4506,4.82,-0.141,G,,Cen,
+66458,118623,13.62434,36.2949,4.82,0.239,,25,CVn,
+69226,123999,14.17331,25.0917,4.82,0.541,d,12,Boo,
+78554,143894,16.03825,22.8045,4.82,0.066,π,44,Ser,
+80179,147449,16.36787,1.0290,4.82,0.338,σ,50,Ser,
+82321,152107,16.82061,45.9833,4.82,0.087,,52,Her,
+83262,153687,17.01767,-4.2226,4.82,1.483,,30,Oph,
+90344,170693,18.43309,65.5635,4.82,1.179,,42,Dra,Fafnir
+92782,176524,18.90663,71.2972,4.82,1.151,υ,52,Dra,Athafi
+104019,200499,21.07342,-19.8550,4.82,0.169,η,22,Cap,Arm
+110386,212076,22.35863,12.2052,4.82,-0.132,,31,Peg,
+111123,213320,22.51078,-10.6780,4.82,-0.053,σ,57,Aqr,
+115022,219734,23.29573,49.0153,4.82,1.668,,8,And,
+116901,222574,23.69606,-17.8165,4.82,0.822,A2,104,Aqr,
+4292,5234,0.91671,58.9727,4.83,1.216,υ1,26,Cas,
+6813,8799,1.46094,45.4067,4.83,0.421,ω,48,And,
+12390,16620,2.65940,-11.8722,4.83,0.447,ε,83,Cet,
+12876,17566,2.75907,-67.6166,4.83,0.058,ζ,,Hyi,
+34495,54893,7.14752,-39.6557,4.83,-0.179,A,,Pup,
+35210,56577,7.27690,-23.3156,4.83,1.601,,145,CMa,
+40945,70555,8.35639,-33.0544,4.83,1.419,w,,Pup,
+42726,74560,8.70705,-53.1140,4.83,-0.173,,,Vel,
+63724,113314,13.05925,-49.5273,4.83,0.029,ξ1,,Cen,
+73695,133640,15.06314,47.6541,4.83,0.647,i,44,Boo,
+74449,134687,15.21377,-44.5004,4.83,-0.177,e,,Lup,
+80704,148783,16.47737,41.8817,4.83,1.289,g,30,Her,
+83574,154090,17.08037,-34.1229,4.83,0.257,k,,Sco,
+92088,,18.76791,26.6621,4.83,1.199,,,,
+93026,175751,18.95102,-5.8463,4.83,1.057,η,,Sct,
+93174,175813,18.97871,-37.1074,4.83,0.396,ε,,CrA,
+7007,9138,1.50309,6.1438,4.84,1.372,μ,98,Psc,
+10340,13520,2.22037,44.2317,4.84,1.476,b,60,And,
+10644,13974,2.28423,34.2242,4.84,0.607,δ,8,Tri,
+15457,20630,3.32269,3.3702,4.84,0.681,κ,96,Cet,
+19740,26722,4.23233,9.2638,4.84,0.799,,47,Tau,
+26777,37711,5.68825,16.5341,4.84,-0.125,,126,Tau,
+37297,61831,7.65759,-38.3080,4.84,-0.189,d1,,Pup,
+42134,73389,8.58881,-58.0092,4.84,0.981,e2,,Car,
+53807,95345,11.00935,3.6175,4.84,1.144,d,58,Leo,
+57328,102124,11.75473,8.2581,4.84,0.174,ξ,2,Vir,
+70027,125560,14.32923,16.3069,4.84,1.228,,20,Boo,
+81008,149161,16.54341,11.4880,4.84,1.495,h,29,Her,
+81660,151101,16.68198,64.5890,4.84,1.212,g,18,Dra,
+82020,151613,16.75495,56.7819,4.84,0.375,,,,
+98353,189005,19.98255,-26.1958,4.84,0.882,A,60,Sgr,Terebellum
+112203,215104,22.72499,-41.4143,4.84,1.027,ρ,,Gru,
+112374,215369,22.76052,-53.5001,4.84,1.180,η,,Gru,
+114104,218376,23.11023,59.4198,4.84,-0.060,,1,Cas,
+14862,,3.19897,74.3937,4.85,0.035,,,,
+15416,,3.31217,34.2227,4.85,1.491,,,,
+36431,,7.49761,-23.0243,4.85,0.243,,,,
+49712,88206,10.14895,-51.8113,4.85,-0.120,Q,,Vel,
+64408,114613,13.20089,-37.8030,4.85,0.693,,,,
+74837,135291,15.29413,-63.6105,4.85,1.260,ε,,Cir,
+87846,,17.94651,-44.3422,4.85,1.176,,,,
+89918,168656,18.34779,3.3772,4.85,0.911,,74,Oph,
+93148,175510,18.97438,-52.9386,4.85,-0.051,λ,,Tel,
+2210,2429,0.46547,-33.0072,4.86,1.634,η,,Scl,
+15382,20610,3.30614,-22.5111,4.86,0.904,,15,Eri,
+32438,48250,6.77059,59.4417,4.86,0.084,,12,Lyn,
+42483,73898,8.66180,-29.5611,4.86,0.900,ζ,,Pyx,
+51808,,10.58485,75.7129,4.86,0.957,,,,
+64820,,13.28695,-66.7834,4.86,1.480,,,,
+70327,,14.38964,8.4466,4.86,0.010,,,,
+71832,129312,14.69410,8.1618,4.86,0.992,,31,Boo,
+80181,147677,16.36829,30.8920,4.86,0.970,ξ,19,CrB,
+81122,149038,16.56806,-44.0453,4.86,0.045,μ,,Nor,
+81497,150450,16.64579,48.9283,4.86,1.562,,42,Her,
+85829,159560,17.53779,55.1730,4.86,0.279,ν2,25,Dra,Kuma
+86736,160915,17.72383,-21.6832,4.86,0.469,,58,Oph,
+91918,,18.73871,-35.6420,4.86,-0.168,,,,
+92761,174974,18.90283,-22.7448,4.86,1.412,ν1,32,Sgr,Ainalrami
+94643,179950,19.25901,-25.2567,4.86,0.569,ψ,42,Sgr,Al Kiladah
+101773,195961,20.62647,-61.5299,4.86,0.447,ρ,,Pav,
+109068,209747,22.09465,5.0585,4.86,1.443,ν,22,Peg,Fum al Faras
+6411,8207,1.37234,45.5288,4.87,1.077,ξ,46,And,Adhil
+12093,16161,2.59791,5.5932,4.87,0.880,ν,78,Cet,
+15110,20150,3.24836,21.0444,4.87,-0.007,ζ,58,Ari,
+19777,26846,4.23991,-10.2563,4.87,1.156,A,39,Eri,
+34899,56022,7.22037,-45.1827,4.87,-0.003,L1,,Pup,
+42662,74137,8.69537,-15.9434,4.87,1.063,,9,Hya,
+43825,76483,8.92543,-27.6819,4.87,0.142,δ,,Pyx,
+48559,,9.90342,-25.9323,4.87,1.199,,,,
+51979,,10.62048,-27.4126,4.87,1.626,,,,
+52736,,10.78089,-64.3835,4.87,-0.149,,,,
+97290,186648,19.77271,-19.7611,4.87,1.061,f,56,Sgr,
+106551,205512,21.57960,38.5341,4.87,1.085,,72,Cyg,
+11345,15130,2.43250,-12.2905,4.88,-0.027,ρ,72,Cet,Sadr al Kaitos
+25539,35708,5.46058,21.9370,4.88,-0.140,o,114,Tau,
+27468,38751,5.81693,24.5675,4.88,1.021,,132,Tau,
+27810,39764,5.88525,-33.8014,4.88,-0.154,λ,,Col,
+35412,57060,7.31121,-24.5587,4.88,-0.160,,29,CMa,
+58484,104174,11.99377,-78.2218,4.88,-0.054,ε,,Cha,
+61960,110411,12.69807,10.2356,4.88,0.076,ρ,30,Vir,
+63462,112989,13.00457,30.7850,4.88,1.165,,37,Com,
+82860,153597,16.93380,65.1348,4.88,0.481,h,19,Dra,
+87936,,17.96328,-41.7163,4.88,1.617,,,,
+91845,173009,18.72535,-8.2752,4.88,1.112,ε,,Sct,
+94820,180540,19.29391,-18.9529,4.88,1.013,d,43,Sgr,
+96341,184127,19.58694,-48.0992,4.88,1.096,ι,,Tel,
+117301,223165,23.78429,58.6520,4.88,1.122,τ,5,Cas,
+118209,224533,23.97788,-3.5560,4.88,0.930,,27,Psc,
+118243,224572,23.98348,55.7549,4.88,-0.071,σ,8,Cas,
+910,693,0.18774,-15.4680,4.89,0.487,,6,Cet,
+22453,30504,4.83185,37.4883,4.89,1.447,,1,Aur,
+25302,35439,5.41245,1.8464,4.89,-0.200,,25,Ori,
+27511,38899,5.82581,12.6513,4.89,-0.068,,134,Tau,
+37265,61110,7.65276,34.5843,4.89,0.413,ο,71,Gem,Jishui
+37908,62721,7.76873,18.5100,4.89,1.425,g,81,Gem,
+51523,91324,10.52273,-53.7155,4.89,0.500,,,,
+52009,92055,10.62591,-13.3845,4.89,2.800,,,Hya,
+57443,102365,11.77530,-40.5004,4.89,0.664,,,,
+57851,,11.86423,-65.2059,4.89,-0.123,,,,
+62886,112033,12.88826,21.2449,4.89,0.904,,35,Com,
+69896,123998,14.30386,-81.0078,4.89,0.243,η,,Aps,
+83613,154494,17.08963,12.7408,4.89,0.125,,60,Her,
+85819,159541,17.53627,55.1842,4.89,0.251,ν1,24,Dra,Kuma
+97118,186675,19.73795,37.3544,4.89,0.948,,15,Cyg,
+102831,198232,20.83280,-33.7797,4.89,1.004,α,,Mic,
+111841,214680,22.65435,39.0503,4.89,-0.207,,10,Lac,
+115990,221253,23.50054,58.5489,4.89,-0.122,,,Cas,
+3801,4636,0.81389,50.9682,4.90,-0.091,ν,25,Cas,
+6670,8705,1.42701,-14.5988,4.90,1.231,,46,Cet,
+26885,37984,5.70795,1.4746,4.90,1.144,b,51,Ori,
+33485,50973,6.96031,45.0941,4.90,0.027,,16,Lyn,
+62683,111597,12.84477,-33.9993,4.90,-0.031,p,,Cen,
+64583,114837,13.23754,-59.1032,4.90,0.489,,,,
+78655,,16.05672,-38.6025,4.90,-0.146,,,,
+78821,144218,16.09071,-19.8019,4.90,-0.024,β2,8,Sco,
+80686,147584,16.47449,-70.0844,4.90,0.555,ζ,,TrA,
+97679,187811,19.85114,22.6100,4.90,-0.153,,12,Vul,
+102790,198048,20.82471,-46.2268,4.90,1.494,ζ,,Ind,
+12623,16739,2.70414,40.1939,4.91,0.582,,12,Per,
+21139,28749,4.53129,-0.0440,4.91,1.320,,45,Eri,
+23362,,5.02377,-20.0519,4.91,-0.047,,,,
+23835,32923,5.12417,18.6451,4.91,0.657,m,104,Tau,
+30093,,6.33322,-2.9445,4.91,1.613,,,,
+34622,54810,7.17047,-4.2371,4.91,1.020,,20,Mon,
+34752,54716,7.19426,39.3205,4.91,1.451,,63,Aur,
+52085,92214,10.64304,-16.8766,4.91,0.922,φ,,Hya,
+61966,110335,12.69905,-59.6858,4.91,-0.044,,39,Cru,
+66257,118216,13.57995,37.1824,4.91,0.404,,,CVn,
+73473,132742,15.01621,-8.5189,4.91,0.000,δ,19,Lib,Zuben Elakribi
+74604,135153,15.24370,-31.5191,4.91,0.374,i,1,Lup,
+81724,150416,16.69289,-17.7422,4.91,1.095,,24,Sco,
+83608,154905,17.08892,54.4700,4.91,0.471,μ,21,Dra,Alrakis
+98055,189037,19.92716,52.4389,4.91,0.124,ψ,24,Cyg,
+101101,195135,20.49417,-2.8855,4.91,1.160,,69,Aql,
+101692,196321,20.61212,-2.5500,4.91,1.606,,70,Aql,
+111310,213442,22.55002,-61.9821,4.91,1.612,ν,,Tuc,
+113186,216735,22.92047,8.8162,4.91,-0.003,ρ,50,Peg,
+9061,11930,1.94450,-22.5268,4.92,1.434,,56,Cet,
+28574,40967,6.03067,-10.5979,4.92,-0.128,,3,Mon,
+28816,41511,6.08309,-16.4844,4.92,0.196,,17,Lep,
+30520,44537,6.41497,49.2879,4.92,1.905,ψ1,46,Aur,Dolones
+34059,53811,7.06489,-49.5839,4.92,0.140,H,,Pup,
+36547,55966,7.51791,82.4115,4.92,1.633,,,Cam,
+45439,79917,9.26020,-38.5699,4.92,1.084,l,,Vel,
+54204,96202,11.08886,-27.2936,4.92,0.369,χ1,,Hya,
+60697,108283,12.44002,27.2682,4.92,0.277,,14,Com,
+66200,118022,13.56887,3.6590,4.92,0.029,o,78,Vir,
+67480,120539,13.82857,21.2641,4.92,1.432,e,6,Boo,
+72104,129685,14.74978,-35.1918,4.92,0.013,c2,,Cen,
+75379,137052,15.40330,-10.3223,4.92,0.453,ε,31,Lib,
+88726,,18.11386,-43.4252,4.92,0.255,,,,
+89861,168720,18.33831,21.9613,4.92,1.594,,106,Her,
+90830,170465,18.52929,-45.9148,4.92,-0.101,δ1,,Tel,
+92689,,18.88709,50.7082,4.92,0.903,,,,
+102388,197752,20.74792,25.2706,4.92,1.183,,30,Vul,
+19515,26612,4.18072,-41.9936,4.93,0.334,δ,,Hor,
+19990,27045,4.28769,20.5786,4.93,0.259,ω,50,Tau,
+20252,27348,4.34018,34.5667,4.93,0.950,,54,Per,
+23179,31647,4.98761,37.8902,4.93,0.037,,4,Aur,
+36942,61248,7.59437,-52.5338,4.93,1.373,Q,,Car,
+37609,61497,7.71678,58.7104,4.93,0.104,,24,Lyn,
+39079,65695,7.99560,-3.6796,4.93,1.205,,27,Mon,
+43937,77002,8.94956,-59.2293,4.93,-0.182,b1,,Car,
+47592,84117,9.70401,-23.9156,4.93,0.534,,,,
+56280,100286,11.53789,-29.2610,4.93,0.540,,17,Crt,
+56986,,11.68157,-62.0901,4.93,1.111,,,,
+59847,106714,12.27237,23.9454,4.93,0.957,,7,Com,
+62763,111812,12.86165,27.5407,4.93,0.681,,31,Com,Polaris Galacticus Borealis
+63503,113139,13.01214,56.3663,4.93,0.368,,78,UMa,
+69269,123934,14.18069,-16.3020,4.93,1.684,,,Vir,
+72631,130952,14.85030,-2.2992,4.93,0.988,,11,Lib,
+73996,134083,15.12169,24.8692,4.93,0.429,c,45,Boo,
+79375,145570,16.20000,-10.0643,4.93,0.087,ψ,15,Sco,
+96483,184915,19.61485,-7.0275,4.93,-0.046,κ,39,Aql,
+99120,190421,20.12310,-52.8808,4.93,1.591,ξ,,Tel,
+99303,191610,20.15711,36.8396,4.93,-0.139,b2,28,Cyg,
+99770,192640,20.24223,36.8063,4.93,0.151,b3,29,Cyg,
+102571,198134,20.78632,34.3741,4.93,1.294,,,Cyg,
+114939,219576,23.28081,-7.7265,4.93,1.613,χ,92,Aqr,
+117073,222842,23.73319,29.3615,4.93,0.935,,78,Peg,
+10280,13480,2.20619,30.3031,4.94,0.770,,6,Tri,
+13905,18449,2.98435,35.1831,4.94,1.235,,24,Per,
+33357,,6.93777,-48.7211,4.94,1.668,,,,
+35727,,7.37043,-19.0166,4.94,-0.039,,,,
+39424,66216,8.05863,27.7943,4.94,1.130,χ,,Gem,
+43347,75710,8.82990,-45.3079,4.94,0.043,g,,Vel,
+48615,85951,9.91450,-19.0094,4.94,1.559,,,,Felis
+50933,89822,10.40218,65.5664,4.94,-0.052,,,UMa,
+51495,,10.51724,-73.2215,4.94,1.677,,,,
+64166,114149,13.15091,-23.1181,4.94,1.048,ψ,45,Hya,
+64540,,13.22859,40.1529,4.94,1.061,,,,
+80650,149212,16.46639,68.7681,4.94,-0.051,A,15,Dra,
+93279,176670,19.00023,32.1455,4.94,1.465,λ,15,Lyr,
+99742,192425,20.23795,15.1976,4.94,0.072,ρ,67,Aql,
+101138,195556,20.50099,48.9516,4.94,-0.087,ω1,45,Cyg,Ruchba
+109422,210302,22.16911,-32.5484,4.94,0.489,τ,15,PsA,
+3414,4058,0.72447,47.0245,4.95,0.170,π,20,Cas,
+6242,7927,1.33470,58.2316,4.95,0.683,φ,34,Cas,
+18505,,3.95707,63.0723,4.95,-0.074,,,,
+26736,,5.68075,-1.1288,4.95,-0.197,,,,
+29434,42545,6.20091,16.1304,4.95,-0.149,f1,69,Ori,
+55945,99648,11.46562,2.8563,4.95,1.000,τ,84,Leo,
+61384,109551,12.57889,70.0218,4.95,1.312,,6,Dra,
+78207,142983,15.96983,-14.2794,4.95,-0.080,,48,Lib,
+79509,145397,16.22465,-54.6305,4.95,1.017,κ,,Nor,
+79822,148048,16.29175,75.7553,4.95,0.393,η,21,UMi,Anwa Farkadain
+98068,188892,19.93105,38.4867,4.95,-0.086,,22,Cyg,
+98608,189124,20.02909,-59.3759,4.95,1.356,,,Pav,
+112917,216397,22.86723,43.3124,4.95,1.559,,15,Lac,
+115738,220825,23.44887,1.2556,4.95,0.036,κ,8,Psc,
+117245,223075,23.77320,3.4868,4.95,2.508,,19,Psc,
+7818,10205,1.67634,40.5770,4.96,-0.068,τ,53,And,
+7918,10307,1.69643,42.6134,4.96,0.618,,,,
+11918,16046,2.56409,-28.2323,4.96,-0.050,ω,,For,
+15648,20677,3.35738,43.3297,4.96,0.051,l,32,Per,
+20877,28292,4.47399,16.3597,4.96,1.137,,75,Tau,
+24822,34559,5.32128,22.0965,4.96,0.937,n,109,Tau,
+27949,39283,5.91411,55.7069,4.96,0.052,ξ,30,Aur,
+67494,120452,13.83119,-18.1342,4.96,1.059,,89,Vir,
+78180,143466,15.96318,54.7498,4.96,0.269,,,Dra,
+78650,,16.05573,-25.8652,4.96,1.234,,,,
+88657,165625,18.10053,22.2189,4.96,1.656,,98,Her,
+89153,166464,18.19537,-23.7012,4.96,1.055,,11,Sgr,
+89172,167006,18.19838,31.4053,4.96,1.643,A,104,Her,
+115590,220652,23.41396,62.2828,4.96,1.676,,4,Cas,
+5862,7570,1.25309,-45.5317,4.97,0.571,ν,,Phe,
+9009,11529,1.93334,68.6852,4.97,-0.084,ω,46,Cas,
+17313,22951,3.70629,33.9650,4.97,-0.048,o,40,Per,
+18772,25728,4.02171,-61.0788,4.97,1.386,ι,,Ret,
+20250,27382,4.33923,27.3508,4.97,1.150,φ,52,Tau,Alkalbain
+28010,40176,5.92498,-37.1207,4.97,1.102,ξ,,Col,
+38538,64145,7.89161,26.7658,4.97,0.098,φ,83,Gem,
+50847,90264,10.38282,-66.9015,4.97,-0.128,L,,Car,
+60172,107328,12.33916,3.3126,4.97,1.172,c,16,Vir,
+65721,117176,13.47383,13.7788,4.97,0.714,,70,Vir,
+70753,126769,14.46956,-29.4916,4.97,-0.074,l,52,Hya,
+76742,139663,15.67136,-23.8181,4.97,1.302,,42,Lib,
+79790,146143,16.28359,-50.0681,4.97,0.788,γ1,,Nor,
+83430,154143,17.05219,14.0919,4.97,1.600,,32,Oph,
+116310,221673,23.56589,31.3253,4.97,1.383,,72,Peg,
+116758,222345,23.66307,-14.2222,4.97,0.257,ω1,102,Aqr,
+117221,223047,23.76723,46.4203,4.97,1.086,ψ,20,And,
+7999,,1.71209,-3.6902,4.98,1.378,,,,
+10053,13174,2.15704,25.9399,4.98,0.339,,14,Ari,
+13884,18866,2.97995,-64.0713,4.98,0.126,β,,Hor,
+23783,32537,5.11129,51.5977,4.98,0.343,,9,Aur,
+26220,37020,5.58773,-5.3873,4.98,,θ1,41,Ori,Trapezium
+26235,37041,5.58969,-5.4161,4.98,-0.097,θ2,43,Ori,
+37379,61772,7.67311,-15.2639,4.98,1.543,,140,Pup,
+42509,73840,8.66707,-12.4754,4.98,1.415,a,6,Hya,
+53824,95382,11.01245,6.1014,4.98,0.166,c,59,Leo,
+57696,,11.83239,-70.2258,4.98,1.360,,,,
+60746,108382,12.44981,26.8257,4.98,0.088,,16,Com,
+76041,138629,15.52972,40.8993,4.98,0.086,ν2,53,Boo,
+78493,143807,16.02405,29.8511,4.98,-0.050,ι,14,CrB,
+90156,170073,18.39850,58.8007,4.98,0.082,b,39,Dra,
+92951,175639,18.93740,4.2021,4.98,0.204,θ2,63,Ser,
+95066,181391,19.34247,-5.4158,4.98,0.937,f,26,Aql,
+98073,,19.93205,58.8460,4.98,1.584,,,,
+355,225212,0.07503,-10.5095,4.99,1.619,,3,Cet,
+9505,12303,2.03837,54.4875,4.99,-0.071,g,4,Per,
+16147,,3.46752,49.0629,4.99,-0.091,,,,
+17304,23227,3.70414,-31.9384,4.99,-0.159,δ,,For,
+18488,,3.95230,61.1089,4.99,1.435,,,,
+21644,,4.64821,-12.1231,4.99,0.074,,,,
+25142,35149,5.38055,3.5445,4.99,-0.096,m,23,Ori,
+32844,49520,6.84609,41.7812,4.99,1.256,ψ7,58,Aur,
+32855,,6.84787,-34.3673,4.99,1.379,,,,
+33971,52918,7.04855,-4.2392,4.99,-0.195,,19,Mon,
+36041,58367,7.42747,9.2761,4.99,0.991,ε,2,CMi,
+40259,68752,8.22221,-15.7882,4.99,1.066,,20,Pup,
+44659,77996,9.09955,5.0923,4.99,1.189,ω,18,Hya,
+45085,79186,9.18455,-44.8679,4.99,0.222,,,Vel,
+46771,82395,9.53243,11.2998,4.99,1.046,ξ,5,Leo,
+55560,98839,11.38044,43.4827,4.99,0.998,,56,UMa,
+59856,,12.27504,33.0615,4.99,1.140,,,,
+66821,118991,13.69577,-54.5594,4.99,-0.055,Q,,Cen,
+69389,124224,14.20439,2.4094,4.99,-0.118,,,Vir,
+75206,136351,15.36897,-47.9278,4.99,0.515,ν1,,Lup,
+75312,137107,15.38675,30.2878,4.99,0.577,η,2,CrB,
+78323,,15.99174,-41.7444,4.99,0.988,,,,
+89348,168151,18.23162,64.3973,4.99,0.440,,36,Dra,
+95372,182568,19.40211,29.6213,4.99,-0.120,,2,Cyg,
+98842,,20.07211,-32.0563,4.99,1.208,,,,
+109289,210066,22.14054,-34.0438,4.99,1.499,υ,,PsA,
+113288,,22.94055,49.7335,4.99,1.778,,,,
+115115,219832,23.31602,-9.6107,4.99,-0.022,ψ3,95,Aqr,
+19018,,4.07421,59.1555,5.00,0.495,,,,
+25278,35296,5.40707,17.3835,5.00,0.544,,111,Tau,
+29034,42167,6.12545,-37.2529,5.00,-0.095,θ,,Col,Elkurud
+29735,,6.26247,-13.7184,5.00,-0.078,,,,
+33345,51250,6.93518,-14.0434,5.00,1.182,μ,18,CMa,Isis
+35384,,7.30888,49.4648,5.00,0.087,,,,
+47205,83240,9.62019,6.8358,5.00,1.051,,10,Leo,
+55588,,11.38685,-36.1648,5.00,1.464,,,,
+57175,101947,11.72533,-62.4894,5.00,0.784,,,Cen,
+76008,139669,15.52359,77.3494,5.00,1.545,θ,15,UMi,
+79043,145001,16.13459,17.0470,5.00,0.931,κ,7,Her,Marsic
+88060,,17.98480,-30.2530,5.00,1.654,,,,
+88788,,18.12465,43.4619,5.00,0.913,,,,
+92845,175190,18.91865,-22.6713,5.00,1.348,ν2,35,Sgr,
+93408,177196,19.02399,46.9348,5.00,0.186,,16,Lyr,
+94490,180610,19.23199,57.7051,5.00,1.156,,54,Dra,
+96275,184606,19.57636,19.7734,5.00,-0.093,,9,Vul,
+97295,187013,19.77378,33.7276,5.00,0.476,,17,Cyg,
+118121,224392,23.95975,-64.2982,5.00,0.060,η,,Tuc,
+841,571,0.17201,46.0723,5.01,0.405,,22,And,
+2219,2411,0.46747,17.8931,5.01,1.584,,47,Psc,
+7719,10072,1.65583,44.3862,5.01,0.883,χ,52,And,
+23430,,5.03606,-26.2750,5.01,1.056,,,,
+24504,33959,5.25677,32.6876,5.01,0.222,,14,Aur,
+29353,43455,6.18749,-65.5894,5.01,1.599,η2,,Dor,
+29919,42973,6.29856,61.5153,5.01,1.843,,1,Lyn,
+36429,59148,7.49688,27.9161,5.01,1.117,b,65,Gem,
+38423,64379,7.87102,-34.7054,5.01,0.470,,212,Pup,
+42088,73155,8.57878,-49.9442,5.01,1.304,C,,Vel,
+46950,83058,9.56911,-51.2553,5.01,-0.180,L,,Vel,
+52425,,10.71779,69.0762,5.01,1.406,,,,
+56862,101379,11.65822,-65.3978,5.01,0.804,,,Mus,
+60059,107079,12.31660,-55.1430,5.01,1.600,F,,Cen,
+60646,108225,12.43081,39.0186,5.01,0.955,,6,CVn,
+60998,108907,12.50185,69.2011,5.01,1.621,,4,Dra,
+84833,157049,17.33857,18.0571,5.01,1.654,,,Her,
+97496,187362,19.81629,19.1420,5.01,0.095,ζ,8,Sge,
+98258,188899,19.96584,-15.4915,5.01,0.055,g,61,Sgr,
+20901,28355,4.48060,13.0476,5.02,0.215,b,79,Tau,
+25292,35186,5.41087,37.3853,5.02,1.445,σ,21,Aur,
+46880,82734,9.55346,-21.1157,5.02,1.023,,,,
+51635,91504,10.54913,-47.0034,5.02,1.045,t,,Vel,
+53426,94600,10.92899,33.5069,5.02,1.101,,46,UMa,
+68103,121710,13.94283,27.4921,5.02,1.441,,9,Boo,
+72800,131120,14.88085,-37.8032,5.02,-0.155,,,Cen,
+74793,136726,15.28497,71.8239,5.02,1.369,,11,UMi,Pherkad Minor
+87212,162579,17.81786,50.7811,5.02,0.043,,30,Dra,
+87234,163989,17.82417,76.9629,5.02,0.518,,35,Dra,
+89981,,18.35907,49.1216,5.02,1.619,,,,
+91975,173370,18.74721,2.0600,5.02,-0.055,,4,Aql,
+93057,175687,18.95569,-20.6563,5.02,0.137,ξ1,36,Sgr,
+95477,182369,19.42125,-24.5086,5.02,0.235,χ1,47,Sgr,
+107608,207155,21.79560,-30.8983,5.02,0.042,θ,10,PsA,
+9836,12869,2.10943,22.6483,5.03,0.121,κ,12,Ari,
+22479,30814,4.83656,-16.2172,5.03,0.992,,60,Eri,
+28675,,6.05433,-26.2845,5.03,1.335,,,,
+35226,,7.28039,-36.5926,5.03,-0.161,,,,
+37891,62952,7.76580,-14.5638,5.03,0.342,,4,Pup,
+41639,,8.49097,-44.7248,5.03,-0.168,,,,
+53721,95128,10.99111,40.4303,5.03,0.624,,47,UMa,Chalawan
+61418,109511,12.58549,18.3771,5.03,1.152,,24,Com,
+66803,119149,13.69355,-8.7030,5.03,1.623,m,82,Vir,
+69618,124367,14.24921,-57.0861,5.03,-0.074,,,Cen,
+82504,152326,16.86257,24.6564,5.03,1.246,,51,Her,
+83336,,17.03129,-32.1435,5.03,-0.100,,,,
+84671,156681,17.31027,10.8645,5.03,1.539,e,,Oph,
+91755,173524,18.71054,55.5395,5.03,-0.070,c,46,Dra,
+95261,181296,19.38089,-54.4239,5.03,0.020,η,,Tel,
+95937,183630,19.51107,-2.7889,5.03,1.770,e,36,Aql,
+97635,188056,19.84381,52.9880,5.03,1.286,d,20,Cyg,
+103200,199169,20.90935,28.0576,5.03,1.481,,32,Vul,
+183,224990,0.03887,-29.7204,5.04,-0.150,ζ,,Scl,
+5317,6658,1.13357,43.9421,5.04,0.109,,41,And,
+8241,10939,1.76841,-53.5220,5.04,0.031,q2,,Eri,
+15219,,3.27005,50.9377,5.04,1.107,,,,
+21861,29992,4.70097,-37.1443,5.04,0.391,β,,Cae,
+28325,40536,5.98453,-9.5583,5.04,0.189,,2,Mon,
+28991,,6.11761,-62.1546,5.04,1.256,,,,
+29800,43386,6.27406,12.2722,5.04,0.431,k,74,Ori,
+32173,47914,6.71805,44.5244,5.04,1.479,ψ4,55,Aur,
+35846,57727,7.39125,25.0505,5.04,0.902,A,57,Gem,
+37300,61338,7.65794,17.6745,5.04,1.616,f,74,Gem,
+37606,62644,7.71586,-45.1731,5.04,0.765,,,,
+39690,,8.11121,-45.2660,5.04,1.488,,,,
+58905,104902,12.07957,-76.5191,5.04,1.491,κ,,Cha,
+64407,114642,13.20099,-16.1986,5.04,0.460,,53,Vir,
+65468,116244,13.41865,-74.8878,5.04,1.110,ι1,,Mus,
+65810,117150,13.49035,-51.1651,5.04,0.059,K,,Cen,
+74778,135240,15.28247,-60.9573,5.04,-0.077,δ,,Cir,
+74975,136202,15.32189,1.7654,5.04,0.540,,5,Ser,
+75973,138481,15.51549,40.8330,5.04,1.589,ν1,52,Boo,
+77811,142096,15.88891,-20.1670,5.04,-0.014,λ,45,Lib,
+105186,203064,21.30755,43.9459,5.04,-0.061,A,68,Cyg,
+106711,205835,21.61583,40.4135,5.04,0.198,,74,Cyg,
+108535,209369,21.98749,73.1799,5.04,0.439,,16,Cep,
+111710,214376,22.62927,-4.2281,5.04,1.140,κ,63,Aqr,Situla
+15444,20418,3.31879,50.0950,5.05,-0.067,,31,Per,
+17851,23862,3.81978,24.1367,5.05,-0.082,,28,Tau,Pleione
+23649,33042,5.08278,-49.5778,5.05,1.484,η2,,Pic,
+24879,34578,5.33359,33.9581,5.05,0.287,,19,Aur,
+31765,,6.64379,-48.2202,5.05,0.997,,,,
+37391,51802,7.67513,87.0201,5.05,1.604,,,Cep,
+42430,73752,8.65219,-22.6619,5.05,0.720,,,,
+88745,165908,18.11709,30.5621,5.05,0.528,b,99,Her,
+109556,210839,22.19183,59.4145,5.05,0.192,λ,22,Cep,
+114347,218634,23.15874,8.6772,5.05,1.484,,57,Peg,
+115227,220009,23.33905,5.3813,5.05,1.204,b,7,Psc,
+117371,,23.79855,67.8068,5.05,0.007,,,,
+17296,22649,3.70259,63.2168,5.06,1.651,,,Cam,
+24505,,5.25677,-26.9435,5.06,-0.067,,,,
+25045,,5.36285,-24.7730,5.06,0.662,,,,
+29134,43107,6.14563,-68.8434,5.06,-0.072,ν,,Dor,
+29417,,6.19773,-6.5503,5.06,-0.201,,,,
+30772,45546,6.46599,-4.7622,5.06,-0.175,,10,Mon,
+36817,60584,7.57184,-23.4737,5.06,0.468,n,,Pup,
+40680,,8.30523,-65.6132,5.06,1.129,,,,
+49485,,10.10311,-47.3700,5.06,0.880,,,,
+53838,95310,11.01401,39.2121,5.06,0.255,,49,UMa,
+70248,124771,14.37310,-80.1089,5.06,-0.108,ε,,Aps,
+84033,,17.17842,-44.5577,5.06,0.867,,,,
+96825,,19.68061,45.5249,5.06,0.426,,,,
+96950,186005,19.70865,-16.1240,5.06,0.319,e2,55,Sgr,
+98571,190147,20.02265,50.1047,5.06,1.122,e,26,Cyg,
+101868,196740,20.64220,24.1160,5.06,-0.133,,28,Vul,
+102843,198639,20.83470,44.0593,5.06,0.198,,56,Cyg,
+102950,198308,20.85835,-51.6082,5.06,1.125,ι,,Ind,
+104755,201371,21.22237,-70.1263,5.06,1.578,ο,,Pav,
+117718,223768,23.87480,19.1203,5.06,1.587,φ,81,Peg,
+2578,3003,0.54553,-63.0315,5.07,0.038,β3,,Tuc,
+3810,4676,0.81631,16.9406,5.07,0.502,,64,Psc,
+14954,19994,3.21290,-1.1961,5.07,0.575,,94,Cet,
+21060,28873,4.51391,-44.9537,5.07,-0.194,δ,,Cae,
+21727,29317,4.66519,53.0795,5.07,1.079,,3,Cam,
+25282,35410,5.40803,-0.8913,5.07,0.961,p,27,Ori,
+33558,52092,6.97364,-34.1117,5.07,-0.154,t,,Pup,
+34909,55383,7.22285,16.1590,5.07,1.653,,51,Gem,
+36393,59037,7.48901,28.1183,5.07,0.120,,64,Gem,
+38010,,7.79027,-38.5111,5.07,-0.112,,,,
+46774,82381,9.53266,9.7158,5.07,1.364,h,6,Leo,
+46928,83979,9.56483,-80.9413,5.07,-0.139,ζ,,Cha,
+47452,83754,9.67177,-14.3323,5.07,-0.149,κ,38,Hya,Al Sharasif
+48437,85558,9.87512,-8.1050,5.07,0.038,γ,8,Sex,
+51775,91612,10.58001,6.9537,5.07,0.921,,48,Leo,
+56243,100261,11.52947,-59.4421,5.07,1.026,ο1,,Cen,
+69415,124206,14.21279,-27.2612,5.07,1.130,,50,Hya,
+81292,150117,16.60381,52.9244,5.07,-0.027,,17,Dra,
+83947,,17.15923,40.7770,5.07,1.275,,,,
+85805,159966,17.53274,68.1350,5.07,1.077,f,27,Dra,Adfar Aldib
+90853,170523,18.53387,-45.7574,5.07,-0.127,δ2,,Tel,
+93867,178125,19.11628,11.0712,5.07,-0.055,,18,Aql,
+101916,196755,20.65216,10.0862,5.07,0.702,κ,7,Del,
+107763,207650,21.83075,30.1742,5.07,0.010,,14,Peg,
+109017,209975,22.08577,62.2798,5.07,0.240,,19,Cep,
+2854,,0.60231,54.1685,5.08,-0.098,,,,
+17771,23793,3.80452,11.1433,5.08,-0.125,e,30,Tau,
+21673,29479,4.65256,15.7998,5.08,0.141,σ1,91,Tau,
+22565,30780,4.85624,18.8399,5.08,0.214,i,97,Tau,
+25110,33564,5.37598,79.2311,5.08,0.506,,,,
+25541,35620,5.46080,34.4759,5.08,1.400,φ,24,Aur,
+29271,43834,6.17069,-74.7530,5.08,0.714,α,,Men,
+32558,,6.79367,-8.9985,5.08,1.795,,,,
+38872,65551,7.95512,-44.1099,5.08,-0.166,N,,Pup,
+41483,71935,8.46016,-53.0885,5.08,0.256,F,,Vel,
+48113,84737,9.80983,46.0210,5.08,0.619,,15,LMi,
+51437,90994,10.50485,-0.6370,5.08,-0.138,β,30,Sex,
+51718,91550,10.56691,-23.7452,5.08,1.596,,44,Hya,
+51912,92063,10.60570,-59.5644,5.08,1.172,t1,,Car,
+52457,92825,10.72360,23.1884,5.08,0.042,,41,LMi,
+55598,98991,11.38941,-18.7800,5.08,0.439,λ,13,Crt,
+63005,112091,12.91025,-57.1687,5.08,-0.089,μ2,,Cru,
+73129,131492,14.94555,-62.7810,5.08,-0.023,θ,,Cir,
+92814,,18.91197,-15.6030,5.08,0.141,,,,
+99080,190993,20.11483,23.6144,5.08,-0.162,,17,Vul,
+100881,194636,20.45533,-18.2117,5.08,-0.049,π,10,Cap,Okul
+108036,207958,21.88827,-13.5518,5.08,0.378,μ,51,Cap,
+111532,214470,22.59615,73.6432,5.08,0.395,,31,Cep,
+3781,4815,0.80984,-74.9234,5.09,1.345,λ,,Hyi,
+9110,11909,1.95585,17.8175,5.09,0.921,ι,8,Ari,
+16292,,3.50005,55.4518,5.09,0.022,,,,
+23265,,5.00575,81.1941,5.09,1.304,,,,
+31278,,6.56053,-1.2202,5.09,-0.132,,,,
+35699,57423,7.36579,20.4437,5.09,1.528,,56,Gem,
+36114,,7.43940,-51.0185,5.09,1.038,,,,
+39023,65699,7.98492,-23.3104,5.09,1.111,,12,Pup,
+40321,69081,8.23287,-36.3223,5.09,-0.184,,,Pup,
+43413,75821,8.84263,-46.5292,5.09,-0.205,f,,Vel,
+46283,81848,9.43832,-53.3789,5.09,-0.102,I,,Vel,
+47965,84335,9.77546,57.1281,5.09,1.594,,44,UMa,
+48224,85355,9.83254,-45.7327,5.09,-0.098,u,,Vel,
+55597,,11.38928,-64.9547,5.09,-0.061,,,,
+59819,106661,12.26672,14.8991,5.09,0.068,,6,Com,
+77660,141851,15.85433,-3.0905,5.09,0.135,b,36,Ser,
+79302,,16.18391,-29.4162,5.09,1.131,,,,
+87194,162211,17.81365,25.6229,5.09,1.141,,87,Her,
+90037,,18.37183,-38.6569,5.09,1.498,,,,
+98920,190608,20.08597,19.9911,5.09,1.058,η,16,Sge,
+106999,206330,21.66975,43.2738,5.09,1.601,,75,Cyg,
+108022,208057,21.88438,25.9251,5.09,-0.155,,16,Peg,
+109102,,22.10054,45.0143,5.09,1.568,,,,
+110256,210967,22.33380,-80.4397,5.09,1.276,ε,,Oct,
+113788,217782,23.04344,42.7578,5.09,0.094,,2,And,
+115444,220363,23.38460,12.3139,5.09,1.315,,66,Peg,
+117020,222764,23.72288,10.3315,5.09,1.692,,77,Peg,
+13775,18296,2.95480,31.9342,5.10,-0.007,,21,Per,
+15737,20893,3.37923,20.7421,5.10,1.231,,63,Ari,
+19461,,4.16743,80.6987,5.10,0.589,,,,
+20522,27820,4.39773,9.4610,5.10,0.074,r,66,Tau,
+27534,39844,5.83153,-66.9012,5.10,-0.128,ε,,Dor,
+57613,102620,11.81252,-26.7498,5.10,1.594,,,Hya,
+64803,115310,13.28143,-31.5062,5.10,0.959,r,,Cen,
+70400,,14.40315,5.8201,5.10,0.124,,,,
+78481,143666,16.02065,17.8184,5.10,0.992,r,5,Her,
+82129,150549,16.77777,-67.1097,5.10,-0.080,,,TrA,
+85162,,17.40363,-44.1626,5.10,-0.052,,,,
+88899,166230,18.14802,20.0452,5.10,0.176,,101,Her,
+94885,180972,19.30903,1.0851,5.10,1.143,,23,Aql,
+106944,206067,21.65924,2.2436,5.10,1.034,d,25,Aqr,
+107382,206834,21.75007,-9.0824,5.10,1.108,c,46,Cap,
+113561,217476,23.00142,56.9454,5.10,1.011,,,Cas,
+117689,223647,23.86847,-82.0188,5.10,0.934,γ1,,Oct,
+6960,9132,1.49337,-21.6293,5.11,0.028,,48,Cet,
+18213,24626,3.89415,-34.7323,5.11,-0.133,i,,Eri,
+23941,33256,5.14547,-4.4562,5.11,0.455,,68,Eri,
+33104,49340,6.89507,68.8883,5.11,-0.114,,43,Cam,
+35406,57219,7.31061,-36.7427,5.11,-0.170,v2,,Pup,
+48833,86146,9.96141,41.0556,5.11,0.481,,19,LMi,
+54461,96919,11.14278,-61.9472,5.11,0.195,z2,,Car,
+65535,,13.43549,-39.7551,5.11,1.181,,,,
+77982,141767,15.92489,-68.6030,5.11,1.108,κ,,TrA,
+90191,169702,18.40383,39.5072,5.11,0.047,μ,2,Lyr,Al Athfar
+91875,172777,18.72971,-38.3234,5.11,0.075,λ,,CrA,
+94083,180777,19.15275,76.5605,5.11,0.308,,59,Dra,
+101983,196378,20.66740,-60.5489,5.11,0.544,φ2,,Pav,
+102693,197937,20.80809,-43.9885,5.11,0.361,ι,,Mic,
+108317,208816,21.94421,63.6256,5.11,1.547,,,Cep,
+109973,211202,22.27405,-41.6272,5.11,0.930,μ2,,Gru,
+111795,,22.64387,56.7956,5.11,1.537,,,,
+112242,215373,22.73485,41.8192,5.11,0.960,,13,Lac,
+8882,11753,1.90612,-42.4969,5.12,-0.060,φ,,Phe,
+14240,19319,3.06023,-59.7378,5.12,0.349,μ,,Hor,
+23794,32964,5.11268,-4.6552,5.12,-0.059,,66,Eri,
+34670,55526,7.17985,-48.9321,5.12,1.251,,,,
+35710,57264,7.36739,36.7606,5.12,1.082,,65,Aur,
+37664,,7.72831,-40.9337,5.12,1.104,,,,
+38373,63975,7.86167,1.7669,5.12,-0.116,ζ,13,CMi,
+45505,,9.27307,-44.2657,5.12,1.636,,,,
+46914,,9.56237,-49.0051,5.12,-0.114,,,,
+52353,92424,10.69904,65.7163,5.12,1.207,,38,UMa,
+53261,94247,10.89290,54.5851,5.12,1.355,,44,UMa,
+56250,100262,11.53022,-59.5156,5.12,0.432,ο2,,Cen,
+61468,,12.59598,-41.0219,5.12,0.224,,,,
+62356,111067,12.77743,16.5777,5.12,1.346,,27,Com,
+86796,160691,17.73575,-51.8341,5.12,0.694,μ,,Ara,Cervantes
+89935,168914,18.35029,28.8700,5.12,0.212,t,107,Her,
+90806,,18.52397,-18.4027,5.12,0.016,,,,
+91105,,18.58400,-10.9772,5.12,0.926,,,,
+95951,183914,19.51261,27.9653,5.12,-0.095,β2,6,Cyg,
+96327,184492,19.58535,-10.5604,5.12,1.122,,37,Aql,
+97675,187691,19.85045,10.4157,5.12,0.563,ο,54,Aql,
+101477,195569,20.56530,-44.5160,5.12,0.999,ν,,Mic,
+110391,212010,22.35988,-21.5982,5.12,1.057,,47,Aqr,
+113860,217792,23.05828,-34.7494,5.12,0.305,π,,PsA,
+145,224926,0.03040,-3.0275,5.13,-0.128,,29,Psc,
+1158,1014,0.24101,-7.7805,5.13,1.601,,,Cet,
+6061,7804,1.29665,3.6145,5.13,0.071,f,89,Psc,
+11477,15427,2.46714,-33.8110,5.13,0.089,φ,,For,
+15890,20797,3.41127,64.5860,5.13,2.038,,,Cam,
+26221,37022,5.58791,-5.3897,5.13,0.020,θ1,41,Ori,Becklin's Star
+40843,69897,8.33441,27.2177,5.13,0.487,χ,18,Cnc,
+41325,,8.43188,7.5645,5.13,0.934,,,,
+56332,,11.54837,-31.0872,5.13,1.581,,,,
+69038,123657,14.13215,43.8545,5.13,1.493,,,Boo,
+73826,,15.08866,-41.0672,5.13,1.011,,,,
+76259,138688,15.57703,-28.0470,5.13,1.306,,36,Lib,
+79653,145842,16.25425,-47.3720,5.13,-0.114,θ,,Nor,
+84887,157198,17.34839,24.4994,5.13,0.000,,70,Her,
+94302,180006,19.19461,56.8592,5.13,1.008,,53,Dra,
+104043,199532,21.07863,-77.0238,5.13,0.490,α,,Oct,
+118234,224554,23.98216,-52.7458,5.13,1.121,π,,Phe,
+2900,3346,0.61290,44.4886,5.14,1.587,,,And,
+5799,7439,1.24001,-7.9228,5.14,0.448,,37,Cet,
+16322,21686,3.50680,11.3364,5.14,-0.041,s,4,Tau,
+17886,23848,3.82575,33.0914,5.14,0.057,n,42,Per,
+25429,36189,5.43869,-58.9125,5.14,0.986,λ,,Dor,
+28691,41040,6.05760,19.6906,5.14,-0.097,,64,Ori,
+32765,50223,6.83184,-46.6146,5.14,0.460,,,,
+32864,48879,6.84919,67.5719,5.14,-0.152,,42,Cam,
+33779,53047,7.01430,-51.4026,5.14,1.652,,23,Car,
+34033,,7.06057,10.9518,5.14,1.391,,,,
+34105,54118,7.07176,-56.7497,5.14,-0.032,,,Car,
+37088,61064,7.62130,-4.1110,5.14,0.442,,25,Mon,
+38016,62898,7.79175,33.4157,5.14,1.635,π,80,Gem,
+38917,65685,7.96437,-45.5777,5.14,1.263,O,,Pup,
+39567,66664,8.08458,13.1182,5.14,0.018,,8,Cnc,
+40285,69144,8.22671,-46.9916,5.14,-0.139,,,Vel,
+52742,,10.78263,-56.7572,5.14,-0.080,,,,
+56000,,11.47641,-42.6742,5.14,-0.028,,,,
+56656,,11.61681,-61.2834,5.14,1.105,,,,
+59504,106112,12.20332,77.6162,5.14,0.358,,,Cam,
+60221,,12.34881,-13.5657,5.14,1.048,,,,
+64906,115735,13.30403,49.6821,5.14,-0.049,,21,CVn,
+70012,125454,14.32569,-2.2655,5.14,1.023,υ,102,Vir,
+76307,139153,15.58748,39.0101,5.14,1.650,μ,6,CrB,
+78105,142629,15.94819,-33.9661,5.14,0.129,ξ1,,Lup,
+84626,156349,17.30019,-24.2869,5.14,1.046,ο,39,Oph,
+93163,175329,18.97679,-60.2005,5.14,1.355,ω,,Pav,
+94477,179761,19.22853,2.2937,5.14,-0.071,,21,Aql,
+95498,182762,19.42461,19.7984,5.14,0.999,,4,Vul,
+97870,188665,19.88816,57.5235,5.14,-0.125,,23,Cyg,
+100122,193370,20.31085,34.9828,5.14,0.660,,35,Cyg,
+102157,196519,20.69919,-66.7607,5.14,-0.061,υ,,Pav,
+5544,7034,1.18521,31.4247,5.15,0.261,g,82,Psc,
+9459,12524,2.02844,-44.7135,5.15,1.471,χ,,Phe,
+11784,15656,2.53505,36.1473,5.15,1.472,,14,Tri,
+29895,,6.29492,-16.8159,5.15,1.293,,,,
+37946,62647,7.77758,37.5174,5.15,1.588,,,Lyn,
+42834,74753,8.72785,-49.8228,5.15,-0.197,D,,Vel,
+43531,75506,8.86579,43.7266,5.15,0.971,,35,Lyn,
+44857,77800,9.13986,66.8732,5.15,1.514,σ1,11,UMa,
+47654,83506,9.71589,72.2526,5.15,1.029,,27,UMa,
+50083,88981,10.22517,-66.3728,5.15,0.217,M,,Car,
+54360,96616,11.12130,-42.6387,5.15,0.029,,,Cen,
+56754,,11.63536,-61.8266,5.15,-0.040,,,,
+58803,104731,12.06099,-42.4341,5.15,0.417,,,,
+60320,107566,12.36871,-67.5221,5.15,0.195,ζ2,,Mus,
+64078,114038,13.13161,-10.7404,5.15,1.138,,49,Vir,
+67244,119921,13.78232,-36.2519,5.15,-0.007,z,,Cen,
+72197,129926,14.76669,-25.4432,5.15,0.315,m,54,Hya,
+72603,130819,14.84477,-15.9972,5.15,0.401,α1,8,Lib,Zubenelgenubi
+74605,136064,15.24398,67.3467,5.15,0.550,,,,
+74707,,15.26779,-41.4912,5.15,0.564,,,,
+75761,137898,15.47729,1.8421,5.15,0.245,,10,Ser,
+82073,151217,16.76386,8.5826,5.15,1.535,i,43,Her,
+98425,189687,19.99867,37.0429,5.15,-0.133,,25,Cyg,
+101936,196758,20.65691,0.4864,5.15,1.060,,1,Aqr,
+101984,196777,20.66749,-18.1387,5.15,1.647,υ,15,Cap,
+102531,197963,20.77746,16.1241,5.15,0.495,γ1,12,Del,
+114520,218918,23.19561,8.7201,5.15,0.139,,59,Peg,
+1686,1671,0.35202,37.9686,5.16,0.442,ρ,27,And,
+11060,14489,2.37262,55.8457,5.16,0.369,i,9,Per,
+13717,,2.94373,-3.7123,5.16,0.084,,,,
+15404,20365,3.31049,50.2222,5.16,-0.073,,29,Per,
+27621,,5.84812,-52.1089,5.16,0.960,,,,
+31084,,6.52307,-12.3920,5.16,1.262,,,,
+38382,64096,7.86286,-13.8980,5.16,0.600,,9,Pup,
+40429,69863,8.25442,-62.9156,5.16,0.086,C,,Car,
+44946,78515,9.15598,22.0454,5.16,0.970,ξ,77,Cnc,Nahn
+51814,91480,10.58603,57.0826,5.16,0.349,,37,UMa,
+67929,121299,13.91171,-1.5031,5.16,1.093,p,90,Vir,
+73776,132905,15.08005,-64.0314,5.16,0.935,η,,Cir,
+75530,137471,15.42983,15.4280,5.16,1.650,τ1,9,Ser,
+76243,,15.57403,-9.1834,5.16,-0.090,,,,
+90887,,18.53926,-39.7040,5.16,0.079,,,,
+105570,203562,21.38156,6.8111,5.16,0.064,β,10,Equ,
+107095,206301,21.69246,-14.0476,5.16,0.672,,42,Cap,
+112935,216385,22.87335,9.8357,5.16,0.487,σ,49,Peg,
+2381,,0.50629,-23.7877,5.17,0.128,,,,
+3909,4813,0.83544,-10.6443,5.17,0.514,φ2,19,Cet,
+5336,6582,1.13789,54.9203,5.17,0.704,μ,30,Cas,Marfak
+12273,,2.63390,72.8183,5.17,0.896,,,,
+12832,17093,2.74933,12.4458,5.17,0.234,,38,Ari,
+20507,27861,4.39468,-3.7455,5.17,0.072,ξ,42,Eri,
+38211,63697,7.82811,-17.2284,5.17,1.282,,6,Pup,
+44093,77140,8.98121,-47.2347,5.17,0.268,,,Vel,
+44143,77370,8.99005,-59.0837,5.17,0.417,b2,,Car,
+58188,103632,11.93360,-17.1508,5.17,-0.022,η,30,Crt,
+59151,,12.13052,-75.3670,5.17,1.278,,,,
+60514,107966,12.40515,26.0986,5.17,0.082,,13,Com,
+61910,110317,12.68777,-13.0139,5.17,0.432,,,Crv,
+63210,112409,12.95121,-51.1988,5.17,-0.066,H,,Cen,
+87563,163217,17.88834,40.0080,5.17,1.166,f,90,Her,
+93815,177171,19.10554,-52.3409,5.17,0.532,ρ,,Tel,
+95447,182572,19.41617,11.9444,5.17,0.761,b,31,Aql,
+95556,183056,19.43587,36.3179,5.17,-0.120,,4,Cyg,
+96459,,19.61055,44.6949,5.17,0.928,,,,
+104085,200365,21.08729,-54.7270,5.17,1.201,μ,,Ind,
+104963,202320,21.26053,-20.6517,5.17,1.161,φ,28,Cap,
+117629,223640,23.85593,-18.9092,5.17,-0.122,i3,108,Aqr,
+1708,1737,0.35867,-28.9815,5.18,1.006,ι,,Scl,
+2225,,0.47046,44.3945,5.18,0.043,,,,
+8016,10250,1.71552,70.6225,5.18,-0.022,,42,Cas,
+19171,25823,4.11011,27.5999,5.18,-0.124,,41,Tau,
+22833,31283,4.91303,11.4260,5.18,0.121,g,6,Ori,Manica
+24197,,5.19488,16.0457,5.18,1.525,,,,
+25918,37763,5.53139,-76.3410,5.18,1.130,γ,,Men,
+26640,37438,5.66228,25.8971,5.18,-0.150,,125,Tau,
+27204,38666,5.76664,-32.3064,5.18,-0.274,μ,,Col,
+33682,53501,6.99737,-67.9164,5.18,1.396,,,,
+35951,58343,7.41116,-16.2015,5.18,-0.035,,,CMa,
+40943,,8.35585,-36.4842,5.18,-0.187,,,,
+41296,,8.42537,-51.7274,5.18,-0.164,,,,
+42504,74146,8.66600,-53.0547,5.18,-0.147,,,Vel,
+45333,79028,9.23904,61.4233,5.18,0.605,c,16,UMa,
+52469,,10.72580,46.2039,5.18,0.324,,,,
+55137,98118,11.28817,2.0106,5.18,1.511,,75,Leo,
+55779,99453,11.42865,-63.9725,5.18,0.495,,,,
+69373,,14.20111,69.4325,5.18,1.595,,,,
+73036,,14.92627,-60.1142,5.18,1.161,,,,
+92646,174295,18.87768,-52.1074,5.18,0.962,κ,,Tel,
+96665,185507,19.65323,5.3978,5.18,-0.001,σ,44,Aql,
+97630,187849,19.84277,38.7224,5.18,1.665,,19,Cyg,
+99853,192713,20.25840,23.5089,5.18,1.016,,22,Vul,
+101260,196502,20.52511,74.9546,5.18,0.100,,73,Dra,
+107230,207130,21.71779,72.3201,5.18,1.063,,78,Dra,
+117315,223145,23.78777,-50.2265,5.18,-0.164,σ,,Phe,
+11072,14802,2.37571,-23.8163,5.19,0.608,κ,,For,
+11220,14770,2.40692,50.0065,5.19,0.979,,64,And,
+23840,33684,5.12612,-63.3997,5.19,1.646,,,Dor,
+28744,41335,6.07042,-6.7089,5.19,-0.066,,,Mon,
+30717,45416,6.45382,0.2992,5.19,1.186,,77,Ori,
+39070,66342,7.99376,-60.5871,5.19,1.758,,,Car,
+42425,74405,8.65143,-70.3867,5.19,0.013,θ,,Vol,
+43352,,8.83097,-32.7805,5.19,0.876,,,,
+51362,90882,10.49131,-2.7391,5.19,-0.050,δ,29,Sex,
+56583,100696,11.60078,69.3230,5.19,0.974,,2,Dra,
+64792,115383,13.27959,9.4242,5.19,0.585,e,59,Vir,
+73945,133774,15.11045,-16.2568,5.19,1.589,ν,21,Lib,Zuben Hakrabi
+77277,,15.77778,62.5996,5.19,0.062,,,,
+80874,,16.51371,-61.6335,5.19,1.236,,,,
+85312,157457,17.43335,-50.6335,5.19,1.055,κ,,Ara,
+99738,192518,20.23737,28.6948,5.19,0.191,,21,Vul,
+103294,199253,20.92686,13.7215,5.19,1.119,,17,Del,
+105268,203467,21.32284,64.8719,5.19,-0.045,,6,Cep,
+111797,214734,22.64418,63.5845,5.19,0.083,,30,Cep,
+115125,,23.31843,-13.4547,5.19,0.895,,,,
+115404,220278,23.37755,-15.0393,5.19,0.203,,97,Aqr,
+2355,2628,0.50205,29.7516,5.20,0.271,,28,And,
+2762,3196,0.58747,-3.5928,5.20,0.567,,13,Cet,
+19949,,4.27863,53.6118,5.20,0.052,,,,
+21296,29064,4.56990,-8.2314,5.20,1.708,,47,Eri,
+27971,39220,5.91606,59.8884,5.20,0.010,,31,Cam,
+29650,43042,6.24747,19.1564,5.20,0.430,,71,Ori,
+30932,46355,6.49125,-56.8528,5.20,1.087,,61,Pic,
+32104,48097,6.70676,17.6453,5.20,0.063,,26,Gem,
+33927,52497,7.04022,24.2154,5.20,0.953,ω,42,Gem,
+34081,53704,7.06744,-42.3373,5.20,0.198,C,,Pup,
+35146,55280,7.26525,59.6375,5.20,1.081,,18,Lyn,
+36238,58728,7.46232,21.4452,5.20,0.455,,63,Gem,
+39961,,8.15997,-44.1228,5.20,-0.173,,,,
+42540,74067,8.67199,-40.2639,5.20,-0.027,,,Vel,
+42679,74371,8.69914,-45.4107,5.20,0.171,,,Vel,
+57047,,11.69554,-32.4994,5.20,1.475,,,,
+60189,107348,12.34268,-22.2159,5.20,-0.090,ζ,5,Crv,
+63901,113797,13.09567,35.7989,5.20,-0.059,,14,CVn,
+68269,121847,13.97532,-24.9722,5.20,-0.086,,47,Hya,
+80197,147749,16.37262,33.7991,5.20,1.631,ν1,20,CrB,
+90441,169985,18.45347,0.1961,5.20,0.487,d,59,Ser,
+92226,173540,18.79573,-40.4062,5.20,0.781,μ,,CrA,
+93017,176051,18.95045,32.9013,5.20,0.594,,,,
+93917,178449,19.12377,32.5017,5.20,0.367,,17,Lyr,
+104174,200763,21.10685,-32.3416,5.20,1.104,,2,PsA,
+104214,201091,21.11499,38.7494,5.20,1.069,,61,Cyg,
+115126,219834,23.31852,-13.4586,5.20,0.787,,94,Aqr,
+5300,6767,1.12996,-41.4869,5.21,0.159,υ,,Phe,
+5737,7344,1.22886,7.5754,5.21,0.320,ζ,86,Psc,Revati
+12484,16920,2.67767,-54.5499,5.21,0.411,ζ,,Hor,
+19205,25867,4.11679,29.0013,5.21,0.359,ψ,42,Tau,
+28296,40446,5.98043,0.5530,5.21,0.009,,60,Ori,
+30457,,6.40287,-11.5301,5.21,1.230,,,,
+30679,44708,6.44691,58.4174,5.21,1.538,,5,Lyn,
+32064,,6.69899,-9.1675,5.21,1.525,,,,
+55756,,11.42485,-36.0631,5.21,0.979,,,,
+64725,115202,13.26633,-19.9431,5.21,1.011,,57,Vir,
+66098,117818,13.54947,-10.1650,5.21,0.964,h,76,Vir,
+77578,141680,15.83821,2.1965,5.21,1.019,ω,34,Ser,
+85079,157042,17.38780,-47.4682,5.21,-0.097,ι,,Ara,
+111449,213845,22.57823,-20.7082,5.21,0.446,υ,59,Aqr,
+3505,4247,0.74567,-22.0061,5.22,0.350,,,,
+9763,12339,2.09210,76.1151,5.22,0.954,,49,Cas,
+13874,,2.97835,-2.7829,5.22,0.014,,,,
+19799,,4.24340,10.0114,5.22,-0.085,,,,
+21547,29391,4.62670,-2.4735,5.22,0.283,c,51,Eri,
+23734,32343,5.10235,58.9724,5.22,-0.080,,11,Cam,
+25048,34759,5.36345,41.8046,5.22,-0.129,ρ,20,Aur,
+31119,,6.53008,11.5444,5.22,0.185,,,,
+32562,48781,6.79433,48.7895,5.22,1.131,ψ6,57,Aur,
+33878,,7.03233,-5.7221,5.22,1.687,,,,
+36265,58923,7.46724,6.9420,5.22,0.221,η,5,CMi,
+38020,,7.79209,-46.6085,5.22,-0.151,,,,
+39061,,7.99121,-39.2969,5.22,0.400,,,,
+43970,76543,8.95415,15.3228,5.22,0.149,ο1,62,Cnc,
+54767,,11.21256,-64.1698,5.22,-0.082,,,,
+55831,,11.44317,-61.1152,5.22,-0.077,,,,
+58684,104513,12.03522,43.0456,5.22,0.283,,67,UMa,
+62267,110951,12.76029,7.6733,5.22,0.322,d2,32,Vir,
+70035,,14.33097,-61.2730,5.22,0.281,,,,
+72290,129893,14.78369,-52.3835,5.22,0.984,b,,Lup,
+82216,151525,16.79623,5.2467,5.22,-0.001,l,45,Her,
+92390,174116,18.82781,-20.3247,5.22,1.404,,29,Sgr,
+92405,174602,18.83137,32.5511,5.22,0.100,ν,9,Lyr,
+95260,182255,19.38080,26.2624,5.22,-0.119,,3,Vul,
+98583,190544,20.02459,64.8210,5.22,1.598,e,64,Dra,
+106093,204771,21.49082,46.5406,5.22,0.965,g,71,Cyg,
+116076,221345,23.52151,39.2362,5.22,1.029,,14,And,Veritate
+6315,8126,1.35205,28.7382,5.23,1.396,l,91,Psc,
+10306,13555,2.21336,21.2110,5.23,0.457,η,17,Ari,
+14456,,3.10931,-6.0886,5.23,1.575,,,,
+32292,48917,6.74124,-31.0705,5.23,-0.127,,10,CMa,
+35907,57669,7.40235,40.6724,5.23,1.249,,66,Aur,
+39970,68324,8.16199,-47.9372,5.23,-0.199,,,Vel,
+43834,76219,8.92769,27.9275,5.23,1.000,ρ2,58,Cnc,
+44154,76813,8.99241,32.4186,5.23,0.913,σ3,64,Cnc,
+44337,77653,9.02905,-52.1887,5.23,-0.120,,,Vel,
+44798,78316,9.12911,10.6682,5.23,-0.092,κ,76,Cnc,
+48926,86629,9.98119,-35.8910,5.23,0.300,η,,Ant,
+52701,,10.77489,-64.2632,5.23,-0.077,,,,
+53252,94388,10.89153,-20.1387,5.23,0.480,b3,,Hya,
+63076,112429,12.92460,65.4385,5.23,0.303,,8,Dra,Taiyi
+72357,130259,14.79578,-26.0875,5.23,0.938,,56,Hya,
+76939,139980,15.71064,-37.4249,5.23,0.987,h,,Lup,
+79607,146361,16.24468,33.8586,5.23,0.599,σ,17,CrB,
+82493,151804,16.85937,-41.2305,5.23,0.047,,,Sco,
+82730,152601,16.90991,-6.1540,5.23,1.100,,23,Oph,
+86036,160269,17.58322,61.8746,5.23,0.602,,26,Dra,
+94068,178596,19.14997,6.0732,5.23,0.346,,19,Aql,
+98636,190004,20.03373,24.9380,5.23,0.374,,16,Vul,
+950,739,0.19556,-35.1331,5.24,0.459,θ,,Scl,
+3949,4919,0.84477,-50.9868,5.24,0.356,ρ,,Phe,
+7981,10476,1.70827,20.2685,5.24,0.836,,107,Psc,
+14043,,3.01451,52.3517,5.24,-0.049,,,,
+15371,20807,3.30356,-62.5064,5.24,0.600,ζ2,,Ret,
+16803,22470,3.60484,-17.4671,5.24,-0.117,,20,Eri,
+17457,23363,3.74181,-1.1631,5.24,-0.088,,24,Eri,
+17717,23878,3.79435,-23.8747,5.24,0.075,τ7,28,Eri,
+17954,,3.83859,25.5794,5.24,0.231,,,,
+20384,28093,4.36481,-63.3864,5.24,0.955,η,,Ret,
+21297,,4.56993,-8.9703,5.24,1.465,,,,
+25197,34787,5.39107,57.5444,5.24,-0.011,,16,Cam,
+26268,37077,5.59430,-4.8561,5.24,0.269,,45,Ori,
+32480,48682,6.77898,43.5774,5.24,0.575,ψ5,56,Aur,
+35393,57240,7.30931,-39.2103,5.24,0.026,F,,Pup,
+36641,59881,7.53499,1.9145,5.24,0.230,δ1,7,CMi,
+42334,73495,8.63115,-26.2550,5.24,-0.030,η,,Pyx,
+45344,79735,9.24013,-43.2275,5.24,-0.137,z,,Vel,
+45527,79910,9.27826,-6.3531,5.24,1.172,,23,Hya,
+56779,101153,11.64100,8.1343,5.24,1.499,ω,1,Vir,
+64348,,13.18978,-43.3686,5.24,1.049,,,,
+73909,,15.10465,54.5563,5.24,0.958,,,,
+79540,145897,16.23081,-11.8377,5.24,1.394,χ,17,Sco,
+80620,148349,16.46207,-7.5979,5.24,1.721,,,Oph,
+80843,148897,16.50932,20.4792,5.24,1.274,s,,Her,
+90200,,18.40507,-44.1103,5.24,-0.163,,,,
+98174,,19.95175,-58.9014,5.24,0.014,,,,
+101923,196662,20.65453,-14.9548,5.24,-0.129,τ,14,Cap,
+103571,,20.98475,4.2946,5.24,0.457,,,,
+107128,206356,21.70019,-23.2629,5.24,0.991,,41,Cap,
+109572,,22.19688,56.8394,5.24,0.534,,,,
+112529,215721,22.79253,-19.6134,5.24,0.941,,68,Aqr,
+117089,222847,23.73669,-18.2769,5.24,-0.084,i1,106,Aqr,
+7955,10537,1.70239,-32.3270,5.25,1.044,π,,Scl,
+10559,13869,2.26563,33.3589,5.25,-0.004,,7,Tri,
+13141,17848,2.81708,-62.8065,5.25,0.101,ν,,Hor,
+25202,35337,5.39171,-13.9274,5.25,-0.219,,8,Lep,
+31165,,6.53927,-37.6967,5.25,0.982,,,,
+31688,,6.62989,-32.3397,5.25,1.177,,,,
+37921,62832,7.77117,10.7683,5.25,0.018,,11,CMi,
+39487,66888,8.07117,-32.6748,5.25,1.882,,,Pup,
+50414,89254,10.29383,-8.0689,5.25,0.336,ε,22,Sex,
+51502,90089,10.51796,82.5586,5.25,0.399,,,,
+76534,139641,15.63045,40.3534,5.25,0.886,φ,54,Boo,Ceginus
+86305,159492,17.63487,-54.5004,5.25,0.195,π,,Ara,
+88331,164852,18.03973,20.8336,5.25,-0.100,,96,Her,
+90067,,18.38029,17.8266,5.25,1.250,,,,
+92056,,18.76299,74.0856,5.25,0.953,,,,
+93903,178475,19.12170,36.1002,5.25,-0.109,ι,18,Lyr,
+104738,,21.21752,-39.4249,5.25,0.460,,,,
+112031,214993,22.69129,40.2254,5.25,-0.137,,12,Lac,
+113864,,23.05913,67.2092,5.25,1.248,,,,
+13165,17543,2.82155,17.4643,5.26,-0.066,π,42,Ari,Al Butain
+14293,19107,3.07125,-7.6009,5.26,0.193,ρ3,10,Eri,
+20261,27459,4.34342,15.0955,5.26,0.225,,58,Tau,
+20266,,4.34453,65.1404,5.26,0.820,,,,
+27386,38710,5.80007,6.4542,5.26,0.234,,52,Ori,
+31434,46553,6.58669,28.0223,5.26,-0.008,,49,Aur,
+45328,,9.23833,-55.5696,5.26,0.980,,,,
+45631,80456,9.30163,-51.0509,5.26,-0.062,K,,Vel,
+48883,86360,9.97038,12.4448,5.26,-0.035,ν,27,Leo,
+49698,,10.14521,-65.8154,5.26,0.973,,,,
+53154,94367,10.87523,-57.2404,5.26,0.130,,,Car,
+56573,100825,11.59877,-47.6416,5.26,0.257,C2,,Cen,
+56975,101484,11.67974,21.3527,5.26,0.984,,92,Leo,
+58082,,11.91181,-25.7139,5.26,0.883,,,,
+67703,120642,13.86802,-52.8115,5.26,-0.084,N,,Cen,
+69068,123782,14.13814,49.4582,5.26,1.637,,13,Boo,
+75828,,15.49007,-46.7327,5.26,1.731,,,,
+76425,139195,15.60821,10.0102,5.26,0.925,,16,Ser,
+80161,,16.36353,69.1094,5.26,1.115,,,,
+93256,,18.99597,26.2304,5.26,1.228,,,,
+108924,209772,22.06471,63.1199,5.26,1.557,,18,Cep,
+6999,9057,1.50169,47.0073,5.27,0.999,A,49,And,Thail
+9727,12230,2.08539,77.2813,5.27,0.345,,47,Cas,
+10320,13709,2.21513,-30.7238,5.27,-0.013,μ,,For,
+11738,15694,2.52503,2.2672,5.27,1.271,,,,
+11757,16522,2.52793,-79.1094,5.27,0.981,μ,,Hyi,
+15627,20756,3.35379,21.1471,5.27,-0.067,τ,61,Ari,
+20641,27946,4.42361,22.2000,5.27,0.250,,67,Tau,
+30073,44112,6.32855,-7.8229,5.27,-0.177,,7,Mon,
+32537,49591,6.78928,-37.9297,5.27,-0.078,x,,Pup,
+36760,60107,7.56013,15.8267,5.27,0.055,,68,Gem,
+42129,73390,8.58765,-58.2247,5.27,-0.133,e1,,Car,
+48682,85795,9.92861,49.8198,5.27,0.086,,31,UMa,
+50070,88824,10.22301,-51.2330,5.27,0.257,,,Vel,
+51313,,10.48127,-64.1723,5.27,1.856,,,,
+57477,,11.78212,55.6282,5.27,1.276,,,,
+62027,110432,12.71396,-63.0586,5.27,0.195,,,Cru,
+65581,116870,13.44533,-12.7077,5.27,1.477,i,68,Vir,
+72929,131430,14.90559,-24.6422,5.27,1.336,,12,Lib,
+80057,145388,16.34079,-78.6675,5.27,1.413,δ2,,Aps,
+83313,154029,17.02677,33.5683,5.27,0.028,d,59,Her,
+83431,153580,17.05242,-53.2370,5.27,0.498,ε2,,Ara,
+93203,176303,18.98493,13.6222,5.27,0.573,,11,Aql,
+99968,,20.28203,40.3651,5.27,1.650,,,,
+107843,206240,21.84849,-82.7189,5.27,0.756,λ,,Oct,
+109005,209960,22.08347,62.7857,5.27,1.413,,20,Cep,
+109693,,22.21961,86.1080,5.27,-0.030,,,,
+116957,,23.70773,-15.4480,5.27,1.344,,,,
+7650,9774,1.64192,73.0400,5.28,0.972,,40,Cas,
+18453,24546,3.94348,50.6954,5.28,0.425,A,43,Per,
+18788,25340,4.02557,-1.5497,5.28,-0.133,,35,Eri,
+22040,30478,4.73921,-59.7327,5.28,0.206,κ,,Dor,
+23871,32977,5.13011,20.4184,5.28,0.118,l,106,Tau,
+26460,37495,5.62906,-28.6897,5.28,0.486,ν2,,Col,
+27364,38622,5.79525,13.8996,5.28,-0.156,,133,Tau,
+29048,42042,6.12823,-19.1659,5.28,1.661,,19,Lep,
+30953,,6.49696,-50.2391,5.28,0.371,,,,
+32492,49229,6.78086,-14.4260,5.28,-0.024,,11,CMa,
+32921,49908,6.85918,21.7611,5.28,-0.020,d,36,Gem,
+41003,71576,8.36791,-73.4000,5.28,0.014,η,,Vol,
+43142,,8.78749,-1.8970,5.28,0.058,,,,
+45455,79354,9.26383,56.7414,5.28,1.568,,17,UMa,
+45581,,9.29033,-74.8943,5.28,0.021,,,,
+47300,83287,9.63938,40.2398,5.28,0.223,,42,Lyn,
+57371,,11.76221,-45.6901,5.28,-0.118,,,,
+58587,104337,12.01421,-19.6590,5.28,-0.192,,31,Crv,
+60122,107274,12.33020,48.9841,5.28,1.623,,3,CVn,
+74596,135502,15.24143,29.1643,5.28,0.062,χ,48,Boo,
+80645,147787,16.46593,-64.0579,5.28,0.383,ι,,TrA,
+81437,,16.63346,56.0155,5.28,1.055,,,,
+85389,,17.44777,-45.8430,5.28,-0.058,,,,
+91014,,18.56605,-33.0166,5.28,-0.115,,,,
+94834,180868,19.29695,11.5954,5.28,0.196,ω1,25,Aql,
+96957,186203,19.70945,11.8266,5.28,0.575,χ,47,Aql,
+98103,188728,19.93729,11.4237,5.28,0.014,φ,61,Aql,
+100195,193150,20.32323,-19.1185,5.28,1.394,σ,7,Cap,
+110618,211998,22.41025,-72.2554,5.28,0.660,ν,,Ind,
+117218,223024,23.76692,-18.6783,5.28,0.299,i2,107,Aqr,
+814,636,0.16727,-82.2240,5.29,1.049,γ3,,Oct,
+983,,0.20277,-17.9383,5.29,1.478,,,,
+8209,10830,1.76077,-25.0526,5.29,0.395,ε,,Scl,
+9312,,1.99390,64.6216,5.29,0.002,,,,
+10793,14252,2.31583,28.6427,5.29,0.037,,10,Tri,
+11021,14652,2.36573,0.3957,5.29,1.648,,69,Cet,
+11486,15257,2.46944,29.6693,5.29,0.311,,12,Tri,
+19719,26690,4.22586,7.7160,5.29,0.366,,46,Tau,
+20704,,4.43509,31.4389,5.29,0.986,,,,
+22287,30121,4.80007,56.7572,5.29,0.246,,4,Cam,
+24873,34863,5.33306,-12.3156,5.29,-0.104,ν,7,Lep,
+26868,38170,5.70422,-34.6678,5.29,-0.032,,,Col,
+27947,,5.91391,-52.6355,5.29,0.295,,,,
+33316,,6.92970,-22.9414,5.29,-0.163,,,,
+35427,,7.31424,-26.5859,5.29,0.956,,,,
+48390,85376,9.86473,24.3954,5.29,0.229,g,22,Leo,
+60904,108662,12.48186,25.9129,5.29,-0.056,,17,Com,
+69612,124679,14.24746,10.1006,5.29,1.007,,15,Boo,
+89439,167264,18.25359,-20.7283,5.29,0.007,,15,Sgr,
+92824,164461,18.91309,-87.6058,5.29,1.304,χ,,Oct,
+105898,,21.44767,48.8352,5.29,0.108,,,,
+106327,204783,21.53497,-41.1793,5.29,1.109,ξ,,Gru,
+107472,207089,21.76788,22.9489,5.29,1.381,,12,Peg,
+108991,209625,22.07984,-0.9063,5.29,0.231,,32,Aqr,
+3231,3817,0.68533,39.4587,5.30,0.891,,32,And,
+12225,16555,2.62343,-52.5431,5.30,0.289,η,,Hor,
+12489,16628,2.67807,27.0609,5.30,0.081,,33,Ari,Barani
+16499,21770,3.54063,46.0569,5.30,0.398,,36,Per,
+21914,30185,4.71289,-50.4813,5.30,0.977,λ,,Pic,
+21928,29722,4.71509,43.3651,5.30,0.028,,59,Per,
+23467,33285,5.04528,-71.3143,5.30,0.996,β,,Men,
+32411,,6.76650,-14.7961,5.30,0.075,,,,
+34802,55719,7.20439,-40.4988,5.30,0.072,E,,Pup,
+37704,62285,7.73525,25.7842,5.30,1.535,c,76,Gem,
+38962,65345,7.97241,2.2248,5.30,0.933,,14,CMi,
+39780,67228,8.12941,21.5818,5.30,0.642,μ,10,Cnc,
+43305,75333,8.82270,-3.4430,5.30,-0.080,,14,Hya,
+45290,79158,9.23006,43.2178,5.30,-0.130,,36,Lyn,
+47479,,9.67849,-57.9836,5.30,0.195,,,,
+49809,,10.16830,-12.8159,5.30,0.368,,,,
+56034,99787,11.48448,39.3370,5.30,0.019,,57,UMa,
+85084,157236,17.38933,-28.1428,5.30,1.549,,43,Oph,
+89773,168532,18.31963,24.4461,5.30,1.508,,105,Her,
+96808,185644,19.67872,-16.2933,5.30,1.109,e1,54,Sgr,
+98421,189118,19.99760,-34.6978,5.30,0.170,θ2,,Sgr,
+99951,192944,20.27975,24.6711,5.30,0.951,,24,Vul,
+100541,,20.38631,5.3430,5.30,0.983,,,,
+103511,199697,20.97121,22.3259,5.30,1.419,,33,Vul,
+103569,199766,20.98458,4.2935,5.30,0.464,ε,1,Equ,
+104365,201184,21.14267,-21.1937,5.30,0.000,χ,25,Cap,
+105942,204403,21.45593,37.1168,5.30,-0.140,,70,Cyg,
+107151,206487,21.70429,5.6801,5.30,1.653,,7,Peg,
+114200,218452,23.12757,46.3872,5.30,1.409,,4,And,
+116820,222433,23.67727,-32.0731,5.30,0.965,μ,,Scl,
+117730,223781,23.87697,10.9473,5.30,0.186,,82,Peg,
+10366,13530,2.22676,51.0658,5.31,0.926,,6,Per,
+10819,14212,2.32133,47.3800,5.31,0.006,c,62,And,
+27243,,5.77427,-46.5972,5.31,1.040,,,,
+37701,,7.73449,50.4338,5.31,-0.001,,,,
+43671,,8.89739,-47.5208,5.31,0.275,,,,
+45544,,9.28252,-39.4015,5.31,1.166,,,,
+55016,97907,11.26441,13.3076,5.31,1.189,n,73,Leo,
+56997,101501,11.68417,34.2016,5.31,0.723,,61,UMa,
+57562,102510,11.79859,8.2459,5.31,0.038,A1,4,Vir,
+59654,106321,12.23408,-45.7239,5.31,1.400,D,,Cen,
+64577,114946,13.23636,-19.9309,5.31,0.862,,55,Vir,
+80945,148688,16.52827,-41.8171,5.31,0.299,,,Sco,
+85667,158614,17.50661,-1.0629,5.31,0.715,,,,
+94150,,19.16469,-68.4244,5.31,0.901,,,,
+104974,202369,21.26245,-15.1715,5.31,1.639,,29,Cap,
+110649,212330,22.41567,-57.7974,5.31,0.665,,,,
+5518,6829,1.17759,68.7786,5.32,-0.014,,31,Cas,
+14168,18953,3.04507,-7.6855,5.32,0.941,ρ2,9,Eri,
+15770,20809,3.38700,49.2133,5.32,-0.076,,,Per,
+18957,25558,4.06239,5.4356,5.32,-0.080,,40,Tau,
+21515,29335,4.62047,0.9983,5.32,-0.107,,49,Eri,
+26126,36777,5.57133,3.7669,5.32,0.051,n2,38,Ori,
+38146,63660,7.81713,-24.9122,5.32,0.751,,188,Pup,
+41260,,8.41771,-24.0462,5.32,1.476,,,,
+52911,93702,10.82095,10.5452,5.32,0.035,l,53,Leo,
+57111,101673,11.70788,66.7449,5.32,1.267,,3,Dra,
+60449,107832,12.39317,-35.4127,5.32,-0.066,x1,,Cen,
+65479,,13.42053,-64.4851,5.32,0.411,,,,
+72489,130559,14.82196,-14.1490,5.32,0.066,μ,7,Lib,
+73049,,14.92909,-33.8558,5.32,0.046,,,,
+74649,135482,15.25315,4.9394,5.32,1.092,,3,Ser,
+80208,,16.37444,-49.5724,5.32,-0.047,,,,
+84177,155644,17.20773,10.5852,5.32,1.593,,37,Oph,
+97749,187474,19.86406,-39.8744,5.32,-0.045,,,Sgr,
+98624,188887,20.03124,-66.9440,5.32,1.218,μ2,,Pav,
+99461,191408,20.18665,-36.1012,5.32,0.868,,,,
+103882,200163,21.04943,-38.6314,5.32,0.424,ζ,,Mic,
+112781,215573,22.83967,-80.1238,5.32,-0.126,ξ,,Oct,
+5131,6456,1.09471,21.4732,5.33,0.003,ψ1,74,Psc,
+20161,,4.32131,-44.2679,5.33,1.066,,,,
+22730,31139,4.88966,2.5082,5.33,1.632,,5,Ori,
+22834,,4.91327,7.7791,5.33,1.214,,,,
+23879,33054,5.13136,8.4984,5.33,0.338,i,14,Ori,
+39734,,8.12168,-20.5543,5.33,0.100,,,,
+40817,71046,8.33027,-71.5149,5.33,-0.063,κ1,,Vol,
+41616,72108,8.48465,-47.9289,5.33,-0.140,A,,Vel,
+41822,72094,8.52659,18.0944,5.33,1.567,θ,31,Cnc,
+41909,72292,8.54514,20.4412,5.33,1.252,η,33,Cnc,
+52678,,10.77127,-64.5146,5.33,-0.096,,,,
+64823,,13.28767,13.6758,5.33,1.304,,,,
+90074,168733,18.38141,-36.6696,5.33,-0.121,,,Sgr,
+93124,176155,18.97076,17.3609,5.33,0.731,,,Aql,
+97421,186543,19.80033,-56.3626,5.33,0.196,ν,,Tel,
+98438,189577,20.00092,17.5165,5.33,1.576,,13,Sge,
+109786,210960,22.23834,-21.0746,5.33,0.812,,41,Aqr,
+116264,221615,23.55781,22.4988,5.33,1.481,,71,Peg,
+9440,12438,2.02075,-30.0018,5.34,0.883,π,,For,
+13490,17904,2.89517,38.3375,5.34,0.423,,20,Per,
+17563,23466,3.76123,6.0500,5.34,-0.099,u,29,Tau,
+20186,27309,4.32686,21.7735,5.34,-0.107,,56,Tau,
+24817,34658,5.31978,2.5958,5.34,0.412,,21,Ori,
+25980,,5.54482,-1.5918,5.34,-0.188,,,,
+26001,37297,5.54988,-64.2275,5.34,1.039,,28,Dor,
+29704,43153,6.25698,16.1432,5.34,-0.101,f2,72,Ori,
+30247,43905,6.36281,53.4522,5.34,0.448,,45,Aur,
+31789,47100,6.64699,39.9026,5.34,-0.075,ψ3,52,Aur,
+32489,48432,6.78042,57.1692,5.34,0.964,,13,Lyn,
+33048,49618,6.88473,59.4485,5.34,0.675,,14,Lyn,
+36896,,7.58578,30.9609,5.34,1.010,,,,
+40215,67447,8.21355,68.4741,5.34,1.037,,55,Cam,
+43414,,8.84301,-66.7930,5.34,0.423,,,,
+46107,82554,9.40256,-80.7869,5.34,0.454,ι,,Cha,
+50888,,10.39147,-38.0098,5.34,0.251,,,,
+58884,,12.07747,-68.3289,5.34,-0.012,,,,
+59184,105416,12.13742,-48.6925,5.34,-0.010,E,,Cen,
+63117,,12.93254,-56.8358,5.34,0.010,,,,
+70469,,14.41351,-24.8063,5.34,0.962,,,,
+76866,140160,15.69651,12.8475,5.34,0.033,χ,20,Ser,
+82587,152598,16.88279,31.7017,5.34,0.319,,53,Her,
+96288,,19.57813,42.4125,5.34,0.060,,,,
+103127,,20.89449,-39.8099,5.34,1.318,,,,
+107788,207652,21.83575,17.2859,5.34,0.394,,13,Peg,
+109654,,22.21329,34.6046,5.34,1.134,,,,
+110000,211361,22.28001,-12.8314,5.34,1.132,,42,Aqr,
+113327,217050,22.95125,48.6841,5.34,-0.102,,,Lac,
+3951,,0.84545,64.2475,5.35,0.528,,,,
+4371,5437,0.93375,-11.2665,5.35,1.505,φ3,22,Cet,
+6706,8723,1.43757,19.1723,5.35,0.395,ρ,93,Psc,
+22157,,4.76715,11.7056,5.35,0.197,,,,
+28946,41357,6.10975,38.4826,5.35,0.251,,40,Aur,
+29246,41597,6.16639,58.9357,5.35,1.096,,37,Cam,
+35957,,7.41218,-31.8089,5.35,1.071,,,,
+36439,58855,7.49888,49.6725,5.35,0.470,,22,Lyn,
+42604,73593,8.68363,45.8340,5.35,0.993,,34,Lyn,
+46811,,9.53869,-40.6493,5.35,0.897,,,,
+66936,119425,13.71770,3.5379,5.35,1.091,,84,Vir,
+75119,136514,15.35055,0.7153,5.35,1.191,,6,Ser,
+77907,142780,15.91051,43.1386,5.35,1.645,,2,Her,
+79050,,16.13544,-26.3267,5.35,1.643,,,,
+80782,148379,16.49509,-46.2432,5.35,0.488,,,Nor,
+82802,152879,16.92283,18.4332,5.35,1.407,,54,Her,
+86182,160290,17.61046,48.5856,5.35,1.142,y,82,Her,
+92953,,18.93804,-42.7107,5.35,0.998,,,,
+94385,179406,19.21131,-7.9395,5.35,0.094,,20,Aql,
+110273,211838,22.33665,-7.8211,5.35,-0.048,ρ,46,Aqr,
+115355,220222,23.36526,31.8125,5.35,-0.101,,64,Peg,
+116709,222304,23.65231,50.4717,5.35,-0.061,,18,And,
+3138,3690,0.66543,21.4385,5.36,1.160,,55,Psc,
+3632,4408,0.77582,15.4755,5.36,1.559,,57,Psc,
+5268,6793,1.12185,-61.7753,5.36,0.884,ι,,Tuc,
+11258,15233,2.41497,-60.3119,5.36,0.395,λ,,Hor,
+11791,15779,2.53595,-1.0349,5.36,1.004,,75,Cet,
+18993,,4.06941,2.8269,5.36,0.505,,,,
+21730,29316,4.66613,53.4730,5.36,0.331,,2,Cam,
+26063,36695,5.55873,-1.1561,5.36,-0.175,,,Ori,
+27658,39291,5.85611,-7.5180,5.36,-0.195,,55,Ori,
+29490,41927,6.21419,65.7184,5.36,1.344,,36,Cam,
+29996,,6.31405,-9.3900,5.36,1.239,,,,
+34987,,7.23891,3.1114,5.36,1.193,,,,
+35083,,7.25585,-30.6864,5.36,-0.155,,,,
+37853,63077,7.75973,-34.1724,5.36,0.589,,171,Pup,
+38846,,7.94939,-43.5004,5.36,-0.166,,,,
+40107,,8.19250,-7.7725,5.36,0.892,,,,
+45410,79554,9.25385,14.9415,5.36,1.319,π,82,Cnc,
+47723,84194,9.72886,14.0217,5.36,1.610,ψ,16,Leo,
+52405,92964,10.71127,-59.2158,5.36,0.213,,,Car,
+52638,93152,10.76441,30.6823,5.36,-0.050,,42,LMi,
+58510,104181,11.99914,3.6552,5.36,-0.001,b,7,Vir,
+65301,116292,13.38364,-17.7353,5.36,0.987,,63,Vir,
+72131,,14.75481,-62.8756,5.36,0.308,,,,
+75439,136933,15.41250,-39.7103,5.36,-0.093,υ,,Lup,
+76628,139446,15.64849,-19.3019,5.36,0.883,,41,Lib,
+84821,,17.33607,25.5376,5.36,0.063,,,,
+89605,167128,18.28543,-56.0234,5.36,-0.050,,,Tel,
+92989,175362,18.94458,-37.3432,5.36,-0.147,,,CrA,
+102599,,20.79263,80.5523,5.36,1.144,,,,
+110109,211415,22.30434,-53.6271,5.36,0.614,,,,
+116889,222547,23.69291,-18.0271,5.36,1.580,A1,103,Aqr,
+8230,,1.76646,-5.7333,5.37,1.517,,,,
+23482,32743,5.04686,-49.1514,5.37,0.421,η1,,Pic,
+26248,36819,5.59087,24.0396,5.37,-0.092,,121,Tau,
+28949,,6.11076,-4.1938,5.37,-0.122,,,,
+29730,42633,6.26126,59.9990,5.37,1.339,,40,Cam,
+30565,46116,6.42462,-69.6903,5.37,0.971,π2,,Dor,
+35848,,7.39139,-27.8343,5.37,1.539,,,,
+35987,58187,7.41616,11.6695,5.37,0.105,,1,CMi,
+39117,,8.00326,73.9179,5.37,1.424,,,,
+49081,86728,10.01685,31.9237,5.37,0.676,,20,LMi,
+54746,,11.20918,-49.1010,5.37,0.175,,,,
+60978,108844,12.49926,58.4057,5.37,0.205,,74,UMa,
+63432,113092,12.99863,66.5973,5.37,1.282,,9,Dra,
+73223,131109,14.96472,-76.6627,5.37,1.442,,,Aps,
+79804,147232,16.28759,59.7550,5.37,1.551,,,Dra,
+80337,147513,16.40036,-39.1930,5.37,0.625,,,,
+88380,164584,18.04753,-24.2825,5.37,0.495,,7,Sgr,
+90763,,18.51801,-32.9891,5.37,0.182,,,,
+92111,173460,18.77239,-22.3922,5.37,1.591,,28,Sgr,
+92112,175286,18.77284,75.4340,5.37,0.049,,50,Dra,
+109404,,22.16547,-34.0150,5.37,0.241,,,,
+109592,,22.20056,60.7591,5.37,1.184,,,,
+110298,211924,22.34099,5.7895,5.37,-0.037,,30,Peg,
+113957,217902,23.07767,-53.9649,5.37,1.453,κ,,Gru,
+1645,1635,0.34329,8.1903,5.38,1.343,d,41,Psc,
+1960,2011,0.41319,61.8311,5.38,0.008,,12,Cas,
+2568,2910,0.54319,20.2943,5.38,1.069,,52,Psc,
+3330,4089,0.70788,-65.4680,5.38,0.515,ρ,,Tuc,
+12086,16058,2.59633,34.6876,5.38,1.652,,15,Tri,
+18859,25457,4.04354,-0.2689,5.38,0.516,,,,
+20264,,4.34417,-20.6396,5.38,-0.027,,,,
+20430,27638,4.37637,25.6293,5.38,-0.041,χ,59,Tau,
+21670,,4.65171,7.8710,5.38,0.257,,,,
+24799,34452,5.31667,33.7484,5.38,-0.167,,,Aur,
+35589,,7.34411,-52.0859,5.38,-0.069,,,,
+38722,64648,7.92775,19.8840,5.38,-0.035,,85,Gem,
+45571,80671,9.28812,-68.6896,5.38,0.415,,,,
+46404,81809,9.46299,-6.0712,5.38,0.642,,,,
+60379,,12.38040,-57.6761,5.38,-0.098,,,,
+60781,108396,12.45801,-58.9918,5.38,1.543,,,Cru,
+62572,,12.82046,83.4129,5.38,0.033,,,,
+66849,,13.70030,-58.7871,5.38,-0.029,,,,
+70931,,14.50582,-49.5190,5.38,0.056,,,,
+73095,131562,14.93813,-52.8095,5.38,0.142,c,,Lup,
+75178,136849,15.36349,32.9337,5.38,-0.051,,50,Boo,
+77858,,15.89831,-24.5332,5.38,-0.011,,,,
+84862,157214,17.34433,32.4677,5.38,0.619,w,72,Her,
+90642,170474,18.49471,-1.9853,5.38,0.961,c,60,Ser,
+91013,,18.56575,52.3535,5.38,1.091,,,,
+91217,,18.60773,9.1225,5.38,0.387,,,,
+92202,173819,18.79137,-5.7051,5.38,1.280,,,Sct,
+94712,,19.27271,-45.4660,5.38,1.349,,,,
+97650,187532,19.84633,-10.7635,5.38,0.402,,51,Aql,
+99031,191026,20.10605,35.9725,5.38,0.850,b1,27,Cyg,
+100965,196787,20.47072,81.4227,5.38,1.010,,75,Dra,
+103732,200310,21.01970,46.1558,5.38,-0.206,,60,Cyg,
+105665,203638,21.40267,-20.8519,5.38,1.176,,33,Cap,
+109521,,22.18608,50.8234,5.38,0.152,,,,
+4890,,1.04700,-46.3973,5.39,0.900,,,,
+13202,17729,2.83172,-27.9420,5.39,0.013,γ2,,For,
+18396,,3.93283,47.8714,5.39,-0.073,,,,
+19513,26322,4.18052,26.4810,5.39,0.352,p,44,Tau,
+22044,,4.74051,11.1461,5.39,0.251,,,,
+23221,32008,4.99735,-10.2633,5.39,0.797,,63,Eri,
+29850,43525,6.28517,9.9424,5.39,0.106,l,75,Ori,
+32494,,6.78130,-51.2657,5.39,1.330,,,,
+32677,,6.81604,-15.1447,5.39,-0.096,,,,
+39538,,8.07974,79.4796,5.39,-0.040,,,,
+46735,82198,9.52567,35.1033,5.39,1.543,,8,LMi,
+55650,99055,11.40065,1.4078,5.39,0.938,,79,Leo,
+56391,,11.56033,-40.5866,5.39,0.117,,,,
+71500,128266,14.62227,-46.1334,5.39,0.927,a,,Lup,
+71618,129002,14.64729,44.4045,5.39,0.030,,33,Boo,
+77227,140873,15.76823,-1.8042,5.39,-0.035,A2,25,Ser,
+78459,143761,16.01741,33.3035,5.39,0.612,ρ,15,CrB,
+79195,,16.16403,-3.4667,5.39,1.446,,,,
+82764,,16.91533,20.9585,5.39,0.966,,,,
+84979,156190,17.36830,-70.1232,5.39,-0.042,ι,,Aps,
+89851,,18.33577,-15.8317,5.39,1.473,,,,
+93299,177003,19.00380,50.5335,5.39,-0.182,,,Dra,
+96302,184759,19.58081,29.4630,5.39,0.581,,9,Cyg,
+97534,,19.82369,-72.5034,5.39,0.234,,,,
+101483,195943,20.56585,13.0273,5.39,0.093,η,3,Del,
+105966,204414,21.46113,27.6086,5.39,0.049,,35,Vul,
+114389,218700,23.16707,9.8221,5.39,-0.068,,58,Peg,
+4914,6203,1.05071,-4.8366,5.40,1.106,,25,Cet,
+12653,17051,2.70929,-50.8003,5.40,0.561,ι,,Hor,
+17854,,3.82048,70.8710,5.40,0.096,,,,
+20376,,4.36323,60.7356,5.40,1.497,,,,
+21036,28556,4.51038,13.7244,5.40,0.263,,83,Tau,
+25499,35671,5.45281,17.9622,5.40,-0.090,,115,Tau,
+26536,37269,5.64391,30.4924,5.40,0.450,,26,Aur,
+31579,,6.60912,38.4455,5.40,2.773,,,,
+35795,58155,7.38353,-31.9238,5.40,-0.161,,,CMa,
+43721,75959,8.90409,30.5791,5.40,1.050,,57,Cnc,
+46454,81858,9.47428,9.0568,5.40,0.605,ω,2,Leo,
+46471,81688,9.47777,45.6015,5.40,0.993,,41,Lyn,Intercrus
+47080,82885,9.59431,35.8101,5.40,0.770,,11,LMi,
+54849,97585,11.22932,-0.0695,5.40,-0.020,p5,69,Leo,
+65728,,13.47419,59.9458,5.40,-0.010,,,,
+70602,126661,14.44093,19.2269,5.40,0.231,f,22,Boo,
+76013,137387,15.52523,-73.3896,5.40,-0.146,κ1,,Aps,
+80214,147767,16.37478,33.7035,5.40,1.523,ν2,21,CrB,
+80399,,16.41105,-29.7047,5.40,0.625,,,,
+91989,,18.74921,-39.6862,5.40,0.850,,,,
+93526,176984,19.04847,-3.6990,5.40,-0.005,g,14,Aql,
+93713,178207,19.08199,53.3967,5.40,-0.014,,51,Dra,
+93717,177463,19.08269,-4.0314,5.40,1.120,h,15,Aql,
+98962,191277,20.09247,61.9954,5.40,1.191,,66,Dra,
+105143,202671,21.29925,-17.9851,5.40,-0.118,,30,Cap,
+930,720,0.19289,-27.7997,5.41,1.346,κ2,,Scl,
+3544,,0.75477,55.2214,5.41,0.022,,,,
+7450,9856,1.59971,-15.4002,5.41,1.226,,50,Cet,
+32912,51557,6.85749,-70.9634,5.41,-0.110,ι,,Vol,
+34301,53974,7.11133,-11.2940,5.41,0.033,,,CMa,
+35855,,7.39219,-32.2021,5.41,-0.169,,,,
+36363,59635,7.48491,-38.8121,5.41,-0.148,y,,Pup,
+37450,,7.68773,-38.5335,5.41,-0.130,,,,
+61621,,12.62841,-27.1389,5.41,0.334,,,,
+67288,120052,13.79039,-17.8598,5.41,1.623,,87,Vir,
+69989,125451,14.32119,13.0043,5.41,0.385,,18,Boo,
+77060,140417,15.73455,-15.6728,5.41,0.238,η,44,Lib,
+77859,142184,15.89885,-23.9781,5.41,-0.033,,,Sco,
+80693,,16.47611,0.6650,5.41,1.461,,,,
+83838,155103,17.13391,35.9352,5.41,0.309,c,,Her,
+85537,,17.48046,0.3306,5.41,0.237,,,,
+89772,,18.31931,7.2598,5.41,1.084,,,,
+90023,,18.36909,23.2852,5.41,1.633,,,,
+91235,,18.61037,33.4690,5.41,-0.101,,,,
+96693,185872,19.65736,42.8183,5.41,-0.063,,14,Cyg,
+97646,,19.84578,-59.1937,5.41,0.082,,,,
+102177,197511,20.70351,50.3400,5.41,-0.107,,51,Cyg,
+102773,197635,20.82171,-68.7765,5.41,1.122,σ,,Pav,
+104750,201901,21.22148,-27.6193,5.41,1.425,,3,PsA,
+761,493,0.15585,-27.9879,5.42,0.414,κ1,,Scl,
+2240,,0.47403,-39.9150,5.42,1.556,,,,
+3721,4382,0.79613,74.8476,5.42,-0.066,,23,Cas,
+5951,7672,1.27675,-2.5004,5.42,0.888,,39,Cet,
+6592,,1.41133,-41.4925,5.42,1.030,,,,
+8814,11428,1.88815,40.7298,5.42,1.311,,55,And,
+9589,12573,2.05323,0.1285,5.42,0.146,,60,Cet,
+11046,14690,2.37011,-0.8849,5.42,0.335,,70,Cet,
+20776,,4.45082,80.8242,5.42,1.179,,,,
+31299,,6.56375,-36.2320,5.42,1.419,,,,
+32311,48450,6.74596,28.9709,5.42,1.445,,28,Gem,
+36778,60606,7.56418,-36.3384,5.42,-0.078,z,,Pup,
+41817,,8.52525,-19.5775,5.42,-0.061,,,,
+44818,78235,9.13335,29.6542,5.42,0.888,τ,72,Cnc,
+50333,89056,10.27798,13.7283,5.42,1.650,,37,Leo,
+57512,102461,11.78865,-57.6965,5.42,1.664,,,Cen,
+61309,,12.56081,33.2476,5.42,1.011,,,,
+62223,110914,12.75217,45.4403,5.42,2.994,,,CVn,La Superba
+70794,126927,14.47825,-6.9005,5.42,1.490,,106,Vir,
+80390,,16.40882,-37.5660,5.42,-0.104,,,,
+91494,171967,18.65977,-43.1859,5.42,1.654,,,CrA,
+101800,196544,20.63031,11.3777,5.42,0.050,ι,5,Del,
+105972,204770,21.46282,66.8091,5.42,-0.099,,7,Cep,
+114273,218527,23.14470,2.1279,5.42,0.908,A,5,Psc,
+9326,12255,1.99617,-20.8245,5.43,1.640,,57,Cet,
+9372,12292,2.00745,-8.5239,5.43,1.391,,,Cet,
+11029,,2.36709,-10.7775,5.43,0.364,,,,
+12768,16901,2.73477,44.2970,5.43,0.904,,14,Per,
+23983,33254,5.15545,9.8296,5.43,0.249,h,16,Ori,
+25769,35583,5.50283,63.0672,5.43,1.704,,17,Cam,
+31121,,6.53057,-8.1582,5.43,1.373,,,,
+43082,75149,8.77515,-45.9125,5.43,0.238,,,Vel,
+43908,79837,8.94472,-85.6632,5.43,0.306,ζ,,Oct,
+47956,85396,9.77240,-76.7761,5.43,0.901,ν,,Cha,
+51585,91232,10.53661,14.1373,5.43,1.696,,46,Leo,
+54173,,11.08172,-35.8047,5.43,0.021,,,,
+54477,,11.14555,-28.0807,5.43,0.069,,,,
+62423,111335,12.79287,66.7903,5.43,1.567,,7,Dra,Tianyi
+74941,,15.31365,-60.4963,5.43,-0.089,,,,
+76618,,15.64707,-52.3727,5.43,0.005,,,,
+78012,142908,15.92989,37.9470,5.43,0.352,λ,12,CrB,
+78246,142990,15.97635,-24.8315,5.43,-0.092,,,Sco,
+79387,145607,16.20203,-8.5476,5.43,0.118,,16,Sco,
+83962,,17.16332,-10.5233,5.43,0.465,,,,
+87728,164613,17.91977,72.0051,5.43,0.340,,34,Dra,
+91237,,18.61085,6.6718,5.43,0.386,,,,
+92614,174933,18.87123,21.4251,5.43,-0.068,,112,Her,
+108661,209014,22.01395,-28.4537,5.43,-0.095,η,12,PsA,
+109472,210424,22.17708,-11.5649,5.43,-0.117,e,38,Aqr,
+112731,,22.82953,55.9028,5.43,1.167,,,,
+112832,,22.85060,-39.1568,5.43,1.444,,,,
+113521,217264,22.99096,0.9629,5.43,0.982,,2,Psc,
+117447,223385,23.81393,62.2145,5.43,0.670,,6,Cas,
+4510,5575,0.96393,28.9922,5.44,1.076,h,68,Psc,
+13782,18454,2.95660,-23.8622,5.44,0.238,,4,Eri,
+15547,,3.33882,77.7347,5.44,0.211,,,,
+17776,,3.80578,23.4212,5.44,-0.067,,,,
+19483,26409,4.17292,-6.9239,5.44,0.941,,37,Eri,
+24254,32650,5.20624,73.9467,5.44,-0.108,,,Cam,
+24829,35072,5.32281,-50.6060,5.44,0.517,ζ,,Pic,
+26649,,5.66385,-32.6292,5.44,0.913,,,,
+29736,43247,6.26249,12.5511,5.44,0.015,,73,Ori,
+32439,46588,6.77060,79.5648,5.44,0.525,,,,
+33184,,6.90685,-1.1270,5.44,0.167,,,,
+34724,55057,7.18989,-0.3019,5.44,0.310,,21,Mon,
+38497,,7.88431,-36.3638,5.44,1.161,,,,
+43851,76351,8.93210,11.6260,5.44,1.462,,60,Cnc,
+43932,76398,8.94905,32.9104,5.44,0.181,σ2,59,Cnc,
+47204,,9.62018,-53.6685,5.44,0.137,,,,
+52737,93397,10.78113,-17.2969,5.44,0.112,b1,,Hya,
+58379,,11.97089,-56.3173,5.44,-0.062,,,,
+64094,113904,13.13532,-65.3060,5.44,-0.033,θ,,Mus,
+76397,,15.60336,-44.3968,5.44,1.497,,,,
+78893,,16.10547,67.8101,5.44,-0.019,,,,
+79963,146667,16.32157,-42.6740,5.44,0.099,λ,,Nor,
+87847,,17.94659,-4.0818,5.44,1.162,,,,
+90414,,18.44834,-48.1172,5.44,0.855,,,,
+99631,192107,20.22052,-1.0093,5.44,1.430,,66,Aql,
+101243,195774,20.52189,49.2203,5.44,1.566,ω2,46,Cyg,Ruchba
+113996,218060,23.08605,-7.6938,5.44,0.312,h,83,Aqr,
+115152,219945,23.32495,48.6253,5.44,1.014,,11,And,
+2942,,0.62256,35.3995,5.45,0.886,,,,
+3083,,0.65275,49.3546,5.45,1.644,,,,
+4293,5457,0.91675,-69.5271,5.45,1.095,λ2,,Tuc,
+12332,16432,2.64694,21.9614,5.45,0.168,ν,32,Ari,
+14376,19134,3.09075,25.2552,5.45,-0.031,,52,Ari,
+17489,23288,3.74673,24.2895,5.45,-0.034,,16,Tau,Celaeno
+18975,,4.06573,8.1973,5.45,0.371,,,,
+19398,,4.15495,-16.3859,5.45,-0.147,,,,
+19805,,4.24682,-62.1918,5.45,1.106,,,,
+21735,29589,4.66761,12.1976,5.45,-0.121,,93,Tau,
+25993,,5.54761,-38.5134,5.45,1.224,,,,
+33384,54239,6.94291,-79.4202,5.45,0.041,θ,,Men,
+33478,,6.95942,-24.6308,5.45,0.390,,,,
+36616,,7.53011,17.0860,5.45,1.126,,,,
+41323,,8.43109,-42.1531,5.45,-0.142,,,,
+42286,,8.62190,-62.8535,5.45,1.013,,,,
+42459,74071,8.65662,-53.4398,5.45,-0.132,,,Vel,
+44405,77350,9.04563,24.4529,5.45,-0.041,ν,69,Cnc,
+46594,,9.50142,-51.5172,5.45,-0.078,,,,
+53273,94402,10.89547,-2.1292,5.45,0.966,p1,,Leo,
+59394,105850,12.18440,-23.6024,5.45,0.055,,3,Crv,
+60855,108541,12.47291,-39.0412,5.45,-0.073,u,,Cen,
+63031,111482,12.91633,-85.1234,5.45,0.991,ι,,Oct,
+73624,,15.04980,-32.6433,5.45,-0.127,,,,
+74305,,15.18777,-55.3460,5.45,1.118,,,,
+77902,142574,15.90961,20.3110,5.45,1.588,,,Ser,
+79754,146003,16.27869,-53.8111,5.45,1.696,,,Nor,
+89507,,18.26485,-44.2065,5.45,0.962,,,,
+95503,182416,19.42491,-23.9625,5.45,1.442,χ3,49,Sgr,
+96556,185124,19.62981,-4.6476,5.45,0.429,,42,Aql,
+104382,177482,21.14635,-88.9565,5.45,0.283,σ,,Oct,Polaris Australis
+108294,,21.93966,-37.2537,5.45,0.084,,,,
+109789,210934,22.23854,-27.7669,5.45,-0.121,λ,16,PsA,
+111056,213798,22.49805,78.8243,5.45,0.093,ρ,29,Cep,Al Kalb al Rai
+113357,217014,22.95777,20.7688,5.45,0.666,,51,Peg,Helvetios
+4288,5286,0.91614,23.6283,5.46,1.012,,36,And,
+19009,25555,4.07269,24.1060,5.46,0.813,,36,Tau,
+20156,,4.32035,50.0487,5.46,0.235,,,,
+21685,,4.65547,-14.3592,5.46,1.054,,,,
+24902,,5.33741,41.0862,5.46,0.122,,,,
+25768,,5.50263,-47.0777,5.46,0.615,,,,
+25861,36351,5.52071,3.2921,5.46,-0.176,n1,33,Ori,
+27196,38104,5.76501,49.8263,5.46,0.030,ο,27,Aur,
+27566,40953,5.83799,-79.3614,5.46,-0.076,κ,,Men,
+28943,,6.10891,-23.1108,5.46,0.064,,,,
+34624,,7.17203,-27.4915,5.46,0.998,,,,
+34912,54895,7.22317,51.4287,5.46,1.640,,,Lyn,
+35180,56405,7.27071,-15.5857,5.46,0.079,,,,
+42637,75416,8.68875,-78.9634,5.46,-0.101,η,,Cha,
+46358,,9.45175,-71.6019,5.46,1.079,,,,
+46741,83095,9.52674,-73.0809,5.46,1.556,H,,Car,
+52595,93779,10.75453,-80.4696,5.46,0.957,δ1,,Cha,
+56290,100203,11.53909,61.0825,5.46,0.515,,,,
+56700,101067,11.62611,-47.7473,5.46,1.230,C3,,Cen,
+62131,,12.73348,-28.3240,5.46,1.346,,,,
+63066,,12.92207,-42.9157,5.46,1.668,,,,
+66634,119024,13.65846,52.9212,5.46,0.113,,82,UMa,
+67304,,13.79404,-50.3207,5.46,1.351,,,,
+68940,123255,14.11189,-9.3135,5.46,0.347,,95,Vir,
+75572,,15.43816,34.3360,5.46,1.410,,,,
+75647,,15.45503,-36.7676,5.46,-0.150,,,,
+79488,145892,16.22095,5.0211,5.46,1.472,,9,Her,
+81305,149404,16.60627,-42.8589,5.46,0.338,,,Sco,
+82676,,16.90051,-41.8064,5.46,0.176,,,,
+92308,173715,18.81403,-43.6800,5.46,0.133,η1,,CrA,
+92831,,18.91449,41.6027,5.46,1.034,,,,
+94827,180968,19.29545,23.0255,5.46,0.020,,2,Vul,
+95073,181440,19.34325,-0.8922,5.46,-0.041,d,27,Aql,
+95865,183275,19.49783,-26.9856,5.46,1.120,,,,
+96536,184985,19.62623,-14.3018,5.46,0.501,,,,
+98194,,19.95385,40.3678,5.46,-0.090,,,,
+106787,205852,21.62929,19.3186,5.46,0.321,,5,Peg,
+4104,,0.87795,-24.0058,5.47,1.275,,,,
+13965,,2.99717,47.2207,5.47,0.869,,,,
+16470,21699,3.53572,48.0235,5.47,-0.101,,,Per,
+20982,,4.50010,83.3404,5.47,0.855,,,,
+21039,28546,4.51080,15.6919,5.47,0.258,,81,Tau,
+22626,,4.86811,63.5054,5.47,1.559,,,,
+22871,32440,4.91978,-74.9369,5.47,1.518,η,,Men,
+25695,35943,5.48792,25.1502,5.47,-0.042,,118,Tau,
+27338,38558,5.79061,17.7291,5.47,0.301,,130,Tau,
+34440,54131,7.13945,15.9307,5.47,1.020,,45,Gem,
+38639,64144,7.91186,47.5646,5.47,1.462,,26,Lyn,
+42080,72037,8.57670,65.1452,5.47,0.207,A,2,UMa,
+43325,75630,8.82755,-40.3202,5.47,0.066,h,,Vel,
+44961,78732,9.15988,-8.7876,5.47,1.002,,20,Hya,
+52004,92207,10.62419,-58.7333,5.47,0.500,,,Car,
+53781,,11.00409,45.5263,5.47,1.466,,,,
+60044,,12.31389,75.1606,5.47,0.054,,,,
+60941,108722,12.49085,24.1089,5.47,0.445,,18,Com,
+61071,108945,12.51682,24.5672,5.47,0.056,,21,Com,Kissin
+65112,115823,13.34384,-52.7478,5.47,-0.125,,,Cen,
+68581,,14.03966,-27.4298,5.47,1.331,,,,
+72582,,14.84157,37.2720,5.47,1.030,,,,
+78400,143333,16.00544,-16.5334,5.47,0.517,,49,Lib,
+84720,156274,17.31773,-46.6362,5.47,0.764,,,372,
+87747,163506,17.92367,26.0500,5.47,0.341,,89,Her,
+89042,165499,18.17393,-62.0022,5.47,0.592,ι,,Pav,
+89290,166596,18.22019,-41.3361,5.47,-0.155,,,CrA,
+90133,167468,18.39346,-75.0443,5.47,0.043,φ,,Oct,
+90913,170975,18.54537,-14.8657,5.47,1.998,,,Sct,
+90923,,18.54721,30.5542,5.47,-0.077,,,,
+102014,,20.67217,-33.4318,5.47,1.118,,,,
+103145,,20.89831,33.4379,5.47,1.522,,,,
+106044,203881,21.47915,-69.5054,5.47,1.553,,,Pav,
+110725,,22.43356,70.7709,5.47,1.216,,,,
+110936,212953,22.47756,-39.1318,5.47,0.959,ν,,Gru,
+11249,14951,2.41363,10.6106,5.48,-0.098,ξ,24,Ari,
+13265,17829,2.84456,-35.6758,5.48,1.259,η3,,For,
+18141,24388,3.87824,-5.3613,5.48,-0.090,,30,Eri,
+24679,,5.29451,-13.5198,5.48,0.932,,,,
+30214,44458,6.35687,-11.7732,5.48,0.002,,,CMa,
+38048,63336,7.79909,-12.1927,5.48,0.478,,5,Pup,
+38593,,7.90306,-35.8773,5.48,-0.175,,,,
+42712,74455,8.70450,-48.0991,5.48,-0.172,,,Vel,
+44613,,9.09003,48.5303,5.48,0.475,,,,
+56802,101198,11.64445,-13.2019,5.48,0.520,ι,24,Crt,
+61318,109309,12.56299,-9.4521,5.48,-0.035,q,21,Vir,
+72664,,14.85735,59.2940,5.48,1.369,,,,
+73133,131918,14.94614,-11.4097,5.48,1.491,ξ2,15,Lib,
+76957,140728,15.71410,52.3609,5.48,-0.042,,,Boo,
+79280,146926,16.18043,75.8776,5.48,-0.093,,19,UMi,
+80008,147365,16.33199,39.7086,5.48,0.410,,,,
+82135,,16.77999,-39.3770,5.48,0.975,,,,
+82402,151956,16.83872,7.2477,5.48,0.108,k,47,Her,
+82960,152820,16.95311,-33.2595,5.48,1.606,,27,Sco,
+102497,,20.77224,-39.1993,5.48,-0.078,,,,
+103094,,20.88849,45.1817,5.48,1.088,,,,
+105668,203705,21.40319,-12.8781,5.48,0.297,,18,Aqr,
+105767,203926,21.42138,-3.5567,5.48,1.451,,21,Aqr,
+3607,,0.76993,-22.5221,5.49,0.978,,,,
+7213,,1.54891,-36.8652,5.49,1.021,,,,
+8240,10934,1.76833,-50.8163,5.49,1.615,,120,Phe,
+14417,,3.10218,79.4185,5.49,1.569,,,,
+15338,20315,3.29649,44.0250,5.49,-0.060,,30,Per,
+18434,,3.94130,35.0809,5.49,-0.058,,,,
+22263,30495,4.79341,-16.9345,5.49,0.632,,58,Eri,
+27517,,5.82682,-14.4837,5.49,0.870,,,,
+29150,,6.14941,-22.4274,5.49,-0.010,,,,
+37901,,7.76727,-6.7725,5.49,1.378,,,,
+42715,74535,8.70527,-53.1001,5.49,-0.127,,,Vel,
+45526,79931,9.27816,-8.7448,5.49,-0.081,,24,Hya,
+46578,,9.49847,-26.5896,5.49,1.345,,,,
+50303,88960,10.27067,29.3105,5.49,0.020,,23,LMi,
+52689,93291,10.77369,14.1946,5.49,0.908,k,52,Leo,
+61136,108968,12.52787,-59.4239,5.49,0.622,,35,Cru,
+61724,110024,12.65203,21.0626,5.49,0.978,,26,Com,
+79672,146233,16.26035,-8.3694,5.49,0.652,,18,Sco,
+88836,,18.13395,36.4013,5.49,1.161,,,,
+89369,167036,18.23775,-21.7132,5.49,1.528,,14,Sgr,
+91004,171115,18.56486,-24.0323,5.49,1.795,,24,Sgr,
+93667,,19.07363,-31.0471,5.49,0.026,,,,
+97063,186185,19.72598,-15.4701,5.49,0.460,,,,
+103401,199345,20.94834,-9.6975,5.49,1.474,,7,Aqr,
+110078,210853,22.29739,-77.5116,5.49,0.312,ψ,,Oct,
+116611,222133,23.63245,18.4007,5.49,0.010,,75,Peg,
+117375,223252,23.79904,-2.7616,5.49,0.941,,20,Psc,
+1647,1685,0.34418,-69.6249,5.50,-0.046,π,,Tuc,
+4852,6178,1.04067,-31.5520,5.50,0.083,σ,,Scl,
+4889,6118,1.04697,31.8043,5.50,-0.043,σ,69,Psc,
+6732,8763,1.44491,19.2404,5.50,1.106,,94,Psc,
+9570,12471,2.04943,33.2841,5.50,0.029,ε,3,Tri,
+15643,,3.35667,-23.6351,5.50,0.885,,,,
+15861,21017,3.40513,24.7241,5.50,1.190,,64,Ari,
+20171,27295,4.32391,21.1423,5.50,-0.069,,53,Tau,
+22958,31512,4.94005,-5.1714,5.50,-0.123,b,62,Eri,
+23900,32990,5.13517,24.2652,5.50,0.030,,103,Tau,
+24450,,5.24557,5.1562,5.50,1.369,,,,
+25950,,5.53726,17.0581,5.50,-0.004,,,,
+29064,42303,6.13135,-42.1540,5.50,0.007,π2,,Col,
+34000,53921,7.05419,-59.1781,5.50,-0.125,,,Car,
+35564,,7.33929,-52.3115,5.50,0.483,,,,
+49005,,9.99769,56.8118,5.50,1.487,,,,
+51821,,10.58690,-39.5626,5.50,3.015,,,,
+52686,93257,10.77349,18.8915,5.50,1.134,m,51,Leo,
+56497,,11.58246,-49.1365,5.50,1.041,,,,
+66435,,13.61972,71.2423,5.50,1.219,,,,
+67172,119853,13.76565,-12.4265,5.50,0.898,,86,Vir,
+76106,,15.54353,-19.6705,5.50,0.197,,,,
+76133,138562,15.54943,-1.1864,5.50,1.092,A1,11,Ser,
+79199,,16.16461,-33.5458,5.50,-0.075,,,,
+81141,,16.57204,-70.9881,5.50,1.235,,,,
+81252,148890,16.59578,-65.4954,5.50,0.949,θ,,TrA,
+89065,,18.17786,3.3243,5.50,1.204,,,,
+97077,186486,19.72859,25.7719,5.50,0.939,,10,Vul,
+100435,193911,20.36762,24.4461,5.50,-0.090,,25,Vul,
+105913,,21.45045,-42.5479,5.50,0.392,,,,
+108543,,21.98831,-38.3951,5.50,0.996,,,,
+115836,219765,23.46772,-87.4822,5.50,1.278,τ,,Oct,
+2802,3302,0.59477,-48.0009,5.51,0.461,λ2,,Phe,
+3675,4482,0.78374,11.9738,5.51,0.987,,58,Psc,
+5346,6763,1.13950,5.6498,5.51,0.334,e,80,Psc,
+6748,8829,1.44766,-13.0565,5.51,0.321,,47,Cet,
+10642,14129,2.28307,-6.4221,5.51,0.962,,67,Cet,
+14131,19400,3.03763,-71.9025,5.51,-0.125,θ,,Hyi,
+15201,21024,3.26602,-77.3885,5.51,0.438,ι,,Hyi,
+19388,26162,4.15277,19.6092,5.51,1.077,,43,Tau,
+20860,26356,4.47035,83.8078,5.51,-0.106,,,Cep,
+23043,,4.95621,17.1537,5.51,1.304,,,,
+29941,,6.30381,-19.9670,5.51,-0.163,,,,
+41451,,8.45465,-70.0935,5.51,-0.024,,,,
+47267,83548,9.63374,-43.1909,5.51,0.985,y,,Vel,
+52221,92664,10.66985,-65.1002,5.51,-0.158,,,Car,
+52422,92769,10.71719,26.3256,5.51,0.160,,40,LMi,
+54029,,11.05413,-11.3035,5.51,0.938,,,,
+59232,105521,12.14850,-41.2316,5.51,-0.097,,,Cen,
+67250,,13.78327,38.5427,5.51,1.036,,,,
+70915,,14.50240,-45.3214,5.51,-0.087,,,,
+73193,132132,14.95923,-0.1676,5.51,1.131,M,1,Ser,
+75049,136512,15.33571,29.6162,5.51,1.015,ο,1,CrB,
+82480,152127,16.85693,1.2159,5.51,0.055,,21,Oph,
+84835,157325,17.33920,46.2408,5.51,1.586,,74,Her,
+87308,,17.83969,29.3221,5.51,1.071,,,,
+92549,175225,18.85971,52.9751,5.51,0.843,,,,
+92630,,18.87423,-46.5951,5.51,1.641,,,,
+93225,,18.98995,-12.8405,5.51,-0.038,,,,
+93340,177249,19.01207,55.6583,5.51,0.862,,49,Dra,
+94437,,19.22098,-12.2826,5.51,1.442,,,,
+97260,,19.76701,-31.9086,5.51,0.024,,,,
+98325,,19.97722,30.9837,5.51,-0.060,,,,
+98823,190327,20.06897,7.2780,5.51,1.063,τ,63,Aql,
+99404,191747,20.17598,26.9042,5.51,0.087,,18,Vul,
+99518,192004,20.19666,26.8090,5.51,1.397,,19,Vul,
+103527,199665,20.97387,10.8393,5.51,0.934,,18,Del,Musica
+105259,203338,21.32103,58.6235,5.51,1.114,,,Cep,
+107235,,21.71847,41.1550,5.51,1.615,,,,
+111062,213235,22.49943,4.4317,5.51,0.385,,37,Peg,
+113532,217236,22.99327,-29.4623,5.51,0.271,,,PsA,
+7978,10647,1.70814,-53.7408,5.52,0.551,q1,,Eri,
+13327,17769,2.85822,15.0821,5.52,-0.099,σ,43,Ari,
+17738,23940,3.79890,-30.1679,5.52,0.973,ρ,,For,
+19335,25998,4.14351,38.0397,5.52,0.520,,50,Per,
+22854,30958,4.91753,55.2591,5.52,0.015,,5,Cam,
+24555,34203,5.26781,11.3414,5.52,-0.012,,18,Ori,
+25555,35770,5.46267,15.8741,5.52,0.015,,116,Tau,
+28098,40248,5.93915,-31.3824,5.52,0.382,σ,,Col,
+31583,,6.60981,-5.2111,5.52,-0.082,,,,
+39360,66624,8.04577,-41.3098,5.52,-0.152,,,Pup,
+39566,,8.08437,-53.1079,5.52,1.347,,,,
+40282,69194,8.22618,-50.1961,5.52,1.651,,16,Vel,
+41152,,8.39681,53.2197,5.52,0.125,,,,
+41395,,8.44499,-12.5346,5.52,1.167,,,,
+50456,89353,10.30211,-28.9920,5.52,0.277,,,Ant,
+50935,90040,10.40239,33.7185,5.52,1.186,,28,LMi,
+51384,,10.49485,84.2520,5.52,0.244,,,,
+54336,96436,11.11506,1.9555,5.52,0.955,p4,65,Leo,
+60170,,12.33880,26.6195,5.52,1.091,,,,
+66091,117789,13.54768,-15.3630,5.52,1.228,,75,Vir,
+73497,,15.02217,-2.7549,5.52,1.692,,,,
+73634,,15.05168,35.2058,5.52,1.023,,,,
+74732,,15.27306,-22.3994,5.52,1.357,,,,
+85385,,17.44698,20.0810,5.52,-0.119,,,,
+88816,,18.13009,-17.1542,5.52,1.132,,,,
+90124,,18.39134,-36.2380,5.52,1.015,,,,
+94789,,19.28673,-66.6610,5.52,0.170,,,,
+102916,,20.85021,-37.9133,5.52,1.380,,,,
+107835,207241,21.84644,-69.6294,5.52,1.378,ο,,Ind,
+107975,207978,21.87498,28.7935,5.52,0.426,,15,Peg,
+109474,,22.17744,70.1326,5.52,0.391,,,,
+110817,213087,22.45147,65.1323,5.52,0.302,,26,Cep,
+112381,,22.76133,-46.5473,5.52,1.302,,,,
+107,,0.02225,-50.3374,5.53,1.615,,,,
+8704,11241,1.86648,55.1474,5.53,-0.175,,1,Per,
+12107,16212,2.60001,-7.8316,5.53,1.607,,80,Cet,
+15330,20766,3.29615,-62.5753,5.53,0.641,ζ1,,Ret,
+17167,22920,3.67731,-5.2107,5.53,-0.145,,22,Eri,
+20789,28149,4.45485,22.9963,5.53,-0.098,,72,Tau,
+20884,28375,4.47559,1.3808,5.53,-0.099,,44,Eri,
+21949,30612,4.71777,-70.9310,5.53,-0.114,μ,,Men,
+22028,,4.73555,-18.6666,5.53,0.025,,,,
+25853,36473,5.51879,-20.8637,5.53,0.012,,10,Lep,
+26382,37147,5.61771,17.0403,5.53,0.237,,122,Tau,
+30651,44691,6.44051,56.2851,5.53,0.238,,,Lyn,
+40035,68146,8.17773,-13.7992,5.53,0.488,,18,Pup,
+49065,87971,10.01217,-82.2147,5.53,0.035,μ,,Cha,
+58159,103578,11.92793,15.6468,5.53,0.116,o,95,Leo,
+63950,113866,13.10628,22.6162,5.53,1.461,,40,Com,
+67819,120987,13.89243,-35.6642,5.53,0.444,y,,Cen,
+69462,,14.22123,-53.6657,5.53,1.438,,,,
+69536,124570,14.23477,12.9594,5.53,0.537,,14,Boo,
+69658,,14.25669,-18.2007,5.53,0.001,,,,
+76126,138485,15.54867,-16.8528,5.53,-0.148,ζ,35,Lib,
+77464,141378,15.81578,-3.8185,5.53,0.120,,30,Ser,
+78436,143459,16.01323,-8.4114,5.53,0.043,,50,Lib,
+79980,,16.32576,-30.9067,5.53,0.466,,,,
+80460,148283,16.42338,37.3941,5.53,0.174,,25,Her,
+81290,150100,16.60317,52.9000,5.53,-0.060,,16,Dra,
+83057,,16.97165,-50.6412,5.53,0.016,,,,
+84551,,17.28435,-32.6628,5.53,0.514,,,,
+86698,,17.71419,-36.9456,5.53,1.553,,,,
+89020,,18.16828,-30.7287,5.53,0.979,,,,
+93843,,19.11048,28.6286,5.53,0.296,,,,
+94982,181333,19.32760,12.3747,5.53,0.265,A,28,Aql,
+102066,197177,20.68404,32.3073,5.53,0.871,,49,Cyg,
+103981,200496,21.06798,-5.8231,5.53,0.683,,12,Aqr,
+106227,,21.51647,60.4594,5.53,0.102,,,,
+107586,207528,21.79036,60.6927,5.53,1.575,,12,Cep,
+109745,,22.23035,45.4406,5.53,0.021,,,,
+110529,212271,22.39190,-24.7627,5.53,0.979,,49,Aqr,
+113148,216640,22.91263,-16.2720,5.53,1.111,,77,Aqr,
+113969,,23.08117,-68.8202,5.53,0.395,,,,
+115713,220729,23.44349,-52.7216,5.53,0.409,ο,,Gru,
+813,560,0.16728,11.1458,5.54,-0.064,,34,Psc,
+7535,9919,1.61831,12.1415,5.54,0.347,π,102,Psc,
+25143,,5.38064,41.0293,5.54,0.127,,,,
+27581,39019,5.84136,14.3056,5.54,1.006,,135,Tau,
+28524,,6.02119,-33.9118,5.54,1.580,,,,
+29263,42682,6.16955,-40.3538,5.54,1.665,,,Col,
+29842,,6.28367,-37.7374,5.54,1.129,,,,
+32609,,6.80341,55.7042,5.54,,,,,
+35136,55575,7.26393,47.2400,5.54,0.576,,,,
+36039,60816,7.42725,-79.0942,5.54,1.281,ε,,Men,
+45219,,9.21545,-59.4139,5.54,0.846,,,,
+56146,100006,11.50807,18.4098,5.54,1.056,,86,Leo,
+57013,,11.68883,-43.0957,5.54,0.044,,,,
+58576,104304,12.01235,-10.4460,5.54,0.760,,,,
+60212,107465,12.34747,57.8641,5.54,1.452,,70,UMa,
+75127,,15.35211,-5.8249,5.54,1.047,,,,
+77390,,15.79807,-65.4423,5.54,0.231,,,,
+78132,142980,15.95405,14.4145,5.54,1.141,φ,,Ser,
+84183,,17.20905,62.8743,5.54,0.216,,,,
+86019,,17.57954,-11.2420,5.54,0.013,,,,
+86623,,17.69962,15.9524,5.54,0.387,,,,
+97765,,19.86711,24.9922,5.54,0.680,,,,
+98234,189090,19.96263,16.7892,5.54,-0.048,,11,Sge,
+103298,199254,20.92738,12.5686,5.54,0.131,,16,Del,
+103598,,20.99039,59.4386,5.54,1.411,,,,
+108339,208565,21.94899,12.0765,5.54,0.054,,17,Peg,
+115054,219693,23.30275,-40.8244,5.54,0.445,φ,,Gru,
+476,87,0.09499,13.3963,5.55,0.901,,86,Peg,
+2661,,0.56140,-29.5583,5.55,1.262,,,,
+3885,4757,0.83143,27.7103,5.55,0.398,i,65,Psc,
+5132,6457,1.09492,21.4654,5.55,-0.048,ψ1,74,Psc,
+7617,,1.63543,57.9776,5.55,1.388,,,,
+11432,15176,2.45771,31.8013,5.55,1.114,,11,Tri,
+14915,19926,3.20733,6.6609,5.55,1.011,,,Cet,
+15696,20825,3.36997,27.6076,5.55,1.100,,62,Ari,
+17103,22796,3.66420,3.0569,5.55,0.931,,12,Tau,
+17203,,3.68551,37.5802,5.55,-0.062,,,,
+20234,27192,4.33653,50.9209,5.55,-0.031,b2,,Per,
+24738,34269,5.30436,42.7921,5.55,1.492,,,Aur,
+27955,,5.91458,-39.9579,5.55,1.515,,,,
+30143,,6.34340,-34.1441,5.55,-0.182,,,,
+30720,45433,6.45433,-0.2760,5.55,1.376,,78,Ori,
+30728,,6.45568,2.9083,5.55,1.035,,,,
+34267,,7.10322,34.4740,5.55,0.909,,,,
+36258,,7.46643,-29.1559,5.55,-0.048,,,,
+37521,61913,7.70089,14.2085,5.55,1.642,,,Gem,
+40793,,8.32563,75.7569,5.55,0.902,,,,
+43496,75737,8.85956,-7.1772,5.55,0.150,,15,Hya,
+52136,,10.65157,53.6683,5.55,1.270,,,,
+55657,,11.40309,-72.2566,5.55,0.017,,,,
+62608,,12.82916,-71.9863,5.55,1.154,,,,
+67057,119605,13.74162,-16.1791,5.55,0.805,,83,Vir,
+70054,,14.33603,-43.0588,5.55,0.907,,,,
+71419,,14.60529,-46.2455,5.55,1.489,,,,
+71837,129336,14.69542,11.6607,5.55,0.941,,32,Boo,
+80480,,16.42866,78.9639,5.55,0.249,,,,
+81754,,16.69825,-19.9244,5.55,0.436,,,,
+82171,,16.78879,-58.3414,5.55,-0.096,,,,
+84949,157482,17.36211,39.9746,5.55,0.667,,,Her,
+96014,,19.52203,50.3067,5.55,1.274,,,,
+103005,198667,20.86908,-5.5071,5.55,-0.076,,5,Aqr,
+103519,,20.97207,44.4717,5.55,0.973,,,,
+104177,200702,21.10709,-41.3860,5.55,1.350,η,,Mic,
+108772,209481,22.03461,58.0004,5.55,0.017,,14,Cep,
+108868,209396,22.05457,-6.5224,5.55,0.959,,30,Aqr,
+110778,212697,22.44285,-16.7421,5.55,0.618,f,53,Aqr,
+113669,,23.02205,-28.8540,5.55,1.349,,,,
+114831,219586,23.26048,70.8881,5.55,0.263,,,Cep,
+116354,221756,23.57709,40.2364,5.55,0.096,,15,And,
+117299,,23.78387,57.4514,5.55,1.630,,,,
+4440,,0.94638,60.3628,5.56,-0.054,,,,
+5310,6695,1.13255,20.7391,5.56,0.121,ψ2,79,Psc,
+5566,,1.19043,64.2027,5.56,-0.052,,,,
+13951,18633,2.99477,-2.4650,5.56,-0.072,,5,Eri,
+16780,,3.59935,-11.1938,5.56,0.915,,,,
+17506,23413,3.74903,-0.2967,5.56,1.411,,25,Eri,
+21743,,4.66855,-24.4824,5.56,0.926,,,,
+25608,,5.47093,-37.2308,5.56,0.026,,,,
+29205,,6.15959,-14.5846,5.56,1.150,,,,
+30321,45669,6.37730,-69.9840,5.56,1.510,π1,,Dor,
+34065,53705,7.06592,-43.6080,5.56,0.624,,,,
+41400,71250,8.44554,12.6546,5.56,1.608,,27,Cnc,
+42535,,8.67152,-53.0154,5.56,-0.125,,,,
+44299,77475,9.02246,-41.8643,5.56,-0.135,,,Vel,
+45189,79416,9.20848,-43.6133,5.56,-0.107,,,Vel,
+45924,,9.36416,-42.1949,5.56,1.637,,,,
+46982,82870,9.57573,-5.9149,5.56,1.159,A,33,Hya,
+47717,84461,9.72840,-53.8913,5.56,-0.042,O,,Vel,
+48310,,9.84877,-62.7451,5.56,1.316,,,,
+56770,101107,11.63905,43.6254,5.56,0.348,,59,UMa,
+57870,,11.86952,-56.9877,5.56,0.069,,,,
+60735,,12.44769,-32.8301,5.56,0.007,,,,
+66753,117374,13.68208,-85.7860,5.56,0.183,κ,,Oct,
+70492,,14.41843,-68.1953,5.56,0.435,,,,
+75257,,15.37705,39.5815,5.56,1.626,,,,
+83692,,17.10501,22.0842,5.56,1.299,,,,
+86667,161074,17.70788,24.5641,5.56,1.436,,83,Her,
+89482,,18.26077,42.1593,5.56,-0.111,,,,
+92882,,18.92528,-16.3766,5.56,0.445,,,,
+93051,175869,18.95461,2.5353,5.56,0.004,,64,Ser,
+93996,178175,19.13797,-19.2903,5.56,-0.087,,,Sgr,
+97961,,19.90863,24.3194,5.56,-0.018,,,,
+110935,,22.47713,-67.4891,5.56,0.208,,,,
+114822,,23.25951,-3.4964,5.56,0.062,,,,
+115142,219877,23.32333,-5.1244,5.56,0.386,,96,Aqr,
+115395,,23.37571,60.1335,5.56,1.679,,,,
+115591,220599,23.41412,32.3849,5.56,-0.075,,67,Peg,
+115746,,23.45024,87.3075,5.56,0.250,,,,
+531,144,0.10737,64.1962,5.57,-0.023,,10,Cas,
+729,448,0.15067,18.2120,5.57,1.043,,87,Peg,
+2711,3158,0.57440,-52.3731,5.57,0.472,,,,
+2941,3443,0.62242,-24.7673,5.57,0.715,,,,
+3741,,0.80029,-21.7225,5.57,-0.058,,,,
+5454,6903,1.16367,19.6584,5.57,0.697,ψ3,81,Psc,
+5589,6972,1.19483,65.0189,5.57,-0.072,,32,Cas,
+7965,10221,1.70570,68.0430,5.57,-0.049,,43,Cas,
+9313,,1.99411,-42.0305,5.57,1.052,,,,
+10418,14141,2.23737,-67.8414,5.57,1.556,π1,,Hyi,
+10535,13872,2.26188,25.0430,5.57,0.520,,21,Ari,
+10944,14392,2.34950,50.1515,5.57,-0.089,,63,And,
+16263,,3.49334,-12.6747,5.57,0.171,,,,
+22393,,4.82023,31.4374,5.57,1.132,,,,
+31277,,6.56005,14.1552,5.57,1.105,,,,
+38152,,7.81853,-56.4104,5.57,1.116,,,,
+43903,75958,8.94373,64.6038,5.57,0.877,,6,UMa,
+47168,,9.61191,31.1617,5.57,1.594,,,,
+51376,90972,10.49316,-30.6071,5.57,-0.041,δ,,Ant,
+51685,91365,10.55859,34.9887,5.57,0.029,,34,LMi,
+53064,93875,10.85659,59.3201,5.57,1.160,,42,UMa,
+61968,110423,12.69920,6.8066,5.57,0.002,d1,31,Vir,
+64122,114113,13.14235,-8.9844,5.57,1.178,g,,Vir,
+66640,,13.65961,10.7463,5.57,0.348,,,,
+70243,,14.37215,-34.7868,5.57,-0.088,,,,
+76996,137333,15.72137,-84.4653,5.57,0.118,ρ,,Oct,
+77048,140716,15.73314,32.5158,5.57,1.076,π,9,CrB,
+77163,,15.75652,5.4473,5.57,0.035,,,,
+79153,144480,16.15515,-57.9343,5.57,-0.024,ι2,,Nor,
+81702,,16.68901,-48.7630,5.57,0.169,,,,
+82925,152849,16.94668,-23.1503,5.57,-0.018,,24,Oph,
+85749,,17.52259,2.7245,5.57,0.844,,,,
+89008,,18.16639,36.4663,5.57,0.915,,,,
+95564,182629,19.43865,-21.7767,5.57,1.228,,50,Sgr,
+95822,,19.48949,14.5960,5.57,1.050,,,,
+102633,198069,20.79676,6.0082,5.57,-0.010,,13,Del,
+106429,,21.55653,-44.8487,5.57,1.044,,,,
+107517,207052,21.77558,-11.3660,5.57,-0.002,λ,48,Cap,
+107649,207129,21.80437,-47.3036,5.57,0.601,,,,
+108845,209515,22.04907,44.6499,5.57,-0.029,,,Cyg,
+114622,219134,23.22138,57.1684,5.57,1.000,,,,
+118077,224355,23.95235,55.7057,5.57,0.478,,,Cas,
+124,,0.02695,61.2228,5.58,0.407,,,,
+1921,1976,0.40435,52.0199,5.58,-0.110,,,Cas,
+5164,6530,1.10143,-9.8394,5.58,0.009,,28,Cet,
+7679,,1.64772,-21.2754,5.58,0.346,,,,
+10732,14191,2.30209,19.9012,5.58,0.011,θ,22,Ari,
+13702,18256,2.94060,18.0231,5.58,0.471,ρ,46,Ari,
+16210,,3.48120,49.8484,5.58,-0.054,,,,
+20219,27397,4.33269,14.0352,5.58,0.283,h,57,Tau,
+20995,28485,4.50239,15.6378,5.58,0.324,,80,Tau,
+22531,31203,4.84870,-53.4615,5.58,0.341,ι,,Pic,
+31079,,6.52175,-51.8260,5.58,0.534,,,,
+35044,,7.24755,-27.0380,5.58,1.220,,,,
+37204,60986,7.64246,35.0486,5.58,0.921,,70,Gem,
+37441,,7.68678,48.1315,5.58,1.011,,,,
+40944,,8.35589,-20.0791,5.58,0.771,,,,
+41377,71093,8.44103,27.8936,5.58,1.421,φ1,22,Cnc,
+47963,,9.77510,-44.7551,5.58,-0.176,,,,
+51140,,10.44692,-54.8773,5.58,1.556,,,,
+51364,,10.49138,-29.6638,5.58,1.420,,,,
+54327,,11.11386,-70.8779,5.58,-0.070,,,,
+55765,99285,11.42677,16.4565,5.58,0.390,,81,Leo,
+58110,103484,11.91754,8.4439,5.58,0.937,A2,6,Vir,
+61296,,12.55951,-12.8302,5.58,0.861,,,,
+63738,113415,13.06281,-20.5835,5.58,0.554,,,,
+70791,127243,14.47717,49.8449,5.58,0.864,g,24,Boo,
+87569,,17.88985,-34.8951,5.58,1.098,,,,
+89487,,18.26128,-63.0554,5.58,0.944,,,,
+90260,169233,18.41706,-30.7566,5.58,1.138,,18,Sgr,
+92728,175426,18.89543,36.9717,5.58,-0.138,δ1,11,Lyr,
+92872,175515,18.92429,6.6153,5.58,1.041,,62,Ser,
+94624,,19.25558,15.0837,5.58,1.067,,,,
+100108,193369,20.30796,36.9998,5.58,0.056,,36,Cyg,
+100437,,20.36816,45.7950,5.58,1.077,,,,
+105411,203344,21.35122,23.8560,5.58,1.057,,34,Vul,
+109352,210354,22.15379,33.1723,5.58,0.985,π1,27,Peg,
+109737,,22.22901,-25.1809,5.58,0.497,,,,
+114924,219623,23.27842,53.2135,5.58,0.556,,,,
+115271,220088,23.34710,30.4149,5.58,1.501,,63,Peg,
+377,,0.07814,-71.4369,5.59,-0.100,,,,
+2497,,0.52810,52.8395,5.59,1.163,,,,
+3849,,0.82378,-13.5613,5.59,1.325,,,,
+4283,,0.91475,83.7074,5.59,0.105,,,,
+4770,6055,1.02174,-38.9165,5.59,1.185,ξ,,Scl,
+9573,12301,2.05005,64.3900,5.59,0.325,,53,Cas,
+13665,17948,2.93248,61.5211,5.59,0.445,,,,
+17395,,3.72607,-10.4857,5.59,0.216,,,,
+19095,25945,4.09373,-27.6518,5.59,0.324,,,,
+21479,29712,4.61267,-62.0772,5.59,1.500,,,Dor,
+31457,,6.59006,-36.7799,5.59,-0.130,,,,
+33575,,6.97664,-25.4142,5.59,-0.162,,,,
+35615,,7.34953,-14.3605,5.59,0.971,,,,
+36723,60111,7.55324,3.2904,5.59,0.321,δ2,8,CMi,
+38908,65907,7.96303,-60.3031,5.59,0.573,,,,
+40678,,8.30483,-35.4517,5.59,1.246,,,,
+43499,,8.86014,-57.6336,5.59,-0.102,,,,
+45001,78922,9.16567,-30.3654,5.59,0.179,ε,,Pyx,
+49569,,10.11931,-17.1417,5.59,1.490,,,,
+50241,,10.25877,-43.1124,5.59,1.520,,,,
+51491,,10.51662,-13.5885,5.59,-0.028,,,,
+58326,,11.96111,-62.4487,5.59,-0.152,,,,
+58427,,11.97991,-64.3396,5.59,0.174,,,,
+58654,,12.02763,36.0421,5.59,1.019,,,,
+63972,,13.10975,-41.5884,5.59,1.050,,,,
+72833,,14.88711,-73.1901,5.59,0.820,,,,
+73841,133962,15.09051,48.1510,5.59,-0.005,k,47,Boo,
+74950,135876,15.31566,-40.7882,5.59,-0.099,,,Lup,
+78106,142630,15.94837,-33.9643,5.59,0.072,ξ2,,Lup,
+94727,180482,19.27529,4.8348,5.59,0.101,,22,Aql,
+94986,,19.32777,-35.4215,5.59,-0.122,,,,
+95077,,19.34393,-22.4025,5.59,0.276,,,,
+96178,183806,19.55601,-45.2717,5.59,-0.020,,,Tel,
+100261,,20.33501,68.8803,5.59,1.472,,,,
+101716,196504,20.61797,26.4619,5.59,-0.050,,27,Vul,
+102253,197950,20.71973,66.6574,5.59,0.218,,4,Cep,
+103530,,20.97501,50.4618,5.59,-0.144,,,,
+105769,,21.42210,46.7143,5.59,0.335,,,,
+117683,223719,23.86607,2.9304,5.59,1.527,,22,Psc,
+118277,224630,23.99108,-29.4852,5.59,1.599,,,Scl,
+5626,,1.20467,79.6740,5.60,0.008,,,,
+6514,8374,1.39461,37.7149,5.60,0.276,,47,And,
+10723,,2.30040,1.7578,5.60,0.588,,,,
+17460,,3.74207,36.4601,5.60,0.062,,,,
+24169,33664,5.18969,-11.8491,5.60,1.350,,,Lep,
+25329,,5.41715,-10.3289,5.60,1.543,,,,
+26093,36653,5.56508,14.3056,5.60,-0.118,,35,Ori,
+26215,,5.58701,10.2401,5.60,0.149,,,,
+27629,,5.84947,27.9679,5.60,0.978,,,,
+27743,39317,5.87286,14.1718,5.60,-0.053,,137,Tau,
+30342,45229,6.38217,-56.3700,5.60,0.242,ν,,Pic,
+31167,,6.53976,-5.8688,5.60,0.256,,,,
+32531,49877,6.78853,-55.5400,5.60,1.549,O,,Car,
+36186,58954,7.45222,-17.8649,5.60,0.314,,,CMa,
+36388,,7.48852,-1.9053,5.60,1.493,,,,
+37623,,7.71999,-36.0501,5.60,-0.130,,,,
+38253,,7.83627,-9.1834,5.60,1.446,,,,
+39177,65759,8.01314,17.3087,5.60,1.317,,3,Cnc,
+41375,71297,8.44089,-3.9875,5.60,0.218,,2,Hya,
+44883,78556,9.14505,-8.5895,5.60,-0.057,,19,Hya,
+46221,81420,9.42334,-5.1174,5.60,1.523,,28,Hya,
+51046,,10.42897,-7.0598,5.60,1.528,,,,
+59501,106057,12.20258,20.5421,5.60,0.961,,5,Com,
+65072,116010,13.33860,40.1505,5.60,1.204,,23,CVn,
+66198,118214,13.56869,55.3484,5.60,-0.014,,81,UMa,
+82028,,16.75625,15.7453,5.60,1.637,,,,
+84401,155806,17.25535,-33.5484,5.60,-0.056,,,Sco,
+92382,173861,18.82639,-43.4341,5.60,-0.077,η2,,CrA,
+95560,182919,19.43701,20.0977,5.60,-0.006,,5,Vul,
+97757,,19.86641,47.0273,5.60,-0.078,,,,
+97980,188350,19.91245,0.2736,5.60,0.098,,58,Aql,
+100469,193571,20.37431,-42.0495,5.60,0.002,κ1,,Sgr,
+102635,,20.79703,47.8319,5.60,1.466,,,,
+104371,201433,21.14413,30.2056,5.60,-0.048,,,Cyg,
+108691,209128,22.01806,0.6047,5.60,1.279,,28,Aqr,
+110986,213119,22.48555,9.1290,5.60,1.578,,36,Peg,
+113281,216916,22.93990,41.6039,5.60,-0.149,,16,Lac,
+114254,,23.13919,-28.8237,5.60,0.882,,,,
+115620,,23.42207,-56.8490,5.60,1.063,,,,
+115770,,23.45462,70.3598,5.60,0.163,,,,
+1728,1760,0.36285,-20.0580,5.61,1.580,,,Cet,
+9622,,2.06125,-4.1035,5.61,1.589,,,,
+15154,,3.25568,30.5567,5.61,0.012,,,,
+18647,,3.99170,-12.5744,5.61,1.479,,,,
+20922,28497,4.48526,-13.0484,5.61,-0.202,,,Eri,
+23554,,5.06480,-24.3882,5.61,0.094,,,,
+30436,,6.39887,-25.5776,5.61,1.561,,,,
+31897,50506,6.66747,-80.8136,5.61,0.214,ζ,,Men,
+38200,,7.82650,-33.2889,5.61,1.617,,,,
+41211,70958,8.40973,-3.7512,5.61,0.478,,1,Hya,
+41723,,8.50795,-32.1593,5.61,1.509,,,,
+45920,,9.36390,-55.5147,5.61,0.190,,,,
+47570,83805,9.70009,39.7579,5.61,0.951,,43,Lyn,
+51008,90254,10.42089,8.7848,5.61,1.630,,44,Leo,
+52965,,10.83251,-34.0582,5.61,0.038,,,,
+63121,112412,12.93346,38.3149,5.61,0.337,α1,12,CVn,
+66656,,13.66349,-40.0517,5.61,1.301,,,,
+67384,,13.81076,31.1902,5.61,1.032,,,,
+69598,,14.24519,-41.8375,5.61,0.929,,,,
+72323,130158,14.78960,-25.6243,5.61,-0.043,,55,Hya,
+77286,,15.77895,-34.6825,5.61,-0.117,,,,
+78276,,15.98270,36.6438,5.61,1.529,,,,
+79689,,16.26383,-57.9123,5.61,0.137,,,,
+80953,,16.52979,45.5983,5.61,0.125,,,,
+85922,,17.55829,-5.7448,5.61,0.187,,,,
+87044,,17.78557,17.6970,5.61,0.036,,,,
+89925,168913,18.34916,29.8589,5.61,0.231,,108,Her,
+108693,209166,22.01815,13.1198,5.61,0.336,,20,Peg,
+112864,,22.85629,61.6967,5.61,0.775,,,,
+4587,5722,0.97885,-11.3800,5.62,0.949,φ4,23,Cet,
+7345,9672,1.57716,-15.6764,5.62,0.066,,49,Cet,
+14143,18883,3.03959,4.3529,5.62,-0.107,,93,Cet,
+15383,20559,3.30623,-0.9303,5.62,1.050,,95,Cet,
+16489,,3.53893,84.9110,5.62,0.894,,,,
+18471,24740,3.94780,22.4780,5.62,0.345,,32,Tau,
+19011,,4.07297,-12.7923,5.62,1.062,,,,
+26882,,5.70735,65.6976,5.62,1.249,,,,
+27766,,5.87589,-37.6311,5.62,1.046,,,,
+27938,,5.91212,-11.7742,5.62,1.523,,,,
+29716,,6.25952,-0.5122,5.62,0.506,,,,
+30444,,6.40028,-36.7078,5.62,1.027,,,,
+31362,,6.57648,-32.7163,5.62,-0.085,,,,
+32385,49131,6.75867,-30.9490,5.62,-0.138,,,CMa,
+37751,62747,7.74283,-24.6741,5.62,-0.191,,,Pup,
+38375,,7.86195,-21.1737,5.62,0.956,,,,
+38656,,7.91481,-57.3028,5.62,1.298,,,,
+40240,68351,8.21913,29.6565,5.62,-0.073,,15,Cnc,
+42795,74228,8.72009,12.6809,5.62,0.435,A1,45,Cnc,
+47199,,9.61941,-32.1786,5.62,1.023,,,,
+48348,,9.85548,-46.1939,5.62,1.166,,,,
+57791,,11.85062,-5.3333,5.62,1.058,,,,
+73111,,14.94224,-47.8792,5.62,-0.035,,,,
+74689,135559,15.26363,0.3721,5.62,0.181,,4,Ser,
+79358,,16.19668,36.4251,5.62,1.352,,,,
+81733,,16.69451,-49.6516,5.62,-0.043,,,,
+87777,,17.93078,22.4642,5.62,1.249,,,,
+91139,,18.59178,23.6055,5.62,1.015,,,,
+92969,,18.94048,65.2581,5.62,0.938,,,,
+98863,190603,20.07671,32.2186,5.62,0.760,,,Cyg,
+107773,,21.83337,-64.7125,5.62,1.018,,,,
+109081,209529,22.09751,-59.6361,5.62,1.468,κ,,Ind,
+110506,212132,22.38555,-45.9285,5.62,0.372,π2,,Gru,
+114132,218242,23.11489,-38.8923,5.62,0.006,υ,,Gru,
+7825,,1.67768,43.2977,5.63,0.214,,,,
+7943,,1.70097,35.2457,5.63,-0.059,,,,
+8362,10780,1.79579,63.8525,5.63,0.804,,,Cas,
+15479,,3.32636,-24.1229,5.63,1.663,,,,
+28814,41380,6.08288,4.1587,5.63,1.041,,66,Ori,
+34086,,7.06813,-5.3240,5.63,1.290,,,,
+36528,,7.51464,68.4656,5.63,1.100,,,,
+40646,68930,8.29734,59.5711,5.63,0.182,,29,Lyn,
+40834,71066,8.33348,-71.5054,5.63,-0.099,κ2,,Vol,
+42438,72905,8.65325,65.0209,5.63,0.618,π1,3,UMa,Muscida
+42917,74521,8.74585,10.0817,5.63,-0.069,b,49,Cnc,
+52407,,10.71199,-32.7157,5.63,0.006,,,,
+56510,,11.58469,54.7854,5.63,1.032,,,,
+61015,,12.50485,-23.6964,5.63,1.670,,,,
+64003,,13.11507,-35.8620,5.63,0.050,,,,
+66438,,13.62011,-61.6919,5.63,0.493,,,,
+66763,119126,13.68399,22.4958,5.63,1.009,,2,Boo,
+72573,133002,14.83901,82.5119,5.63,0.671,,,,
+73100,132254,14.93973,49.6284,5.63,0.533,,,,
+77984,142445,15.92502,-26.2660,5.63,0.141,,4,Sco,
+79007,144874,16.12709,9.8917,5.63,0.200,,45,Ser,
+81007,149121,16.54325,5.5212,5.63,-0.044,n,28,Her,
+83635,,17.09229,-0.8921,5.63,0.104,,,,
+85715,,17.51538,31.1581,5.63,0.960,,,,
+90541,,18.47420,-38.9957,5.63,0.140,,,,
+90687,,18.50329,-18.7288,5.63,1.057,,,,
+93498,,19.04102,-24.8468,5.63,1.232,,,,
+93718,,19.08274,31.7441,5.63,1.548,,,,
+97871,188041,19.88854,-3.1145,5.63,0.231,,,Aql,
+100907,195050,20.45951,38.4403,5.63,0.072,,40,Cyg,
+104031,200644,21.07629,5.5029,5.63,1.650,,3,Equ,
+105576,,21.38347,-22.6690,5.63,1.641,,,,
+107575,207203,21.78721,2.6861,5.63,0.012,,11,Peg,
+115769,,23.45417,-58.4761,5.63,0.983,,,,
+116355,221758,23.57728,33.4973,5.63,1.042,,73,Peg,
+3572,4161,0.76085,74.9881,5.64,0.078,,21,Cas,
+5081,6397,1.08482,14.9461,5.64,0.420,,72,Psc,
+9621,12558,2.06093,25.9355,5.64,0.537,,10,Ari,
+10212,13421,2.18919,8.5698,5.64,0.569,,64,Cet,
+12153,16234,2.61053,12.4476,5.64,0.516,,31,Ari,
+14439,,3.10658,13.1873,5.64,1.087,,,,
+20087,27176,4.30645,21.5793,5.64,0.277,,51,Tau,
+20484,27749,4.39029,16.7773,5.64,0.310,,63,Tau,
+22545,,4.85259,48.7407,5.64,1.013,,,,
+24914,,5.33961,62.6537,5.64,1.728,,,,
+25280,,5.40791,-16.9758,5.64,-0.001,,,,
+33804,52670,7.01832,-25.2156,5.64,-0.165,,,CMa,
+35181,,7.27097,-46.7745,5.64,1.441,,,,
+36732,,7.55543,-19.4125,5.64,1.121,,,,
+37590,,7.71337,-26.3513,5.64,0.990,,,,
+44356,,9.03277,-0.4827,5.64,1.163,,,,
+47701,84107,9.72591,29.9745,5.64,0.111,f,15,Leo,
+49865,88333,10.18219,-8.4185,5.64,1.304,,18,Sex,
+56319,,11.54669,-40.4362,5.64,1.578,,,,
+56518,100733,11.58702,-47.3726,5.64,1.682,C1,,Cen,
+56675,101132,11.62101,-75.8965,5.64,0.362,π,,Cha,
+63916,,13.09785,45.2685,5.64,1.135,,,,
+64607,115046,13.24202,11.3317,5.64,1.514,,,Vir,
+73369,132772,14.99359,39.2653,5.64,0.336,,40,Boo,
+75730,137744,15.47095,-16.7165,5.64,1.545,,32,Lib,
+76750,138800,15.67259,-73.4467,5.64,-0.040,κ2,,Aps,
+81972,,16.74517,-40.8397,5.64,-0.093,,,,
+83187,,17.00175,-54.5972,5.64,0.194,,,,
+90313,,18.42745,8.0320,5.64,0.884,,,,
+92768,,18.90368,27.9095,5.64,1.361,,,,
+96406,184552,19.60046,-24.7191,5.64,0.185,h1,51,Sgr,
+96807,185762,19.67870,-0.6212,5.64,0.123,,45,Aql,
+100591,193807,20.39811,-42.4229,5.64,0.201,κ2,,Sgr,
+104642,,21.19673,59.9866,5.64,0.110,,,,
+105854,,21.43969,-37.8294,5.64,1.185,,,,
+111068,213323,22.50051,32.5726,5.64,-0.031,,38,Peg,
+114948,219482,23.28269,-62.0012,5.64,0.521,,,,
+10305,13612,2.21321,-2.3936,5.65,0.546,,66,Cet,
+12247,16400,2.62828,-3.3962,5.65,1.021,,81,Cet,
+17932,,3.83456,44.9679,5.65,0.779,,,,
+23166,,4.98371,-16.3760,5.65,0.447,,,,
+26394,39091,5.61941,-80.4691,5.65,0.600,π,,Men,
+28484,,6.01366,-51.2163,5.65,0.207,,,,
+28756,41534,6.07229,-32.1724,5.65,-0.186,,72,Col,
+33077,,6.88856,-19.0328,5.65,0.279,,,,
+36168,58978,7.44985,-23.0860,5.65,-0.134,,,CMa,
+39213,,8.02053,4.8798,5.65,0.013,,,,
+47960,,9.77323,1.7856,5.65,0.342,,,,
+53316,,10.90494,-13.7580,5.65,0.832,,,,
+62325,111028,12.77293,9.5397,5.65,0.989,,33,Vir,
+62500,,12.80729,-27.5974,5.65,0.947,,,,
+65522,,13.43064,-70.6272,5.65,-0.018,,,,
+65790,117304,13.48695,10.8183,5.65,1.052,,71,Vir,
+73284,132219,14.97757,-27.6573,5.65,0.262,,59,Hya,
+73540,130650,15.03078,-83.2276,5.65,0.962,π1,,Oct,
+73771,131246,15.07970,-83.0383,5.65,1.273,π2,,Oct,
+75043,,15.33477,51.9585,5.65,0.122,,,,
+75181,136352,15.36337,-48.3176,5.65,0.639,ν2,,Lup,
+75308,,15.38625,-60.6572,5.65,0.489,,,,
+76519,,15.62753,69.2833,5.65,1.371,,,,
+85290,,17.42815,60.0484,5.65,0.024,,,,
+85912,,17.55634,19.2567,5.65,0.505,,,,
+90647,,18.49583,77.5471,5.65,1.192,,,,
+94620,180317,19.25482,21.2321,5.65,0.121,,1,Sge,
+94720,,19.27411,14.5446,5.65,-0.020,,,,
+98470,189245,20.00563,-33.7035,5.65,0.498,,,,
+99747,,20.23862,-52.4458,5.65,1.497,,,,
+108699,209167,22.01923,8.2572,5.65,1.440,,19,Peg,
+115312,,23.35431,-26.9868,5.65,0.817,,,,
+1288,,0.26913,-31.4464,5.66,1.350,,,,
+3478,4142,0.74061,47.8640,5.66,-0.113,,68,Cas,
+7568,,1.62445,-84.7696,5.66,0.939,,,,
+9990,12953,2.14461,58.4236,5.66,0.595,,,Per,
+17527,23324,3.75271,24.8393,5.66,-0.064,,18,Tau,
+17584,,3.76646,45.6819,5.66,-0.080,,,,
+18089,24263,3.86673,6.5349,5.66,0.046,,31,Tau,
+21823,,4.69003,48.3009,5.66,0.002,,,,
+21958,,4.71925,-30.7656,5.66,1.391,,,,
+25001,,5.35353,29.5699,5.66,0.060,,,,
+32474,,6.77751,-10.1074,5.66,-0.048,,,,
+36981,60855,7.60108,-14.4928,5.66,-0.067,,,Pup,
+37023,,7.60879,46.1803,5.66,1.560,,,,
+39919,68161,8.15264,-48.6844,5.66,-0.101,,,Vel,
+39943,,8.15793,-16.2489,5.66,-0.153,,,,
+39957,,8.15934,-56.0854,5.66,0.204,,,,
+42372,,8.63949,53.4015,5.66,0.964,,,,
+46511,,9.48685,-20.7491,5.66,1.587,,,,
+50520,,10.31807,-64.6763,5.66,0.042,,,,
+50609,,10.33797,-47.6991,5.66,1.667,,,,
+53043,93859,10.85306,56.5823,5.66,1.132,,43,UMa,
+59468,105981,12.19755,25.8703,5.66,1.401,,4,Com,
+60425,107815,12.38933,-24.8407,5.66,1.153,,6,Crv,
+67973,,13.92004,-52.1608,5.66,-0.072,,,,
+80793,,16.49637,-14.5509,5.66,0.823,,,,
+84150,,17.20450,-39.5069,5.66,0.042,,,,
+85790,159139,17.53044,28.4075,5.66,-0.001,,78,Her,
+95619,,19.44902,-29.7432,5.66,-0.014,,,,
+96496,,19.61759,-18.2311,5.66,1.237,,,,
+101345,,20.53991,-9.8534,5.66,0.689,,,,
+102949,198726,20.85785,28.2505,5.66,0.616,,,Vul,
+106856,205924,21.64221,5.7717,5.66,0.265,,4,Peg,
+107144,206445,21.70281,1.2853,5.66,1.446,,26,Aqr,
+111809,214484,22.64763,-33.0813,5.66,0.037,,,PsA,
+113562,,23.00161,-25.1642,5.66,1.253,,,,
+115908,221006,23.48361,-63.1107,5.66,-0.142,,,Tuc,
+116591,,23.62765,-13.0602,5.66,1.025,,,,
+655,,0.13430,-33.5293,5.67,1.119,,,,
+2383,,0.50725,-48.2149,5.67,0.367,,,,
+5493,6920,1.17187,42.0815,5.67,0.603,,44,And,
+10513,14287,2.25795,-67.7464,5.67,1.306,π2,,Hyi,
+14521,20313,3.12559,-78.9892,5.67,0.298,,,Hyi,
+16509,,3.54300,-50.3786,5.67,1.101,,,,
+18805,,4.02948,9.9980,5.67,0.005,,,,
+20049,28525,4.29980,-80.2140,5.67,0.836,δ,,Men,
+21295,,4.56896,5.5686,5.67,0.055,,,,
+24109,,5.17859,46.9621,5.67,0.452,,,,
+26064,36576,5.55879,18.5402,5.67,-0.022,,120,Tau,
+26197,,5.58361,-6.0093,5.67,-0.228,,,,
+28812,41361,6.08283,5.4200,5.67,1.047,,63,Ori,
+30099,,6.33451,14.6511,5.67,1.578,,,,
+41191,,8.40551,-80.9142,5.67,1.018,,,,
+41242,,8.41533,-23.1537,5.67,0.066,,,,
+42564,,8.67646,-45.1911,5.67,1.664,,,,
+43584,75698,8.87629,32.4742,5.67,0.224,σ1,51,Cnc,
+47959,84561,9.77315,11.8100,5.67,1.489,,18,Leo,
+51802,91636,10.58393,8.6504,5.67,0.059,,49,Leo,
+54137,,11.07533,-47.6791,5.67,0.256,,,,
+71783,,14.68372,-36.1349,5.67,-0.081,,,,
+74087,134320,15.13994,26.3012,5.67,1.240,b,46,Boo,
+79399,145483,16.20445,-28.4173,5.67,0.012,c1,12,Sco,
+80309,,16.39643,61.6965,5.67,0.956,,,,
+80675,,16.47088,-58.5998,5.67,0.008,,,,
+89000,,18.16501,3.1198,5.67,0.490,,,,
+90968,170868,18.55643,-38.7260,5.67,-0.060,κ2,,CrA,
+92997,176408,18.94585,57.8149,5.67,1.155,,48,Dra,
+96516,185194,19.62150,16.4628,5.67,1.007,ε,4,Sge,
+98844,190299,20.07310,-0.7093,5.67,1.301,,62,Aql,
+102962,,20.86069,-62.4293,5.67,0.203,,,,
+104440,200525,21.15623,-73.1730,5.67,0.590,,,,
+105703,,21.40945,26.1746,5.67,0.323,,,,
+379,,0.07833,67.1664,5.68,1.051,,,,
+10155,13325,2.17711,19.5003,5.68,1.641,,15,Ari,
+16290,,3.49969,-78.3518,5.68,0.932,,,,
+17309,23016,3.70527,19.7003,5.68,-0.016,,13,Tau,
+22699,,4.87993,42.5866,5.68,0.115,,,,
+25028,,5.35885,-0.4165,5.68,-0.125,,,,
+32814,49738,6.84041,13.4132,5.68,1.329,,35,Gem,
+32968,,6.86666,23.6017,5.68,1.467,,,,
+34473,55864,7.14510,-70.4971,5.68,0.436,γ1,,Vol,
+37174,61715,7.63839,-48.6014,5.68,0.683,y3,,Pup,
+41861,,8.53471,-53.2119,5.68,0.582,,,,
+44001,76582,8.95978,15.5813,5.68,0.209,ο2,63,Cnc,
+47187,,9.61673,-25.2968,5.68,1.116,,,,
+49220,,10.04693,21.9493,5.68,-0.178,,,,
+57741,,11.84091,-62.6494,5.68,0.233,,,,
+60795,108502,12.45975,55.7127,5.68,1.582,,73,UMa,
+60957,108765,12.49535,20.8961,5.68,0.093,,20,Com,
+61658,109896,12.63956,1.8547,5.68,1.592,,,Vir,
+67231,120198,13.77657,54.4327,5.68,-0.039,,84,UMa,
+72154,129956,14.75839,0.7173,5.68,-0.021,,108,Vir,
+72488,,14.82187,-24.2515,5.68,1.275,,,,
+72524,131041,14.82814,48.7208,5.68,0.501,,39,Boo,
+74896,,15.30681,20.5728,5.68,0.972,,,,
+84691,,17.31348,28.8230,5.68,0.981,,,,
+85930,,17.56094,16.3176,5.68,1.002,,,,
+87314,161783,17.84122,-53.6124,5.68,-0.099,υ1,,Ara,
+91883,,18.73100,31.9266,5.68,0.360,,,,
+92747,174947,18.90003,-21.3598,5.68,1.206,,33,Sgr,
+97634,187879,19.84370,40.5998,5.68,-0.058,,,Cyg,
+98375,189410,19.98626,23.1013,5.68,0.345,,14,Vul,
+100754,,20.42793,21.4096,5.68,0.921,,,,
+101899,,20.64987,30.3343,5.68,1.088,,,,
+102155,,20.69903,41.7169,5.68,-0.107,,,,
+103312,,20.93050,47.4177,5.68,0.408,,,,
+105497,,21.36678,49.3888,5.68,1.100,,,,
+112542,215766,22.79521,-14.0564,5.68,-0.016,τ1,69,Aqr,
+113657,,23.01877,-50.9500,5.68,1.411,,,,
+114210,218470,23.12927,49.2958,5.68,0.449,,5,And,
+114365,218753,23.16226,59.3327,5.68,0.315,,2,Cas,
+114449,,23.17851,17.5944,5.68,1.330,,,,
+116495,221950,23.60647,2.1022,5.68,0.449,,16,Psc,
+2548,2913,0.53994,6.9555,5.69,-0.014,,51,Psc,
+4675,,1.00099,44.7132,5.69,-0.010,,,,
+7251,,1.55714,58.3273,5.69,1.435,,,,
+7463,9906,1.60237,-29.9073,5.69,0.335,τ,,Scl,
+9021,11749,1.93593,37.2518,5.69,1.060,,56,And,
+13942,18692,2.99339,-25.2741,5.69,0.427,ζ,,For,
+19968,,4.28154,61.8500,5.69,-0.116,,,,
+25223,,5.39509,-0.1598,5.69,-0.208,,,,
+25492,,5.45230,30.2086,5.69,0.175,,,,
+31137,46860,6.53287,-58.7538,5.69,-0.057,μ,,Pic,
+33827,,7.02261,70.8083,5.69,1.337,,,,
+34579,54912,7.16195,-25.2310,5.69,-0.158,,,CMa,
+37036,61068,7.61140,-19.7023,5.69,-0.165,,,Pup,
+37043,61391,7.61220,-48.8302,5.69,-0.037,y2,,Pup,
+38427,64238,7.87191,-14.8462,5.69,0.368,,10,Pup,
+54255,96314,11.09933,-27.2879,5.69,-0.067,χ2,,Hya,
+59831,106690,12.26877,40.6602,5.69,1.586,,2,CVn,
+65198,,13.36157,2.0872,5.69,0.045,,,,
+65593,,13.44892,-41.4976,5.69,1.477,,,,
+66065,,13.54331,-28.6928,5.69,0.037,,,,
+68815,122250,14.08885,-76.7968,5.69,1.239,θ,,Aps,
+79072,145002,16.14113,8.5343,5.69,1.575,,47,Ser,
+83254,,17.01615,22.6321,5.69,1.332,,,,
+84950,,17.36260,53.4204,5.69,1.463,,,,
+85147,,17.40030,-62.8642,5.69,-0.147,,,,
+86011,159176,17.57847,-32.5817,5.69,0.045,,,Sco,
+87158,,17.80688,20.5654,5.69,0.938,,,,
+88122,,17.99895,45.5014,5.69,1.562,,,,
+90662,,18.49887,-47.2205,5.69,1.258,,,,
+92136,,18.77870,-10.1250,5.69,0.584,,,,
+92937,,18.93503,18.1054,5.69,1.092,,,,
+93393,,19.02149,26.2914,5.69,-0.086,,,,
+98633,189741,20.03295,-13.6372,5.69,0.079,,63,Sgr,
+100357,,20.35320,63.9801,5.69,1.561,,,,
+101882,196725,20.64555,13.3151,5.69,1.509,θ,8,Del,
+103675,,21.00769,19.3296,5.69,1.588,,,,
+104148,200718,21.10032,-30.1251,5.69,1.047,δ,,Mic,
+107253,206774,21.72379,38.2836,5.69,-0.010,,79,Cyg,
+108060,,21.89372,19.6684,5.69,0.011,,,,
+109056,209833,22.09297,28.9640,5.69,-0.048,,23,Peg,
+194,225003,0.04159,8.4855,5.70,0.315,c,32,Psc,
+522,142,0.10533,-49.0752,5.70,0.519,,,,
+3717,,0.79534,-18.0613,5.70,1.300,,,,
+5833,7476,1.24699,-0.9738,5.70,0.428,,38,Cet,
+7921,,1.69666,-60.7893,5.70,1.264,,,,
+7941,,1.70083,-36.8323,5.70,-0.010,,,,
+8714,11291,1.86927,50.7928,5.70,-0.067,,2,Per,
+9222,11949,1.97597,49.2044,5.70,1.005,,3,Per,
+15619,20791,3.35189,3.6756,5.70,0.964,,97,Cet,
+18262,,3.90643,-40.3570,5.70,0.599,,,,
+19511,,4.17993,-8.8198,5.70,1.057,,,,
+28302,,5.98145,12.8083,5.70,0.874,,,,
+29151,,6.14942,2.4997,5.70,0.067,,,,
+29860,43587,6.28781,5.1001,5.70,0.610,,,,
+31771,47070,6.64431,39.3909,5.70,1.367,,51,Aur,
+31870,,6.66185,-30.4705,5.70,1.134,,,,
+35487,57167,7.32449,-16.3952,5.70,0.346,,,CMa,
+36348,,7.48097,48.1839,5.70,-0.092,,,,
+38438,64722,7.87493,-54.3672,5.70,-0.151,,,Car,
+43026,,8.76735,-2.0487,5.70,1.097,,,,
+43797,76653,8.91994,-54.9658,5.70,0.481,,,,
+49339,,10.07249,-24.2855,5.70,0.303,,,,
+49934,88661,10.19624,-58.0605,5.70,-0.118,,,Car,
+53699,,10.98715,-33.7376,5.70,0.374,,,,
+54487,96738,11.14697,24.6585,5.70,0.081,,67,Leo,
+61571,109742,12.61621,17.0895,5.70,1.436,,25,Com,
+62703,,12.84941,-52.7874,5.70,0.127,,,,
+64053,,13.12730,-53.4598,5.70,-0.061,,,,
+66320,118219,13.59203,-5.3962,5.70,0.950,,80,Vir,
+67848,121409,13.89751,53.7287,5.70,-0.032,,86,UMa,
+71974,129433,14.72043,-24.9978,5.70,0.006,,4,Lib,
+74380,134482,15.19935,-48.7437,5.70,0.144,κ2,,Lup,
+78868,,16.09884,-72.4009,5.70,1.169,,,,
+85157,157728,17.40183,22.9603,5.70,0.229,,73,Her,
+95690,,19.46337,-54.3253,5.70,1.406,,,,
+95823,,19.48996,-43.4452,5.70,0.214,,,,
+97966,188293,19.91046,-8.2273,5.70,-0.079,,57,Aql,
+99500,192455,20.19303,62.0785,5.70,0.530,,68,Dra,
+99841,,20.25660,33.7291,5.70,0.926,,,,
+103389,199260,20.94648,-26.2964,5.70,0.507,,,,
+105652,,21.39967,24.2741,5.70,0.314,,,,
+106559,205289,21.58085,-20.0843,5.70,0.423,,37,Cap,
+107930,,21.86695,55.7967,5.70,-0.081,,,,
+111242,,22.53784,76.2264,5.70,0.020,,,,
+117567,,23.84258,-14.4015,5.70,1.488,,,,
+88,224834,0.01794,-48.8099,5.71,0.911,τ,,Phe,
+1086,905,0.22523,41.0354,5.71,0.331,,23,And,
+5296,6706,1.12950,-9.7856,5.71,0.446,,30,Cet,
+14930,20234,3.20921,-57.3215,5.71,2.419,,,Hor,
+16112,21574,3.45929,-35.6813,5.71,1.284,χ2,,For,
+19554,26462,4.18897,5.5230,5.71,0.360,,45,Tau,
+21278,29009,4.56520,-6.7389,5.71,-0.128,,46,Eri,
+22860,,4.91856,-16.7407,5.71,0.953,,,,
+22881,31444,4.92185,-16.4178,5.71,0.874,,,Eri,
+23668,,5.08783,-26.1524,5.71,1.166,,,,
+26345,,5.60991,-6.0648,5.71,-0.212,,,,
+28499,40394,6.01627,47.9019,5.71,-0.007,,36,Aur,
+29234,,6.16332,-22.7743,5.71,0.454,,,,
+31564,47138,6.60635,-18.6599,5.71,0.848,ν1,6,CMa,
+35005,,7.24239,12.1158,5.71,1.007,,,,
+40990,,8.36517,-17.5863,5.71,1.050,,,,
+41816,72041,8.52515,24.0811,5.71,0.327,υ1,30,Cnc,
+43148,,8.78857,-46.1554,5.71,0.554,,,,
+48613,,9.91423,-50.2440,5.71,0.006,,,,
+49363,,10.07675,53.8917,5.71,0.507,,,,
+51933,91889,10.60899,-12.2301,5.71,0.528,,,,
+54522,96813,11.15530,36.3094,5.71,1.400,,,UMa,
+56620,,11.60971,-33.5701,5.71,1.020,,,,
+59923,,12.29183,28.9372,5.71,0.160,,,,
+60610,108114,12.42271,-35.1864,5.71,-0.066,x2,,Cen,
+62541,111397,12.81506,14.1226,5.71,0.024,,29,Com,
+62732,111613,12.85499,-60.3298,5.71,0.344,,,Cru,
+67787,121107,13.88693,17.9329,5.71,0.845,,7,Boo,
+73536,132933,15.03025,-0.1403,5.71,1.509,,2,Ser,
+75665,137066,15.45919,-64.5315,5.71,1.646,,,TrA,
+77336,141187,15.78815,14.1153,5.71,0.094,υ,31,Ser,
+88964,166233,18.15941,3.9933,5.71,0.363,,73,Oph,
+90096,,18.38671,-12.0148,5.71,0.006,,,,
+90497,,18.46633,6.1941,5.71,-0.034,,,,
+90842,,18.53229,-43.5074,5.71,1.322,,,,
+92294,173168,18.81053,-65.0777,5.71,0.268,θ,,Pav,
+95557,,19.43640,-15.0533,5.71,0.007,,,,
+96258,184960,19.57217,51.2366,5.71,0.475,,,820,
+98085,188727,19.93369,16.6348,5.71,0.903,,10,Sge,
+100221,193964,20.32687,62.2575,5.71,-0.043,,71,Dra,
+105761,203875,21.42029,-9.7486,5.71,0.208,,19,Aqr,
+108102,,21.90288,-4.2762,5.71,1.185,,,,
+1982,,0.41845,53.0468,5.72,-0.056,,,,
+2353,2637,0.50065,-3.9573,5.72,1.545,,12,Cet,
+3277,3980,0.69622,-56.5013,5.72,0.131,ξ,,Phe,
+10328,13596,2.21759,15.2799,5.72,1.551,,19,Ari,
+12072,,2.59409,37.3123,5.72,1.389,,,,
+12530,16765,2.68722,-0.6957,5.72,0.511,,84,Cet,
+15411,,3.31143,-18.5598,5.72,0.381,,,,
+16168,,3.47241,33.8076,5.72,0.048,,,,
+17534,,3.75441,-47.3595,5.72,0.961,,,,
+19983,,4.28558,57.8604,5.72,1.108,,,,
+20400,27628,4.36765,14.0772,5.72,0.315,,60,Tau,
+20842,,4.46689,21.6199,5.72,0.270,,,,
+22086,,4.75115,-21.2834,5.72,1.476,,,,
+27316,38545,5.78699,14.4883,5.72,0.077,,131,Tau,
+28909,42525,6.10261,-66.0396,5.72,-0.024,η1,,Dor,
+29294,,6.17630,-27.1543,5.72,1.072,,,,
+31637,,6.62051,-36.9907,5.72,-0.112,,,,
+32740,49380,6.82814,32.6068,5.72,1.298,,,Gem,
+35029,56455,7.24611,-46.8497,5.72,-0.109,,,Pup,
+42146,72968,8.59117,-7.9823,5.72,-0.004,,3,Hya,
+43644,75486,8.88960,61.9623,5.72,0.305,b,5,UMa,
+43923,,8.94721,45.6316,5.72,1.125,,,,
+45158,,9.19965,-19.7476,5.72,0.977,,,,
+46457,81873,9.47477,8.1883,5.72,1.045,,3,Leo,
+47594,,9.70412,69.2375,5.72,1.131,,,,
+48287,,9.84498,-46.9339,5.72,1.085,,,,
+48561,,9.90491,-45.2835,5.72,-0.114,,,,
+59309,105702,12.16761,5.8070,5.72,0.352,,11,Vir,
+59746,,12.25236,70.2000,5.72,1.179,,,,
+66417,,13.61641,24.6133,5.72,1.593,,,,
+69763,,14.27742,-66.5879,5.72,-0.095,,,,
+72012,,14.72901,40.4593,5.72,1.398,,,,
+73166,,14.95325,16.3881,5.72,0.951,,,,
+73184,131977,14.95778,-21.4155,5.72,1.024,,,Lib,
+75260,,15.37734,63.3414,5.72,1.315,,,,
+75352,,15.39785,-12.3695,5.72,1.039,,,,
+78970,,16.12117,-36.7557,5.72,0.298,,,,
+79666,146388,16.25795,18.8081,5.72,1.126,,16,Her,
+85470,,17.46600,-52.2972,5.72,1.169,,,,
+85888,,17.55201,41.2434,5.72,1.089,,,,
+88298,,18.03177,-22.7803,5.72,-0.030,,,,
+88636,,18.09711,32.2307,5.72,1.179,,,,
+95485,,19.42267,-13.8971,5.72,1.372,,,,
+109831,,22.24566,42.9539,5.72,0.014,,,,
+111362,,22.56129,56.6247,5.72,0.966,,,,
+111974,,22.68130,14.5492,5.72,0.723,,,,
+113184,,22.91971,-4.9879,5.72,0.881,,,,
+113307,216823,22.94661,-47.9692,5.72,0.226,τ3,,Gru,
+118114,224362,23.95913,-82.1698,5.72,1.055,γ2,,Oct,
+4200,5276,0.89385,-62.8714,5.73,1.574,,,Tuc,
+12871,17504,2.75763,-63.7046,5.73,0.932,γ,,Hor,
+20579,27777,4.40810,34.1308,5.73,-0.054,,55,Per,
+21819,,4.68882,28.6150,5.73,0.018,,,,
+25194,35515,5.39001,-39.6784,5.73,1.626,,,Col,
+26966,,5.72269,-18.5575,5.73,-0.014,,,,
+31190,,6.54416,-32.0304,5.73,-0.180,,,,
+33715,52005,7.00439,16.0790,5.73,1.641,,41,Gem,
+37322,61878,7.66217,-38.1393,5.73,-0.125,d2,,Pup,
+40023,67767,8.17422,25.5073,5.73,0.825,ψ,14,Cnc,
+40772,69148,8.32143,62.5072,5.73,0.891,,57,Cam,
+44923,,9.15117,-18.3285,5.73,0.000,,,,
+47189,83189,9.61739,16.4380,5.73,1.223,,8,Leo,
+50786,89744,10.36960,41.2295,5.73,0.531,,,,
+53377,94497,10.91616,34.0348,5.73,1.032,,47,LMi,
+55797,,11.43253,55.8505,5.73,0.988,,,,
+57029,101606,11.69285,31.7461,5.73,0.440,,62,UMa,
+57670,,11.82825,34.9318,5.73,0.467,,,,
+60329,107567,12.37001,-68.3073,5.73,1.038,ζ1,,Mus,
+66400,,13.61346,-26.4952,5.73,0.220,,,,
+66727,119055,13.67791,19.9557,5.73,0.017,,1,Boo,
+67664,,13.86317,-69.4013,5.73,1.704,,,,
+77986,142926,15.92517,42.5662,5.73,-0.102,,4,Her,
+78661,145622,16.05871,76.7939,5.73,0.051,,18,UMi,
+82422,152173,16.84415,29.8065,5.73,1.626,,50,Her,
+83535,,17.07353,-57.7122,5.73,-0.097,,,,
+86731,161239,17.72266,24.3278,5.73,0.683,,84,Her,
+91973,173649,18.74672,37.5946,5.73,0.285,ζ2,7,Lyr,
+93552,176723,19.05491,-38.2531,5.73,0.328,,,CrA,
+95656,183534,19.45721,52.3204,5.73,-0.002,,7,Cyg,
+98754,190229,20.05834,16.0313,5.73,-0.095,,14,Sge,
+98767,190360,20.06039,29.8968,5.73,0.749,,,,
+99825,192310,20.25483,-27.0330,5.73,0.878,,,,
+100859,195068,20.45063,49.3834,5.73,0.339,,43,Cyg,
+104978,,21.26274,-53.2631,5.73,0.191,,,,
+106654,205471,21.60305,-26.1715,5.73,0.234,,8,PsA,
+107162,206644,21.70638,41.0770,5.73,0.055,,77,Cyg,
+111546,214167,22.59786,39.6343,5.73,-0.160,,8,Lac,
+113222,,22.92903,36.3514,5.73,-0.051,,,,
+117088,,23.73668,-64.4045,5.73,1.393,,,,
+1354,,0.28251,61.5332,5.74,0.898,,,,
+3765,4628,0.80638,5.2806,5.74,0.890,,,,
+12002,16074,2.57851,-7.8594,5.74,1.393,,77,Cet,
+12122,16307,2.60257,-30.0450,5.74,1.017,ι1,,For,
+12640,16811,2.70609,20.0115,5.74,-0.017,μ,34,Ari,Koleon
+14677,19548,3.16021,29.0771,5.74,0.115,,55,Ari,
+16142,,3.46693,-11.2866,5.74,1.102,,,,
+17342,,3.71187,59.9694,5.74,1.736,,,,
+20825,,4.46279,-62.5212,5.74,1.005,,,,
+23474,32503,5.04583,-22.7951,5.74,1.188,,1,Lep,
+26344,,5.60978,54.4287,5.74,1.671,,,,
+28984,,6.11597,-21.8123,5.74,1.584,,,,
+30840,45871,6.47757,-32.3713,5.74,-0.160,,,CMa,
+32810,50123,6.83982,-31.7061,5.74,0.094,,,CMa,
+33277,50692,6.92185,25.3757,5.74,0.573,,37,Gem,
+34387,,7.13041,7.4712,5.74,1.176,,,,
+35643,,7.35486,45.2282,5.74,0.342,,,,
+38783,,7.93851,-60.5264,5.74,1.554,,,,
+41299,,8.42654,2.1022,5.74,1.528,,,,
+42923,,8.74776,-37.1472,5.74,-0.139,,,,
+44504,,9.06678,54.2839,5.74,0.034,,,,
+45962,,9.37333,-46.0474,5.74,0.903,,,,
+46813,,9.53900,-19.4003,5.74,0.135,,,,
+50448,88983,10.30056,65.1084,5.74,0.163,,32,UMa,
+52338,,10.69674,68.4435,5.74,1.315,,,,
+52487,,10.73089,-64.2490,5.74,0.012,,,,
+54829,,11.22522,-59.6193,5.74,-0.106,,,,
+56080,99902,11.49496,15.4133,5.74,1.371,,85,Leo,
+61212,,12.54333,-13.8591,5.74,0.376,,,,
+65595,,13.44911,78.6439,5.74,0.769,,,,
+66666,118767,13.66661,-49.9500,5.74,1.496,,,Cen,
+67942,,13.91364,-67.6521,5.74,1.490,,,,
+71111,,14.54193,55.3980,5.74,1.529,,,,
+71280,128333,14.57767,49.3684,5.74,1.560,,,Boo,
+71453,,14.61226,-40.2116,5.74,-0.112,,,,
+71568,,14.63683,43.6421,5.74,1.481,,,,
+72250,,14.77472,-47.4411,5.74,0.066,,,,
+74750,,15.27686,-60.9040,5.74,-0.057,,,,
+75974,,15.51549,64.2087,5.74,0.976,,,,
+77645,141318,15.85189,-55.0555,5.74,0.017,,,Nor,
+78279,,15.98282,-65.0376,5.74,-0.066,,,,
+79349,145713,16.19390,23.4948,5.74,1.519,,10,Her,
+81734,150557,16.69513,1.1812,5.74,0.336,,14,Oph,
+82110,,16.77256,-58.5036,5.74,-0.101,,,,
+83196,153363,17.00264,-24.9891,5.74,0.407,,26,Oph,
+84769,,17.32697,80.1364,5.74,1.499,,,,
+86313,,17.63597,-10.9263,5.74,1.228,,,,
+88038,,17.98213,-36.8584,5.74,0.915,,,,
+88136,166866,18.00256,80.0041,5.74,0.516,,41,Dra,
+88684,,18.10422,-4.7513,5.74,0.968,,,,
+90664,,18.49909,-57.5231,5.74,0.987,,,,
+90991,,18.56084,-14.8536,5.74,0.043,,,,
+91315,,18.62597,62.5266,5.74,-0.045,,,,
+98332,,19.97813,-69.1640,5.74,0.224,,,,
+106886,,21.64934,57.4890,5.74,0.200,,,,
+108165,208501,21.91477,56.6112,5.74,0.655,,13,Cep,
+109209,,22.12461,19.4755,5.74,0.331,,,,
+117125,,23.74468,-78.7914,5.74,1.108,,,,
+117314,,23.78775,-11.9111,5.74,1.068,,,,
+7276,,1.56190,-7.0253,5.75,0.639,,,,
+7916,,1.69579,-11.3247,5.75,0.443,,,,
+10718,13982,2.29997,57.8998,5.75,1.175,,8,Per,
+14060,18784,3.01945,-7.6630,5.75,1.043,ρ1,8,Eri,Aludhi
+19525,,4.18306,33.5868,5.75,1.412,,,,
+22936,,4.93530,52.8698,5.75,0.105,,,,
+24426,,5.24135,-35.9770,5.75,1.009,,,,
+26019,,5.55205,-35.1394,5.75,1.085,,,,
+29225,42087,6.16222,23.1135,5.75,0.192,,3,Gem,
+30827,45412,6.47613,30.4930,5.75,0.779,,48,Aur,
+31940,,6.67469,77.9958,5.75,1.488,,,,
+32617,,6.80529,-1.3189,5.75,0.292,,,,
+32698,,6.82123,-2.2720,5.75,-0.098,,,,
+33024,,6.88041,8.3804,5.75,0.270,,,,
+34360,54309,7.12294,-23.8407,5.75,-0.117,,,CMa,
+34722,54801,7.18974,26.8566,5.75,0.130,,47,Gem,
+35152,55870,7.26588,27.8974,5.75,1.605,,53,Gem,
+36396,,7.48947,-10.3267,5.75,1.616,,,,
+41515,71801,8.46651,-35.1138,5.75,-0.151,,,Pyx,
+43798,,8.92012,-18.2412,5.75,1.327,,,,
+46657,82383,9.51281,-31.8892,5.75,0.066,ζ1,,Ant,
+48982,,9.99339,29.6452,5.75,1.059,,,,
+54840,,11.22761,-53.2318,5.75,1.309,,,,
+59229,105509,12.14828,-44.3260,5.75,0.240,,,Cen,
+62894,,12.88941,-60.3285,5.75,0.295,,,,
+63024,112264,12.91570,47.1967,5.75,1.451,,,CVn,
+65466,,13.41852,23.8544,5.75,0.090,,,,
+74066,133880,15.13670,-40.5839,5.75,-0.113,,,Lup,
+74239,,15.17184,-26.3326,5.75,1.045,,,,
+74582,134453,15.23866,-70.0795,5.75,3.271,,,TrA,
+79005,144708,16.12678,-12.7454,5.75,0.018,,11,Sco,
+80375,148330,16.40704,55.2051,5.75,0.001,,,Dra,
+85185,,17.40876,16.3010,5.75,0.074,,,,
+86782,161693,17.73311,53.8017,5.75,0.017,,,,Alruba
+97473,187259,19.81168,11.8159,5.75,0.546,π,52,Aql,
+98478,188584,20.00642,-66.9494,5.75,1.033,μ1,,Pav,
+102092,,20.68991,-31.5983,5.75,1.551,,,,
+102208,199095,20.70979,82.5312,5.75,0.000,,76,Dra,
+104364,,21.14241,-63.9283,5.75,1.180,,,,
+104516,,21.17099,53.5631,5.75,-0.111,,,,
+105282,,21.32465,49.5103,5.75,-0.119,,,,
+106003,,21.46896,32.2253,5.75,0.333,,,,
+109023,,22.08648,26.6737,5.75,1.249,,,,
+110023,211434,22.28514,-5.3872,5.75,0.878,,44,Aqr,
+110103,211833,22.30351,62.8044,5.75,1.256,,25,Cep,
+115537,,23.40369,-51.8912,5.75,1.611,,,,
+115755,220885,23.45205,42.9120,5.75,-0.007,,13,And,
+7751,10360,1.66321,-56.1964,5.76,0.880,p,,Eri,
+8993,11763,1.93085,23.5773,5.76,1.185,,7,Ari,
+12692,16727,2.71745,55.1060,5.76,-0.110,,11,Per,
+13654,18191,2.93014,18.3316,5.76,1.452,,45,Ari,
+16285,,3.49865,-42.6343,5.76,0.205,,,,
+16511,21933,3.54332,9.3734,5.76,-0.072,t,6,Tau,
+17579,23432,3.76513,24.5545,5.76,-0.036,,21,Tau,Asterope
+18212,,3.89409,48.6505,5.76,1.040,,,,
+20268,,4.34479,6.1308,5.76,0.914,,,,
+21192,28843,4.54377,-3.2095,5.76,-0.117,,,Eri,
+22325,30606,4.80904,-16.3295,5.76,0.537,,59,Eri,
+26219,,5.58763,-33.0797,5.76,1.120,,,,
+29433,42509,6.20037,19.7905,5.76,-0.071,,68,Ori,
+30069,,6.32805,-34.3966,5.76,-0.080,,,,
+30591,45572,6.42879,-48.1769,5.76,-0.061,G,,Pup,
+30836,,6.47706,-17.4660,5.76,1.118,,,,
+31737,47152,6.63973,28.9844,5.76,-0.001,,53,Aur,
+37329,61899,7.66330,-38.2607,5.76,-0.071,d3,,Pup,
+38474,,7.87996,-5.4283,5.76,0.412,,,,
+42090,72524,8.57886,36.4196,5.76,0.051,,33,Lyn,
+44936,,9.15320,-12.3577,5.76,0.937,,,,
+51561,91355,10.53262,-45.0667,5.76,-0.194,s,,Vel,
+56445,100563,11.57277,3.0602,5.76,0.480,,89,Leo,
+61379,,12.57844,-44.6730,5.76,0.683,,,,
+62576,111469,12.82151,27.5524,5.76,0.051,,30,Com,
+64445,,13.20915,11.5561,5.76,1.499,,,,
+65144,,13.34936,-46.8800,5.76,1.106,,,,
+65420,116568,13.40923,-5.1640,5.76,0.415,,66,Vir,
+68276,121996,13.97748,21.6962,5.76,-0.002,,10,Boo,
+72378,130274,14.79932,-26.6462,5.76,-0.007,,57,Hya,
+72487,130945,14.82185,46.1162,5.76,0.482,h,38,Boo,Merga
+74184,,15.15831,-67.0841,5.76,0.675,,,,
+76568,,15.63784,46.7978,5.76,0.353,,,,
+78045,,15.93497,-60.4825,5.76,0.087,,,,
+80054,,16.34035,-55.1397,5.76,0.970,,,,
+80898,,16.52040,22.1955,5.76,1.605,,,,
+83367,,17.03853,25.5056,5.76,1.018,,,,
+84690,,17.31329,-44.1297,5.76,-0.049,,,,
+85068,,17.38531,-56.5255,5.76,0.994,,,,
+85169,,17.40522,-60.6738,5.76,-0.067,,,,
+86254,160181,17.62531,24.3100,5.76,0.114,,79,Her,
+87836,,17.94495,-28.0654,5.76,0.207,,,,
+89968,168608,18.35639,-18.8600,5.76,0.670,,,Sgr,
+90762,,18.51790,16.9286,5.76,0.053,,,,
+91322,171978,18.62665,-0.3095,5.76,0.067,e,,Ser,
+91854,,18.72704,-64.5514,5.76,0.967,,,,
+95572,,19.44004,13.0238,5.76,0.456,,,,
+96141,,19.54829,-53.1856,5.76,0.300,,,,
+97816,,19.87715,-54.9710,5.76,0.915,,,,
+97928,188154,19.90230,-8.5742,5.76,1.664,,56,Aql,
+100097,,20.30687,55.3971,5.76,0.118,,,,
+101427,,20.55490,-80.9649,5.76,1.122,,,,
+103673,,21.00597,-51.2653,5.76,0.480,,,,
+105696,203585,21.40689,-41.0067,5.76,-0.036,θ2,,Mic,
+109620,,22.20623,63.2910,5.76,1.645,,,,
+110602,212430,22.40752,-13.5294,5.76,0.970,,50,Aqr,
+110785,212754,22.44372,4.3938,5.76,0.519,,34,Peg,
+111196,211539,22.52709,-85.9673,5.76,1.020,υ,,Oct,
+113503,217232,22.98661,11.7288,5.76,0.293,,52,Peg,
+117756,223807,23.88070,-8.9968,5.76,1.171,h,,Aqr,
+1191,,0.24847,-9.5696,5.77,-0.084,,,,
+2006,2114,0.42339,1.9397,5.77,0.855,,44,Psc,
+5361,,1.14263,58.2634,5.77,-0.019,,,,
+20591,27786,4.41041,33.9597,5.77,0.400,,56,Per,
+22336,,4.81011,-5.6740,5.77,0.631,,,,
+25583,35802,5.46711,17.2391,5.77,1.634,,117,Tau,
+25751,,5.49855,1.7893,5.77,-0.192,,,,
+32809,,6.83938,-17.0846,5.77,1.435,,,,
+34888,,7.21867,-11.2513,5.77,1.508,,,,
+35941,57927,7.40929,27.6379,5.77,0.368,,59,Gem,
+37369,,7.67075,38.3445,5.77,1.654,,,,
+38994,66194,7.98071,-60.8245,5.77,-0.082,,,Car,
+40155,68808,8.19999,-46.6444,5.77,0.626,,,Vel,
+40344,,8.23701,-35.4900,5.77,1.024,,,,
+46225,,9.42423,-61.9505,5.77,0.137,,,,
+47013,82189,9.58153,72.2057,5.77,0.530,,22,UMa,
+50027,88547,10.21343,4.6147,5.77,1.178,,19,Sex,
+52452,92841,10.72248,4.7477,5.77,1.168,,35,Sex,
+54811,,11.22075,-44.3722,5.77,1.661,,,,
+56078,,11.49406,-24.4640,5.77,0.067,,,,
+59607,,12.22362,-38.9292,5.77,-0.144,,,,
+64692,115271,13.25887,40.8552,5.77,0.198,,19,CVn,
+67663,,13.86311,-46.8987,5.77,-0.153,,,,
+68390,122066,14.00003,-25.0104,5.77,0.480,,48,Hya,
+74006,,15.12387,-49.0886,5.77,0.920,,,,
+76376,,15.59918,54.6306,5.77,0.051,,,,
+81300,149661,16.60596,-2.3246,5.77,0.827,,12,Oph,
+81641,150378,16.67741,4.2198,5.77,-0.004,,37,Her,
+85139,,17.39934,8.8526,5.77,1.251,,,,
+87558,,17.88727,6.1014,5.77,0.425,,,,
+90804,,18.52381,-10.7958,5.77,0.379,,,,
+104185,201078,21.10840,31.1847,5.77,0.554,,,Cyg,
+106393,,21.54905,49.9776,5.77,-0.042,,,,
+106897,206043,21.65033,20.2655,5.77,0.314,,,Peg,
+114775,,23.24962,-41.1054,5.77,1.160,,,,
+115280,220117,23.34813,38.1823,5.77,0.468,,12,And,
+117491,223438,23.82430,1.0761,5.77,0.167,,21,Psc,
+117628,223637,23.85590,9.3134,5.77,1.661,,80,Peg,
+343,,0.07217,-16.5290,5.78,1.084,,,,
+1074,,0.22212,-84.9940,5.78,1.710,,,,
+2876,,0.60759,60.3262,5.78,0.294,,,,
+8046,10425,1.72215,60.5513,5.78,-0.010,,44,Cas,
+8433,11007,1.81155,32.6902,5.78,0.572,,,,
+8778,11522,1.88114,-16.9292,5.78,0.260,,,Cet,
+12186,16417,2.61628,-34.5780,5.78,0.653,λ2,,For,
+12803,17036,2.74249,15.3119,5.78,-0.024,ο,37,Ari,
+14893,19832,3.20396,27.2570,5.78,-0.106,,56,Ari,
+15876,,3.40825,33.5360,5.78,-0.001,,,,
+18081,,3.86492,34.3591,5.78,-0.036,,,,
+20297,29116,4.34946,-81.5799,5.78,0.359,ν,,Men,
+21148,28446,4.53385,53.9108,5.78,0.119,,1,Cam,
+21588,29375,4.63596,16.0333,5.78,0.312,,89,Tau,
+22024,30076,4.73481,-8.5036,5.78,-0.076,,56,Eri,
+25041,,5.36210,8.4286,5.78,-0.114,,,,
+25397,,5.43329,-19.6954,5.78,0.441,,,,
+27280,,5.78115,9.5223,5.78,0.888,,,,
+29388,42126,6.19350,48.7110,5.78,0.100,,41,Aur,
+29451,,6.20559,32.6934,5.78,1.646,,,,
+30463,,6.40385,-60.2813,5.78,-0.001,,,,
+31446,,6.58773,0.8902,5.78,0.004,,,,
+32851,,6.84717,-0.5409,5.78,0.396,,,,
+33914,,7.03819,15.3360,5.78,1.140,,,,
+34215,,7.09417,9.1858,5.78,1.513,,,,
+35120,,7.26095,7.9777,5.78,1.537,,,,
+36362,,7.48470,-31.4562,5.78,-0.185,,,,
+36848,,7.57633,-27.0123,5.78,1.045,,,,
+37223,61641,7.64553,-36.4968,5.78,-0.148,e,,Pup,
+38160,,7.82025,-60.2837,5.78,0.428,,,,
+38210,,7.82805,-66.1960,5.78,-0.040,,,,
+39221,,8.02244,59.0474,5.78,0.421,,,,
+43669,,8.89685,-60.3539,5.78,-0.088,,,,
+45122,,9.19261,-46.5839,5.78,-0.218,,,,
+50078,,10.22444,-51.7558,5.78,0.136,,,,
+58952,104985,12.08753,76.9057,5.78,1.029,,,,Tonatiuh
+60969,,12.49839,-56.5249,5.78,1.572,,,,
+61498,,12.60029,-39.8695,5.78,0.003,,,,
+64332,,13.18580,-42.2329,5.78,0.521,,,,
+72208,130144,14.76832,15.1318,5.78,1.335,,,Boo,
+72934,131530,14.90635,-11.8983,5.78,0.982,ξ1,13,Lib,
+77562,,15.83530,-53.2098,5.78,-0.076,,,,
+77990,,15.92566,-60.1776,5.78,0.355,,,,
+78142,,15.95593,-36.1853,5.78,1.095,,,,
+79497,145361,16.22297,-55.5409,5.78,0.365,ζ,,Nor,
+82775,,16.91625,-41.1509,5.78,0.132,,,,
+85699,166926,17.51322,86.9680,5.78,0.239,,24,UMi,
+86552,,17.68785,-46.9218,5.78,-0.004,,,,
+87393,,17.85985,-60.1641,5.78,1.008,,,,
+91405,,18.64187,-23.5049,5.78,-0.018,,,,
+93845,,19.11067,24.2508,5.78,0.104,,,,
+101475,196178,20.56523,46.6939,5.78,-0.140,,,Cyg,
+103226,199012,20.91328,-17.9229,5.78,1.122,,19,Cap,
+105928,204139,21.45411,-21.1962,5.78,1.440,,35,Cap,
+107887,,21.85951,19.8267,5.78,-0.100,,,,
+109471,,22.17707,11.6245,5.78,1.617,,,,
+110668,,22.41961,-70.4316,5.78,0.396,,,,
+117887,224062,23.91295,0.1093,5.78,1.466,,,Psc,
+1657,,0.34598,32.9112,5.79,1.595,,,,
+7118,,1.52868,-30.2831,5.79,1.073,,,,
+10540,13871,2.26279,25.7829,5.79,0.439,,20,Ari,
+12114,16160,2.60136,6.8869,5.79,0.918,,,,
+12444,16673,2.67012,-9.4529,5.79,0.524,,,,
+15192,,3.26333,57.1406,5.79,0.644,,,,
+16591,21912,3.55973,39.8995,5.79,0.139,,,Per,
+17585,,3.76693,67.2016,5.79,0.347,,,,
+21253,,4.55943,-62.8237,5.79,1.028,,,,
+22913,,4.93060,15.0403,5.79,-0.085,,,,
+23068,31553,4.96351,23.9486,5.79,1.109,,99,Tau,
+23088,31592,4.96927,25.0504,5.79,0.018,k,98,Tau,
+26169,37993,5.57911,-73.7413,5.79,1.717,,,Men,
+27549,,5.83408,9.8712,5.79,0.876,,,,
+28899,,6.10154,-29.7586,5.79,0.041,,,,
+30011,,6.31638,-20.9256,5.79,-0.155,,,,
+31992,,6.68485,0.4953,5.79,-0.094,,,,
+35998,,7.41897,-13.7520,5.79,0.432,,,,
+36024,,7.42369,-25.2178,5.79,-0.103,,,,
+36251,,7.46435,-11.5569,5.79,0.583,,,,
+37508,,7.69773,13.4805,5.79,1.669,,,,
+42177,73340,8.59779,-50.9697,5.79,-0.132,E,,Vel,
+43012,,8.76532,-79.5044,5.79,1.595,,,,
+43603,,8.88001,-38.7241,5.79,1.508,,,,
+45743,,9.32587,-15.8347,5.79,1.285,,,,
+45915,80390,9.36203,56.6992,5.79,1.511,,,UMa,
+48339,,9.85335,-59.4258,5.79,1.354,,,,
+51420,90840,10.50179,38.9251,5.79,0.087,,32,LMi,
+52478,92728,10.72871,57.1992,5.79,-0.038,,39,UMa,
+54561,,11.16483,-32.3675,5.79,0.027,,,,
+54863,,11.23384,8.0607,5.79,1.128,,,,
+60463,,12.39576,-38.9114,5.79,-0.064,,,,
+63414,112846,12.99431,-3.8119,5.79,0.203,k,44,Vir,
+64179,,13.15345,10.0225,5.79,1.025,,,,
+66681,,13.66964,-64.5766,5.79,0.401,,,,
+76532,,15.63001,-23.1417,5.79,1.074,,,,
+78649,,16.05538,36.6318,5.79,0.586,,,,
+80672,,16.47069,-37.1799,5.79,1.104,,,,
+83150,152564,16.99277,-69.2682,5.79,-0.103,,,TrA,
+88817,166046,18.13042,26.0973,5.79,0.127,,100,Her,
+91118,,18.58683,18.2034,5.79,0.006,,,,
+94434,,19.22047,-25.9068,5.79,1.387,,,,
+95793,183324,19.48361,1.9504,5.79,0.088,c,35,Aql,
+97985,,19.91340,36.9957,5.79,0.773,,,,
+102026,,20.67570,-16.1242,5.79,0.997,,,,
+106592,,21.58823,-3.9833,5.79,1.110,,,,
+108758,,22.03072,52.8823,5.79,-0.106,,,,
+109240,210129,22.13064,21.7029,5.79,-0.077,,25,Peg,
+110578,212404,22.40191,-4.8370,5.79,-0.033,,51,Aqr,
+110992,,22.48617,26.7632,5.79,1.252,,,,
+113048,,22.89449,44.7492,5.79,0.282,,,,
+113902,,23.06657,-41.4789,5.79,1.069,,,,
+171,224930,0.03615,27.0823,5.80,0.690,,85,Peg,
+418,225289,0.08504,61.3140,5.80,-0.067,,,Cas,
+3583,4391,0.76267,-47.5520,5.80,0.635,,,,
+4267,5267,0.90979,19.1884,5.80,-0.016,,66,Psc,
+5550,7019,1.18619,37.7241,5.80,-0.095,,45,And,
+12239,,2.62669,65.7453,5.80,1.561,,,,
+13055,,2.79659,81.4485,5.80,1.300,,,,
+13834,18404,2.96812,20.6687,5.80,0.415,,47,Ari,
+18217,,3.89536,57.9751,5.80,0.182,,,,
+19571,,4.19339,-20.3562,5.80,0.165,,,,
+23916,,5.13894,-8.6653,5.80,-0.059,,,,
+25708,,5.48991,-3.4464,5.80,1.149,,,,
+28855,,6.09088,-35.5136,5.80,0.027,,,,
+33248,51055,6.91743,-20.4049,5.80,0.048,,17,CMa,
+34339,54475,7.11863,-40.8933,5.80,-0.158,D,,Pup,
+34975,,7.23635,-3.9018,5.80,1.585,,,,
+35785,57103,7.38113,55.2814,5.80,-0.078,,19,Lyn,
+35984,,7.41586,51.8873,5.80,1.610,,,,
+37710,,7.73603,-36.0625,5.80,0.320,,,,
+38848,64960,7.94985,15.7903,5.80,1.285,,1,Cnc,
+40866,,8.33916,20.7477,5.80,1.137,,,,
+42028,,8.56711,-2.1516,5.80,0.007,,,,
+44075,76932,8.97887,-16.1327,5.80,0.521,,,,
+44256,,9.01271,-60.9638,5.80,1.211,,,,
+47498,,9.68394,-57.2595,5.80,1.083,,,,
+47943,,9.76946,6.7086,5.80,1.639,,,,
+49764,,10.15838,-68.6828,5.80,0.015,,,,
+50493,,10.31053,-56.1104,5.80,0.481,,,,
+52980,93903,10.83835,-8.8978,5.80,0.156,,41,Sex,
+55716,,11.41637,11.4303,5.80,1.376,,,,
+55849,,11.44646,-53.1599,5.80,0.517,,,,
+56601,,11.60499,27.7814,5.80,0.248,,,,
+59920,,12.29155,53.1913,5.80,1.330,,,,
+72210,,14.76855,-23.1530,5.80,0.980,,,,
+72552,,14.83289,28.6158,5.80,0.046,,,,
+76878,140232,15.69853,18.4640,5.80,0.207,τ7,22,Ser,
+79757,146738,16.27911,29.1503,5.80,0.063,υ,18,CrB,
+85998,159480,17.57686,9.5867,5.80,0.040,f,53,Oph,
+92367,,18.82426,-45.8101,5.80,0.891,,,,
+98512,,20.01343,-45.1129,5.80,0.295,,,,
+98819,190406,20.06839,17.0702,5.80,0.600,,15,Sge,
+109332,210191,22.14972,-18.5196,5.80,-0.154,,35,Aqr,
+110009,,22.28127,-9.0401,5.80,1.158,,,,
+111660,,22.62027,75.3718,5.80,1.594,,,,
+113031,216494,22.89131,-11.6165,5.80,-0.082,,74,Aqr,
+5494,,1.17207,25.4578,5.81,1.466,,,,
+10871,,2.33174,-55.9448,5.81,1.570,,,,
+11090,,2.38064,41.3963,5.81,0.289,,,,
+12148,,2.60974,7.7300,5.81,1.040,,,,
+14187,,3.04885,-46.9750,5.81,1.304,,,,
+16368,,3.51436,-66.4897,5.81,-0.055,,,,
+17798,,3.80992,-20.9030,5.81,1.602,,,,
+20465,,4.38491,-24.8922,5.81,1.507,,,,
+24732,,5.30368,73.2681,5.81,-0.023,,,,
+26545,,5.64543,-40.7073,5.81,-0.078,,,,
+28287,,5.97709,-44.0346,5.81,1.061,,,,
+32402,,6.76492,-52.4097,5.81,1.551,,,,
+35202,,7.27551,-38.3189,5.81,-0.133,,,,
+50384,89125,10.28737,23.1062,5.81,0.500,,39,Leo,
+53762,,10.99983,-43.8071,5.81,-0.064,,,,
+64927,,13.30770,34.0983,5.81,1.366,,,,
+65247,,13.37119,-52.1830,5.81,0.072,,,,
+66563,,13.64502,-29.5609,5.81,0.431,,,,
+67143,,13.76025,-26.1160,5.81,0.023,,,,
+77738,,15.87127,55.8267,5.81,0.972,,,,
+86620,162004,17.69947,72.1569,5.81,0.530,ψ,31,Dra,Dsiban
+89609,,18.28657,-17.3739,5.81,1.569,,,,
+90342,,18.43299,29.8289,5.81,0.068,,,,
+95222,,19.37265,-0.2523,5.81,1.093,,,,
+99026,,20.10385,53.1657,5.81,0.445,,,,
+99663,,20.22434,60.6406,5.81,1.476,,,,
+105413,203291,21.35134,7.3545,5.81,1.663,,9,Equ,
+114167,,23.12077,-50.6867,5.81,0.486,,,,
+115191,219981,23.33123,42.0780,5.81,1.512,,10,And,
+116582,,23.62557,44.4290,5.81,-0.064,,,,
+118281,224635,23.99147,33.7239,5.81,0.539,,,,
+7078,9021,1.52049,70.2646,5.82,0.489,,38,Cas,
+13835,18535,2.96826,-23.6060,5.82,1.334,,6,Eri,
+16340,,3.51027,48.1036,5.82,-0.033,,,,
+16846,22468,3.61313,0.5878,5.82,0.885,,,Tau,
+17891,,3.82683,63.2970,5.82,0.189,,,,
+22573,,4.85784,-34.9063,5.82,0.105,,,,
+28992,,6.11769,-34.3120,5.82,-0.137,,,,
+30703,,6.45115,-58.0021,5.82,1.279,,,,
+31072,,6.52031,-35.2588,5.82,0.813,,,,
+31173,46052,6.54089,32.4549,5.82,0.188,,,Aur,
+38159,63949,7.82024,-46.8577,5.82,-0.142,,,Pup,
+41621,,8.48543,-44.1604,5.82,-0.160,,,,
+55581,,11.38559,-56.7794,5.82,-0.004,,,,
+59728,,12.24989,-20.8442,5.82,1.052,,,,
+60584,108135,12.41756,56.7778,5.82,1.622,,71,UMa,
+64822,,13.28720,-43.9795,5.82,0.187,,,,
+65536,,13.43557,72.3915,5.82,1.652,,,,
+68079,,13.93883,-46.5929,5.82,1.140,,,,
+74096,,15.14321,25.1086,5.82,1.233,,,,
+75944,138137,15.51122,-16.6095,5.82,1.056,,34,Lib,
+76207,,15.56714,-40.0664,5.82,1.695,,,,
+76569,,15.63785,-21.0163,5.82,1.077,,,,
+78442,,16.01421,4.4274,5.82,1.003,,,,
+85207,,17.41167,-21.4415,5.82,0.939,,,,
+87812,163472,17.93845,0.6704,5.82,0.058,,,Oph,
+91532,,18.66677,-7.7908,5.82,1.536,,,,
+91974,,18.74711,-25.0109,5.82,0.033,,,,
+92027,,18.75788,5.5001,5.82,0.041,,,,
+92488,,18.84959,-9.7741,5.82,0.594,,,,
+93580,,19.05896,1.8188,5.82,0.182,,,,
+95785,183491,19.48252,24.7687,5.82,1.023,,8,Vul,
+100276,,20.33928,17.7929,5.82,1.500,,,,
+111600,,22.60985,-31.6638,5.82,1.074,,,,
+112590,,22.80307,37.4167,5.82,1.024,,,,
+113084,,22.90194,40.3769,5.82,1.136,,,,
+116250,221420,23.55544,-77.3853,5.82,0.681,,,,
+3299,,0.70095,66.1476,5.83,1.042,,,,
+5021,,1.07207,61.5802,5.83,0.569,,,,
+8544,11154,1.83571,22.2753,5.83,0.743,,1,Ari,
+13108,17459,2.80891,18.2838,5.83,1.216,,40,Ari,
+26396,,5.61913,26.9245,5.83,-0.075,,,,
+29379,42398,6.19231,24.4203,5.83,1.110,,5,Gem,
+29575,,6.23173,-3.7414,5.83,0.910,,,,
+29629,,6.24353,-4.5685,5.83,-0.155,,,,
+35749,,7.37372,-5.9828,5.83,0.352,,,,
+36812,60357,7.57108,3.3717,5.83,-0.018,δ3,9,CMi,
+39380,,8.05115,-32.4635,5.83,1.225,,,,
+40077,,8.18633,-48.4620,5.83,-0.146,,,,
+45559,,9.28548,-14.5741,5.83,1.049,,,,
+45675,80558,9.31177,-51.5607,5.83,0.474,,,Vel,
+48748,,9.94319,-33.4185,5.83,1.202,,,,
+56035,,11.48460,61.7784,5.83,0.382,,,,
+58181,103605,11.93289,56.5986,5.83,1.101,,66,UMa,
+62512,111456,12.81096,60.3198,5.83,0.467,,,,
+67861,120991,13.89923,-47.1282,5.83,-0.053,,,Cen,
+70663,,14.45338,-46.1343,5.83,0.311,,,,
+71573,,14.63756,54.0233,5.83,0.007,,,,
+73566,132851,15.03512,-28.0606,5.83,0.164,,60,Hya,
+80351,147869,16.40301,6.9482,5.83,0.018,o,21,Her,
+81289,,16.60311,46.6133,5.83,1.044,,,,
+81472,149711,16.64063,-43.3984,5.83,-0.053,,,Sco,
+85379,158414,17.44562,48.2601,5.83,0.121,x,77,Her,
+85760,156513,17.52429,-80.8591,5.83,1.617,,,Aps,
+88818,166045,18.13043,26.1013,5.83,0.158,,100,Her,
+97376,,19.79105,38.4076,5.83,-0.087,,,,
+100069,,20.30194,40.7321,5.83,0.073,,,,
+103359,,20.94041,50.7286,5.83,0.337,,,,
+103810,,21.03583,56.6696,5.83,-0.058,,,,
+104680,201647,21.20381,-40.2694,5.83,0.450,,,506,
+105164,202753,21.30307,-4.5195,5.83,-0.130,,15,Aqr,
+108875,209459,22.05529,11.3866,5.83,-0.050,,21,Peg,
+110787,213403,22.44511,78.7859,5.83,0.171,,28,Cep,
+114382,,23.16593,-42.8613,5.83,0.475,,,,
+840,,0.17191,-5.2486,5.84,0.973,,,,
+873,,0.17857,-12.5799,5.84,1.000,,,,
+6502,,1.39193,-30.9456,5.84,1.612,,,,
+9132,,1.96215,27.8044,5.84,1.576,,,,
+10035,,2.15258,-43.5166,5.84,1.197,,,,
+11840,,2.54795,34.5424,5.84,1.083,,,,
+12288,16538,2.63852,-30.1941,5.84,0.476,ι2,,For,
+14110,,3.03225,-9.9614,5.84,1.092,,,,
+15305,,3.29072,-47.7517,5.84,1.228,,,,
+19454,,4.16712,86.6261,5.84,0.393,,,,
+22407,,4.82197,32.5882,5.84,0.250,,,,
+23148,34172,4.98083,-82.4705,5.84,0.932,ξ,,Men,
+23883,32991,5.13207,21.7048,5.84,0.168,,105,Tau,
+34758,,7.19489,-20.8831,5.84,-0.038,,,,
+35025,55621,7.24499,24.8850,5.84,1.554,,52,Gem,
+36721,,7.55271,-24.7107,5.84,0.156,,,,
+50336,,10.27827,25.3707,5.84,1.206,,,,
+52139,92168,10.65212,37.9100,5.84,0.595,,38,LMi,
+56606,,11.60621,-61.0524,5.84,-0.102,,,,
+61916,,12.68972,-46.1456,5.84,1.475,,,,
+63143,,12.93821,54.0995,5.84,0.204,,,,
+64587,,13.23815,-78.4475,5.84,1.040,,,,
+64623,,13.24535,-48.9570,5.84,1.061,,,,
+69829,125180,14.29123,15.2634,5.84,1.678,,101,Boo,
+71002,,14.52123,-67.7172,5.84,1.006,,,,
+74539,,15.23147,-26.1936,5.84,1.139,,,,
+76594,,15.64283,50.4233,5.84,0.847,,,,
+78168,,15.96124,-20.9831,5.84,0.012,,,,
+81741,,16.69596,-33.1458,5.84,0.653,,,,
+82716,,16.90749,-42.4789,5.84,0.626,,,,
+85889,,17.55205,-41.1731,5.84,0.041,,,,
+87472,,17.87215,-34.4168,5.84,1.129,,,,
+88670,,18.10205,-8.3240,5.84,0.184,,,,
+91461,,18.65397,-47.9098,5.84,0.233,,,,
+92822,,18.91309,48.8594,5.84,0.452,,,,
+95188,181645,19.36414,-18.3084,5.84,1.062,ρ2,45,Sgr,
+95582,,19.44130,19.8915,5.84,1.558,,,,
+95732,,19.47245,2.9300,5.84,-0.003,,,,
+99572,191862,20.20719,-12.6175,5.84,0.476,ξ,2,Cap,
+106062,204585,21.48327,22.1794,5.84,1.370,,,Peg,
+108226,,21.92528,65.3208,5.84,-0.037,,,,
+111810,214567,22.64794,19.5223,5.84,0.922,,40,Peg,
+112417,,22.76951,44.5461,5.84,0.358,,,,
+12686,,2.71653,53.5261,5.85,1.125,,,,
+18606,,3.98122,-5.4699,5.85,1.001,,,,
+20271,27563,4.34523,-7.5925,5.85,-0.124,d,,Eri,
+21604,29365,4.63773,20.6847,5.85,-0.019,,,Tau,
+33377,50658,6.94224,46.2740,5.85,-0.079,ψ9,,Aur,
+34819,55052,7.20733,24.1286,5.85,0.397,,48,Gem,
+44406,,9.04578,7.2983,5.85,1.100,,,,
+45314,,9.23561,-44.1458,5.85,-0.113,,,,
+45386,79807,9.24921,-37.6024,5.85,0.827,k1,,Vel,
+48734,,9.94055,8.9332,5.85,1.129,,,,
+52922,,10.82345,-59.3238,5.85,0.008,,,,
+52948,,10.82875,-9.8527,5.85,1.074,,,,
+57841,,11.86156,-30.8348,5.85,0.554,,,,
+59608,106251,12.22387,10.2623,5.85,0.262,,12,Vir,
+66798,,13.69164,64.8224,5.85,0.073,,,,
+72959,,14.91053,-33.3006,5.85,1.429,,,,
+74100,,15.14422,-42.8679,5.85,-0.123,,,,
+76509,,15.62556,54.5087,5.85,1.098,,,,
+77370,,15.79387,55.3766,5.85,0.249,,,,
+91438,172051,18.64817,-21.0519,5.85,0.673,,,,
+94336,179957,19.20140,49.8558,5.85,0.666,,,,
+95352,,19.39903,43.3882,5.85,0.924,,,,
+111643,214150,22.61635,-40.5910,5.85,0.060,σ2,,Gru,
+113622,,23.01192,3.0118,5.85,1.343,,,,
+114641,,23.22403,11.0650,5.85,1.004,,,,
+117722,,23.87500,-14.2512,5.85,1.252,,,,
+1372,,0.28585,47.9474,5.86,-0.079,,,,
+3750,,0.80254,72.6745,5.86,1.010,,,,
+8387,10982,1.80304,16.9556,5.86,-0.039,,4,Ari,
+10326,,2.21694,-21.0001,5.86,1.006,,,,
+13339,,2.86159,46.8419,5.86,0.903,,,,
+16989,,3.64146,-7.3919,5.86,0.980,,,,
+20341,,4.35751,-0.0982,5.86,1.320,,,,
+21972,,4.72267,49.9738,5.86,0.013,,,,
+23475,,5.04594,-4.2101,5.86,1.212,,,,
+25488,,5.45148,-40.9435,5.86,0.239,,,,
+25887,,5.52667,-45.9253,5.86,1.349,,,,
+29616,,6.24127,17.9064,5.86,0.253,,,,
+31039,45410,6.51309,58.1626,5.86,0.934,,6,Lyn,
+33937,,7.04258,16.6744,5.86,1.659,,,,
+35347,57197,7.30118,-43.9868,5.86,-0.117,M,,Pup,
+36399,59380,7.49045,-7.5512,5.86,0.487,,,,
+38712,,7.92540,8.8628,5.86,0.369,,,,
+40357,,8.23997,-45.8345,5.86,-0.176,,,,
+43370,,8.83395,-29.4630,5.86,0.948,,,,
+45585,,9.29099,-74.7346,5.86,-0.024,,,,
+46618,,9.50625,-15.5774,5.86,1.193,,,,
+46736,,9.52585,-35.7148,5.86,1.287,,,,
+48893,,9.97299,72.8795,5.86,1.155,,,,
+49893,,10.18688,37.4019,5.86,1.282,,,,
+53778,,11.00325,-14.0834,5.86,1.501,,,,
+61420,,12.58560,21.8814,5.86,1.242,,,,
+61720,,12.65096,-30.4224,5.86,1.207,,,,
+69929,125248,14.31063,-18.7160,5.86,0.013,,,Vir,
+71182,,14.55833,-52.6795,5.86,1.085,,,,
+71184,,14.55899,-54.9986,5.86,0.482,,,,
+72567,130948,14.83773,23.9118,5.86,0.576,,,Boo,
+77052,140538,15.73384,2.5152,5.86,0.684,ψ,23,Ser,
+77541,,15.83264,-48.9124,5.86,0.068,,,,
+79098,,16.14548,-23.6854,5.86,0.020,,,,
+79320,,16.18825,-41.1198,5.86,0.273,,,,
+82172,151732,16.78882,42.2389,5.86,1.504,,,Her,
+82621,,16.89034,-20.4156,5.86,0.685,,,,
+85049,,17.38201,-58.0103,5.86,1.075,,,,
+88101,,17.99355,-4.8211,5.86,1.561,,,,
+89099,,18.18488,-41.3591,5.86,0.295,,,,
+89115,,18.18772,-75.8915,5.86,1.253,,,,
+89234,,18.20946,-73.6724,5.86,0.464,,,,
+94157,,19.16601,-41.8923,5.86,-0.080,,,,
+97081,,19.72919,41.7731,5.86,1.598,,,,
+100062,192879,20.30039,-21.8100,5.86,1.002,,4,Cap,
+100738,,20.42412,-28.6633,5.86,1.101,,,,
+102772,,20.82156,-25.7812,5.86,-0.069,,,,
+112997,216489,22.88396,16.8412,5.86,1.132,,,Peg,
+116380,,23.58307,71.6420,5.86,1.681,,,,
+117503,223460,23.82805,36.4253,5.86,0.806,,,And,
+207,,0.04336,66.0990,5.87,1.073,,,,
+5926,7389,1.26997,71.7438,5.87,2.042,,,Cas,
+6226,8036,1.33008,-0.5090,5.87,0.635,,42,Cet,
+9572,,2.04960,-15.3059,5.87,0.966,,,,
+20804,,4.45799,11.2123,5.87,0.049,,,,
+26487,,5.63365,7.5414,5.87,-0.061,,,,
+27533,,5.83153,-22.9719,5.87,0.055,,,,
+28011,,5.92505,-4.6165,5.87,1.173,,,,
+30666,,6.44433,-1.5073,5.87,0.070,,,,
+31665,46590,6.62733,56.8575,5.87,0.006,,11,Lyn,
+32753,49606,6.83051,16.2029,5.87,-0.136,,33,Gem,
+35341,56221,7.30061,40.8834,5.87,0.181,,64,Aur,
+35626,57615,7.35121,-25.8916,5.87,1.604,,,CMa,
+36444,,7.49992,-52.6512,5.87,1.010,,,,
+37915,63215,7.76959,-37.9337,5.87,-0.111,,,Pup,
+39184,,8.01387,-54.1513,5.87,-0.134,,,,
+39191,65714,8.01552,25.3928,5.87,1.021,ω,2,Cnc,
+46652,82087,9.51201,33.6557,5.87,1.032,,7,LMi,
+52841,,10.80392,-31.6879,5.87,0.028,,,,
+55763,,11.42586,-37.7476,5.87,1.503,,,,
+62360,,12.77951,-33.3155,5.87,1.326,,,,
+62641,111604,12.83632,37.5169,5.87,0.170,,,CVn,
+67836,,13.89531,-53.3733,5.87,0.009,,,,
+69965,125276,14.31691,-25.8154,5.87,0.518,,,,
+70657,,14.45197,-65.8216,5.87,1.502,,,,
+77909,142301,15.91098,-25.2437,5.87,-0.065,,3,Sco,
+84248,,17.22163,-67.1966,5.87,1.070,,,,
+86219,,17.61913,72.4558,5.87,1.016,,,,
+86847,,17.74500,-42.7293,5.87,0.163,,,,
+90637,,18.49325,23.8662,5.87,-0.096,,,,
+98416,189340,19.99649,-9.9582,5.87,0.598,,,,
+99889,,20.26684,45.5795,5.87,0.447,,,,
+100574,,20.39566,37.4764,5.87,-0.173,,,,
+102891,,20.84494,-12.5449,5.87,1.075,,,,
+105412,203222,21.35120,-4.5601,5.87,0.912,,16,Aqr,
+109730,,22.22741,28.6080,5.87,1.169,,,,
+1493,,0.31063,31.5172,5.88,-0.014,,,,
+2475,,0.52379,33.5816,5.88,1.133,,,,
+3093,3651,0.65606,21.2505,5.88,0.850,,54,Psc,
+4346,,0.92845,-7.3471,5.88,1.520,,,,
+7601,10800,1.63210,-82.9750,5.88,0.620,,,,
+11348,15144,2.43343,-15.3412,5.88,0.116,,,Cet,
+11670,,2.50899,25.2350,5.88,0.412,,,,
+14086,18907,3.02712,-28.0916,5.88,0.794,ε,,For,
+19129,,4.10089,68.6800,5.88,1.543,,,,
+20020,27657,4.29452,-63.2554,5.88,-0.061,θ,,Ret,
+21323,,4.57722,28.9612,5.88,-0.048,,,,
+24203,,5.19593,1.0370,5.88,0.662,,,,
+26865,38090,5.70388,-22.3737,5.88,0.080,,12,Lep,
+28854,,6.09084,-10.2426,5.88,0.374,,,,
+29679,,6.25233,-20.2722,5.88,1.322,,,,
+29852,,6.28599,-37.2535,5.88,0.139,,,,
+30545,,6.42126,-0.9459,5.88,0.564,,,,
+30972,45466,6.50083,46.6856,5.88,1.448,,47,Aur,
+31159,46241,6.53867,4.8560,5.88,0.997,,12,Mon,
+31946,,6.67563,71.7488,5.88,1.223,,,,
+32226,,6.72740,3.9325,5.88,-0.046,,,,
+33415,,6.94890,46.7054,5.88,1.093,,,,
+40305,,8.23061,56.4522,5.88,1.016,,,,
+41074,,8.38054,-26.3482,5.88,0.379,,,,
+41935,,8.54861,38.0164,5.88,1.106,,,,
+44024,,8.96543,-48.5729,5.88,1.060,,,,
+46620,82536,9.50651,-58.3618,5.88,1.676,,,Car,
+50685,89343,10.35093,68.7477,5.88,0.241,,,UMa,
+53723,,10.99193,-16.3537,5.88,1.600,,,,
+55086,,11.27829,49.4763,5.88,1.102,,,,
+61181,,12.53611,-73.0011,5.88,1.078,,,,
+61558,109704,12.61315,-5.8319,5.88,0.072,f,25,Vir,
+62402,,12.78860,62.7812,5.88,0.215,,,,
+65323,116365,13.38858,-4.9244,5.88,1.431,,65,Vir,
+65550,,13.43795,46.0281,5.88,0.985,,,,
+67194,,13.77043,41.0887,5.88,0.211,,,,
+71353,,14.59208,-41.5174,5.88,-0.085,,,,
+73310,132345,14.98155,-11.1440,5.88,1.274,,18,Lib,
+73493,,15.02031,-38.0584,5.88,1.246,,,,
+74296,131596,15.18578,-84.7878,5.88,-0.031,ω,,Oct,
+74901,,15.30726,-0.4612,5.88,1.507,,,,
+83176,,16.99936,-25.0922,5.88,1.607,,,,
+87460,162374,17.87046,-34.7992,5.88,-0.111,,,Sco,
+90915,,18.54615,23.6168,5.88,1.490,,,,
+90930,,18.54871,-73.9656,5.88,0.992,,,,
+94013,179094,19.14050,52.4257,5.88,1.086,,,Cyg,
+94630,,19.25691,30.5264,5.88,1.665,,,,
+97783,187739,19.87000,-19.0450,5.88,0.979,,57,Sgr,
+98609,,20.02909,24.8004,5.88,-0.134,,,,
+104171,,21.10647,71.4318,5.88,0.386,,,,
+107232,206561,21.71789,-14.3997,5.88,0.255,,44,Cap,
+109972,,22.27405,57.2202,5.88,0.950,,,,
+111259,,22.54066,39.7797,5.88,0.166,,,,
+111394,213789,22.56747,-1.5743,5.88,0.977,,60,Aqr,
+111934,,22.67286,-30.6589,5.88,1.297,,,,
+114366,,23.16240,-28.0886,5.88,1.311,,,,
+1630,,0.34011,30.9356,5.89,-0.098,,,,
+2903,3379,0.61314,15.2317,5.89,-0.146,,53,Psc,
+3170,3823,0.67380,-59.4546,5.89,0.564,,,,
+9001,,1.93180,37.2778,5.89,1.599,,,,
+9307,,1.99325,21.0586,5.89,1.031,,,,
+9353,12235,2.00255,3.0970,5.89,0.610,,112,Psc,
+11033,,2.36805,-17.6622,5.89,1.231,,,,
+11381,,2.44311,-20.0426,5.89,1.247,,,,
+11548,15335,2.48014,29.9318,5.89,0.591,,13,Tri,
+13121,17471,2.81275,25.1881,5.89,-0.033,,,Ari,
+13949,,2.99441,41.0329,5.89,1.445,,,,
+14502,,3.12195,64.0576,5.89,-0.020,,,,
+18735,,4.01355,18.1940,5.89,0.319,,,,
+19284,,4.13317,17.3399,5.89,1.497,,,,
+24162,,5.18866,-2.4908,5.89,0.462,,,,
+28139,,5.94707,11.5211,5.89,1.111,,,,
+28271,40372,5.97345,1.8371,5.89,0.223,,59,Ori,
+37031,,7.60964,5.8622,5.89,0.602,,,,
+37752,,7.74283,-37.9429,5.89,-0.115,,,,
+38267,,7.83995,-50.5095,5.89,1.088,,,,
+40875,69548,8.34057,57.7433,5.89,0.421,,30,Lyn,
+41081,,8.38199,-52.1237,5.89,0.018,,,,
+41676,,8.49617,67.2974,5.89,0.972,,,,
+42008,,8.56208,4.7570,5.89,1.066,,,,
+43121,74873,8.78223,12.1100,5.89,0.120,A2,50,Cnc,
+44283,,9.01903,-68.6839,5.89,1.634,,,,
+44307,77104,9.02337,32.2523,5.89,0.088,,66,Cnc,
+50860,89904,10.38509,33.9081,5.89,0.147,,27,LMi,
+52043,92287,10.63407,-57.2563,5.89,-0.128,,,Car,
+54537,,11.16069,43.2077,5.89,1.564,,,,
+56287,,11.53889,-66.9618,5.89,1.136,,,,
+58103,,11.91667,-63.2792,5.89,0.210,,,,
+58720,,12.04381,-69.1923,5.89,-0.080,,,,
+58858,104827,12.07128,21.4592,5.89,0.248,,2,Com,
+62931,111973,12.89692,-60.3762,5.89,0.200,κ,,Cru,
+63033,112164,12.91625,-44.1520,5.89,0.633,,,,
+65241,116235,13.36936,5.1548,5.89,0.109,,64,Vir,
+67605,,13.85256,34.6644,5.89,1.635,,,,
+69493,,14.22800,-0.8455,5.89,0.489,,,,
+72432,130328,14.81057,-36.6347,5.89,1.369,,,Cen,
+75565,,15.43742,-68.3092,5.89,1.000,,,,
+77442,141527,15.80956,28.1567,5.89,0.608,,,CrB,Variabilis Coronae
+79357,,16.19655,42.3746,5.89,1.464,,,,
+80212,,16.37474,-43.9121,5.89,1.121,,,,
+81710,149671,16.68975,-68.2961,5.89,-0.078,η1,,TrA,
+84500,156247,17.27547,1.2105,5.89,0.023,,38,Oph,
+86248,,17.62425,-50.0597,5.89,1.109,,,,
+88469,164794,18.06457,-24.3607,5.89,0.031,,9,Sgr,
+92117,173654,18.77461,-0.9617,5.89,0.131,,5,Aql,
+92312,,18.81483,19.3287,5.89,0.022,,,,
+93104,,18.96719,38.2662,5.89,-0.090,,,,
+93574,,19.05823,-68.7555,5.89,0.553,,,,
+96016,,19.52267,26.6172,5.89,0.915,,,,
+96234,184035,19.56903,-40.0346,5.89,0.105,,,Sgr,
+96620,185912,19.64477,54.9738,5.89,0.482,,,Cyg,
+97229,186689,19.76109,7.6132,5.89,0.180,υ,49,Aql,
+101084,,20.49087,56.0682,5.89,-0.052,,,,
+101843,,20.63850,-81.2891,5.89,1.692,,,,
+103460,,20.96129,-16.0315,5.89,0.180,,,,
+105269,203156,21.32283,38.2375,5.89,0.505,,,Cyg,
+112833,,22.85084,85.3737,5.89,1.340,,,,
+114745,,23.24364,74.2313,5.89,-0.010,,,,
+116853,,23.68581,-11.6807,5.89,0.984,,,,
+116918,,23.69908,7.2505,5.89,0.101,,,,
+330,225180,0.07046,62.2877,5.90,0.274,,9,Cas,
+3193,,0.67844,-4.3518,5.90,1.091,,,,
+3456,4211,0.73669,-38.4217,5.90,1.144,λ2,,Scl,
+3834,,0.82054,-24.1367,5.90,0.944,,,,
+7321,9531,1.57128,37.2371,5.90,-0.067,,,And,
+7359,,1.58029,18.4605,5.90,1.536,,,,
+11102,,2.38185,-51.0921,5.90,0.213,,,,
+19076,25680,4.08896,22.0089,5.90,0.620,A2,39,Tau,
+20873,28294,4.47317,14.7410,5.90,0.325,,76,Tau,
+24294,,5.21337,-6.0572,5.90,0.960,,,,
+27973,,5.91639,31.7015,5.90,0.144,,,,
+28343,,5.98938,49.9245,5.90,1.194,,,,
+28823,41074,6.08427,42.9816,5.90,0.358,,39,Aur,
+33372,,6.94051,9.9566,5.90,-0.085,,,,
+34982,,7.23765,-9.9475,5.90,1.528,,,,
+35476,,7.32288,2.7407,5.90,1.069,,,,
+36143,,7.44513,-34.1407,5.90,-0.153,,,,
+36640,59984,7.53493,-8.8813,5.90,0.540,,,,
+37995,,7.78682,-22.5195,5.90,-0.180,,,,
+39251,,8.02709,-37.2837,5.90,0.147,,,,
+42614,,8.68481,-48.9227,5.90,-0.186,,,,
+43894,,8.94181,40.2015,5.90,0.378,,,,
+46460,,9.47515,-66.7019,5.90,0.012,,,,
+47544,,9.69309,31.2778,5.90,1.579,,,,
+48519,,9.89526,5.9586,5.90,1.662,,,,
+51556,91130,10.53094,32.3796,5.90,0.114,,33,LMi,
+53530,94985,10.95218,-50.7650,5.90,0.173,,,Vel,
+55249,98366,11.31527,1.6504,5.90,1.040,,76,Leo,
+57606,,11.81075,14.2842,5.90,0.303,,,,
+60030,107070,12.31120,-0.7872,5.90,0.168,,13,Vir,
+64515,,13.22315,-50.6998,5.90,-0.011,,,,
+68092,121607,13.94108,1.0506,5.90,0.217,,92,Vir,
+71571,128750,14.63722,18.2984,5.90,1.099,,,,
+72296,,14.78475,-38.2906,5.90,1.336,,,,
+73087,,14.93701,14.4463,5.90,-0.031,,,,
+74386,134943,15.20119,18.9760,5.90,1.414,,,Ser,
+75696,,15.46429,60.6702,5.90,1.441,,,,
+78877,144334,16.10177,-23.6063,5.90,-0.071,,,Sco,
+85409,,17.45346,-50.6304,5.90,0.063,,,,
+90485,,18.46375,-29.8169,5.90,0.517,,,,
+97122,,19.73845,69.3371,5.90,0.072,,,,
+98526,,20.01638,8.5577,5.90,1.529,,,,
+101067,195324,20.48900,36.4547,5.90,0.407,,42,Cyg,
+114407,,23.16937,-40.5915,5.90,1.565,,,,
+8404,,1.80723,3.6854,5.91,0.970,,,,
+10440,,2.24221,-41.1668,5.91,0.965,,,,
+11867,15975,2.55195,-34.6500,5.91,1.064,λ1,,For,
+12181,,2.61589,38.7336,5.91,0.502,,,,
+14109,18769,3.03171,26.4624,5.91,0.141,,49,Ari,
+15514,20618,3.33217,27.0711,5.91,0.860,,59,Ari,
+16518,,3.54445,35.4617,5.91,-0.084,,,,
+17595,,3.76927,6.8035,5.91,0.992,,,,
+17618,23738,3.77429,-29.3382,5.91,0.110,σ,,For,
+17805,,3.81082,0.2279,5.91,1.224,,,,
+20380,,4.36439,56.5063,5.91,0.112,,,,
+20417,,4.37298,20.8214,5.91,1.660,,,,
+21452,,4.60672,64.2616,5.91,-0.009,,,,
+23408,,5.03065,0.7221,5.91,1.267,,,,
+29678,,6.25235,13.8511,5.91,-0.231,,,,
+33421,,6.95015,33.6810,5.91,0.878,,,,
+34798,55522,7.20339,-25.9426,5.91,-0.170,,26,CMa,
+35509,,7.32990,7.1429,5.91,0.537,,,,
+39995,,8.16771,58.2482,5.91,1.365,,,,
+42172,72945,8.59749,6.6202,5.91,0.530,,,,
+42452,,8.65489,52.7116,5.91,1.167,,,,
+46482,,9.47975,-62.2731,5.91,1.102,,,,
+46734,82513,9.52560,-31.8718,5.91,0.258,ζ2,,Ant,
+49812,88195,10.16876,-8.4082,5.91,0.026,,17,Sex,
+50103,,10.22942,-40.3461,5.91,1.204,,,,
+51610,,10.54267,-44.6185,5.91,0.920,,,,
+53257,,10.89186,69.8539,5.91,1.010,,,,
+53423,94672,10.92845,0.7369,5.91,0.425,,55,Leo,
+53449,94705,10.93374,6.1854,5.91,1.256,,56,Leo,
+59517,,12.20611,-62.9508,5.91,0.253,,,,
+60308,,12.36595,-56.3744,5.91,1.533,,,,
+62103,,12.72723,-1.5770,5.91,0.850,,,,
+62861,,12.88449,-54.9525,5.91,1.309,,,,
+64226,,13.16329,16.8486,5.91,1.450,,,,
+64246,114447,13.16756,38.4990,5.91,0.294,,17,CVn,
+64466,,13.21355,-66.2267,5.91,0.048,,,,
+64580,,13.23669,-58.6839,5.91,1.084,,,,
+66454,,13.62319,-46.4279,5.91,-0.110,,,,
+66903,,13.71089,78.0644,5.91,1.000,,,,
+67782,,13.88619,28.6481,5.91,0.202,,,,
+71115,127739,14.54237,22.2601,5.91,0.391,,26,Boo,
+72438,129954,14.81237,-66.5936,5.91,-0.106,,,Cir,
+72773,130701,14.87646,-63.8098,5.91,0.660,,,Cir,
+73350,,14.98975,4.5678,5.91,1.615,,,,
+73507,,15.02419,60.2045,5.91,0.107,,,,
+78747,,16.07689,-37.8630,5.91,0.409,,,,
+79596,,16.23955,-33.0111,5.91,1.021,,,,
+82350,,16.82629,13.2611,5.91,0.015,,,,
+82672,,16.90010,-57.9095,5.91,1.592,,,,
+83478,,17.06092,13.6053,5.91,0.010,,,,
+83491,153890,17.06415,-38.1526,5.91,0.409,,,Sco,
+84709,156384,17.31588,-34.9898,5.91,1.082,,,482,
+85048,,17.38187,-37.2208,5.91,1.075,,,,
+87491,,17.87651,1.3050,5.91,1.573,,,,
+92133,174237,18.77863,52.9880,5.91,-0.096,,,Dra,
+92931,,18.93352,-23.1738,5.91,-0.021,,,,
+93179,176232,18.97970,13.9066,5.91,0.251,,10,Aql,
+94556,,19.24432,-45.1935,5.91,0.902,,,,
+95038,,19.33779,57.6451,5.91,1.626,,,,
+95456,,19.41779,-29.3094,5.91,1.278,,,,
+97598,,19.83724,-47.5574,5.91,1.678,,,,
+97774,,19.86866,47.9318,5.91,-0.174,,,,
+99531,192044,20.20019,26.4788,5.91,-0.107,,20,Vul,
+100017,193664,20.29203,66.8537,5.91,0.602,,,,
+101870,,20.64305,23.6805,5.91,0.953,,,,
+102358,197939,20.73946,56.4884,5.91,1.643,,,Cep,
+102487,197725,20.76944,-21.5140,5.91,0.066,,17,Cap,
+104105,201908,21.09146,78.1264,5.91,-0.065,,77,Dra,
+112778,216200,22.83938,41.9534,5.91,0.062,,14,Lac,
+113174,,22.91740,37.0768,5.91,0.397,,,,
+114430,218804,23.17422,43.5442,5.91,0.450,,6,And,
+116323,221675,23.56917,-1.2476,5.91,0.299,,14,Psc,
+3760,4627,0.80483,7.2999,5.92,1.104,,62,Psc,
+4962,,1.06028,61.0748,5.92,0.512,,,,
+6564,,1.40569,-6.9147,5.92,0.407,,,,
+6631,,1.41814,-64.3695,5.92,1.561,,,,
+7016,,1.50636,-26.2079,5.92,1.327,,,,
+8588,11257,1.84777,11.0434,5.92,0.302,,54,Cet,
+13225,17793,2.83744,-35.8436,5.92,0.899,η2,,For,
+14844,,3.19519,81.4707,5.92,0.149,,,,
+14913,,3.20715,-44.4197,5.92,0.440,,,,
+23446,,5.03967,-31.7713,5.92,1.170,,,,
+25471,,5.44689,34.3918,5.92,0.138,,,,
+26108,,5.56779,-1.4703,5.92,1.535,,,,
+27965,39698,5.91575,19.7496,5.92,-0.145,,57,Ori,
+30986,,6.50313,-10.0815,5.92,1.373,,,,
+31037,,6.51286,-27.7696,5.92,-0.156,,,,
+32366,49095,6.75637,-31.7937,5.92,0.491,,,,
+32463,48977,6.77567,8.5872,5.92,-0.173,,16,Mon,
+37364,,7.67043,-19.6609,5.92,1.158,,,,
+40881,70011,8.34226,24.0223,5.92,-0.039,λ,19,Cnc,Piautos
+41080,,8.38169,-7.5431,5.92,1.635,,,,
+42001,,8.56067,-38.8488,5.92,-0.114,,,,
+42265,73143,8.61827,9.6556,5.92,0.083,c,36,Cnc,
+43589,,8.87739,-48.3591,5.92,-0.148,,,,
+45270,,9.22624,-47.3384,5.92,-0.051,,,,
+46897,,9.55723,-22.8639,5.92,0.023,,,,
+52863,,10.81127,-1.9589,5.92,1.608,,,,
+62561,,12.81852,83.4178,5.92,0.015,,,,
+64390,,13.19762,-69.9420,5.92,0.415,,,,
+66247,118054,13.57790,-13.2143,5.92,0.020,y,,Vir,
+66878,,13.70641,82.7524,5.92,0.993,,,,
+67210,,13.77196,38.5036,5.92,0.948,,,,
+67292,,13.79101,-50.2493,5.92,0.279,,,,
+68333,,13.98819,-50.3696,5.92,0.957,,,,
+73415,,15.00314,-77.1606,5.92,1.052,,,,
+80991,,16.54047,60.8233,5.92,0.039,,,,
+81729,150682,16.69353,26.9169,5.92,0.402,,39,Her,
+98383,,19.98901,45.7725,5.92,0.185,,,,
+103360,,20.94053,49.1958,5.92,1.054,,,,
+104968,,21.26179,77.0123,5.92,1.531,,,,
+108195,,21.91983,-61.8866,5.92,0.393,,,,
+110532,,22.39227,-7.1944,5.92,0.998,,,,
+112067,,22.69929,14.5164,5.92,1.114,,,,
+114921,,23.27772,-44.4892,5.92,1.053,,,,
+636,,0.12969,-22.5086,5.93,0.141,,,,
+2611,,0.55289,54.8950,5.93,1.037,,,,
+5594,7147,1.19542,-2.2511,5.93,1.403,,34,Cet,
+13473,18149,2.89289,-38.4370,5.93,0.437,ψ,,For,
+13479,,2.89315,-22.3763,5.93,1.041,,,,
+14036,,3.01226,10.8704,5.93,1.593,,,,
+15004,,3.22330,48.1770,5.93,0.972,,,,
+15357,,3.30072,-28.7971,5.93,0.337,,,,
+16029,,3.43959,-27.3175,5.93,0.934,,,,
+16358,,3.51261,6.1887,5.93,0.953,,,,
+18199,,3.89259,-46.8937,5.93,1.220,,,,
+18723,,4.01129,-30.4907,5.93,0.036,,,,
+24019,33204,5.16253,28.0305,5.93,0.311,,,Tau,
+25790,,5.50727,15.3604,5.93,0.103,,,,
+26762,,5.68489,0.3378,5.93,0.311,,,,
+27249,38091,5.77511,56.1156,5.93,0.164,,26,Cam,
+27737,,5.87228,-57.1562,5.93,0.656,,,,
+28790,,6.07781,-45.0789,5.93,0.493,,,,
+29196,,6.15901,22.1903,5.93,1.626,,,,
+31448,,6.58822,9.9883,5.93,1.508,,,,
+34017,52711,7.05846,29.3371,5.93,0.595,,,,
+35304,,7.29270,52.1311,5.93,1.259,,,,
+37046,,7.61307,55.7551,5.93,1.123,,,,
+37140,,7.63163,48.7738,5.93,0.221,,,,
+37428,,7.68292,23.0185,5.93,1.561,,,,
+37949,62066,7.77780,65.4557,5.93,1.183,,51,Cam,
+45461,,9.26461,72.9463,5.93,0.179,,,,
+49164,,10.03336,-60.4209,5.93,0.263,,,,
+50885,90044,10.39069,-4.0740,5.93,-0.048,,25,Sex,
+50993,,10.41651,-58.5763,5.93,0.315,,,,
+53394,94776,10.92145,-60.5170,5.93,1.065,,,Car,
+55874,99564,11.45265,-12.3567,5.93,0.490,κ,16,Crt,
+58158,,11.92781,-28.4771,5.93,1.499,,,,
+63165,,12.94213,-72.1852,5.93,1.115,,,,
+63688,,13.05148,-71.4757,5.93,0.002,,,,
+68670,,14.05736,-56.2134,5.93,1.207,,,,
+69995,,14.32330,-37.0029,5.93,0.082,,,,
+71759,,14.67844,13.5343,5.93,0.238,,,,
+76424,139225,15.60812,16.1191,5.93,0.354,τ5,18,Ser,
+77086,,15.73963,-41.8191,5.93,-0.007,,,,
+78542,,16.03488,52.9159,5.93,1.498,,,,
+79120,,16.14969,3.4545,5.93,1.471,,,,
+79137,,16.15311,6.3787,5.93,0.988,,,,
+79953,,16.31978,49.0382,5.93,1.369,,,,
+81523,,16.65145,-37.2174,5.93,-0.035,,,,
+83896,,17.14654,-30.4037,5.93,0.276,,,,
+84731,,17.32014,-59.6946,5.93,1.389,,,,
+85520,,17.47747,-55.1697,5.93,1.113,,,,
+87074,,17.79355,-14.7258,5.93,0.009,,,,
+87813,,17.93862,-15.8125,5.93,0.024,,,,
+90844,170920,18.53250,-1.0030,5.93,0.170,,61,Ser,
+91347,,18.63179,-21.3977,5.93,0.189,,,,
+92398,174585,18.82942,32.8128,5.93,-0.154,ν1,8,Lyr,
+93624,,19.06599,-51.0186,5.93,1.236,,,,
+93763,,19.09477,-15.6604,5.93,-0.015,,,,
+94311,179527,19.19611,31.2835,5.93,-0.062,,19,Lyr,
+96977,,19.71239,32.4267,5.93,0.118,,,,
+103836,,21.04088,-38.5310,5.93,1.106,,,,
+103956,,21.06323,53.2859,5.93,1.001,,,,
+105811,204172,21.42973,36.6674,5.93,0.033,,69,Cyg,
+109577,,22.19759,16.0406,5.93,0.951,,,,
+112041,,22.69335,41.5491,5.93,0.998,,,,
+112241,,22.73478,39.4653,5.93,1.490,,,,
+117541,,23.83743,-9.9741,5.93,1.133,,,,
+117761,223825,23.88210,-3.1555,5.93,1.069,,24,Psc,
+1096,,0.22840,-26.0223,5.94,1.548,,,,
+2377,,0.50554,59.9776,5.94,-0.003,,,,
+2787,3229,0.59245,-0.5056,5.94,0.444,,14,Cet,
+3521,,0.74918,-42.6766,5.94,0.297,,,,
+7643,,1.64097,-36.5283,5.94,1.045,,,,
+8423,,1.81081,37.9529,5.94,0.975,,,,
+8593,11413,1.84845,-50.2061,5.94,0.154,,,Phe,
+10234,13468,2.19329,-1.8254,5.94,0.967,,63,Cet,
+13367,17463,2.86632,68.8885,5.94,0.700,,,Cas,
+15669,,3.36459,49.0709,5.94,0.468,,,,
+19376,,4.15043,13.3983,5.94,0.052,,,,
+20619,,4.41815,-61.2382,5.94,1.533,,,,
+21247,,4.55852,72.5286,5.94,0.306,,,,
+25291,,5.41070,31.1431,5.94,0.034,,,,
+31676,46480,6.62816,61.4812,5.94,0.899,,8,Lyn,
+32938,,6.86179,-36.2303,5.94,0.183,,,,
+34358,,7.12289,34.0093,5.94,1.507,,,,
+34817,55718,7.20717,-36.5444,5.94,-0.145,,,Pup,
+36156,58579,7.44898,20.2576,5.94,0.336,,61,Gem,
+38167,63786,7.82073,-35.2433,5.94,-0.051,,,Pup,
+41117,70569,8.38940,18.3322,5.94,0.175,d1,20,Cnc,
+41578,71555,8.47704,14.2108,5.94,0.201,,29,Cnc,
+45661,,9.30720,35.3641,5.94,0.177,,,,
+56148,99984,11.50865,43.1732,5.94,0.524,,58,UMa,
+56318,,11.54654,-7.8275,5.94,1.380,,,,
+56727,,11.63011,-67.6204,5.94,1.013,,,,
+60157,,12.33633,-22.1757,5.94,0.824,,,,
+70384,,14.40025,8.2440,5.94,0.066,,,,
+77272,,15.77632,55.4748,5.94,1.404,,,,
+82902,,16.94133,-52.2837,5.94,-0.069,,,,
+84105,155035,17.19408,-48.8734,5.94,1.786,,,Ara,
+85382,,17.44615,34.6958,5.94,-0.017,,,,
+86266,,17.62673,-15.5710,5.94,0.357,,,,
+87390,,17.85904,-40.7725,5.94,1.572,,,,
+88694,165185,18.10659,-36.0198,5.94,0.615,,,,
+101123,195094,20.49831,-18.5832,5.94,0.062,ο,12,Cap,
+104101,200790,21.09075,5.9582,5.94,0.538,,4,Equ,
+107374,,21.74813,62.4606,5.94,0.312,,,,
+108849,,22.05106,-76.1184,5.94,0.399,,,,
+111925,,22.67178,53.8459,5.94,0.946,,,,
+113686,,23.02547,-4.7115,5.94,0.992,,,,
+4903,6116,1.04841,41.3452,5.95,0.161,,39,And,
+5661,7312,1.21262,-37.8565,5.95,0.281,,,Scl,
+7447,,1.59855,17.4338,5.95,0.259,,,,
+12821,,2.74714,67.8246,5.95,0.136,,,,
+16664,22091,3.57406,24.4644,5.95,0.123,,7,Tau,
+17846,23728,3.81892,43.9631,5.95,0.279,,,Per,
+19996,,4.28867,-6.4722,5.95,1.078,,,,
+20241,,4.33734,41.8081,5.95,0.962,,,,
+20892,,4.47751,-19.4589,5.95,1.215,,,,
+21042,,4.51120,-35.6535,5.95,1.005,,,,
+23261,31761,5.00509,39.3947,5.95,0.415,,5,Aur,
+27253,,5.77637,1.1682,5.95,0.773,,,,
+27713,,5.86881,-9.0419,5.95,0.100,,,,
+28085,,5.93730,-22.8400,5.95,1.107,,,,
+31599,,6.61295,-13.3210,5.95,1.562,,,,
+33729,,7.00660,-8.4068,5.95,-0.075,,,,
+35054,,7.24921,-41.4264,5.95,-0.146,,,,
+35127,,7.26201,-10.5836,5.95,1.173,,,,
+36345,,7.48087,-31.8484,5.95,-0.156,,,,
+36496,,7.50859,-54.3994,5.95,1.585,,,,
+37478,,7.69310,3.6248,5.95,-0.032,,,,
+40693,69830,8.30665,-12.6322,5.95,0.754,,,,
+41321,,8.43100,-64.6006,5.95,0.971,,,,
+42147,,8.59131,-26.8435,5.95,0.393,,,,
+43899,,8.94281,-16.7087,5.95,1.544,,,,
+44892,78418,9.14648,26.6291,5.95,0.654,,75,Cnc,
+44897,78366,9.14752,33.8822,5.95,0.585,,,,
+46859,,9.54883,-13.5168,5.95,1.501,,,,
+48191,,9.82447,-37.1868,5.95,1.245,,,,
+48527,85953,9.89725,-51.1467,5.95,-0.152,,,Vel,
+50319,89010,10.27563,23.5031,5.95,0.655,,35,Leo,
+52577,92839,10.75112,67.4114,5.95,2.382,,,UMa,
+53035,,10.85150,-3.0927,5.95,1.475,,,,
+53334,,10.90822,-61.8266,5.95,1.736,,,,
+54049,95849,11.06017,-0.0008,5.95,1.218,p3,62,Leo,
+56473,100600,11.57847,16.7969,5.95,-0.156,,90,Leo,
+56970,101541,11.67847,-53.9686,5.95,1.670,,,Cen,
+58460,,11.98821,33.1670,5.95,1.153,,,,
+58921,,12.08256,-60.9683,5.95,1.691,,,,
+59050,,12.10639,-65.7095,5.95,0.613,,,,
+59285,105639,12.16147,1.8979,5.95,1.120,,10,Vir,
+60595,,12.41993,-11.6106,5.95,0.043,,,,
+62207,110897,12.74983,39.2789,5.95,0.557,,10,CVn,
+64224,114287,13.16258,-10.3293,5.95,1.490,,50,Vir,
+68009,,13.92747,-82.6662,5.95,1.411,,,,
+76716,,15.66571,-59.9083,5.95,0.505,,,,
+76877,,15.69852,-76.0820,5.95,-0.034,,,,
+77939,142378,15.91677,-19.3829,5.95,-0.013,,47,Lib,
+79797,,16.28484,-67.9413,5.95,0.159,,,,
+82650,152161,16.89512,-43.0510,5.95,1.643,,,Sco,
+83235,,17.01027,-35.9341,5.95,1.161,,,,
+84226,,17.21627,-32.4383,5.95,0.071,,,,
+84425,,17.25999,-38.5939,5.95,0.580,,,,
+87875,,17.95120,0.0667,5.95,0.110,,,,
+90606,,18.48887,-80.2327,5.95,1.173,,,,
+93862,,19.11545,-48.2991,5.95,-0.017,,,,
+98461,,20.00443,-37.7017,5.95,0.989,,,,
+100501,,20.37925,41.0260,5.95,1.632,,,,
+103545,199603,20.97829,-14.4831,5.95,0.244,,,Aqr,
+111045,,22.49611,-27.1073,5.95,0.362,,,,
+116368,,23.58038,-15.2460,5.95,1.350,,,,
+116714,,23.65283,75.2929,5.95,0.124,,,,
+117265,,23.77687,66.7822,5.95,-0.049,,,,
+117500,223461,23.82761,28.8424,5.95,0.187,,79,Peg,
+118092,,23.95553,-62.9566,5.95,0.101,,,,
+1706,,0.35799,-77.4269,5.96,1.397,,,,
+8598,,1.84920,51.9334,5.96,0.419,,,,
+9631,12641,2.06338,-0.3403,5.96,0.851,,61,Cet,
+10296,,2.21043,24.1678,5.96,1.366,,,,
+15968,,3.42674,-69.3364,5.96,0.415,,,,
+22361,,4.81399,75.9412,5.96,0.283,,,,
+24786,34721,5.31402,-18.1301,5.96,0.572,,,,
+26535,,5.64388,-6.5740,5.96,-0.216,,,,
+27560,,5.83696,4.4234,5.96,1.361,,,,
+27747,,5.87317,19.8678,5.96,0.549,,,,
+33603,,6.98251,3.6024,5.96,1.056,,,,
+33929,52554,7.04043,17.7555,5.96,1.518,,,Gem,
+34002,,7.05497,9.1384,5.96,0.126,,,,
+34349,,7.12036,-51.9683,5.96,0.996,,,,
+35084,,7.25589,-52.4992,5.96,1.099,,,,
+39527,,8.07845,-50.5904,5.96,1.213,,,,
+39659,66875,8.10511,22.6355,5.96,1.652,,9,Cnc,
+40932,,8.35336,-57.9732,5.96,-0.092,,,,
+41328,,8.43211,-14.9297,5.96,0.167,,,,
+42365,,8.63861,32.8020,5.96,1.111,,,,
+43553,,8.86993,45.3128,5.96,1.233,,,,
+43587,75732,8.87661,28.3308,5.96,0.869,ρ1,55,Cnc,Copernicus
+45590,,9.29199,46.8172,5.96,0.063,,,,
+47224,,9.62455,-36.0960,5.96,1.118,,,,
+47401,,9.65774,67.2722,5.96,1.528,,,,
+52127,,10.64989,-58.8169,5.96,1.692,,,,
+56452,100623,11.57486,-32.8313,5.96,0.811,,,,
+61158,,12.53225,-63.5058,5.96,0.263,,,,
+66427,,13.61833,-44.1432,5.96,0.936,,,,
+66924,,13.71529,-41.4010,5.96,1.019,,,,
+66984,,13.72780,-42.0675,5.96,-0.075,,,,
+68455,,14.01457,-66.2689,5.96,0.352,,,,
+69174,123515,14.15973,-51.5047,5.96,-0.053,,,Cen,
+70894,,14.49737,0.8289,5.96,0.159,,,,
+74696,,15.26491,-48.0737,5.96,0.210,,,,
+81966,,16.74437,-53.1523,5.96,1.230,,,,
+89440,167263,18.25360,-20.3880,5.96,-0.023,,16,Sgr,
+89448,168653,18.25475,68.7558,5.96,1.055,,37,Dra,
+93537,,19.05106,-19.2457,5.96,1.158,,,,
+100256,,20.33339,13.5481,5.96,0.299,,,,
+101082,196925,20.49099,81.0913,5.96,0.942,,74,Dra,
+103371,,20.94299,44.9247,5.96,0.020,,,,
+106642,205730,21.60069,45.3746,5.96,1.341,,,Cyg,
+107302,206677,21.73360,-14.7494,5.96,0.219,,45,Cap,
+107350,206860,21.74203,14.7719,5.96,0.587,,,Peg,
+108505,,21.98153,62.6980,5.96,1.640,,,,
+110179,211676,22.31687,-13.3050,5.96,1.075,,45,Aqr,
+115144,,23.32336,-18.0754,5.96,1.534,,,,
+4572,,0.97529,66.3518,5.97,-0.008,,,,
+5510,7014,1.17599,2.4457,5.97,1.491,,33,Cet,
+5778,7374,1.23545,16.1335,5.97,-0.082,,87,Psc,
+6492,,1.39027,20.4690,5.97,1.677,,,,
+7906,,1.69423,30.0471,5.97,1.015,,,,
+9533,,2.04308,13.4767,5.97,1.584,,,,
+13679,,2.93716,8.3816,5.97,0.478,,,,
+14764,,3.17744,11.8726,5.97,-0.061,,,,
+15334,,3.29604,39.2834,5.97,0.056,,,,
+17027,22713,3.65031,-5.6262,5.97,0.921,,21,Eri,
+18170,,3.88613,17.3271,5.97,0.354,,,,
+20614,,4.41587,19.0420,5.97,0.378,,,,
+21847,,4.69729,38.2802,5.97,0.593,,,,
+22697,,4.87975,27.8975,5.97,0.368,,,,
+23831,,5.12360,-12.4913,5.97,0.606,,,,
+26386,,5.61789,11.0350,5.97,1.592,,,,
+26926,,5.71497,-6.7962,5.97,0.447,,,,
+27435,38858,5.80971,-4.0946,5.97,0.639,,,,
+27588,,5.84167,2.0247,5.97,0.953,,,,
+28110,,5.94112,9.5094,5.97,-0.038,,,,
+29771,,6.26880,-16.6180,5.97,-0.167,,,,
+41250,71302,8.41589,-42.7698,5.97,-0.159,,,Pup,
+48802,,9.95378,57.4182,5.97,0.895,,,,
+50480,,10.30785,-41.6685,5.97,-0.063,,,,
+52340,93237,10.69765,-79.7833,5.97,-0.071,,,Cha,
+63533,113095,13.01934,17.1231,5.97,0.971,,38,Com,
+65545,,13.43651,-1.1925,5.97,0.183,,,,
+67239,120064,13.77870,25.7022,5.97,0.523,,3,Boo,
+67485,,13.82931,61.4893,5.97,0.974,,,,
+73937,133652,15.10922,-30.9185,5.97,-0.076,,,Lup,
+76311,,15.58783,53.9221,5.97,1.184,,,,
+79938,,16.31679,-14.8728,5.97,1.475,,,,
+84656,,17.30647,38.8114,5.97,1.011,,,,
+86575,,17.69231,6.3132,5.97,1.271,,,,
+86871,,17.74885,-57.5455,5.97,0.912,,,,
+89047,,18.17545,54.2866,5.97,0.943,,,,
+96760,,19.66866,-23.4291,5.97,1.038,,,,
+99171,191067,20.13384,-0.6782,5.97,1.023,,64,Aql,
+101986,,20.66755,43.4589,5.97,1.186,,,,
+104752,,21.22193,-36.4235,5.97,0.967,,,,
+105224,,21.31445,11.2034,5.97,1.612,,,,
+105727,,21.41377,80.5248,5.97,0.950,,,,
+106340,204854,21.53738,-33.9446,5.97,0.051,,6,PsA,
+108975,209522,22.07688,-26.8224,5.97,-0.167,,,PsA,
+109602,,22.20225,24.9506,5.97,1.500,,,,
+111515,,22.59344,-23.9911,5.97,0.984,,,,
+113801,,23.04563,-20.8707,5.97,0.946,,,,
+114189,218396,23.12464,21.1343,5.97,0.259,,,Peg,
+518,123,0.10439,58.4367,5.98,0.687,,,Cas,
+3697,4526,0.78990,6.7410,5.98,0.941,,60,Psc,
+6711,,1.43853,43.4577,5.98,0.520,,,,
+7740,10164,1.66134,16.4059,5.98,1.119,,105,Psc,
+12562,,2.69281,-14.5493,5.98,0.429,,,,
+15241,20277,3.27644,32.1840,5.98,0.988,,,Per,
+16339,21981,3.51027,-47.3751,5.98,0.116,,,Hor,
+16599,,3.56085,54.9749,5.98,0.114,,,,
+21986,30020,4.72632,-8.7943,5.98,0.645,,55,Eri,
+22840,,4.91409,0.4672,5.98,-0.116,,,,
+24831,,5.32325,-27.3689,5.98,-0.022,,,,
+26606,37367,5.65509,29.2152,5.98,0.144,,,Aur,
+28562,,6.02863,48.9594,5.98,1.437,,,,
+36055,,7.43089,-5.7750,5.98,0.901,,,,
+36236,,7.46193,-22.8592,5.98,-0.088,,,,
+39014,,7.98383,-45.2158,5.98,-0.143,,,,
+41674,,8.49601,-46.3317,5.98,-0.127,,,,
+43550,,8.86945,42.0027,5.98,1.251,,,,
+45412,,9.25396,34.6335,5.98,0.839,,,,
+49844,,10.17715,-41.7152,5.98,1.239,,,,
+51623,,10.54661,-58.6667,5.98,0.290,,,,
+52827,93737,10.80150,-59.9192,5.98,0.274,,,Car,
+57165,,11.72422,-37.1902,5.98,1.449,,,,
+64033,,13.12341,-59.8605,5.98,0.435,,,,
+66907,,13.71207,34.9890,5.98,0.857,,,,
+68498,,14.02234,8.8949,5.98,0.089,,,,
+74224,,15.16870,-38.7925,5.98,0.867,,,,
+74561,,15.23501,31.7878,5.98,1.552,,,,
+77412,,15.80369,13.7891,5.98,1.272,,,,
+83216,,17.00749,-48.6478,5.98,0.883,,,,
+83693,,17.10561,-37.2276,5.98,0.076,,,,
+83854,,17.13746,-17.6091,5.98,1.011,,,,
+84402,,17.25563,-14.5841,5.98,1.096,,,,
+85442,,17.46043,-29.7246,5.98,0.010,,,,
+85543,,17.48225,-36.7783,5.98,1.112,,,,
+88550,,18.08066,-35.9014,5.98,1.160,,,,
+89156,,18.19587,33.4471,5.98,0.045,,,,
+93287,,19.00099,-66.6536,5.98,0.977,,,,
+95999,,19.51971,-68.4339,5.98,1.638,,,,
+96481,,19.61457,11.2732,5.98,0.881,,,,
+96840,185936,19.68487,13.8157,5.98,-0.078,,,Aql,
+103652,,21.00111,7.5162,5.98,0.283,,,,
+107129,206570,21.70030,35.5102,5.98,2.500,,,Cyg,
+109466,,22.17604,-4.2669,5.98,0.981,,,,
+111967,,22.68025,-57.4223,5.98,1.450,,,,
+115065,219815,23.30648,41.7737,5.98,0.215,,9,And,
+116728,,23.65587,74.0026,5.98,0.889,,,,
+671,,0.13821,-8.8241,5.99,1.034,,,,
+2159,,0.45409,-25.5472,5.99,1.022,,,,
+3352,,0.71165,-60.2628,5.99,1.318,,,,
+4552,,0.97061,33.9509,5.99,1.000,,,,
+4998,,1.06733,52.5022,5.99,1.447,,,,
+10729,13994,2.30127,57.5163,5.99,1.039,χ,7,Per,Misam al Thurayya
+11095,15248,2.38119,-73.6458,5.99,1.088,κ,,Hyi,
+12608,,2.70183,-38.3837,5.99,0.917,,,,
+18339,24712,3.92115,-12.0991,5.99,0.323,,,Eri,
+22176,,4.77134,18.7347,5.99,1.221,,,,
+22220,,4.77902,40.3126,5.99,0.934,,,,
+24575,34078,5.27171,34.3123,5.99,0.199,,,Aur,
+25187,,5.38847,-8.4156,5.99,-0.037,,,,
+25816,,5.51351,41.4620,5.99,1.112,,,,
+26624,,5.65865,-3.5647,5.99,0.294,,,,
+27939,,5.91223,0.9686,5.99,1.328,,,,
+29692,,6.25492,-18.4772,5.99,1.058,,,,
+29711,,6.25824,-4.9147,5.99,0.097,,,,
+31876,,6.66325,12.9828,5.99,0.063,,,,
+34914,,7.22334,-22.6742,5.99,1.481,,,,
+35712,,7.36763,0.1771,5.99,-0.069,,,,
+37345,61925,7.66611,-37.5794,5.99,-0.040,d4,,Pup,
+39236,65873,8.02508,16.4553,5.99,-0.024,,5,Cnc,
+46101,,9.40153,-61.6489,5.99,1.060,,,,
+47559,,9.69665,-55.2138,5.99,-0.119,,,,
+53272,,10.89502,-70.7203,5.99,-0.020,,,,
+53726,,10.99244,36.0931,5.99,1.595,,,,
+55280,,11.32123,-64.5825,5.99,0.471,,,,
+62058,,12.71921,-56.1762,5.99,-0.074,,,,
+62786,,12.86581,-39.6804,5.99,-0.098,,,,
+63494,112992,13.00999,-3.3685,5.99,1.119,,46,Vir,
+70363,,14.39683,-53.1762,5.99,1.099,,,,
+70987,,14.51968,-38.8697,5.99,1.060,,,,
+75256,,15.37701,62.0471,5.99,-0.033,,,,
+81854,,16.71841,77.5140,5.99,0.430,,,,
+81992,,16.75005,-28.5097,5.99,0.103,,,,
+82611,,16.88821,47.4167,5.99,1.325,,,,
+82806,,16.92353,-63.2697,5.99,0.059,,,,
+84431,,17.26152,23.7428,5.99,1.335,,,,
+85751,158220,17.52313,-56.9210,5.99,-0.045,,,Ara,
+88012,,17.97751,-28.7591,5.99,-0.077,,,,
+89587,,18.28142,-3.0074,5.99,0.890,,,,
+90052,,18.37648,12.0297,5.99,0.056,,,,
+92391,,18.82804,-5.9129,5.99,1.568,,,,
+92833,,18.91459,33.9686,5.99,0.922,,,,
+96895,186408,19.69693,50.5251,5.99,0.643,c,16,Cyg,
+98738,,20.05455,18.5010,5.99,1.420,,,,
+101909,,20.65138,15.8382,5.99,-0.145,,,,
+102162,196051,20.70083,-76.1806,5.99,0.450,μ1,,Oct,
+102945,198571,20.85715,-5.6266,5.99,0.464,,4,Aqr,
+103219,,20.91232,75.9256,5.99,0.946,,,,
+105574,203525,21.38229,-9.3193,5.99,1.516,,17,Aqr,
+112117,214953,22.71025,-47.2108,5.99,0.584,,,,
+112862,216210,22.85581,-29.5363,5.99,0.907,,21,PsA,
+115806,220933,23.46122,25.1673,5.99,-0.066,,69,Peg,
+116653,,23.63997,-76.8696,5.99,0.907,,,,
+116768,,23.66529,9.6773,5.99,0.212,,,,
+3137,,0.66443,-44.7963,6.00,1.142,,,,
+9564,12279,2.04791,64.9015,6.00,0.029,,52,Cas,
+10215,,2.18951,-10.0522,6.00,0.418,,,,
+11687,,2.51255,0.2557,6.00,0.168,,,,
+11843,15814,2.54837,15.0346,6.00,0.572,,29,Ari,
+20075,,4.30447,-20.7153,6.00,1.597,,,,
+20493,27742,4.39233,20.9820,6.00,0.029,,,Tau,
+23766,,5.10825,61.1698,6.00,1.380,,,,
+27265,38478,5.77931,15.8225,6.00,-0.061,,129,Tau,
+29808,,6.27655,-39.2644,6.00,0.163,,,,
+30318,,6.37677,12.5702,6.00,0.319,,,,
+34182,53257,7.08843,22.6375,6.00,-0.027,,44,Gem,
+34561,54764,7.15927,-16.2345,6.00,0.040,,,CMa,
+35611,57593,7.34859,-26.9638,6.00,-0.172,,,CMa,
+40183,,8.20855,-46.2643,6.00,-0.113,,,,
+40889,,8.34453,72.4072,6.00,1.537,,,,
+43392,,8.83917,-42.0898,6.00,-0.114,,,,
+50546,,10.32411,48.3968,6.00,1.022,,,,
+51194,,10.45702,-65.7047,6.00,0.091,,,,
+51200,,10.45779,41.6010,6.00,0.166,,,,
+59384,,12.18333,81.7098,6.00,1.618,,,,
+60979,108759,12.49941,-41.7359,6.00,1.515,,,Cen,
+61688,,12.64573,-18.2501,6.00,0.310,,,,
+62983,,12.90518,-11.6486,6.00,0.068,,,,
+63340,,12.97981,75.4725,6.00,1.030,,,,
+63948,113848,13.10590,21.1534,6.00,0.393,,39,Com,
+65129,,13.34676,-55.8007,6.00,0.236,,,,
+66575,,13.64693,-57.6227,6.00,1.138,,,,
+66925,,13.71559,-56.7680,6.00,-0.096,,,,
+67545,,13.84019,5.4972,6.00,0.899,,,,
+68101,121384,13.94249,-54.7047,6.00,0.780,,,,
+71094,,14.53895,26.6773,6.00,0.230,,,,
+72848,131511,14.88993,19.1528,6.00,0.841,,,Boo,
+76810,140027,15.68309,16.0246,6.00,0.908,τ6,19,Ser,
+77678,,15.85873,-47.0608,6.00,1.152,,,,
+78665,,16.05955,-32.0005,6.00,0.470,,,,
+83601,154417,17.08801,0.7026,6.00,0.578,,,Oph,
+84631,,17.30137,17.3179,6.00,0.015,,,,
+86561,,17.68938,51.8182,6.00,1.068,,,,
+87616,162724,17.89855,-34.7527,6.00,-0.060,,,Sco,
+91525,,18.66467,52.1961,6.00,-0.067,,,,
+93855,,19.11448,-16.2293,6.00,-0.025,,,,
+96198,184786,19.56156,49.2623,6.00,1.545,,,Cyg,
+97402,,19.79682,25.3841,6.00,0.993,,,,
+97499,,19.81728,-10.8708,6.00,1.233,,,,
+105080,,21.28729,55.7980,6.00,1.447,,,,
+107487,207005,21.77119,-9.2759,6.00,1.629,,47,Cap,
+108612,209008,22.00220,6.7174,6.00,-0.112,,18,Peg,
+110873,,22.46285,31.8400,6.00,1.442,,,,
+760,,0.15561,79.7145,6.01,0.203,,,,
+3436,,0.73058,-12.0118,6.01,1.107,,,,
+6981,9100,1.49802,18.3557,6.01,0.162,,97,Psc,
+8475,,1.82099,47.8969,6.01,0.170,,,,
+8998,,1.93162,1.8500,6.01,0.549,,,,
+9859,12885,2.11367,25.7046,6.01,-0.030,,11,Ari,
+10203,13363,2.18668,25.9369,6.01,1.365,,16,Ari,
+16266,,3.49421,-6.8045,6.01,1.020,,,,
+17007,22789,3.64657,-27.9431,6.01,-0.027,τ,,For,
+21137,28677,4.53105,15.8516,6.01,0.338,,85,Tau,
+21269,,4.56338,9.4136,6.01,1.061,,,,
+21459,29169,4.60809,23.3409,6.01,0.380,,,Tau,
+28930,41429,6.10623,29.5124,6.01,1.730,,,Aur,
+31758,,6.64317,-16.8735,6.01,0.042,,,,
+33800,,7.01809,-58.9399,6.01,0.297,,,,
+34055,,7.06433,12.5942,6.01,1.584,,,,
+37394,,7.67653,-8.1854,6.01,0.153,,,,
+39122,,8.00408,-48.9815,6.01,0.042,,,,
+41282,,8.42195,-21.0460,6.01,0.402,,,,
+41597,,8.48083,-9.7486,6.01,0.427,,,,
+43726,76151,8.90499,-5.4345,6.01,0.661,,,,
+46288,,9.43953,-1.4641,6.01,1.313,,,,
+48341,85364,9.85390,-4.2433,6.01,0.171,,6,Sex,
+50536,,10.32135,-12.5281,6.01,0.258,,,,
+50635,,10.34199,54.2168,6.01,1.128,,,,
+51213,90569,10.46083,9.7624,6.01,-0.043,,45,Leo,
+51905,91880,10.60463,-16.3443,6.01,1.638,φ2,,Hya,
+54136,95934,11.07534,38.2414,6.01,0.165,,51,UMa,
+59364,,12.17947,27.2815,6.01,0.123,,,,
+63490,,13.00907,-33.5053,6.01,0.386,,,,
+63584,,13.02970,63.6102,6.01,0.427,,,,
+64212,,13.16073,37.4231,6.01,1.169,,,,
+64979,,13.31785,35.1280,6.01,0.277,,,,
+66015,117661,13.53411,-18.7289,6.01,0.196,,73,Vir,
+68279,,13.97775,14.6493,6.01,1.430,,,,
+70949,,14.51261,4.7723,6.01,1.421,,,,
+75674,,15.46080,25.1016,6.01,1.654,,,,
+77358,140901,15.79142,-37.9163,6.01,0.715,,,,
+85333,,17.43861,7.5957,6.01,0.592,,,,
+86527,160371,17.68293,-32.2145,6.01,1.673,,,Sco,
+87445,,17.86798,39.9821,6.01,1.341,,,,
+88190,,18.01011,33.2137,6.01,1.516,,,,
+89827,,18.33113,29.6664,6.01,1.319,,,,
+98575,,20.02329,-22.7373,6.01,0.981,,,,
+99579,,20.20881,51.4636,6.01,1.139,,,,
+102080,197121,20.68783,14.5829,6.01,1.235,,10,Del,
+102805,198390,20.82716,12.5451,6.01,0.420,,15,Del,
+103734,,21.02024,36.0260,6.01,0.994,,,,
+105891,,21.44583,52.8985,6.01,-0.109,,,,
+111314,,22.55081,69.9135,6.01,0.334,,,,
+112998,,22.88439,60.1010,6.01,1.748,,,,
+117956,,23.92597,47.3558,6.01,1.170,,,,
+118071,,23.95101,42.6582,6.01,0.712,,,,
+1196,1061,0.24968,8.8210,6.02,0.312,,35,Psc,
+9220,,1.97590,61.6978,6.02,-0.042,,,,
+14748,,3.17418,26.8962,6.02,1.278,,,,
+19261,,4.12833,15.1628,6.02,0.397,,,,
+23377,,5.02625,-39.7180,6.02,0.893,,,,
+24072,,5.17189,37.3019,6.02,0.720,,,,
+25482,,5.44995,-68.6225,6.02,0.346,,,,
+31852,47395,6.65920,28.2631,6.02,-0.087,,54,Aur,
+33614,51440,6.98413,38.0523,6.02,1.218,,62,Aur,
+34999,,7.24118,-10.3162,6.02,-0.173,,,,
+35213,,7.27732,-23.3109,6.02,0.317,,,,
+37823,,7.75501,-43.7526,6.02,-0.069,,,,
+38732,,7.92961,-43.8451,6.02,-0.111,,,,
+39261,65339,8.02846,60.3244,6.02,0.158,,53,Cam,
+41224,,8.41188,42.0052,6.02,1.591,,,,
+43620,,8.88438,-56.6495,6.02,-0.023,,,,
+45418,,9.25490,-58.3884,6.02,-0.101,,,,
+45481,,9.26779,-44.8987,6.02,0.269,,,,
+48414,85504,9.87005,2.4541,6.02,-0.040,,7,Sex,
+50174,88737,10.24160,21.1681,6.02,0.573,,,,
+52366,92620,10.70313,31.6970,6.02,1.617,,,LMi,
+55564,,11.38090,64.3305,6.02,0.085,,,,
+57240,,11.73699,25.2183,6.02,1.533,,,,
+60771,,12.45689,-63.7890,6.02,0.052,,,,
+61936,110462,12.69275,62.7130,6.02,0.051,,76,UMa,
+61951,,12.69705,-19.7591,6.02,0.397,,,,
+62757,111765,12.86025,3.0568,6.02,1.288,,37,Vir,
+67005,,13.73188,52.0644,6.02,0.017,,,,
+69090,122862,14.14088,-74.8503,6.02,0.581,,,,
+71277,,14.57736,36.6261,6.02,1.379,,,,
+74421,,15.20944,-72.7706,6.02,-0.002,,,,
+76935,,15.71034,-49.4896,6.02,1.315,,,,
+79601,,16.24262,73.3949,6.02,0.063,,,,
+81873,,16.72281,-67.4324,6.02,0.037,,,,
+81911,,16.73103,34.0388,6.02,0.321,,,,
+82037,151133,16.75824,1.0202,6.02,-0.012,,16,Oph,
+90651,170397,18.49632,-14.5820,6.02,0.006,,,Sct,
+90759,,18.51749,-41.9138,6.02,0.138,,,,
+91373,172380,18.63513,39.6683,6.02,1.444,,,Lyr,
+91915,,18.73841,61.0481,6.02,0.967,,,,
+94382,,19.21021,21.5546,6.02,0.069,,,,
+94755,,19.28094,46.9991,6.02,0.479,,,,
+102011,,20.67164,60.5053,6.02,0.443,,,,
+102033,,20.67675,29.8056,6.02,0.163,,,,
+106171,,21.50565,52.9580,6.02,0.080,,,,
+107423,,21.75801,-71.0088,6.02,-0.099,,,,
+108626,,22.00673,-55.8835,6.02,-0.061,,,,
+116097,,23.52415,-44.8436,6.02,1.014,,,,
+3604,,0.76967,44.8615,6.03,-0.063,,,,
+5074,6386,1.08129,5.6563,6.03,1.525,,73,Psc,
+7387,,1.58751,-58.1395,6.03,0.382,,,,
+13387,,2.87195,-62.9096,6.03,1.249,,,,
+15353,,3.29974,-66.9269,6.03,0.133,,,,
+15850,,3.40281,12.6296,6.03,1.227,,,,
+16181,21467,3.47405,22.8040,6.03,0.951,,66,Ari,
+23380,,5.02668,61.0780,6.03,0.448,,,,
+24384,,5.23148,-52.0308,6.03,1.392,,,,
+26427,,5.62427,-5.9384,6.03,-0.210,,,,
+27421,,5.80621,20.8695,6.03,-0.051,,,,
+28154,,5.94892,24.2497,6.03,0.346,,,,
+30794,,6.47069,70.5353,6.03,0.103,,,,
+31617,,6.61719,-38.1465,6.03,1.030,,,,
+33044,,6.88431,35.7880,6.03,1.455,,,,
+33243,,6.91637,-2.8036,6.03,1.102,,,,
+33444,,6.95365,57.5633,6.03,1.495,,,,
+34780,,7.20055,-63.1901,6.03,-0.011,,,,
+38325,,7.85159,54.1292,6.03,0.496,,,,
+38394,,7.86577,19.3251,6.03,1.125,,,,
+38868,,7.95441,8.6412,6.03,1.000,,,,
+40231,,8.21659,16.5143,6.03,0.890,,,,
+41214,,8.41012,-4.7170,6.03,0.460,,,,
+42895,,8.74165,-65.8254,6.03,0.217,,,,
+53465,,10.93737,42.0082,6.03,1.123,,,,
+53791,,11.00575,42.9117,6.03,0.584,,,,
+60467,107904,12.39639,42.5427,6.03,0.366,,4,CVn,
+60599,,12.42087,23.9262,6.03,1.094,,,,
+70325,,14.38896,-50.7723,6.03,1.360,,,,
+71530,128020,14.62951,-67.9320,6.03,0.506,,,,
+74000,,15.12233,18.4418,6.03,0.073,,,,
+79490,145384,16.22138,-53.6712,6.03,1.965,,39,Nor,
+82259,,16.80749,-14.9094,6.03,0.192,,,,
+84792,,17.33149,-17.7565,6.03,0.040,,,,
+87532,,17.88267,-35.6243,6.03,0.342,,,,
+88020,,17.97842,36.2878,6.03,0.949,,,,
+89637,167647,18.29340,-34.1073,6.03,-0.096,,,Sgr,
+94598,,19.25075,20.2031,6.03,0.895,,,,
+95002,181383,19.33141,11.5350,6.03,0.087,ω2,29,Aql,
+95408,,19.40838,-27.8659,6.03,-0.117,,,,
+96387,185037,19.59675,36.9445,6.03,-0.080,,11,Cyg,
+98143,,19.94559,36.2506,6.03,-0.140,,,,
+101160,195325,20.50499,10.8959,6.03,-0.019,,1,Del,
+111869,,22.65954,37.5928,6.03,0.854,,,,
+113044,216435,22.89387,-48.5983,6.03,0.621,τ1,,Gru,
+117880,,23.91073,-40.3001,6.03,0.572,,,,
+117957,224151,23.92607,57.4122,6.03,0.155,,,Cas,
+2789,,0.59259,-54.8219,6.04,1.001,,,,
+3988,,0.85455,61.8055,6.04,1.880,,,,
+5824,7446,1.24511,6.9951,6.04,1.081,,88,Psc,
+5936,,1.27192,33.1147,6.04,1.163,,,,
+9568,,2.04917,77.9163,6.04,1.107,,,,
+12862,,2.75581,4.7116,6.04,0.312,,,,
+22144,,4.76540,-39.3566,6.04,1.065,,,,
+22354,,4.81239,3.5885,6.04,1.200,,,,
+23643,,5.08181,-3.0397,6.04,-0.117,,,,
+23777,,5.11021,-13.1226,6.04,-0.030,,,,
+26264,38602,5.59338,-78.8208,6.04,-0.018,ι,,Men,
+26712,37519,5.67664,31.3582,6.04,0.037,,,,Andrews' star
+27341,38735,5.79080,-10.5330,6.04,0.135,,,Ori,
+27778,,5.87781,33.9175,6.04,1.579,,,,
+28500,,6.01679,27.5724,6.04,0.218,,,,
+28520,,6.02031,-25.4178,6.04,0.027,,,,
+28637,,6.04683,49.9057,6.04,-0.033,,,,
+29371,,6.19109,13.6386,6.04,0.021,,,,
+29993,,6.31355,-15.0250,6.04,1.663,,,,
+32368,,6.75649,-23.4624,6.04,1.205,,,,
+36017,,7.42221,-21.9826,6.04,0.227,,,,
+40818,,8.33052,3.9480,6.04,0.964,,,,
+42049,,8.57037,8.4523,6.04,0.332,,,,
+44213,77320,9.00618,-43.1740,6.04,-0.154,,,Vel,
+45033,78715,9.17246,21.9964,6.04,0.890,,79,Cnc,
+45058,78712,9.17745,30.9631,6.04,1.373,,,Cnc,
+45814,,9.34157,-37.5817,6.04,1.396,,,,
+51551,,10.53019,-28.2371,6.04,0.501,,,,
+51560,,10.53240,-45.0697,6.04,-0.096,,,,
+52113,,10.64734,-12.4436,6.04,-0.007,,,,
+58453,,11.98635,-51.6968,6.04,1.277,,,,
+64994,,13.32194,-72.0356,6.04,1.341,,,,
+67271,,13.78705,-9.7095,6.04,1.418,,,,
+71581,,14.63871,-38.7942,6.04,1.422,,,,
+76372,,15.59816,11.2657,6.04,1.125,,,,
+78046,,15.93523,-39.8644,6.04,0.130,,,,
+78286,,15.98455,49.8810,6.04,0.289,,,,
+80021,,16.33452,21.1326,6.04,0.938,,,,
+83138,,16.98931,56.6886,6.04,1.165,,,,
+85788,,17.53031,-46.0368,6.04,0.805,,,,
+86178,,17.61021,30.7852,6.04,0.158,,,,
+89279,,18.21801,38.7735,6.04,-0.057,,,,
+91852,173416,18.72670,36.5566,6.04,1.040,,,,Xihe
+92008,,18.75320,-61.0952,6.04,1.484,,,,
+92394,,18.82880,-72.9957,6.04,0.033,,,,
+93354,,19.01533,33.8022,6.04,0.983,,,,
+97087,,19.73096,34.1627,6.04,-0.071,,,,
+97515,,19.81989,-28.7890,6.04,0.403,,,,
+97674,186786,19.85034,-65.6051,6.04,0.317,,,Pav,
+103301,,20.92797,4.5327,6.04,0.824,,,,
+103777,,21.02925,-26.8810,6.04,0.073,,,,
+109624,210705,22.20715,-14.1940,6.04,0.386,,39,Aqr,
+110498,,22.38348,62.4194,6.04,0.035,,,,
+113137,216437,22.91097,-70.0737,6.04,0.660,ρ,,Ind,
+115272,,23.34727,-50.3066,6.04,0.423,,,,
+2224,2436,0.47019,16.4451,6.05,1.580,,48,Psc,
+2235,,0.47223,10.1898,6.05,0.447,,,,
+3356,4065,0.71191,-38.4635,6.05,-0.024,λ1,,Scl,
+8366,11604,1.79623,-80.1763,6.05,0.338,τ2,,Hyi,
+10054,,2.15703,81.2959,6.05,0.118,,,,
+10403,,2.23401,47.4842,6.05,0.406,,,,
+10438,13474,2.24141,66.5244,6.05,0.641,,55,Cas,
+13402,17925,2.87559,-12.7697,6.05,0.862,,,Eri,
+13713,,2.94259,47.1640,6.05,1.305,,,,
+14315,,3.07724,1.8636,6.05,1.045,,,,
+17921,,3.83197,22.2442,6.05,-0.006,,,,
+18485,24769,3.95106,23.1756,6.05,0.031,,33,Tau,
+18592,,3.97859,-57.1024,6.05,0.439,,,,
+19730,,4.22912,72.1261,6.05,1.019,,,,
+21611,,4.63937,-77.6560,6.05,1.080,,,,
+23442,,5.03884,74.2694,6.05,1.562,,,,
+25007,35165,5.35469,-34.3451,6.05,-0.176,,,Col,
+26942,37601,5.71713,56.5815,6.05,0.951,,24,Cam,
+29843,,6.28433,-22.7152,6.05,0.576,,,,
+30272,43812,6.36765,59.3721,6.05,0.153,,4,Lyn,
+30570,,6.42581,23.3272,6.05,0.020,,,,
+30711,45588,6.45316,-25.8565,6.05,0.545,,,,
+31646,47129,6.62335,6.1354,6.05,0.018,,,Mon,Plaskett's Star
+31859,,6.66006,-23.6957,6.05,-0.031,,,,
+33094,50806,6.89276,-28.5398,6.05,0.708,,,,
+36395,,7.48941,-14.9987,6.05,0.479,,,,
+37580,,7.71210,34.0002,6.05,0.469,,,,
+38370,64365,7.86121,-42.8882,6.05,-0.181,,,Pup,
+38975,,7.97541,16.5187,6.05,1.468,,,,
+39067,,7.99307,13.2422,6.05,1.325,,,,
+41373,,8.44033,-52.8075,6.05,0.062,,,,
+41574,71496,8.47688,24.1449,6.05,0.246,,28,Cnc,
+42794,75747,8.72006,-79.0701,6.05,0.229,,9,Cha,
+45127,,9.19470,-39.2588,6.05,-0.108,,,,
+46093,,9.39981,-51.7371,6.05,0.528,,,,
+46114,,9.40453,-39.4255,6.05,0.193,,,,
+46328,,9.44558,-64.9297,6.05,0.147,,,,
+48119,,9.81111,-56.4119,6.05,0.937,,,,
+48876,,9.96879,8.3140,6.05,1.357,,,,
+50109,,10.23047,27.1358,6.05,0.844,,,,
+51302,,10.47888,-3.7424,6.05,0.059,,,,
+52959,93765,10.83159,27.9739,6.05,0.399,,44,LMi,
+55595,,11.38832,0.1320,6.05,1.464,,,,
+56364,,11.55412,-16.2804,6.05,0.590,,,,
+57214,,11.73198,-6.6772,6.05,0.960,,,,
+57646,,11.82077,16.2429,6.05,0.278,,,,
+58041,,11.90319,-57.4102,6.05,0.050,,,,
+58697,,12.03895,-85.6318,6.05,1.290,,,,
+59551,106111,12.21306,-70.1518,6.05,1.780,,,Mus,
+59895,,12.28426,-16.6937,6.05,0.113,,,,
+60851,,12.47202,-64.3410,6.05,0.022,,,,
+61103,,12.52261,7.6043,6.05,1.523,,,,
+64320,114365,13.18290,-52.5669,6.05,-0.079,,,Cen,
+67890,,13.90462,-28.5696,6.05,1.129,,,,
+72310,,14.78713,-21.3249,6.05,1.649,,,,
+74716,,15.26957,-43.4850,6.05,-0.128,,,,
+76608,,15.64505,-39.1277,6.05,0.204,,,,
+77454,,15.81401,-52.4383,6.05,1.385,,,,
+81440,,16.63377,-6.5380,6.05,0.165,,,,
+81904,,16.72989,-38.1563,6.05,-0.054,,,,
+83100,,16.98119,-37.6205,6.05,0.179,,,,
+83255,148542,17.01625,-86.3643,6.05,0.043,,,Oct,
+85783,,17.52899,-26.2697,6.05,-0.065,,,,
+86462,,17.66598,31.2025,6.05,1.599,,,,
+87516,,17.88034,-34.1148,6.05,1.241,,,,
+87722,,17.91890,-36.4756,6.05,0.074,,,,
+89470,167356,18.25855,-18.6616,6.05,0.165,,,Sgr,
+93925,,19.12523,-28.6368,6.05,1.579,,,,
+100232,,20.32869,-1.0785,6.05,1.093,,,,
+104217,201092,21.11535,38.7421,6.05,1.309,,61,Cyg,Bessel's Star
+104914,,21.25184,-17.3451,6.05,0.978,,,,
+105432,,21.35609,32.6127,6.05,0.062,,,,
+2852,3326,0.60191,-22.8423,6.06,0.297,,,Cet,
+3269,,0.69335,24.6290,6.06,0.298,,,,
+3489,,0.74213,-62.4976,6.06,0.446,,,,
+4979,6288,1.06362,1.3668,6.06,0.271,,26,Cet,
+13832,,2.96731,38.6149,6.06,1.403,,,,
+14365,,3.08917,40.5822,6.06,1.011,,,,
+17437,,3.73512,48.5237,6.06,1.552,,,,
+19823,,4.25050,57.4604,6.06,0.600,,,,
+20715,28114,4.43919,8.5903,6.06,-0.010,,,Tau,
+21239,,4.55613,-10.7853,6.06,1.379,,,,
+22488,30985,4.83783,-41.3208,6.06,0.408,ν,,Cae,
+22842,,4.91423,44.0609,6.06,-0.032,,,,
+35442,,7.31720,-19.2803,6.06,0.612,,,,
+37248,61966,7.65009,-53.2734,6.06,-0.118,,,Car,
+37843,62864,7.75809,-14.6905,6.06,0.110,,2,Pup,
+38319,,7.85065,33.2337,6.06,0.150,,,,
+48835,,9.96183,-48.4141,6.06,-0.127,,,,
+50851,89962,10.38346,6.5426,6.06,1.119,,43,Leo,
+53818,,11.01133,-31.8394,6.06,0.527,,,,
+55140,98292,11.28862,-67.8235,6.06,1.753,,,Car,
+59898,,12.28509,-65.6930,6.06,0.021,,,,
+62026,,12.71382,-55.9470,6.06,-0.023,,,,
+64790,,13.27914,-65.1383,6.06,0.431,,,,
+65289,,13.38127,-72.1467,6.06,0.049,,,,
+70874,,14.49361,-76.7291,6.06,1.180,,,,
+70892,,14.49713,31.7912,6.06,-0.013,,,,
+71639,,14.65301,-46.5845,6.06,0.508,,,,
+72122,,14.75325,-1.4175,6.06,1.608,,,,
+73107,,14.94191,-32.6368,6.06,1.413,,,,
+79622,,16.24817,-25.4770,6.06,0.027,,,,
+80558,,16.44724,2.3479,6.06,0.919,,,,
+82780,152863,16.91727,25.7307,6.06,0.921,,56,Her,
+83504,,17.06612,13.5674,6.06,1.050,,,,
+83853,,17.13713,-1.0795,6.06,0.074,,,,
+89597,,18.28359,-51.0683,6.06,-0.046,,,,
+92098,,18.77028,41.4418,6.06,-0.120,,,,
+92243,,18.79927,31.7568,6.06,-0.139,,,,
+95167,,19.36120,79.6028,6.06,0.072,,,,
+95978,,19.51674,70.9893,6.06,1.416,,,,
+97892,,19.89317,59.7087,6.06,0.033,,,,
+102989,198529,20.86632,-33.1780,6.06,0.029,β,,Mic,
+103414,,20.95294,0.4638,6.06,1.217,,,,
+107173,,21.70915,10.8243,6.06,-0.115,,,,
+108494,208735,21.97883,-21.1829,6.06,1.621,,,Cap,
+112127,,22.71197,-44.2480,6.06,0.956,,,,
+117105,,23.74040,-70.4902,6.06,0.910,,,,
+544,166,0.11022,29.0215,6.07,0.752,,,And,
+1465,,0.30479,11.2062,6.07,1.036,,,,
+4185,,0.89117,37.4182,6.07,1.139,,,,
+5483,,1.16985,15.6739,6.07,1.535,,,,
+6522,,1.39633,78.7261,6.07,0.389,,,,
+8983,,1.92958,-60.8610,6.07,0.356,,,,
+9999,,2.14602,-17.7792,6.07,1.661,,,,
+12160,,2.61195,31.6077,6.07,1.052,,,,
+12584,,2.69676,-3.2138,6.07,1.175,,,,
+15118,,3.24905,42.5036,6.07,1.093,,,,
+15870,21050,3.40725,20.8035,6.07,-0.028,,65,Ari,
+19302,25975,4.13761,37.7275,6.07,0.943,,49,Per,
+29569,,6.22926,51.1725,6.07,1.051,,,,
+29728,,6.26116,6.0662,6.07,-0.124,,,,
+32504,49333,6.78375,-21.0154,6.07,-0.159,,12,CMa,
+34768,,7.19761,5.6547,6.07,-0.016,,,,
+38147,,7.81718,13.3719,6.07,1.367,,,,
+40341,,8.23640,-32.1407,6.07,-0.159,,,,
+41361,71487,8.43826,-39.0590,6.07,-0.009,,,Pup,
+43002,,8.76369,-25.3881,6.07,0.084,,,,
+43822,76369,8.92489,-7.9712,6.07,0.220,,17,Hya,
+44342,77190,9.03023,27.9026,6.07,0.243,,67,Cnc,
+49926,88647,10.19319,-58.8278,6.07,1.647,,,Car,
+50044,,10.21699,-59.9181,6.07,-0.072,,,,
+51448,,10.50739,64.2577,6.07,0.178,,,,
+54294,,11.10813,-58.6750,6.07,1.210,,,,
+54540,96707,11.16105,67.2102,6.07,0.225,,,UMa,
+59353,,12.17606,-37.8703,6.07,0.190,,,,
+60992,108861,12.50118,58.7678,6.07,0.988,,75,UMa,
+65951,,13.52105,42.1062,6.07,1.075,,,,
+69241,,14.17525,-70.3055,6.07,1.718,,,,
+69298,,14.18385,-69.7193,6.07,0.190,,,,
+71154,,14.55268,-30.7151,6.07,1.030,,,,
+72308,,14.78683,-52.2053,6.07,0.084,,,,
+74493,134967,15.22200,-19.6476,6.07,0.124,,25,Lib,
+75369,,15.40142,45.2710,6.07,1.212,,,,
+77801,142267,15.88669,13.1966,6.07,0.598,,39,Ser,
+78575,,16.04429,-29.1358,6.07,1.304,,,,
+78685,144046,16.06269,4.9868,6.07,0.960,,43,Ser,
+80910,,16.52301,-26.5376,6.07,1.085,,,,
+81670,,16.68349,24.8587,6.07,1.316,,,,
+81728,,16.69338,-24.4680,6.07,0.214,,,,
+82012,,16.75327,43.2172,6.07,1.415,,,,
+82162,151431,16.78604,2.0645,6.07,0.140,,19,Oph,
+82691,152248,16.90279,-41.8250,6.07,0.126,,,Sco,
+83481,,17.06158,-47.1606,6.07,0.072,,,,
+89096,,18.18456,-47.5131,6.07,1.193,,,,
+90487,,18.46398,3.7486,6.07,1.610,,,,
+91196,,18.60369,65.4887,6.07,0.279,,,,
+93720,,19.08286,30.7334,6.07,1.575,,,,
+98959,189567,20.09243,-67.3209,6.07,0.648,,,,
+101949,,20.65925,40.5797,6.07,-0.134,,,,
+103703,,21.01438,-17.5309,6.07,1.267,,,,
+104538,201616,21.17537,10.0489,6.07,0.022,,6,Equ,
+104765,,21.22401,36.6333,6.07,0.223,,,,
+105558,,21.37835,30.3099,6.07,1.079,,,,
+106938,,21.65781,-10.5769,6.07,1.034,,,,
+107097,206538,21.69285,40.8052,6.07,0.068,,76,Cyg,
+112635,,22.81229,62.9384,6.07,1.194,,,,
+116030,,23.51099,38.6623,6.07,0.992,,,,
+116737,222287,23.65776,-46.6378,6.07,0.240,θ,,Phe,
+1939,,0.40823,-2.2191,6.08,1.216,,,,
+4366,5382,0.93292,27.2094,6.08,0.133,k,67,Psc,
+14819,,3.18855,-3.8116,6.08,1.670,,,,
+20109,,4.31112,-52.8601,6.08,0.489,,,,
+20347,,4.35870,-25.7286,6.08,0.371,,,,
+23743,32357,5.10337,59.0213,6.08,1.112,,12,Cam,
+24349,,5.22543,1.9677,6.08,0.421,,,,
+25532,,5.46014,-21.3757,6.08,1.032,,,,
+26363,,5.61456,40.1824,6.08,1.032,,,,
+28677,40801,6.05499,42.9116,6.08,0.979,,38,Aur,
+29347,,6.18713,-26.4821,6.08,-0.021,,,,
+31168,,6.53980,11.6735,6.08,1.069,,,,
+40085,,8.18795,9.8212,6.08,-0.104,,,,
+41262,,8.41803,35.0114,6.08,1.261,,,,
+44315,,9.02539,5.6410,6.08,1.111,,,,
+48396,,9.86654,-16.5348,6.08,1.035,,,,
+50292,,10.26917,-11.2034,6.08,1.096,,,,
+52150,,10.65441,-74.4934,6.08,1.683,,,,
+53379,94660,10.91695,-42.2511,6.08,-0.061,,,Vel,
+59396,,12.18475,-61.2774,6.08,0.398,,,,
+68673,122532,14.05763,-41.4233,6.08,-0.112,,,Cen,
+73309,,14.98133,-4.9893,6.08,0.509,,,,
+81659,,16.68093,12.3950,6.08,0.046,,,,
+83494,,17.06488,34.7902,6.08,0.200,,,,
+84311,155341,17.23706,-56.8885,6.08,1.728,,,Ara,
+84524,,17.27854,-6.2450,6.08,1.100,,,,
+86476,,17.66999,-2.1523,6.08,1.608,,,,
+87926,,17.96158,-76.1779,6.08,1.205,,,,
+92524,174589,18.85615,-3.3179,6.08,0.299,,8,Aql,
+93966,178428,19.13259,16.8534,6.08,0.705,,,,
+95898,,19.50293,2.9041,6.08,1.820,,,,
+96882,,19.69369,-65.8544,6.08,1.556,,,,
+97028,,19.71933,30.6779,6.08,0.003,,,,
+100764,,20.42998,-40.7962,6.08,1.364,,,,
+101919,,20.65296,21.8174,6.08,-0.043,,,,
+105860,204188,21.44074,19.3756,6.08,0.235,,,Peg,
+109276,,22.13812,25.5435,6.08,0.311,,,,
+115433,220263,23.38244,-60.0558,6.08,1.603,,,Tuc,
+117075,,23.73370,-45.0831,6.08,0.978,,,,
+117340,,23.79251,46.8326,6.08,-0.135,,,,
+394,225239,0.08160,34.6598,6.09,0.632,,,,
+5121,6482,1.09358,-9.9793,6.09,1.012,,27,Cet,
+8820,,1.88977,-38.5946,6.09,1.125,,,,
+9295,,1.99053,12.2949,6.09,0.186,,,,
+9318,,1.99476,-66.0666,6.09,1.176,,,,
+10176,13294,2.18134,39.0395,6.09,-0.054,,59,And,
+11603,,2.49315,9.5656,6.09,1.022,,,,
+12611,,2.70235,-46.5244,6.09,0.876,,,,
+15988,21071,3.43261,49.1208,6.09,-0.073,,,Per,
+17453,,3.74117,20.9287,6.09,0.028,,,,
+17707,,3.79226,55.9220,6.09,-0.020,,,,
+18481,,3.95048,6.0400,6.09,0.058,,,,
+19641,,4.20871,17.2775,6.09,1.081,,,,
+20106,,4.31041,-22.9697,6.09,0.302,,,,
+21242,28704,4.55692,43.0639,6.09,0.370,m,57,Per,
+21298,,4.57061,-6.8378,6.09,1.384,,,,
+22034,,4.73695,40.7865,6.09,0.040,,,,
+22441,30605,4.82891,15.9042,6.09,1.551,,96,Tau,
+23216,31579,4.99620,53.1555,6.09,1.462,,8,Cam,
+25216,35189,5.39381,16.6993,6.09,0.141,,110,Tau,
+25317,,5.41544,-44.2257,6.09,1.195,,,,
+27118,,5.75050,4.0081,6.09,0.320,,,,
+28686,,6.05688,11.6811,6.09,-0.035,,,,
+29705,,6.25727,-9.0358,6.09,-0.081,,,,
+29789,43261,6.27196,23.9700,6.09,0.897,,8,Gem,
+31813,,6.65147,22.0309,6.09,1.027,,,,
+34142,,7.07973,-22.0317,6.09,1.225,,,,
+34253,,7.10063,-38.3829,6.09,0.702,,,,
+34318,,7.11457,-24.9606,6.09,1.341,,,,
+37406,61106,7.68043,57.0829,6.09,1.440,,23,Lyn,
+38845,,7.94940,-42.4065,6.09,1.361,,,,
+39340,,8.04189,63.0903,6.09,0.580,,,,
+43204,,8.80135,-6.5588,6.09,1.282,,,,
+48017,,9.78835,79.1367,6.09,0.303,,,,
+49293,,10.06139,-9.5738,6.09,1.671,,,,
+51676,91619,10.55705,-58.1901,6.09,0.325,,,Car,
+51816,,10.58623,-43.6646,6.09,0.940,,,,
+54214,,11.09277,-11.0889,6.09,0.301,,,,
+55979,,11.47178,-72.4740,6.09,0.101,,,,
+56789,101133,11.64264,46.8342,6.09,0.401,,60,UMa,
+60603,,12.42178,-27.7490,6.09,1.272,,,,
+65783,,13.48553,-64.6758,6.09,0.117,,,,
+68431,,14.00911,-78.5900,6.09,0.007,,,,
+69491,124195,14.22773,-54.6256,6.09,0.051,,,Cen,
+72965,131058,14.91183,-65.9911,6.09,-0.061,ζ,,Cir,
+74479,,15.21879,-36.0914,6.09,-0.081,,,,
+79332,145647,16.19131,16.6657,6.09,0.020,q,,Her,
+79692,,16.26431,-14.8491,6.09,0.098,,,,
+80788,148218,16.49589,-57.7563,6.09,1.459,,,Nor,
+84489,,17.27267,-35.7503,6.09,0.479,,,,
+85302,157967,17.43177,16.9176,6.09,1.528,,,Her,
+86064,,17.58886,-53.3529,6.09,0.025,,,,
+86311,,17.63568,-42.8803,6.09,-0.057,,,,
+87174,,17.81057,-55.4017,6.09,0.283,,,,
+87379,161917,17.85307,-53.1303,6.09,0.010,υ2,,Ara,
+87404,,17.86238,-45.6007,6.09,0.949,,,,
+87744,,17.92324,55.9714,6.09,0.316,,,,
+89023,,18.16909,16.4766,6.09,0.574,,,,
+93134,,18.97258,-31.0360,6.09,1.347,,,,
+94929,,19.31669,-15.5366,6.09,1.420,,,,
+95235,,19.37593,33.5182,6.09,1.052,,,,
+95929,183656,19.50920,3.4444,6.09,-0.019,,,Aql,
+99762,,20.24081,-63.4158,6.09,0.308,,,,
+100325,193452,20.34627,-14.7849,6.09,-0.016,β2,,Cap,Dabih Minor
+100486,,20.37703,31.2650,6.09,1.363,,,,
+101017,,20.47965,-35.5959,6.09,-0.094,,,,
+101626,,20.59770,-69.6106,6.09,1.293,,,,
+105768,,21.42168,-71.7991,6.09,1.265,,,,
+113234,,22.93098,-31.6332,6.09,1.358,,,,
+117420,,23.80902,-6.3804,6.09,1.452,,,,
+117931,224113,23.92127,-31.9215,6.09,-0.093,,,Scl,
+1501,1438,0.31171,43.7911,6.10,-0.074,,26,And,
+4501,,0.96101,45.8394,6.10,1.028,,,,
+9085,12042,1.94999,-51.7662,6.10,0.487,,,,
+14392,,3.09449,56.0690,6.10,1.049,,,,
+17475,,3.74470,46.0998,6.10,0.291,,,,
+20781,,4.45166,-46.9475,6.10,0.470,,,,
+22955,,4.93891,36.1685,6.10,0.352,,,,
+23617,,5.07769,74.0670,6.10,0.018,,,,
+23680,32736,5.08992,1.1776,6.10,3.332,,,Ori,
+25098,35580,5.37282,-56.1344,6.10,-0.091,κ,,Pic,
+26300,37434,5.60079,-47.3137,6.10,1.159,,,Pic,
+26315,,5.60443,47.7153,6.10,0.295,,,,
+26395,,5.61911,-11.7755,6.10,0.051,,,,
+32332,,6.74879,-70.4338,6.10,1.335,,,,
+33041,50018,6.88373,38.8692,6.10,0.406,,59,Aur,
+34338,,7.11847,4.9106,6.10,-0.129,,,,
+34782,,7.20113,-30.8214,6.10,0.273,,,,
+37854,,7.75987,-56.7226,6.10,0.397,,,,
+42928,,8.74865,-21.1678,6.10,0.195,,,,
+43351,,8.83059,-72.5512,6.10,0.185,,,,
+44708,,9.10945,-55.8024,6.10,-0.132,,,,
+45184,79193,9.20723,-7.1098,6.10,0.232,,21,Hya,
+48218,85040,9.83058,21.1794,6.10,0.257,,20,Leo,
+51245,,10.46725,-49.4058,6.10,1.506,,,,
+51795,,10.58269,-23.1762,6.10,0.496,,,,
+52112,,10.64731,-42.7534,6.10,0.661,,,,
+55528,,11.37309,-44.6459,6.10,0.926,,,,
+57211,,11.73135,-62.8783,6.10,0.063,,,,
+60591,,12.41903,-42.5143,6.10,0.652,,,,
+64496,,13.22011,18.7270,6.10,1.201,,,,
+65376,116581,13.39831,37.0339,6.10,1.637,,,CVn,
+65892,117436,13.50715,-6.4703,6.10,0.341,,72,Vir,
+67714,,13.87178,12.1651,6.10,0.042,,,,
+69623,,14.25035,-29.2819,6.10,0.040,,,,
+70270,125721,14.37742,-48.3199,6.10,-0.130,,,Lup,
+70952,,14.51280,63.1858,6.10,0.428,,,,
+72097,,14.74874,-58.4775,6.10,1.013,,,,
+72121,129557,14.75305,-55.6016,6.10,-0.066,,,Cir,
+73354,,14.99089,-43.1598,6.10,0.597,,,,
+75742,,15.47423,-51.5979,6.10,1.067,,,,
+76337,139074,15.59257,17.6556,6.10,0.975,τ3,15,Ser,
+78355,,15.99837,-54.0209,6.10,-0.016,,,,
+78726,,16.07161,-33.2137,6.10,0.338,,,,
+82453,,16.85001,-37.5145,6.10,0.124,,,,
+87671,,17.90753,-34.4667,6.10,0.055,,,,
+89527,167654,18.26821,2.3775,6.10,1.550,,,Oph,
+91119,,18.58709,34.4580,6.10,-0.115,,,,
+91606,,18.68233,62.7495,6.10,0.978,,,,
+92551,,18.86015,36.5391,6.10,-0.100,,,,
+96724,,19.66248,33.9789,6.10,0.094,,,,
+98044,,19.92279,58.2502,6.10,1.021,,,,
+100758,,20.42848,-2.8004,6.10,1.193,,,,
+101221,,20.51786,-15.0562,6.10,0.797,,,,
+103646,,20.99991,-36.1296,6.10,0.400,,,,
+103894,,21.05135,38.6574,6.10,1.011,,,,
+105841,203760,21.43762,-54.6605,6.10,0.366,γ,,Ind,
+106243,,21.51934,12.1375,6.10,-0.047,,,,
+106703,205529,21.61355,-33.0479,6.10,0.226,,7,PsA,
+107186,,21.71078,49.6003,6.10,0.993,,,,
+107197,,21.71260,59.2708,6.10,1.349,,,,
+107664,,21.80815,38.6486,6.10,-0.072,,,,
+109509,,22.18399,-21.2328,6.10,0.503,,,,
+109902,,22.25973,-44.4515,6.10,0.988,,,,
+116307,,23.56541,20.8409,6.10,1.654,,,,
+365,,0.07683,42.0925,6.11,0.159,,,,
+696,402,0.14264,-17.5782,6.11,1.664,,,Cet,
+1415,1337,0.29529,51.4331,6.11,-0.151,,,Cas,Pearce's Star
+2629,3112,0.55649,-71.2662,6.11,0.265,θ,,Tuc,
+3685,4490,0.78712,19.5787,6.11,0.270,,59,Psc,
+4363,,0.93209,-27.7758,6.11,1.674,,,,
+5993,,1.28474,44.9020,6.11,1.590,,,,
+7271,,1.56088,-78.5048,6.11,0.970,,,,
+7361,,1.58077,-31.8923,6.11,1.109,,,,
+11524,,2.47651,-31.1024,6.11,1.106,,,,
+13997,,3.00331,38.1317,6.11,-0.057,,,,
+14040,18760,3.01413,-2.8786,6.11,1.751,,7,Eri,
+14749,,3.17423,-48.7342,6.11,1.118,,,,
+14821,,3.18942,13.0478,6.11,1.038,,,,
+17181,22805,3.67953,25.3295,6.11,0.097,,11,Tau,
+20255,,4.34031,18.7426,6.11,0.404,,,,
+20765,,4.44915,-24.0813,6.11,0.143,,,,
+21718,,4.66312,-1.0525,6.11,0.943,,,,
+22597,,4.86205,9.9751,6.11,0.060,,,,
+22844,,4.91473,-58.5477,6.11,0.442,,,,
+22847,,4.91523,-39.6286,6.11,1.423,,,,
+23511,,5.05518,41.4416,6.11,0.188,,,,
+24041,,5.16757,-0.5653,6.11,1.098,,,,
+26414,,5.62203,8.9519,6.11,-0.170,,,,
+27937,,5.91142,-49.6270,6.11,-0.148,,,,
+30407,,6.39331,-9.8747,6.11,1.841,,,,
+31674,,6.62800,-12.9851,6.11,0.994,,,,
+32775,,6.83361,-60.2491,6.11,0.457,,,,
+36807,,7.57023,-33.4634,6.11,0.297,,,,
+38246,,7.83491,-19.5235,6.11,1.265,,,,
+40324,,8.23297,-36.3408,6.11,-0.185,,,,
+40926,,8.35212,-64.1060,6.11,0.930,,,,
+41163,70734,8.39867,10.6321,6.11,1.507,,21,Cnc,
+41319,71030,8.43052,17.0463,6.11,0.448,d2,25,Cnc,
+41907,,8.54493,-73.3568,6.11,0.946,,,,
+46840,,9.54483,1.8642,6.11,0.614,,,,
+48943,,9.98509,-23.9508,6.11,-0.101,,,,
+49259,,10.05572,-46.6362,6.11,0.041,,,,
+54185,,11.08447,-49.3923,6.11,-0.019,,,,
+54742,97411,11.20844,-18.4999,6.11,-0.004,ψ,,Crt,
+55106,98088,11.28283,-7.1347,6.11,0.211,,,Crt,Abt's Star
+59750,,12.25293,-10.3124,6.11,0.470,,,,
+61404,109372,12.58179,-67.7569,6.11,1.514,,,Mus,
+62394,111164,12.78712,11.9581,6.11,0.122,,34,Vir,
+62875,111998,12.88643,-3.5531,6.11,0.493,,38,Vir,
+63211,,12.95217,46.1768,6.11,1.012,,,,
+66086,,13.54673,24.3467,6.11,0.969,,,,
+66574,,13.64603,-70.4448,6.11,1.415,,,,
+67696,,13.86694,-31.6192,6.11,0.478,,,,
+75342,137006,15.39547,-1.0224,6.11,0.264,,8,Ser,
+77574,,15.83787,-45.4017,6.11,0.299,,,,
+78078,142703,15.94261,-14.8294,6.11,0.243,,,Lib,
+80066,,16.34239,-39.4303,6.11,-0.079,,,,
+80514,,16.43649,11.4075,6.11,1.065,,,,
+83359,,17.03771,64.6007,6.11,0.960,,,,
+83575,,17.08049,48.8040,6.11,1.091,,,,
+86118,,17.59988,20.9962,6.11,0.184,,,,
+88127,166865,18.00099,80.0008,6.11,0.521,,40,Dra,
+93523,,19.04795,19.6610,6.11,1.317,,,,
+94144,,19.16337,-19.8037,6.11,1.156,,,,
+95965,,19.51501,-21.3122,6.11,0.121,,,,
+97423,,19.80084,-13.7036,6.11,0.193,,,,
+98485,,20.00736,-43.0433,6.11,1.634,,,,
+99913,192836,20.27216,21.5987,6.11,1.039,,18,Sge,
+101507,195838,20.56991,-13.7211,6.11,0.543,,,,
+105370,,21.34263,60.7564,6.11,1.005,,,,
+105949,204599,21.45702,59.7501,6.11,1.720,,,Cep,
+107140,206632,21.70232,45.7657,6.11,1.415,,,Cyg,
+109303,210334,22.14467,45.7423,6.11,0.763,,,Lac,
+109659,,22.21466,73.3072,6.11,1.006,,,,
+111567,,22.60219,35.5775,6.11,0.997,,,,
+113167,216701,22.91653,1.0649,6.11,0.192,,1,Psc,
+114258,,23.13995,-79.4807,6.11,0.145,,,,
+1302,,0.27265,43.5950,6.12,0.068,,,,
+1319,1227,0.27612,8.2402,6.12,0.919,,36,Psc,
+4829,6192,1.03384,-57.0024,6.12,0.935,ω,,Phe,
+5170,,1.10214,-23.9925,6.12,1.076,,,,
+9586,,2.05290,73.8506,6.12,0.162,,,,
+10138,13445,2.17387,-50.8237,6.12,0.812,,,,
+14547,,3.13026,-69.2649,6.12,1.011,,,,
+16310,,3.50377,-41.3699,6.12,0.489,,,,
+17120,,3.66655,-1.1212,6.12,0.994,,,,
+19037,,4.07803,-20.3819,6.12,1.157,,,,
+21363,,4.58353,-19.9214,6.12,1.174,,,,
+24820,,5.32075,20.1346,6.12,1.020,,,,
+28908,41330,6.10237,35.3877,6.12,0.600,,,,
+29931,,6.30156,14.3829,6.12,0.035,,,,
+30468,,6.40571,-12.9619,6.12,-0.076,,,,
+34924,55857,7.22679,-27.3564,6.12,-0.234,,,CMa,
+39225,66546,8.02307,-54.5155,6.12,-0.044,,,Car,
+39524,66834,8.07817,-19.7281,6.12,-0.154,,14,Pup,
+40859,,8.33806,-5.3299,6.12,1.329,,,,
+40876,,8.34093,-22.9247,6.12,1.039,,,,
+42455,,8.65614,-36.6067,6.12,0.426,,,,
+42954,74485,8.75595,30.6978,6.12,0.935,,46,Cnc,
+43580,,8.87521,-13.2329,6.12,1.142,,,,
+45858,,9.34983,38.1883,6.12,0.380,,,,
+46329,,9.44581,-28.7877,6.12,-0.089,,,,
+46768,,9.53214,-10.3703,6.12,1.183,,,,
+46869,,9.55055,-8.5054,6.12,0.974,,,,
+47631,83951,9.71187,35.0934,6.12,0.386,,13,LMi,
+50790,,10.37026,-19.8666,6.12,0.035,,,,
+53240,,10.89027,-2.2552,6.12,0.913,,,,
+54027,,11.05404,-0.7523,6.12,0.269,,,,
+54783,,11.21575,-49.7361,6.12,1.055,,,,
+56253,,11.53071,81.1273,6.12,0.264,,,,
+66992,,13.72921,22.7004,6.12,1.447,,,,
+68493,,14.02196,-40.2219,6.12,1.265,,,,
+73068,,14.93294,32.3001,6.12,0.109,,,,
+74571,,15.23620,42.1714,6.12,1.635,,,,
+76617,,15.64690,34.6750,6.12,1.039,,,,
+78469,,16.01846,-54.5779,6.12,0.264,,,,
+82517,,16.86497,-65.3755,6.12,-0.028,,,,
+84108,,17.19452,49.7464,6.12,0.185,,,,
+84175,,17.20696,-27.7621,6.12,-0.048,,,,
+86373,,17.64941,13.3293,6.12,0.567,,,,
+89604,,18.28523,40.9367,6.12,0.977,,,,
+92269,,18.80447,48.7676,6.12,0.225,,,,
+92643,,18.87696,-29.3797,6.12,1.344,,,,
+94398,,19.21281,-50.4864,6.12,0.954,,,,
+97538,,19.82431,38.7101,6.12,0.906,,,,
+97687,,19.85308,-2.4610,6.12,1.573,,,,
+99145,,20.12818,34.4229,6.12,0.117,,,,
+100977,194939,20.47359,-3.3578,6.12,-0.049,,68,Aql,
+104756,,21.22266,81.2310,6.12,0.092,,,,
+105064,,21.28391,53.9977,6.12,0.049,,,,
+105864,,21.44113,1.1034,6.12,0.481,,,,
+110712,,22.43088,-75.0157,6.12,0.599,,,,
+112102,214966,22.70613,-29.3610,6.12,1.522,,19,PsA,
+113531,,22.99324,-13.0709,6.12,1.459,,,,
+114162,,23.11946,52.8166,6.12,1.060,,,,
+114699,,23.23516,-62.7000,6.12,0.787,,,,
+115496,,23.39595,-43.1244,6.12,1.464,,,,
+3919,4778,0.83841,45.0023,6.13,0.043,,,And,
+5650,,1.20947,45.3375,6.13,1.652,,,,
+6822,,1.46293,-10.9016,6.13,1.320,,,,
+14514,19374,3.12380,17.8800,6.13,-0.123,,53,Ari,
+17408,23183,3.72978,19.6650,6.13,0.994,,14,Tau,
+20934,,4.48891,-46.5153,6.13,1.062,,,,
+24836,34233,5.32441,58.1174,6.13,-0.031,,15,Cam,
+25240,,5.39759,-0.8666,6.13,0.483,,,,
+27900,,5.90371,10.5864,6.13,1.404,,,,
+33079,,6.88940,-18.9328,6.13,0.156,,,,
+39153,66255,8.00805,-48.8718,6.13,-0.085,,,Pup,
+41067,70673,8.37968,-13.0548,6.13,0.997,,22,Pup,
+42931,74591,8.75035,5.6806,6.13,0.200,,10,Hya,
+43902,,8.94362,4.2366,6.13,1.001,,,,
+45166,,9.20343,-76.6630,6.13,1.090,,,,
+46744,,9.52749,-10.5520,6.13,0.261,,,,
+48799,86466,9.95304,-52.6388,6.13,-0.115,,,Vel,
+51077,,10.43607,-42.7385,6.13,1.129,,,,
+55667,,11.40613,-42.6691,6.13,-0.175,,,,
+57732,,11.83878,-15.8637,6.13,0.947,,,,
+58177,,11.93188,-39.6895,6.13,1.010,,,,
+71429,,14.60669,-39.5974,6.13,1.048,,,,
+71729,,14.67274,21.9759,6.13,0.434,,,,
+73927,,15.10754,-22.0318,6.13,1.040,,,,
+79102,145122,16.14629,17.2056,6.13,-0.003,,8,Her,
+86096,,17.59510,37.3016,6.13,0.978,,,,
+87192,,17.81330,19.2550,6.13,0.024,,,,
+88859,,18.14170,-45.7670,6.13,-0.082,,,,
+89086,,18.18204,-33.8001,6.13,-0.137,,,,
+90304,168740,18.42545,-63.0215,6.13,0.202,,,Pav,
+91751,,18.71003,-7.0737,6.13,1.006,,,,
+95396,,19.40597,-43.7221,6.13,1.603,,,,
+96440,184705,19.60724,-18.8529,6.13,0.273,,,Sgr,
+97651,,19.84635,37.8263,6.13,1.626,,,,
+97789,,19.87123,36.4323,6.13,1.434,,,,
+99685,,20.22856,43.3790,6.13,1.489,,,,
+100184,,20.32163,-47.5803,6.13,0.469,,,,
+101090,,20.49204,-22.3916,6.13,1.543,,,,
+104172,,21.10652,26.9244,6.13,1.026,,,,
+104980,,21.26299,-36.2107,6.13,1.380,,,,
+108478,208496,21.97502,-59.0121,6.13,0.469,κ,,Ind,
+109584,,22.19861,-76.1160,6.13,1.001,,,,
+109746,,22.23047,63.1623,6.13,-0.089,,,,
+114187,218395,23.12437,32.8253,6.13,0.137,,,Peg,
+114750,,23.24449,-10.6887,6.13,1.504,,,,
+115510,220392,23.39848,-53.8087,6.13,0.258,,,Gru,
+117710,,23.87317,21.6711,6.13,1.616,,,,
+1099,,0.22899,-26.2850,6.14,1.490,,,,
+3185,3795,0.67578,-23.8049,6.14,0.718,,,,
+4655,5820,0.99713,6.4832,6.14,1.654,,,Psc,
+5204,6557,1.10934,12.9560,6.14,0.962,,75,Psc,
+8552,,1.83894,-47.8164,6.14,0.998,,,,
+11415,,2.45201,27.0124,6.14,1.461,,,,
+11678,15550,2.51067,19.8553,6.14,0.247,,26,Ari,
+13197,17713,2.83082,-24.5603,6.14,0.998,γ1,,For,
+13883,,2.97981,-9.7765,6.14,0.221,,,,
+13907,,2.98514,-28.9072,6.14,1.044,,,,
+15244,20395,3.27660,-9.1547,6.14,0.407,,14,Eri,
+15557,20663,3.34044,25.6627,6.14,1.241,,60,Ari,
+15840,,3.40064,-69.6246,6.14,0.482,,,,
+16303,,3.50304,59.3659,6.14,0.095,,,,
+16641,,3.56899,17.8328,6.14,0.891,,,,
+18401,,3.93444,-63.4637,6.14,1.094,,,,
+19177,,4.11079,65.5208,6.14,0.145,,,,
+19672,26571,4.21423,22.4135,6.14,0.171,,,Tau,
+20848,,4.46768,1.8586,6.14,1.018,,,,
+23161,,4.98317,14.5432,6.14,0.156,,,,
+23583,,5.07071,30.4946,6.14,1.208,,,,
+27731,38831,5.87146,58.9641,6.14,-0.036,,30,Cam,
+28390,,5.99665,54.5470,6.14,1.197,,,,
+31697,,6.63131,4.9567,6.14,0.091,,,,
+31733,,6.63901,-2.5439,6.14,1.470,,,,
+35960,58634,7.41315,-37.2912,6.14,0.261,,,Pup,
+38074,63640,7.80237,-40.6524,6.14,1.591,,,Pup,
+38635,,7.91109,-34.8467,6.14,1.540,,,,
+38863,,7.95355,-63.2968,6.14,-0.103,,,,
+41036,,8.37505,-6.1792,6.14,0.227,,,,
+43685,,8.89880,35.5383,6.14,0.059,,,,
+45167,,9.20358,3.8670,6.14,-0.010,,,,
+45615,80710,9.29768,-67.0509,6.14,1.254,,,Car,
+45836,80290,9.34549,51.2661,6.14,0.436,,37,Lyn,
+46529,,9.49012,-2.2052,6.14,0.222,,,,
+49281,,10.05948,-61.8840,6.14,-0.032,,,,
+49769,88218,10.15883,-35.8568,6.14,0.615,,,,
+56731,,11.63139,50.6182,6.14,1.068,,,,
+58989,,12.09436,62.9331,6.14,1.178,,,,
+62788,111786,12.86608,-26.7383,6.14,0.232,,,Hya,
+66019,,13.53484,-38.3988,6.14,1.031,,,,
+68080,,13.93888,-54.1324,6.14,0.071,,,,
+68177,,13.95770,-23.0226,6.14,1.426,,,,
+69316,,14.18753,32.2959,6.14,1.258,,,,
+75093,,15.34491,44.4344,6.14,0.369,,,,
+75118,136407,15.35038,-15.5483,6.14,0.393,ο,29,Lib,
+77927,,15.91462,-60.7437,6.14,0.121,,,,
+79661,,16.25665,-42.8994,6.14,1.114,,,,
+79686,,16.26315,27.4221,6.14,1.334,,,,
+80455,,16.42281,-63.1252,6.14,0.029,,,,
+81914,,16.73169,-41.1133,6.14,-0.078,,,,
+85237,,17.41741,-34.6961,6.14,0.046,,,,
+87341,,17.84677,22.3163,6.14,0.242,,,,
+87567,,17.88877,-34.7308,6.14,-0.041,,,,
+88522,165174,18.07705,1.9190,6.14,-0.056,,,Oph,
+89298,,18.22127,21.8803,6.14,1.472,,,,
+89977,168797,18.35789,5.4357,6.14,-0.048,,,Ser,
+90290,,18.42269,-35.9920,6.14,1.006,,,,
+92968,,18.94045,2.4712,6.14,0.961,,,,
+93140,,18.97357,-22.5295,6.14,0.087,,,,
+95866,,19.49795,-55.4418,6.14,0.974,,,,
+97067,,19.72711,-37.5388,6.14,0.019,,,,
+97242,,19.76427,35.0128,6.14,1.070,,,,
+97372,,19.79079,47.9076,6.14,1.640,,,,
+97970,,19.91117,7.1404,6.14,0.043,,,,
+98379,,19.98759,52.0557,6.14,-0.183,,,,
+98915,,20.08521,51.8394,6.14,1.601,,,,
+100664,,20.41041,1.0684,6.14,-0.036,,,,
+101285,,20.52959,56.7799,6.14,1.431,,,,
+104357,,21.14115,6.9894,6.14,1.669,,,,
+106052,,21.48131,55.4187,6.14,0.100,,,,
+108090,,21.89938,6.8648,6.14,0.786,,,,
+109990,,22.27707,-25.8982,6.14,1.110,,,,
+112098,,22.70578,53.9087,6.14,1.634,,,,
+112641,,22.81331,54.4149,6.14,-0.083,,,,
+112924,,22.86945,-63.1887,6.14,1.025,,,,
+2337,,0.49775,-14.8641,6.15,0.388,,,,
+3527,,0.74999,-53.7149,6.15,0.524,,,,
+3552,,0.75670,-4.6292,6.15,1.652,,,,
+3559,4307,0.75797,-12.8808,6.15,0.603,,18,Cet,
+4257,5268,0.90489,-8.7407,6.15,0.911,,21,Cet,
+7050,,1.51448,66.0981,6.15,0.070,,,,
+8991,12363,1.93071,-78.3485,6.15,0.448,σ,,Hyi,
+12775,,2.73627,-52.5706,6.15,0.088,,,,
+13756,18345,2.95127,4.5010,6.15,1.623,,,Cet,
+14887,,3.20265,42.3759,6.15,-0.099,,,,
+15209,,3.26791,45.3461,6.15,1.674,,,,
+20263,27536,4.34407,-6.2460,6.15,0.901,,,Eri,
+20284,,4.34798,13.8644,6.15,0.456,,,,
+23060,,4.96241,-14.2319,6.15,-0.202,,,,
+23852,33021,5.12731,9.4718,6.15,0.625,,13,Ori,
+24479,,5.25317,59.4057,6.15,1.179,,,,
+24493,,5.25514,-1.4090,6.15,0.401,,,,
+24740,34364,5.30525,33.7673,6.15,-0.043,,17,Aur,
+25976,,5.54388,0.0119,6.15,1.553,,,,
+26408,36570,5.62085,64.1547,6.15,0.006,,19,Cam,
+26412,37430,5.62125,-27.8714,6.15,0.322,ν1,,Col,
+26866,,5.70402,-17.5304,6.15,1.376,,,,
+28321,40535,5.98363,-9.3822,6.15,0.333,,1,Mon,
+28957,42078,6.11140,-42.2988,6.15,0.246,π1,,Col,
+29025,,6.12410,41.8543,6.15,1.202,,,,
+29323,42536,6.18367,-6.7542,6.15,0.010,,,Mon,
+31068,46792,6.51962,-61.8795,6.15,-0.147,,,Pic,
+31711,48189,6.63343,-61.5334,6.15,0.624,,,Pic,
+34200,,7.09223,-34.7777,6.15,0.353,,,,
+34789,,7.20208,5.4743,6.15,1.142,,,,
+39617,,8.09580,-33.5694,6.15,1.098,,,,
+40485,,8.26634,-35.9032,6.15,1.549,,,,
+40947,,8.35672,-39.6207,6.15,0.172,,,,
+44887,,9.14543,-26.7676,6.15,0.170,,,,
+46517,,9.48783,-38.4035,6.15,0.216,,,,
+47694,84400,9.72433,-51.2281,6.15,-0.098,,,Vel,
+51161,,10.45013,19.3645,6.15,1.141,,,,
+52882,93636,10.81590,29.4161,6.15,1.144,,43,LMi,
+53771,,11.00230,-51.8178,6.15,0.188,,,,
+56293,,11.53980,-26.7468,6.15,1.670,,,,
+57629,,11.81702,-0.3187,6.15,0.518,,,,
+59950,,12.29646,-36.0940,6.15,0.008,,,,
+60870,,12.47600,-56.4078,6.15,0.920,,,,
+63952,,13.10635,62.0419,6.15,0.997,,,,
+69747,,14.27505,-3.1963,6.15,-0.007,,,,
+72139,,14.75572,18.8850,6.15,0.841,,,,
+72412,,14.80649,24.3669,6.15,0.506,,,,
+72449,,14.81503,-0.8477,6.15,-0.025,,,,
+72469,,14.81854,37.8112,6.15,0.389,,,,
+75770,,15.47900,47.2015,6.15,0.100,,,,
+77111,140729,15.74503,17.2642,6.15,0.002,τ8,26,Ser,
+77900,,15.90837,-27.3386,6.15,-0.069,,,,
+78985,,16.12283,21.8226,6.15,1.365,,,,
+82979,,16.95722,-10.9634,6.15,1.000,,,,
+83706,154368,17.10788,-35.4510,6.15,0.438,,,Sco,
+85923,,17.55878,57.5587,6.15,0.602,,,,
+90012,,18.36671,-28.4300,6.15,0.264,,,,
+90253,,18.41589,-1.5794,6.15,0.381,,,,
+93858,177565,19.11457,-37.8107,6.15,0.705,,,,
+98308,,19.97465,63.5341,6.15,0.035,,,,
+100697,,20.41525,-83.3106,6.15,0.203,,,,
+105229,,21.31537,41.0405,6.15,0.257,,,,
+105334,,21.33597,-45.0219,6.15,2.387,,,,
+111170,213429,22.52175,-6.5552,6.15,0.565,,,,
+111171,,22.52178,-2.9113,6.15,1.083,,,,
+111504,,22.59070,-78.7716,6.15,1.368,,,,
+113447,,22.97639,-35.5232,6.15,0.582,,,,
+113998,,23.08691,-17.0793,6.15,1.370,,,,
+115062,,23.30556,-67.4712,6.15,1.356,,,,
+2100,2273,0.44373,-0.0495,6.16,0.893,,10,Cet,
+6272,,1.34106,-11.2390,6.16,1.102,,,,
+11465,15138,2.46438,50.5700,6.16,0.435,,66,And,
+20231,,4.33609,31.9532,6.16,1.679,,,,
+24451,,5.24563,53.2139,6.16,0.084,,,,
+26477,,5.63149,-4.8140,6.16,-0.029,,,,
+27670,,5.85795,-22.9269,6.16,1.020,,,,
+29210,,6.16007,-5.7114,6.16,0.352,,,,
+30660,,6.44290,-4.5974,6.16,-0.151,,,,
+30804,,6.47189,10.3039,6.16,1.150,,,,
+31024,,6.50969,-13.1482,6.16,-0.137,,,,
+32007,,6.68727,-40.3498,6.16,-0.146,,,,
+32682,49567,6.81768,1.0021,6.16,-0.134,,,Mon,
+33269,50420,6.92074,43.9100,6.16,0.314,,,Aur,
+37339,,7.66503,32.0097,6.16,0.374,,,,
+37465,,7.68987,-22.3367,6.16,1.644,,,,
+37720,,7.73695,-69.8216,6.16,-0.032,,,,
+38307,,7.84868,-11.1286,6.16,1.128,,,,
+38794,,7.93997,4.4856,6.16,0.957,,,,
+42484,,8.66183,73.6297,6.16,1.017,,,,
+44738,,9.11665,1.4627,6.16,1.648,,,,
+45896,,9.35755,32.9022,6.16,1.097,,,,
+49994,,10.20637,-52.1632,6.16,1.168,,,,
+50232,,10.25462,-54.9742,6.16,-0.155,,,,
+50755,89774,10.36397,14.9758,6.16,0.018,,42,Leo,
+53546,,10.95439,-75.0998,6.16,1.531,,,,
+53701,,10.98723,-61.3207,6.16,-0.064,,,,
+54082,,11.06673,-57.9553,6.16,-0.167,,,,
+57497,,11.78529,-35.9069,6.16,0.952,,,,
+58642,,12.02477,-57.5038,6.16,-0.004,,,,
+59307,,12.16737,-34.7047,6.16,0.030,,,,
+60168,107326,12.33827,26.0019,6.16,0.306,,,,
+62212,,12.75057,-68.8308,6.16,0.688,,,,
+64557,,13.23269,-43.1391,6.16,1.366,,,,
+66860,,13.70355,8.3884,6.16,0.418,,,,
+68030,,13.93055,14.0565,6.16,0.518,,,,
+68637,,14.04993,50.9718,6.16,0.026,,,,
+74026,,15.12787,5.4980,6.16,0.921,,,,
+74121,,15.14820,13.2352,6.16,0.967,,,,
+75110,136366,15.34825,-18.1587,6.16,1.024,,28,Lib,
+78989,,16.12336,-56.1910,6.16,0.565,,,,
+81507,,16.64797,-60.9904,6.16,-0.073,,,,
+82426,,16.84532,32.5537,6.16,1.014,,,,
+83289,,17.02137,60.6488,6.16,1.006,,,,
+85839,158741,17.54017,-34.2794,6.16,0.360,,,Sco,
+86831,161270,17.74281,2.5794,6.16,0.131,,61,Oph,
+90182,,18.40257,83.1754,6.16,0.051,,,,
+97767,187923,19.86762,11.6283,6.16,0.642,,,,
+98111,,19.93863,56.6870,6.16,0.090,,,,
+98858,,20.07467,48.2297,6.16,0.037,,,,
+100511,,20.38121,14.5511,6.16,0.498,,,,
+106771,,21.62745,54.0422,6.16,0.991,,,,
+107041,,21.67869,54.8721,6.16,1.116,,,,
+109033,209857,22.08792,46.7448,6.16,1.611,,,Lac,
+109984,,22.27601,-1.5964,6.16,0.194,,,,
+110849,,22.45736,39.8100,6.16,-0.136,,,,
+114081,,23.10504,18.5178,6.16,0.482,,,,
+1195,,0.24952,-34.9042,6.17,1.344,,,,
+6589,,1.41109,-15.6605,6.17,0.924,,,,
+6605,,1.41352,-2.8486,6.17,0.959,,,,
+7115,,1.52750,-45.5757,6.17,0.066,,,,
+10924,,2.34487,47.3108,6.17,-0.094,,,,
+11231,,2.40941,-40.8405,6.17,0.653,,,,
+11671,,2.50911,-22.5453,6.17,1.581,,,,
+12022,,2.58448,7.4710,6.17,1.053,,,,
+13700,,2.94018,64.3324,6.17,1.994,,,,
+15024,,3.22721,-29.8041,6.17,1.041,,,,
+15203,,3.26691,-5.9187,6.17,-0.018,,,,
+17900,,3.82876,23.7119,6.17,-0.046,,,,
+24313,,5.21745,61.8500,6.17,0.032,,,,
+25476,,5.44842,35.4573,6.17,1.453,,,,
+27046,37638,5.73568,61.4765,6.17,0.902,,23,Cam,
+28532,,6.02230,85.1821,6.17,1.564,,,,
+30906,,6.48745,2.6462,6.17,1.539,,,,
+31066,,6.51932,11.2514,6.17,-0.116,,,,
+31672,,6.62787,2.7042,6.17,1.080,,,,
+34217,,7.09439,52.7586,6.17,0.102,,,,
+35842,57744,7.39115,22.9453,6.17,0.006,,58,Gem,
+37614,,7.71817,0.1893,6.17,1.047,,,,
+38300,,7.84650,3.2773,6.17,1.106,,,,
+43394,,8.83935,-28.6176,6.17,-0.055,,,,
+43957,,8.95230,17.1438,6.17,1.001,,,,
+50234,,10.25580,-36.5177,6.17,1.058,,,,
+53472,,10.93801,22.3517,6.17,1.549,,,,
+56899,101370,11.66398,-16.6202,6.17,1.579,,,Crt,
+57971,,11.89078,-35.0666,6.17,0.089,,,,
+64651,,13.25263,-36.3714,6.17,0.968,,,,
+65311,,13.38573,-33.1899,6.17,1.653,,,,
+65755,116890,13.47967,-69.6272,6.17,-0.014,,,Mus,
+67851,,13.89779,-35.3144,6.17,1.009,,,,
+73279,,14.97681,-39.9072,6.17,1.216,,,,
+81358,,16.61527,63.0728,6.17,1.527,,,,
+81657,,16.68069,-60.4464,6.17,0.488,,,,
+83317,155154,17.02781,75.2975,6.17,0.306,,,UMi,
+84479,156208,17.27063,2.1862,6.17,0.235,,,Oph,
+85242,,17.41840,-24.2437,6.17,1.103,,,,
+85393,,17.44899,-51.9488,6.17,-0.039,,,,
+87540,,17.88431,-10.8996,6.17,1.110,,,,
+89805,,18.32781,-63.8866,6.17,0.584,,,,
+92669,,18.88331,-46.5863,6.17,0.051,,,,
+92676,,18.88399,-48.3609,6.17,0.124,,,,
+96805,,19.67810,43.0778,6.17,1.561,,,,
+98385,,19.98962,1.3777,6.17,1.129,,,,
+100274,,20.33903,14.5693,6.17,0.926,,,,
+102216,,20.71103,60.6013,6.17,0.034,,,,
+103532,,20.97527,41.9399,6.17,-0.079,,,,
+105101,,21.28977,42.6836,6.17,-0.094,,,,
+106267,,21.52429,52.6199,6.17,0.900,,,,
+106518,,21.57429,51.6985,6.17,-0.015,,,,
+106881,,21.64899,-79.4426,6.17,0.460,,,,
+107596,,21.79395,-5.9168,6.17,0.230,,,,
+108209,,21.92239,61.5418,6.17,1.599,,,,
+108281,208149,21.93724,-57.8996,6.17,0.215,π,,Ind,
+109205,,22.12377,53.3074,6.17,0.389,,,,
+110018,,22.28329,-23.1402,6.17,1.051,,,,
+113371,,22.96131,39.3088,6.17,-0.148,,,,
+113421,,22.97099,-2.3954,6.17,0.744,,,,
+115257,,23.34469,-5.9080,6.17,1.089,,,,
+43,,0.00858,59.5597,6.18,1.032,,,,
+664,352,0.13669,-2.4477,6.18,1.366,,5,Psc,
+967,,0.19975,48.1524,6.18,1.467,,,,
+2388,2724,0.50773,-40.9396,6.18,0.315,,,Phe,
+2422,,0.51530,77.0194,6.18,0.883,,,,
+2474,2729,0.52367,66.5196,6.18,-0.100,,13,Cas,
+2926,,0.61867,24.0141,6.18,1.170,,,,
+3334,,0.70862,58.7534,6.18,-0.004,,,,
+6669,,1.42658,23.5115,6.18,0.447,,,,
+7506,,1.61244,-58.2710,6.18,1.607,,,,
+8115,10543,1.73833,57.5366,6.18,0.131,,,Cas,
+8320,,1.78797,-41.7599,6.18,1.544,,,,
+14551,,3.13079,-27.8312,6.18,0.166,,,,
+17058,,3.65715,16.5367,6.18,1.000,,,,
+17772,,3.80502,50.7368,6.18,0.028,,,,
+18455,24832,3.94387,-9.7508,6.18,0.269,,,Eri,
+20456,,4.38277,59.6162,6.18,0.108,,,,
+21038,,4.51067,32.4578,6.18,-0.026,,,,
+21961,29859,4.72049,24.0889,6.18,0.544,,95,Tau,
+22192,30422,4.77382,-28.0874,6.18,0.189,,,Eri,
+25378,,5.42973,0.5202,6.18,-0.178,,,,
+25475,,5.44758,33.2623,6.18,1.152,,,,
+25502,,5.45386,15.2576,6.18,0.083,,,,
+25776,39780,5.50386,-84.7851,6.18,-0.003,,31,Men,
+26862,,5.70321,-30.5354,6.18,0.023,,,,
+27308,,5.78550,-16.2381,6.18,0.892,,,,
+27472,,5.81796,62.8082,6.18,0.128,,,,
+28517,,6.01945,31.0345,6.18,0.095,,,,
+29401,42657,6.19547,-4.6654,6.18,-0.079,,,Mon,
+31067,,6.51945,16.9386,6.18,,,,,
+31265,,6.55730,-52.3292,6.18,1.088,,,,
+32177,,6.71851,3.0338,6.18,1.366,,,,
+37269,,7.65333,24.2225,6.18,0.028,,,,
+38106,63208,7.80935,23.1410,6.18,0.571,,82,Gem,
+39584,67341,8.08897,-46.9784,6.18,-0.138,,,Vel,
+40858,,8.33695,-0.9093,6.18,0.607,,,,
+41798,,8.52221,37.2649,6.18,-0.039,,,,
+42299,,8.62421,-4.9340,6.18,1.054,,,,
+47145,83368,9.60706,-48.7512,6.18,0.277,,,Vel,
+47172,,9.61286,-52.9437,6.18,1.051,,,,
+47791,,9.74349,64.9841,6.18,0.419,,,,
+48782,86659,9.94995,-69.1018,6.18,-0.100,,,Car,
+49233,,10.04999,-60.1787,6.18,0.175,,,,
+50222,88651,10.25213,59.9855,6.18,1.621,,,UMa,
+50976,,10.41237,-73.9717,6.18,0.071,,,,
+51014,,10.42145,-42.4674,6.18,1.006,,,,
+53761,,10.99912,77.7702,6.18,0.966,,,,
+56756,,11.63607,8.8838,6.18,1.081,,,,
+58445,,11.98426,0.5307,6.18,1.257,,,,
+59708,106478,12.24539,53.4346,6.18,1.061,,1,CVn,
+63109,,12.93145,-15.3270,6.18,-0.001,,,,
+64478,,13.21548,-59.8166,6.18,0.592,,,,
+64933,,13.30969,-51.2858,6.18,-0.001,,,,
+65288,,13.38125,-47.9432,6.18,0.181,,,,
+65862,,13.50002,7.1789,6.18,1.471,,,,
+67139,119786,13.75974,-15.7675,6.18,0.046,,85,Vir,
+68594,,14.04218,9.6861,6.18,0.853,,,,
+68641,,14.05048,-31.6840,6.18,0.480,,,,
+68872,,14.10303,-43.0917,6.18,0.986,,,,
+70022,,14.32804,0.3843,6.18,0.201,,,,
+70680,126722,14.45677,-6.1203,6.18,0.093,,104,Vir,
+72629,,14.85003,-0.2575,6.18,1.397,,,,
+74047,,15.13243,-65.2754,6.18,1.470,,,,
+74272,,15.17901,67.7810,6.18,0.143,,,,
+74600,135230,15.24271,-17.7686,6.18,-0.015,,26,Lib,
+74929,,15.31147,-31.2093,6.18,1.205,,,,
+79173,,16.15882,-32.6490,6.18,0.790,,,,
+79781,,16.28203,-3.9533,6.18,0.326,,,,
+81840,,16.71624,55.6901,6.18,0.088,,,,
+82339,151676,16.82435,-15.6680,6.18,0.234,,,Oph,
+82355,,16.82793,43.4304,6.18,1.257,,,,
+82911,152667,16.94333,-40.8235,6.18,0.228,,,Sco,
+83650,,17.09680,-44.1050,6.18,0.281,,,,
+86809,161321,17.73813,14.4101,6.18,0.211,,,Her,
+87099,,17.79600,-22.4778,6.18,1.446,,,,
+87495,162714,17.87742,-6.1436,6.18,1.250,,,Oph,
+87706,162978,17.91501,-24.8871,6.18,0.001,,63,Oph,
+88277,,18.02664,33.3113,6.18,1.549,,,,
+88604,,18.09171,21.6466,6.18,1.241,,,,
+89622,,18.29003,-28.6521,6.18,0.184,,,,
+91843,,18.72473,53.8718,6.18,0.094,,,,
+92131,,18.77815,18.7059,6.18,1.594,,,,
+94685,180583,19.26653,27.9263,6.18,0.634,,,Lyr,
+97307,,19.77639,32.8886,6.18,1.172,,,,
+98482,,20.00703,-49.3509,6.18,1.056,,,,
+98921,190771,20.08605,38.4785,6.18,0.654,,,,
+99221,191110,20.14202,-10.0626,6.18,0.031,,,Cap,
+103828,,21.04005,44.7910,6.18,1.687,,,,
+104297,,21.12908,-17.4559,6.18,-0.035,,,,
+104597,,21.18915,-72.5444,6.18,1.087,,,,
+104822,,21.23619,29.9010,6.18,1.105,,,,
+106872,,21.64588,25.4988,6.18,1.026,,,,
+107558,207223,21.78465,17.1940,6.18,0.350,,,Peg,
+107723,,21.82195,61.2728,6.18,1.685,,,,
+108347,,21.95060,-37.7468,6.18,0.321,,,,
+109439,210460,22.17195,19.6163,6.18,0.688,,,,
+110341,,22.34883,8.1867,6.18,0.451,,,,
+110497,,22.38339,57.2846,6.18,-0.112,,,,
+110566,,22.39840,38.5736,6.18,0.485,,,,
+113781,217701,23.04238,-6.5740,6.18,1.590,,82,Aqr,
+114268,,23.14322,-73.5861,6.18,1.419,,,,
+115528,,23.40218,-18.6880,6.18,1.020,,,,
+116365,,23.57965,38.0240,6.18,1.586,,,,
+118048,,23.94486,22.6481,6.18,1.635,,,,
+560,,0.11391,-23.1075,6.19,0.386,,,,
+1421,,0.29658,1.6887,6.19,0.937,,,,
+4317,,0.92074,24.5571,6.19,1.546,,,,
+11907,,2.56117,-20.0019,6.19,1.100,,,,
+12287,,2.63829,37.7267,6.19,0.490,,,,
+17057,,3.65706,-10.4373,6.19,1.031,,,,
+18508,,3.95733,24.4619,6.19,1.372,,,,
+25781,,5.50441,-63.9277,6.19,0.225,,,,
+26072,,5.56079,20.4742,6.19,-0.034,,,,
+26638,,5.66214,75.0439,6.19,1.606,,,,
+27317,,5.78703,-54.3607,6.19,1.406,,,,
+31056,,6.51664,-40.9163,6.19,1.398,,,,
+32012,,6.68812,11.0032,6.19,1.675,,,,
+32434,49336,6.77004,-37.7753,6.19,-0.123,,,Pup,
+34462,,7.14340,37.4451,6.19,1.212,,,,
+35345,,7.30113,30.9559,6.19,-0.024,,,,
+41949,,8.55135,-24.6070,6.19,0.270,,,,
+44010,,8.96167,9.3878,6.19,0.984,,,,
+44162,,8.99442,-19.2080,6.19,0.461,,,,
+45002,,9.16585,-52.0829,6.19,1.023,,,,
+46297,,9.44124,-40.5017,6.19,0.251,,,,
+46904,82522,9.55843,36.4869,6.19,1.264,,9,LMi,
+51425,91272,10.50244,-66.9847,6.19,-0.004,,,Car,
+53355,94480,10.91171,25.4907,6.19,0.291,,48,LMi,
+53702,96124,10.98716,-84.5939,6.19,0.100,η,,Oct,
+61134,,12.52742,-5.0526,6.19,1.041,,,,
+64472,,13.21412,-42.6997,6.19,1.057,,,,
+67523,,13.83514,-29.0813,6.19,-0.009,,,,
+67953,,13.91617,-8.0589,6.19,0.530,,,,
+69113,,14.14775,-43.4708,6.19,-0.056,,,,
+69818,,14.28921,51.3074,6.19,0.070,,,,
+70414,,14.40507,8.0846,6.19,1.208,,,,
+74514,,15.22655,38.2647,6.19,1.218,,,,
+75003,,15.32548,-37.0972,6.19,0.959,,,,
+76503,,15.62458,-26.2799,6.19,-0.013,,,,
+76664,,15.65511,-77.9180,6.19,1.207,,,,
+78632,,16.05259,59.4107,6.19,1.576,,,,
+83462,154356,17.05839,35.4140,6.19,1.467,,61,Her,
+83565,,17.07815,19.5991,6.19,0.010,,,,
+86352,,17.64579,-21.9127,6.19,0.827,,,,
+87335,,17.84545,11.9465,6.19,1.247,,,,
+87523,,17.88127,-41.9965,6.19,0.523,,,,
+89980,168574,18.35871,-24.9153,6.19,1.823,,,Sgr,
+90494,,18.46569,-17.8004,6.19,0.003,,,,
+92270,,18.80455,23.5147,6.19,0.492,,,,
+92593,174853,18.86720,13.9656,6.19,-0.008,,,Her,
+94833,,19.29672,2.0317,6.19,0.019,,,,
+95492,,19.42382,24.9128,6.19,0.528,,,,
+96607,,19.64054,-57.9833,6.19,0.973,,,,
+98946,,20.08931,56.3414,6.19,0.437,,,,
+101044,,20.48415,83.6254,6.19,0.163,,,,
+101556,,20.58067,51.8542,6.19,0.318,,,,
+101608,,20.59229,-16.5259,6.19,0.218,,,,
+106752,205939,21.62441,44.6965,6.19,0.218,,,Cyg,
+106783,205811,21.62879,6.6184,6.19,0.046,,3,Peg,
+107901,,21.86159,-18.6229,6.19,0.374,,,,
+109121,,22.10341,45.2487,6.19,0.078,,,,
+109667,,22.21597,-26.3278,6.19,0.169,,,,
+110171,,22.31561,37.7693,6.19,0.270,,,,
+112615,215874,22.80839,-10.5555,6.19,0.274,,70,Aqr,
+112670,,22.81691,68.5702,6.19,0.440,,,,
+114526,218935,23.19700,26.8473,6.19,0.937,,60,Peg,
+115996,,23.50206,49.1331,6.19,1.464,,,,
+602,,0.12174,-17.3870,6.20,0.133,,,,
+4383,,0.93694,57.9966,6.20,1.376,,,,
+5034,,1.07434,29.6588,6.20,0.443,,,,
+5928,,1.27033,87.1455,6.20,1.114,,,,
+7493,9746,1.60755,48.7228,6.20,1.237,,,And,
+7874,,1.68844,25.7457,6.20,0.459,,,,
+7886,,1.69092,-38.1328,6.20,0.404,,,,
+8094,,1.73189,-4.7655,6.20,1.537,,,,
+11578,,2.48713,23.4690,6.20,0.155,,,,
+14124,,3.03591,-6.4945,6.20,0.598,,,,
+15776,21019,3.38825,-7.7941,6.20,0.702,,,,
+16628,,3.56577,-31.0801,6.20,0.482,,,,
+23484,,5.04735,66.8230,6.20,0.509,,,,
+23589,,5.07267,21.2779,6.20,1.324,,,,
+23799,,5.11377,43.1747,6.20,0.444,,,,
+24977,,5.34906,19.8143,6.20,1.229,,,,
+25730,,5.49463,29.1865,6.20,0.476,,,,
+28622,,6.04273,-14.4972,6.20,0.947,,,,
+33210,,6.91168,-1.7565,6.20,0.487,,,,
+33595,51530,6.97983,26.0811,6.20,0.520,,39,Gem,
+33873,,7.03137,-1.3459,6.20,1.286,,,,
+35920,,7.40479,-22.9128,6.20,-0.088,,,,
+37202,,7.64237,-38.7815,6.20,1.015,,,,
+37599,,7.71481,-58.2301,6.20,1.049,,,,
+41975,72291,8.55603,36.4364,6.20,0.402,,32,Lyn,
+42936,,8.75154,-58.7243,6.20,-0.083,,,,
+43266,,8.81368,66.7081,6.20,-0.106,,,,
+44290,,9.01984,-26.6637,6.20,1.137,,,,
+46410,,9.46433,75.0983,6.20,0.115,,,,
+49137,,10.02797,-53.3641,6.20,-0.137,,,,
+49160,,10.03279,-57.3498,6.20,1.108,,,,
+49530,87682,10.11317,5.6115,6.20,0.939,,14,Sex,
+50332,89273,10.27781,-51.2046,6.20,1.435,,,Vel,
+51490,,10.51632,-7.6375,6.20,1.377,,,,
+55412,,11.34827,67.1007,6.20,1.018,,,,
+58272,103789,11.95104,-33.3155,6.20,-0.044,,,Hya,
+59678,106343,12.23803,-64.4085,6.20,0.075,,,Cru,
+60183,,12.34117,-65.8427,6.20,-0.041,,,,
+61053,,12.51393,53.0766,6.20,0.568,,,,
+61496,109585,12.59967,-20.5275,6.20,0.340,,,Crv,
+63497,,13.01075,18.3730,6.20,0.466,,,,
+64077,,13.13157,27.5560,6.20,1.363,,,,
+64774,,13.27462,68.4080,6.20,-0.052,,,,
+65108,,13.34306,-59.7728,6.20,0.410,,,,
+68270,,13.97535,-65.8007,6.20,1.043,,,,
+68842,122844,14.09625,-54.6694,6.20,0.225,,,Cen,
+71469,,14.61661,-12.3053,6.20,0.464,,,,
+73394,,14.99882,-75.0327,6.20,-0.038,,,,
+75939,,15.51007,-20.7286,6.20,0.192,,,,
+77689,,15.86067,-14.1336,6.20,1.010,,,,
+84054,155514,17.18421,24.2377,6.20,0.227,,63,Her,
+84445,,17.26427,-30.2107,6.20,-0.027,,,,
+85397,,17.45060,-12.5125,6.20,0.517,,,,
+92254,,18.80074,4.2414,6.20,1.509,,,,
+92963,,18.93963,-1.7999,6.20,-0.046,,,,
+93177,,18.97961,40.6792,6.20,-0.146,,,,
+94280,,19.18977,40.4291,6.20,0.093,,,,
+98401,190960,19.99351,76.4814,6.20,1.610,,69,Dra,
+99570,,20.20662,-42.7801,6.20,1.228,,,,
+100208,,20.32481,13.2168,6.20,1.648,,,,
+100515,,20.38209,42.9835,6.20,0.957,,,,
+100969,,20.47133,2.9372,6.20,0.899,,,,
+101245,,20.52254,52.3095,6.20,1.018,,,,
+102780,,20.82237,-18.0359,6.20,1.402,,,,
+102833,,20.83308,5.5446,6.20,0.986,,,,
+104925,,21.25400,-40.5061,6.20,1.138,,,,
+105660,,21.40207,25.3124,6.20,0.026,,,,
+106978,,21.66659,-52.3590,6.20,0.584,,,,
+107856,207857,21.85139,39.5367,6.20,-0.068,,,Cyg,
+110548,212395,22.39433,20.8482,6.20,0.518,,33,Peg,
+113127,216637,22.90948,-7.2046,6.20,1.284,,78,Aqr,
+115906,,23.48352,-9.2661,6.20,1.438,,,,
+699,400,0.14471,36.6271,6.21,0.504,,,,
+6432,,1.37693,1.7263,6.21,1.482,,,,
+6539,8511,1.40071,-8.0074,6.21,0.235,,44,Cet,
+10814,,2.31967,46.4723,6.21,0.164,,,,
+11698,15596,2.51511,17.7039,6.21,0.908,,27,Ari,
+12318,,2.64355,3.4432,6.21,0.999,,,,
+12786,,2.73904,-32.5247,6.21,0.040,,,,
+16252,,3.49063,46.9379,6.21,0.131,,,,
+17734,,3.79711,-36.1058,6.21,-0.102,,,,
+18173,,3.88693,-18.4344,6.21,0.866,,,,
+21689,,4.65643,25.2183,6.21,0.176,,,,
+23582,,5.07022,73.7639,6.21,1.609,,,,
+25785,36217,5.50553,4.2048,6.21,1.280,,,Ori,
+26779,37394,5.68898,53.4811,6.21,0.840,,,Aur,
+28252,,5.96992,-0.9940,6.21,1.140,,,,
+28434,40745,6.00491,-12.9000,6.21,0.358,,,Lep,
+28438,,6.00525,44.5920,6.21,1.128,,,,
+32190,,6.72049,37.1474,6.21,1.026,,,,
+36736,,7.55616,-14.3383,6.21,-0.061,,,,
+38879,,7.95557,-47.8907,6.21,-0.099,,,,
+39535,,8.07925,18.8420,6.21,-0.042,,,,
+39607,,8.09363,27.5297,6.21,0.010,,,,
+39920,,8.15283,-35.4550,6.21,0.892,,,,
+42538,,8.67175,31.9419,6.21,0.401,,,,
+42777,,8.71671,46.9008,6.21,0.981,,,,
+43073,,8.77327,-41.1254,6.21,-0.050,,,,
+44231,,9.00855,37.6044,6.21,1.572,,,,
+46067,,9.39437,-46.9088,6.21,-0.093,,,,
+53963,,11.04013,-26.8315,6.21,0.307,,,,
+56901,,11.66420,-14.4685,6.21,-0.007,,,,
+57079,,11.70098,-20.2942,6.21,0.949,,,,
+58545,104216,12.00517,80.8532,6.21,1.610,,,Cam,
+59851,,12.27328,-72.6145,6.21,-0.006,,,,
+60327,,12.36967,24.7739,6.21,-0.012,,,,
+60861,,12.47380,-61.7948,6.21,1.253,,,,
+60988,108845,12.50079,51.5356,6.21,0.536,,7,CVn,
+65183,,13.35827,-19.4893,6.21,0.098,,,,
+66690,,13.67099,31.0120,6.21,0.963,,,,
+67071,,13.74602,-25.5009,6.21,1.374,,,,
+71861,,14.69888,-58.6158,6.21,0.454,,,,
+72471,,14.81863,-56.6678,6.21,1.107,,,,
+73559,,15.03280,-34.3589,6.21,0.242,,,,
+75164,,15.35981,-40.7495,6.21,0.068,,,,
+76809,,15.68284,-47.7361,6.21,1.621,,,,
+77835,,15.89302,16.0749,6.21,0.413,,,,
+77985,,15.92515,-31.0836,6.21,1.371,,,,
+78445,,16.01492,-40.4355,6.21,0.010,,,,
+79414,,16.20705,67.1442,6.21,0.993,,,,
+81903,,16.72935,-41.1192,6.21,0.143,,,,
+84158,,17.20554,-70.7211,6.21,1.062,,,,
+91062,,18.57531,-52.8915,6.21,1.254,,,,
+91159,,18.59812,16.9757,6.21,0.542,,,,
+91250,,18.61265,43.2218,6.21,0.251,,,,
+93470,,19.03570,-41.9105,6.21,0.001,,,,
+97611,,19.83938,-61.0611,6.21,-0.135,,,,
+97971,,19.91123,-61.1708,6.21,0.163,,,,
+101213,,20.51615,20.6061,6.21,0.138,,,,
+101214,195593,20.51645,36.9358,6.21,0.969,,44,Cyg,
+101746,,20.62177,0.0970,6.21,-0.076,,,,
+101756,,20.62322,38.3287,6.21,1.011,,,,
+103682,199960,21.00940,-4.7303,6.21,0.635,,11,Aqr,
+109939,,22.26662,8.5496,6.21,0.019,,,,
+114227,,23.13256,64.2225,6.21,1.084,,,,
+117494,,23.82545,-15.8613,6.21,1.212,,,,
+106,,0.02201,49.9816,6.22,0.970,,,,
+1123,,0.23397,33.2060,6.22,0.009,,,,
+4023,,0.85939,51.5714,6.22,0.032,,,,
+6868,,1.47303,7.9614,6.22,1.114,,,,
+11108,,2.38267,-18.3550,6.22,0.942,,,,
+13518,,2.90180,-50.8714,6.22,1.571,,,,
+13732,,2.94741,51.2613,6.22,1.567,,,,
+17086,,3.66065,-3.3930,6.22,1.041,,,,
+18094,,3.86790,31.1686,6.22,0.206,,,,
+20063,27026,4.30225,42.1412,6.22,-0.072,,,Per,
+20997,,4.50278,-13.5924,6.22,1.001,,,,
+23311,32147,5.01361,-5.7537,6.22,1.049,,,,
+24394,,5.23332,-14.6069,6.22,0.377,,,,
+24771,,5.31120,40.4651,6.22,1.386,,,,
+26713,,5.67703,-2.8252,6.22,-0.194,,,,
+26821,,5.69487,-16.7258,6.22,-0.136,,,,
+27303,,5.78461,-28.6389,6.22,-0.132,,,,
+27795,,5.88208,68.4715,6.22,0.955,,,,
+28232,,5.96514,1.2243,6.22,1.461,,,,
+30028,,6.31887,-8.5860,6.22,-0.043,,,,
+30769,45394,6.46574,20.4963,6.22,0.041,,16,Gem,
+33492,,6.96184,-27.5375,6.22,-0.147,,,,
+39271,,8.03076,8.9140,6.22,0.570,,,,
+40058,,8.18303,14.6295,6.22,0.010,,,,
+40476,,8.26459,-30.9259,6.22,0.777,,,,
+43035,,8.76857,-11.0068,6.22,1.608,,,,
+43410,,8.84229,33.2851,6.22,0.549,,,,
+47913,,9.76547,-58.7938,6.22,0.461,,,,
+50287,,10.26756,-59.9034,6.22,0.194,,,,
+53706,,10.98830,51.8824,6.22,1.352,,,,
+54929,,11.24837,-43.7337,6.22,1.606,,,,
+56775,,11.64002,-2.4359,6.22,1.119,,,,
+58259,,11.94812,61.5492,6.22,0.955,,,,
+59200,,12.14021,-60.8471,6.22,1.733,,,,
+61443,,12.59151,-61.8416,6.22,0.731,,,,
+61703,,12.64788,-67.1930,6.22,0.007,,,,
+61937,110377,12.69289,10.4263,6.22,0.192,,27,Vir,
+66725,,13.67752,28.0652,6.22,1.311,,,,
+69792,,14.28439,-18.5857,6.22,0.985,,,,
+70310,,14.38523,25.3382,6.22,0.411,,,,
+70336,126035,14.39045,-11.7140,6.22,0.990,,2,Lib,
+70762,,14.47123,36.1970,6.22,1.174,,,,
+73706,,15.06605,65.9197,6.22,0.055,,,,
+76069,138527,15.53602,16.0562,6.22,-0.038,τ2,12,Ser,
+76733,,15.66954,12.0529,6.22,0.968,,,,
+77817,,15.88970,-62.6066,6.22,1.467,,,,
+78699,,16.06519,-24.7263,6.22,1.386,,,,
+81847,,16.71766,-46.0703,6.22,0.821,,,,
+85480,,17.46885,-63.0362,6.22,-0.073,,,,
+85692,,17.51211,57.8768,6.22,1.397,,,,
+86732,,17.72279,14.2952,6.22,0.426,,,,
+86925,,17.76117,31.5047,6.22,0.008,,,,
+87150,,17.80562,3.8042,6.22,0.135,,,,
+87850,163990,17.94681,45.3509,6.22,1.453,,,Her,
+88125,,18.00002,-20.3395,6.22,1.405,,,,
+88346,164900,18.04171,22.9232,6.22,-0.092,,97,Her,
+88760,,18.11982,-21.4439,6.22,0.102,,,,
+90086,,18.38415,16.6880,6.22,1.216,,,,
+90936,,18.55025,-39.8920,6.22,0.429,,,,
+91689,172546,18.69767,-23.8334,6.22,0.231,,26,Sgr,
+92021,,18.75663,-56.8820,6.22,1.385,,,,
+92550,,18.85997,28.7837,6.22,1.183,,,,
+93138,,18.97325,6.2399,6.22,0.478,,,,
+93975,,19.13431,21.6989,6.22,0.434,,,,
+95154,183556,19.35987,76.5596,6.22,2.673,,,Dra,
+96907,,19.69934,40.2541,6.22,0.182,,,,
+97700,,19.85538,47.3772,6.22,0.398,,,,
+97944,188088,19.90493,-23.9411,6.22,1.017,,,Sgr,
+100268,,20.33756,39.4032,6.22,0.060,,,,
+101810,196610,20.63187,18.2686,6.22,1.162,,,Del,
+101965,,20.66438,-62.9078,6.22,1.099,,,,
+106605,,21.59085,24.4522,6.22,0.141,,,,
+106758,,21.62605,-0.3906,6.22,0.056,,,,
+106818,,21.63413,-64.8242,6.22,0.021,,,,
+111548,,22.59803,-57.8838,6.22,0.212,,,,
+113610,217428,23.01053,0.1859,6.22,0.892,,3,Psc,
+115759,,23.45253,-50.1572,6.22,-0.080,,,,
+117927,224103,23.91883,7.0710,6.22,-0.066,,26,Psc,
+4563,,0.97284,-60.6962,6.23,0.096,,,,
+5319,6680,1.13371,32.0121,6.23,0.398,,78,Psc,
+5992,,1.28438,-66.3979,6.23,0.052,,,,
+7436,9766,1.59623,14.6614,6.23,-0.036,,101,Psc,
+12200,,2.61849,32.8911,6.23,0.515,,,,
+12717,,2.72406,-66.7143,6.23,0.542,,,,
+13462,,2.88919,48.5700,6.23,1.180,,,,
+20771,,4.45019,2.0794,6.23,1.087,,,,
+25410,35532,5.43492,16.7002,6.23,-0.084,,113,Tau,
+25869,,5.52247,-6.7084,6.23,-0.178,,,,
+26718,37536,5.67835,31.9206,6.23,2.088,,,Aur,
+26964,37967,5.72209,23.2044,6.23,-0.071,,,Tau,
+28644,,6.04866,32.6357,6.23,0.456,,,,
+28861,,6.09275,33.5990,6.23,-0.079,,,,
+31766,47432,6.64394,1.6135,6.23,0.086,,,Mon,
+33126,,6.89874,-24.5388,6.23,0.016,,,,
+33451,51825,6.95489,-35.5072,6.23,0.465,,,,
+33590,,6.97826,-45.7676,6.23,-0.006,,,,
+34536,,7.15563,-10.3466,6.23,-0.018,,,,
+34617,,7.16927,-18.6856,6.23,0.419,,,,
+35737,,7.37183,-2.9792,6.23,0.686,,,,
+36340,,7.47979,15.1098,6.23,-0.040,,,,
+37404,,7.67977,13.7713,6.23,1.393,,,,
+38184,,7.82467,-13.3529,6.23,-0.078,,,,
+38723,64491,7.92801,35.4127,6.23,0.277,,,Lyn,
+41894,,8.54263,53.1148,6.23,1.008,,,,
+48584,,9.90884,-22.4875,6.23,0.052,,,,
+49394,,10.08384,-51.3136,6.23,-0.054,,,,
+49658,,10.13775,31.6041,6.23,0.469,,,,
+49900,,10.18827,-7.3166,6.23,0.026,,,,
+50066,,10.22207,-27.0289,6.23,0.316,,,,
+55941,,11.46492,-1.6999,6.23,1.037,,,,
+56550,,11.59509,-61.2879,6.23,0.131,,,,
+59008,,12.09907,-35.6939,6.23,-0.073,,,,
+59046,,12.10553,-68.6514,6.23,1.237,,,,
+59439,,12.19208,-51.3593,6.23,0.816,,,,
+60018,,12.30879,30.2490,6.23,0.310,,,,
+60813,108506,12.46432,-4.6153,6.23,0.430,,,Vir,
+68478,122405,14.01958,27.3866,6.23,0.193,,11,Boo,
+69458,,14.22035,-26.6123,6.23,1.071,,,,
+69569,,14.23987,41.5188,6.23,1.071,,,,
+75915,,15.50591,-41.9190,6.23,-0.005,,,,
+76063,,15.53449,-38.6225,6.23,0.212,,,,
+81823,,16.71345,-62.5539,6.23,1.524,,,,
+94974,,19.32679,54.3760,6.23,0.030,,,,
+98563,,20.02092,37.0990,6.23,1.314,,,,
+100295,,20.34185,53.5957,6.23,1.547,,,,
+100807,,20.43977,17.3156,6.23,1.005,,,,
+100953,,20.46876,8.4374,6.23,1.074,,,,
+101134,,20.50020,72.5317,6.23,1.353,,,,
+101921,,20.65368,-2.4130,6.23,-0.090,,,,
+103206,,20.90975,-50.7273,6.23,-0.098,,,,
+103346,,20.93806,56.8875,6.23,-0.172,,,,
+105034,,21.27489,42.2518,6.23,1.251,,,,
+107238,,21.72043,-19.6210,6.23,0.269,,,,
+109821,210918,22.24407,-41.3817,6.23,0.648,,,,
+111761,,22.63949,-7.8976,6.23,0.783,,,,
+112761,,22.83614,50.6769,6.23,1.129,,,,
+113674,217531,23.02323,-7.0612,6.23,1.418,,81,Aqr,
+117107,,23.74141,-26.2466,6.23,0.495,,,,
+117797,,23.88913,-24.2293,6.23,0.188,,,,
+274,225094,0.05714,63.6405,6.24,0.332,,,Cas,
+716,,0.14781,25.4630,6.24,0.976,,,,
+1076,,0.22331,26.9875,6.24,0.680,,,,
+2086,,0.43937,-18.6936,6.24,1.622,,,,
+5412,,1.15339,80.0116,6.24,0.922,,,,
+5679,,1.21652,30.0642,6.24,0.980,,,,
+7580,,1.62714,-9.4038,6.24,0.528,,,,
+9627,,2.06183,18.2532,6.24,1.424,,,,
+10220,13372,2.19029,31.5264,6.24,0.112,,5,Tri,
+11925,,2.56517,-51.0935,6.24,0.509,,,,
+14104,,3.03119,5.3362,6.24,1.041,,,,
+14586,19460,3.13920,18.7951,6.24,1.560,,54,Ari,
+19720,,4.22627,10.2125,6.24,0.021,,,,
+21251,,4.55918,18.0167,6.24,0.077,,,,
+21998,30202,4.72897,-41.0648,6.24,1.468,λ,,Cae,
+24130,,5.18279,-2.2541,6.24,0.984,,,,
+25401,,5.43399,-5.5185,6.24,-0.047,,,,
+26106,,5.56775,-1.0357,6.24,-0.160,,,,
+26234,,5.58953,-4.4243,6.24,-0.148,,,,
+27212,,5.76747,-4.2685,6.24,1.050,,,,
+28205,,5.95973,66.0961,6.24,1.369,,,,
+29840,43384,6.28297,23.7409,6.24,0.446,,9,Gem,
+29982,,6.31121,9.0472,6.24,0.870,,,,
+30448,,6.40063,8.8850,6.24,-0.060,,,,
+30566,,6.42500,-35.0642,6.24,1.353,,,,
+30815,,6.47446,16.2384,6.24,0.894,,,,
+33056,,6.88544,44.8399,6.24,0.239,,,,
+33139,,6.90063,-50.6116,6.24,0.988,,,,
+35975,,7.41413,-19.0123,6.24,0.291,,,,
+36526,,7.51421,-5.2265,6.24,1.185,,,,
+44130,,8.98773,-28.8060,6.24,0.997,,,,
+46247,80953,9.42893,63.9409,6.24,1.465,,,UMa,
+48273,85217,9.84169,4.3437,6.24,0.479,,4,Sex,
+49802,,10.16569,-12.0953,6.24,0.184,,,,
+50903,,10.39462,-41.9532,6.24,0.884,,,,
+52391,,10.70871,-13.9745,6.24,1.540,,,,
+54708,97451,11.20099,-58.4234,6.24,1.495,,,Car,
+55130,,11.28667,-38.0144,6.24,0.105,,,,
+56245,,11.52987,-20.7765,6.24,0.537,,,,
+57587,,11.80653,-10.3131,6.24,0.585,,,,
+58741,,12.04769,-7.6836,6.24,1.492,,,,
+59785,,12.25846,-41.9133,6.24,1.002,,,,
+60549,,12.41242,-41.3843,6.24,1.169,,,,
+61320,109345,12.56317,33.3847,6.24,1.051,,,,
+63820,113523,13.08007,-41.1963,6.24,1.649,,,Cen,
+68707,,14.06549,4.9010,6.24,0.406,,,,
+71876,129798,14.70090,61.2619,6.24,0.409,,,Dra,
+77287,,15.77929,-6.1204,6.24,1.169,,,,
+80227,,16.37747,-2.0799,6.24,0.058,,,,
+84510,,17.27657,-74.5330,6.24,-0.004,,,,
+87655,163151,17.90393,11.1306,6.24,0.474,,,Oph,
+89684,,18.30214,18.1317,6.24,-0.004,,,,
+92072,,18.76555,-50.8727,6.24,-0.080,,,,
+92386,,18.82700,0.8362,6.24,0.041,,,,
+92731,,18.89620,57.4866,6.24,1.243,,,,
+96721,185139,19.66161,-45.2786,6.24,0.293,,,Tel,
+96781,,19.67187,-54.4178,6.24,1.001,,,,
+97796,188001,19.87271,18.6719,6.24,-0.031,,9,Sge,
+98872,,20.07903,63.8902,6.24,0.100,,,,
+99445,,20.18432,21.1346,6.24,0.894,,,,
+99479,,20.18917,21.8749,6.24,-0.048,,,,
+100018,,20.29209,29.1476,6.24,1.010,,,,
+100852,,20.44804,-37.4029,6.24,0.961,,,,
+102158,197249,20.69949,17.5215,6.24,0.942,,,Del,
+102770,198272,20.82145,-0.5633,6.24,1.401,,,Aqr,
+103892,,21.05084,1.5321,6.24,0.479,,,,
+108144,,21.90997,-3.3013,6.24,0.466,,,,
+108506,,21.98194,-4.3731,6.24,0.971,,,,
+113684,,23.02520,57.1055,6.24,1.499,,,,
+114969,,23.28577,-28.4383,6.24,1.556,,,,
+116118,221357,23.52835,-21.3695,6.24,0.319,,100,Aqr,
+116824,,23.67795,36.7208,6.24,0.424,,,,
+116912,,23.69849,57.2600,6.24,1.025,,,,
+137,,0.02885,42.3671,6.25,-0.042,,,,
+238,,0.04930,-20.0459,6.25,0.526,,,,
+399,,0.08222,26.6488,6.25,1.368,,,,
+1193,,0.24886,22.2842,6.25,-0.004,,,,
+1772,1796,0.37375,13.4825,6.25,1.225,,42,Psc,
+4879,6311,1.04525,-65.4561,6.25,1.634,,,Tuc,
+6952,9184,1.49181,-46.7564,6.25,1.658,,,Phe,
+8148,,1.74616,57.0892,6.25,0.062,,,,
+8922,,1.91494,40.7020,6.25,1.262,,,,
+10350,,2.22254,74.0277,6.25,0.915,,,,
+11279,14818,2.42112,56.6098,6.25,0.249,,10,Per,
+13178,17378,2.82521,57.0843,6.25,0.786,,,Per,
+14814,,3.18798,-16.0250,6.25,1.167,,,,
+15125,,3.25007,-26.1005,6.25,0.038,,,,
+15204,20210,3.26719,34.6885,6.25,0.290,,,Per,
+16677,,3.57707,-9.8683,6.25,0.019,,,,
+17056,,3.65697,75.7396,6.25,0.973,,,,
+19400,,4.15617,54.8289,6.25,0.448,,,,
+19736,,4.23051,12.7537,6.25,1.143,,,,
+20498,,4.39328,42.4279,6.25,0.023,,,,
+21108,,4.52336,40.0102,6.25,0.009,,,,
+21110,,4.52385,-13.6442,6.25,0.086,,,,
+23041,,4.95477,-1.0673,6.25,0.423,,,,
+26149,,5.57480,-0.0123,6.25,0.997,,,,
+26981,,5.72505,-39.4069,6.25,0.377,,,,
+33584,,6.97747,7.6223,6.25,0.105,,,,
+37636,,7.72283,22.3995,6.25,0.930,,,,
+38623,64106,7.90813,47.3860,6.25,1.133,,25,Lyn,
+39530,67536,8.07859,-62.8363,6.25,-0.093,,,Car,
+39675,,8.10761,-9.2445,6.25,-0.006,,,,
+39874,67483,8.14513,13.6409,6.25,0.480,,12,Cnc,
+41986,,8.55841,-46.9707,6.25,1.560,,,,
+43575,75716,8.87461,28.2592,6.25,1.552,,53,Cnc,
+44031,76572,8.96629,30.2338,6.25,0.474,,61,Cnc,
+44367,,9.03511,-39.4022,6.25,1.000,,,,
+45413,,9.25407,-45.5555,6.25,-0.070,,,,
+46543,,9.49234,-4.2466,6.25,0.838,,,,
+46893,,9.55553,-7.1902,6.25,1.170,,,,
+47884,,9.75861,78.1347,6.25,1.353,,,,
+49689,,10.14317,-15.6119,6.25,-0.007,,,,
+50868,,10.38699,-30.1623,6.25,0.304,,,,
+51732,,10.57020,-60.9876,6.25,1.399,,,,
+52316,92588,10.69005,-1.7415,6.25,0.880,,33,Sex,
+52520,,10.73889,-70.8597,6.25,0.208,,,,
+57805,,11.85264,33.3750,6.25,0.345,,,,
+60729,,12.44671,-48.9132,6.25,0.674,,,,
+62516,111421,12.81161,48.4668,6.25,0.195,,11,CVn,
+62933,112097,12.89714,12.4184,6.25,0.282,,41,Vir,
+62972,,12.90363,33.5345,6.25,0.207,,,,
+64217,114376,13.16167,38.5339,6.25,-0.098,,15,CVn,
+64437,,13.20707,80.4713,6.25,0.955,,,,
+68687,,14.06021,7.5462,6.25,0.927,,,,
+69751,,14.27579,20.1218,6.25,0.504,,,,
+70319,126053,14.38758,1.2416,6.25,0.639,,,,
+74181,,15.15709,-63.6429,6.25,0.059,,,,
+78603,,16.04791,-62.5416,6.25,-0.015,,,,
+79045,145000,16.13471,17.0544,6.25,1.140,κ,7,Her,
+80888,,16.51744,35.2251,6.25,1.640,,,,
+81632,,16.67625,-20.4086,6.25,1.077,,,,
+81687,,16.68654,-1.0003,6.25,0.313,,,,
+82693,152569,16.90295,-1.6123,6.25,0.283,,,Oph,
+84599,,17.29329,23.0906,6.25,1.544,,,,
+85181,,17.40753,36.9519,6.25,0.884,,,,
+86391,,17.65236,2.0281,6.25,1.021,,,,
+87293,,17.83614,78.3065,6.25,1.452,,,,
+91491,,18.65918,40.9351,6.25,-0.052,,,,
+93423,,19.02715,-22.6954,6.25,1.647,,,,
+93488,,19.03933,8.3735,6.25,1.648,,,,
+94645,179949,19.25923,-24.1794,6.25,0.548,,,,Gumala
+94724,179009,19.27461,-69.1908,6.25,0.193,τ,,Pav,
+94932,,19.31699,37.4453,6.25,0.012,,,,
+95159,181558,19.36031,-19.2344,6.25,-0.091,,,Sgr,
+95812,,19.48834,0.2461,6.25,1.317,,,,
+96706,,19.65959,45.9574,6.25,0.931,,,,
+96901,186427,19.69777,50.5175,6.25,0.661,c,16,Cyg,
+97139,186547,19.74283,13.3028,6.25,-0.041,ψ,48,Aql,
+97697,,19.85493,9.6299,6.25,0.102,,,,
+99585,,20.20976,0.8671,6.25,0.042,,,,
+102057,,20.68212,-42.3967,6.25,0.934,,,,
+103902,,21.05283,-27.7316,6.25,0.945,,,,
+104452,201352,21.15917,-20.5567,6.25,0.385,,27,Cap,
+106595,,21.58865,28.1976,6.25,0.357,,,,
+107637,,21.80233,36.5804,6.25,1.545,,,,
+114212,,23.12993,63.6335,6.25,-0.025,,,,
+115261,,23.34558,44.1162,6.25,0.152,,,,
+116292,,23.56194,45.0581,6.25,0.986,,,,
+2256,,0.47865,-50.5329,6.26,1.090,,,,
+2583,,0.54697,28.2802,6.26,0.965,,,,
+6283,,1.34293,-3.2470,6.26,1.013,,,,
+6595,,1.41164,-44.5286,6.26,1.122,,,,
+11651,,2.50461,33.8337,6.26,1.079,,,,
+12447,,2.67103,6.1119,6.26,0.397,,,,
+13133,17138,2.81542,69.6343,6.26,0.151,,,Cas,
+17543,,3.75659,-71.6581,6.26,-0.123,,,,
+17732,,3.79695,32.1954,6.26,0.474,,,,
+23653,,5.08350,-54.4074,6.26,1.554,,,,
+23737,,5.10258,-73.0377,6.26,0.010,,,,
+24512,34053,5.25768,22.2849,6.26,0.075,,108,Tau,
+25303,35860,5.41286,-52.3162,6.26,0.067,θ,,Pic,
+26309,,5.60286,-28.7080,6.26,0.151,,,,
+26410,,5.62112,66.6967,6.26,0.231,,,,
+29129,,6.14295,-44.3562,6.26,-0.135,,,,
+30524,,6.41550,-63.8281,6.26,-0.119,,,,
+30541,44990,6.42028,7.0857,6.26,0.850,,,Mon,
+31099,46431,6.52637,-36.9400,6.26,1.599,,,Col,
+31158,46136,6.53849,17.7843,6.26,0.541,,20,Gem,
+31703,,6.63191,73.6956,6.26,0.396,,,,
+32144,48501,6.71279,-22.4486,6.26,0.321,,,CMa,
+33465,,6.95711,11.9076,6.26,0.349,,,,
+33588,,6.97771,-55.7291,6.26,1.160,,,,
+33666,,6.99424,-21.6029,6.26,-0.164,,,,
+36264,,7.46720,-26.8390,6.26,1.513,,,,
+39938,,8.15641,42.4306,6.26,1.263,,,,
+40677,,8.30439,54.1437,6.26,1.558,,,,
+42010,,8.56251,13.2573,6.26,1.179,,,,
+42717,,8.70579,-55.7746,6.26,1.178,,,,
+43807,76566,8.92200,-45.0417,6.26,-0.152,,,Vel,
+46569,,9.49719,-23.3453,6.26,1.559,,,,
+46938,,9.56643,23.4539,6.26,1.453,,,,
+47550,83821,9.69403,25.9129,6.26,1.251,,13,Leo,
+52535,,10.74082,-72.4435,6.26,0.510,,,,
+52679,,10.77141,-60.6029,6.26,0.038,,,,
+53231,,10.88921,-58.8935,6.26,-0.104,,,,
+55308,,11.32681,-75.1425,6.26,-0.016,,,,
+57322,,11.75351,-49.0698,6.26,1.174,,,,
+58242,,11.94553,-47.0724,6.26,0.407,,,,
+60087,107168,12.32200,23.0347,6.26,0.177,,8,Com,
+61270,,12.55618,-19.7925,6.26,0.304,,,,
+61796,110020,12.66551,-66.5111,6.26,-0.050,,,Mus,
+62655,,12.83875,-48.4595,6.26,0.046,,,,
+62821,,12.87350,-53.8299,6.26,1.106,,,,
+64520,114846,13.22412,-18.8264,6.26,0.088,,54,Vir,
+65119,,13.34488,2.9423,6.26,0.102,,,,
+71040,127929,14.52856,60.2256,6.26,0.243,,,Dra,
+75535,,15.43147,19.4807,6.26,0.618,,,,
+76143,,15.55264,-24.4904,6.26,0.330,,,,
+76395,,15.60315,-33.0928,6.26,-0.070,,,,
+77995,,15.92774,18.6207,6.26,-0.089,,,,
+79463,,16.21572,-4.2208,6.26,0.133,,,,
+83323,153261,17.02983,-58.9582,6.26,-0.124,,,Ara,
+83740,,17.11479,-26.5130,6.26,-0.038,,,,
+86088,,17.59305,-59.8461,6.26,-0.081,,,,
+86246,,17.62415,-38.0664,6.26,1.244,,,,
+87928,,17.96187,-56.8963,6.26,-0.066,,,,
+88415,,18.05247,48.4643,6.26,0.037,,,,
+91523,,18.66433,7.3586,6.26,0.962,,,,
+91985,,18.74872,54.8972,6.26,0.839,,,,
+94140,179933,19.16273,65.9785,6.26,0.008,,55,Dra,
+95953,,19.51301,36.2285,6.26,-0.015,,,,
+99137,,20.12641,-55.0160,6.26,0.530,,,,
+100412,193307,20.36140,-49.9994,6.26,0.549,,,,
+102712,,20.81187,51.9103,6.26,-0.071,,,,
+103616,199728,20.99337,-19.0353,6.26,-0.110,,20,Cap,
+103693,,21.01206,-53.7391,6.26,1.563,,,,
+109082,209961,22.09756,48.2315,6.26,-0.088,,,Lac,
+110696,,22.42797,18.4443,6.26,1.201,,,,
+111325,,22.55467,70.3737,6.26,0.018,,,,
+115768,220858,23.45411,1.1226,6.26,1.013,,9,Psc,
+115953,,23.49225,-4.5327,6.26,1.123,,,,
+116592,222098,23.62771,16.8255,6.26,0.025,,74,Peg,
+116876,,23.69077,49.5124,6.26,0.182,,,,
+118076,,23.95227,-26.6234,6.26,1.452,,,,
+3858,,0.82595,-23.3621,6.27,0.132,,,,
+4212,,0.89655,52.6893,6.27,0.191,,,,
+5947,,1.27525,79.9100,6.27,0.440,,,,
+6776,,1.45176,34.3776,6.27,0.453,,,,
+7189,,1.54343,-49.7277,6.27,0.462,,,,
+8159,10697,1.74884,20.0831,6.27,0.720,,109,Psc,
+9809,12872,2.10341,8.2481,6.27,1.636,,,Psc,
+12982,,2.78287,35.9835,6.27,0.935,,,,
+19121,,4.09903,-8.8561,6.27,0.063,,,,
+22439,,4.82840,-13.7697,6.27,0.456,,,,
+26071,,5.56061,34.7256,6.27,0.170,,,,
+26291,,5.59875,27.6623,6.27,1.529,,,,
+29233,,6.16309,-26.7011,6.27,1.010,,,,
+30019,43819,6.31718,17.3253,6.27,-0.094,,,Ori,
+30420,,6.39615,-15.0713,6.27,1.534,,,,
+33394,,6.94603,-35.3413,6.27,1.278,,,,
+36728,60559,7.55365,-40.0585,6.27,-0.129,,,Pup,
+37000,,7.60464,-8.3113,6.27,1.541,,,,
+39974,,8.16325,-42.6408,6.27,-0.036,,,,
+45242,,9.22185,-42.2733,6.27,1.250,,,,
+46045,,9.39038,-48.2869,6.27,-0.144,,,,
+46504,,9.48397,-1.2569,6.27,0.274,,,,
+46737,,9.52584,-66.7190,6.27,1.348,,,,
+48266,,9.83989,65.5932,6.27,0.290,,,,
+48763,,9.94635,-26.5497,6.27,0.219,,,,
+49418,,10.08758,-36.3844,6.27,1.112,,,,
+52513,,10.73737,19.7588,6.27,0.196,,,,
+52584,93102,10.75263,2.4880,6.27,1.212,,36,Sex,
+54718,,11.20283,-46.2668,6.27,0.155,,,,
+56242,100180,11.52915,14.3645,6.27,0.570,,88,Leo,
+58874,,12.07447,85.5871,6.27,0.560,,,,
+59767,107192,12.25563,87.7001,6.27,0.346,,,UMi,
+62421,,12.79262,-6.3018,6.27,0.538,,,,
+65630,,13.45574,-49.3813,6.27,-0.123,,,,
+68682,122742,14.05899,10.7868,6.27,0.733,,,,
+71196,,14.56064,79.6604,6.27,1.315,,,,
+72124,,14.75381,32.7883,6.27,1.610,,,,
+72702,,14.86425,-18.3553,6.27,1.094,,,,
+73901,,15.10387,-36.2646,6.27,1.658,,,,
+74470,,15.21695,-61.7438,6.27,1.901,,,,
+75091,,15.34460,-67.4815,6.27,-0.090,,,,
+78840,,16.09387,8.0962,6.27,0.084,,,,
+80920,,16.52451,72.6123,6.27,1.291,,,,
+82951,,16.95111,-19.5399,6.27,0.084,,,,
+82987,153287,16.95863,25.3528,6.27,0.909,,57,Her,
+83308,153882,17.02585,14.9497,6.27,0.031,,,Her,
+84759,,17.32514,-50.0638,6.27,0.413,,,,
+88258,164358,18.02309,-17.1569,6.27,1.763,,6,Sgr,
+90256,,18.41624,27.3948,6.27,0.053,,,,
+90692,,18.50397,-5.7242,6.27,0.953,,,,
+91723,,18.70401,-81.8081,6.27,-0.104,,,,
+92674,,18.88383,-9.5755,6.27,0.200,,,,
+93049,,18.95397,-43.9170,6.27,-0.073,,,,
+94623,,19.25533,50.0711,6.27,0.930,,,,
+95398,182490,19.40613,16.9377,6.27,0.075,,2,Sge,
+96365,,19.59263,-12.2531,6.27,1.089,,,,
+97091,186518,19.73221,27.1354,6.27,1.015,,,Vul,
+97491,,19.81530,-52.8881,6.27,1.131,,,,
+98351,,19.98234,-30.5384,6.27,1.051,,,,
+98658,190713,20.03895,64.6344,6.27,0.927,,65,Dra,
+100165,,20.31750,-63.2307,6.27,1.045,,,,
+100300,,20.34231,-55.0509,6.27,1.617,,,,
+104281,,21.12601,15.6587,6.27,1.008,,,,
+104557,,21.17971,-9.3541,6.27,1.161,,,,
+104771,,21.22466,15.9824,6.27,0.238,,,,
+106420,,21.55497,45.8540,6.27,1.805,,,,
+107734,,21.82413,20.4624,6.27,-0.097,,,,
+107956,,21.87172,21.2732,6.27,1.601,,,,
+112358,215510,22.75783,19.3666,6.27,1.057,,45,Peg,
+113673,,23.02307,-22.7909,6.27,0.126,,,,
+25,,0.00531,-44.2906,6.28,0.763,,,,
+2270,,0.48241,36.8997,6.28,0.916,,,,
+3807,,0.81576,-46.6976,6.28,0.897,,,,
+4298,,0.91811,48.6785,6.28,1.681,,,,
+4932,,1.05491,-29.5258,6.28,0.932,,,,
+5175,6476,1.10311,32.1815,6.28,1.308,,76,Psc,
+6512,,1.39374,34.2459,6.28,0.829,,,,
+8771,,1.88076,51.4748,6.28,0.050,,,,
+8930,,1.91602,37.1283,6.28,1.169,,,,
+11802,,2.53743,-36.4273,6.28,1.027,,,,
+12990,,2.78433,35.5547,6.28,0.385,,,,
+14607,,3.14411,8.4711,6.28,1.026,,,,
+20552,28255,4.40339,-57.0713,6.28,0.659,,,,
+20772,,4.45024,57.5853,6.28,0.063,,,,
+21082,28595,4.51867,15.1050,6.28,1.725,,84,Tau,
+21486,,4.61415,-30.7168,6.28,-0.095,,,,
+22717,,4.88490,-72.4077,6.28,0.521,,,,
+26368,37935,5.61527,-66.5603,6.28,-0.052,,,Dor,
+27661,39045,5.85715,32.1247,6.28,1.752,,,Aur,
+28019,,5.92649,-4.7886,6.28,0.056,,,,
+28831,,6.08593,75.5859,6.28,1.512,,,,
+29304,,6.17776,-45.2820,6.28,-0.012,,,,
+29404,,6.19609,52.6472,6.28,0.141,,,,
+30973,,6.50083,-65.5682,6.28,0.329,,,,
+32020,,6.68943,16.3977,6.28,-0.016,,,,
+32091,,6.70455,-38.3988,6.28,0.346,,,,
+32261,,6.73653,53.2959,6.28,1.089,,,,
+33297,,6.92628,8.3243,6.28,0.037,,,,
+33760,,7.01181,-28.4896,6.28,0.449,,,,
+36796,,7.56805,10.5681,6.28,0.022,,,,
+38792,65183,7.93965,-30.2846,6.28,1.476,,,Pup,
+39238,,8.02543,-55.4547,6.28,-0.146,,,,
+39420,,8.05823,-42.9483,6.28,1.008,,,,
+40617,,8.29213,8.8663,6.28,0.980,,,,
+41107,70946,8.38804,-38.2861,6.28,1.613,,,Pup,
+41208,,8.40917,82.4308,6.28,0.035,,,,
+42070,,8.57479,-37.6112,6.28,1.562,,,,
+43811,76221,8.92302,17.2313,6.28,2.975,,,Cnc,
+45742,,9.32569,-55.1865,6.28,-0.099,,,,
+48468,,9.88279,-27.3322,6.28,0.622,,,,
+49967,,10.20079,-28.6060,6.28,0.019,,,,
+54264,,11.10159,-51.2129,6.28,0.943,,,,
+56201,100198,11.52085,-61.2785,6.28,0.473,,,Cen,
+57045,,11.69541,55.1720,6.28,1.491,,,,
+58574,,12.01173,-21.8375,6.28,1.220,,,,
+61295,109307,12.55951,24.2830,6.28,0.114,,22,Com,
+66700,119213,13.67261,57.2076,6.28,0.111,,,UMa,
+68567,,14.03672,45.7535,6.28,1.353,,,,
+68776,,14.07706,2.2975,6.28,1.022,,,,
+70517,,14.42477,38.3931,6.28,1.225,,,,
+73171,,14.95381,-29.1577,6.28,-0.011,,,,
+74623,,15.24739,-5.5026,6.28,1.473,,,,
+76033,,15.52873,-20.1649,6.28,0.220,,,,
+77910,142500,15.91119,8.5803,6.28,0.171,,40,Ser,
+82669,152235,16.89968,-41.9943,6.28,0.462,,,Sco,
+83331,153727,17.03091,-18.8855,6.28,1.351,,29,Oph,
+83594,,17.08483,-45.5021,6.28,0.074,,,,
+84649,,17.30535,-16.3119,6.28,1.691,,,,
+85042,,17.38091,-2.3882,6.28,0.680,,,,
+86628,160342,17.70101,-50.5107,6.28,1.661,,,Ara,
+87866,,17.94888,6.4877,6.28,-0.015,,,,
+87948,,17.96605,-39.1365,6.28,0.007,,,,
+88217,,18.01591,15.0936,6.28,0.747,,,,
+90238,,18.41170,-7.0759,6.28,1.161,,,,
+90510,,18.46838,-26.7572,6.28,0.157,,,,
+91811,,18.71954,70.7928,6.28,1.234,,,,
+92599,,18.86868,41.3832,6.28,-0.083,,,,
+92635,,18.87453,-26.6508,6.28,0.941,,,,
+93270,176541,18.99947,22.8145,6.28,1.672,,,Vul,
+93887,177863,19.11898,-18.7382,6.28,-0.044,,,Sgr,
+94272,,19.18856,-29.5023,6.28,-0.031,,,,
+97070,,19.72764,57.0427,6.28,0.887,,,,
+99893,,20.26762,38.8980,6.28,0.006,,,,
+100151,,20.31555,-47.7108,6.28,1.657,,,,
+102096,196829,20.69019,-42.1338,6.28,1.584,,,Mic,
+102561,,20.78432,-2.4869,6.28,1.558,,,,
+105678,,21.40465,-69.7339,6.28,2.607,,,,
+106907,,21.65170,-33.6789,6.28,0.949,,,,
+107344,,21.74152,-38.5525,6.28,1.129,,,,
+107502,,21.77332,25.5635,6.28,1.212,,,,
+108784,,22.03663,-17.9035,6.28,1.002,,,,
+109442,,22.17253,-3.8941,6.28,-0.006,,,,
+111594,214085,22.60814,-40.5827,6.28,0.119,σ1,,Gru,
+111627,,22.61352,35.6524,6.28,1.392,,,,
+112078,214983,22.70167,-5.1020,6.28,1.569,,,Aqr,
+112501,,22.78865,-34.1617,6.28,1.145,,,,
+113360,,22.95911,3.8102,6.28,1.122,,,,
+115407,220318,23.37792,20.8287,6.28,-0.033,,65,Peg,
+118178,224481,23.97256,-15.8475,6.28,1.079,,1,Cet,
+6087,,1.30282,47.4197,6.29,1.357,,,,
+9827,,2.10814,0.0354,6.29,0.897,,,,
+11174,14662,2.39771,55.3649,6.29,0.845,,,Per,
+12305,,2.64110,38.0891,6.29,-0.029,,,,
+13768,,2.95359,-29.8553,6.29,0.472,,,,
+14972,,3.21708,-35.9437,6.29,-0.076,,,,
+16095,,3.45519,12.7353,6.29,-0.025,,,,
+16424,,3.52481,49.2098,6.29,0.067,,,,
+16827,,3.60837,-78.3231,6.29,1.150,,,,
+16974,22316,3.63881,56.9327,6.29,-0.099,,,Cam,
+17464,,3.74275,-54.2740,6.29,1.035,,,,
+19412,,4.15766,59.9081,6.29,1.112,,,,
+23251,,5.00367,-78.3000,6.29,1.517,,,,
+25806,,5.51204,22.4623,6.29,1.180,,,,
+27325,,5.78853,-35.6741,6.29,1.191,,,,
+27625,,5.84899,51.5146,6.29,1.047,,,,
+30062,,6.32727,-22.1031,6.29,1.473,,,,
+33719,52265,7.00501,-5.3672,6.29,0.572,,,,Citalá
+35301,,7.29213,-6.6800,6.29,1.624,,,,
+36856,,7.57766,-51.4745,6.29,0.073,,,,
+42556,73731,8.67417,19.5448,6.29,0.170,ε,41,Cnc,Meleph
+43195,,8.80006,-52.8502,6.29,-0.097,,,,
+48638,,9.91760,61.1161,6.29,1.036,,,,
+51835,,10.59021,-76.3090,6.29,1.205,,,,
+51885,,10.60125,-26.6755,6.29,0.475,,,,
+51914,91752,10.60595,36.3269,6.29,0.436,,35,LMi,
+52709,,10.77699,-43.1927,6.29,0.202,,,,
+52797,,10.79400,-57.4674,6.29,1.673,,,,
+53100,,10.86302,-57.2723,6.29,0.226,,,,
+56083,,11.49543,56.7376,6.29,0.157,,,,
+56784,,11.64231,33.6258,6.29,1.325,,,,
+56809,101177,11.64581,45.1084,6.29,0.566,,,,
+59796,106677,12.26153,72.5512,6.29,1.145,,,Dra,
+60601,,12.42154,-65.7699,6.29,0.965,,,,
+61246,109217,12.55080,10.2957,6.29,0.953,,20,Vir,
+62523,111395,12.81307,24.8402,6.29,0.703,,,Com,
+62825,,12.87431,16.1225,6.29,0.173,,,,
+66645,118781,13.66135,-39.7476,6.29,1.597,,,Cen,
+73464,,15.01452,22.0456,6.29,1.179,,,,
+73764,,15.07858,-40.8613,6.29,1.389,,,,
+74273,,15.17909,-61.4223,6.29,0.623,,,,
+75230,136831,15.37312,12.5675,6.29,-0.008,,7,Ser,
+77782,,15.88225,17.4031,6.29,1.238,,,,
+78058,,15.93723,-31.7859,6.29,0.462,,,,
+79945,,16.31881,-20.2181,6.29,1.066,,,,
+82419,,16.84336,41.8965,6.29,1.086,,,,
+82855,,16.93271,-33.5069,6.29,1.747,,,,
+82880,,16.93798,73.1279,6.29,0.259,,,,
+83567,,17.07926,-20.4947,6.29,-0.035,,,,
+83684,,17.10328,-21.5646,6.29,0.128,,,,
+89623,,18.29005,-9.7586,6.29,0.382,,,,
+89677,,18.30082,13.7770,6.29,-0.040,,,,
+92480,174309,18.84736,-22.1622,6.29,0.390,,30,Sgr,
+93074,,18.95955,-39.8232,6.29,0.210,,,,
+93860,,19.11523,-50.3231,6.29,-0.057,,,,
+94981,181655,19.32750,37.3305,6.29,0.676,,,,
+95932,183028,19.50961,-55.1101,6.29,0.450,μ,,Tel,
+97033,186760,19.72067,58.0166,6.29,0.590,,,,
+100524,,20.38355,-9.6547,6.29,0.913,,,,
+102094,,20.69007,-25.9999,6.29,1.224,,,,
+102642,,20.79805,52.4072,6.29,0.883,,,,
+105344,,21.33724,22.0262,6.29,-0.106,,,,
+109585,,22.19913,59.0846,6.29,1.123,,,,
+110746,,22.43631,-23.6824,6.29,-0.021,,,,
+111550,,22.59816,50.0708,6.29,-0.071,,,,
+112259,,22.73791,-60.4996,6.29,0.568,,,,
+115171,,23.32821,48.3809,6.29,1.123,,,,
+117774,223855,23.88465,2.0906,6.29,-0.003,,25,Psc,
+4520,,0.96514,13.6959,6.30,0.895,,,,
+9562,,2.04771,-23.8866,6.30,1.340,,,,
+11043,,2.36993,-43.1998,6.30,0.991,,,,
+12690,,2.71718,48.2652,6.30,1.140,,,,
+13448,,2.88658,16.4835,6.30,0.457,,,,
+14355,,3.08647,-8.2742,6.30,1.020,,,,
+15191,,3.26309,32.8567,6.30,0.366,,,,
+15230,,3.27270,-5.7305,6.30,1.648,,,,
+18033,24155,3.85441,13.0461,6.30,-0.058,,,Tau,
+22607,,4.86389,13.6552,6.30,0.502,,,,
+23555,,5.06499,-41.7450,6.30,0.528,,,,
+25290,,5.41067,31.2239,6.30,1.251,,,,
+25486,35850,5.45132,-11.9010,6.30,0.553,,,Lep,
+27319,,5.78741,42.5267,6.30,1.354,,,,
+27902,,5.90438,3.2256,6.30,1.283,,,,
+30217,,6.35716,2.2685,6.30,0.251,,,,
+30352,,6.38374,-63.6831,6.30,1.612,,,,
+30505,,6.41236,-40.2840,6.30,-0.049,,,,
+30564,,6.42449,14.7220,6.30,2.349,,,,
+31205,46407,6.54635,-11.1664,6.30,1.096,,,CMa,
+32208,,6.72315,-39.1931,6.30,0.258,,,,
+32990,,6.87302,-5.3163,6.30,0.977,,,,
+33082,,6.88955,10.9967,6.30,0.962,,,,
+35241,,7.28256,-30.8970,6.30,0.200,,,,
+36019,,7.42277,81.2575,6.30,-0.031,,,,
+38087,,7.80542,-56.4711,6.30,1.010,,,,
+38406,64052,7.86867,3.2773,6.30,1.464,,,CMi,
+39073,,7.99447,-60.2074,6.30,-0.050,,,,
+39180,,8.01336,19.8162,6.30,1.109,,,,
+41404,71150,8.44641,26.9355,6.30,0.187,φ2,23,Cnc,
+41737,,8.51090,-44.7373,6.30,-0.007,,,,
+44126,76830,8.98631,18.1349,6.30,1.511,,,Cnc,
+45421,,9.25595,84.1810,6.30,0.339,,,,
+45854,,9.34875,-15.6178,6.30,0.468,,,,
+46049,,9.39092,-60.3023,6.30,1.477,,,,
+46168,,9.41547,51.5739,6.30,0.774,,,,
+48715,,9.93604,-71.3893,6.30,-0.056,,,,
+49321,,10.06745,-18.1014,6.30,-0.060,,,,
+54688,,11.19549,14.4002,6.30,0.209,,,,
+55068,,11.27439,-45.8800,6.30,0.403,,,,
+56135,99967,11.50689,46.6575,6.30,1.265,,,UMa,
+56632,,11.61131,-37.2372,6.30,0.062,,,,
+58901,,12.07923,-59.2533,6.30,-0.034,,,,
+59003,,12.09823,-65.5469,6.30,0.152,,,,
+60809,,12.46373,-16.6318,6.30,0.868,,,,
+66892,,13.70800,41.6743,6.30,0.879,,,,
+68705,,14.06475,-22.4216,6.30,0.452,,,,
+71746,,14.67577,-56.4408,6.30,1.173,,,,
+72338,,14.79225,-43.5568,6.30,1.068,,,,
+72772,,14.87586,-30.5773,6.30,0.605,,,,
+74875,,15.30261,-41.0612,6.30,0.176,,,,
+76366,,15.59700,38.3739,6.30,1.306,,,,
+77007,,15.72357,-15.0432,6.30,1.124,,,,
+78153,,15.95829,39.6951,6.30,1.110,,,,
+79350,,16.19433,33.3428,6.30,1.228,,,,
+79581,,16.23711,5.9018,6.30,1.148,,,,
+79812,,16.28915,-53.0864,6.30,0.273,,,,
+81425,,16.63000,13.6870,6.30,0.433,,,,
+81650,149989,16.67900,-51.4783,6.30,0.321,,,Ara,
+82783,,16.91759,-42.0908,6.30,0.396,,,,
+82868,152478,16.93579,-50.6748,6.30,-0.016,,,Ara,
+84021,,17.17517,52.4088,6.30,-0.025,,,,
+84151,,17.20460,-38.8225,6.30,1.050,,,,
+85549,,17.48357,-43.9739,6.30,-0.010,,,,
+86506,,17.67811,31.2875,6.30,1.075,,,,
+86768,,17.72973,-7.0796,6.30,0.324,,,,
+88294,,18.03008,-36.3779,6.30,-0.016,,,,
+89474,168009,18.25902,45.2093,6.30,0.641,,,,
+89726,,18.31115,-42.2884,6.30,-0.144,,,,
+89835,,18.33224,51.3478,6.30,1.112,,,,
+90336,,18.43183,-33.9457,6.30,-0.075,,,,
+91880,,18.73090,-6.8181,6.30,0.479,,,,
+91958,,18.74453,23.5899,6.30,0.437,,,,
+92687,,18.88667,-51.9314,6.30,-0.092,,,,
+93629,,19.06695,-57.9600,6.30,0.857,,,,
+93993,,19.13738,-24.6574,6.30,0.011,,,,
+95067,,19.34251,35.1860,6.30,-0.092,,,,
+95673,,19.46011,37.9412,6.30,-0.120,,,,
+96164,,19.55280,60.1587,6.30,1.580,,,,
+97845,188439,19.88368,47.8077,6.30,-0.126,,,Cyg,
+99878,,20.26406,-30.0053,6.30,1.513,,,,
+99918,192666,20.27300,-12.3371,6.30,0.005,,3,Cap,
+99920,192472,20.27323,-36.4536,6.30,1.467,,,Sgr,
+102230,,20.71471,-39.5588,6.30,1.073,,,,
+102530,,20.77739,46.5317,6.30,0.064,,,,
+105685,,21.40579,-46.6147,6.30,0.235,,,,
+109493,,22.18103,30.5530,6.30,0.227,,,,
+110919,,22.47208,64.0852,6.30,1.113,,,,
+111649,,22.61801,12.5768,6.30,1.431,,,,
+111879,,22.66227,-28.3257,6.30,1.006,,,,
+113593,,23.00685,-25.6268,6.30,1.124,,,,
+116972,222683,23.71219,16.3357,6.30,0.970,,76,Peg,
+302,225136,0.06435,66.7122,6.31,1.629,,,Cep,
+5251,,1.11929,53.4982,6.31,1.499,,,,
+6261,,1.33872,77.5707,6.31,0.912,,,,
+7243,,1.55508,8.2087,6.31,0.800,,,,
+10115,,2.16882,53.8431,6.31,0.948,,,,
+13421,,2.88076,-9.4412,6.31,0.196,,,,
+18067,,3.86161,68.5075,6.31,-0.057,,,,
+18438,,3.94173,71.8216,6.31,0.333,,,,
+18717,,4.01025,17.2967,6.31,0.056,,,,
+19172,,4.11018,54.0087,6.31,0.983,,,,
+19810,,4.24779,37.5427,6.31,0.958,,,,
+19877,26911,4.26285,15.4007,6.31,0.400,,48,Tau,
+20188,,4.32706,10.1214,6.31,1.428,,,,
+23296,,5.01106,-2.0660,6.31,0.293,,,,
+26953,38099,5.71925,-1.6132,6.31,1.467,,,Ori,
+30376,,6.38735,-31.7903,6.31,0.893,,,,
+31086,46347,6.52333,-32.8685,6.31,1.665,,,CMa,
+32744,,6.82889,-24.0761,6.31,0.054,,,,
+32838,49976,6.84509,-8.0410,6.31,0.011,,,Mon,
+33271,,6.92089,45.8264,6.31,0.945,,,,
+33420,,6.95003,-8.1793,6.31,0.641,,,,
+34428,,7.13702,33.8324,6.31,1.356,,,,
+35463,,7.32047,-33.7272,6.31,1.302,,,,
+37939,,7.77595,-37.7726,6.31,1.348,,,,
+38031,63302,7.79403,-15.9907,6.31,1.791,,,Pup,
+39299,,8.03504,-37.0500,6.31,1.599,,,,
+39898,,8.14913,-11.3397,6.31,0.011,,,,
+40766,69997,8.32085,-10.1658,6.31,0.329,,,Hya,
+41806,,8.52353,-39.0641,6.31,-0.133,,,,
+41927,,8.54814,69.3199,6.31,1.360,,,,
+42249,,8.61354,74.7237,6.31,0.308,,,,
+45259,,9.22384,-38.6165,6.31,0.018,,,,
+46194,81575,9.41885,-43.9766,6.31,1.526,,,Vel,
+46232,,9.42569,16.5856,6.31,0.968,,,,
+47427,83650,9.66317,-10.5703,6.31,-0.029,,37,Hya,
+49408,,10.08622,52.3713,6.31,0.135,,,,
+49688,,10.14289,83.9184,6.31,1.549,,,,
+50492,,10.31051,-36.8046,6.31,1.282,,,,
+50584,,10.33319,-9.0590,6.31,0.338,,,,
+53167,,10.87669,-0.2017,6.31,1.503,,,,
+54291,,11.10764,-50.9567,6.31,1.156,,,,
+58002,103313,11.89730,0.5521,6.31,0.207,,,Vir,
+60589,,12.41843,63.8028,6.31,0.919,,,,
+61981,110311,12.70139,-69.4076,6.31,0.750,,,Mus,
+62376,111133,12.78397,5.9504,6.31,-0.013,,,Vir,
+62799,,12.86817,-48.0943,6.31,0.040,,,,
+63243,,12.95920,-22.7535,6.31,1.069,,,,
+64417,,13.20233,24.2580,6.31,1.006,,,,
+65606,,13.45177,-49.1437,6.31,0.003,,,,
+66704,119124,13.67312,50.5194,6.31,0.537,,,,
+68065,,13.93624,32.0326,6.31,0.401,,,,
+69671,124580,14.26075,-45.0008,6.31,0.596,,,,
+74505,,15.22552,22.9834,6.31,0.064,,,,
+78017,,15.93045,58.9118,6.31,-0.028,,,,
+78117,,15.95107,-48.1622,6.31,0.381,,,,
+78236,,15.97522,-37.5039,6.31,1.006,,,,
+80710,,16.47873,51.4077,6.31,1.052,,,,
+84535,183030,17.28235,89.0377,6.31,1.575,λ,,UMi,
+84801,156826,17.33321,-5.9175,6.31,0.850,,,,
+87163,161756,17.80773,-26.9749,6.31,0.094,,,Sgr,
+88732,,18.11485,50.8228,6.31,1.051,,,,
+90478,,18.46215,-26.6348,6.31,0.263,,,,
+90969,170867,18.55641,-38.7200,6.31,0.020,κ1,,CrA,
+91279,,18.61918,16.1983,6.31,0.896,,,,
+91901,,18.73554,-36.7183,6.31,0.980,,,,
+93418,,19.02597,-15.2826,6.31,0.963,,,,
+94916,,19.31465,9.6181,6.31,1.065,,,,
+95281,,19.38457,-7.4006,6.31,1.455,,,,
+95487,,19.42289,20.2717,6.31,-0.014,,,,
+95664,,19.45942,14.2825,6.31,-0.068,,,,
+96917,,19.70081,-9.1937,6.31,1.341,,,,
+98579,,20.02411,-40.8143,6.31,0.113,,,,
+107750,,21.82806,-12.7229,6.31,0.223,,,,
+109212,210090,22.12499,18.0007,6.31,1.605,,,Peg,
+110988,213307,22.48590,58.4041,6.31,-0.033,δ,27,Cep,
+112567,,22.79895,-25.9120,6.31,0.913,,,,
+113345,,22.95477,-4.8101,6.31,0.948,,,,
+113501,,22.98621,52.6545,6.31,1.414,,,,
+118029,,23.94165,-24.7372,6.31,0.921,,,,
+417,,0.08439,-0.5030,6.32,1.099,,,,
+730,,0.15067,-54.0019,6.32,0.738,,,,
+2832,,0.59855,13.2071,6.32,0.517,,,,
+8086,,1.73059,32.1920,6.32,0.879,,,,
+8127,,1.74070,46.1397,6.32,1.419,,,,
+10111,,2.16800,-43.8156,6.32,0.899,,,,
+12647,16861,2.70804,10.7417,6.32,0.064,,85,Cet,
+13947,,2.99397,-32.5072,6.32,0.002,,,,
+14914,,3.20734,47.7259,6.32,1.425,,,,
+18565,,3.97477,38.8403,6.32,1.081,,,,
+19859,26923,4.25800,6.1869,6.32,0.570,,,Tau,
+22300,,4.80195,55.6026,6.32,0.320,,,,
+23596,32846,5.07393,-35.7051,6.32,0.311,γ,,Cae,
+26190,,5.58262,-61.1760,6.32,0.845,,,,
+27583,,5.84134,-52.7679,6.32,0.746,,,,
+28820,,6.08405,37.9643,6.32,0.825,,,,
+28829,,6.08562,59.3932,6.32,1.116,,,,
+30190,,6.35151,-11.8173,6.32,1.676,,,,
+30218,,6.35720,17.7635,6.32,1.100,,,,
+30669,,6.44518,-14.6034,6.32,1.242,,,,
+30849,,6.47845,-41.0749,6.32,0.390,,,,
+31469,,6.59189,-22.1091,6.32,1.030,,,,
+32827,,6.84360,-25.7784,6.32,-0.183,,,,
+33064,50037,6.88705,38.4380,6.32,0.516,,60,Aur,
+33189,51208,6.90741,-42.3656,6.32,2.287,,,Pup,
+33703,,7.00230,-20.1584,6.32,-0.134,,,,
+34954,,7.23259,-30.3398,6.32,-0.183,,,,
+35893,,7.39954,-35.8378,6.32,-0.136,,,,
+36045,,7.42861,-31.7387,6.32,-0.176,,,,
+38183,,7.82452,-44.7512,6.32,0.962,,,,
+39263,65856,8.02882,25.0895,6.32,0.023,,4,Cnc,
+39843,,8.14018,-63.8008,6.32,-0.058,,,,
+40604,69665,8.28976,-16.2851,6.32,0.057,,21,Pup,
+41484,71148,8.46022,45.6530,6.32,0.624,,,,
+42394,,8.64453,-19.7369,6.32,1.592,,,,
+45424,,9.25693,-15.0249,6.32,0.013,,,,
+45437,,9.25964,-57.5777,6.32,1.037,,,,
+47096,83023,9.59803,14.3796,6.32,0.027,,7,Leo,
+48776,86301,9.94836,-27.4752,6.32,0.173,,,Ant,
+51401,90633,10.49845,65.6262,6.32,1.141,,35,UMa,
+52526,93206,10.73970,-59.9933,6.32,-0.310,,,Car,
+56657,,11.61701,-32.9882,6.32,0.439,,,,
+56961,,11.67695,-62.5681,6.32,0.029,,,,
+56996,,11.68369,-83.0999,6.32,1.080,,,,
+58603,,12.01715,-1.7682,6.32,1.204,,,,
+60197,,12.34483,27.0545,6.32,0.394,,,,
+60638,,12.42729,-86.1506,6.32,1.065,,,,
+62807,111862,12.87007,17.0739,6.32,1.622,,32,Com,
+64181,,13.15395,-9.5381,6.32,1.017,,,,
+64395,,13.19807,-63.3030,6.32,0.426,,,,
+66236,,13.57471,-48.2722,6.32,-0.052,,,,
+66607,118285,13.65333,-75.6838,6.32,-0.003,,,Cha,
+68643,,14.05113,-17.3670,6.32,1.380,,,,
+69862,,14.29700,48.0020,6.32,0.466,,,,
+71243,,14.56992,32.5345,6.32,0.450,,,,
+74418,,15.20867,-48.2190,6.32,1.115,,,,
+75822,,15.48919,62.0995,6.32,1.369,,,,
+76567,,15.63773,-28.2067,6.32,1.176,,,,
+77186,,15.76097,0.8910,6.32,1.195,,,,
+78059,,15.93734,-14.3994,6.32,0.485,,,,
+78955,,16.11760,-14.0713,6.32,0.660,,,,
+79031,,16.13108,-24.4623,6.32,-0.038,,,,
+79605,,16.24423,-18.5356,6.32,1.085,,,,
+80421,,16.41504,-45.3495,6.32,0.187,,,,
+82405,,16.83951,-2.6544,6.32,0.401,,,,
+84496,156947,17.27483,60.6706,6.32,1.090,,,Dra,
+85975,,17.57135,-48.5268,6.32,0.953,,,,
+87895,163840,17.95398,23.9959,6.32,0.642,,,,
+88671,,18.10206,-0.4461,6.32,1.014,,,,
+88754,,18.11841,49.7104,6.32,-0.020,,,,
+89674,,18.30027,-68.2293,6.32,-0.026,,,,
+90083,,18.38392,-10.2190,6.32,0.130,,,,
+91781,172816,18.71531,-19.2842,6.32,1.591,,,Sgr,
+93197,,18.98317,50.8091,6.32,0.979,,,,
+93770,,19.09643,29.9217,6.32,1.668,,,,
+94890,,19.31052,49.5695,6.32,1.123,,,,
+96356,,19.59161,-7.4603,6.32,1.124,,,,
+98333,,19.97829,70.3669,6.32,0.868,,,,
+98890,,20.08150,68.0272,6.32,1.649,,,,
+100016,,20.29141,42.7221,6.32,1.632,,,,
+100762,,20.42892,10.0560,6.32,1.571,,,,
+101765,196606,20.62549,31.5725,6.32,-0.089,,48,Cyg,
+102819,198391,20.83007,7.8642,6.32,0.019,,14,Del,
+103071,,20.88365,-23.7832,6.32,0.876,,,,
+103949,,21.06207,46.8632,6.32,0.259,,,,
+105148,,21.30013,-64.6816,6.32,-0.064,,,,
+106500,,21.57143,-42.9247,6.32,1.093,,,,
+108420,,21.96418,74.9967,6.32,1.560,,,,
+111965,,22.67999,-3.5542,6.32,0.520,,,,
+114714,,23.23733,50.6179,6.32,-0.005,,,,
+115148,,23.32428,34.7932,6.32,-0.053,,,,
+117219,,23.76701,-40.1826,6.32,0.210,,,,
+186,224995,0.04005,8.9568,6.33,0.182,,31,Psc,
+1502,,0.31182,-43.2356,6.33,1.210,,,,
+5772,7351,1.23469,28.5296,6.33,1.684,,,Psc,
+6312,8003,1.35146,64.6581,6.33,0.113,,35,Cas,
+7879,10859,1.68930,-79.1482,6.33,0.947,τ1,,Hyi,
+8020,,1.71620,61.4211,6.33,0.013,,,,
+8044,,1.72125,45.3226,6.33,1.020,,,,
+8369,,1.79660,-37.1595,6.33,1.016,,,,
+8370,,1.79667,46.2297,6.33,0.461,,,,
+10798,14412,2.31625,-25.9457,6.33,0.724,,,,
+14566,,3.13441,52.2135,6.33,-0.019,,,,
+16015,,3.43661,-41.6369,6.33,0.054,,,,
+19673,,4.21439,68.5012,6.33,1.169,,,,
+21408,,4.59515,19.8818,6.33,0.754,,,,
+22189,,4.77338,-2.9545,6.33,0.041,,,,
+22949,,4.93766,24.5922,6.33,0.351,,,,
+23874,,5.13050,-12.5927,6.33,1.617,,,,
+24377,,5.22979,0.5604,6.33,1.463,,,,
+24847,,5.32647,-1.4119,6.33,-0.105,,,,
+25288,,5.41003,2.3532,6.33,-0.145,,,,
+25786,,5.50577,-7.4348,6.33,-0.194,,,,
+29949,43380,6.30469,46.3604,6.33,1.113,,43,Aur,
+30595,,6.42976,-3.8890,6.33,1.018,,,,
+33040,50648,6.88342,-26.9576,6.33,1.408,,,CMa,
+35623,,7.35086,42.6559,6.33,1.404,,,,
+36914,,7.58935,-74.2750,6.33,0.016,,,,
+37982,63401,7.78493,-39.3310,6.33,-0.142,,,Pup,
+39041,,7.98771,-73.2442,6.33,0.128,,,,
+41449,,8.45456,-31.6727,6.33,0.897,,,,
+42187,,8.60214,15.3136,6.33,0.338,,,,
+42850,,8.73176,-68.2116,6.33,1.501,,,,
+43114,75112,8.78035,-34.6229,6.33,-0.127,,,Pyx,
+45603,,9.29508,-54.4948,6.33,1.403,,,,
+46407,,9.46363,-71.7811,6.33,0.413,,,,
+47070,,9.59272,-19.5834,6.33,0.069,,,,
+47591,84416,9.70360,-66.9148,6.33,0.075,,,Car,
+50122,,10.23238,-40.3108,6.33,0.940,,,,
+50939,,10.40366,2.3680,6.33,0.991,,,,
+51117,90473,10.44359,-0.9881,6.33,1.443,,26,Sex,
+52160,,10.65634,-64.1118,6.33,-0.072,,,,
+54842,,11.22781,41.0888,6.33,1.150,,,,
+55821,,11.44043,33.4506,6.33,0.454,,,,
+59879,,12.28093,86.4358,6.33,0.437,,,,
+60305,,12.36563,47.1822,6.33,1.115,,,,
+60699,,12.44005,71.9298,6.33,1.028,,,,
+61637,,12.63456,3.2824,6.33,0.000,,,,
+62170,,12.74056,80.6210,6.33,0.160,,,,
+63220,,12.95352,-12.0669,6.33,1.491,,,,
+67246,,13.78253,6.3504,6.33,0.630,,,,
+70029,,14.32993,38.7941,6.33,0.053,,,,
+70580,,14.43707,-42.3186,6.33,1.215,,,,
+72194,129978,14.76605,-15.4595,6.33,1.194,,5,Lib,
+74083,,15.13876,50.0550,6.33,1.050,,,,
+75000,,15.32501,32.5149,6.33,0.234,,,,
+76666,,15.65593,-23.1502,6.33,0.023,,,,
+78486,,16.02210,-31.8891,6.33,1.454,,,,
+79125,,16.15080,57.9379,6.33,0.032,,,,
+81428,151623,16.63131,78.9187,6.33,1.141,,,,
+81580,,16.66087,-9.5546,6.33,0.492,,,,
+82539,,16.87159,-67.6816,6.33,1.289,,,,
+82861,,16.93385,-16.8063,6.33,0.952,,,,
+83342,,17.03305,8.4507,6.33,0.091,,,,
+84478,156026,17.27038,-26.5461,6.33,1.144,,,Oph,
+85020,157038,17.37756,-37.8046,6.33,0.682,,,Sco,
+86184,,17.61109,69.5707,6.33,0.596,,,,
+87428,,17.86651,-1.2368,6.33,1.126,,,,
+87910,,17.95749,11.0445,6.33,0.130,,,,
+89114,,18.18744,-19.8420,6.33,0.158,,,,
+92717,,18.89256,75.7874,6.33,0.021,,,,
+95211,,19.36931,-42.0160,6.33,1.129,,,,
+95369,,19.40152,-68.3711,6.33,1.238,,,,
+96417,,19.60232,22.5858,6.33,-0.059,,,,
+96729,185404,19.66374,-23.4277,6.33,0.034,,53,Sgr,
+96931,186122,19.70356,12.1933,6.33,-0.077,,46,Aql,
+98320,,19.97621,38.1057,6.33,-0.090,,,,
+102827,,20.83185,46.6613,6.33,-0.066,,,,
+103891,,21.05050,14.7300,6.33,1.680,,,,
+105695,,21.40683,10.1743,6.33,0.474,,,,
+107030,,21.67603,-55.7380,6.33,1.060,,,,
+108453,,21.97037,-5.4249,6.33,0.378,,,,
+111191,213534,22.52621,29.5428,6.33,0.209,,,Peg,
+111884,214698,22.66306,19.6811,6.33,0.035,,41,Peg,
+112508,,22.78979,58.4830,6.33,0.017,,,,
+113009,216538,22.88649,40.1674,6.33,-0.074,,,Lac,
+114159,,23.11929,-49.6061,6.33,1.452,,,,
+115015,,23.29447,-11.7129,6.33,0.058,,,,
+115476,,23.39221,0.2913,6.33,1.583,,,,
+117450,,23.81499,59.9790,6.33,-0.007,,,,
+798,,0.16448,-62.2968,6.34,0.164,,,,
+1208,,0.25193,31.5357,6.34,1.555,,,,
+6685,,1.42953,70.9799,6.34,-0.011,,,,
+6702,,1.43577,34.5797,6.34,0.500,,,,
+7819,,1.67637,8.7608,6.34,0.401,,,,
+11261,15004,2.41622,-2.7800,6.34,-0.011,,71,Cet,
+19111,,4.09631,-20.5126,6.34,0.918,,,,
+19917,27463,4.27249,-60.9485,6.34,0.097,,,Ret,
+20533,27778,4.39993,24.3010,6.34,0.173,,62,Tau,
+21428,,4.60047,-3.6116,6.34,-0.100,,,,
+22128,,4.76179,23.6280,6.34,0.058,,,,
+23092,,4.96970,-2.2127,6.34,0.110,,,,
+24909,,5.33909,-34.6989,6.34,0.318,,,,
+25205,35242,5.39196,5.3231,6.34,0.123,,,Ori,
+27075,,5.74122,-20.1266,6.34,0.580,,,,
+27901,,5.90389,-29.1472,6.34,0.370,,,,
+29114,,6.13976,41.0557,6.34,1.044,,,,
+33644,,6.98894,7.3170,6.34,-0.106,,,,
+34248,54031,7.10013,-30.6557,6.34,-0.131,,,CMa,
+34940,,7.23011,-22.9058,6.34,-0.184,,,,
+35132,,7.26314,-23.7403,6.34,-0.018,,,,
+37089,,7.62137,-23.7754,6.34,0.540,,,,
+37091,,7.62161,40.0254,6.34,1.600,,,,
+38206,,7.82777,-14.0854,6.34,1.660,,,,
+38355,,7.85565,-43.0952,6.34,-0.173,,,,
+39194,,8.01689,23.5831,6.34,1.160,,,,
+39279,,8.03199,35.4131,6.34,1.564,,,,
+39326,,8.04055,-6.3371,6.34,0.615,,,,
+39691,,8.11156,-48.4974,6.34,-0.172,,,,
+41813,,8.52489,-54.3940,6.34,1.298,,,,
+42415,,8.64997,52.9251,6.34,1.319,,,,
+42579,,8.67876,-57.5455,6.34,0.208,,,,
+43570,,8.87339,5.3403,6.34,0.122,,,,
+45150,,9.19879,5.4686,6.34,0.328,,,,
+48413,,9.86999,0.0756,6.34,0.934,,,,
+48861,,9.96579,45.4143,6.34,1.096,,,,
+49645,,10.13379,-37.3334,6.34,0.980,,,,
+49870,,10.18305,40.6616,6.34,1.277,,,,
+50785,,10.36956,-58.2656,6.34,0.884,,,,
+50916,,10.39740,-57.9539,6.34,1.517,,,,
+52685,93132,10.77291,57.3659,6.34,1.568,,41,UMa,
+52730,,10.78002,-69.2098,6.34,0.180,,,,
+53259,,10.89247,-15.4458,6.34,1.176,,,,
+54048,,11.06015,-13.4349,6.34,0.860,,,,
+54673,,11.19154,-71.4362,6.34,1.373,,,,
+57819,,11.85608,-12.1878,6.34,0.410,,,,
+58469,,11.99045,-62.8309,6.34,0.317,,,,
+59291,,12.16307,74.6614,6.34,0.511,,,,
+59458,106002,12.19581,57.0544,6.34,1.505,,68,UMa,
+59588,,12.22026,-34.1253,6.34,1.449,,,,
+59622,,12.22689,-33.7929,6.34,0.071,,,,
+59647,,12.23235,-78.5739,6.34,1.234,,,,
+62172,,12.74086,44.1030,6.34,0.469,,,,
+64117,,13.14106,-67.7968,6.34,1.710,,,,
+64951,,13.31341,-79.9760,6.34,-0.027,,,,
+65230,,13.36775,43.9034,6.34,0.255,,,,
+65678,,13.46657,52.7456,6.34,0.259,,,,
+67648,,13.86014,-36.4333,6.34,0.484,,,,
+68537,,14.03073,68.6787,6.34,1.412,,,,
+69122,123335,14.14896,-59.2767,6.34,0.031,,,Cen,
+71870,,14.69992,-77.0115,6.34,-0.027,,,,
+72373,,14.79860,-12.8400,6.34,1.097,,,,
+73241,131923,14.96911,-48.8630,6.34,0.708,,,,
+75101,,15.34639,-2.4133,6.34,1.062,,,,
+82731,,16.90999,-30.5873,6.34,0.214,,,,
+83738,,17.11471,-1.6562,6.34,0.209,,,,
+83816,,17.12963,40.5161,6.34,0.032,,,,
+84113,,17.19590,7.8948,6.34,1.040,,,,
+85187,,17.40939,15.6060,6.34,-0.017,,,,
+85195,,17.41029,-18.4458,6.34,0.046,,,,
+86546,,17.68639,15.1784,6.34,0.040,,,,
+88528,165373,18.07783,23.9420,6.34,0.306,,,Her,
+88862,,18.14271,14.2847,6.34,0.181,,,,
+92079,173425,18.76699,-19.6064,6.34,1.578,,,Sgr,
+94149,,19.16433,-0.4281,6.34,-0.042,,,,
+94243,,19.18386,-39.0047,6.34,0.006,,,,
+95253,,19.38010,9.9132,6.34,0.458,,,,
+95818,183537,19.48914,20.2797,6.34,-0.097,,7,Vul,
+97326,187764,19.77907,68.4380,6.34,0.309,,,Dra,
+99234,,20.14397,10.7259,6.34,-0.136,,,,
+99529,191753,20.19941,-12.3924,6.34,1.209,ξ1,1,Cap,
+101684,,20.61065,-63.1210,6.34,0.413,,,,
+102258,197770,20.72047,57.1140,6.34,0.282,,,Cep,
+102499,,20.77256,52.9953,6.34,1.131,,,,
+103963,,21.06448,41.6282,6.34,0.390,,,,
+104048,,21.07927,2.2698,6.34,0.965,,,,
+109190,,22.11934,58.8407,6.34,0.877,,,,
+112746,,22.83312,-32.8055,6.34,0.317,,,,
+114607,,23.21777,29.4415,6.34,0.924,,,,
+115129,,23.31907,-79.4724,6.34,0.913,,,,
+115833,,23.46686,-35.5445,6.34,1.201,,,,
+117860,,23.90595,-27.0429,6.34,0.197,,,,
+1215,,0.25293,27.2834,6.35,-0.002,,,,
+1296,,0.27054,76.9508,6.35,-0.044,,,,
+1575,,0.32821,40.7295,6.35,1.179,,,,
+5141,6479,1.09701,4.9084,6.35,0.383,,77,Psc,
+6427,,1.37513,-19.0812,6.35,0.493,,,,
+7786,,1.67031,53.8683,6.35,1.608,,,,
+7963,,1.70492,58.6277,6.35,-0.027,,,,
+8480,,1.82206,-31.0725,6.35,1.222,,,,
+10446,,2.24389,28.6912,6.35,0.957,,,,
+11479,,2.46789,-64.2998,6.35,-0.025,,,,
+12708,,2.72229,-40.5279,6.35,-0.022,,,,
+12744,,2.73090,25.6383,6.35,0.089,,,,
+13424,,2.88112,52.9974,6.35,0.093,,,,
+17136,,3.66985,-15.2265,6.35,0.881,,,,
+18201,,3.89291,25.6829,6.35,0.110,,,,
+18658,,3.99458,10.3304,6.35,0.417,,,,
+21144,28591,4.53249,36.7427,6.35,1.089,,,Per,
+22280,30608,4.79711,-30.0204,6.35,1.071,ζ,,Cae,
+24984,,5.34981,27.9573,6.35,0.039,,,,
+25638,,5.47633,13.6790,6.35,0.168,,,,
+26796,,5.69081,-33.4007,6.35,-0.040,,,,
+26853,,5.70111,22.6603,6.35,1.194,,,,
+27660,,5.85641,-64.0336,6.35,0.866,,,,
+28117,,5.94271,28.9423,6.35,0.275,,,,
+28764,41700,6.07457,-45.0366,6.35,0.517,,,,
+30501,,6.41215,25.0487,6.35,1.210,,,,
+30517,,6.41466,16.0571,6.35,1.063,,,,
+30675,,6.44579,-7.5119,6.35,-0.061,,,,
+31593,,6.61141,-22.6147,6.35,-0.117,,,,
+31889,,6.66608,44.0141,6.35,1.222,,,,
+32539,,6.78985,18.1935,6.35,0.066,,,,
+36657,,7.53952,-35.9612,6.35,-0.096,,,,
+38870,,7.95453,1.1270,6.35,0.507,,,,
+39035,,7.98675,-49.9769,6.35,-0.151,,,,
+39514,,8.07573,-25.6997,6.35,1.461,,,,
+39722,66824,8.11943,43.2604,6.35,-0.020,,28,Lyn,
+41940,72324,8.55003,24.0848,6.35,1.032,υ2,32,Cnc,
+42142,,8.59027,2.7434,6.35,1.023,,,,
+42440,,8.65367,-60.3173,6.35,-0.002,,,,
+43177,,8.79455,-41.7368,6.35,0.578,,,,
+43624,,8.88499,59.0561,6.35,0.414,,,,
+50562,,10.32834,-65.1372,6.35,1.556,,,,
+52308,92740,10.68820,-59.6769,6.35,0.088,,,Car,
+52785,,10.79183,-69.4377,6.35,-0.085,,,,
+53849,,11.01594,-15.7927,6.35,1.172,,,,
+54725,,11.20411,-32.4338,6.35,1.683,,,,
+55225,,11.30955,-79.6687,6.35,0.266,,,,
+55791,99329,11.43057,3.8601,6.35,0.345,,80,Leo,
+56944,,11.67429,57.9704,6.35,-0.092,,,,
+60780,,12.45801,-58.3164,6.35,1.612,,,,
+61692,109980,12.64619,40.8747,6.35,0.204,,9,CVn,
+68763,,14.07416,-14.9717,6.35,1.081,,,,
+69398,,14.20683,-24.3634,6.35,1.351,,,,
+69977,,14.31865,-27.1411,6.35,1.591,,,,
+73454,133029,15.01075,47.2774,6.35,-0.099,,,Boo,
+73941,,15.10976,36.4561,6.35,0.537,,,,
+76739,,15.67098,-31.2138,6.35,1.418,,,,
+78849,,16.09571,-6.2911,6.35,0.413,,,,
+80610,,16.45897,2.8706,6.35,1.638,,,,
+80850,,16.51078,77.4465,6.35,0.995,,,,
+82554,151965,16.87428,-40.7232,6.35,-0.141,,,Sco,
+82798,152830,16.92111,13.6199,6.35,0.339,,,Her,
+83007,,16.96175,24.3813,6.35,1.089,,,,
+83493,,17.06463,19.6905,6.35,1.518,,,,
+83906,,17.14848,-3.8830,6.35,0.697,,,,
+84938,,17.35929,16.7312,6.35,1.608,,,,
+89512,,18.26609,-3.6180,6.35,0.201,,,,
+90146,,18.39666,53.3008,6.35,0.168,,,,
+91733,,18.70629,-64.6430,6.35,0.153,,,,
+92016,,18.75518,-21.0016,6.35,0.458,,,,
+93117,,18.96947,-83.4222,6.35,-0.033,,,,
+93315,,19.00689,-24.9422,6.35,1.253,,,,
+93466,,19.03529,52.2611,6.35,0.983,,,,
+94290,,19.19194,26.7359,6.35,0.444,,,,
+96204,184313,19.56279,5.4657,6.35,1.471,,,Aql,
+100155,,20.31598,39.0042,6.35,1.871,,,,
+100781,,20.43378,13.9116,6.35,1.453,,,,
+101211,,20.51578,-29.1127,6.35,0.227,,,,
+101384,,20.54788,-24.9438,6.35,0.001,,,,
+103103,,20.89027,-30.7190,6.35,1.100,,,,
+105689,,21.40643,24.5284,6.35,1.057,,,,
+106474,,21.56516,-82.6831,6.35,0.089,,,,
+111296,,22.54637,15.8633,6.35,1.190,,,,
+112694,,22.82152,-70.3480,6.35,0.071,,,,
+113465,,22.97851,7.3401,6.35,0.052,,,,
+114984,,23.28858,75.2990,6.35,0.049,,,,
+115178,,23.32865,-33.7081,6.35,1.308,,,,
+115945,,23.49083,-1.7912,6.35,1.125,,,,
+116505,,23.60847,32.9042,6.35,0.459,,,,
+63,224801,0.01212,45.2533,6.36,-0.047,,,And,
+5259,,1.12025,-23.9963,6.36,0.238,,,,
+6025,,1.29003,31.7446,6.36,1.132,,,,
+6486,,1.38928,58.1430,6.36,0.457,,,,
+9149,,1.96481,-65.4247,6.36,0.906,,,,
+10832,,2.32355,-41.8484,6.36,1.162,,,,
+12057,,2.59109,39.6644,6.36,-0.095,,,,
+13271,,2.84661,-39.9322,6.36,0.040,,,,
+14797,,3.18480,-13.2643,6.36,0.614,,,,
+15700,,3.37119,-25.5878,6.36,0.010,,,,
+18990,,4.06909,-16.5887,6.36,1.266,,,,
+19721,,4.22659,-40.3578,6.36,1.468,,,,
+20138,,4.31747,-33.9046,6.36,0.132,,,,
+22508,,4.84344,70.9415,6.36,-0.069,,,,
+22850,,4.91621,19.4854,6.36,0.292,,,,
+24440,,5.24320,76.4728,6.36,-0.011,,,,
+25505,,5.45428,2.3412,6.36,0.965,,,,
+26463,,5.62939,33.5592,6.36,1.306,,,,
+28561,40724,6.02823,22.4010,6.36,-0.071,,141,Tau,
+29178,,6.15561,-18.1264,6.36,-0.040,,,,
+31509,,6.59834,-36.0886,6.36,0.486,,,,
+31603,,6.61424,-41.5571,6.36,1.147,,,,
+32067,,6.69979,6.3454,6.36,-0.084,,,,
+32222,,6.72688,-73.1182,6.36,0.960,,,,
+33330,,6.93188,-31.7902,6.36,-0.155,,,,
+33532,,6.96877,-27.1644,6.36,-0.186,,,,
+34956,,7.23279,71.8166,6.36,1.119,,,,
+35735,56820,7.37144,59.9020,6.36,0.282,,47,Cam,
+36325,,7.47775,27.5529,6.36,1.223,,,,
+38449,,7.87679,55.2094,6.36,-0.003,,,,
+38667,,7.91679,-52.5833,6.36,-0.007,,,,
+38959,,7.97127,43.9774,6.36,1.043,,,,
+39866,67888,8.14379,-37.6812,6.36,-0.054,,,Pup,
+41653,,8.49344,-55.1909,6.36,0.799,,,,
+41939,72688,8.54959,-34.6340,6.36,0.951,,,Pyx,
+41941,,8.55051,-45.7529,6.36,-0.119,,,,
+43454,75528,8.85041,15.3507,6.36,0.669,,54,Cnc,
+43763,76640,8.91501,-58.2397,6.36,-0.086,,,Car,
+45214,,9.21406,-60.9168,6.36,-0.044,,,,
+47633,,9.71197,48.4310,6.36,0.010,,,,
+48219,,9.83093,-36.2685,6.36,1.008,,,,
+49445,,10.09470,15.7575,6.36,0.387,,,,
+50142,,10.23582,-23.8139,6.36,1.639,,,,
+50904,,10.39493,29.6159,6.36,1.090,,,,
+52273,,10.68098,-35.7417,6.36,0.917,,,,
+53151,,10.87462,-79.5594,6.36,1.460,,,,
+53492,94747,10.94289,25.5002,6.36,1.036,,50,LMi,
+53589,95109,10.96339,-59.7322,6.36,0.840,,,Car,
+58452,,11.98630,-45.8322,6.36,-0.081,,,,
+59941,,12.29563,15.1447,6.36,1.384,,,,
+60417,,12.38719,-67.6315,6.36,0.887,,,,
+60804,,12.46169,8.6103,6.36,0.935,,,,
+64838,,13.29163,-0.6761,6.36,0.260,,,,
+66152,,13.55997,-65.6327,6.36,-0.014,,,,
+68380,,13.99702,-3.5498,6.36,0.486,,,,
+68516,,14.02689,17.6684,6.36,1.215,,,,
+69564,,14.23925,-5.9477,6.36,0.593,,,,
+70528,,14.42771,-66.1729,6.36,0.128,,,,
+70626,,14.44719,-39.8740,6.36,-0.088,,,,
+70873,127334,14.49356,41.7959,6.36,0.702,,,,
+73116,,14.94327,-39.4160,6.36,0.061,,,,
+74552,,15.23311,-61.3430,6.36,-0.041,,,,
+75125,,15.35191,24.9580,6.36,1.257,,,,
+76234,,15.57246,-39.3492,6.36,-0.017,,,,
+79420,147142,16.20891,75.2107,6.36,1.283,,20,UMi,
+81337,149822,16.61193,15.4975,6.36,-0.055,,,Her,
+82543,151932,16.87201,-41.8545,6.36,0.264,,,Sco,
+83013,,16.96394,42.5125,6.36,1.280,,,,
+84650,156325,17.30570,-32.5531,6.36,0.109,,,Sco,
+84855,,17.34271,48.1888,6.36,0.427,,,,
+84947,,17.36155,-24.9061,6.36,1.399,,,,
+85622,,17.49649,-5.9195,6.36,0.930,,,,
+85934,159354,17.56188,14.8416,6.36,1.595,,,Her,
+86501,,17.67710,43.4707,6.36,1.199,,,,
+86769,,17.73011,-13.5087,6.36,0.384,,,,
+87822,162521,17.94008,-65.7217,6.36,0.451,,,,
+88148,164258,18.00435,0.6295,6.36,0.160,,,Oph,
+88213,,18.01468,6.2683,6.36,-0.104,,,,
+88929,,18.15284,30.4695,6.36,1.194,,,,
+89246,,18.21184,41.1468,6.36,1.038,,,,
+89620,,18.28993,-28.2890,6.36,0.536,,,,
+90174,,18.40100,-3.5832,6.36,0.351,,,,
+90597,,18.48691,-43.8459,6.36,0.904,,,,
+90884,,18.53907,-14.6443,6.36,0.217,,,,
+90967,,18.55631,-5.9117,6.36,0.034,,,,
+91172,,18.59990,-29.6991,6.36,1.272,,,,
+91499,,18.66025,5.2643,6.36,0.800,,,,
+94858,,19.30272,-53.3871,6.36,0.505,,,,
+96630,,19.64694,3.3815,6.36,0.001,,,,
+97151,,19.74695,40.7168,6.36,1.561,,,,
+99453,,20.18539,-57.5242,6.36,0.057,,,,
+99870,,20.26201,50.2329,6.36,0.096,,,,
+101623,,20.59661,-44.3376,6.36,0.958,,,,
+101997,196761,20.66993,-23.7739,6.36,0.719,,,,
+103079,,20.88538,29.6491,6.36,1.085,,,,
+103752,,21.02445,-68.2096,6.36,0.101,,,,
+105017,,21.27143,44.2382,6.36,0.979,,,,
+106661,,21.60389,30.0554,6.36,1.240,,,,
+108119,,21.90484,19.7181,6.36,0.938,,,,
+108766,,22.03371,10.9738,6.36,-0.104,,,,
+108969,,22.07625,32.9417,6.36,1.121,,,,
+109375,,22.15805,-23.6591,6.36,0.921,,,,
+109434,,22.17091,72.1113,6.36,-0.053,,,,
+109445,,22.17279,14.6299,6.36,1.080,,,,
+111086,213236,22.50482,-14.5857,6.36,-0.047,,56,Aqr,
+112032,,22.69203,30.9659,6.36,1.579,,,,
+112603,,22.80594,-61.6844,6.36,1.059,,,,
+113204,,22.92517,-20.1394,6.36,1.429,,,,
+114742,,23.24347,24.1029,6.36,1.167,,,,
+117472,,23.81998,58.9632,6.36,0.408,,,,
+117712,223778,23.87370,75.5446,6.36,0.977,,,,
+6378,,1.36642,76.2388,6.37,0.283,,,,
+6971,,1.49523,-25.6177,6.37,1.141,,,,
+8514,,1.83024,-38.4028,6.37,0.523,,,,
+9022,,1.93595,-49.8364,6.37,-0.081,,,,
+9207,,1.97408,-33.0668,6.37,1.006,,,,
+10562,,2.26604,47.8119,6.37,1.029,,,,
+14318,,3.07796,15.8560,6.37,1.400,,,,
+14757,,3.17650,-23.7385,6.37,0.912,,,,
+15807,,3.39417,4.8821,6.37,0.851,,,,
+16319,21179,3.50539,71.8639,6.37,1.772,,,Cas,
+16602,,3.56145,57.8687,6.37,0.523,,,,
+18428,,3.94102,-13.5975,6.37,1.585,,,,
+19233,26491,4.12265,-64.2223,6.37,0.636,,,,
+20698,,4.43371,4.3735,6.37,1.078,,,,
+21152,,4.53467,5.4100,6.37,0.420,,,,
+21324,,4.57726,-24.0405,6.37,1.137,,,,
+24017,,5.16236,64.9195,6.37,0.448,,,,
+24825,34798,5.32151,-18.5199,6.37,-0.134,,,Lep,
+28118,,5.94290,-23.2153,6.37,1.068,,,,
+29326,,6.18383,18.1305,6.37,1.350,,,,
+29568,43162,6.22925,-23.8619,6.37,0.713,,,CMa,
+29746,,6.26499,1.1691,6.37,0.443,,,,
+30503,45184,6.41219,-28.7801,6.37,0.626,,,,
+32268,,6.73681,36.1093,6.37,0.065,,,,
+32931,,6.86094,3.0420,6.37,0.052,,,,
+34168,,7.08583,47.7750,6.37,-0.048,,,,
+36965,,7.59888,43.0310,6.37,0.364,,,,
+37165,,7.63733,24.3604,6.37,0.337,,,,
+37773,,7.74551,-66.0719,6.37,0.949,,,,
+38372,64077,7.86136,-12.8194,6.37,0.384,,8,Pup,
+39038,,7.98710,-49.9738,6.37,-0.089,,,,
+39876,,8.14544,-20.3632,6.37,0.141,,,,
+42854,,8.73327,4.3346,6.37,-0.040,,,,
+44665,,9.10212,-64.4998,6.37,1.361,,,,
+45097,,9.18685,80.8289,6.37,0.385,,,,
+47454,,9.67224,-10.7692,6.37,0.083,,,,
+51290,,10.47681,45.2122,6.37,1.330,,,,
+53141,,10.87047,1.0250,6.37,0.087,,,,
+57779,,11.84871,12.2790,6.37,0.294,,,,
+59010,,12.09995,-3.1316,6.37,0.997,,,,
+60994,108799,12.50133,-13.3932,6.37,0.591,,,,
+64682,,13.25711,-69.6793,6.37,1.210,,,,
+65303,,13.38405,-48.5628,6.37,-0.077,,,,
+66223,,13.57274,38.7893,6.37,0.241,,,,
+71658,,14.65680,-49.0553,6.37,0.440,,,,
+83984,,17.16841,-61.6755,6.37,-0.049,,,,
+84934,,17.35868,28.7581,6.37,0.724,,,,
+85474,,17.46731,-8.2084,6.37,0.570,,,,
+86153,,17.60595,27.5666,6.37,1.586,,,,
+86537,,17.68486,24.5133,6.37,1.204,,,,
+87434,,17.86692,46.6436,6.37,1.060,,,,
+88599,,18.09079,-81.4866,6.37,1.528,,,,
+90337,,18.43201,14.9662,6.37,-0.037,,,,
+92475,,18.84599,10.9764,6.37,1.443,,,,
+93234,,18.99077,-18.5664,6.37,0.962,,,,
+93543,,19.05195,-19.1030,6.37,0.480,,,,
+95319,182488,19.39278,33.2220,6.37,0.804,,,,
+95820,183344,19.48927,-7.0441,6.37,0.870,,,Aql,
+96003,184398,19.52043,55.7318,6.37,1.123,,,Cyg,
+96351,,19.59031,2.9136,6.37,0.414,,,,
+96428,,19.60436,14.3911,6.37,1.045,,,,
+96688,185622,19.65704,16.5711,6.37,1.918,,,Sge,
+96734,,19.66449,-66.6855,6.37,0.037,,,,
+97029,,19.71966,38.6717,6.37,1.220,,,,
+98954,190658,20.09071,15.5004,6.37,1.615,,,Aql,
+101300,,20.53284,25.8050,6.37,0.281,,,,
+103929,,21.05725,50.3519,6.37,0.986,,,,
+107893,,21.86035,65.7527,6.37,0.281,,,,
+109306,,22.14518,-33.1257,6.37,0.205,,,,
+111543,,22.59777,56.0706,6.37,0.107,,,,
+112368,,22.75957,30.4426,6.37,0.933,,,,
+113080,,22.90157,-19.1751,6.37,1.515,,,,
+113802,217811,23.04587,44.0588,6.37,-0.020,,,And,
+115530,220524,23.40247,41.6129,6.37,1.702,,,And,
+115839,,23.46811,-11.4498,6.37,0.902,,,,
+345,,0.07231,-29.2688,6.38,0.006,,,,
+3132,,0.66313,82.4938,6.38,0.551,,,,
+3965,4818,0.84927,51.5080,6.38,0.307,,,Cas,
+7651,9996,1.64217,45.3997,6.38,-0.021,,,And,
+8233,,1.76696,-27.3488,6.38,0.366,,,,
+9983,,2.14265,44.4594,6.38,0.965,,,,
+10227,13267,2.19144,57.6455,6.38,0.298,,5,Per,
+13363,,2.86563,-30.8145,6.38,0.484,,,,
+14232,,3.05838,28.2699,6.38,0.306,,,,
+14544,19279,3.12982,47.3087,6.38,0.122,,,Per,
+16449,,3.53157,-25.6141,6.38,0.120,,,,
+20467,,4.38549,-35.5448,6.38,1.242,,,,
+20630,,4.42198,-44.1609,6.38,0.457,,,,
+20904,,4.48111,30.3615,6.38,0.547,,,,
+23908,,5.13701,-15.0954,6.38,0.889,,,,
+25810,,5.51253,39.8259,6.38,0.986,,,,
+27001,,5.72809,-45.8329,6.38,0.295,,,,
+27512,,5.82615,-44.8754,6.38,1.262,,,,
+28642,,6.04819,43.3783,6.38,1.205,,,,
+31105,46031,6.52707,15.9035,6.38,0.275,,19,Gem,
+35253,,7.28428,26.6895,6.38,0.883,,,,
+36123,,7.44105,10.6081,6.38,0.078,,,,
+36346,,7.48095,-64.5098,6.38,1.554,,,,
+36553,,7.51911,11.2030,6.38,1.278,,,,
+37128,,7.62917,-38.0104,6.38,1.472,,,,
+38037,,7.79589,-16.0145,6.38,1.697,,,,
+38306,,7.84817,0.0796,6.38,1.237,,,,
+40291,,8.22807,-33.5695,6.38,1.141,,,,
+41893,,8.54260,-15.0301,6.38,0.275,,,,
+41926,72673,8.54764,-31.5009,6.38,0.780,,,,
+43354,75654,8.83121,-39.1416,6.38,0.249,,,Vel,
+43520,,8.86390,-44.1509,6.38,-0.150,,,,
+45249,,9.22265,-29.6644,6.38,1.600,,,,
+50075,88742,10.22353,-33.0317,6.38,0.592,,,,
+50552,,10.32565,-5.1061,6.38,0.894,,,,
+52660,93244,10.76825,6.3732,6.38,1.121,,37,Sex,
+53860,,11.01824,63.4211,6.38,0.169,,,,
+56410,,11.56563,36.8156,6.38,1.057,,,,
+57137,,11.71526,-79.3064,6.38,0.894,,,,
+58085,,11.91240,-66.3762,6.38,0.406,,,,
+60098,107213,12.32487,28.1569,6.38,0.523,,9,Com,
+61328,,12.56642,-49.9098,6.38,0.428,,,,
+62128,,12.73297,-36.3492,6.38,-0.060,,,,
+69592,,14.24471,21.8734,6.38,0.194,,,,
+69735,,14.27341,39.7447,6.38,0.376,,,,
+71853,,14.69757,-30.9332,6.38,-0.083,,,,
+72983,,14.91501,-69.8610,6.38,-0.059,,,,
+73571,,15.03571,-7.5753,6.38,0.180,,,,
+75810,,15.48670,16.3956,6.38,0.955,,,,
+78540,,16.03457,-51.1208,6.38,-0.003,,,,
+82241,,16.80247,13.5903,6.38,0.877,,,,
+82989,,16.95890,13.8841,6.38,0.930,,,,
+83677,,17.10268,9.7339,6.38,1.458,,,,
+83688,,17.10363,10.4539,6.38,0.896,,,,
+85313,,17.43357,26.8787,6.38,0.124,,,,
+85589,,17.49045,-38.5169,6.38,0.091,,,,
+86713,,17.71821,44.0843,6.38,1.521,,,,
+88565,,18.08355,41.9463,6.38,0.287,,,,
+88972,166620,18.16039,38.4578,6.38,0.876,,,316,
+88981,,18.16205,-13.9344,6.38,1.428,,,,
+89006,,18.16599,-59.0402,6.38,1.553,,,,
+95576,,19.44069,62.5571,6.38,1.413,,,,
+97228,,19.76101,36.0910,6.38,-0.049,,,,
+98346,,19.98139,-68.7626,6.38,0.164,,,,
+98910,190390,20.08484,-11.5994,6.38,0.543,,,Aql,
+100434,,20.36751,41.1321,6.38,1.016,,,,
+100808,,20.43985,56.6387,6.38,0.018,,,,
+101808,,20.63117,-25.1092,6.38,0.328,,,,
+102631,,20.79663,3.3065,6.38,-0.013,,,,
+103077,,20.88489,-11.5737,6.38,0.661,,,,
+104788,,21.22847,64.4040,6.38,0.625,,,,
+104872,,21.24363,0.0923,6.38,1.574,,,,
+105662,,21.40220,-22.7471,6.38,1.026,,,,
+105729,203843,21.41435,-3.3984,6.38,0.334,,20,Aqr,
+107797,,21.83694,-16.8449,6.38,1.420,,,,
+109009,,22.08429,14.8159,6.38,1.523,,,,
+109124,210071,22.10377,56.3434,6.38,-0.091,,,Cep,
+109977,,22.27490,27.8040,6.38,0.982,,,,
+110408,,22.36413,42.0782,6.38,-0.086,,,,
+111753,,22.63817,45.1829,6.38,0.771,,,,
+113433,,22.97324,-1.4102,6.38,0.366,,,,
+114152,,23.11807,35.6365,6.38,1.158,,,,
+115389,,23.37461,25.9185,6.38,1.540,,,,
+116624,,23.63417,-15.0951,6.38,1.078,,,,
+1803,1835,0.38105,-12.2094,6.39,0.659,,9,Cet,
+2734,,0.58205,13.3711,6.39,1.136,,,,
+3641,,0.77736,69.3254,6.39,0.424,,,,
+3992,,0.85509,3.3850,6.39,1.069,,,,
+4446,,0.94865,68.7757,6.39,0.375,,,,
+6093,,1.30385,57.8032,6.39,1.589,,,,
+7147,,1.53544,34.8000,6.39,-0.103,,,,
+7444,,1.59794,41.0764,6.39,1.122,,,,
+7505,9889,1.61209,7.8315,6.39,1.605,,,Psc,
+9862,,2.11446,-19.1389,6.39,1.143,,,,
+11293,15379,2.42401,-66.4940,6.39,1.511,,,Hor,
+15987,21423,3.43218,-35.9209,6.39,0.082,χ1,,For,
+16672,,3.57600,-31.8748,6.39,1.404,,,,
+18769,,4.02079,36.9895,6.39,-0.005,,,,
+20039,,4.29773,80.5358,6.39,0.947,,,,
+24955,,5.34463,66.7469,6.39,0.921,,,,
+25667,,5.48247,-3.3074,6.39,-0.007,,,,
+28765,40873,6.07475,51.5734,6.39,0.196,,35,Cam,
+29798,,6.27327,17.1816,6.39,1.565,,,,
+30602,,6.43120,11.1259,6.39,0.077,,,,
+31266,,6.55741,-20.9240,6.39,0.817,,,,
+31662,,6.62691,10.8533,6.39,1.351,,,,
+33154,,6.90239,-5.8522,6.39,0.174,,,,
+33774,,7.01382,-33.4655,6.39,1.052,,,,
+36141,,7.44478,11.0088,6.39,-0.126,,,,
+36977,,7.60045,-55.8877,6.39,1.182,,,,
+37951,,7.77909,-12.6753,6.39,-0.004,,,,
+40354,,8.23917,13.0483,6.39,1.034,,,,
+41781,,8.51962,-47.8666,6.39,-0.147,,,,
+42516,73665,8.66845,20.0078,6.39,0.980,,39,Cnc,
+43593,,8.87801,-52.1289,6.39,0.003,,,,
+43853,,8.93219,-23.8183,6.39,0.157,,,,
+44331,,9.02799,39.7135,6.39,0.314,,,,
+44423,,9.05148,-53.5504,6.39,-0.074,,,,
+44768,,9.12414,22.9809,6.39,0.453,,,,
+47260,,9.63228,73.0804,6.39,0.352,,,,
+47627,,9.71149,-35.5017,6.39,-0.053,,,,
+48706,,9.93481,-40.8245,6.39,1.612,,,,
+48730,,9.93941,-51.3362,6.39,-0.162,,,,
+50893,,10.39241,-3.6429,6.39,1.601,,,,
+54289,,11.10674,-64.8400,6.39,0.114,,,,
+54749,,11.20967,-21.7493,6.39,1.381,,,,
+58809,,12.06235,5.5578,6.39,0.476,,,,
+60454,,12.39354,-39.3024,6.39,0.285,,,,
+60468,,12.39662,-30.3354,6.39,1.572,,,,
+61719,,12.65061,22.6595,6.39,1.096,,,,
+61748,110066,12.65469,35.9520,6.39,0.095,,,CVn,
+62046,,12.71781,61.1554,6.39,1.268,,,,
+67589,,13.84975,68.3153,6.39,1.179,,,,
+68739,,14.07071,-5.3814,6.39,1.321,,,,
+68902,,14.10699,-59.7159,6.39,0.079,,,,
+69065,,14.13731,-63.2080,6.39,1.013,,,,
+70385,,14.40055,27.4132,6.39,1.609,,,,
+70966,,14.51573,-40.8451,6.39,1.441,,,,
+71168,127986,14.55563,36.9590,6.39,0.521,,,Boo,
+71333,,14.58807,-60.0156,6.39,1.256,,,,
+71406,,14.60191,23.2504,6.39,1.063,,,,
+72000,,14.72449,-62.9667,6.39,-0.086,,,,
+73118,,14.94398,-62.3644,6.39,-0.055,,,,
+75959,,15.51366,-71.6541,6.39,-0.112,,,,
+76006,,15.52286,36.6166,6.39,0.529,,,,
+77729,,15.87022,-29.8866,6.39,0.991,,,,
+78870,,16.09995,-6.1398,6.39,1.034,,,,
+79385,,16.20182,39.0555,6.39,1.262,,,,
+79867,,16.30271,68.5545,6.39,1.343,,,,
+87670,,17.90742,75.1713,6.39,0.972,,,,
+89010,,18.16665,-32.7196,6.39,1.025,,,,
+89943,,18.35199,49.7255,6.39,1.086,,,,
+92233,,18.79698,-77.8682,6.39,0.593,,,,
+93437,,19.03010,33.6213,6.39,-0.117,,,,
+94372,,19.20779,-21.6584,6.39,1.129,,,,
+96316,,19.58367,52.5020,6.39,1.122,,,,
+97142,,19.74394,34.4142,6.39,1.521,,,,
+98086,,19.93381,-81.3498,6.39,1.402,,,,
+98701,,20.04689,31.9588,6.39,1.205,,,,
+99176,191178,20.13514,16.6644,6.39,1.720,,,Sge,
+99457,191639,20.18613,-8.8423,6.39,-0.135,,,Cap,
+100866,,20.45216,34.3291,6.39,0.480,,,,
+101966,,20.66441,11.2496,6.39,0.559,,,,
+105406,,21.35039,40.3451,6.39,0.533,,,,
+106021,,21.47357,8.1956,6.39,1.640,,,,
+106065,,21.48337,-53.7059,6.39,1.140,,,,
+106590,,21.58777,-23.4543,6.39,1.098,,,,
+108296,,21.93999,21.2399,6.39,1.698,,,,
+108759,,22.03128,-77.6625,6.39,0.231,,,,
+108797,209278,22.04063,-16.9648,6.39,0.447,,29,Aqr,
+109647,,22.21219,-4.7207,6.39,0.498,,,,
+110091,,22.30119,-0.2377,6.39,0.441,,,,
+111200,213464,22.52815,-10.9056,6.39,0.290,,58,Aqr,
+111539,,22.59689,-17.4604,6.39,1.420,,,,
+112170,,22.71787,47.1688,6.39,0.450,,,,
+113131,216672,22.90989,16.9418,6.39,1.729,,,Peg,
+114005,,23.08823,1.3071,6.39,0.928,,,,
+115218,,23.33733,61.9701,6.39,1.678,,,,
+116060,,23.51699,-6.2881,6.39,1.259,,,,
+116146,221409,23.53266,-1.0859,6.39,1.177,,13,Psc,
+2213,2410,0.46624,19.5140,6.40,0.990,,46,Psc,
+2937,,0.62173,-54.3938,6.40,0.995,,,,
+4709,,1.00861,70.9830,6.40,0.135,,,,
+5485,6976,1.16999,-8.9061,6.40,1.029,,32,Cet,
+5688,7157,1.21941,61.7062,6.40,0.018,,,Cas,
+9521,,2.04119,-29.6656,6.40,0.135,,,,
+10050,,2.15642,17.2242,6.40,0.471,,,,
+11020,,2.36540,57.2429,6.40,0.569,,,,
+12272,,2.63354,7.6953,6.40,0.431,,,,
+12784,17017,2.73864,17.7639,6.40,1.143,,36,Ari,
+15323,,3.29446,31.1270,6.40,0.574,,,,
+15585,,3.34589,-26.6065,6.40,0.542,,,,
+15655,,3.35929,-47.7767,6.40,0.989,,,,
+16924,,3.62995,15.4306,6.40,0.167,,,,
+17328,,3.70912,-85.2620,6.40,-0.005,,,,
+21525,,4.62202,-41.8729,6.40,0.167,,,,
+22720,,4.88605,52.8412,6.40,0.068,,,,
+24114,,5.17905,-25.9105,6.40,1.246,,,,
+24925,,5.34067,-5.3675,6.40,-0.047,,,,
+26263,,5.59331,-3.2528,6.40,-0.122,,,,
+26602,,5.65451,-17.8494,6.40,-0.095,,,,
+26781,,5.68916,29.4874,6.40,-0.081,,,,
+27777,,5.87769,39.5747,6.40,0.098,,,,
+29913,,6.29771,-52.7330,6.40,1.456,,,,
+30608,,6.43301,-7.8950,6.40,0.145,,,,
+33650,51688,6.99109,25.9142,6.40,-0.111,,40,Gem,
+34250,,7.10035,59.8019,6.40,1.190,,,,
+35725,,7.37039,38.9959,6.40,1.217,,,,
+36740,,7.55690,37.1879,6.40,1.231,,,,
+36986,,7.60206,-22.1605,6.40,0.968,,,,
+37289,,7.65672,-16.8473,6.40,1.470,,,,
+37530,,7.70284,-58.6309,6.40,-0.094,,,,
+37723,,7.73724,12.8601,6.40,1.392,,,,
+39625,,8.09712,-0.5733,6.40,1.058,,,,
+40220,,8.21432,-37.9245,6.40,0.108,,,,
+41011,,8.36933,74.8204,6.40,1.022,,,,
+42071,,8.57492,-27.0982,6.40,1.429,,,,
+45614,,9.29760,11.5011,6.40,0.095,,,,
+45754,,9.32998,-34.1033,6.40,-0.087,,,,
+45888,,9.35655,45.3701,6.40,1.305,,,,
+47249,83373,9.63097,-9.4244,6.40,-0.040,,34,Hya,
+47422,,9.66253,-62.9429,6.40,-0.084,,,,
+49619,,10.12659,-48.2608,6.40,-0.150,,,,
+52877,,10.81385,65.1325,6.40,-0.022,,,,
+53411,,10.92423,-43.0205,6.40,0.068,,,,
+54319,,11.11223,17.7374,6.40,1.555,,,,
+54721,,11.20304,68.2719,6.40,0.127,,,,
+56170,,11.51471,47.9289,6.40,0.879,,,,
+56830,101259,11.65012,-24.7211,6.40,0.821,,,,
+59352,105778,12.17545,16.8093,6.40,0.070,,3,Com,
+61557,,12.61295,-50.3354,6.40,0.026,,,,
+65621,,13.45407,-40.1627,6.40,0.974,,,,
+65835,117287,13.49522,-23.2813,6.40,1.317,,,Hya,
+67261,119796,13.78635,-62.5897,6.40,,,,Cen,
+69655,,14.25592,-53.5099,6.40,1.576,,,,
+70809,,14.48109,-47.9921,6.40,-0.112,,,,
+71857,,14.69840,21.1236,6.40,0.928,,,,
+73966,,15.11555,-52.0298,6.40,-0.109,,,,
+76165,,15.55676,-40.4909,6.40,1.016,,,,
+78360,,15.99865,-78.0273,6.40,0.387,,,,
+78710,,16.06839,-59.1762,6.40,1.366,,,,
+79530,145792,16.22931,-24.4221,6.40,0.043,,,Sco,
+79787,,16.28303,-53.6962,6.40,0.793,,,,
+79788,,16.28311,-20.1041,6.40,1.270,,,,
+81691,,16.68798,1.2454,6.40,1.019,,,,
+82898,153697,16.94035,65.0391,6.40,0.383,,20,Dra,
+83269,,17.01862,-56.5551,6.40,0.100,,,,
+86130,,17.60225,28.1851,6.40,1.367,,,,
+86725,,17.72159,-27.8840,6.40,0.438,,,,
+88815,,18.13010,-64.5502,6.40,1.266,,,,
+90981,,18.55819,-58.7088,6.40,0.688,,,,
+91677,,18.69513,-14.5642,6.40,0.757,,,,
+92040,,18.76059,79.9427,6.40,0.296,,,,
+94913,181053,19.31415,0.3390,6.40,1.050,,24,Aql,
+95340,,19.39637,20.2644,6.40,0.013,,,,
+101641,196362,20.60231,25.8826,6.40,0.158,,26,Vul,
+105228,,21.31505,-28.7658,6.40,0.966,,,,
+105425,,21.35461,-49.9382,6.40,1.327,,,,
+107398,,21.75345,52.2676,6.40,1.901,,,,
+110316,,22.34431,50.9808,6.40,1.195,,,,
+112179,215143,22.72063,-6.9629,6.40,-0.039,,67,Aqr,
+113189,,22.92081,-36.3886,6.40,1.313,,,,
+116428,,23.59224,-7.4644,6.40,0.874,,,,
+116962,,23.70874,61.6794,6.40,1.250,,,,
+695,,0.14246,63.2040,6.41,0.998,,,,
+2628,,0.55535,70.9818,6.41,-0.007,,,,
+2663,,0.56217,-35.0021,6.41,0.617,,,,
+3649,,0.77846,59.5745,6.41,1.081,,,,
+5240,,1.11671,56.9350,6.41,1.188,,,,
+5477,,1.16871,-57.6944,6.41,0.888,,,,
+7363,,1.58099,-23.6997,6.41,1.306,,,,
+13789,,2.95906,-38.1909,6.41,-0.018,,,,
+14649,,3.15559,20.7611,6.41,1.241,,,,
+15309,,3.29209,65.6584,6.41,0.079,,,,
+16226,,3.48439,3.2487,6.41,0.790,,,,
+16447,,3.53029,49.4011,6.41,0.075,,,,
+16938,,3.63339,42.5828,6.41,-0.064,,,,
+19601,,4.20007,-17.2747,6.41,0.968,,,,
+20856,28552,4.46929,-41.9598,6.41,1.614,,,Cae,
+25453,,5.44412,6.8687,6.41,-0.023,,,,
+25580,,5.46693,33.7637,6.41,0.510,,,,
+25582,,5.46707,1.2983,6.41,-0.173,,,,
+26820,,5.69454,-2.8965,6.41,0.320,,,,
+28596,41586,6.03593,-60.0968,6.41,1.508,,,Pic,
+30200,,6.35331,29.5408,6.41,0.048,,,,
+30382,,6.38847,3.7645,6.41,-0.149,,,,
+33012,,6.87929,-59.3412,6.41,0.181,,,,
+33591,,6.97881,-30.9980,6.41,-0.137,,,,
+37461,,7.68937,-44.6322,6.41,-0.003,,,,
+39172,65875,8.01226,-2.8819,6.41,-0.087,,,Mon,
+42075,,8.57554,-32.5987,6.41,0.752,,,,
+42951,,8.75577,-2.6011,6.41,0.521,,,,
+43427,,8.84587,18.8322,6.41,0.009,,,,
+43590,,8.87741,-36.5453,6.41,0.549,,,,
+46058,,9.39216,25.1828,6.41,0.856,,,,
+47231,,9.62709,60.2137,6.41,0.921,,,,
+49223,,10.04706,-62.1567,6.41,1.688,,,,
+51461,,10.51090,-61.3565,6.41,1.650,,,,
+53798,,11.00710,51.5021,6.41,1.007,,,,
+54745,97334,11.20899,35.8141,6.41,0.600,,,UMa,
+55350,,11.33448,-71.9943,6.41,0.019,,,,
+58706,,12.04124,-71.4890,6.41,1.163,,,,
+60525,,12.40745,25.5824,6.41,0.276,,,,
+61208,,12.54245,-21.2121,6.41,1.110,,,,
+62084,,12.72453,-58.9027,6.41,1.092,,,,
+66521,,13.63545,-58.4146,6.41,1.113,,,,
+69614,124681,14.24806,3.3359,6.41,1.600,,,Vir,
+70320,,14.38760,-47.4170,6.41,1.257,,,,
+72846,,14.88982,15.7052,6.41,0.569,,,,
+73953,133800,15.11363,-16.4844,6.41,0.162,,22,Lib,
+77138,,15.74988,-50.7855,6.41,0.163,,,,
+77350,,15.79042,-40.1942,6.41,0.880,,,,
+77397,,15.80050,31.7356,6.41,1.517,,,,
+79599,,16.24135,-21.1076,6.41,0.002,,,,
+80247,147835,16.38236,32.3330,6.41,0.083,,23,Her,
+83114,,16.98405,69.1862,6.41,0.725,,,,
+83365,,17.03809,31.8841,6.41,1.134,,,,
+87042,,17.78536,-38.1122,6.41,-0.020,,,,
+87264,,17.83139,-61.7147,6.41,-0.049,,,,
+87624,162725,17.89948,-34.8311,6.41,0.000,,,Sco,
+88429,,18.05405,19.6132,6.41,0.017,,,,
+90163,,18.39925,38.7392,6.41,1.429,,,,
+90858,170973,18.53525,3.6596,6.41,-0.025,,,Ser,
+91675,,18.69481,31.6176,6.41,-0.047,,,,
+100672,,20.41160,1.3686,6.41,1.605,,,,
+101011,,20.47877,-15.7415,6.41,0.999,,,,
+101570,,20.58507,-71.1888,6.41,1.305,,,,
+102585,,20.78910,45.5799,6.41,1.606,,,,
+103168,,20.90183,-27.9252,6.41,1.634,,,,
+104041,,21.07823,2.9423,6.41,1.051,,,,
+105079,,21.28709,-13.2790,6.41,0.035,,,,
+106103,,21.49291,6.5814,6.41,1.179,,,,
+106544,205358,21.57855,1.8292,6.41,1.398,,,Aqr,
+108259,,21.93212,-30.6059,6.41,0.927,,,,
+108364,,21.95309,66.1562,6.41,-0.056,,,,
+109272,,22.13786,49.7970,6.41,1.579,,,,
+110311,,22.34341,-57.5098,6.41,1.404,,,,
+111066,,22.50041,-12.9151,6.41,0.356,,,,
+111072,213389,22.50181,49.3564,6.41,1.166,,,Lac,
+111247,,22.53853,54.0370,6.41,1.043,,,,
+114163,,23.11957,59.7274,6.41,-0.030,,,,
+114725,,23.23937,29.7718,6.41,0.448,,,,
+115245,,23.34293,62.2133,6.41,1.605,,,,
+116119,221394,23.52862,28.4035,6.41,0.035,,,Peg,
+116187,,23.54140,23.8436,6.41,1.492,,,,
+117430,223358,23.81085,64.8765,6.41,0.062,,,Cas,
+6717,,1.44093,-0.3990,6.42,1.241,,,,
+6794,,1.45741,41.1012,6.42,0.311,,,,
+8664,,1.86050,-6.8741,6.42,1.233,,,,
+9094,11964,1.95267,-10.2424,6.42,0.817,,,,
+14719,,3.16912,27.8198,6.42,0.014,,,,
+16516,21803,3.54416,44.8558,6.42,-0.007,,,Per,
+16531,,3.54765,-61.0169,6.42,1.037,,,,
+20558,,4.40402,12.1580,6.42,1.408,,,,
+22534,31204,4.84903,-53.4597,6.42,0.483,ι,,Pic,
+22938,,4.93583,7.9047,6.42,0.415,,,,
+23551,,5.06448,-14.3702,6.42,-0.187,,,,
+24193,,5.19397,29.9036,6.42,1.752,,,,
+24607,,5.27807,1.9473,6.42,-0.015,,,,
+26079,,5.56233,-54.9023,6.42,0.550,,,,
+26616,,5.65753,21.7629,6.42,0.066,,,,
+28385,,5.99606,55.3209,6.42,0.318,,,,
+28951,,6.11087,63.4538,6.42,1.011,,,,
+30627,,6.43599,-3.5157,6.42,1.039,,,,
+32918,,6.85905,-48.2928,6.42,1.207,,,,
+35080,56003,7.25539,-0.1613,6.42,0.901,,24,Mon,
+35707,,7.36724,-8.9794,6.42,-0.189,,,,
+36351,,7.48129,46.3146,6.42,1.202,,,,
+37666,,7.72859,-38.2019,6.42,-0.119,,,,
+38196,,7.82564,12.8143,6.42,0.984,,,,
+38945,65241,7.96831,7.2135,6.42,-0.031,,,CMi,
+40063,,8.18380,-37.2924,6.42,-0.045,,,,
+40639,,8.29615,-36.0676,6.42,1.446,,,,
+40675,,8.30401,15.6779,6.42,1.018,,,,
+41060,,8.37891,60.6312,6.42,0.969,,,,
+41564,71663,8.47477,-2.5171,6.42,0.332,,,Hya,
+42549,,8.67280,19.6699,6.42,1.020,,,,
+42775,,8.71583,-35.9433,6.42,0.019,,,,
+43215,75306,8.80406,-28.6388,6.42,1.364,,,Pyx,
+43246,,8.81040,-1.0448,6.42,1.142,,,,
+43673,,8.89743,-40.4475,6.42,0.960,,,,
+45764,,9.33214,74.0166,6.42,1.050,,,,
+48351,,9.85601,-6.1819,6.42,0.577,,,,
+49092,,10.01999,-56.0966,6.42,-0.013,,,,
+49343,,10.07315,-39.9759,6.42,1.311,,,,
+50067,,10.22255,-61.6588,6.42,-0.111,,,,
+50509,,10.31631,46.7608,6.42,1.190,,,,
+50516,,10.31686,24.7121,6.42,1.388,,,,
+51248,90508,10.46775,48.7849,6.42,0.610,,,,
+51265,90966,10.47174,-63.1646,6.42,-0.039,,,Car,
+51327,,10.48437,-65.1762,6.42,1.675,,,,
+52032,92000,10.63119,34.0786,6.42,1.364,,36,LMi,
+52929,,10.82467,63.8100,6.42,1.287,,,,
+55003,,11.26187,-57.3559,6.42,0.098,,,,
+57939,103095,11.88299,37.7187,6.42,0.754,,,,Groombridge 1830
+58369,,11.96866,32.2739,6.42,0.331,,,,
+58436,,11.98177,-25.9089,6.42,0.038,,,,
+62443,111239,12.79761,3.5727,6.42,1.596,,35,Vir,
+62904,,12.89225,19.4811,6.42,0.805,,,,
+65754,,13.47940,50.7186,6.42,0.404,,,,
+65796,,13.48748,-1.3644,6.42,1.122,,,,
+67104,,13.75373,10.3253,6.42,1.226,,,,
+67199,,13.77070,-54.6834,6.42,0.116,,,,
+68224,,13.96635,-25.9981,6.42,1.274,,,,
+69340,,14.19200,1.3624,6.42,0.479,,,,
+70038,,14.33145,-6.7462,6.42,0.915,,,,
+70418,,14.40613,-82.8482,6.42,-0.001,,,,
+78476,142941,16.01964,-63.7765,6.42,0.567,,,TrA,
+81231,,16.59063,17.0573,6.42,0.062,,,,
+84332,155603,17.24101,-39.7666,6.42,2.282,,,Sco,
+85019,,17.37721,-35.9107,6.42,0.541,,,,
+85391,,17.44869,-25.9435,6.42,-0.055,,,,
+85450,158228,17.46225,8.4420,6.42,1.660,,,Oph,
+85826,,17.53747,11.9300,6.42,-0.013,,,,
+88172,,18.00768,19.5058,6.42,-0.054,,,,
+88876,165784,18.14405,-21.4496,6.42,0.755,,,Sgr,
+90971,171247,18.55647,8.2683,6.42,-0.044,,,Oph,
+94770,,19.28348,-65.2277,6.42,-0.046,,,,
+95239,,19.37715,-51.2313,6.42,0.328,,,,
+96919,186532,19.70115,55.4632,6.42,1.453,,,Cyg,
+97485,187459,19.81405,33.4373,6.42,0.129,,,Cyg,
+101489,,20.56665,4.8987,6.42,1.016,,,,
+101552,,20.57983,-30.4735,6.42,-0.075,,,,
+102901,,20.84643,-32.0546,6.42,1.513,,,,
+102993,,20.86677,32.8489,6.42,-0.138,,,,
+105091,203025,21.28855,58.6115,6.42,0.194,,,Cep,
+106064,,21.48331,17.9059,6.42,1.393,,,,
+106320,,21.53419,-84.8101,6.42,1.405,,,,
+106564,,21.58139,-29.6961,6.42,-0.097,,,,
+110478,212087,22.37895,-45.9479,6.42,2.231,π1,,Gru,
+111601,,22.61009,11.6966,6.42,0.027,,,,
+113904,,23.06688,6.6163,6.42,0.417,,,,
+34,,0.00664,26.9181,6.43,0.514,,,,
+635,315,0.12892,-2.5487,6.43,-0.146,,4,Cet,
+1269,,0.26523,61.0002,6.43,0.838,,,,
+1821,,0.38455,-15.9426,6.43,1.595,,,,
+2889,,0.61046,-65.1244,6.43,1.260,,,,
+2954,,0.62513,3.1354,6.43,1.339,,,,
+3056,,0.64689,-25.1078,6.43,1.482,,,,
+6789,,1.45647,-22.3382,6.43,1.122,,,,
+7443,,1.59738,-39.9471,6.43,0.415,,,,
+7597,,1.63113,-3.4407,6.43,1.568,,,,
+8957,,1.92212,-60.3125,6.43,0.409,,,,
+9655,,2.07013,-11.8598,6.43,1.498,,,,
+10379,,2.22823,58.5606,6.43,0.554,,,,
+10396,,2.23154,-9.0646,6.43,1.415,,,,
+16712,,3.58361,60.0414,6.43,0.433,,,,
+17588,23441,3.76747,24.5279,6.43,-0.020,,22,Tau,Sterope
+19509,,4.17941,-35.2738,6.43,1.070,,,,
+22737,,4.89181,-66.6754,6.43,1.640,,,,
+24003,32518,5.16020,69.6394,6.43,1.101,,,,Mago
+24960,,5.34549,2.5448,6.43,1.041,,,,
+26515,,5.63817,-50.6410,6.43,-0.047,,,,
+29525,42807,6.22014,10.6271,6.43,0.663,,,Ori,
+30741,,6.45987,32.5629,6.43,1.264,,,,
+31850,,6.65875,24.6002,6.43,0.523,,,,
+32322,48938,6.74777,-27.3417,6.43,0.550,,,,
+34608,,7.16852,21.2470,6.43,0.880,,,,
+35751,,7.37453,0.7008,6.43,0.995,,,,
+37375,,7.67251,-11.7526,6.43,1.245,,,,
+38316,,7.85002,-24.5286,6.43,-0.003,,,,
+40474,68457,8.26403,60.3806,6.43,0.210,,56,Cam,
+40656,,8.29952,-30.0037,6.43,1.040,,,,
+41547,,8.47217,-8.8163,6.43,1.197,,,,
+43209,,8.80244,-42.4634,6.43,-0.178,,,,
+43623,,8.88481,-16.9525,6.43,1.082,,,,
+44565,,9.07999,-57.8526,6.43,0.288,,,,
+46810,82610,9.53844,-28.6278,6.43,0.358,,,Ant,
+46874,,9.55213,-39.1291,6.43,0.337,,,,
+48839,,9.96219,-1.9418,6.43,0.700,,,,
+49329,87301,10.06901,3.2011,6.43,0.398,,13,Sex,
+49929,88355,10.19395,13.3551,6.43,0.468,,34,Leo,
+51984,,10.62114,-53.8553,6.43,-0.150,,,,
+52537,,10.74231,-70.8553,6.43,0.227,,,,
+54703,,11.19940,-26.8061,6.43,0.924,,,,
+55485,,11.36369,57.0749,6.43,0.161,,,,
+55497,,11.36581,-77.6084,6.43,0.202,,,,
+56500,,11.58303,-4.3613,6.43,1.167,,,,
+62081,,12.72396,-40.1778,6.43,0.242,,,,
+62448,,12.79823,-24.8517,6.43,-0.058,,,,
+62653,,12.83814,22.8634,6.43,1.002,,,,
+63822,,13.08049,73.0250,6.43,0.218,,,,
+63883,113602,13.09188,-52.1157,6.43,1.690,,,Cen,
+64108,,13.13900,-78.4460,6.43,0.008,,,,
+64779,,13.27563,19.7853,6.43,0.274,,,,
+66923,,13.71517,-50.7902,6.43,1.671,,,,
+67483,,13.82915,36.6328,6.43,0.256,,,,
+67537,,13.83872,-39.9009,6.43,0.992,,,,
+67620,120690,13.85565,-24.3904,6.43,0.703,,,,
+68956,124063,14.11566,74.5938,6.43,0.160,,3,UMi,
+69011,,14.12800,-48.7040,6.43,0.001,,,,
+70451,,14.41134,-44.3111,6.43,1.047,,,,
+72217,,14.76969,-21.1760,6.43,0.603,,,,
+75790,,15.48296,-28.8669,6.43,0.608,,,,
+79164,,16.15721,55.8290,6.43,1.076,,,,
+79203,,16.16535,-18.3406,6.43,0.447,,,,
+81198,,16.58549,-45.2444,6.43,1.346,,,,
+83321,,17.02954,-51.1310,6.43,0.279,,,,
+84780,156860,17.32959,2.1395,6.43,1.487,,,Oph,
+85688,,17.51117,38.8822,6.43,0.510,,,,
+85786,,17.52982,-33.7032,6.43,1.191,,,,
+87427,,17.86624,15.3264,6.43,0.997,,,,
+89347,,18.23117,2.3935,6.43,1.545,,,,
+90476,,18.46171,59.5491,6.43,0.979,,,,
+91533,,18.66720,30.8495,6.43,0.900,,,,
+93210,,18.98675,39.2173,6.43,-0.168,,,,
+96503,,19.61934,29.3337,6.43,-0.087,,,,
+96856,,19.68740,22.4528,6.43,1.481,,,,
+97144,,19.74481,8.7265,6.43,0.940,,,,
+99158,,20.13066,9.3998,6.43,0.463,,,,
+101133,,20.49999,45.9286,6.43,1.137,,,,
+102040,197076,20.67921,19.9355,6.43,0.611,,,,
+105193,203265,21.30901,61.1844,6.43,1.543,,,Cep,
+106306,,21.53060,23.8452,6.43,1.064,,,,
+106363,,21.54257,-24.5904,6.43,0.200,,,,
+106419,,21.55489,-52.7378,6.43,1.481,,,,
+107297,,21.73281,22.8153,6.43,1.295,,,,
+108133,209111,21.90737,80.3086,6.43,1.453,,,Cep,
+109408,,22.16608,-48.1077,6.43,1.380,,,,
+111138,213296,22.51494,-26.0738,6.43,1.083,ζ,,PsA,
+111278,213617,22.54319,20.2300,6.43,0.350,,39,Peg,
+112144,,22.71540,37.8027,6.43,-0.119,,,,
+112300,,22.74698,52.5172,6.43,1.541,,,,
+113445,,22.97641,9.3569,6.43,0.640,,,,
+113750,,23.03648,44.5729,6.43,0.959,,,,
+113852,,23.05594,58.5639,6.43,0.898,,,,
+113994,,23.08508,16.5628,6.43,0.886,,,,
+114371,,23.16377,-14.5106,6.43,0.010,,,,
+114550,,23.20348,-80.9127,6.43,1.498,,,,
+115709,,23.44319,-21.7408,6.43,1.036,,,,
+115907,,23.48356,-44.4981,6.43,1.177,,,,
+116941,,23.70407,44.9917,6.43,1.500,,,,
+2178,,0.45863,16.0255,6.44,0.230,,,,
+2237,,0.47253,-20.3351,6.44,0.594,,,,
+4164,,0.88679,-24.7769,6.44,0.439,,,,
+4475,,0.95545,61.4219,6.44,0.940,,,,
+5042,,1.07571,-33.5328,6.44,1.071,,,,
+5315,6734,1.13324,1.9930,6.44,0.847,,29,Cet,
+5743,7345,1.22924,7.5783,6.44,0.492,ζ,86,Psc,
+6140,,1.31306,37.3863,6.44,0.233,,,,
+6714,,1.43989,20.0708,6.44,0.947,,,,
+7362,,1.58092,-3.5239,6.44,1.341,,,,
+8641,,1.85732,-39.8359,6.44,1.094,,,,
+8688,,1.86281,-15.6475,6.44,1.608,,,,
+8847,,1.89681,55.5976,6.44,0.185,,,,
+9706,,2.08083,7.7357,6.44,1.114,,,,
+10830,,2.32297,48.9555,6.44,0.427,,,,
+13257,,2.84314,36.9483,6.44,0.617,,,,
+15282,,3.28651,40.4830,6.44,-0.027,,,,
+17759,,3.80182,24.9884,6.44,1.701,,,,
+20661,27991,4.42703,15.9410,6.44,0.509,,70,Tau,
+25368,,5.42681,-1.4913,6.44,-0.162,,,,
+25973,36066,5.54272,57.2211,6.44,0.587,,18,Cam,
+26592,,5.65241,41.3586,6.44,1.000,,,,
+28138,,5.94695,-31.9762,6.44,1.070,,,,
+29788,44120,6.27189,-59.2135,6.44,0.593,,,,
+30988,,6.50328,-19.2149,6.44,1.683,,,,
+31241,,6.55285,-38.6252,6.44,0.999,,,,
+31385,46642,6.57953,7.5725,6.44,-0.010,,14,Mon,
+31650,,6.62425,24.5909,6.44,0.101,,,,
+33909,,7.03763,-43.4039,6.44,-0.039,,,,
+34066,,7.06596,-10.1238,6.44,-0.067,,,,
+36779,,7.56431,51.3141,6.44,1.348,,,,
+38963,,7.97262,-51.4485,6.44,0.260,,,,
+40007,67690,8.17031,25.8445,6.44,1.420,ψ1,13,Cnc,
+40433,,8.25646,-50.4492,6.44,1.520,,,,
+40787,,8.32487,-34.5901,6.44,-0.079,,,,
+41306,,8.42760,-17.4394,6.44,1.234,,,,
+41644,72303,8.49161,-54.2118,6.44,-0.108,,,Car,
+42123,,8.58681,-39.9705,6.44,0.578,,,,
+44717,,9.11199,59.3445,6.44,0.045,,,,
+48029,84722,9.79055,11.5682,6.44,0.255,,19,Leo,
+53157,,10.87557,52.5036,6.44,1.114,,,,
+53811,,11.01007,-53.1118,6.44,1.280,,,,
+54030,,11.05446,-31.9608,6.44,1.616,,,,
+54038,,11.05761,70.0307,6.44,1.280,,,,
+54380,,11.12615,-48.6400,6.44,1.486,,,,
+55164,,11.29413,-34.7373,6.44,0.408,,,,
+55953,,11.46630,-35.3288,6.44,1.614,,,,
+57001,101563,11.68567,-29.1963,6.44,0.651,,,,
+58810,,12.06236,-74.2141,6.44,1.198,,,,
+60066,107131,12.31723,26.0083,6.44,0.180,,,Com,
+63297,,12.97190,64.9255,6.44,1.150,,,,
+63849,113537,13.08518,-47.1169,6.44,0.414,,,Cen,
+65381,,13.39919,-20.9246,6.44,1.101,,,,
+65417,,13.40848,12.4318,6.44,1.062,,,,
+67036,119419,13.73778,-51.0125,6.44,-0.106,,,Cen,
+69727,,14.27261,-6.6215,6.44,0.275,,,,
+72135,,14.75523,-51.3149,6.44,1.591,,,,
+72670,,14.85834,-77.1760,6.44,-0.024,,,,
+74336,,15.19300,-45.2775,6.44,1.039,,,,
+74775,,15.28193,-46.2024,6.44,0.514,,,,
+75587,,15.44227,54.0203,6.44,0.079,,,,
+75818,,15.48869,-38.6350,6.44,0.351,,,,
+80809,149081,16.50167,48.9611,6.44,0.026,,34,Her,
+81499,,16.64659,-8.6186,6.44,1.806,,,,
+83834,,17.13353,31.2062,6.44,1.285,,,,
+85235,158633,17.41669,67.3067,6.44,0.759,,,,
+85307,,17.43275,-1.6518,6.44,0.457,,,,
+86716,,17.71857,-33.0513,6.44,1.813,,,,
+87224,,17.82195,1.9614,6.44,1.236,,,,
+93371,,19.01786,-37.0616,6.44,0.020,,,,
+93443,,19.03040,22.2644,6.44,0.130,,,,
+94054,,19.14787,-55.7204,6.44,1.101,,,,
+94130,,19.16104,-39.8272,6.44,1.064,,,,
+95370,,19.40168,36.4521,6.44,1.074,,,,
+96546,,19.62801,35.0225,6.44,1.559,,,,
+97454,,19.80847,10.6941,6.44,0.932,,,,
+97569,,19.83151,-66.8131,6.44,1.482,,,,
+98253,,19.96559,42.2608,6.44,0.095,,,,
+98785,,20.06231,-22.5956,6.44,0.503,,,,
+99894,192699,20.26833,4.5808,6.44,0.867,,,,Chechia
+100714,,20.41806,59.6001,6.44,0.094,,,,
+100876,,20.45394,20.4765,6.44,1.030,,,,
+103154,,20.89955,-6.8895,6.44,0.361,,,,
+104481,,21.16619,2.9437,6.44,0.375,,,,
+107445,,21.76237,35.8573,6.44,0.997,,,,
+109412,,22.16671,-28.2924,6.44,0.147,,,,
+110504,,22.38528,55.9632,6.44,2.215,,,,
+113705,,23.02877,3.5309,6.44,0.970,,,,
+114096,,23.10886,19.9109,6.44,0.544,,,,
+114981,,23.28797,45.1642,6.44,1.077,,,,
+116465,,23.59887,24.5610,6.44,1.703,,,,
+116991,,23.71807,51.9393,6.44,1.034,,,,
+117510,,23.83044,-25.3313,6.44,0.097,,,,
+2846,,0.60088,-14.9730,6.45,1.063,,,,
+8143,,1.74547,-6.7662,6.45,0.864,,,,
+9685,,2.07642,-54.8817,6.45,0.386,,,,
+10623,,2.27933,83.5614,6.45,0.951,,,,
+10795,,2.31609,23.1678,6.45,0.376,,,,
+11212,,2.40559,-25.8475,6.45,1.321,,,,
+11427,15228,2.45650,10.1983,6.45,0.450,,25,Ari,
+11474,,2.46665,1.9608,6.45,0.971,,,,
+13036,,2.79199,44.2722,6.45,0.637,,,,
+13176,,2.82414,37.3264,6.45,0.422,,,,
+16587,,3.55895,58.7652,6.45,0.168,,,,
+17436,,3.73511,-40.6603,6.45,1.059,,,,
+17558,,3.76030,38.6763,6.45,1.195,,,,
+19590,,4.19893,-8.8375,6.45,0.950,,,,
+19725,,4.22727,-1.1497,6.45,-0.125,,,,
+20360,,4.36042,-6.2842,6.45,0.056,,,,
+21666,,4.65119,-51.6728,6.45,1.321,,,,
+23419,,5.03334,1.6089,6.45,-0.050,,,,
+24560,,5.26960,-11.3526,6.45,0.670,,,,
+25192,35076,5.38969,28.9368,6.45,-0.040,,22,Aur,
+26104,,5.56735,-7.0238,6.45,1.116,,,,
+26571,,5.64927,26.6181,6.45,0.980,,,,
+29509,,6.21655,6.0163,6.45,1.621,,,,
+30480,,6.40739,-63.4289,6.45,0.660,,,,
+31359,46101,6.57578,55.3530,6.45,1.554,,7,Lyn,
+32019,47731,6.68914,28.1966,6.45,1.090,,25,Gem,
+32477,,6.77824,-54.6950,6.45,0.858,,,,
+35326,,7.29667,-26.7976,6.45,-0.153,,,,
+35548,,7.33523,15.1429,6.45,0.009,,,,
+38292,,7.84514,-44.5799,6.45,0.899,,,,
+38686,,7.92051,-30.9176,6.45,1.474,,,,
+39198,,8.01761,-6.4192,6.45,0.838,,,,
+40397,,8.24757,-46.4859,6.45,-0.149,,,,
+40559,,8.28164,84.0576,6.45,0.052,,,,
+40749,,8.31822,-48.1979,6.45,-0.131,,,,
+42400,,8.64578,-53.0904,6.45,-0.100,,,,
+42981,,8.75969,4.6644,6.45,1.228,,,,
+45543,,9.28251,-11.1031,6.45,1.172,,,,
+46143,,9.41030,-70.0758,6.45,1.275,,,,
+47242,,9.62943,-3.1706,6.45,0.986,,,,
+47868,,9.75611,-30.2028,6.45,-0.137,,,,
+48324,85268,9.85055,13.0662,6.45,1.624,,23,Leo,
+49642,88158,10.13240,-62.2214,6.45,-0.095,,,Car,
+50013,,10.21055,-19.1530,6.45,0.494,,,,
+50606,,10.33744,53.7794,6.45,0.580,,,,
+50887,,10.39121,-0.9022,6.45,0.918,,,,
+52488,,10.73118,-60.1178,6.45,-0.017,,,,
+53260,,10.89261,-56.4205,6.45,1.392,,,,
+53387,,10.91988,-20.6650,6.45,1.098,,,,
+56050,99953,11.48754,-63.5539,6.45,0.320,,,Cen,
+56508,100655,11.58437,20.4415,6.45,1.010,,,,Formosa
+62915,,12.89392,-4.2247,6.45,1.094,,,,
+66060,,13.54291,-29.5653,6.45,0.438,,,,
+67548,,13.84104,58.5395,6.45,0.094,,,,
+69012,,14.12820,-49.8676,6.45,0.660,,,,
+69127,123630,14.15017,-10.3345,6.45,1.003,,96,Vir,
+69585,,14.24323,13.9755,6.45,1.348,,,,
+70051,,14.33574,30.4291,6.45,0.156,,,,
+71510,,14.62457,2.2772,6.45,0.560,,,,
+73341,,14.98720,-37.8812,6.45,-0.080,,,,
+75788,,15.48245,55.1949,6.45,0.079,,,,
+75919,,15.50633,31.2859,6.45,0.205,,,,
+76603,,15.64447,-8.7915,6.45,0.505,,,,
+76651,,15.65265,57.9244,6.45,1.102,,,,
+76736,,15.66987,-70.2279,6.45,0.077,,,,
+79522,,16.22739,-1.4751,6.45,0.997,,,,
+80324,,16.39909,-33.1994,6.45,0.013,,,,
+80682,,16.47254,67.0440,6.45,1.517,,,,
+82418,,16.84335,-50.0449,6.45,0.325,,,,
+83593,,17.08471,43.8122,6.45,0.099,,,,
+88274,,18.02616,-85.2148,6.45,0.437,,,,
+89683,,18.30215,23.2969,6.45,1.698,,,,
+90223,,18.40921,-49.6529,6.45,0.593,,,,
+91552,,18.67005,38.3672,6.45,0.220,,,,
+91820,,18.72127,39.3001,6.45,1.590,,,,
+92972,,18.94090,-31.6890,6.45,1.223,,,,
+93733,,19.08607,49.9232,6.45,1.348,,,,
+97572,187640,19.83187,28.4397,6.45,-0.104,,,Vul,
+98772,,20.06078,22.9411,6.45,1.028,,,,
+99200,,20.13902,-66.3547,6.45,1.587,,,,
+100779,,20.43366,19.8655,6.45,1.037,,,,
+101558,,20.58207,-38.0899,6.45,0.264,,,,
+101900,,20.65005,56.0048,6.45,0.403,,,,
+102771,,20.82150,64.0423,6.45,0.025,,,,
+104296,,21.12903,-45.3795,6.45,0.245,,,,
+104962,,21.26033,47.9740,6.45,-0.129,,,,
+105019,202466,21.27161,-9.2147,6.45,1.612,,,Aqr,
+105390,,21.34724,32.4522,6.45,0.802,,,,
+105819,,21.43099,0.5343,6.45,0.162,,,,
+106527,,21.57611,22.7545,6.45,0.513,,,,
+107555,,21.78357,70.1509,6.45,-0.007,,,,
+108952,209476,22.07329,-29.9165,6.45,1.603,,13,PsA,
+109458,210516,22.17505,20.9780,6.45,0.099,,28,Peg,
+110487,,22.38063,36.6590,6.45,1.052,,,,
+112168,,22.71761,-8.3114,6.45,0.166,,,,
+112324,,22.75101,58.1470,6.45,0.430,,,,
+115915,,23.48491,23.0481,6.45,1.088,,,,
+117986,224186,23.93185,15.2303,6.45,1.560,,,Peg,
+118081,,23.95281,-20.8336,6.45,0.979,,,,
+253,,0.05218,-24.1451,6.46,1.176,,,,
+1402,,0.29242,-19.0511,6.46,0.386,,,,
+1639,,0.34193,48.9686,6.46,0.564,,,,
+4382,,0.93587,13.9520,6.46,0.962,,,,
+4911,,1.05043,47.3762,6.46,0.248,,,,
+7283,,1.56409,89.0156,6.46,0.107,,,,
+9237,,1.97945,-11.3010,6.46,1.128,,,,
+10309,,2.21387,79.6915,6.46,0.240,,,,
+13347,,2.86275,58.3143,6.46,0.104,,,,
+15193,20096,3.26352,50.9559,6.46,0.100,,,Per,
+17858,,3.82215,57.1183,6.46,0.061,,,,
+18275,,3.90943,-52.6904,6.46,0.158,,,,
+22081,,4.74942,-63.2297,6.46,1.077,,,,
+22152,,4.76683,76.6110,6.46,0.512,,,,
+23268,31780,5.00645,39.6547,6.46,1.677,,6,Aur,
+26728,37808,5.67950,-10.4087,6.46,-0.127,,,Ori,
+29140,,6.14659,-6.8214,6.46,0.876,,,,
+32500,,6.78293,-87.0250,6.46,0.429,,,,
+33133,50204,6.89919,38.5050,6.46,-0.044,ψ8,61,Aur,
+33577,,6.97677,-56.3948,6.46,0.389,,,,
+34350,,7.12119,-59.7164,6.46,-0.113,,,,
+34860,,7.21363,27.2248,6.46,0.502,,,,
+37705,62437,7.73545,2.4054,6.46,0.211,,,CMi,
+37996,,7.78739,-36.0736,6.46,1.083,,,,
+38925,,7.96523,-40.7844,6.46,0.979,,,,
+40016,,8.17238,-49.2373,6.46,-0.140,,,,
+42462,,8.65682,8.0176,6.46,1.080,,,,
+42701,,8.70273,-11.9660,6.46,0.160,,,,
+44509,,9.06827,-47.4414,6.46,-0.155,,,,
+44574,,9.08197,32.3768,6.46,0.241,,,,
+45305,,9.23419,-14.6948,6.46,0.958,,,,
+47119,,9.60188,74.3188,6.46,-0.083,,,,
+50316,88986,10.27447,28.6825,6.46,0.635,,24,LMi,
+52815,,10.79820,-64.2628,6.46,0.008,,,,
+55133,,11.28731,-41.9343,6.46,0.015,,,,
+55332,,11.33077,-72.9583,6.46,0.004,,,,
+56769,101205,11.63899,-63.3727,6.46,0.043,,,Cen,
+58057,103437,11.90717,-37.7489,6.46,0.528,,,,
+60353,107705,12.37557,5.3054,6.46,0.567,,17,Vir,
+61172,,12.53455,-32.5338,6.46,0.172,,,,
+61738,,12.65405,-75.3706,6.46,0.098,,,,
+64751,,13.27063,19.0517,6.46,0.972,,,,
+66251,,13.57854,76.5467,6.46,1.573,,,,
+66254,,13.57877,-33.3109,6.46,1.250,,,,
+66594,,13.65063,18.2653,6.46,1.217,,,,
+70798,,14.47875,-59.1975,6.46,0.111,,,,
+71251,,14.57109,57.0653,6.46,0.526,,,,
+74769,,15.28105,-47.8645,6.46,0.927,,,,
+75294,136801,15.38383,-15.1340,6.46,1.603,,30,Lib,
+76456,,15.61484,29.9912,6.46,0.433,,,,
+77042,,15.73202,-60.2872,6.46,1.020,,,,
+78731,143658,16.07259,-53.7104,6.46,0.006,,,Nor,
+80708,,16.47842,0.0549,6.46,1.378,,,,
+80840,,16.50834,-7.5145,6.46,0.371,,,,
+81891,,16.72742,-32.1059,6.46,-0.076,,,,
+82944,,16.95029,-71.1116,6.46,0.260,,,,
+83857,,17.13807,50.8423,6.46,-0.017,,,,
+84556,,17.28487,-44.7786,6.46,0.187,,,,
+84883,,17.34795,-10.6964,6.46,0.326,,,,
+85268,,17.42335,52.7907,6.46,0.619,,,,
+87865,,17.94886,-40.3056,6.46,1.411,,,,
+88675,,18.10256,-51.7439,6.46,0.172,,,,
+89920,,18.34866,-37.4876,6.46,1.315,,,,
+92301,,18.81261,-18.6011,6.46,0.902,,,,
+94646,,19.25927,18.5164,6.46,1.743,,,,
+97573,,19.83217,27.0852,6.46,0.937,,,,
+98146,,19.94588,50.9025,6.46,0.003,,,,
+99270,,20.15107,-47.0679,6.46,1.463,,,,
+100142,193536,20.31380,46.3222,6.46,-0.123,,,Cyg,
+100332,,20.34775,-35.6737,6.46,1.311,,,,
+101911,,20.65163,-4.9295,6.46,1.016,,,,
+104537,,21.17527,47.6922,6.46,0.007,,,,
+105637,,21.39677,37.3515,6.46,1.472,,,,
+107409,,21.75521,-49.4988,6.46,1.148,,,,
+108632,,22.00742,33.0059,6.46,0.463,,,,
+110055,,22.29120,49.1270,6.46,1.046,,,,
+110314,,22.34410,58.4099,6.46,0.990,,,,
+110346,212047,22.35001,26.9352,6.46,1.526,,,Peg,
+110790,,22.44599,37.4437,6.46,-0.132,,,,
+111801,,22.64574,-28.7482,6.46,1.034,,,,
+112986,,22.88118,50.4123,6.46,-0.047,,,,
+113498,,22.98583,59.8147,6.46,0.012,,,,
+113784,,23.04281,-36.4209,6.46,0.938,,,,
+115522,,23.40111,-21.7744,6.46,0.433,,,,
+117133,,23.74678,55.7997,6.46,0.992,,,,
+410,,0.08367,27.6748,6.47,0.946,,,,
+728,,0.15005,28.2475,6.47,0.242,,,,
+1499,1461,0.31163,-8.0530,6.47,0.674,,,,
+2707,3038,0.57359,66.7504,6.47,-0.049,,16,Cas,
+3576,,0.76159,-16.4242,6.47,0.314,,,,
+4558,,0.97191,21.4045,6.47,0.089,,,,
+4801,,1.02740,-16.2656,6.47,1.184,,,,
+10826,14386,2.32244,-2.9776,6.47,0.966,ο,68,Cet,Mira,681
+11121,,2.38517,-37.5761,6.47,1.592,,,,
+13008,,2.78643,-22.4858,6.47,0.398,,,,
+13429,,2.88185,-65.4553,6.47,1.008,,,,
+14626,19243,3.14839,62.3846,6.47,0.231,,,Cas,
+15800,,3.39342,0.9101,6.47,1.154,,,,
+16042,21242,3.44317,28.7151,6.47,0.882,,,Ari,
+17832,23822,3.81582,23.8571,6.47,0.377,,26,Tau,
+17950,,3.83783,-1.5226,6.47,0.435,,,,
+18926,,4.05687,-20.1438,6.47,-0.178,,,,
+19746,,4.23325,37.9671,6.47,1.029,,,,
+20985,,4.50063,10.2622,6.47,1.038,,,,
+23818,,5.11937,-19.3919,6.47,0.648,,,,
+25059,,5.36537,-17.6036,6.47,1.206,,,,
+27116,,5.75036,12.8883,6.47,0.234,,,,
+27293,,5.78335,51.5209,6.47,0.898,,,,
+27705,,5.86655,-29.4494,6.47,1.473,,,,
+30357,,6.38510,56.9763,6.47,1.075,,,,
+30423,,6.39637,-58.5439,6.47,0.120,,,,
+32269,,6.73689,-54.6955,6.47,-0.119,,,,
+32404,48843,6.76505,12.6936,6.47,0.344,,32,Gem,
+33015,,6.87976,-43.9756,6.47,-0.101,,,,
+34177,,7.08788,-50.3600,6.47,1.424,,,,
+34270,,7.10397,-68.8376,6.47,1.039,,,,
+34367,,7.12358,28.1767,6.47,-0.081,,,,
+35933,58050,7.40768,15.5172,6.47,-0.190,,,Gem,
+36211,,7.45718,66.3316,6.47,-0.064,,,,
+39958,,8.15977,29.0931,6.47,0.804,,,,
+40342,,8.23643,17.6760,6.47,0.331,,,,
+40655,,8.29881,-59.1668,6.47,0.397,,,,
+42434,,8.65280,59.9391,6.47,0.035,,,,
+43850,,8.93180,-15.4395,6.47,1.393,,,,
+44825,,9.13449,32.5404,6.47,0.375,,,,
+46075,,9.39579,-37.7569,6.47,0.193,,,,
+47893,84809,9.76128,-57.1860,6.47,-0.108,,,Car,
+48320,,9.85022,-80.0611,6.47,0.074,,,,
+50218,88786,10.25176,31.4681,6.47,0.858,,22,LMi,
+50728,,10.35796,-23.7108,6.47,0.193,,,,
+52806,,10.79565,-59.8753,6.47,-0.121,,,,
+54430,,11.13771,-29.9725,6.47,0.029,,,,
+58119,,11.92057,36.7564,6.47,1.581,,,,
+59489,,12.20028,28.5363,6.47,0.428,,,,
+60210,,12.34687,15.5410,6.47,1.025,,,,
+60418,,12.38760,-4.9745,6.47,1.189,,,,
+62478,111308,12.80398,13.5530,6.47,0.015,,28,Com,
+67103,,13.75367,55.8793,6.47,0.486,,,,
+69107,,14.14613,59.3376,6.47,1.023,,,,
+69773,,14.28021,-8.8845,6.47,1.212,,,,
+69881,125184,14.30020,-7.5424,6.47,0.723,,,,
+69958,,14.31553,54.8638,6.47,0.183,,,,
+74490,,15.22150,-24.0083,6.47,-0.026,,,,
+74500,134987,15.22463,-25.3093,6.47,0.691,,23,Lib,
+74690,,15.26409,50.9385,6.47,0.854,,,,
+74695,,15.26488,6.4648,6.47,1.308,,,,
+79086,145050,16.14347,8.6132,6.47,1.418,,,Ser,
+81663,,16.68233,-8.3096,6.47,1.147,,,,
+81803,,16.70808,-37.0794,6.47,0.776,,,,
+82091,,16.76844,-46.5320,6.47,0.087,,,,
+83556,,17.07603,-68.2787,6.47,1.570,,,,
+85666,,17.50629,11.9240,6.47,0.056,,,,
+86060,159376,17.58847,-22.0438,6.47,0.011,,52,Oph,
+87045,,17.78557,47.6122,6.47,0.095,,,,
+89370,,18.23787,-63.6897,6.47,1.414,,,,
+91142,171586,18.59347,4.9360,6.47,0.075,,,Ser,
+91662,,18.69185,-48.0947,6.47,1.220,,,,
+92608,,18.86998,-41.7092,6.47,1.426,,,,
+93012,,18.94853,-62.8019,6.47,1.535,,,,
+93068,,18.95791,58.2250,6.47,0.072,,,,
+93374,,19.01817,19.3096,6.47,1.114,,,,
+94478,,19.22889,5.5156,6.47,0.100,,,,
+96297,,19.57954,63.4342,6.47,1.326,,,,
+96396,,19.59887,50.2386,6.47,1.034,,,,
+96572,,19.63242,49.2844,6.47,0.990,,,,
+97244,,19.76451,-2.8835,6.47,0.016,,,,
+97484,,19.81394,-12.3194,6.47,1.676,,,,
+97709,,19.85745,4.0886,6.47,1.345,,,,
+97849,187949,19.88511,-14.6032,6.47,0.149,,,Sgr,
+98012,,19.91809,-33.0463,6.47,1.487,,,,
+99024,,20.10339,-4.0782,6.47,1.156,,,,
+99188,,20.13599,-52.5778,6.47,0.682,,,,
+99624,,20.21789,-0.3308,6.47,1.532,,,,
+99666,,20.22566,-47.7132,6.47,1.249,,,,
+99719,,20.23469,36.6049,6.47,-0.014,,,,
+99929,,20.27449,37.0564,6.47,-0.097,,,,
+101268,,20.52674,34.3304,6.47,0.422,,,,
+101339,,20.53901,2.1328,6.47,1.514,,,,
+102670,,20.80512,-44.1968,6.47,1.161,,,,
+103596,,20.99017,42.3245,6.47,-0.077,,,,
+104441,,21.15621,-36.7059,6.47,0.520,,,,
+104634,201707,21.19481,-14.4724,6.47,0.316,,,Aqr,
+105646,,21.39886,-25.2025,6.47,1.123,,,,
+106424,,21.55587,-80.0394,6.47,0.044,,,,
+106550,,21.57942,18.3289,6.47,1.254,,,,
+106604,205938,21.59054,68.2193,6.47,-0.083,,,Cep,
+107271,,21.72771,7.5287,6.47,1.114,,,,
+112305,,22.74805,39.2010,6.47,1.498,,,,
+112895,,22.86249,-59.8814,6.47,1.132,,,,
+114367,,23.16243,-67.8763,6.47,0.394,,,,
+114408,,23.17009,-66.8576,6.47,0.956,,,,
+114686,,23.23315,19.6339,6.47,1.151,,,,
+115756,,23.45207,-66.5809,6.47,1.455,,,,
+116422,221833,23.59127,1.3131,6.47,1.151,,15,Psc,
+117445,,23.81371,2.2144,6.47,0.461,,,,
+117551,,23.83951,51.6217,6.47,0.403,,,,
+118116,,23.95931,60.0236,6.47,0.029,,,,
+1948,,0.41060,14.3155,6.48,1.161,,,,
+4786,,1.02418,49.5442,6.48,1.099,,,,
+4844,,1.03846,51.0349,6.48,0.122,,,,
+9163,,1.96645,47.0955,6.48,1.203,,,,
+10069,,2.15967,-24.3458,6.48,0.289,,,,
+10633,13854,2.28103,57.0552,6.48,0.281,,,Per,
+12189,16246,2.61681,24.6472,6.48,0.510,,30,Ari,
+12300,,2.64023,-37.9905,6.48,0.521,,,,
+12720,,2.72470,-2.5315,6.48,0.981,,,,
+12964,,2.77919,-21.6395,6.48,0.387,,,,
+14264,18878,3.06576,47.8485,6.48,0.301,,,Per,
+16697,,3.58123,-25.5828,6.48,0.985,,,,
+23695,,5.09225,19.8067,6.48,0.219,,,,
+24332,,5.22151,37.3373,6.48,0.542,,,,
+24520,,5.26078,-52.1822,6.48,1.213,,,,
+25322,,5.41651,73.7072,6.48,1.738,,,,
+27353,,5.79296,25.5686,6.48,1.193,,,,
+28180,,5.95399,-53.4257,6.48,1.480,,,,
+28988,,6.11719,-45.0915,6.48,1.162,,,,
+29185,,6.15651,-49.5628,6.48,0.502,,,,
+29348,,6.18711,60.4535,6.48,1.698,,,,
+30706,,6.45211,-37.8955,6.48,0.394,,,,
+30798,,6.47133,1.9127,6.48,-0.064,,,,
+31736,,6.63970,-23.5803,6.48,0.664,,,,
+32040,,6.69382,35.9319,6.48,0.509,,,,
+33453,,6.95514,37.3947,6.48,1.673,,,,
+34297,,7.10999,-12.3939,6.48,-0.124,,,,
+35317,,7.29518,38.8763,6.48,0.995,,,,
+39348,65626,8.04327,57.2736,6.48,0.649,,54,Lyn,
+40086,,8.18835,54.5402,6.48,0.940,,,,
+40160,,8.20168,-43.4004,6.48,1.704,,,,
+40263,,8.22271,-1.1659,6.48,0.918,,,,
+41904,72359,8.54441,10.0660,6.48,-0.007,,34,Cnc,
+41970,,8.55552,-38.3707,6.48,-0.153,,,,
+43152,,8.78930,-17.0529,6.48,0.679,,,,
+43338,,8.82915,-21.0484,6.48,0.256,,,,
+44888,,9.14570,-16.2773,6.48,1.100,,,,
+44979,,9.16250,-49.4244,6.48,0.170,,,,
+44984,,9.16289,11.5644,6.48,0.355,,,,
+45272,,9.22702,21.2832,6.48,0.046,,,,
+47039,,9.58662,-35.8238,6.48,0.417,,,,
+48375,,9.86145,-11.3405,6.48,1.610,,,,
+48895,86358,9.97390,27.7590,6.48,0.362,,,Leo,
+50069,,10.22286,-56.5867,6.48,1.450,,,,
+50391,,10.28894,-46.8349,6.48,0.329,,,,
+50485,,10.30911,43.0484,6.48,0.925,,,,
+51883,,10.60055,80.4946,6.48,0.963,,,,
+53556,,10.95561,-69.0381,6.48,0.000,,,,
+53940,95716,11.03718,-41.1141,6.48,1.474,,,Vel,
+54388,96528,11.12769,23.3238,6.48,0.164,,64,Leo,
+57092,,11.70415,-75.2273,6.48,0.528,,,,
+57507,102438,11.78773,-30.2865,6.48,0.681,,,,
+57749,,11.84366,-27.2779,6.48,0.980,,,,
+58859,,12.07131,-51.4725,6.48,-0.046,,,,
+59389,,12.18367,-68.2610,6.48,1.352,,,,
+60421,107814,12.38857,-11.8121,6.48,1.640,,,Crv,
+62743,,12.85637,-10.3382,6.48,1.030,,,,
+63204,112381,12.94951,-54.5873,6.48,-0.042,,,Cen,
+65372,,13.39781,-49.8228,6.48,0.959,,,,
+65969,,13.52588,-28.1127,6.48,0.090,,,,
+66326,,13.59262,10.2050,6.48,1.043,,,,
+66385,,13.61108,49.4866,6.48,1.175,,,,
+66405,,13.61405,-34.4678,6.48,1.026,,,,
+67778,,13.88568,40.3380,6.48,1.550,,,,
+69778,,14.28199,-77.6642,6.48,1.375,,,,
+70538,,14.42993,-26.8522,6.48,0.941,,,,
+73850,,15.09275,-30.5509,6.48,0.489,,,,
+73881,,15.10067,-48.8834,6.48,-0.137,,,,
+76985,,15.71959,13.6677,6.48,0.873,,,,
+79441,,16.21263,26.6706,6.48,0.391,,,,
+81404,,16.62605,5.2775,6.48,1.150,,,,
+81800,,16.70773,49.9364,6.48,0.541,,,,
+83090,,16.97821,-14.8697,6.48,0.391,,,,
+83499,153919,17.06577,-37.8441,6.48,0.263,,,Sco,
+85149,,17.40063,38.5828,6.48,0.716,,,,
+85405,,17.45275,-15.8534,6.48,1.146,,,,
+86098,,17.59530,-37.4399,6.48,0.006,,,,
+86510,,17.67903,-67.8542,6.48,0.999,,,,
+87564,,17.88839,-65.4886,6.48,1.086,,,,
+87782,,17.93193,-18.8022,6.48,0.056,,,,
+88030,164429,17.98119,45.4762,6.48,-0.064,,,Her,
+91090,,18.57986,10.8920,6.48,0.032,,,,
+92456,,18.84199,-13.5723,6.48,1.662,,,,
+92866,,18.92321,-37.3866,6.48,1.122,,,,
+93666,177336,19.07337,-5.6848,6.48,2.300,,,Aql,
+95149,181321,19.35827,-34.9835,6.48,0.628,,,,
+96095,,19.53722,-44.5464,6.48,0.526,,,,
+102276,197572,20.72339,35.5878,6.48,1.251,,,Cyg,
+104202,,21.11107,3.8031,6.48,0.880,,,,
+105046,,21.27763,-1.6078,6.48,0.981,,,,
+107749,,21.82781,41.1488,6.48,0.381,,,,
+110907,,22.46976,27.0188,6.48,0.986,,,,
+113283,216803,22.94001,-31.5656,6.48,1.094,,,PsA,
+115036,219749,23.29889,45.4889,6.48,-0.037,,,And,
+50,,0.00954,-53.0977,6.49,0.616,,,,
+1268,,0.26525,-75.9116,6.49,0.983,,,,
+3175,,0.67461,-16.5167,6.49,0.910,,,,
+3903,4849,0.83438,-43.3949,6.49,0.286,,,Phe,
+5575,,1.19138,10.2919,6.49,0.891,,,,
+7593,,1.62978,64.7394,6.49,0.776,,,,
+10096,,2.16347,-40.8665,6.49,0.430,,,,
+10273,,2.20438,2.7456,6.49,1.039,,,,
+16156,21635,3.46987,-35.8534,6.49,0.126,χ3,,For,
+16177,,3.47322,60.2557,6.49,0.014,,,,
+16695,,3.58030,6.4177,6.49,0.642,,,,
+16779,,3.59923,-5.1250,6.49,1.091,,,,
+17214,,3.68717,-11.8024,6.49,0.377,,,,
+17493,,3.74735,-48.0613,6.49,1.011,,,,
+19222,,4.11966,74.0004,6.49,0.977,,,,
+19434,,4.16195,3.3227,6.49,0.443,,,,
+21517,29260,4.62077,18.5430,6.49,0.810,,,Tau,
+22003,,4.73007,32.8655,6.49,0.311,,,,
+23724,,5.10025,35.9364,6.49,0.184,,,,
+24348,33296,5.22535,62.6911,6.49,0.204,,14,Cam,
+24507,,5.25690,-73.5885,6.49,0.150,,,,
+24832,34499,5.32326,33.9854,6.49,0.256,,18,Aur,
+24881,,5.33398,44.4254,6.49,1.331,,,,
+25011,,5.35536,4.0119,6.49,-0.089,,,,
+25180,,5.38667,-26.7054,6.49,0.505,,,,
+25301,,5.41245,36.1999,6.49,1.645,,,,
+25732,,5.49489,-0.8025,6.49,0.251,,,,
+26623,,5.65857,-9.7066,6.49,-0.107,,,,
+27346,,5.79229,63.5988,6.49,1.010,,,,
+28634,,6.04587,47.8095,6.49,0.567,,,,
+30141,,6.34310,-23.6380,6.49,1.132,,,,
+32746,,6.82897,37.5127,6.49,1.553,,,,
+33754,,7.01093,-9.2030,6.49,0.142,,,,
+34238,,7.09769,70.7319,6.49,1.568,,,,
+35946,,7.41031,-71.4707,6.49,0.120,,,,
+38209,,7.82799,-19.5055,6.49,1.234,,,,
+38303,,7.84753,4.4595,6.49,0.944,,,,
+38349,,7.85426,37.0821,6.49,1.510,,,,
+40299,,8.22935,-46.5787,6.49,-0.159,,,,
+41426,,8.44937,-52.7050,6.49,0.419,,,,
+41905,,8.54459,-47.0421,6.49,1.293,,,,
+43528,,8.86544,-40.9866,6.49,-0.106,,,,
+43573,,8.87393,-32.5093,6.49,1.451,,,,
+44148,,8.99080,13.0744,6.49,1.462,,,,
+45170,79096,9.20487,14.9960,6.49,0.731,,81,Cnc,
+46879,,9.55313,45.5138,6.49,1.141,,,,
+47779,,9.74167,18.8635,6.49,1.158,,,,
+48023,,9.78950,23.6477,6.49,1.093,,,,
+51047,90250,10.42915,35.4254,6.49,1.089,,29,LMi,
+51852,,10.59413,-18.5690,6.49,0.199,,,,
+55846,99491,11.44592,3.0131,6.49,0.778,,83,Leo,
+56388,,11.56009,2.4990,6.49,1.601,,,,
+56716,,11.62842,77.5957,6.49,1.610,,,,
+56816,,11.64698,64.3470,6.49,0.154,,,,
+58450,,11.98593,-10.4759,6.49,1.450,,,,
+58512,,11.99927,34.0347,6.49,0.243,,,,
+59021,,12.10144,-32.9612,6.49,0.623,,,,
+64375,,13.19422,-26.5517,6.49,0.193,,,,
+64797,115404,13.28085,17.0172,6.49,0.926,,,,
+65682,,13.46719,-26.4022,6.49,1.608,,,,
+65723,,13.47395,40.7296,6.49,0.927,,,,
+66522,,13.63553,14.3019,6.49,0.274,,,,
+66613,,13.65414,51.8042,6.49,1.378,,,,
+68184,,13.95891,61.4929,6.49,1.040,,,,
+68413,,14.00483,-61.4810,6.49,0.333,,,,
+70452,,14.41135,-11.6697,6.49,0.417,,,,
+70501,,14.42155,-13.3532,6.49,1.223,,,,
+71295,,14.58076,-20.4394,6.49,0.139,,,,
+71494,,14.62011,-53.0608,6.49,1.447,,,,
+72508,,14.82566,51.3745,6.49,0.401,,,,
+74044,,15.13227,-61.1287,6.49,0.432,,,,
+74391,,15.20333,-19.1065,6.49,1.507,,,,
+75324,,15.39027,-46.1404,6.49,0.945,,,,
+75736,129723,15.47197,-88.1330,6.49,0.303,,,Oct,
+76048,,15.53062,-32.8811,6.49,0.065,,,,
+76198,,15.56464,17.1374,6.49,0.341,,,,
+77235,,15.77023,-28.0615,6.49,0.332,,,,
+80719,,16.48027,-8.1288,6.49,0.410,,,,
+82723,,16.90877,-49.7108,6.49,1.466,,,,
+85317,,17.43468,58.6519,6.49,0.139,,,,
+90509,,18.46845,-84.3873,6.49,-0.035,,,,
+90729,,18.51157,20.8150,6.49,0.795,,,,
+91132,171369,18.58926,-20.8404,6.49,0.280,,,Sgr,
+91369,,18.63458,-14.0048,6.49,0.189,,,,
+91394,,18.63995,-3.1936,6.49,0.553,,,,
+91707,,18.70225,34.7463,6.49,-0.116,,,,
+92296,,18.81097,-6.0043,6.49,0.242,,,,
+93209,,18.98638,-39.5347,6.49,-0.040,,,,
+93238,,18.99147,-70.4687,6.49,0.305,,,,
+96771,,19.67033,60.5071,6.49,0.212,,,,
+97607,187567,19.83819,7.9024,6.49,-0.086,,,Aql,
+97967,188294,19.91057,-8.2370,6.49,-0.040,,57,Aql,
+98038,,19.92208,-6.7348,6.49,0.391,,,,
+98458,,20.00427,26.1879,6.49,1.132,,,,
+99294,,20.15621,56.0268,6.49,0.938,,,,
+100250,193722,20.33223,46.8373,6.49,-0.084,,,Cyg,
+100379,,20.35785,-66.7497,6.49,0.505,,,,
+100651,,20.40899,53.5519,6.49,-0.025,,,,
+101505,,20.56944,20.9852,6.49,-0.138,,,,
+102496,,20.77183,-36.1202,6.49,0.433,,,,
+107299,,21.73307,-57.3252,6.49,0.484,,,,
+107710,,21.81891,66.7920,6.49,0.391,,,,
+112432,,22.77453,-49.6858,6.49,1.162,,,,
+112533,,22.79324,-65.5603,6.49,1.208,,,,
+114937,,23.28051,-41.1944,6.49,1.070,,,,
+115121,,23.31758,-28.3878,6.49,1.535,,,,
+116781,,23.66745,37.6526,6.49,0.355,,,,
+117571,,23.84323,-47.3769,6.49,1.025,,,,
+128,,0.02763,73.6118,6.50,0.182,,,,
+1009,,0.20949,44.7072,6.50,1.112,,,,
+1331,,0.27843,-20.2101,6.50,-0.108,,,,
+6429,8335,1.37634,-0.4497,6.50,1.079,,43,Cet,
+6687,,1.43121,-3.9274,6.50,1.348,,,,
+9951,,2.13491,-41.8804,6.50,0.205,,,,
+10361,,2.22597,53.0586,6.50,1.661,,,,
+10854,,2.32799,-4.3456,6.50,0.082,,,,
+11644,15634,2.50381,-25.1864,6.50,0.294,,,For,
+14791,,3.18354,64.8963,6.50,0.163,,,,
+15884,,3.41005,-51.0627,6.50,0.003,,,,
+16425,,3.52508,40.7599,6.50,0.243,,,,
+17026,,3.65002,20.9158,6.50,0.151,,,,
+17298,,3.70274,-45.9579,6.50,0.522,,,,
+21053,,4.51300,16.1487,6.50,0.428,,,,
+22923,,4.93287,5.3990,6.50,0.025,,,,
+25911,,5.53004,85.9385,6.50,0.360,,,,
+26054,,5.55761,32.8012,6.50,0.094,,,,
+27164,,5.75822,31.3248,6.50,1.100,,,,
+28656,,6.05120,57.0183,6.50,0.953,,,,
+30700,45418,6.45024,-4.3557,6.50,-0.155,,9,Mon,
+31977,,6.68267,-71.7752,6.50,1.110,,,,
+34234,53755,7.09712,-10.6601,6.50,-0.062,,,Mon,
+34763,,7.19635,16.9763,6.50,1.423,,,,
+37293,,7.65749,-26.8631,6.50,-0.094,,,,
+37634,,7.72255,4.9458,6.50,1.356,,,,
+37934,62140,7.77428,62.8305,6.50,0.262,,49,Cam,
+38403,,7.86774,45.9330,6.50,0.213,,,,
+39094,,7.99761,36.0821,6.50,1.561,,,,
+39730,,8.12111,-17.3687,6.50,1.246,,,,
+40878,,8.34141,53.5741,6.50,0.300,,,,
+41572,,8.47668,-23.0710,6.50,0.060,,,,
+41833,,8.52814,18.9877,6.50,1.496,,,,
+46566,,9.49659,55.7452,6.50,0.394,,,,
+46891,,9.55508,28.3679,6.50,0.128,,,,
+47521,,9.68798,55.8665,6.50,1.150,,,,
+47664,,9.71860,54.3637,6.50,0.121,,,,
+48469,85871,9.88336,-55.3732,6.50,-0.145,,,Vel,
+49052,,10.00959,-56.9461,6.50,0.979,,,,
+49477,87816,10.10200,-52.1879,6.50,0.997,,,Vel,
+50693,,10.35221,-17.9850,6.50,0.402,,,,
+52103,,10.64594,-59.2624,6.50,-0.098,,,,
+55645,,11.39904,-57.8804,6.50,1.504,,,,
+59742,,12.25178,-29.2373,6.50,1.086,,,,
+62600,,12.82723,48.7400,6.50,1.135,,,,
+63647,,13.04456,59.7163,6.50,0.055,,,,
+64530,,13.22665,36.8876,6.50,1.616,,,,
+65530,117043,13.43329,63.2613,6.50,0.739,,,,
+69704,,14.26733,45.5663,6.50,1.041,,,,
+70236,126009,14.37055,29.3699,6.50,1.440,,,Boo,
+72518,,14.82696,-68.9362,6.50,-0.101,,,,
+73156,,14.95100,21.5554,6.50,0.015,,,,
+74441,,15.21310,10.7023,6.50,1.274,,,,
+74895,,15.30629,0.9394,6.50,1.600,,,,
+75272,,15.37923,-29.3419,6.50,1.011,,,,
+79208,,16.16644,-62.9672,6.50,0.231,,,,
+79834,,16.29538,1.4967,6.50,1.128,,,,
+83202,,17.00396,-44.9885,6.50,0.403,,,,
+84700,,17.31436,-62.8746,6.50,1.087,,,,
+84856,,17.34287,-19.3337,6.50,0.578,,,,
+89104,,18.18532,60.4095,6.50,-0.002,,,,
+90398,,18.44470,26.4492,6.50,-0.107,,,,
+90437,,18.45246,-8.0404,6.50,1.054,,,,
+92487,,18.84963,-41.0627,6.50,-0.075,,,,
+93053,,18.95482,62.3968,6.50,0.927,,,,
+94604,,19.25221,83.4627,6.50,0.108,,,,
+94910,181182,19.31345,19.6105,6.50,-0.006,,,Sge,
+95453,182475,19.41709,-4.8845,6.50,0.340,,,Aql,
+96601,,19.63827,20.7834,6.50,1.037,,,,
+97819,,19.87753,-54.9764,6.50,0.100,,,,
+98661,,20.03947,22.1515,6.50,0.127,,,,
+101467,,20.56349,41.7727,6.50,0.994,,,,
+102370,,20.74251,69.7518,6.50,0.973,,,,
+102414,,20.75365,-27.2473,6.50,0.946,,,,
+102804,,20.82713,50.1271,6.50,1.624,,,,
+103822,,21.03915,39.5090,6.50,1.510,,,,
+103871,,21.04684,45.8489,6.50,-0.124,,,,
+103889,,21.04989,-0.9247,6.50,-0.094,,,,
+106643,,21.60140,15.0820,6.50,0.940,,,,
+108268,,21.93429,-52.4638,6.50,0.925,,,,
+108513,,21.98325,19.0203,6.50,1.013,,,,
+109079,,22.09735,45.1125,6.50,-0.025,,,,
+109691,,22.21945,18.2798,6.50,1.374,,,,
+109788,,22.23845,17.1893,6.50,1.288,,,,
+116106,221356,23.52542,-4.0874,6.50,0.531,,,,
+`;
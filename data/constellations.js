@@ -0,0 +1,283 @@
+// Bundled Constellation Data
+// IAU constellation names, label positions, stick figures and boundaries (J2000), converted from
+// d3-celestial (BSD-3-Clause, (c) Olaf Frohn). RA in hours, Dec in degrees.
+
+// Constellation names and label anchor points [ra, dec], keyed by IAU abbreviation
+// (Serpens has two separate parts: Ser1 is Serpens Caput, Ser2 is Serpens Cauda)
+const CONSTELLATION_NAMES = {
+    And: { name: 'Andromeda', genitive: 'Andromedae', label: [0.05, 43] },
+    Ant: { name: 'Antlia', genitive: 'Antliae', label: [10.4, -36] },
+    Aps: { name: 'Apus', genitive: 'Apodis', label: [16, -74] },
+    Aqr: { name: 'Aquarius', genitive: 'Aquarii', label: [22.5, -5] },
+    Aql: { name: 'Aquila', genitive: 'Aquilae', label: [19.4, 8] },
+    Ara: { name: 'Ara', genitive: 'Arae', label: [17.2, -56] },
+    Ari: { name: 'Aries', genitive: 'Arietis', label: [2.8, 22] },
+    Aur: { name: 'Auriga', genitive: 'Aurigae', label: [5.5, 37] },
+    Boo: { name: 'Boötes', genitive: 'Boötis', label: [14.9, 35] },
+    Cae: { name: 'Caelum', genitive: 'Caeli', label: [4.9, -42] },
+    Cam: { name: 'Camelopardalis', genitive: 'Camelopardalis', label: [5.6, 72] },
+    Cnc: { name: 'Cancer', genitive: 'Cancri', label: [8.55, 27] },
+    CVn: { name: 'Canes Venatici', genitive: 'Canum Venaticorum', label: [12.8, 43] },
+    CMa: { name: 'Canis Major', genitive: 'Canis Majoris', label: [6.5, -26] },
+    CMi: { name: 'Canis Minor', genitive: 'Canis Minoris', label: [7.3, 5] },
+    Cap: { name: 'Capricornus', genitive: 'Capricorni', label: [21, -22] },
+    Car: { name: 'Carina', genitive: 'Carinae', label: [9.6, -66] },
+    Cas: { name: 'Cassiopeia', genitive: 'Cassiopeiae', label: [23.6, 55.5] },
+    Cen: { name: 'Centaurus', genitive: 'Centauri', label: [13.3, -40] },
+    Cep: { name: 'Cepheus', genitive: 'Cephei', label: [22.5, 71] },
+    Cet: { name: 'Cetus', genitive: 'Ceti', label: [1.9, -5] },
+    Cha: { name: 'Chamaeleon', genitive: 'Chamaeleontis', label: [12.6, -81] },
+    Cir: { name: 'Circinus', genitive: 'Circini', label: [14.5, -67] },
+    Col: { name: 'Columba', genitive: 'Columbae', label: [5.7, -39] },
+    Com: { name: 'Coma Berenices', genitive: 'Comae Berenices', label: [12.9, 24] },
+    CrA: { name: 'Corona Austrina', genitive: 'Coronae Austrini', label: [18.8, -40] },
+    CrB: { name: 'Corona Borealis', genitive: 'Coronae Borealis', label: [15.9, 32] },
+    Crv: { name: 'Corvus', genitive: 'Corvi', label: [12.4, -19.5] },
+    Crt: { name: 'Crater', genitive: 'Crateris', label: [11.65, -15] },
+    Cru: { name: 'Crux', genitive: 'Crux', label: [12.9, -62] },
+    Cyg: { name: 'Cygnus', genitive: 'Cygni', label: [20.5, 50] },
+    Del: { name: 'Delphinus', genitive: 'Delphini', label: [20.6, 6] },
+    Dor: { name: 'Dorado', genitive: 'Doradus', label: [5.1, -64] },
+    Dra: { name: 'Draco', genitive: 'Draconis', label: [17.9, 64] },
+    Equ: { name: 'Equuleus', genitive: 'Equulei', label: [21.35, 11.5] },
+    Eri: { name: 'Eridanus', genitive: 'Eridani', label: [3.5, -18] },
+    For: { name: 'Fornax', genitive: 'Fornacis', label: [2.7, -28] },
+    Gem: { name: 'Gemini', genitive: 'Geminorum', label: [7.15, 23.5] },
+    Gru: { name: 'Grus', genitive: 'Gruis', label: [22.8, -41.5] },
+    Her: { name: 'Hercules', genitive: 'Herculis', label: [16.9, 35] },
+    Hor: { name: 'Horologium', genitive: 'Horologii', label: [3.4, -52] },
+    Hya: { name: 'Hydra', genitive: 'Hydrae', label: [10, -22] },
+    Hyi: { name: 'Hydrus', genitive: 'Hydri', label: [2.3, -72] },
+    Ind: { name: 'Indus', genitive: 'Indi', label: [21.2, -55.5] },
+    Lac: { name: 'Lacerta', genitive: 'Lacertae', label: [22.8, 47] },
+    Leo: { name: 'Leo', genitive: 'Leonis', label: [10.6, 15] },
+    LMi: { name: 'Leo Minor', genitive: 'Leonis Minoris', label: [10.5, 30] },
+    Lep: { name: 'Lepus', genitive: 'Leporis', label: [5.9, -25] },
+    Lib: { name: 'Libra', genitive: 'Librae', label: [15.4, -26] },
+    Lup: { name: 'Lupus', genitive: 'Lupi', label: [15.25, -35] },
+    Lyn: { name: 'Lynx', genitive: 'Lyncis', label: [8.1, 49] },
+    Lyr: { name: 'Lyra', genitive: 'Lyrae', label: [18.6, 30] },
+    Men: { name: 'Mensa', genitive: 'Mensae', label: [5.5, -80] },
+    Mic: { name: 'Microscopium', genitive: 'Microscopii', label: [21.1, -37] },
+    Mon: { name: 'Monoceros', genitive: 'Monocerotis', label: [7.65, -6] },
+    Mus: { name: 'Musca', genitive: 'Muscae', label: [13, -73] },
+    Nor: { name: 'Norma', genitive: 'Normae', label: [16.2, -52] },
+    Oct: { name: 'Octans', genitive: 'Octantis', label: [20, -80] },
+    Oph: { name: 'Ophiuchus', genitive: 'Ophiuchi', label: [17.2, 3] },
+    Ori: { name: 'Orion', genitive: 'Orionis', label: [5.6, 13] },
+    Pav: { name: 'Pavo', genitive: 'Pavonis', label: [19.8, -62] },
+    Peg: { name: 'Pegasus', genitive: 'Pegasi', label: [22.3, 16] },
+    Per: { name: 'Perseus', genitive: 'Persei', label: [4.4, 45] },
+    Phe: { name: 'Phoenix', genitive: 'Phoenicis', label: [1.1, -43] },
+    Pic: { name: 'Pictor', genitive: 'Pictoris', label: [5.5, -50] },
+    Psc: { name: 'Pisces', genitive: 'Piscium', label: [1.3, 15] },
+    PsA: { name: 'Piscis Austrinus', genitive: 'Piscis Austrini', label: [22.2, -29] },
+    Pup: { name: 'Puppis', genitive: 'Puppis', label: [7.4, -46] },
+    Pyx: { name: 'Pyxis', genitive: 'Pyxidis', label: [8.8, -24] },
+    Ret: { name: 'Reticulum', genitive: 'Reticuli', label: [3.7, -61] },
+    Sge: { name: 'Sagitta', genitive: 'Sagittae', label: [19.4, 18] },
+    Sgr: { name: 'Sagittarius', genitive: 'Sagittarii', label: [19.5, -34] },
+    Sco: { name: 'Scorpius', genitive: 'Scorpii', label: [16.6, -38] },
+    Scl: { name: 'Sculptor', genitive: 'Sculptoris', label: [0.1, -33] },
+    Sct: { name: 'Scutum', genitive: 'Scuti', label: [18.8, -12.5] },
+    Ser1: { name: 'Serpens Caput', genitive: 'Serpentis', label: [15.5, 5] },
+    Ser2: { name: 'Serpens Cauda', genitive: 'Serpentis', label: [18.7, 3] },
+    Sex: { name: 'Sextans', genitive: 'Sextantis', label: [10.5, -7] },
+    Tau: { name: 'Taurus', genitive: 'Tauri', label: [3.6, 15] },
+    Tel: { name: 'Telescopium', genitive: 'Telescopii', label: [18.5, -54] },
+    Tri: { name: 'Triangulum', genitive: 'Trianguli', label: [1.8, 34] },
+    TrA: { name: 'Triangulum Australe', genitive: 'Trianguli Australis', label: [16, -67.5] },
+    Tuc: { name: 'Tucana', genitive: 'Tucanae', label: [23.2, -64] },
+    UMa: { name: 'Ursa Major', genitive: 'Ursae Majoris', label: [11, 48] },
+    UMi: { name: 'Ursa Minor', genitive: 'Ursae Minoris', label: [15.1, 68] },
+    Vel: { name: 'Vela', genitive: 'Velorum', label: [9.55, -46] },
+    Vir: { name: 'Virgo', genitive: 'Virginis', label: [13.3, -4] },
+    Vol: { name: 'Volans', genitive: 'Volantis', label: [7.4, -73] },
+    Vul: { name: 'Vulpecula', genitive: 'Vulpeculae', label: [19.7, 21] },
+};
+
+// Stick figures as polylines of Hipparcos numbers from the bright star catalog
+const CONSTELLATION_LINES = {
+    And: [[9640, 5447, 3092, 677], [4463, 3693, 3031, 3092, 2912, 116631, 113726], [116631, 116805, 116584], [5447, 4436, 3881, 5434, 7607], [116805, 117221]],
+    Ant: [[46515, 51172, 53502]],
+    Aps: [[72370, 80047, 81852, 81065]],
+    Aqr: [[102618, 103045, 106278, 109074, 110395, 110960, 111497, 112961, 115033, 114341], [106278, 109139], [109074, 110003], [110960, 110672], [115438, 115033, 116901]],
+    Aql: [[97278, 97649, 98036, 99473, 97804, 95501, 93747, 97649, 95501, 93805]],
+    Ara: [[85267, 85727, 82363, 83081, 83153, 85792, 85258]],
+    Ari: [[13209, 9884, 8903, 8832]],
+    Aur: [[28360, 24608, 23767, 23015, 25428, 28380, 28360, 28358, 24608, 23416, 23453]],
+    Boo: [[67275, 67927, 69673, 71053, 71075, 73555, 74666, 72105, 69673, 71795], [71075, 69732, 69483, 70497, 69732]],
+    Cae: [[21060, 21770, 21861, 23595]],
+    Cam: [[23040, 23522, 22783, 17959, 17884, 16228], [22783, 29997, 33694]],
+    Cnc: [[44066, 42911, 42806, 43103], [42911, 40526]],
+    CVn: [[63121, 61317]],
+    CMa: [[30324, 32349, 33977, 34444, 33856, 33579, 30122], [35904, 34444], [32349, 33347, 34045, 33160, 33347]],
+    CMi: [[37279, 36188]],
+    Cap: [[100027, 100345, 101027, 102485, 102978, 105881, 107556, 106985, 105515, 104139, 100027]],
+    Car: [[31685, 30438, 45238, 50099, 52419, 51576, 50371, 45556, 41037, 38827, 39953, 42913, 45556], [52419, 54301, 54461, 54751, 54463, 53253, 51576]],
+    Cas: [[8886, 6686, 4427, 3179, 746]],
+    Cen: [[55425, 59196, 60823, 61932, 66657, 68002, 67472, 67464, 68933, 71352, 73334], [67464, 65109], [71681, 66657, 68702], [60823, 59449, 56243]],
+    Cep: [[101093, 102422, 105199, 107259, 109857, 109492, 110991, 112724, 116727, 106032, 105199], [106032, 112724]],
+    Cet: [[12706, 12093, 11484, 12828, 13954, 14135, 12706, 12387, 10826, 8645, 8102, 3419, 1562, 5364, 6537, 8645]],
+    Cha: [[40702, 51839, 52595, 60000, 58484, 51839]],
+    Cir: [[74824, 71908, 75323]],
+    Col: [[30277, 27628, 26634, 25859], [27628, 28328]],
+    Com: [[64241, 64394, 60742]],
+    CrA: [[93174, 93825, 94114, 94160, 94005, 93542, 92382, 90982]],
+    CrB: [[76127, 75695, 76267, 76952, 77512, 78159, 78493]],
+    Crv: [[59199, 59316, 59803, 60965, 61359, 59316]],
+    Crt: [[56633, 55687, 55282, 53740, 54682, 55598, 55705, 57283, 58188], [55282, 55705]],
+    Cru: [[62434, 59747], [60718, 61084]],
+    Cyg: [[104732, 102488, 100453, 97165, 95853, 94779], [102098, 100453, 98110, 95947]],
+    Del: [[101421, 101769, 101958, 102531, 102281, 101769]],
+    Dor: [[19893, 21281, 26069, 27100, 27890, 26069, 23693, 21281]],
+    Dra: [[87585, 87833, 85670, 85829, 87585, 94376, 89908, 83895, 80331, 78527, 75458, 68756, 61281, 56211], [89908, 89937], [94376, 97433]],
+    Equ: [[104987, 104858, 104521]],
+    Eri: [[23875, 22109, 21444, 19587, 18543, 17593, 17378, 16537, 13701, 12770, 12843, 14146, 15474, 16611, 17651, 21393, 20535, 20042, 17874, 16870, 15510, 13847, 12486, 11407, 10602, 9007, 7588]],
+    For: [[14879, 13147, 9677]],
+    Gem: [[29655, 30343, 32246, 34693, 36850, 37826, 36962, 35550, 34088, 31681, 32362], [35550, 35350]],
+    Gru: [[113638, 112623, 112122, 111043, 109268, 112122], [110997, 109908, 109111, 108085]],
+    Her: [[80170, 80816, 81693, 81833, 81126, 79992, 79101, 77760], [81693, 83207], [81833, 84380], [87808, 85112, 84380, 83207, 84379, 86974, 87933, 88794], [84345, 80816]],
+    Hor: [[19747, 12653, 12225, 12484, 14240, 13884]],
+    Hya: [[43109, 43234, 42799, 42402, 42313, 43109, 43813, 45336, 47431, 46390, 48356, 49841, 51069, 52943, 56343, 57936, 64962, 68895, 72571]],
+    Hyi: [[2021, 17678, 12394, 11001, 8928, 9236]],
+    Ind: [[101772, 102333, 103227, 108431, 105319, 101772]],
+    Lac: [[110538, 111169, 111022, 110351, 111104, 111944, 111022, 110609, 110538], [111104, 109754, 109937]],
+    Leo: [[49669, 49583, 50583, 54872, 57632, 54879, 49669], [50583, 50335, 48455, 47908]],
+    LMi: [[49593, 51056, 53229, 51233, 49593, 46952]],
+    Lep: [[28910, 28103, 27288, 25985, 24305, 23685, 25606, 27072, 27654], [24327, 24305, 24845]],
+    Lib: [[73714, 72622, 74785, 76333, 76470, 76600], [72622, 76333]],
+    Lup: [[77634, 76705, 75177, 75141, 73273, 71860, 74395, 74911, 75264, 76297, 78384, 78918], [75141, 76297]],
+    Lyn: [[30060, 33449, 36145, 41075, 44248, 45688, 45860]],
+    Lyr: [[91971, 91926, 91262, 91971, 92791, 93194, 92420, 91971]],
+    Men: [[29271, 25918, 22871, 23467]],
+    Mic: [[102831, 102693, 105382, 105140, 103738, 102831]],
+    Mon: [[37447, 39863, 34769, 30867, 29651], [34769, 32578, 30419, 31216, 31978]],
+    Mus: [[57363, 59929, 61585, 62322, 63613, 61199, 61585]],
+    Nor: [[78914, 80582, 80000, 78639, 78914]],
+    Oct: [[70638, 112405, 107089, 70638]],
+    Oph: [[88048, 87108, 86742, 86032, 83000, 80883, 79593, 79882, 81377, 84012], [83000, 81377, 80894, 80569, 80343, 80473], [86742, 84012, 84970, 85423]],
+    Ori: [[29038, 27913, 28716, 29426, 28614, 27989, 25336, 22845], [23123, 22797, 22549, 22449, 22509, 22845, 22957, 23607, 24010], [24436, 25281, 25930, 25336, 26207, 27989, 26727, 27366], [26727, 26311, 25930]],
+    Pav: [[100751, 102395, 99240, 92609, 90098, 88866, 86929, 91792, 98495, 102395, 105858]],
+    Peg: [[109410, 112158, 113881, 677, 1067, 113963, 112447, 112029, 109427, 107315], [113963, 113881, 112748, 112440, 109176, 107354]],
+    Per: [[17448, 18246, 18614, 18532, 17529, 17358, 16826, 15863, 14328, 13268, 13531, 14632, 14668, 14576, 14817, 14354, 13879, 13949, 14576], [19167, 19812, 19343, 17358], [14632, 12777, 8068]],
+    Phe: [[2081, 5165, 6867, 7083, 5348, 5165, 765, 2081]],
+    Pic: [[32607, 27530, 27321]],
+    Psc: [[5742, 5586, 6193, 5742, 5571, 7097, 8198, 9487, 8833, 7884, 7007, 5737, 4906, 3786, 118268, 116771, 115830, 115227, 114971, 115738, 116928, 117245, 116771], [114971, 113889]],
+    PsA: [[111954, 113368, 113246, 112948, 111188, 109285, 107380, 107608, 109285, 111954]],
+    Pup: [[31685, 35264, 36917, 37229, 38170, 38835, 39757, 39429, 39953], [38170, 38070, 37677, 36917]],
+    Pyx: [[39429, 42515, 42828, 43409]],
+    Ret: [[19780, 19921, 18597, 17440, 19780]],
+    Sge: [[96757, 97365, 98337], [96837, 97365]],
+    Sgr: [[89642, 90185, 89931, 90496, 89341], [95241, 95347, 93506, 92041, 90496], [98032, 98412, 98066, 96465, 95477, 94643, 92855, 92041, 89931, 88635, 90185, 93506, 93864, 92855, 93683, 94141, 94820, 95168, 95176], [93683, 93085, 92761, 92855]],
+    Sco: [[78265, 78401, 78820], [78401, 80112, 80763, 81266, 82396, 82514, 82729, 84143, 86228, 87073, 86670, 85927]],
+    Scl: [[4577, 117452, 115102, 116231]],
+    Sct: [[91117, 92175, 91726, 90595, 91117]],
+    Ser1: [[77233, 76852, 77450, 78072, 77233, 76276, 77070, 77622, 79593]],
+    Ser2: [[84012, 86263, 88048, 88404, 89962, 92946]],
+    Sex: [[49641, 48437, 51362, 51437]],
+    Tau: [[26451, 21421, 20894, 20205, 20455, 20889, 25428], [20205, 18724, 16083, 18907], [16083, 15900, 16852]],
+    Tel: [[89112, 90422, 90568]],
+    Tri: [[8796, 10064, 10670, 8796]],
+    TrA: [[82273, 77952, 74946, 82273]],
+    Tuc: [[110130, 114996, 2484, 1599, 118322, 110838, 110130]],
+    UMa: [[59774, 54061, 53910, 58001, 59774, 62956, 65378, 67301], [58001, 57399, 55219, 55203], [57399, 54539, 50801], [54539, 50372], [54061, 46733, 41704, 48319, 53910], [53910, 48402, 46853, 44127], [44471, 46853]],
+    UMi: [[77055, 79822, 75097, 72607, 77055, 82080, 85822, 11767]],
+    Vel: [[42913, 45941, 48774, 52727, 50191, 46651, 44816, 39953]],
+    Vir: [[57380, 57757, 60129, 61941, 64238, 65474, 69701, 71957], [63608, 63090, 61941], [64238, 66249, 68520, 72220]],
+    Vol: [[44382, 41312, 39794, 35228, 34481, 39794, 44382]],
+    Vul: [[94703, 95771, 97886, 98543, 99874]],
+};
+
+// IAU boundary polygons as [ra, dec] vertex rings
+const CONSTELLATION_BOUNDARIES = {
+    And: [[22.9644, 35.1682], [22.9562, 53.168], [23.4302, 53.187], [23.431, 50.687], [23.6847, 50.6929], [23.6851, 48.6929], [0.2764, 48.6949], [0.2762, 46.6949], [0.9851, 46.6758], [0.9859, 48.6757], [1.2392, 48.6633], [1.2404, 50.6632], [1.4939, 50.6479], [1.7979, 50.6257], [1.7954, 47.6258], [2.1748, 47.5928], [2.1783, 51.0926], [2.659, 51.0424], [2.6453, 37.2932], [2.1247, 37.3471], [2.1236, 35.5971], [1.5274, 35.6453], [1.5265, 33.6454], [0.8295, 33.6819], [0.8276, 24.4319], [0.9616, 24.4266], [0.961, 21.6766], [0.2493, 21.6952], [0.2494, 22.6952], [0.174, 22.6958], [0.1742, 28.6958], [0.1071, 28.696], [0.1071, 32.0294], [23.8552, 32.0285], [23.8552, 32.7785], [23.6033, 32.7746], [23.6029, 35.1913], [22.9644, 35.1682]],
+    Ant: [[9.4603, -24.5425], [9.4514, -37.292], [9.4489, -40.2919], [11.0971, -40.4246], [11.0986, -35.6747], [10.9306, -35.6665], [10.9319, -31.8332], [10.6801, -31.8186], [10.6809, -29.8186], [10.3454, -29.7948], [10.3466, -27.1282], [9.844, -27.0835], [9.8453, -24.5836], [9.4603, -24.5425]],
+    Aps: [[13.9407, -83.1201], [18.4577, -82.4583], [18.2797, -74.9745], [18.2187, -67.4801], [17.7184, -67.5711], [17.2162, -67.6611], [17.2314, -70.1597], [14.9444, -70.5115], [13.8307, -70.6244], [13.8521, -75.6236], [13.9407, -83.1201]],
+    Aqr: [[20.6399, 0.4362], [20.6387, 2.4361], [20.9387, 2.4773], [21.4389, 2.5394], [21.5723, 2.5544], [21.5719, 3.3044], [21.772, 3.3257], [21.7725, 2.3257], [22.1059, 2.3576], [22.1058, 2.6076], [22.8561, 2.6622], [22.8566, 0.6622], [22.8576, -3.3378], [23.9401, -3.3042], [23.9402, -6.3042], [23.9407, -24.8042], [23.1121, -24.825], [21.9847, -24.904], [21.9771, -8.4044], [21.4446, -8.4603], [21.4478, -14.4601], [20.6496, -14.5631], [20.6456, -8.5634], [20.6399, 0.4362]],
+    Aql: [[18.69, 0.1155], [18.6884, 2.1153], [18.9718, 2.1659], [18.9684, 6.4156], [18.7639, 6.3792], [18.7592, 12.1288], [18.9638, 12.1652], [18.9582, 18.6647], [19.0917, 18.6882], [19.0937, 16.3551], [19.9281, 16.4957], [19.9284, 16.0791], [20.2373, 16.1275], [20.2424, 8.8779], [20.4009, 8.9018], [20.4053, 2.4021], [20.6387, 2.4361], [20.6399, 0.4362], [20.6456, -8.5634], [20.1129, -8.6431], [20.1151, -11.6762], [18.9829, -11.8664], [18.9765, -3.8337], [18.6932, -3.8842], [18.69, 0.1155]],
+    Ara: [[16.6023, -60.2645], [16.5714, -45.7671], [17.9873, -45.5163], [18.1539, -45.486], [18.1782, -56.9838], [17.6779, -57.0748], [17.7184, -67.5711], [17.2162, -67.6611], [17.0483, -67.6906], [17.0362, -65.1916], [16.9522, -65.2063], [16.9463, -63.7901], [16.7784, -63.819], [16.7692, -61.2365], [16.6054, -61.2642], [16.6023, -60.2645]],
+    Ari: [[2.111, 10.5144], [1.777, 10.5432], [1.783, 25.6263], [2.0342, 25.6051], [2.0354, 27.855], [2.538, 27.8048], [2.5402, 31.2213], [2.8419, 31.1865], [3.4951, 31.1004], [3.486, 19.4343], [3.4025, 19.4461], [3.3964, 10.3632], [2.111, 10.5144]],
+    Aur: [[4.6325, 30.9219], [4.6383, 36.2547], [4.8305, 36.2219], [4.856, 52.7196], [5.1657, 52.6656], [5.1738, 56.1648], [6.2754, 55.9658], [6.2705, 53.9663], [6.6697, 53.8938], [6.6613, 49.8946], [6.9604, 49.841], [6.951, 44.3418], [7.5156, 44.2435], [7.504, 35.2445], [6.6727, 35.3906], [6.6644, 27.8913], [6.0147, 28.0093], [6.0153, 28.5092], [4.8808, 28.7124], [4.8824, 30.2123], [4.6318, 30.2553], [4.6325, 30.9219]],
+    Boo: [[15.1854, 7.5254], [13.6043, 7.3606], [13.6019, 14.3605], [13.5969, 27.8603], [14.0526, 27.8977], [14.0514, 30.1476], [14.1259, 30.1545], [14.1132, 47.9039], [14.1056, 54.9036], [14.4834, 54.9422], [15.3061, 55.0449], [15.3105, 52.5452], [15.8056, 52.6175], [15.8083, 51.1177], [15.8244, 39.6189], [15.5096, 39.5721], [15.5165, 32.5726], [15.2677, 32.5377], [15.2733, 25.5381], [15.1737, 25.5246], [15.1854, 7.5254]],
+    Cae: [[4.3384, -39.7007], [4.3255, -48.6997], [4.5575, -48.7384], [4.5616, -46.2388], [4.8935, -46.2959], [4.8988, -42.7964], [5.065, -42.8256], [5.0837, -27.0772], [4.9173, -27.048], [4.7842, -27.0249], [4.7815, -29.7746], [4.6651, -29.7547], [4.6575, -36.754], [4.342, -36.701], [4.3384, -39.7007]],
+    Cam: [[6.2754, 55.9658], [5.1738, 56.1648], [5.1657, 52.6656], [4.856, 52.7196], [3.4875, 52.9366], [3.4921, 55.4363], [3.3236, 55.4597], [3.3276, 57.4594], [3.2601, 57.4685], [3.293, 68.4663], [3.6158, 68.4214], [3.6872, 77.4163], [3.7817, 77.4026], [3.8354, 80.3987], [5.3659, 80.1479], [5.6357, 85.1239], [8.5302, 84.6104], [8.6935, 86.0975], [14.2015, 85.9308], [14.4522, 79.445], [13.5873, 79.3629], [13.6105, 76.3638], [13.0547, 76.3289], [11.629, 76.3084], [11.6354, 79.3083], [10.8546, 79.3402], [10.8737, 81.3396], [9.4794, 81.4678], [9.3744, 72.9741], [8.2057, 73.1384], [8.1419, 59.6434], [7.1835, 59.8037], [7.1901, 61.8031], [6.2938, 61.9641], [6.2754, 55.9658]],
+    Cnc: [[9.3603, 6.4701], [8.1948, 6.6302], [8.0366, 6.655], [8.0387, 9.6548], [7.9222, 9.6734], [7.9248, 13.1732], [7.9298, 19.6728], [8.0047, 19.6608], [8.0114, 27.6603], [8.1277, 27.6419], [8.1329, 33.1415], [9.3764, 32.9691], [9.3603, 6.4701]],
+    CVn: [[12.1063, 33.304], [12.1061, 44.304], [12.1884, 44.3043], [12.1879, 52.3043], [13.5828, 52.3598], [13.5863, 47.8599], [14.1132, 47.9039], [14.1259, 30.1545], [14.0514, 30.1476], [14.0526, 27.8977], [13.5969, 27.8603], [13.3484, 27.8438], [13.3472, 31.3437], [12.4372, 31.3074], [12.437, 33.3074], [12.1063, 33.304]],
+    CMa: [[6.2144, -11.0302], [7.4649, -11.2521], [7.4451, -33.2505], [6.6603, -33.1128], [6.1933, -33.0282], [6.1995, -27.2788], [6.2144, -11.0302]],
+    CMi: [[8.1899, -0.3694], [7.3066, -0.2243], [7.3078, 1.2756], [7.1245, 1.3074], [7.1276, 5.3072], [7.111, 5.3101], [7.1145, 9.8098], [7.1165, 12.3096], [7.6161, 12.2239], [7.6168, 13.2238], [7.9248, 13.1732], [7.9222, 9.6734], [8.0387, 9.6548], [8.0366, 6.655], [8.1948, 6.6302], [8.1899, -0.3694]],
+    Cap: [[20.6456, -8.5634], [20.1129, -8.6431], [20.1151, -11.6762], [20.1277, -27.6419], [20.4599, -27.5913], [21.4554, -27.4597], [21.4539, -24.9598], [21.9847, -24.904], [21.9771, -8.4044], [21.4446, -8.4603], [21.4478, -14.4601], [20.6496, -14.5631], [20.6456, -8.5634]],
+    Car: [[11.3437, -57.1843], [11.0892, -57.1744], [8.8882, -56.974], [8.892, -54.9742], [8.5045, -54.9205], [8.5073, -53.4207], [8.2213, -53.3782], [8.2254, -51.1285], [8.0574, -51.1026], [6.0499, -50.7545], [6.0462, -52.5042], [6.213, -52.5346], [6.2072, -55.034], [6.541, -55.0946], [6.533, -58.0938], [6.8674, -58.1537], [6.8469, -64.1519], [9.073, -64.499], [9.0162, -75.4955], [11.3238, -75.684], [11.339, -64.6843], [11.3437, -57.1843]],
+    Cas: [[22.9562, 53.168], [22.9536, 56.918], [22.9513, 59.7512], [23.2573, 59.7647], [23.2544, 63.6813], [23.6812, 63.6929], [23.6799, 66.6929], [0.4509, 66.6924], [0.4615, 77.6923], [3.6872, 77.4163], [3.6158, 68.4214], [3.293, 68.4663], [3.2601, 57.4685], [2.5842, 57.5513], [2.5868, 59.0512], [2.053, 59.1046], [2.0516, 58.1047], [1.8397, 58.1227], [1.8356, 54.6229], [1.4971, 54.6478], [1.4939, 50.6479], [1.2404, 50.6632], [1.2392, 48.6633], [0.9859, 48.6757], [0.9851, 46.6758], [0.2762, 46.6949], [0.2764, 48.6949], [23.6851, 48.6929], [23.6847, 50.6929], [23.431, 50.687], [23.4302, 53.187], [22.9562, 53.168]],
+    Cen: [[11.0986, -35.6747], [11.0971, -40.4246], [11.0892, -57.1744], [11.3437, -57.1843], [11.339, -64.6843], [11.9372, -64.6958], [11.9381, -55.6958], [12.9556, -55.6771], [12.9626, -64.677], [13.6454, -64.6379], [14.701, -64.539], [14.6823, -55.5401], [14.3105, -55.58], [14.2967, -42.5806], [15.0531, -42.4942], [15.0421, -29.9949], [12.6945, -30.1864], [12.6951, -33.6864], [12.3592, -33.6939], [12.3594, -35.6939], [11.0986, -35.6747]],
+    Cep: [[20.0382, 59.8511], [20.0323, 61.8506], [20.4541, 61.9144], [20.4345, 67.413], [20.6889, 67.449], [20.6382, 75.4455], [20.1249, 75.3709], [20.0449, 80.3648], [20.9137, 80.4868], [20.5814, 86.4656], [20.5554, 86.6306], [22.9007, 86.8369], [22.6174, 88.6639], [0.0632, 88.6092], [1.6472, 88.3564], [3.8443, 88.0063], [9.0555, 87.5689], [8.6935, 86.0975], [8.5302, 84.6104], [5.6357, 85.1239], [5.3659, 80.1479], [3.8354, 80.3987], [3.7817, 77.4026], [3.6872, 77.4163], [0.4615, 77.6923], [0.4509, 66.6924], [23.6799, 66.6929], [23.6812, 63.6929], [23.2544, 63.6813], [23.2573, 59.7647], [22.9513, 59.7512], [22.9536, 56.918], [22.3941, 56.8826], [22.3954, 55.6326], [22.2092, 55.6178], [22.2116, 53.3679], [22.0426, 53.3533], [22.0401, 55.4365], [20.6554, 55.2753], [20.6416, 61.3577], [20.5774, 61.3486], [20.5811, 59.9322], [20.0382, 59.8511]],
+    Cet: [[0.4401, 0.6925], [0.4403, 2.6925], [2.1077, 2.5979], [2.111, 10.5144], [3.3964, 10.3632], [3.3902, 0.447], [3.3891, -1.303], [2.7559, -1.221], [2.7433, -23.8536], [1.7644, -23.7563], [1.7639, -24.8729], [23.9407, -24.8042], [23.9402, -6.3042], [0.4395, -6.3075], [0.4401, 0.6925]],
+    Cha: [[7.4435, -82.7759], [13.9407, -83.1201], [13.8521, -75.6236], [11.3238, -75.684], [9.0162, -75.4955], [7.6143, -75.2899], [7.4435, -82.7759]],
+    Cir: [[13.6454, -64.6379], [13.6472, -65.6379], [13.8179, -65.625], [13.8307, -70.6244], [14.9444, -70.5115], [14.9336, -68.0122], [15.1038, -67.9909], [15.0902, -64.0751], [15.3444, -64.0416], [15.337, -61.4587], [15.506, -61.4353], [15.5033, -60.4355], [15.4921, -55.4363], [15.2056, -55.4755], [14.6823, -55.5401], [14.701, -64.539], [13.6454, -64.6379]],
+    Col: [[5.065, -42.8256], [5.0837, -27.0772], [6.1995, -27.2788], [6.1933, -33.0282], [6.6603, -33.1128], [6.6473, -43.1116], [6.0635, -43.0058], [5.065, -42.8256]],
+    Com: [[11.9736, 13.304], [11.9739, 28.304], [12.1064, 28.304], [12.1063, 33.304], [12.437, 33.3074], [12.4372, 31.3074], [13.3472, 31.3437], [13.3484, 27.8438], [13.5969, 27.8603], [13.6019, 14.3605], [12.9373, 14.3225], [12.9375, 13.3225], [11.9736, 13.304]],
+    CrA: [[17.975, -37.0175], [19.3064, -36.7786], [19.318, -45.2776], [18.1539, -45.486], [17.9873, -45.5163], [17.975, -37.0175]],
+    CrB: [[15.2733, 25.5381], [15.2677, 32.5377], [15.5165, 32.5726], [15.5096, 39.5721], [15.8244, 39.6189], [16.4048, 39.7117], [16.4187, 26.7129], [16.2524, 26.6855], [16.2533, 25.6856], [16.1204, 25.6641], [15.2733, 25.5381]],
+    Crv: [[12.9422, -11.6774], [11.9398, -11.6958], [11.9394, -25.1958], [12.6936, -25.1864], [12.6932, -22.6864], [12.9445, -22.6773], [12.9422, -11.6774]],
+    Crt: [[10.8551, -6.6622], [10.8539, -11.6621], [10.8517, -19.6621], [10.9354, -19.6666], [10.9339, -25.1666], [11.9394, -25.1958], [11.9398, -11.6958], [11.9399, -6.6958], [11.6228, -6.6917], [10.8551, -6.6622]],
+    Cru: [[11.9381, -55.6958], [11.9372, -64.6958], [12.9626, -64.677], [12.9556, -55.6771], [11.9381, -55.6958]],
+    Cyg: [[19.3422, 27.7324], [19.3397, 30.2322], [19.4399, 30.2493], [19.4328, 36.7487], [19.4746, 36.7558], [19.4656, 43.755], [19.2314, 43.7149], [19.225, 47.7144], [19.1414, 47.6999], [19.1251, 55.6984], [19.4603, 55.756], [19.454, 58.2555], [19.8067, 58.3139], [19.8026, 59.8135], [20.0382, 59.8511], [20.5811, 59.9322], [20.5774, 61.3486], [20.6416, 61.3577], [20.6554, 55.2753], [22.0401, 55.4365], [22.0426, 53.3533], [22.0508, 44.6036], [21.9919, 44.5983], [21.9921, 44.3483], [21.9584, 44.3451], [21.9641, 36.5954], [21.8213, 36.5815], [21.8263, 28.5818], [21.508, 28.5481], [21.0056, 28.4872], [21.0048, 29.4871], [19.7501, 29.3011], [19.7515, 27.8012], [19.3422, 27.7324]],
+    Del: [[20.6387, 2.4361], [20.4053, 2.4021], [20.4009, 8.9018], [20.2424, 8.8779], [20.2373, 16.1275], [20.3458, 16.144], [20.3423, 20.8937], [20.6598, 20.9399], [20.6605, 19.94], [21.1453, 20.0046], [21.1499, 12.3383], [20.9746, 12.3158], [20.9781, 6.4827], [20.9364, 6.4772], [20.9387, 2.4773], [20.6387, 2.4361]],
+    Dor: [[3.8879, -52.7968], [4.0532, -52.8228], [4.0462, -56.1556], [4.3767, -56.2094], [4.3703, -58.7089], [4.6183, -58.7507], [4.5863, -67.2479], [4.5721, -69.7467], [6.5636, -70.1041], [6.5958, -64.107], [6.0116, -64.0011], [6.023, -61.0021], [5.5238, -60.9113], [5.5346, -57.4123], [5.0365, -57.323], [5.0451, -53.8238], [4.5478, -53.7376], [4.5575, -48.7384], [4.3255, -48.6997], [4.1433, -48.67], [4.1399, -50.6697], [3.8918, -50.6305], [3.8879, -52.7968]],
+    Dra: [[9.3744, 72.9741], [9.4794, 81.4678], [10.8737, 81.3396], [10.8546, 79.3402], [11.6354, 79.3083], [11.629, 76.3084], [13.0547, 76.3289], [13.0732, 69.3294], [14.0434, 69.3991], [14.0547, 65.3997], [15.6886, 65.6023], [15.67, 69.6009], [16.5227, 69.7383], [16.4814, 74.7348], [17.4358, 74.9033], [17.3479, 79.8953], [17.8437, 79.9857], [17.4481, 85.9496], [20.5814, 86.4656], [20.9137, 80.4868], [20.0449, 80.3648], [20.1249, 75.3709], [20.6382, 75.4455], [20.6889, 67.449], [20.4345, 67.413], [20.4541, 61.9144], [20.0323, 61.8506], [20.0382, 59.8511], [19.8026, 59.8135], [19.8067, 58.3139], [19.454, 58.2555], [19.4603, 55.756], [19.1251, 55.6984], [19.1414, 47.6999], [18.2895, 47.5476], [18.2838, 50.5471], [17.0524, 50.3244], [17.0505, 51.3243], [15.8083, 51.1177], [15.8056, 52.6175], [15.3105, 52.5452], [15.3061, 55.0449], [14.4834, 54.9422], [14.4697, 62.4415], [13.5716, 62.3594], [13.57, 63.3593], [12.1054, 63.304], [12.1053, 65.804], [11.4566, 65.8126], [11.4641, 72.8125], [9.3744, 72.9741]],
+    Equ: [[20.9387, 2.4773], [20.9364, 6.4772], [20.9781, 6.4827], [20.9746, 12.3158], [21.1499, 12.3383], [21.2167, 12.3466], [21.2163, 13.0132], [21.4334, 13.0391], [21.4389, 2.5394], [20.9387, 2.4773]],
+    Eri: [[3.6902, 0.4037], [4.7235, 0.2375], [4.7735, 0.2289], [4.7704, -3.7708], [5.187, -3.8437], [5.1813, -10.8432], [5.0148, -10.8138], [5.0119, -14.3136], [4.9287, -14.299], [4.9173, -27.048], [4.7842, -27.0249], [4.7815, -29.7746], [4.6651, -29.7547], [4.6575, -36.754], [4.342, -36.701], [4.3384, -39.7007], [3.9404, -39.6368], [3.9354, -43.6364], [3.4885, -43.5694], [3.4859, -45.5692], [3.0727, -45.5125], [3.069, -48.5122], [2.739, -48.471], [2.7365, -50.4709], [2.4894, -50.4426], [2.4856, -53.4424], [2.2389, -53.4165], [2.2326, -57.9162], [1.4137, -57.8484], [1.4182, -52.8486], [1.6645, -52.8659], [1.6663, -50.8659], [1.9129, -50.8859], [1.9159, -47.5527], [2.4102, -47.6005], [2.4176, -39.4342], [3.0792, -39.5129], [3.0796, -39.0963], [3.5763, -39.1651], [3.58, -35.582], [3.8287, -35.6192], [3.8393, -24.0034], [2.7433, -23.8536], [2.7559, -1.221], [3.3891, -1.303], [3.689, -1.3462], [3.6902, 0.4037]],
+    For: [[1.7644, -23.7563], [2.7433, -23.8536], [3.8393, -24.0034], [3.8287, -35.6192], [3.58, -35.582], [3.5763, -39.1651], [3.0796, -39.0963], [3.0792, -39.5129], [2.4176, -39.4342], [1.7567, -39.3726], [1.7639, -24.8729], [1.7644, -23.7563]],
+    Gem: [[6.4249, 11.9333], [6.4296, 17.4329], [6.338, 17.4495], [6.3416, 21.4492], [6.0083, 21.5099], [6.0096, 22.8431], [6.0147, 28.0093], [6.6644, 27.8913], [6.6727, 35.3906], [7.504, 35.2445], [7.886, 35.1811], [7.8839, 33.1812], [8.1329, 33.1415], [8.1277, 27.6419], [8.0114, 27.6603], [8.0047, 19.6608], [7.9298, 19.6728], [7.9248, 13.1732], [7.6168, 13.2238], [7.6161, 12.2239], [7.1165, 12.3096], [7.1145, 9.8098], [7.0479, 9.8215], [7.0495, 11.8213], [6.4249, 11.9333]],
+    Gru: [[21.4619, -36.4593], [21.4695, -44.9589], [21.4745, -49.4586], [22.1333, -49.3912], [22.1409, -56.3908], [23.4512, -56.3127], [23.4462, -39.3128], [23.4456, -36.3128], [23.1152, -36.325], [21.4619, -36.4593]],
+    Her: [[16.3706, 3.7034], [16.1873, 3.6735], [16.1784, 15.6728], [16.0121, 15.6463], [16.0074, 21.646], [16.1238, 21.6644], [16.1204, 25.6641], [16.2533, 25.6856], [16.2524, 26.6855], [16.4187, 26.7129], [16.4048, 39.7117], [15.8244, 39.6189], [15.8083, 51.1177], [17.0505, 51.3243], [17.0524, 50.3244], [18.2838, 50.5471], [18.2895, 47.5476], [18.2311, 47.537], [18.255, 30.0392], [18.4467, 30.074], [18.4509, 26.0744], [18.9513, 26.1641], [18.9518, 25.6641], [18.9559, 21.2478], [18.9582, 18.6647], [18.9638, 12.1652], [18.7592, 12.1288], [18.3469, 12.0543], [18.3449, 14.3875], [17.3451, 14.206], [17.3464, 12.7061], [16.8468, 12.6179], [16.8537, 3.7852], [16.3706, 3.7034]],
+    Hor: [[4.3384, -39.7007], [4.3255, -48.6997], [4.1433, -48.67], [4.1399, -50.6697], [3.8918, -50.6305], [3.8879, -52.7968], [3.5577, -52.7471], [3.5491, -57.0798], [3.2527, -57.0378], [3.2242, -67.0358], [2.2135, -66.9152], [2.2326, -57.9162], [2.2389, -53.4165], [2.4856, -53.4424], [2.4894, -50.4426], [2.7365, -50.4709], [2.739, -48.471], [3.069, -48.5122], [3.0727, -45.5125], [3.4859, -45.5692], [3.4885, -43.5694], [3.9354, -43.6364], [3.9404, -39.6368], [4.3384, -39.7007]],
+    Hya: [[8.1899, -0.3694], [8.1948, 6.6302], [9.3603, 6.4701], [9.6932, 6.4328], [9.6899, -0.5671], [9.6847, -11.5668], [10.8539, -11.6621], [10.8517, -19.6621], [10.9354, -19.6666], [10.9339, -25.1666], [11.9394, -25.1958], [12.6936, -25.1864], [12.6932, -22.6864], [12.9445, -22.6773], [14.3675, -22.5728], [14.3689, -25.0727], [15.0384, -24.9951], [15.0421, -29.9949], [12.6945, -30.1864], [12.6951, -33.6864], [12.3592, -33.6939], [12.3594, -35.6939], [11.0986, -35.6747], [10.9306, -35.6665], [10.9319, -31.8332], [10.6801, -31.8186], [10.6809, -29.8186], [10.3454, -29.7948], [10.3466, -27.1282], [9.844, -27.0835], [9.8453, -24.5836], [9.4603, -24.5425], [9.1758, -24.5086], [9.179, -19.5088], [8.6776, -19.4424], [8.679, -17.4425], [8.4618, -17.4113], [8.466, -11.4116], [8.1823, -11.3688], [8.1899, -0.3694]],
+    Hyi: [[4.5863, -67.2479], [4.5721, -69.7467], [4.5305, -74.7432], [3.4717, -74.5741], [3.3394, -82.0645], [0.1022, -81.804], [0.1044, -74.304], [0.8222, -74.3186], [0.8197, -75.3185], [1.3769, -75.3472], [1.4137, -57.8484], [2.2326, -57.9162], [2.2135, -66.9152], [3.2242, -67.0358], [4.5863, -67.2479]],
+    Ind: [[21.5457, -74.4545], [23.4665, -74.3125], [23.4574, -66.8126], [22.1599, -66.89], [22.1409, -56.3908], [22.1333, -49.3912], [21.4745, -49.4586], [21.4695, -44.9589], [20.478, -45.09], [20.4973, -56.5886], [20.5043, -59.5881], [21.4899, -59.4577], [21.5457, -74.4545]],
+    Lac: [[21.9641, 36.5954], [21.9584, 44.3451], [21.9921, 44.3483], [21.9919, 44.5983], [22.0508, 44.6036], [22.0426, 53.3533], [22.2116, 53.3679], [22.2092, 55.6178], [22.3954, 55.6326], [22.3941, 56.8826], [22.9536, 56.918], [22.9562, 53.168], [22.9644, 35.1682], [22.9139, 35.1656], [22.9138, 35.6656], [22.0906, 35.6069], [22.09, 36.6069], [21.9641, 36.5954]],
+    Leo: [[10.8566, -0.6622], [10.8584, 6.3377], [9.6932, 6.4328], [9.3603, 6.4701], [9.3764, 32.9691], [10.0056, 32.9023], [10.0028, 27.9024], [10.6159, 27.8529], [10.6141, 22.853], [10.8628, 22.8376], [10.8634, 24.8376], [11.1121, 24.825], [11.1129, 28.325], [11.9739, 28.304], [11.9736, 13.304], [11.9736, 10.304], [11.6244, 10.3083], [11.6234, -0.6917], [11.6228, -6.6917], [10.8551, -6.6622], [10.8566, -0.6622]],
+    LMi: [[9.3764, 32.9691], [9.3814, 39.2188], [9.7121, 39.1818], [9.7139, 41.4317], [10.2919, 41.3774], [10.2906, 39.3774], [10.9015, 39.3356], [10.8993, 33.3357], [11.1143, 33.325], [11.1129, 28.325], [11.1121, 24.825], [10.8634, 24.8376], [10.8628, 22.8376], [10.6141, 22.853], [10.6159, 27.8529], [10.0028, 27.9024], [10.0056, 32.9023], [9.3764, 32.9691]],
+    Lep: [[4.9173, -27.048], [5.0837, -27.0772], [6.1995, -27.2788], [6.2144, -11.0302], [5.9311, -10.9785], [5.1813, -10.8432], [5.0148, -10.8138], [5.0119, -14.3136], [4.9287, -14.299], [4.9173, -27.048]],
+    Lib: [[15.1902, -0.4743], [14.7735, -0.5269], [14.7778, -8.5267], [14.3606, -8.5731], [14.3675, -22.5728], [14.3689, -25.0727], [15.0384, -24.9951], [15.0421, -29.9949], [15.7953, -29.8896], [15.7875, -20.3902], [16.0381, -20.3516], [16.0292, -8.3523], [16.0258, -3.6026], [15.1921, -3.7242], [15.1902, -0.4743]],
+    Lup: [[14.3105, -55.58], [14.6823, -55.5401], [15.2056, -55.4755], [15.2038, -54.4756], [15.4902, -54.4364], [15.4805, -48.4371], [15.8165, -48.388], [15.8083, -42.3886], [16.1435, -42.3367], [16.1298, -29.8378], [15.7953, -29.8896], [15.0421, -29.9949], [15.0531, -42.4942], [14.2967, -42.5806], [14.3105, -55.58]],
+    Lyn: [[7.504, 35.2445], [7.5156, 44.2435], [6.951, 44.3418], [6.9604, 49.841], [6.6613, 49.8946], [6.6697, 53.8938], [6.2705, 53.9663], [6.2754, 55.9658], [6.2938, 61.9641], [7.1901, 61.8031], [7.1835, 59.8037], [8.1419, 59.6434], [8.5866, 59.576], [8.5627, 46.5777], [9.306, 46.4783], [9.3008, 41.4786], [9.7139, 41.4317], [9.7121, 39.1818], [9.3814, 39.2188], [9.3764, 32.9691], [8.1329, 33.1415], [7.8839, 33.1812], [7.886, 35.1811], [7.504, 35.2445]],
+    Lyr: [[18.9518, 25.6641], [18.9513, 26.1641], [18.4509, 26.0744], [18.4467, 30.074], [18.255, 30.0392], [18.2311, 47.537], [18.2895, 47.5476], [19.1414, 47.6999], [19.225, 47.7144], [19.2314, 43.7149], [19.4656, 43.755], [19.4746, 36.7558], [19.4328, 36.7487], [19.4399, 30.2493], [19.3397, 30.2322], [19.3422, 27.7324], [19.3441, 25.7326], [18.9518, 25.6641]],
+    Men: [[7.268, -85.2614], [3.2155, -84.5554], [3.3394, -82.0645], [3.4717, -74.5741], [4.5305, -74.7432], [4.5721, -69.7467], [6.5636, -70.1041], [6.518, -75.1], [7.6143, -75.2899], [7.4435, -82.7759], [7.268, -85.2614]],
+    Mic: [[20.4599, -27.5913], [21.4554, -27.4597], [21.4619, -36.4593], [21.4695, -44.9589], [20.478, -45.09], [20.4599, -27.5913]],
+    Mon: [[6.3484, -0.0537], [6.3565, 9.9455], [6.4232, 9.9334], [6.4249, 11.9333], [7.0495, 11.8213], [7.0479, 9.8215], [7.1145, 9.8098], [7.111, 5.3101], [7.1276, 5.3072], [7.1245, 1.3074], [7.3078, 1.2756], [7.3066, -0.2243], [8.1899, -0.3694], [8.1823, -11.3688], [7.4649, -11.2521], [6.2144, -11.0302], [5.9311, -10.9785], [5.9368, -3.9791], [6.3451, -4.0534], [6.3484, -0.0537]],
+    Mus: [[11.339, -64.6843], [11.3238, -75.684], [13.8521, -75.6236], [13.8307, -70.6244], [13.8179, -65.625], [13.6472, -65.6379], [13.6454, -64.6379], [12.9626, -64.677], [11.9372, -64.6958], [11.339, -64.6843]],
+    Nor: [[15.5033, -60.4355], [16.6023, -60.2645], [16.5714, -45.7671], [16.5663, -42.2675], [16.1435, -42.3367], [15.8083, -42.3886], [15.8165, -48.388], [15.4805, -48.4371], [15.4902, -54.4364], [15.2038, -54.4756], [15.2056, -55.4755], [15.4921, -55.4363], [15.5033, -60.4355]],
+    Oct: [[0.1022, -81.804], [3.3394, -82.0645], [3.2155, -84.5554], [7.268, -85.2614], [7.4435, -82.7759], [13.9407, -83.1201], [18.4577, -82.4583], [18.2797, -74.9745], [21.5457, -74.4545], [23.4665, -74.3125], [0.1044, -74.304], [0.1022, -81.804]],
+    Oph: [[16.3735, -0.2964], [16.3706, 3.7034], [16.8537, 3.7852], [16.8468, 12.6179], [17.3464, 12.7061], [17.3451, 14.206], [18.3449, 14.3875], [18.3469, 12.0543], [18.7592, 12.1288], [18.7639, 6.3792], [18.3516, 6.3048], [18.3531, 4.5549], [18.5281, 4.5866], [18.5293, 3.0867], [18.3543, 3.055], [18.3567, 0.0552], [17.9401, -0.0206], [17.9433, -4.0204], [18.0766, -3.9961], [18.0816, -9.9956], [17.7816, -10.0502], [17.783, -11.7168], [17.6996, -11.7319], [17.6982, -10.0654], [17.2815, -10.1404], [17.2865, -16.14], [17.72, -16.0619], [17.7335, -30.0607], [16.8824, -30.2123], [16.877, -24.7961], [16.3928, -24.8781], [16.3882, -19.5452], [16.4967, -19.5272], [16.4959, -18.5272], [16.3874, -18.5452], [16.3794, -8.2959], [16.0292, -8.3523], [16.0258, -3.6026], [16.3759, -3.5462], [16.3735, -0.2964]],
+    Ori: [[4.7235, 0.2375], [4.7356, 15.7365], [5.0859, 15.6755], [5.0864, 16.1755], [5.4532, 16.1101], [5.4528, 15.6101], [5.7196, 15.5619], [5.717, 12.5622], [5.8837, 12.5319], [5.8885, 18.0314], [5.8218, 18.0435], [5.8263, 22.8765], [6.0096, 22.8431], [6.0083, 21.5099], [6.3416, 21.4492], [6.338, 17.4495], [6.4296, 17.4329], [6.4249, 11.9333], [6.4232, 9.9334], [6.3565, 9.9455], [6.3484, -0.0537], [6.3451, -4.0534], [5.9368, -3.9791], [5.9311, -10.9785], [5.1813, -10.8432], [5.187, -3.8437], [4.7704, -3.7708], [4.7735, 0.2289], [4.7235, 0.2375]],
+    Pav: [[18.2797, -74.9745], [21.5457, -74.4545], [21.4899, -59.4577], [20.5043, -59.5881], [20.4973, -56.5886], [18.1782, -56.9838], [17.6779, -57.0748], [17.7184, -67.5711], [18.2187, -67.4801], [18.2797, -74.9745]],
+    Peg: [[21.4389, 2.5394], [21.4334, 13.0391], [21.2163, 13.0132], [21.2167, 12.3466], [21.1499, 12.3383], [21.1453, 20.0046], [21.3459, 20.0291], [21.3434, 24.0289], [21.5108, 24.0482], [21.508, 28.5481], [21.8263, 28.5818], [21.8213, 36.5815], [21.9641, 36.5954], [22.09, 36.6069], [22.0906, 35.6069], [22.9138, 35.6656], [22.9139, 35.1656], [22.9644, 35.1682], [23.6029, 35.1913], [23.6033, 32.7746], [23.8552, 32.7785], [23.8552, 32.0285], [0.1071, 32.0294], [0.1071, 28.696], [0.1742, 28.6958], [0.174, 22.6958], [0.2494, 22.6952], [0.2493, 21.6952], [0.2489, 13.1952], [0.1069, 13.196], [0.1068, 10.696], [23.9398, 10.6958], [23.9399, 8.1958], [22.8548, 8.1622], [22.8561, 2.6622], [22.1058, 2.6076], [22.1059, 2.3576], [21.7725, 2.3257], [21.772, 3.3257], [21.5719, 3.3044], [21.5723, 2.5544], [21.4389, 2.5394]],
+    Per: [[2.8419, 31.1865], [2.8444, 34.5197], [2.6935, 34.5375], [2.6956, 37.2874], [2.6453, 37.2932], [2.659, 51.0424], [2.1783, 51.0926], [2.1748, 47.5928], [1.7954, 47.6258], [1.7979, 50.6257], [1.4939, 50.6479], [1.4971, 54.6478], [1.8356, 54.6229], [1.8397, 58.1227], [2.0516, 58.1047], [2.053, 59.1046], [2.5868, 59.0512], [2.5842, 57.5513], [3.2601, 57.4685], [3.3276, 57.4594], [3.3236, 55.4597], [3.4921, 55.4363], [3.4875, 52.9366], [4.856, 52.7196], [4.8305, 36.2219], [4.6383, 36.2547], [4.6325, 30.9219], [3.4951, 31.1004], [2.8419, 31.1865]],
+    Phe: [[23.4462, -39.3128], [23.4512, -56.3127], [23.4519, -57.8127], [1.4137, -57.8484], [1.4182, -52.8486], [1.6645, -52.8659], [1.6663, -50.8659], [1.9129, -50.8859], [1.9159, -47.5527], [2.4102, -47.6005], [2.4176, -39.4342], [1.7567, -39.3726], [0.0402, -39.3039], [23.4462, -39.3128]],
+    Pic: [[6.0635, -43.0058], [5.065, -42.8256], [4.8988, -42.7964], [4.8935, -46.2959], [4.5616, -46.2388], [4.5575, -48.7384], [4.5478, -53.7376], [5.0451, -53.8238], [5.0365, -57.323], [5.5346, -57.4123], [5.5238, -60.9113], [6.023, -61.0021], [6.0116, -64.0011], [6.5958, -64.107], [6.8469, -64.1519], [6.8674, -58.1537], [6.533, -58.0938], [6.541, -55.0946], [6.2072, -55.034], [6.213, -52.5346], [6.0462, -52.5042], [6.0499, -50.7545], [6.0635, -43.0058]],
+    Psc: [[22.8566, 0.6622], [22.8561, 2.6622], [22.8548, 8.1622], [23.9399, 8.1958], [23.9398, 10.6958], [0.1068, 10.696], [0.1069, 13.196], [0.2489, 13.1952], [0.2493, 21.6952], [0.961, 21.6766], [0.9616, 24.4266], [0.8276, 24.4319], [0.8295, 33.6819], [1.5265, 33.6454], [1.5244, 28.6454], [1.7843, 28.6263], [1.783, 25.6263], [1.777, 10.5432], [2.111, 10.5144], [2.1077, 2.5979], [0.4403, 2.6925], [0.4401, 0.6925], [0.4395, -6.3075], [23.9402, -6.3042], [23.9401, -3.3042], [22.8576, -3.3378], [22.8566, 0.6622]],
+    PsA: [[23.1121, -24.825], [21.9847, -24.904], [21.4539, -24.9598], [21.4554, -27.4597], [21.4619, -36.4593], [23.1152, -36.325], [23.1121, -24.825]],
+    Pup: [[7.4649, -11.2521], [7.4451, -33.2505], [6.6603, -33.1128], [6.6473, -43.1116], [6.0635, -43.0058], [6.0499, -50.7545], [8.0574, -51.1026], [8.0692, -43.3535], [8.4382, -43.4095], [8.4452, -37.16], [8.4618, -17.4113], [8.466, -11.4116], [8.1823, -11.3688], [7.4649, -11.2521]],
+    Pyx: [[8.4618, -17.4113], [8.679, -17.4425], [8.6776, -19.4424], [9.179, -19.5088], [9.1758, -24.5086], [9.4603, -24.5425], [9.4514, -37.292], [8.4452, -37.16], [8.4618, -17.4113]],
+    Ret: [[3.2242, -67.0358], [4.5863, -67.2479], [4.6183, -58.7507], [4.3703, -58.7089], [4.3767, -56.2094], [4.0462, -56.1556], [4.0532, -52.8228], [3.8879, -52.7968], [3.5577, -52.7471], [3.5491, -57.0798], [3.2527, -57.0378], [3.2242, -67.0358]],
+    Sge: [[18.9582, 18.6647], [18.9559, 21.2478], [19.3398, 21.3148], [19.3414, 19.3983], [19.9257, 19.4955], [19.924, 21.5787], [20.3417, 21.6437], [20.3423, 20.8937], [20.3458, 16.144], [20.2373, 16.1275], [19.9284, 16.0791], [19.9281, 16.4957], [19.0937, 16.3551], [19.0917, 18.6882], [18.9582, 18.6647]],
+    Sgr: [[18.9829, -11.8664], [18.9862, -15.8328], [18.37, -15.9436], [17.72, -16.0619], [17.7335, -30.0607], [17.9669, -30.0182], [17.975, -37.0175], [19.3064, -36.7786], [19.318, -45.2776], [20.478, -45.09], [20.4599, -27.5913], [20.1277, -27.6419], [20.1151, -11.6762], [18.9829, -11.8664]],
+    Sco: [[16.0292, -8.3523], [16.3794, -8.2959], [16.3874, -18.5452], [16.4959, -18.5272], [16.4967, -19.5272], [16.3882, -19.5452], [16.3928, -24.8781], [16.877, -24.7961], [16.8824, -30.2123], [17.7335, -30.0607], [17.9669, -30.0182], [17.975, -37.0175], [17.9873, -45.5163], [16.5714, -45.7671], [16.5663, -42.2675], [16.1435, -42.3367], [16.1298, -29.8378], [15.7953, -29.8896], [15.7875, -20.3902], [16.0381, -20.3516], [16.0292, -8.3523]],
+    Scl: [[23.1121, -24.825], [23.9407, -24.8042], [1.7639, -24.8729], [1.7567, -39.3726], [0.0402, -39.3039], [23.4462, -39.3128], [23.4456, -36.3128], [23.1152, -36.325], [23.1121, -24.825]],
+    Sct: [[18.37, -15.9436], [18.9862, -15.8328], [18.9829, -11.8664], [18.9765, -3.8337], [18.6932, -3.8842], [18.3599, -3.9445], [18.37, -15.9436]],
+    Ser1: [[15.1902, -0.4743], [15.1854, 7.5254], [15.1737, 25.5246], [15.2733, 25.5381], [16.1204, 25.6641], [16.1238, 21.6644], [16.0074, 21.646], [16.0121, 15.6463], [16.1784, 15.6728], [16.1873, 3.6735], [16.3706, 3.7034], [16.3735, -0.2964], [16.3759, -3.5462], [16.0258, -3.6026], [15.1921, -3.7242], [15.1902, -0.4743]],
+    Ser2: [[18.3567, 0.0552], [18.3543, 3.055], [18.5293, 3.0867], [18.5281, 4.5866], [18.3531, 4.5549], [18.3516, 6.3048], [18.7639, 6.3792], [18.9684, 6.4156], [18.9718, 2.1659], [18.6884, 2.1153], [18.69, 0.1155], [18.6932, -3.8842], [18.3599, -3.9445], [18.37, -15.9436], [17.72, -16.0619], [17.2865, -16.14], [17.2815, -10.1404], [17.6982, -10.0654], [17.6996, -11.7319], [17.783, -11.7168], [17.7816, -10.0502], [18.0816, -9.9956], [18.0766, -3.9961], [17.9433, -4.0204], [17.9401, -0.0206], [18.3567, 0.0552]],
+    Sex: [[9.6899, -0.5671], [9.6932, 6.4328], [10.8584, 6.3377], [10.8566, -0.6622], [10.8551, -6.6622], [10.8539, -11.6621], [9.6847, -11.5668], [9.6899, -0.5671]],
+    Tau: [[3.3891, -1.303], [3.3902, 0.447], [3.3964, 10.3632], [3.4025, 19.4461], [3.486, 19.4343], [3.4951, 31.1004], [4.6325, 30.9219], [4.6318, 30.2553], [4.8824, 30.2123], [4.8808, 28.7124], [6.0153, 28.5092], [6.0147, 28.0093], [6.0096, 22.8431], [5.8263, 22.8765], [5.8218, 18.0435], [5.8885, 18.0314], [5.8837, 12.5319], [5.717, 12.5622], [5.7196, 15.5619], [5.4528, 15.6101], [5.4532, 16.1101], [5.0864, 16.1755], [5.0859, 15.6755], [4.7356, 15.7365], [4.7235, 0.2375], [3.6902, 0.4037], [3.689, -1.3462], [3.3891, -1.303]],
+    Tel: [[20.4973, -56.5886], [20.478, -45.09], [19.318, -45.2776], [18.1539, -45.486], [18.1782, -56.9838], [20.4973, -56.5886]],
+    Tri: [[1.783, 25.6263], [1.7843, 28.6263], [1.5244, 28.6454], [1.5265, 33.6454], [1.5274, 35.6453], [2.1236, 35.5971], [2.1247, 37.3471], [2.6453, 37.2932], [2.6956, 37.2874], [2.6935, 34.5375], [2.8444, 34.5197], [2.8419, 31.1865], [2.5402, 31.2213], [2.538, 27.8048], [2.0354, 27.855], [2.0342, 25.6051], [1.783, 25.6263]],
+    TrA: [[14.9444, -70.5115], [14.9336, -68.0122], [15.1038, -67.9909], [15.0902, -64.0751], [15.3444, -64.0416], [15.337, -61.4587], [15.506, -61.4353], [15.5033, -60.4355], [16.6023, -60.2645], [16.6054, -61.2642], [16.7692, -61.2365], [16.7784, -63.819], [16.9463, -63.7901], [16.9522, -65.2063], [17.0362, -65.1916], [17.0483, -67.6906], [17.2162, -67.6611], [17.2314, -70.1597], [14.9444, -70.5115]],
+    Tuc: [[23.4665, -74.3125], [0.1044, -74.304], [0.8222, -74.3186], [0.8197, -75.3185], [1.3769, -75.3472], [1.4137, -57.8484], [23.4519, -57.8127], [23.4512, -56.3127], [22.1409, -56.3908], [22.1599, -66.89], [23.4574, -66.8126], [23.4665, -74.3125]],
+    UMa: [[9.7139, 41.4317], [9.3008, 41.4786], [9.306, 46.4783], [8.5627, 46.5777], [8.5866, 59.576], [8.1419, 59.6434], [8.2057, 73.1384], [9.3744, 72.9741], [11.4641, 72.8125], [11.4566, 65.8126], [12.1053, 65.804], [12.1054, 63.304], [13.57, 63.3593], [13.5716, 62.3594], [14.4697, 62.4415], [14.4834, 54.9422], [14.1056, 54.9036], [14.1132, 47.9039], [13.5863, 47.8599], [13.5828, 52.3598], [12.1879, 52.3043], [12.1884, 44.3043], [12.1061, 44.304], [12.1063, 33.304], [12.1064, 28.304], [11.9739, 28.304], [11.1129, 28.325], [11.1143, 33.325], [10.8993, 33.3357], [10.9015, 39.3356], [10.2906, 39.3774], [10.2919, 41.3774], [9.7139, 41.4317]],
+    UMi: [[13.0547, 76.3289], [13.0732, 69.3294], [14.0434, 69.3991], [14.0547, 65.3997], [15.6886, 65.6023], [15.67, 69.6009], [16.5227, 69.7383], [16.4814, 74.7348], [17.4358, 74.9033], [17.3479, 79.8953], [17.8437, 79.9857], [17.4481, 85.9496], [20.5814, 86.4656], [20.5554, 86.6306], [22.9007, 86.8369], [22.6174, 88.6639], [0.0632, 88.6092], [1.6472, 88.3564], [3.8443, 88.0063], [9.0555, 87.5689], [8.6935, 86.0975], [14.2015, 85.9308], [14.4522, 79.445], [13.5873, 79.3629], [13.6105, 76.3638], [13.0547, 76.3289]],
+    Vel: [[11.0892, -57.1744], [11.0971, -40.4246], [9.4489, -40.2919], [9.4514, -37.292], [8.4452, -37.16], [8.4382, -43.4095], [8.0692, -43.3535], [8.0574, -51.1026], [8.2254, -51.1285], [8.2213, -53.3782], [8.5073, -53.4207], [8.5045, -54.9205], [8.892, -54.9742], [8.8882, -56.974], [11.0892, -57.1744]],
+    Vir: [[11.6234, -0.6917], [11.6244, 10.3083], [11.9736, 10.304], [11.9736, 13.304], [12.9375, 13.3225], [12.9373, 14.3225], [13.6019, 14.3605], [13.6043, 7.3606], [15.1854, 7.5254], [15.1902, -0.4743], [14.7735, -0.5269], [14.7778, -8.5267], [14.3606, -8.5731], [14.3675, -22.5728], [12.9445, -22.6773], [12.9422, -11.6774], [11.9398, -11.6958], [11.9399, -6.6958], [11.6228, -6.6917], [11.6234, -0.6917]],
+    Vol: [[6.5958, -64.107], [6.5636, -70.1041], [6.518, -75.1], [7.6143, -75.2899], [9.0162, -75.4955], [9.073, -64.499], [6.8469, -64.1519], [6.5958, -64.107]],
+    Vul: [[18.9559, 21.2478], [18.9518, 25.6641], [19.3441, 25.7326], [19.3422, 27.7324], [19.7515, 27.8012], [19.7501, 29.3011], [21.0048, 29.4871], [21.0056, 28.4872], [21.508, 28.5481], [21.5108, 24.0482], [21.3434, 24.0289], [21.3459, 20.0291], [21.1453, 20.0046], [20.6605, 19.94], [20.6598, 20.9399], [20.3423, 20.8937], [20.3417, 21.6437], [19.924, 21.5787], [19.9257, 19.4955], [19.3414, 19.3983], [19.3398, 21.3148], [18.9559, 21.2478]],
+};
@@ -0,0 +1,687 @@
+// Bundled Deep-Sky Catalog
+// All 110 Messier objects plus NGC and IC objects to visual magnitude 10 (and named ones to 12),
+// taken from the d3-celestial DSO data (BSD-3-Clause, (c) Olaf Frohn). Positions are J2000.
+// Columns: id, alt (other designation), type, ra (hours), dec (degrees), mag, major and minor axes
+// (arcminutes), pa (position angle of the major axis, degrees east of north; only known for the
+// larger inclined galaxies), name
+// Types: g galaxy, s spiral, s0 lenticular, sd dwarf spheroidal, i irregular, e elliptical,
+// gg galaxy cluster, oc open cluster, gc globular cluster, pos double star (M 40),
+// dn dark nebula, bn bright nebula, sfr star-forming region, rn reflection nebula,
+// en emission nebula, pn planetary nebula, snr supernova remnant
+
+const DEEP_SKY_CATALOG_CSV = `id,alt,type,ra,dec,mag,major,minor,pa,name
+NGC 3372,,bn,10.73861,-59.8892,1,120,120,,η Car Nebula
+M 45,,oc,3.78333,24.1167,1.2,110,110,,Pleiades
+IC 2602,,oc,10.71613,-64.4000,1.9,100,100,,Southern Pleiades
+NGC 292,,i,0.87722,-72.8003,2.2,309,204.1,,Small Magellanic Cloud
+NGC 1980,,oc,5.59000,-5.9150,2.5,240,180,,The Lost Jewel of Orion
+IC 2391,,oc,8.67553,-53.0330,2.5,60,60,,ο Vel Cluster
+NGC 6231,,oc,16.90237,-41.8267,2.6,15,15,,False Comet Nebula
+NGC 2451,,oc,7.75667,-37.9700,2.8,45,45,,Stinging Scorpion Cluster
+NGC 3532,,oc,11.09420,-58.7530,3,50,50,,Wishing Well Cluster
+M 44,NGC 2632,oc,8.67333,19.6670,3.1,70,70,,Praesepe
+M 7,NGC 6475,oc,17.89753,-34.7930,3.3,80,80,,Ptolemy's Cluster
+M 31,NGC 224,s,0.71231,41.2687,3.44,189.1,61.7,35,Andromeda Galaxy
+IC 1396,,sfr,21.65000,57.4900,3.5,12,4,,Elephant's Trunk Nebula
+NGC 869,,oc,2.31667,57.1280,3.8,30,30,,h Persei
+NGC 884,,oc,2.37307,57.1250,3.8,30,30,,χ Persei
+NGC 2516,,oc,7.96780,-60.7530,3.8,22,22,,Diamond Cluster
+NGC 1432,,bn,3.76667,24.2000,3.88,60,40,,Maia Nebula
+NGC 2232,,oc,6.45420,-4.7580,3.9,29,29,,Double Wedge Cluster
+NGC 2264,,oc,6.68280,9.8950,3.9,10,7,,Fox Fur Nebula
+M 42,NGC 1976,bn,5.58814,-5.3911,4,90,60,,Orion Nebula
+NGC 7000,,bn,20.97973,44.3300,4,120,100,,North America Nebula
+IC 4592,,rn,16.21333,-19.3000,4.03,60,40,,Blue Horsehead Nebula
+NGC 104,,gc,0.40149,-72.0814,4.09,30.9,12.42,,47 Tuc
+NGC 2362,,oc,7.31140,-24.9550,4.1,8,8,,τ CMa Cluster
+NGC 1435,,rn,3.76667,23.9000,4.18,30,30,,Merope Nebula
+NGC 1981,,oc,5.58580,-4.4320,4.2,25,25,,Coal Car Cluster
+NGC 3114,,oc,10.04333,-60.1200,4.2,30,30,,Hand Cluster
+NGC 4755,,oc,12.89413,-60.3620,4.2,10,10,,Jewel Box
+M 6,NGC 6405,oc,17.67220,-32.2530,4.2,25,25,,Butterfly Cluster
+IC 4665,,oc,17.77167,5.7170,4.2,70,70,,Summer Beehive Cluster
+IC 2581,,oc,10.45807,-57.6170,4.3,7,7,,
+M 47,NGC 2422,oc,7.60973,-14.4830,4.4,25,25,,
+IC 448,,bn,6.56667,7.3000,4.48,15,10,,
+M 41,NGC 2287,oc,6.76693,-20.7570,4.5,39,39,,Little Beehive Cluster
+IC 2944,,bn,11.63900,-63.3728,4.5,40,20,,Running Chicken Nebula
+NGC 6530,,oc,18.07527,-24.3580,4.6,14,14,,Herschel 36
+NGC 6633,,oc,18.45867,6.5700,4.6,20,20,,Tweedledum Cluster
+M 39,NGC 7092,oc,21.53000,48.4330,4.6,31,31,,
+IC 2395,,oc,8.70861,-48.1000,4.6,7,7,,
+M 24,IC 4715,oc,18.28000,-18.5500,4.6,90,60,,Milky Way patch
+M 25,IC 4725,oc,18.52973,-19.1170,4.6,26,26,,
+IC 4756,,oc,18.64200,5.4900,4.6,45,45,,Graff's Cluster
+IC 4604,,bn,16.43333,-23.4000,4.61,60,25,,ρ Oph Nebula
+NGC 2547,,oc,8.16520,-49.2050,4.7,15,15,,Golden Earring Cluster
+NGC 3293,,sfr,10.59700,-58.2300,4.7,8,8,,Gem Cluster
+IC 4605,,bn,16.52000,-25.1000,4.78,30,15,,
+NGC 2244,,oc,6.53193,4.9420,4.8,24,24,,Rosette Nebula
+M 8,NGC 6523,bn,18.05333,-24.3800,5,90,40,,Lagoon Nebula
+M 35,NGC 2168,oc,6.14833,24.3330,5.1,25,25,,Shoe-Buckle Cluster
+NGC 6025,,oc,16.05473,-60.4320,5.1,15,15,,
+M 22,NGC 6656,gc,18.60665,-23.9047,5.1,32,32,,Great Sagittarius Cluster
+NGC 6397,,gc,17.67836,-53.6743,5.17,32,32,,
+M 34,NGC 1039,oc,2.70140,42.7620,5.2,25,25,,Spiral Cluster
+NGC 6193,,oc,16.68887,-48.7630,5.2,15,15,,
+NGC 6871,,oc,20.09973,35.7770,5.2,30,30,,
+NGC 3766,,oc,11.60500,-61.6150,5.3,15,15,,Pearl Cluster
+NGC 5139,,gc,13.44647,-47.4795,5.33,55,55,,ω Cen Cluster
+NGC 2281,,oc,6.80473,41.0780,5.4,15,15,,Broken Heart Cluster
+NGC 6087,,oc,16.31387,-57.9350,5.4,15,15,,S Nor Cluster
+NGC 6281,,sfr,17.07807,-37.9850,5.4,9,9,,Moth Wing Cluster
+NGC 5662,,oc,14.59360,-56.6180,5.5,8,8,,Gypsy Moth Cluster
+NGC 6374,,oc,17.53747,-32.5970,5.5,2.5,2.5,,
+NGC 6383,,sfr,17.58000,-32.5670,5.5,2.5,2.5,,
+M 23,NGC 6494,oc,17.95113,-18.9850,5.5,25,25,,
+IC 1287,,bn,18.53333,-10.8000,5.5,20,10,,
+M 37,NGC 2099,oc,5.87167,32.5530,5.6,15,15,,January Salt-and-Pepper Cluster
+NGC 5460,,oc,14.12413,-48.3430,5.6,30,30,,
+NGC 6067,,oc,16.21973,-54.2180,5.6,15,15,,
+NGC 7686,,oc,23.49480,49.1700,5.6,14,14,,
+NGC 2808,,gc,9.20086,-64.8635,5.69,5,5,,
+IC 5076,,rn,20.93333,47.4000,5.69,7,7,,
+NGC 752,,oc,1.96140,37.7850,5.7,75,75,,
+NGC 6416,,oc,17.73860,-32.3620,5.7,30,30,,
+M 33,NGC 598,s,1.56414,30.6599,5.72,68.7,41.6,23,Triangulum Galaxy
+NGC 2477,,oc,7.86947,-38.5300,5.8,27,27,,Electric Guitar Cluster
+M 48,NGC 2548,oc,8.22860,-5.7500,5.8,30,30,,
+NGC 6124,,oc,16.42220,-40.6530,5.8,29,29,,
+M 13,NGC 6205,gc,16.69490,36.4613,5.8,20,7.91,,Great Star Cluster in Hercules
+NGC 2169,,oc,6.14000,13.9900,5.9,6,6,,The 37 Cluster
+M 50,NGC 2323,oc,7.04653,-8.3378,5.9,15,15,,Heart-Shaped Cluster
+NGC 5281,,oc,13.77640,-62.9170,5.9,3,3,,Little Scorpion Cluster
+M 4,NGC 6121,gc,16.39312,-26.5257,5.9,26,26,,Crab Globular Cluster
+NGC 6250,,oc,16.96613,-45.9430,5.9,7,7,,
+M 21,NGC 6531,oc,18.07027,-22.4900,5.9,16,16,,Webb's Cross
+M 16,NGC 6611,sfr,18.31333,-13.8070,5.9,120,25,,Eagle Nebula
+M 36,NGC 1960,oc,5.60500,34.1400,6,10,10,,Pinwheel Cluster
+NGC 2301,,oc,6.86253,0.4600,6,15,15,,Hagrid's Dragon Cluster
+NGC 3228,,oc,10.35613,-51.7280,6,5,5,,Queen's Cache Cluster
+NGC 5316,,oc,13.89913,-61.8680,6,12,12,,
+NGC 6322,,oc,17.30693,-42.9330,6,10,10,,
+NGC 6605,,oc,18.28321,-15.0111,6,,,,
+M 17,NGC 6618,sfr,18.34640,-16.1720,6,40,30,,Omega Nebula
+IC 405,,en,5.29000,34.3800,6,50,30,,Flaming Star Nebula
+NGC 1746,,oc,5.06387,23.7700,6.1,45,45,,
+M 46,NGC 2437,oc,7.69613,-14.8100,6.1,20,20,,
+NGC 2669,,oc,8.77280,-52.9480,6.1,12,12,,
+M 71,NGC 6838,gc,19.89625,18.7792,6.1,7.2,7.2,,Angelfish Cluster
+NGC 7160,,oc,21.89447,62.6030,6.1,7,7,,Swimming Alligator Cluster
+NGC 1545,,oc,4.34913,50.2530,6.2,18,18,,m & m Double Cluster
+M 93,NGC 2447,oc,7.74167,-23.8570,6.2,10,10,,Butterfly Cluster
+M 3,NGC 5272,gc,13.70323,28.3773,6.2,18,18,,
+NGC 6752,,gc,19.18114,-59.9846,6.28,20.4,20.4,,Pavo Globular Cluster
+NGC 2546,,oc,8.20413,-37.5950,6.3,40,40,,Heart and Dagger Cluster
+NGC 5617,,oc,14.49553,-60.7120,6.3,15,15,,Dracula Cluster
+M 20,NGC 6514,sfr,18.04500,-22.9720,6.3,20,20,,Trifid Nebula
+M 11,NGC 6705,oc,18.85140,-6.2700,6.3,14,14,,Wild Duck Cluster
+NGC 6940,,oc,20.57387,28.2830,6.3,20,20,,Mothra Cluster
+M 15,NGC 7078,gc,21.49953,12.1670,6.3,18,18,,Pegasus Cluster
+M 2,NGC 7089,gc,21.55751,-0.8233,6.3,16,16,,
+NGC 457,,oc,1.32640,58.2870,6.4,20,20,,Dragonfly Cluster
+NGC 1528,,oc,4.25640,51.2150,6.4,25,25,,m & m Double Cluster
+NGC 1647,,oc,4.76527,19.1150,6.4,40,40,,Pirate Moon Cluster
+NGC 1662,,oc,4.80747,10.9370,6.4,20,20,,
+M 38,NGC 1912,oc,5.47860,35.8550,6.4,15,15,,Starfish Cluster
+NGC 6242,,oc,16.92667,-39.4700,6.4,10,10,,
+M 10,NGC 6254,gc,16.95251,-4.1003,6.4,20,20,,
+M 92,NGC 6341,gc,17.28539,43.1359,6.4,14,14,,
+NGC 7243,,oc,22.25220,49.8980,6.4,30,30,,
+NGC 129,,oc,0.50000,60.2180,6.5,21,21,,
+NGC 654,,oc,1.73333,61.8850,6.5,5,5,,Fuzzy Butterfly Cluster
+NGC 1555,,bn,4.36586,19.5353,6.5,1,1,,Hind's Variable Nebula
+NGC 2354,,oc,7.23613,-25.6900,6.5,20,20,,
+NGC 2527,,oc,8.08280,-28.1470,6.5,22,22,,
+NGC 2539,,oc,8.17693,-12.8180,6.5,21,21,,The Dish Cluster
+NGC 5822,,oc,15.07453,-54.3900,6.5,40,40,,
+NGC 6604,,oc,18.30080,-12.2420,6.5,4,4,,
+IC 1805,,sfr,2.54500,61.4500,6.5,60,60,,Heart Nebula
+IC 1848,,oc,2.85180,60.4100,6.5,40,10,,
+NGC 362,,gc,1.05396,-70.8488,6.58,12.9,12.9,,
+NGC 1444,,oc,3.82327,52.6400,6.6,4,4,,
+NGC 3572,,oc,11.17307,-60.2480,6.6,6,6,,
+NGC 6169,,oc,16.56853,-44.0160,6.6,12,12,,μ Normae Cluster
+M 29,NGC 6913,oc,20.39887,38.5230,6.6,10,10,,Cooling Tower
+M 5,NGC 5904,gc,15.30923,2.0810,6.65,23,23,,Rose Cluster
+NGC 1027,,oc,2.71193,61.6330,6.7,18,18,,
+NGC 1342,,oc,3.52720,37.3770,6.7,15,15,,Little Scorpion Cluster
+NGC 2129,,oc,6.01860,23.3220,6.7,6,6,,
+NGC 2343,,oc,7.13500,-10.6170,6.7,6,6,,Doublemint Cluster
+NGC 2423,,oc,7.61833,-13.8720,6.7,20,20,,
+NGC 3324,,oc,10.62220,-58.6420,6.7,15.5,14,,Keyhole Nebula
+NGC 6167,,oc,16.57613,-49.7720,6.7,7,7,,
+NGC 6709,,oc,18.85500,10.3180,6.7,12,12,,Flying Unicorn Cluster
+NGC 7789,,oc,23.95667,56.7080,6.7,30,30,,Caroline's Rose Cluster
+NGC 6164,,bn,16.56455,-48.1112,6.71,8,4,,
+NGC 2175,,oc,6.16087,20.4870,6.8,40,30,,
+NGC 6388,,gc,17.60485,-44.7356,6.8,1.56,1.5,,
+NGC 6811,,oc,19.62140,46.3880,6.8,15,15,,Hole in a Cluster
+NGC 7023,,sfr,21.02691,68.1633,6.8,10,8,,Iris Nebula
+NGC 5128,,s0,13.42434,-43.0191,6.84,25.7,20,35,Centaurus A
+NGC 1502,,oc,4.13053,62.3320,6.9,7,7,,Jolly Roger Cluster
+NGC 2439,,oc,7.67920,-31.6930,6.9,9,9,,Bold Arrow Cluster
+M 67,NGC 2682,oc,8.85500,11.8000,6.9,25,25,,Golden-Eye Cluster
+NGC 4609,,oc,12.70500,-62.9950,6.9,6,6,,Coalsack Cluster
+M 18,NGC 6613,oc,18.33280,-17.1020,6.9,7,7,,Black Swan Cluster
+M 52,NGC 7654,oc,23.41333,61.5930,6.9,16,16,,Cassiopeia Salt-and-Pepper Cluster
+IC 4651,,oc,17.41360,-49.9330,6.9,14,14,,
+NGC 5986,,gc,15.76750,-37.7864,6.92,5,5,,
+M 81,NGC 3031,i,9.92588,69.0653,6.94,26.9,14.1,157,Bode's Galaxy
+IC 2177,,rn,7.07360,-10.4550,6.97,20,20,,
+IC 432,,rn,5.68222,-1.5069,6.98,10,10,,
+NGC 225,,oc,0.72753,61.7750,7,12,12,,Sailboat Cluster
+NGC 1582,,oc,4.53760,43.8454,7,37,37,,
+NGC 1807,,oc,5.18020,16.5220,7,17,17,,Poor Man's Double Cluster
+NGC 1857,,oc,5.33427,39.2900,7,9,9,,
+NGC 2571,,oc,8.31553,-29.7500,7,13,13,,
+NGC 6595,,oc,18.28333,-19.8800,7,4,4,,
+NGC 6960,,snr,20.76055,30.7083,7,210,160,,Filamentary Nebula
+NGC 6992,,snr,20.93860,31.7430,7,230,160,,East Veil Nebula
+NGC 7063,,oc,21.40667,36.4800,7,7,7,,
+NGC 663,,oc,1.76913,61.2350,7.1,15,15,,Lawnmower Cluster
+NGC 2353,,oc,7.24167,-10.2670,7.1,20,20,,Avery's Island
+NGC 2467,,bn,7.87180,-26.4280,7.1,8,7,,Skull and Crossbones Nebula
+NGC 6302,,pn,17.22895,-37.1044,7.1,1.48,0.74,,Bug Nebula
+NGC 6823,,sfr,19.71920,23.3000,7.1,40,30,,
+IC 4628,,sfr,16.94852,-40.5123,7.1,34,16,,Prawn Nebula
+NGC 2335,,oc,7.11360,-10.0280,7.2,10,10,,
+NGC 2360,,oc,7.29527,-15.6420,7.2,14,14,,Caroline's Cluster
+NGC 2910,,oc,9.50800,-52.9200,7.2,5,5,,
+NGC 4463,,oc,12.49887,-64.7900,7.2,5,5,,
+NGC 6134,,oc,16.46280,-49.1520,7.2,9,9,,Little Pincushion
+NGC 6178,,oc,16.59640,-45.6430,7.2,4,4,,
+NGC 6208,,oc,16.82447,-53.7280,7.2,15,15,,
+NGC 6235,,gc,16.89038,-22.1774,7.2,1.5,1.5,,
+NGC 6425,,oc,17.78300,-31.5300,7.2,15,15,,
+NGC 7082,,oc,21.48807,47.1270,7.2,,,,
+NGC 7380,,sfr,22.78913,58.1320,7.2,25,20,,The Wizard Nebula
+IC 5146,,sfr,21.89000,47.2670,7.2,12,12,,Cocoon Nebula
+NGC 1851,,gc,5.23521,-40.0466,7.23,12,12,,
+NGC 2070,,sfr,5.64500,-69.1000,7.25,30,20,,Tarantula Nebula
+NGC 2251,,oc,6.57720,8.3670,7.3,10,10,,
+NGC 2409,,sfr,7.52693,-17.1930,7.3,17,15,,Firsse 213
+NGC 2482,,oc,7.92000,-24.2580,7.3,12,12,,
+M 68,NGC 4590,gc,12.65777,-26.7441,7.3,11,11,,
+NGC 6819,,oc,19.68833,40.1870,7.3,6,6,,The Foxhead Cluster
+IC 348,,sfr,3.74280,32.1630,7.3,10,10,,ο Per Cloud
+IC 434,,bn,5.68000,-2.5000,7.3,60,10,,
+IC 4996,,oc,20.27500,37.6330,7.3,5,5,,P Cyg Cluster
+NGC 2645,,oc,8.65080,-46.2330,7.32,,,,
+NGC 6541,,gc,18.13399,-43.7149,7.33,15,15,,Cacciatore Cluster
+M 62,NGC 6266,gc,17.02017,-30.1124,7.39,15,15,,Flickering Globular Cluster
+M 103,NGC 581,oc,1.55640,60.6500,7.4,6,6,,
+NGC 2384,,oc,7.41947,-21.0220,7.4,2.5,2.5,,
+NGC 2396,,oc,7.46667,-11.7170,7.4,10,10,,
+NGC 2567,,oc,8.30887,-30.6400,7.4,10,10,,
+NGC 3330,,oc,10.64667,-54.1200,7.4,6,6,,
+NGC 4103,,oc,12.11100,-61.2500,7.4,9,9,,The Longtail
+NGC 4349,,oc,12.40220,-61.8720,7.4,15,15,,
+NGC 6200,,oc,16.73467,-47.4700,7.4,12,12,,
+M 27,NGC 6853,pn,19.99344,22.7210,7.4,8,5.6,,Dumbbell Nebula
+NGC 6888,,en,20.20193,38.3550,7.4,20,10,,Crescent Nebula
+NGC 6910,,oc,20.38553,40.7750,7.4,7,7,,The Inchworm Cluster
+IC 1590,,oc,0.88027,56.6280,7.4,25,25,,
+IC 2488,,oc,9.46053,-57.0000,7.4,18,18,,Strings of Pearl Cluster
+NGC 6356,,gc,17.39305,-17.8130,7.42,1.5,1.5,,
+M 55,NGC 6809,gc,19.66659,-30.9647,7.42,19,19,,Specter Cluster
+NGC 6284,,gc,17.07465,-24.7642,7.43,1.46,1.4,,
+M 19,NGC 6273,gc,17.04380,-26.2679,7.47,17,17,,
+NGC 1893,,oc,5.37887,33.4120,7.5,12,12,,Letter Y Cluster
+NGC 2286,,oc,6.79420,-3.1550,7.5,14,14,,
+NGC 2579,,bn,8.34869,-36.2231,7.5,1.5,1.4,,
+NGC 6716,,oc,18.90947,-19.9020,7.5,6,6,,
+NGC 6755,,oc,19.13027,4.2670,7.5,14,14,,Possible Binary Cluster
+IC 444,,rn,6.30947,23.3130,7.5,8,4,,
+M 83,NGC 5236,s,13.61692,-29.8658,7.54,12.9,11.5,,Southern Pinwheel Galaxy
+NGC 957,,oc,2.55587,57.5600,7.6,11,11,,
+NGC 1664,,oc,4.85167,43.6750,7.6,15,15,,4-H cluster
+NGC 2483,,oc,7.92667,-27.9000,7.6,,,,
+NGC 2506,,oc,8.00027,-10.7700,7.6,12,12,,
+NGC 2533,,oc,8.11780,-29.8830,7.6,3.5,3.5,,
+NGC 3247,,oc,10.40481,-57.7600,7.6,,,,
+NGC 3680,,oc,11.42720,-43.2430,7.6,12,12,,
+NGC 5138,,oc,13.45447,-59.0330,7.6,7,7,,
+NGC 6520,,oc,18.05667,-27.8880,7.6,5,5,,Dead Man's Chest Cluster
+NGC 6866,,oc,20.06527,44.1580,7.6,6,6,,Kite Cluster
+NGC 7039,,oc,21.18000,45.6170,7.6,25,25,,
+NGC 7293,,pn,22.49404,-20.8371,7.6,25,13.4,,Helix Nebula
+M 28,NGC 6626,gc,18.40913,-24.8698,7.66,11.2,11.2,,
+IC 431,,rn,5.67055,-1.4628,7.67,8,5,,
+M 12,NGC 6218,gc,16.78727,-1.9485,7.68,16,16,,Gumball Globular Cluster
+NGC 1778,,oc,5.13447,37.0230,7.7,6,6,,
+NGC 1817,,oc,5.20420,16.6900,7.7,16,16,,Poor Man's Double Cluster
+NGC 2252,,oc,6.58364,5.4204,7.7,20,20,,
+NGC 2345,,oc,7.13833,-13.1930,7.7,10,10,,
+NGC 3519,,oc,11.06933,-61.3750,7.7,,,,
+M 53,NGC 5024,gc,13.21535,18.1682,7.7,13,13,,
+NGC 5606,,oc,14.46307,-59.6400,7.7,3,3,,
+M 54,NGC 6715,gc,18.91759,-30.4799,7.7,12,12,,
+M 30,NGC 7099,gc,21.67281,-23.1799,7.7,12,12,,Jellyfish Cluster
+NGC 7209,,oc,22.08527,46.4830,7.7,20,20,,Star Lizard Cluster
+NGC 7235,,oc,22.20693,57.2700,7.7,4,4,,
+IC 1284,,bn,18.29533,-19.6700,7.7,16.5,15,,
+IC 2169,,bn,6.51333,10.1000,7.7,25,20,,
+NGC 4833,,gc,12.99275,-70.8765,7.79,13.5,13.5,,The Southern Butterfly
+NGC 2670,,oc,8.75833,-48.8000,7.8,15,15,,
+NGC 6664,,oc,18.61027,-7.8130,7.8,18,18,,Santa's Sleigh Cluster
+NGC 6834,,oc,19.87000,29.4080,7.8,4,4,,
+NGC 6939,,oc,20.52500,60.6620,7.8,5,5,,Ghost Bush Cluster
+NGC 2023,,rn,5.69386,-2.2645,7.82,10,8,,
+M 101,NGC 5457,s,14.05349,54.3488,7.86,28.8,26.9,,Pinwheel Galaxy
+NGC 55,,s,0.24822,-39.1966,7.87,32.4,5.6,108,String of Pearls
+M 80,NGC 6093,gc,16.28400,-22.9761,7.87,10,10,,
+IC 4603,,bn,16.43333,-24.4000,7.89,20,5,,
+NGC 659,,oc,1.74000,60.6700,7.9,5,5,,Yin-Yang Cluster
+NGC 744,,oc,1.97667,55.4700,7.9,11,11,,
+NGC 2367,,oc,7.33500,-21.8820,7.9,3.5,3.5,,Charlie Brown's Christmas Tree
+NGC 2414,,oc,7.55333,-15.4530,7.9,4,4,,
+NGC 2489,,oc,7.93753,-30.0630,7.9,7,7,,
+NGC 5823,,oc,15.09200,-55.5950,7.9,12,12,,
+NGC 6830,,oc,19.84973,23.1000,7.9,8,8,,Poodle Cluster
+NGC 7510,,oc,23.18333,60.5700,7.9,7,7,,The Dormouse Cluster
+NGC 6723,,gc,18.99254,-36.6322,7.92,8,8,,Chandelier Cluster
+NGC 253,,s,0.79254,-25.2888,8,27.5,6.8,52,Sculptor Galaxy
+NGC 1909,,rn,5.03333,-7.9000,8,180,60,,
+NGC 2374,,oc,7.39887,-13.2630,8,19,19,,
+NGC 2395,,oc,7.45160,13.5840,8,12,12,,
+M 104,NGC 4594,s,12.66651,-11.6231,8,8.7,3.5,90,Sombrero Galaxy
+NGC 6259,,oc,17.01247,-44.6550,8,15,15,,
+NGC 6441,,gc,17.83696,-37.0514,8,1.5,1.5,,Silver Nugget Cluster
+NGC 6546,,oc,18.12280,-23.2970,8,15,15,,
+NGC 6647,,oc,18.52453,-17.3400,8,,,,
+M 26,NGC 6694,oc,18.75500,-9.3830,8,10,10,,
+NGC 6883,,oc,20.18860,35.8320,8,35,35,,
+NGC 7009,,pn,21.06969,-11.3634,8,0.69,0.58,,Saturn Nebula
+M 40,WN 4,pos,12.37333,58.0833,8,,,,Winnecke 4
+M 110,NGC 205,e,0.67280,41.6853,8.07,21.9,11,170,
+M 32,NGC 221,e,0.71162,40.8652,8.08,8.5,6.5,170,
+NGC 188,,oc,0.80720,85.2550,8.1,15,15,,Polarissima Cluster
+M 51,NGC 5194,s,13.49797,47.1953,8.1,11.2,6.9,,Whirlpool Galaxy
+NGC 6152,,oc,16.54533,-52.6300,8.1,29,29,,
+NGC 6543,,pn,17.97595,66.6332,8.1,0.33,0.5,,Cat's Eye Nebula
+NGC 6822,,i,19.74895,-14.7976,8.1,15.5,13.5,,Barnard's Galaxy
+NGC 6885,,oc,20.20027,26.4780,8.1,20,20,,20 Vulpeculae Cluster
+IC 420,,rn,5.53720,-4.5200,8.11,,,,
+NGC 288,,gc,0.87923,-26.5826,8.13,12,12,,
+NGC 300,,s,0.91485,-37.6844,8.13,21.9,15.5,,Southern Pinwheel Galaxy
+NGC 6584,,gc,18.31045,-52.2158,8.17,2,2,,
+NGC 637,,oc,1.71780,64.0400,8.2,3.5,3.5,,
+NGC 1907,,oc,5.46807,35.3250,8.2,5,5,,
+NGC 2818,,pn,9.26713,-36.6274,8.2,0.67,0.67,,
+NGC 3496,,oc,10.99333,-60.3370,8.2,9,9,,
+NGC 3590,,oc,11.21640,-60.7880,8.2,4,4,,
+NGC 6204,,oc,16.76900,-47.0200,8.2,5,5,,
+NGC 6249,,oc,16.96000,-44.8200,8.2,6,6,,
+NGC 6451,,oc,17.84473,-30.2100,8.2,6,6,,Tom Thumb Cluster
+NGC 6469,,oc,17.88667,-22.3200,8.2,12,12,,
+NGC 6743,,oc,19.02000,29.2800,8.2,,,,
+IC 2714,,oc,11.29080,-62.7330,8.2,15,15,,The Rip-Torn Cluster
+NGC 1968,,oc,5.45640,-67.4720,8.22,,,,
+NGC 3201,,gc,10.29356,-46.4125,8.24,18.2,18.2,,
+M 94,NGC 4736,i,12.84810,41.1202,8.24,11.2,9.1,,Croc's Eye Galaxy
+NGC 6744,,s,19.16281,-63.8575,8.25,20,12.9,,
+M 78,NGC 2068,rn,5.77965,0.0140,8.3,8,6,,Casper the Friendly Ghost Nebula
+NGC 2420,,oc,7.63973,21.5730,8.3,7,7,,Twinkling Comet Cluster
+NGC 2421,,oc,7.60333,-20.6200,8.3,8,8,,
+NGC 2453,,oc,7.79353,-27.1930,8.3,5,5,,
+NGC 2925,,oc,9.55307,-53.3980,8.3,12,12,,
+NGC 3960,,oc,11.84253,-55.6730,8.3,6,6,,
+M 49,NGC 4472,e,12.49633,8.0004,8.3,10.2,8.3,,
+NGC 6553,,gc,18.15435,-25.9078,8.3,1.5,1.5,,
+NGC 6738,,oc,19.02133,11.6200,8.3,15,15,,
+NGC 7062,,oc,21.39080,46.3900,8.3,6,6,,
+NGC 7662,,pn,23.43155,42.5350,8.3,0.62,0.26,,Blue Snowball
+IC 435,,rn,5.71681,-2.3125,8.3,4.5,3,,
+NGC 5286,,gc,13.77411,-51.3743,8.31,11,11,,
+M 69,NGC 6637,gc,18.52309,-32.3481,8.31,8.1,8.1,,
+M 14,NGC 6402,gc,17.62671,-3.2459,8.32,11,11,,
+NGC 2055,,oc,5.61220,-69.4980,8.39,,,,
+NGC 1245,,oc,3.24673,47.2530,8.4,30,30,,Patrick Starfish Cluster
+NGC 1513,,oc,4.17667,49.5200,8.4,9,9,,
+M 1,NGC 1952,snr,5.57554,22.0145,8.4,8,4,,Crab Nebula
+NGC 2324,,oc,7.06860,1.0450,8.4,9,9,,
+NGC 2383,,oc,7.41113,-20.9480,8.4,5,5,,
+NGC 2627,,oc,8.62080,-29.9550,8.4,8,8,,
+NGC 4439,,oc,12.47333,-60.1000,8.4,4,4,,
+NGC 5925,,oc,15.45740,-54.5343,8.4,20,20,,
+M 56,NGC 6779,gc,19.27655,30.1835,8.4,8.8,8.8,,
+NGC 7086,,oc,21.50747,51.6000,8.4,9,9,,
+NGC 7261,,oc,22.33528,58.1281,8.4,5,5,,
+IC 2157,,oc,6.08047,24.0700,8.4,,,,
+M 82,NGC 3034,i,9.93123,69.6797,8.41,11.2,4.3,65,Cigar Galaxy
+M 106,NGC 4258,s,12.31601,47.3037,8.41,18.6,7.2,150,
+M 9,NGC 6333,gc,17.31994,-18.5162,8.42,12,12,,
+NGC 2215,,oc,6.34693,-7.2830,8.45,8,8,,
+NGC 1269,,s,3.28850,-41.1081,8.46,5.19,3.68,,Snow Collar Galaxy
+NGC 1579,,bn,4.50307,35.2790,8.5,3,3,,Northern Trifid Nebula
+NGC 2194,,oc,6.22947,12.8180,8.5,5,5,,Intergalactic Wanderer
+NGC 2236,,oc,6.49453,6.8170,8.5,6,6,,
+NGC 2247,,rn,6.55123,10.3225,8.5,2,2,,
+NGC 2331,,oc,7.11200,27.2550,8.5,18,18,,
+NGC 3918,,pn,11.83826,-57.1825,8.5,0.31,0.31,,Blue Planetary Nebula
+NGC 6031,,oc,16.13095,-54.0509,8.5,2,2,,
+NGC 6192,,oc,16.67307,-43.3670,8.5,7,7,,
+NGC 6396,,oc,17.62667,-35.0270,8.5,,,,
+NGC 6645,,oc,18.54200,-16.9100,8.5,10,10,,
+NGC 7790,,oc,23.97333,61.2080,8.5,5,5,,The Widow's Web Cluster
+M 64,NGC 4826,i,12.94547,21.6827,8.52,10.71,5.13,115,Black Eye Galaxy
+NGC 5897,,gc,15.29011,-21.0101,8.52,6,6,,Ghost Globular Cluster
+NGC 1316,,i,3.37827,-37.2082,8.53,5.41,3.9,,Fornax A
+M 79,NGC 1904,gc,5.40294,-24.5242,8.56,9.6,9.6,,
+IC 4499,,gc,15.00516,-82.2138,8.56,3,3,,
+M 63,NGC 5055,s,13.26370,42.0293,8.59,12.6,7.2,105,Sunflower Galaxy
+NGC 2158,,oc,6.12360,24.0970,8.6,4,4,,
+NGC 2204,,oc,6.25913,-18.6650,8.6,9,9,,
+NGC 2659,,oc,8.71000,-44.9800,8.6,10,10,,
+NGC 3242,,pn,10.41281,-18.6424,8.6,0.42,0.62,,Ghost of Jupiter Nebula
+NGC 4815,,oc,12.96700,-64.9600,8.6,3,3,,
+NGC 6496,,gc,17.98435,-44.2659,8.6,1.5,1.5,,
+NGC 6568,,oc,18.21200,-21.6000,8.6,12,12,,
+NGC 1261,,gc,3.20450,-55.2162,8.63,12.9,12.9,,
+NGC 6712,,gc,18.88453,-8.7060,8.69,2.5,2.5,,
+NGC 2186,,oc,6.20193,5.4580,8.7,4,4,,
+NGC 189,,oc,0.65800,61.1150,8.8,5,5,,
+NGC 436,,oc,1.26613,58.8120,8.8,4,4,,
+NGC 2660,,oc,8.71053,-47.2000,8.8,1.5,1.5,,
+NGC 3033,,oc,9.81027,-56.4220,8.8,5,5,,
+NGC 4052,,oc,12.02000,-63.2200,8.8,10,10,,
+NGC 5749,,oc,14.81533,-54.5000,8.8,7,7,,
+NGC 6400,,oc,17.67000,-36.9450,8.8,6,6,,Phantom Cluster
+M 57,NGC 6720,pn,18.89308,33.0292,8.8,3.8,2.4,,Ring Nebula
+NGC 6802,,oc,19.51000,20.2594,8.8,3.34,3.34,,
+NGC 6826,,pn,19.74671,50.5251,8.8,0.45,0.4,,Blinking Planetary Nebula
+IC 1369,,oc,21.20320,47.7550,8.8,2,2,,
+NGC 6934,,gc,20.56983,7.4045,8.83,8.4,8.4,,
+M 107,NGC 6171,gc,16.54218,-13.0538,8.85,13,13,,The Crucifix Cluster
+NGC 5927,,gc,15.46686,-50.6730,8.86,4.5,4.5,,
+NGC 6362,,gc,17.53194,-67.0483,8.86,10,10,,
+M 77,NGC 1068,s,2.71133,-0.0133,8.87,7.1,6,,Cetus A
+NGC 1955,,oc,5.43667,-67.4980,8.87,,,,
+NGC 6352,,gc,17.42475,-48.4222,8.87,7.1,7.1,,
+NGC 2298,,gc,6.81650,-36.0053,8.89,2,2,,
+NGC 956,,oc,2.53753,44.5630,8.9,7,7,,
+NGC 1600,,e,4.52774,-5.0861,8.9,2.66,1.65,,
+NGC 2250,,oc,6.56147,-5.0800,8.9,7,7,,
+NGC 2302,,oc,6.86467,-7.0800,8.9,,,,
+NGC 2403,,s,7.61428,65.6025,8.9,21.9,12.3,,
+NGC 4337,,oc,12.40000,-58.1170,8.9,3.5,3.5,,
+M 86,NGC 4406,e,12.43661,12.9460,8.9,8.9,5.8,,Faust V051
+NGC 4852,,oc,13.00247,-59.6130,8.9,10,10,,
+NGC 6539,,gc,18.08048,-7.5859,8.9,,,,
+NGC 6649,,oc,18.55747,-10.4030,8.9,8,8,,
+M 73,NGC 6994,oc,20.98333,-12.6300,8.9,2.8,2.8,,4 Star asterism
+M 66,NGC 3627,s,11.33751,12.9913,8.92,9.1,4.2,173,Leo Triplet
+NGC 1850,,oc,5.14605,-68.7607,8.96,3,3,,
+NGC 2014,,oc,5.54000,-67.6880,8.97,,,,
+M 43,NGC 1982,bn,5.59193,-5.2700,9,20,15,,de Mairan's Nebula
+NGC 2180,,oc,6.16333,4.8070,9,,,,
+NGC 2182,,rn,6.15835,-6.3278,9,3,2,,
+NGC 2238,,bn,6.50800,5.0500,9,80,60,,Rosette Nebula
+NGC 2261,,rn,6.65277,8.7360,9,2,1,,Hubble's Variable Nebula
+NGC 3411,,e,10.84059,-12.8451,9,1.37,1.28,,
+NGC 5999,,oc,15.86953,-56.4670,9,4,4,,
+NGC 6625,,oc,18.37980,-11.9550,9,,,,
+IC 1434,,oc,22.17595,52.8427,9,6,6,,
+NGC 2903,,s,9.53614,21.5008,9.01,6.1,3.29,,
+NGC 2610,,pn,8.55650,-16.1493,9.02,0.57,0.57,,
+NGC 3521,,s,11.09683,-0.0359,9.02,5.73,2.92,,
+NGC 6293,,gc,17.16956,-26.5817,9.02,2.5,2.5,,
+NGC 6304,,gc,17.24229,-29.4620,9.03,1.5,1.5,,
+NGC 6316,,gc,17.27706,-28.1400,9.03,,,,
+NGC 2419,,gc,7.63570,38.8819,9.06,4.6,4.6,,Intergalactic Wanderer
+M 70,NGC 6681,gc,18.72021,-32.2921,9.06,8,8,,
+NGC 146,,oc,0.55200,63.3000,9.1,6,6,,
+NGC 2112,,oc,5.89587,0.4100,9.1,11,11,,
+NGC 2254,,oc,6.59607,7.6700,9.1,4,4,,
+NGC 3603,,bn,11.25653,-61.2500,9.1,2.5,2.5,,
+NGC 5168,,oc,13.51800,-60.9400,9.1,4,4,,
+NGC 7031,,oc,21.11833,50.8750,9.1,5,5,,
+IC 342,,s,3.78014,68.0961,9.1,21.4,20.9,,Maffei 1 Group
+IC 1442,,oc,22.27500,54.0500,9.1,,,,
+NGC 247,,s,0.78571,-20.7604,9.11,21.4,6.9,,Burbidge Chain
+NGC 7793,,s,23.96384,-32.5910,9.11,8.37,6.86,,Bond's Galaxy
+NGC 6624,,gc,18.39459,-30.3610,9.14,2,2,,
+M 75,NGC 6864,gc,20.10135,-21.9223,9.18,6.8,1.94,,
+NGC 4631,,s,12.70223,32.5415,9.19,9.25,2.78,86,Whale Galaxy
+NGC 185,,sd,0.64943,48.3374,9.2,11.7,10,,
+NGC 2587,,oc,8.39047,-29.4930,9.2,9,9,,
+NGC 2658,,oc,8.72500,-32.6650,9.2,9,9,,
+NGC 6704,,oc,18.84580,-5.2100,9.2,6,6,,
+M 72,NGC 6981,gc,20.89103,-12.5373,9.2,6.6,6.6,,
+NGC 7245,,oc,22.25417,54.3328,9.2,2.5,2.5,,
+IC 127,,g,1.49655,-6.9801,9.2,1.66,0.3,,
+IC 4637,,pn,17.08625,-40.8857,9.2,0.31,0.31,,
+IC 4820,,i,19.15377,-63.4655,9.2,0.61,0.32,,
+IC 1613,,i,1.07995,2.1178,9.21,16.2,14.5,,
+NGC 2841,,s,9.36741,50.9765,9.22,6.33,2.85,,Tiger's Eye Galaxy
+NGC 6868,,e,20.16502,-48.3795,9.22,3.07,2.4,,
+NGC 2050,,oc,5.61000,-69.4030,9.25,,,,
+M 96,NGC 3368,s,10.77937,11.8199,9.25,7.6,5.2,,
+NGC 381,,oc,1.13886,61.5839,9.3,6,6,,
+NGC 1999,,rn,5.60693,-6.7120,9.3,2,2,,13th Pearl Nebula
+NGC 2149,,rn,6.05786,-9.7278,9.3,,,,
+NGC 2282,,rn,6.78087,1.3150,9.3,3,3,,
+NGC 2509,,oc,8.01133,-19.0700,9.3,4,4,,
+NGC 4825,,s0,12.95340,-13.6649,9.3,2,1.32,,
+NGC 4945,,s,13.09091,-49.4679,9.3,20,3.8,,The Tweezers Galaxy
+NGC 6818,,pn,19.73279,-14.1537,9.3,0.73,0.63,,Little Gem Nebula
+NGC 7142,,oc,21.75278,65.7717,9.3,8,8,,
+IC 4684,,rn,18.15333,-23.5000,9.3,3,2,,
+NGC 1023,,i,2.67334,39.0632,9.35,5.77,2.19,,Perseus Lenticular Galaxy
+M 100,NGC 4321,s,12.38191,15.8224,9.35,7.4,6.3,,Blowdryer Galaxy
+NGC 1747,,oc,4.91973,-67.1780,9.37,,,,
+M 74,NGC 628,s,1.61161,15.7835,9.39,10.5,9.5,,Phantom Galaxy
+NGC 133,,oc,0.52000,63.3670,9.4,7,7,,
+NGC 1553,,s0,4.26957,-55.7801,9.4,3.57,2.57,,
+NGC 1763,,oc,4.94764,-66.4069,9.4,,,,
+NGC 2141,,oc,6.04860,10.4470,9.4,10,10,,
+NGC 2243,,oc,6.49280,-31.2830,9.4,4,4,,
+NGC 4230,,oc,12.28900,-55.1200,9.4,7,7,,
+NGC 4449,,i,12.46975,44.0936,9.4,6.2,4.4,,
+NGC 6589,,bn,18.28067,-19.8900,9.4,4,3,,
+NGC 6590,,rn,18.28333,-19.8820,9.4,4,3,,
+NGC 6683,,oc,18.70360,-6.2000,9.4,,,,
+NGC 7354,,pn,22.67217,61.2858,9.4,0.33,0.33,,
+NGC 7788,,oc,23.94389,61.4006,9.4,4,4,,
+NGC 2997,,s,9.76077,-31.1911,9.41,8.63,6.9,,
+NGC 6569,,gc,18.22747,-31.8264,9.47,1.5,1.5,,
+NGC 1097,,g,2.77196,-30.2749,9.48,6.01,3.31,,
+NGC 1514,,pn,4.15472,30.7760,9.48,1.67,1.67,,Crystal Ball Nebula
+NGC 3628,,s,11.33806,13.5895,9.48,10.58,2.54,,Hamburger Galaxy
+NGC 6522,,gc,18.05947,-30.0340,9.48,,,,Baade's Window
+NGC 7331,,s,22.61781,34.4159,9.48,10.5,3.7,,Deer Lick Group
+NGC 147,,sd,0.55337,48.5087,9.5,13.2,7.8,,
+NGC 559,,oc,1.49200,63.3020,9.5,7,7,,
+NGC 1333,,rn,3.48200,31.3700,9.5,9,7,,Embryo Nebula
+NGC 2071,,rn,5.78607,0.3000,9.5,7,5,,
+NGC 2170,,rn,6.13000,-6.3850,9.5,2,2,,Mon R2 IRS3
+NGC 2266,,oc,6.72227,26.9850,9.5,5,5,,
+NGC 6268,,oc,17.03547,-39.7150,9.5,6,6,,
+NGC 6366,,gc,17.46229,-5.0799,9.5,6,6,,
+NGC 6791,,oc,19.34807,37.7720,9.5,,,,
+IC 10,,i,0.33977,59.2930,9.5,6,4,,Starburst Galaxy
+M 90,NGC 4569,i,12.61384,13.1629,9.54,9.5,4.4,,
+NGC 330,,oc,0.93905,-72.4535,9.55,2.8,2.5,,
+NGC 5195,,i,13.49989,47.2661,9.55,4.4,4.35,,A Justifiable Replacement for M51
+NGC 3621,,s,11.30453,-32.8126,9.56,7.46,3.58,,Frame Galaxy
+NGC 5824,,gc,15.06628,-33.0685,9.56,1.58,1.49,,
+NGC 2042,,oc,5.60280,-68.9120,9.58,0.95,0.95,,
+NGC 1399,,e,3.64141,-35.4507,9.59,3.9,3.9,,
+NGC 2060,,snr,5.63099,-69.1732,9.59,1.7,1.7,,30 Dor B
+NGC 1496,,oc,4.07555,52.6617,9.6,4,4,,
+NGC 2004,,oc,5.51113,-67.2870,9.6,3,2.8,,
+NGC 2100,,oc,5.70220,-69.2120,9.6,2.5,2.5,,
+NGC 2311,,oc,6.96314,-4.6100,9.6,6,6,,
+NGC 2479,,oc,7.91867,-17.7200,9.6,,,,
+NGC 6507,,oc,17.99680,-17.4180,9.6,6,6,,
+NGC 6644,,pn,18.54297,-25.1289,9.6,,,,
+NGC 6741,,pn,19.04364,-0.4491,9.6,0.13,0.13,,Phantom Streak Nebula
+NGC 6946,,s,20.58121,60.1537,9.6,11.5,9.8,,Fireworks Galaxy
+NGC 7226,,oc,22.17353,55.3980,9.6,2,2,,
+NGC 1365,,s,3.56013,-36.1407,9.63,5.43,4.07,,Great Barred Spiral Galaxy
+NGC 6144,,gc,16.45385,-26.0235,9.63,5,5,,
+NGC 1910,,oc,5.31181,-69.2367,9.65,1.54,1.54,,S Dor Cluster
+M 61,NGC 4303,i,12.36527,4.4736,9.65,6.5,5.8,,Swelling Spiral Galaxy
+NGC 5102,,s,13.36601,-36.6302,9.65,7.11,3.41,,Iota's Ghost
+M 58,NGC 4579,i,12.62878,11.8181,9.66,5.9,4.7,,
+NGC 1407,,e,3.66997,-18.5804,9.67,3.76,3.58,,Eridanus A Group
+NGC 1672,,s,4.76182,-59.2474,9.68,4.68,2.95,,
+NGC 2392,,pn,7.48633,20.9118,9.68,0.8,0.75,,Eskimo Nebula
+NGC 6139,,gc,16.46111,-38.8492,9.68,1.59,1.37,,
+NGC 6638,,gc,18.51563,-25.4964,9.68,,,,
+NGC 1818,,gc,5.07036,-66.4349,9.7,3.1,2.7,,
+NGC 2355,,oc,7.28307,13.7500,9.7,6,6,,
+NGC 2580,,oc,8.35847,-30.2950,9.7,7,7,,
+NGC 2683,,s,8.87815,33.4218,9.7,5.38,2.15,,UFO Galaxy
+NGC 3105,,oc,10.01200,-54.7800,9.7,2,2,,
+NGC 5466,,gc,14.09091,28.5344,9.7,8,8,,Snowglobe Cluster
+NGC 5873,,pn,15.21418,-38.1260,9.7,0.12,0.12,,
+NGC 7067,,oc,21.40353,48.0200,9.7,3,3,,
+NGC 7128,,oc,21.73247,53.7150,9.7,3.1,3.1,,
+NGC 7296,,oc,22.46695,52.3228,9.7,3,3,,
+IC 4291,,oc,13.61553,-62.0650,9.7,,,,
+IC 4776,,pn,18.76405,-33.3422,9.7,0.12,0.12,,
+NGC 4125,,i,12.13501,65.1741,9.72,3.71,2.34,,
+NGC 1566,,s,4.33345,-54.9378,9.73,4.54,4.32,,
+NGC 1848,,oc,5.13635,-71.1735,9.73,1,0.95,,
+NGC 1866,,gc,5.22748,-65.4647,9.73,5.5,5.5,,
+M 95,NGC 3351,s,10.73271,11.7036,9.73,3.1,2.9,,
+NGC 4535,,s,12.57231,8.1978,9.73,5.84,2.92,,The Lost Galaxy of Copeland
+NGC 4494,,e,12.52334,25.7750,9.74,3.3,2.87,,
+M 89,NGC 4552,i,12.59441,12.5560,9.75,5.1,4.7,,
+NGC 6652,,gc,18.59601,-32.9907,9.75,1,1,,
+M 105,NGC 3379,e,10.79711,12.5816,9.76,5.4,4.8,,
+NGC 6760,,gc,19.18669,1.0305,9.78,1,1,,
+NGC 1549,,e,4.26256,-55.5924,9.79,3,2.7,,
+NGC 4490,,i,12.51010,41.6436,9.79,5.32,2.29,,Cocoon Galaxy
+NGC 103,,oc,0.41800,61.3400,9.8,5,5,,
+NGC 3923,,e,11.85049,-28.8062,9.8,4.34,2.78,,
+M 60,NGC 4649,e,12.72778,11.5526,9.8,7.4,6,,
+NGC 5715,,oc,14.72500,-57.5670,9.8,6,6,,
+NGC 6115,,oc,16.41200,-51.9400,9.8,,,,
+IC 1297,,pn,19.28985,-39.6129,9.8,0.12,0.12,,
+NGC 1755,,oc,4.92053,-68.2050,9.85,2.2,1.9,,
+NGC 4372,,gc,12.42929,-72.6591,9.85,5,5,,
+NGC 6535,,gc,18.06403,-0.2976,9.85,0.75,0.75,,
+NGC 3344,,s,10.72532,24.9222,9.86,4.56,4.47,,Sliced Onion Galaxy
+NGC 6229,,gc,16.78295,47.5268,9.86,1.96,1.88,,Prize Comet Globular Cluster
+NGC 1232,,s,3.16264,-20.5793,9.87,5.37,4.51,,Eye of God Galaxy
+NGC 2768,,s0,9.19375,60.0372,9.87,5.2,2.39,,
+M 99,NGC 4254,s,12.31379,14.4165,9.87,5.4,4.7,,Virgo Cluster Pinwheel
+NGC 1858,,oc,5.16558,-68.9017,9.88,,,,
+NGC 2972,,oc,9.67053,-50.3250,9.9,4,4,,
+NGC 3115,,s0,10.08721,-7.7186,9.9,7.2,2.5,,Spindle Galaxy
+M 97,NGC 3587,pn,11.24659,55.0191,9.9,3.4,3.3,,Owl Nebula
+NGC 5068,,s,13.31523,-21.0391,9.9,6.43,4.37,,
+NGC 6544,,gc,18.12239,-24.9973,9.9,1,1,,Starfish Cluster
+NGC 6629,,pn,18.42846,-23.2028,9.9,0.51,0.49,,
+M 102,NGC 5866,s,15.10817,55.7600,9.9,5,2,128,Spindle
+NGC 1380,,s0,3.60767,-34.9763,9.93,3.48,1.53,,
+NGC 1761,,oc,4.94420,-66.4830,9.94,,,,
+NGC 1808,,s,5.12843,-37.5130,9.94,4.2,1.76,,
+NGC 4753,,s0,12.87281,-1.1997,9.95,4.23,2.58,,Dust Devil Galaxy
+NGC 5053,,gc,13.27419,17.7003,9.96,11,11,,
+NGC 1433,,s,3.70043,-47.2221,9.99,5.32,3.25,,
+NGC 1984,,oc,5.46113,-69.1350,9.99,1.5,1.2,,
+NGC 1313,,s,3.30446,-66.4983,10,6.25,3.5,,
+NGC 1404,,e,3.64775,-35.5944,10,2.4,2.16,,
+NGC 2269,,oc,6.72053,4.6150,10,4,4,,
+NGC 2304,,oc,6.91692,18.0206,10,4,4,,
+NGC 2867,,pn,9.35704,-58.3113,10,0.2,0.27,,
+NGC 3384,,s0,10.80469,12.6293,10,3.82,1.95,,
+NGC 3699,,pn,11.46604,-59.9577,10,0.75,0.75,,
+NGC 4244,,s,12.29157,37.8071,10,16.6,1.9,,
+M 85,NGC 4382,e,12.42335,18.1911,10,7.1,5.5,,
+NGC 5307,,pn,13.85092,-51.2058,10,0.49,0.35,,
+NGC 6563,,pn,18.20077,-33.8687,10,0.72,0.72,,Southern Ring Nebula
+NGC 6583,,oc,18.26360,-22.1330,10,5,5,,
+NGC 6996,,oc,20.94027,45.4700,10,5,5,,Bird's Nest
+NGC 6997,,oc,20.94200,44.6100,10,,,,
+NGC 7635,,bn,23.34675,61.2017,10,15,8,,Bubble Nebula
+NGC 7762,,oc,23.83100,68.0250,10,10,10,,
+IC 2165,,pn,6.36188,-12.9872,10,0.13,0.13,,
+IC 2501,,pn,9.64643,-60.0918,10,0.34,0.31,,
+NGC 3132,,pn,10.11716,-40.4364,10.01,1.03,0.72,,Eight-Burst Planetary Nebula
+NGC 4216,,s,12.26513,13.1494,10.01,6.92,1.25,,Silver Streak Galaxy
+M 76,NGC 650,pn,1.70554,51.5753,10.1,3.12,2.31,,Little Dumbbell Nebula
+NGC 1931,,bn,5.52300,34.2330,10.1,4,4,,The Fly Nebula
+M 98,NGC 4192,s,12.23000,14.9000,10.1,10,3,153,
+NGC 1788,,rn,5.11500,-3.3420,10.11,2,2,,Cosmic Bat Nebula
+NGC 134,,s,0.50608,-33.2454,10.12,5.44,1.74,,Giant Squid Galaxy
+NGC 3077,,i,10.05530,68.7340,10.14,2.97,2.37,,The Garland Galaxy
+NGC 4526,,s,12.56751,7.6991,10.16,4.69,2.02,,Lost Galaxy
+NGC 4438,,s,12.46268,13.0086,10.17,2.72,1.47,,The Eyes
+NGC 4473,,e,12.49691,13.4293,10.2,2.95,1.59,,Markarian's Chain
+NGC 6642,,gc,18.53173,-23.4761,10.24,1,1,,Tadpole Cluster
+M 65,NGC 3623,i,11.31555,13.0922,10.25,8.71,2.45,174,Leo Triplet
+NGC 4762,,s0,12.88223,11.2308,10.27,5.12,1.33,,Paper-Kite Galaxy
+NGC 772,,i,1.98877,19.0075,10.31,4.75,3.8,,Fiddlehead Galaxy
+IC 2574,,s,10.47319,68.4121,10.36,0.25,0.25,,Coddington's Nebula
+NGC 7424,,s,22.95510,-41.0706,10.38,3.33,2.16,,Grand Design Galaxy
+NGC 2080,,oc,5.66195,-69.6472,10.42,0.97,0.97,,Ghost Head Nebula
+NGC 2442,,s,7.60662,-69.5308,10.42,6.2,5.39,,Meathook Galaxy
+NGC 4477,,s,12.50061,13.6364,10.42,2.68,2.46,,Markarian's Chain
+NGC 584,,s0,1.52243,-6.8681,10.48,2.98,1.85,,Little Spindle Galaxy
+M 84,NGC 4374,e,12.41771,12.8870,10.49,6.5,5.6,,Markarian's Chain
+NGC 1350,,s,3.51892,-33.6286,10.52,3.84,1.92,,The Colossal Cosmic Eye
+NGC 4656,,s,12.73268,32.1703,10.52,1.66,0.86,,Crowbar Galaxy
+NGC 1535,,pn,4.23772,-12.7394,10.55,0.94,0.86,,Cleopatra's Eye Nebula
+NGC 7552,,s,23.26966,-42.5848,10.57,2.41,1.42,,Grus Quartet
+M 109,NGC 3992,i,11.95999,53.3745,10.6,7.6,4.7,,Vacuum Cleaner Galaxy
+M 59,NGC 4621,e,12.70065,11.6469,10.6,5.4,3.7,,
+NGC 6756,,oc,19.14580,4.7170,10.6,4,4,,Possible Binary Cluster
+NGC 7582,,s,23.30656,-42.3706,10.62,3.94,1.1,,Grus Quartet
+NGC 40,,pn,0.21695,72.5220,10.7,0.63,0.58,,Bow-Tie Nebula
+M 108,NGC 3556,s,11.19193,55.6741,10.7,8.7,2.2,79,Surfboard Galaxy
+NGC 4147,,gc,12.16837,18.5422,10.74,1.73,1.59,,Kick the Can Cluster
+NGC 4435,,s0,12.46125,13.0790,10.8,3.25,2.21,,The Eyes
+NGC 4605,,s,12.66649,61.6092,10.8,4.75,1.9,,Faberge Egg Galaxy
+NGC 6572,,pn,18.20177,6.8536,10.8,0.33,0.25,,Blue Racquetball Nebula
+NGC 936,,s,2.46041,-1.1563,10.81,3.92,3.33,,Darth Vader's Starfighter
+IC 4593,,pn,16.19571,12.0714,10.84,0.21,0.21,,White-eyed Pea Nebula
+NGC 7479,,s,23.08241,12.3229,10.85,4.1,3.1,,Superman Galaxy
+NGC 3079,,s,10.03272,55.6798,10.86,4.49,1.08,,The Phantom Frisbee Galaxy
+NGC 3193,,e,10.30691,21.8940,10.88,1.8,1.73,,Leo Quartet
+NGC 5882,,pn,15.28054,-45.6496,10.9,0.23,0.23,,Ghost of Uranus
+NGC 6503,,s,17.82403,70.1443,10.9,4.74,1.52,,Lost in Space Galaxy
+NGC 7027,,pn,21.11711,42.2362,10.9,,,,Pink Pillow Nebula
+NGC 4038,,i,12.03139,-18.8676,10.91,5.2,3.1,,Antennae
+NGC 4651,,s,12.72851,16.3934,10.92,2.57,1.7,,Umbrella Galaxy
+NGC 488,,s,1.36301,5.2567,10.96,4.58,3.71,,Whirligig Galaxy
+NGC 1317,,s0,3.37897,-37.1038,11.02,2.27,2.23,,Fornax B
+NGC 4039,,i,12.03158,-18.8856,11.08,3.1,1.6,,Antennae
+IC 3568,,pn,12.55191,82.5636,11.1,0.37,0.35,,Lemon slice Nebula
+NGC 3189,,i,10.30157,21.8319,11.15,2.82,0.79,,NGC 3190 Group
+NGC 1360,,pn,3.55407,-25.8717,11.16,6.4,6.4,,Robin's Egg Nebula
+NGC 4568,,s,12.60953,11.2386,11.19,4.06,1.58,,Siamese Twins
+NGC 4889,,e,13.00225,27.9770,11.3,2.66,1.81,,Coma B
+NGC 6907,,s,20.41859,-24.8083,11.3,3.55,2.57,,Giant Behemoth Galaxy
+NGC 4567,,s,12.60909,11.2579,11.31,3.72,2.19,,Siamese Twins
+NGC 5353,,s0,13.89076,40.2831,11.4,3.65,1.75,,NGC 5353 group
+NGC 7599,,s,23.32254,-42.2568,11.41,3.99,1.51,,Grus Quartet
+NGC 7129,,sfr,21.71553,66.1030,11.5,2,2,,Small Cluster Nebula
+IC 4406,,pn,14.37397,-44.1512,11.5,0.33,0.33,,Retina Nebula
+NGC 1922,,oc,5.33049,-69.5010,11.51,1,0.9,,Starfish Cluster
+NGC 2346,,pn,7.15626,-0.8066,11.58,0.91,0.91,,Butterfly Nebula
+NGC 6872,,i,20.28235,-70.7682,11.59,2.8,1.4,,Condor Galaxy
+NGC 6309,,pn,17.23453,-12.9099,11.6,0.52,0.43,,Box Nebula
+NGC 7814,,s,0.05415,16.1452,11.6,5.5,2.3,,The Little Sombrero Galaxy
+NGC 3432,,i,10.87531,36.6188,11.67,6.27,1.25,,Knitting Needle Galaxy
+NGC 2537,,i,8.22073,45.9898,11.69,2.23,1.87,,Bear's Paw Galaxy
+NGC 6210,,pn,16.74153,23.7999,11.7,0.43,0.37,,Turtle Nebula
+NGC 404,,e,1.15753,35.7181,11.73,6,6,,Mirach's Ghost
+NGC 7742,,i,23.73770,10.7671,11.74,1.41,1.29,,Fried-egg Galaxy
+NGC 4666,,s,12.75241,-0.4619,11.77,3.32,0.93,,Superwind-Galaxy
+NGC 246,,pn,0.78426,-11.8719,11.78,3.73,3.73,,Skull Nebula
+IC 4946,,s,20.39946,-43.9953,11.79,2.11,0.8,,Shapley-Ames 5
+NGC 6781,,pn,19.30780,6.5387,11.8,1.77,1.77,,Snowball Nebula
+NGC 5906,,s,15.26491,56.3289,11.8,8.51,1.36,,Splinter Galaxy
+NGC 5044,,e,13.25666,-16.3856,11.9,2.52,2.32,,NGC 5044 group
+NGC 4650,,s,12.73877,-40.7319,11.91,2.62,1.47,,Centaurus Chain
+NGC 6776,,s,19.42198,-63.8602,11.99,1.28,1,,Pentagon
+NGC 5892,,s,15.23006,-15.4637,12,2.3,1.66,,Fath 703
+M 87,NGC 4486,e,12.51603,12.2704,12.5,0.74,0.59,,Virgo Galaxy
+M 88,NGC 4501,i,12.53311,14.4204,13.18,6.9,3.7,,
+M 91,NGC 4548,s,12.59067,14.4963,13.57,5.4,4.3,,
+`;
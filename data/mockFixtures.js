@@ -0,0 +1,192 @@
+// Sample API responses for offline development, in the shape each real service returns.
+// Used by the mock provider (mockProvider.js) and the local HTTP stand-in (tools/mockServer.js).
+// Orbital elements and physical values are representative, not a live copy of the archives.
+
+const MOCK_FIXTURES = {
+    // JPL SBDB (sbdb.api), keyed by lower-case search name
+    sbdb: {
+        'eros': {
+            object: {
+                fullname: '433 Eros (A898 PA)',
+                name: '433 Eros',
+                designation: '433',
+                object_class: 'Amor',
+                orbit_class: 'AMO',
+                h_mag: 10.39,
+                diameter: 16.84,
+                rot_per: 5.27,
+                discovery_date: '1898-08-13',
+            },
+            orbit: {
+                epoch: '2460600.5',
+                elements: [
+                    { name: 'e', value: '0.2227' },
+                    { name: 'a', value: '1.458' },
+                    { name: 'q', value: '1.133' },
+                    { name: 'i', value: '10.83' },
+                    { name: 'om', value: '304.3' },
+                    { name: 'w', value: '178.9' },
+                    { name: 'ma', value: '310.6' },
+                ],
+            },
+        },
+        'halley': {
+            object: {
+                fullname: '1P/Halley',
+                name: '1P/Halley',
+                designation: '1P',
+                object_class: 'Halley-type Comet',
+                orbit_class: 'HTC',
+                discovery_date: '1758-12-25',
+            },
+            orbit: {
+                epoch: '2439875.5',
+                elements: [
+                    { name: 'e', value: '0.96714' },
+                    { name: 'q', value: '0.58598' },
+                    { name: 'i', value: '162.26' },
+                    { name: 'om', value: '58.42' },
+                    { name: 'w', value: '111.33' },
+                    { name: 'tp', value: '2446467.395' },
+                ],
+            },
+        },
+        'ceres': {
+            object: {
+                fullname: '1 Ceres (A801 AA)',
+                name: '1 Ceres',
+                designation: '1',
+                object_class: 'Main-belt Asteroid',
+                orbit_class: 'MBA',
+                h_mag: 3.33,
+                diameter: 939.4,
+                rot_per: 9.07,
+                discovery_date: '1801-01-01',
+            },
+            orbit: {
+                epoch: '2460600.5',
+                elements: [
+                    { name: 'e', value: '0.0795' },
+                    { name: 'a', value: '2.767' },
+                    { name: 'i', value: '10.59' },
+                    { name: 'om', value: '80.25' },
+                    { name: 'w', value: '73.30' },
+                    { name: 'ma', value: '145.8' },
+                ],
+            },
+        },
+    },
+
+    // NASA NeoWs (neo/rest/v1/neo/{id}), keyed by NEO reference id
+    neo: {
+        '2099942': {
+            id: '2099942',
+            neo_reference_id: '2099942',
+            name: '99942 Apophis (2004 MN4)',
+            absolute_magnitude_h: 19.09,
+            is_potentially_hazardous_asteroid: true,
+            estimated_diameter: {
+                meters: { estimated_diameter_min: 320.1, estimated_diameter_max: 715.8 },
+            },
+            close_approach_data: [
+                {
+                    close_approach_date: '2029-04-13',
+                    relative_velocity: { kilometers_per_second: '7.42' },
+                    miss_distance: { kilometers: '38017' },
+                    orbiting_body: 'Earth',
+                },
+            ],
+        },
+        '2433': {
+            id: '2433',
+            neo_reference_id: '2433',
+            name: '433 Eros (A898 PA)',
+            absolute_magnitude_h: 10.39,
+            is_potentially_hazardous_asteroid: false,
+            estimated_diameter: {
+                meters: { estimated_diameter_min: 22007.9, estimated_diameter_max: 49211.2 },
+            },
+            close_approach_data: [
+                {
+                    close_approach_date: '2056-01-24',
+                    relative_velocity: { kilometers_per_second: '5.76' },
+                    miss_distance: { kilometers: '22870000' },
+                    orbiting_body: 'Earth',
+                },
+            ],
+        },
+    },
+
+    // NASA Exoplanet Archive TAP rows (table pscomppars); ra/dec in degrees, every planet of each system
+    exoplanet: [
+        {
+            pl_name: 'Kepler-22 b', hostname: 'Kepler-22', sy_pnum: 1, disc_year: 2011, pl_orbper: 289.86,
+            pl_bmassj: null, pl_radj: 0.212, pl_eqt: 279, sy_dist: 194.5, ra: 289.2176, dec: 47.8844,
+        },
+        {
+            pl_name: 'TRAPPIST-1 b', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2016, pl_orbper: 1.51088,
+            pl_bmassj: 0.00432, pl_radj: 0.0999, pl_eqt: 400, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 c', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2016, pl_orbper: 2.4218,
+            pl_bmassj: 0.00413, pl_radj: 0.0979, pl_eqt: 341, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 d', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2017, pl_orbper: 4.04922,
+            pl_bmassj: 0.00122, pl_radj: 0.0704, pl_eqt: 288, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 e', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2017, pl_orbper: 6.10101,
+            pl_bmassj: 0.00218, pl_radj: 0.0818, pl_eqt: 250, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 f', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2017, pl_orbper: 9.20754,
+            pl_bmassj: 0.00327, pl_radj: 0.0933, pl_eqt: 219, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 g', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2017, pl_orbper: 12.35294,
+            pl_bmassj: 0.00416, pl_radj: 0.1013, pl_eqt: 199, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: 'TRAPPIST-1 h', hostname: 'TRAPPIST-1', sy_pnum: 7, disc_year: 2017, pl_orbper: 18.77287,
+            pl_bmassj: 0.00103, pl_radj: 0.0676, pl_eqt: 173, sy_dist: 12.43, ra: 346.6223, dec: -5.0414,
+        },
+        {
+            pl_name: '51 Peg b', hostname: '51 Peg', sy_pnum: 1, disc_year: 1995, pl_orbper: 4.2308,
+            pl_bmassj: 0.46, pl_radj: null, pl_eqt: 1216, sy_dist: 15.47, ra: 344.3665, dec: 20.7688,
+        },
+    ],
+
+    // CDS Sesame records as parseSesameXml() (app.js) returns them; ra/dec in degrees, parallax in mas
+    sesame: {
+        hd209458: {
+            resolver: 'S=Simbad (via url)', mainId: 'HD 209458', otype: 'BY*',
+            ra: 330.79488, dec: 18.88432, vmag: 7.63, spectralType: 'F9V', morphology: null,
+            parallax: 20.15, redshift: -0.000049,
+            aliases: ['HD 209458', 'V* V376 Peg', 'HIP 108859', 'BD+18  4917', 'SAO 107401', 'TYC 1688-1821-1'],
+        },
+        ngc7000: {
+            resolver: 'S=Simbad (via url)', mainId: 'NGC  7000', otype: 'HII',
+            ra: 314.6958, dec: 44.3333, vmag: 4.0, spectralType: null, morphology: null,
+            parallax: null, redshift: null,
+            aliases: ['NGC  7000', 'NAME North America Nebula', 'LBN 373', 'Sh 2-117', 'C 20'],
+        },
+        m31: {
+            resolver: 'S=Simbad (via url)', mainId: 'M  31', otype: 'AGN',
+            ra: 10.68471, dec: 41.26875, vmag: 3.44, spectralType: null, morphology: 'SA(s)b',
+            parallax: null, redshift: -0.001001,
+            aliases: ['M  31', 'NGC   224', 'UGC   454', 'PGC 2557', 'NAME Andromeda Galaxy', 'NAME And Nebula'],
+        },
+        alfcen: {
+            resolver: 'S=Simbad (via url)', mainId: '* alf Cen', otype: '**',
+            ra: 219.87383, dec: -60.83222, vmag: -0.27, spectralType: 'G2V+K1V', morphology: null,
+            parallax: 742.12, redshift: -0.0000742,
+            aliases: ['* alf Cen', 'NAME Rigil Kentaurus', 'GJ 559', 'HIP 71683', 'WDS J14396-6050AB'],
+        },
+    },
+};
+
+// Also loadable from Node (tools/mockServer.js)
+if (typeof module !== 'undefined') {
+    module.exports = MOCK_FIXTURES;
+}
@@ -0,0 +1,60 @@
+// Bundled Notable Objects
+// Often-searched objects that none of the bundled catalogs hold: Earth, a bright periodic comet and
+// a well-known exoplanet system. They answer searches offline or when the online sources are off.
+// Fields: id, name, aliases, type, and either orbit (SBDB-style elements, propagated to a position
+// for the map time, with the SBDB designation) or a fixed J2000 position (ra in hours, dec in
+// degrees); Earth has neither.
+// Halley's elements are JPL's (epoch 1968 Jan 21, perihelion 1986 Feb 9).
+
+const NOTABLE_OBJECTS = [
+    {
+        id: 'earth',
+        name: 'Earth',
+        aliases: [],
+        type: 'Planet',
+        details: {
+            'Type': 'Terrestrial Planet',
+            'Distance from Sun': '149.6 million km',
+            'Orbital Period': '365.25 days',
+        },
+    },
+    {
+        id: 'halley',
+        name: "Halley's Comet",
+        aliases: ['1P/Halley', 'Halley', '1P'],
+        type: 'Halley-type Comet',
+        designation: '1P',
+        orbit: {
+            epoch: '2439875.5',
+            elements: [
+                { name: 'e', value: '0.96714' },
+                { name: 'q', value: '0.58598' },
+                { name: 'i', value: '162.26' },
+                { name: 'om', value: '58.42' },
+                { name: 'w', value: '111.33' },
+                { name: 'tp', value: '2446467.395' },
+            ],
+        },
+        details: {
+            'Type': 'Periodic Comet',
+            'Orbital Period': '75-76 years',
+            'Last Perihelion': '1986',
+            'Next Perihelion': '2061',
+        },
+    },
+    {
+        id: 'trappist-1',
+        name: 'TRAPPIST-1',
+        aliases: ['2MASS J23062928-0502285'],
+        type: 'Exoplanet System',
+        ra: 23.10813,
+        dec: -5.04128,
+        mag: 18.8,
+        distancePc: 12.47,
+        planetCount: 7,
+        details: {
+            'Type': 'Ultra-cool Dwarf Star',
+            'Habitable Zone': '3 planets in habitable zone',
+        },
+    },
+];
@@ -0,0 +1,112 @@
+// Deep-Sky Catalog Module
+// Loads the bundled Messier/NGC/IC catalog (data/deepSky.js) and provides lookups by designation and name
+
+// Catalog type codes: display label and the chart symbol family ('galaxy' ellipse,
+// 'cluster' circle, 'nebula' square)
+const DEEP_SKY_TYPES = {
+    g: { label: 'Galaxy', symbol: 'galaxy' },
+    s: { label: 'Spiral Galaxy', symbol: 'galaxy' },
+    s0: { label: 'Lenticular Galaxy', symbol: 'galaxy' },
+    sd: { label: 'Dwarf Spheroidal Galaxy', symbol: 'galaxy' },
+    i: { label: 'Irregular Galaxy', symbol: 'galaxy' },
+    e: { label: 'Elliptical Galaxy', symbol: 'galaxy' },
+    gg: { label: 'Galaxy Cluster', symbol: 'galaxy' },
+    oc: { label: 'Open Cluster', symbol: 'cluster' },
+    gc: { label: 'Globular Cluster', symbol: 'cluster' },
+    pos: { label: 'Double Star', symbol: 'cluster' },
+    dn: { label: 'Dark Nebula', symbol: 'nebula' },
+    bn: { label: 'Bright Nebula', symbol: 'nebula' },
+    sfr: { label: 'Star-Forming Region', symbol: 'nebula' },
+    rn: { label: 'Reflection Nebula', symbol: 'nebula' },
+    en: { label: 'Emission Nebula', symbol: 'nebula' },
+    pn: { label: 'Planetary Nebula', symbol: 'nebula' },
+    snr: { label: 'Supernova Remnant', symbol: 'nebula' },
+};
+
+class DeepSkyCatalog {
+    constructor(csv) {
+        this.objects = this.parseCSV(csv);
+
+        // Lookup index (keys are normalized with normalizeKey)
+        this.byDesignation = new Map();
+        this.objects.forEach(object => {
+            this.getDesignations(object).forEach(designation => {
+                const key = this.normalizeKey(designation);
+                // Catalog is sorted by magnitude, so the brightest object wins a shared key
+                if (!this.byDesignation.has(key)) {
+                    this.byDesignation.set(key, object);
+                }
+            });
+        });
+    }
+
+    // Parse catalog CSV rows into objects (RA in hours, Dec in degrees, sizes in arcminutes)
+    parseCSV(csv) {
+        const lines = csv.trim().split('\n');
+        const header = lines.shift().split(',');
+        const number = value => value === '' ? null : parseFloat(value);
+
+        return lines.map(line => {
+            const values = line.split(',');
+            const row = {};
+            header.forEach((column, i) => {
+                row[column] = values[i] || '';
+            });
+
+            const major = number(row.major);
+            return {
+                id: row.id,
+                alt: row.alt || null,
+                type: row.type,
+                ra: parseFloat(row.ra),
+                dec: parseFloat(row.dec),
+                mag: number(row.mag),
+                major,
+                minor: number(row.minor) ?? major,
+                pa: number(row.pa),
+                name: row.name || null,
+            };
+        });
+    }
+
+    // All designations an object is known by, catalog designations first
+    getDesignations(object) {
+        const designations = [object.id];
+        if (object.alt) designations.push(object.alt);
+        if (object.name) designations.push(object.name);
+        return designations;
+    }
+
+    // Chart label and card title: "M 31", "NGC 7000"
+    getDisplayName(object) {
+        return object.id;
+    }
+
+    getTypeLabel(object) {
+        return DEEP_SKY_TYPES[object.type] ? DEEP_SKY_TYPES[object.type].label : 'Deep-Sky Object';
+    }
+
+    getSymbol(object) {
+        return DEEP_SKY_TYPES[object.type] ? DEEP_SKY_TYPES[object.type].symbol : 'nebula';
+    }
+
+    // Case and spacing are ignored, so "M31", "m 31" and "NGC224" all match
+    normalizeKey(designation) {
+        return designation.toLowerCase().replace(/\s+/g, '');
+    }
+
+    // Find an object by designation or name ("M31", "NGC 7000", "IC 434", "Orion Nebula")
+    find(designation) {
+        if (!designation) return null;
+        return this.byDesignation.get(this.normalizeKey(designation)) || null;
+    }
+
+    // Objects at or brighter than the given magnitude; ones with no magnitude only pass an
+    // unlimited filter (Infinity)
+    brighterThan(mag) {
+        return this.objects.filter(object => object.mag === null ? mag === Infinity : object.mag <= mag);
+    }
+}
+
+// Shared catalog instance used by the star map and the search app
+const deepSkyCatalog = new DeepSkyCatalog(DEEP_SKY_CATALOG_CSV);
@@ -0,0 +1,224 @@
+// Ephemeris Module
+// Offline positions of the Sun, Moon and planets from JPL Keplerian elements (Standish, valid 1800-2050)
+// and a truncated lunar theory (Meeus, Astronomical Algorithms ch. 47). Accurate to a few arcminutes.
+
+const OBLIQUITY_J2000 = 23.4392911;
+const AU_KM = 149597870.7;
+// Mean Earth-Moon distance (km), the lunar distance (LD) that close approaches are measured in
+const LUNAR_DISTANCE_KM = 384400;
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+// Keplerian elements at J2000 and their rates per Julian century:
+// [a (AU), e, I (deg), L (deg), longitude of perihelion (deg), longitude of ascending node (deg)]
+const PLANET_ELEMENTS = {
+    mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+    uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+    neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+};
+
+// Display data for each body; magnitude(r, delta, phaseAngle) follows Mallama & Hilton (2018)
+const SOLAR_SYSTEM_BODIES = {
+    sun: { name: 'Sun', symbol: '☉', color: '#ffd54f' },
+    moon: { name: 'Moon', symbol: '☾', color: '#e0e0e0' },
+    mercury: { name: 'Mercury', symbol: '☿', color: '#b0a49a',
+        magnitude: (r, d, i) => -0.60 + 5 * Math.log10(r * d) + 4.98e-2 * i - 4.88e-4 * i * i + 3.02e-6 * i * i * i },
+    venus: { name: 'Venus', symbol: '♀', color: '#f5e6b8',
+        magnitude: (r, d, i) => -4.47 + 5 * Math.log10(r * d) + 1.03e-3 * i + 2.57e-4 * i * i },
+    mars: { name: 'Mars', symbol: '♂', color: '#ff7a4d',
+        magnitude: (r, d, i) => -1.60 + 5 * Math.log10(r * d) + 0.016 * i },
+    jupiter: { name: 'Jupiter', symbol: '♃', color: '#e8c9a0',
+        magnitude: (r, d, i) => -9.40 + 5 * Math.log10(r * d) + 0.005 * i },
+    saturn: { name: 'Saturn', symbol: '♄', color: '#e6d28c',
+        magnitude: (r, d, i) => -8.88 + 5 * Math.log10(r * d) + 0.044 * i },
+    uranus: { name: 'Uranus', symbol: '⛢', color: '#9fe0e6',
+        magnitude: (r, d) => -7.19 + 5 * Math.log10(r * d) },
+    neptune: { name: 'Neptune', symbol: '♆', color: '#6f8cff',
+        magnitude: (r, d) => -6.87 + 5 * Math.log10(r * d) },
+};
+
+// Solve Kepler's equation M = E - e sin E (radians, M in [-π, π]) for an elliptic orbit,
+// starting from Danby's guess so Newton's method converges even for comet-like eccentricities
+function solveKepler(meanAnomaly, eccentricity) {
+    let E = meanAnomaly + 0.85 * eccentricity * Math.sign(Math.sin(meanAnomaly));
+    for (let i = 0; i < 50; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return E;
+}
+
+// Heliocentric ecliptic (J2000) rectangular coordinates of a planet, in AU
+function planetHeliocentric(planet, date) {
+    const t = julianCenturies(date);
+    const [base, rate] = PLANET_ELEMENTS[planet];
+    const [a, e, I, L, perihelion, node] = base.map((value, i) => value + rate[i] * t);
+
+    const argPerihelion = (perihelion - node) * DEG;
+    let meanAnomaly = normalizeDegrees(L - perihelion);
+    if (meanAnomaly > 180) meanAnomaly -= 360;
+    const E = solveKepler(meanAnomaly * DEG, e);
+
+    // Position in the orbital plane
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    return orbitalToEcliptic(xOrbit, yOrbit, argPerihelion, node * DEG, I * DEG);
+}
+
+// Rotate orbital-plane coordinates into the ecliptic frame
+function orbitalToEcliptic(xOrbit, yOrbit, argPerihelion, node, inclination) {
+    const cosW = Math.cos(argPerihelion), sinW = Math.sin(argPerihelion);
+    const cosN = Math.cos(node), sinN = Math.sin(node);
+    const cosI = Math.cos(inclination), sinI = Math.sin(inclination);
+
+    return {
+        x: (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit,
+        y: (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit,
+        z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit,
+    };
+}
+
+// Ecliptic rectangular (J2000) to equatorial RA (hours), Dec (degrees) and distance
+function eclipticToEquatorial(vector) {
+    const eps = OBLIQUITY_J2000 * DEG;
+    const x = vector.x;
+    const y = vector.y * Math.cos(eps) - vector.z * Math.sin(eps);
+    const z = vector.y * Math.sin(eps) + vector.z * Math.cos(eps);
+    const distance = Math.sqrt(x * x + y * y + z * z);
+
+    return {
+        ra: normalizeDegrees(Math.atan2(y, x) / DEG) / 15,
+        dec: Math.asin(z / distance) / DEG,
+        distance,
+    };
+}
+
+// Geocentric ecliptic (J2000) position of the Moon in AU, from the main periodic terms
+function moonGeocentric(date) {
+    const t = julianCenturies(date);
+    const Lp = 218.3164477 + 481267.88123421 * t;
+    const D = (297.8501921 + 445267.1114034 * t) * DEG;
+    const M = (357.5291092 + 35999.0502909 * t) * DEG;
+    const Mp = (134.9633964 + 477198.8675055 * t) * DEG;
+    const F = (93.2720950 + 483202.0175233 * t) * DEG;
+
+    const longitude = Lp
+        + 6.288774 * Math.sin(Mp) + 1.274027 * Math.sin(2 * D - Mp) + 0.658314 * Math.sin(2 * D)
+        + 0.213618 * Math.sin(2 * Mp) - 0.185116 * Math.sin(M) - 0.114332 * Math.sin(2 * F)
+        + 0.058793 * Math.sin(2 * D - 2 * Mp) + 0.057066 * Math.sin(2 * D - M - Mp)
+        + 0.053322 * Math.sin(2 * D + Mp) + 0.045758 * Math.sin(2 * D - M)
+        - 0.040923 * Math.sin(M - Mp) - 0.034720 * Math.sin(D) - 0.030383 * Math.sin(M + Mp)
+        // Precession from the equinox of date back to J2000
+        - 1.3969713 * t;
+
+    const latitude = 5.128122 * Math.sin(F) + 0.280602 * Math.sin(Mp + F) + 0.277693 * Math.sin(Mp - F)
+        + 0.173237 * Math.sin(2 * D - F) + 0.055413 * Math.sin(2 * D - Mp + F)
+        + 0.046271 * Math.sin(2 * D - Mp - F) + 0.032573 * Math.sin(2 * D + F)
+        + 0.017198 * Math.sin(2 * Mp + F);
+
+    const distanceKm = 385000.56 - 20905.355 * Math.cos(Mp) - 3699.111 * Math.cos(2 * D - Mp)
+        - 2955.968 * Math.cos(2 * D) - 569.925 * Math.cos(2 * Mp) + 48.888 * Math.cos(M)
+        + 246.158 * Math.cos(2 * D - 2 * Mp) - 152.138 * Math.cos(2 * D - M - Mp)
+        - 170.733 * Math.cos(2 * D + Mp) - 204.586 * Math.cos(2 * D - M)
+        - 129.620 * Math.cos(M - Mp) + 108.743 * Math.cos(D) + 104.755 * Math.cos(M + Mp);
+
+    const lon = longitude * DEG;
+    const lat = latitude * DEG;
+    const r = distanceKm / AU_KM;
+    return {
+        x: r * Math.cos(lat) * Math.cos(lon),
+        y: r * Math.cos(lat) * Math.sin(lon),
+        z: r * Math.sin(lat),
+    };
+}
+
+// Angle at the observer between two directions, in degrees
+function angleBetween(a, b) {
+    const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+    const lengths = Math.sqrt((a.x * a.x + a.y * a.y + a.z * a.z) * (b.x * b.x + b.y * b.y + b.z * b.z));
+    return Math.acos(Math.max(-1, Math.min(1, dot / lengths))) / DEG;
+}
+
+function subtractVectors(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function vectorLength(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+// Geocentric position, distance, magnitude, elongation and phase of a Sun, Moon or planet id
+function computeBodyPosition(bodyId, date = new Date()) {
+    const body = SOLAR_SYSTEM_BODIES[bodyId];
+    if (!body) return null;
+
+    const earth = planetHeliocentric('earth', date);
+    const sunGeocentric = { x: -earth.x, y: -earth.y, z: -earth.z };
+    let geocentric;
+    let heliocentric;
+
+    if (bodyId === 'sun') {
+        geocentric = sunGeocentric;
+    } else if (bodyId === 'moon') {
+        geocentric = moonGeocentric(date);
+        heliocentric = subtractVectors(geocentric, sunGeocentric);
+    } else {
+        // Correct for light travel time with one iteration
+        heliocentric = planetHeliocentric(bodyId, date);
+        const lightTime = vectorLength(subtractVectors(heliocentric, earth)) * LIGHT_TIME_DAYS_PER_AU;
+        heliocentric = planetHeliocentric(bodyId, new Date(date.getTime() - lightTime * 86400000));
+        geocentric = subtractVectors(heliocentric, earth);
+    }
+
+    const equatorial = eclipticToEquatorial(geocentric);
+    const position = {
+        id: bodyId,
+        name: body.name,
+        symbol: body.symbol,
+        ra: equatorial.ra,
+        dec: equatorial.dec,
+        distance: equatorial.distance,
+        elongation: bodyId === 'sun' ? 0 : angleBetween(geocentric, sunGeocentric),
+        phaseAngle: null,
+        illumination: null,
+        magnitude: null,
+    };
+
+    if (bodyId === 'sun') {
+        position.magnitude = -26.74 + 5 * Math.log10(equatorial.distance);
+    } else {
+        // Phase angle: Sun-body-Earth
+        const r = vectorLength(heliocentric);
+        const phaseAngle = angleBetween(
+            { x: -heliocentric.x, y: -heliocentric.y, z: -heliocentric.z },
+            { x: -geocentric.x, y: -geocentric.y, z: -geocentric.z }
+        );
+        position.phaseAngle = phaseAngle;
+        position.illumination = (1 + Math.cos(phaseAngle * DEG)) / 2;
+        position.magnitude = bodyId === 'moon'
+            ? -12.73 + 0.026 * phaseAngle + 4e-9 * Math.pow(phaseAngle, 4) +
+                5 * Math.log10(equatorial.distance * AU_KM / LUNAR_DISTANCE_KM)
+            : body.magnitude(r, equatorial.distance, phaseAngle);
+    }
+
+    return position;
+}
+
+// Positions of the Sun, Moon and the planets for a date
+function computeSolarSystem(date = new Date()) {
+    return Object.keys(SOLAR_SYSTEM_BODIES).map(id => computeBodyPosition(id, date));
+}
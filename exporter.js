@@ -0,0 +1,261 @@
+// Export Module
+// Saves the star map as a PNG (at a chosen multiple of the on-screen size) or a vector SVG with
+// the same layers and labels, and the search results on screen as CSV, JSON or a VOTable that
+// TOPCAT and Aladin open directly.
+
+// Resolution multiples offered for PNG export
+const MAP_EXPORT_SCALES = [1, 2, 3, 4];
+
+// Table columns for CSV and VOTable export: VOTable datatype, unit and UCD, and the value for an
+// object (null when it has none). A column per detail label follows these.
+const RESULT_TABLE_COLUMNS = [
+    { name: 'name', datatype: 'char', ucd: 'meta.id;meta.main', value: object => object.name },
+    { name: 'type', datatype: 'char', ucd: 'src.class', value: object => object.type },
+    {
+        name: 'ra', datatype: 'double', unit: 'deg', ucd: 'pos.eq.ra;meta.main',
+        value: object => object.coordinates ? object.coordinates.ra * 15 : null,
+    },
+    {
+        name: 'dec', datatype: 'double', unit: 'deg', ucd: 'pos.eq.dec;meta.main',
+        value: object => object.coordinates ? object.coordinates.dec : null,
+    },
+    {
+        name: 'ra_hms', datatype: 'char', ucd: 'pos.eq.ra',
+        value: object => object.coordinates ? formatRightAscension(object.coordinates.ra) : null,
+    },
+    {
+        name: 'dec_dms', datatype: 'char', ucd: 'pos.eq.dec',
+        value: object => object.coordinates ? formatDeclination(object.coordinates.dec) : null,
+    },
+    {
+        name: 'epoch', datatype: 'char', ucd: 'time.equinox',
+        value: object => object.coordinates ? object.coordinates.epoch : null,
+    },
+    {
+        name: 'position_date', datatype: 'char', ucd: 'time.epoch',
+        value: object => object.coordinates && object.coordinates.date ? object.coordinates.date.toISOString() : null,
+    },
+    { name: 'mag_v', datatype: 'double', unit: 'mag', ucd: 'phot.mag;em.opt.V', value: object => object.magnitudes.V },
+    { name: 'mag_h', datatype: 'double', unit: 'mag', ucd: 'phys.magAbs', value: object => object.magnitudes.H },
+    { name: 'distance_pc', datatype: 'double', unit: 'pc', ucd: 'pos.distance', value: object => object.physical.distancePc },
+    { name: 'distance_au', datatype: 'double', unit: 'au', ucd: 'pos.distance', value: object => object.physical.distanceAu },
+    {
+        name: 'sun_distance_au', datatype: 'double', unit: 'au', ucd: 'pos.distance;pos.heliocentric',
+        value: object => object.physical.sunDistanceAu,
+    },
+    { name: 'diameter_km', datatype: 'double', unit: 'km', ucd: 'phys.size.diameter', value: object => object.physical.diameterKm },
+    {
+        name: 'diameter_min_m', datatype: 'double', unit: 'm', ucd: 'phys.size.diameter;stat.min',
+        value: object => object.physical.diameterRangeM ? object.physical.diameterRangeM[0] : null,
+    },
+    {
+        name: 'diameter_max_m', datatype: 'double', unit: 'm', ucd: 'phys.size.diameter;stat.max',
+        value: object => object.physical.diameterRangeM ? object.physical.diameterRangeM[1] : null,
+    },
+    {
+        name: 'rotation_period_h', datatype: 'double', unit: 'h', ucd: 'time.period.rotation',
+        value: object => object.physical.rotationPeriodH,
+    },
+    { name: 'spectral_type', datatype: 'char', ucd: 'src.spType', value: object => object.physical.spectralType },
+    { name: 'b_v', datatype: 'double', unit: 'mag', ucd: 'phot.color;em.opt.B;em.opt.V', value: object => object.physical.colorIndex },
+    { name: 'morphology', datatype: 'char', ucd: 'src.morph.type', value: object => object.physical.morphology },
+    { name: 'redshift', datatype: 'double', ucd: 'src.redshift', value: object => object.physical.redshift },
+    {
+        name: 'major_axis', datatype: 'double', unit: 'arcmin', ucd: 'phys.angSize;src',
+        value: object => object.physical.angularSize ? object.physical.angularSize.major : null,
+    },
+    {
+        name: 'minor_axis', datatype: 'double', unit: 'arcmin', ucd: 'phys.angSize;src',
+        value: object => object.physical.angularSize ? object.physical.angularSize.minor : null,
+    },
+    { name: 'position_angle', datatype: 'double', unit: 'deg', ucd: 'pos.posAng', value: object => object.physical.positionAngle },
+    { name: 'planet_count', datatype: 'int', ucd: 'meta.number', value: object => object.physical.planetCount },
+    { name: 'identifiers', datatype: 'char', ucd: 'meta.id', value: object => object.identifiers.join('; ') },
+    { name: 'source', datatype: 'char', ucd: 'meta.ref', value: object => object.source },
+];
+
+// Save text or a Blob as a file download
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download only after the click handler returns
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name from a base ("Andromeda Galaxy" -> "andromeda-galaxy.csv"), or a timestamped one
+function exportFileName(base, extension) {
+    const slug = normalizeSearchTerm(base || '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    return `${slug || 'space-map'}-${stamp}.${extension}`;
+}
+
+// PNG of the current map view at scale times the on-screen size, with labels scaled to match
+function exportMapPng(map, scale) {
+    const { width, height } = map.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    map.renderTo(ctx, width, height);
+    canvas.toBlob(blob => downloadFile(exportFileName('star-map', 'png'), blob, 'image/png'), 'image/png');
+}
+
+// SVG document of the current map view
+function createMapSvg(map) {
+    const { width, height } = map.canvas;
+    const svg = new SvgContext(width, height);
+    map.renderTo(svg, width, height);
+    return svg.toSvg();
+}
+
+// Detail labels used by any of the objects, in first-seen order
+function collectDetailLabels(objects) {
+    return [...new Set(objects.flatMap(object => Object.keys(object.details)))];
+}
+
+// Header and rows of cell values (null when empty) for the table formats
+function buildResultTable(objects) {
+    const detailLabels = collectDetailLabels(objects);
+    const rows = objects.map(object => [
+        ...RESULT_TABLE_COLUMNS.map(column => {
+            const value = column.value(object);
+            return value === undefined || Number.isNaN(value) ? null : value;
+        }),
+        ...detailLabels.map(label => label in object.details ? String(object.details[label]) : null),
+    ]);
+    return { detailLabels, rows };
+}
+
+// RFC 4180 CSV text from rows of cell values (null for empty cells)
+function toCsv(rows) {
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV with one row per object
+function resultsToCsv(objects) {
+    const { detailLabels, rows } = buildResultTable(objects);
+    const header = [...RESULT_TABLE_COLUMNS.map(column => column.name), ...detailLabels];
+    return toCsv([header, ...rows]);
+}
+
+// The objects as they are modeled (see celestialObject.js), with the query and export time
+function resultsToJson(objects, query) {
+    return JSON.stringify({
+        query,
+        exported: new Date().toISOString(),
+        coordinateFrame: 'J2000; ra in hours, dec in degrees',
+        results: objects,
+    }, null, 2);
+}
+
+// VOTable 1.4 with the columns described by UCDs, so TOPCAT and Aladin find the positions themselves
+function resultsToVoTable(objects, query) {
+    const { detailLabels, rows } = buildResultTable(objects);
+    const fields = [
+        ...RESULT_TABLE_COLUMNS.map(column => {
+            const attributes = [`name="${column.name}"`, `datatype="${column.datatype}"`];
+            if (column.datatype === 'char') attributes.push('arraysize="*"');
+            if (column.unit) attributes.push(`unit="${column.unit}"`);
+            attributes.push(`ucd="${column.ucd}"`);
+            if (column.name === 'ra' || column.name === 'dec') attributes.push('ref="J2000"');
+            return `      <FIELD ${attributes.join(' ')}/>`;
+        }),
+        ...detailLabels.map(label => `      <FIELD name="${escapeXml(label)}" datatype="char" arraysize="*"/>`),
+    ];
+    // Empty cells are null in every datatype
+    const tableRows = rows.map(row =>
+        `        <TR>${row.map(value => `<TD>${value === null ? '' : escapeXml(value)}</TD>`).join('')}</TR>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3">',
+        '  <RESOURCE type="results">',
+        `    <DESCRIPTION>Space Map Explorer results for "${escapeXml(query)}", exported ${new Date().toISOString()}</DESCRIPTION>`,
+        '    <COOSYS ID="J2000" system="eq_FK5" equinox="J2000"/>',
+        '    <TABLE name="results">',
+        ...fields,
+        '      <DATA>',
+        '        <TABLEDATA>',
+        ...tableRows,
+        '        </TABLEDATA>',
+        '      </DATA>',
+        '    </TABLE>',
+        '  </RESOURCE>',
+        '</VOTABLE>',
+        '',
+    ].join('\n');
+}
+
+// Show the results export bar only while there are results to export
+function updateResultsExport() {
+    const bar = document.getElementById('resultsExport');
+    if (bar) {
+        bar.classList.toggle('hidden', displayedResults.length === 0);
+    }
+}
+
+function exportResults(format) {
+    if (displayedResults.length === 0) return;
+    const base = lastSearchQuery || 'results';
+    if (format === 'csv') {
+        downloadFile(exportFileName(base, 'csv'), resultsToCsv(displayedResults), 'text/csv');
+    } else if (format === 'json') {
+        downloadFile(exportFileName(base, 'json'), resultsToJson(displayedResults, lastSearchQuery), 'application/json');
+    } else if (format === 'votable') {
+        downloadFile(exportFileName(base, 'vot'), resultsToVoTable(displayedResults, lastSearchQuery), 'application/x-votable+xml');
+    }
+}
+
+// PNG resolution menu entries show the pixel size they produce for the current map size
+function updateMapExportScales() {
+    const select = document.getElementById('mapExportScale');
+    if (!select || !window.starMap) return;
+    const { width, height } = window.starMap.canvas;
+    const selected = select.value || '1';
+    select.innerHTML = '';
+    MAP_EXPORT_SCALES.forEach(scale => {
+        const option = document.createElement('option');
+        option.value = String(scale);
+        option.textContent = `PNG ${width * scale} × ${height * scale}`;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const scaleSelect = document.getElementById('mapExportScale');
+    const pngBtn = document.getElementById('exportPngBtn');
+    const svgBtn = document.getElementById('exportSvgBtn');
+
+    updateMapExportScales();
+    window.addEventListener('resize', updateMapExportScales);
+
+    if (pngBtn) {
+        pngBtn.addEventListener('click', () => {
+            if (!window.starMap) return;
+            exportMapPng(window.starMap, scaleSelect ? parseFloat(scaleSelect.value) || 1 : 1);
+        });
+    }
+    if (svgBtn) {
+        svgBtn.addEventListener('click', () => {
+            if (!window.starMap) return;
+            downloadFile(exportFileName('star-map', 'svg'), createMapSvg(window.starMap), 'image/svg+xml');
+        });
+    }
+
+    document.querySelectorAll('#resultsExport [data-format]').forEach(btn => {
+        btn.addEventListener('click', () => exportResults(btn.getAttribute('data-format')));
+    });
+    updateResultsExport();
+});
@@ -0,0 +1,59 @@
+// Mock Data Provider
+// Answers searches from MOCK_FIXTURES (data/mockFixtures.js) and hands each fixture to the matching
+// real provider's normalizer, so the whole search pipeline runs offline. Enable with ?providers=mock.
+
+const mockProvider = createProvider({
+    id: 'mock',
+    name: 'Mock Fixtures',
+    capabilities: ['asteroids', 'comets', 'orbits', 'neos', 'exoplanets', 'stars', 'deep-sky'],
+    local: true,
+    cacheTtl: 0,
+
+    // Fixture records as [{ source: provider id, raw: response in that provider's format }]
+    async search(query) {
+        const q = query.toLowerCase().trim();
+        const records = [];
+
+        Object.entries(MOCK_FIXTURES.sbdb).forEach(([key, data]) => {
+            if (key === q || data.object.name.toLowerCase() === q || data.object.designation.toLowerCase() === q) {
+                records.push({ source: 'sbdb', raw: data });
+            }
+        });
+        Object.values(MOCK_FIXTURES.neo).forEach(neo => {
+            if (neo.id === q || neo.name.toLowerCase().includes(q)) {
+                records.push({ source: 'neows', raw: neo });
+            }
+        });
+        // Whole systems, as the archive provider returns them
+        const hosts = new Set(MOCK_FIXTURES.exoplanet
+            .filter(row => row.pl_name.toLowerCase().includes(q) || row.hostname.toLowerCase().includes(q))
+            .map(row => row.hostname));
+        const rows = MOCK_FIXTURES.exoplanet.filter(row => hosts.has(row.hostname));
+        if (rows.length > 0) {
+            records.push({ source: 'exoplanet', raw: rows });
+        }
+        // Sesame names match any identifier, ignoring catalog padding ("M31" is "M  31")
+        const compact = name => name.toLowerCase().replace(/^(name|\*|\*\*|v\*) /, '').replace(/\s+/g, '');
+        const sesameName = compact(toSesameName(query));
+        Object.values(MOCK_FIXTURES.sesame).forEach(record => {
+            if (record.aliases.concat(record.mainId).some(alias => compact(alias) === sesameName)) {
+                records.push({ source: 'simbad', raw: record });
+            }
+        });
+
+        return records.length > 0 ? records : null;
+    },
+
+    normalize(records, query) {
+        return records
+            .map(({ source, raw }) => {
+                const provider = providerRegistry.get(source);
+                return provider ? provider.normalize(raw, query) : null;
+            })
+            .flat()
+            .filter(Boolean)
+            .map(result => relabelSource(result, `${result.source}, mock data`));
+    },
+});
+
+providerRegistry.register(mockProvider, { enabled: false });
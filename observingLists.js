@@ -0,0 +1,684 @@
+// Observing Lists Module
+// Named lists of objects for an observing session, kept in this browser. Result cards (including
+// those opened by clicking the map) add their object to the active list; a list can be reordered,
+// annotated, plotted on the map at once, and imported or exported as CSV, a SkySafari observing
+// list (.skylist) or a Stellarium observing list (.json).
+//
+// Stored list: { id, name, created (ISO), items: [{ id, name, type, ra (hours), dec (degrees),
+// magnitude, identifiers, note, positionDate }] }. ra and dec are null for imported objects that
+// could not be placed; positionDate is set for moving objects, whose position is only a snapshot.
+
+// localStorage key for the saved lists ({ activeListId, lists })
+const OBSERVING_LISTS_KEY = 'spaceMap.observingLists';
+
+// Name of the list created when an object is added before any list exists
+const DEFAULT_OBSERVING_LIST_NAME = 'Tonight';
+
+// Identifiers kept per list item (the rest stay in the search results)
+const MAX_ITEM_IDENTIFIERS = 6;
+
+// Export formats: file extension and MIME type
+const OBSERVING_LIST_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    skysafari: { extension: 'skylist', mimeType: 'text/plain' },
+    stellarium: { extension: 'json', mimeType: 'application/json' },
+};
+
+// CSV columns written on export; imports also accept ra_hms/dec_dms, "object" and "comment"
+const OBSERVING_LIST_CSV_COLUMNS = ['name', 'type', 'ra', 'dec', 'ra_hms', 'dec_dms', 'magnitude', 'identifiers', 'note', 'position_date'];
+
+// SkySafari object classes: solar system, star, deep sky. The other two ObjectID fields are left
+// at -1, which makes SkySafari find the object by its catalog numbers.
+const SKYSAFARI_OBJECT_CLASSES = { solarSystem: 1, star: 2, deepSky: 4 };
+
+// Search index kinds (see searchIndex.js) an imported SkySafari object of each class may match
+const SKYSAFARI_CLASS_KINDS = {
+    [SKYSAFARI_OBJECT_CLASSES.solarSystem]: ['body', 'notable'],
+    [SKYSAFARI_OBJECT_CLASSES.star]: ['star', 'notable'],
+    [SKYSAFARI_OBJECT_CLASSES.deepSky]: ['deepsky'],
+};
+
+function createListId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class ObservingListStore {
+    constructor() {
+        this.lists = [];
+        this.activeListId = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(OBSERVING_LISTS_KEY)) || {};
+            this.lists = Array.isArray(saved.lists) ? saved.lists : [];
+            this.activeListId = saved.activeListId || null;
+        } catch (error) {
+            console.log('Ignoring unreadable observing lists:', error.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(OBSERVING_LISTS_KEY, JSON.stringify({ activeListId: this.activeListId, lists: this.lists }));
+        } catch (error) {
+            console.log('Could not save observing lists:', error.message);
+        }
+    }
+
+    getList(id) {
+        return this.lists.find(list => list.id === id) || null;
+    }
+
+    // The list objects are added to, or null when there are no lists
+    getActiveList() {
+        return this.getList(this.activeListId) || this.lists[0] || null;
+    }
+
+    setActiveList(id) {
+        if (!this.getList(id)) return;
+        this.activeListId = id;
+        this.save();
+    }
+
+    createList(name, items = []) {
+        const list = { id: createListId(), name: name.trim() || DEFAULT_OBSERVING_LIST_NAME, created: new Date().toISOString(), items: [] };
+        items.forEach(item => list.items.push({ ...item, id: createListId() }));
+        this.lists.push(list);
+        this.activeListId = list.id;
+        this.save();
+        return list;
+    }
+
+    renameList(id, name) {
+        const list = this.getList(id);
+        if (!list || !name.trim()) return;
+        list.name = name.trim();
+        this.save();
+    }
+
+    deleteList(id) {
+        this.lists = this.lists.filter(list => list.id !== id);
+        if (this.activeListId === id) {
+            this.activeListId = this.lists.length > 0 ? this.lists[0].id : null;
+        }
+        this.save();
+    }
+
+    // Add an item to the active list (creating one if needed). Returns the list, or null when the
+    // object is already on it.
+    addItem(item) {
+        const list = this.getActiveList() || this.createList(DEFAULT_OBSERVING_LIST_NAME);
+        if (this.findItem(list, item.name)) return null;
+        list.items.push({ ...item, id: createListId() });
+        this.activeListId = list.id;
+        this.save();
+        return list;
+    }
+
+    findItem(list, name) {
+        const key = normalizeSearchTerm(name);
+        return list.items.find(item => normalizeSearchTerm(item.name) === key) || null;
+    }
+
+    removeItem(list, itemId) {
+        list.items = list.items.filter(item => item.id !== itemId);
+        this.save();
+    }
+
+    // Move an item up (offset -1) or down (+1)
+    moveItem(list, itemId, offset) {
+        const from = list.items.findIndex(item => item.id === itemId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= list.items.length) return;
+        const [item] = list.items.splice(from, 1);
+        list.items.splice(to, 0, item);
+        this.save();
+    }
+
+    setNote(list, itemId, note) {
+        const item = list.items.find(entry => entry.id === itemId);
+        if (!item) return;
+        item.note = note;
+        this.save();
+    }
+}
+
+// List item for a celestial object (see celestialObject.js)
+function createObservingItem(object) {
+    const { coordinates } = object;
+    return {
+        name: object.name,
+        type: object.type,
+        ra: coordinates ? coordinates.ra : null,
+        dec: coordinates ? coordinates.dec : null,
+        magnitude: 'V' in object.magnitudes ? object.magnitudes.V : null,
+        identifiers: object.identifiers.slice(0, MAX_ITEM_IDENTIFIERS),
+        note: '',
+        positionDate: coordinates && coordinates.date ? coordinates.date.toISOString() : null,
+    };
+}
+
+// Position of a bundled-catalog object with exactly one of these names, as { ra, dec, type, magnitude },
+// or null; kinds limits the search index kinds it may be. Used for imported objects that come
+// without coordinates.
+function resolveLocalPosition(names, kinds = null) {
+    for (const name of names) {
+        const entry = name ? localSearchIndex.resolve(name, kinds) : null;
+        if (!entry) continue;
+        if (entry.kind === 'body') {
+            const position = computeBodyPosition(entry.name.toLowerCase(), getEphemerisDate());
+            return { ra: position.ra, dec: position.dec, type: entry.type, magnitude: position.magnitude };
+        }
+        if (entry.kind === 'notable') {
+            const { coordinates, magnitudes } = createNotableResult(entry.data);
+            if (!coordinates) continue;
+            return { ra: coordinates.ra, dec: coordinates.dec, type: entry.type, magnitude: 'V' in magnitudes ? magnitudes.V : null };
+        }
+        const { ra, dec } = entry.kind === 'constellation' ? entry.data.label : entry.data;
+        return { ra, dec, type: entry.type, magnitude: entry.magnitude };
+    }
+    return null;
+}
+
+// Item position for plotting: the Sun, Moon and planets are placed for the map's observer time,
+// everything else where it was stored
+function getObservingItemPosition(item) {
+    const bodyId = item.name.toLowerCase();
+    if (SOLAR_SYSTEM_BODIES[bodyId]) {
+        return computeBodyPosition(bodyId, getEphemerisDate());
+    }
+    return item.ra === null || item.dec === null ? null : { ra: item.ra, dec: item.dec };
+}
+
+// Imported item: coordinates from the file when it has them, otherwise from the bundled catalogs
+// (only objects of the given search index kinds, when the file says what class the object is)
+function createImportedItem({ name, type, ra, dec, magnitude, identifiers = [], note = '', kinds = null }) {
+    const item = {
+        name,
+        type: type || 'Astronomical Object',
+        ra: ra === undefined ? null : ra,
+        dec: dec === undefined ? null : dec,
+        magnitude: magnitude === undefined || Number.isNaN(magnitude) ? null : magnitude,
+        identifiers: [...new Set([name, ...identifiers].filter(Boolean))].slice(0, MAX_ITEM_IDENTIFIERS),
+        note,
+        positionDate: null,
+    };
+    if (item.ra === null || item.dec === null) {
+        const local = resolveLocalPosition(item.identifiers, kinds);
+        if (local) {
+            item.ra = local.ra;
+            item.dec = local.dec;
+            if (!type) item.type = local.type;
+            if (item.magnitude === null) item.magnitude = local.magnitude;
+        }
+    }
+    return item;
+}
+
+function observingListToCsv(list) {
+    return toCsv([OBSERVING_LIST_CSV_COLUMNS, ...list.items.map(item => {
+        const placed = item.ra !== null && item.dec !== null;
+        return [
+            item.name,
+            item.type,
+            placed ? item.ra * 15 : null,
+            placed ? item.dec : null,
+            placed ? formatRightAscension(item.ra) : null,
+            placed ? formatDeclination(item.dec) : null,
+            item.magnitude,
+            item.identifiers.join('; '),
+            item.note,
+            item.positionDate,
+        ];
+    })]);
+}
+
+// One-line value for a SkySafari list field, which ends at the line break
+function toSkySafariValue(text) {
+    return text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+// SkySafari matches list entries on their names and catalog numbers
+function observingListToSkySafari(list) {
+    const lines = ['SkySafariObservingListVersion=3.0'];
+    list.items.forEach(item => {
+        const category = markerCategory(item.type);
+        const objectClass = category === 'planet' || category === 'smallBody'
+            ? SKYSAFARI_OBJECT_CLASSES.solarSystem
+            : category === 'star' || category === 'exoplanetHost' ? SKYSAFARI_OBJECT_CLASSES.star : SKYSAFARI_OBJECT_CLASSES.deepSky;
+        lines.push('SkyObject=BeginObject');
+        lines.push(`\tObjectID=${objectClass},-1,-1`);
+        lines.push(`\tCommonName=${toSkySafariValue(item.name)}`);
+        item.identifiers.filter(identifier => identifier !== item.name).forEach(identifier => {
+            lines.push(`\tCatalogNumber=${toSkySafariValue(identifier)}`);
+        });
+        if (item.note) lines.push(`\tComment=${toSkySafariValue(item.note)}`);
+        lines.push('EndObject=SkyObject');
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Stellarium object class for an item: DSOs are all "Nebula", solar system objects "Planet"
+function stellariumObjectType(type) {
+    const category = markerCategory(type);
+    if (category === 'star' || category === 'exoplanetHost') return 'Star';
+    if (category === 'planet' || category === 'smallBody') return 'Planet';
+    if (category === 'galaxy') return 'Nebula';
+    return 'CustomObject';
+}
+
+// Stellarium observing list file (Search window, Lists tab) holding this one list
+function observingListToStellarium(list) {
+    const objects = list.items.map(item => {
+        const placed = item.ra !== null && item.dec !== null;
+        // Stellarium writes catalog designations without spaces ("M42", "NGC1976")
+        const designation = (item.identifiers.find(identifier => /^(?:M|NGC|IC)\s*\d+$/.test(identifier)) || item.name)
+            .replace(/^(M|NGC|IC)\s+(\d+)$/, '$1$2');
+        return {
+            constellation: placed ? (constellationCatalog.findConstellation(item.ra, item.dec) || {}).abbreviation || '' : '',
+            dec: placed ? formatDeclination(item.dec).replace(/\s/g, '').replace('′', "'").replace('″', '"') : '',
+            designation,
+            fov: 0,
+            isVisibleMarker: false,
+            jd: '',
+            landscapeID: '',
+            location: '',
+            magnitude: item.magnitude === null ? '' : item.magnitude.toFixed(2),
+            name: item.name,
+            nameI18n: item.name,
+            objtype: item.type,
+            ra: placed ? formatRightAscension(item.ra).replace(/\s/g, '') : '',
+            type: stellariumObjectType(item.type),
+        };
+    });
+    return JSON.stringify({
+        defaultListOlud: list.id,
+        observingLists: {
+            [list.id]: {
+                'creation date': list.created,
+                description: 'Exported from Space Map Explorer',
+                name: list.name,
+                objects,
+                sorting: '',
+            },
+        },
+        shortName: 'Observing list for Stellarium',
+        version: '2.0',
+    }, null, 4);
+}
+
+// Rows of cells from RFC 4180 CSV text (quoted fields may hold commas, quotes and line breaks)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// Position from a pair of coordinate strings in any form the search box reads, or null
+function parseImportedPosition(ra, dec) {
+    if (!ra || !dec) return null;
+    try {
+        return parseSkyCoordinates(`${ra}, ${dec}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+// CSV with a header row naming at least a name (or object) column
+function parseObservingListCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = (...names) => columns.findIndex(name => names.includes(name));
+    const nameColumn = column('name', 'object', 'designation');
+    if (nameColumn < 0) throw new Error('The CSV file needs a "name" column');
+
+    const at = (cells, ...names) => {
+        const index = column(...names);
+        return index >= 0 && cells[index] !== undefined ? cells[index].trim() : '';
+    };
+    return rows.filter(cells => (cells[nameColumn] || '').trim()).map(cells => {
+        // ra/dec are decimal degrees as exported; ra_hms/dec_dms any form the search box reads
+        const position = parseImportedPosition(at(cells, 'ra'), at(cells, 'dec')) ||
+            parseImportedPosition(at(cells, 'ra_hms'), at(cells, 'dec_dms'));
+        const magnitude = parseFloat(at(cells, 'magnitude', 'mag', 'mag_v'));
+        return createImportedItem({
+            name: cells[nameColumn].trim(),
+            type: at(cells, 'type'),
+            ra: position ? position.ra : null,
+            dec: position ? position.dec : null,
+            magnitude: isNaN(magnitude) ? null : magnitude,
+            identifiers: at(cells, 'identifiers').split(';').map(identifier => identifier.trim()),
+            note: at(cells, 'note', 'notes', 'comment'),
+        });
+    });
+}
+
+// SkySafari lists carry names, catalog numbers and an object class, not positions
+function parseSkySafariList(text) {
+    const items = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.trim().match(/^([^=]+)=(.*)$/);
+        if (!match) return;
+        const [, key, value] = match;
+        if (key === 'SkyObject' && value === 'BeginObject') {
+            current = { names: [], note: '', kinds: null };
+        } else if (key === 'EndObject' && current) {
+            if (current.names.length > 0) {
+                items.push(createImportedItem({ name: current.names[0], identifiers: current.names, note: current.note, kinds: current.kinds }));
+            }
+            current = null;
+        } else if (current && key === 'ObjectID') {
+            // An unknown class matches any kind
+            current.kinds = SKYSAFARI_CLASS_KINDS[parseInt(value, 10)] || null;
+        } else if (current && (key === 'CommonName' || key === 'CatalogNumber') && value.trim()) {
+            current.names.push(value.trim());
+        } else if (current && key === 'Comment') {
+            current.note = value.trim();
+        }
+    });
+    return items;
+}
+
+// Every list in a Stellarium observing list file, as [{ name, items }]
+function parseStellariumLists(text) {
+    const data = JSON.parse(text);
+    return Object.values(data.observingLists || {}).map(list => ({
+        name: list.name || 'Stellarium list',
+        items: (list.objects || []).map(object => {
+            const name = object.nameI18n || object.name || object.designation;
+            const position = parseImportedPosition(object.ra, object.dec);
+            const magnitude = parseFloat(object.magnitude);
+            return createImportedItem({
+                name,
+                type: object.objtype || object.type,
+                ra: position ? position.ra : null,
+                dec: position ? position.dec : null,
+                magnitude: isNaN(magnitude) ? null : magnitude,
+                identifiers: [object.designation, object.name].filter(Boolean),
+            });
+        }),
+    }));
+}
+
+// Lists read from an imported file, recognized by content: [{ name, items }]
+function parseObservingListFile(fileName, text) {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    if (/^\s*SkySafariObservingListVersion=/.test(text)) {
+        return [{ name: baseName, items: parseSkySafariList(text) }];
+    }
+    if (/^\s*\{/.test(text)) {
+        return parseStellariumLists(text);
+    }
+    return [{ name: baseName, items: parseObservingListCsv(text) }];
+}
+
+const observingLists = new ObservingListStore();
+
+// Add an object to the active list
+function addToObservingList(object) {
+    const list = observingLists.addItem(createObservingItem(object));
+    renderObservingLists();
+    showObservingListStatus(list
+        ? `Added ${object.name} to "${list.name}".`
+        : `${object.name} is already on "${observingLists.getActiveList().name}".`);
+}
+
+// "Add to observing list" button for a result card
+function createAddToListButton(object) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'control-btn add-to-list-btn';
+    button.textContent = '+ Observing List';
+    button.addEventListener('click', () => {
+        addToObservingList(object);
+        button.textContent = '✓ On List';
+    });
+    return button;
+}
+
+// Plot every placed item of a list on the map and frame them
+function plotObservingList(list) {
+    const map = window.starMap;
+    if (!map || !list) return;
+    if (!map.keepPreviousResults) {
+        map.clearPlottedObjects();
+    }
+    let unplaced = 0;
+    list.items.forEach(item => {
+        const position = getObservingItemPosition(item);
+        if (position) {
+            const bodyId = item.name.toLowerCase();
+            map.plotObject(item.name, position.ra, position.dec, item.type, {
+                bodyId: SOLAR_SYSTEM_BODIES[bodyId] ? bodyId : null,
+                fly: false,
+            });
+        } else {
+            unplaced++;
+        }
+    });
+    if (map.plottedObjects.length > 0) {
+        map.fitToPlottedObjects();
+    }
+    showObservingListStatus(unplaced > 0
+        ? `${unplaced} object${unplaced === 1 ? ' has' : 's have'} no known position and ${unplaced === 1 ? 'is' : 'are'} not plotted.`
+        : '');
+}
+
+function exportObservingList(list, formatId) {
+    const format = OBSERVING_LIST_FORMATS[formatId];
+    if (!list || !format) return;
+    const content = formatId === 'skysafari' ? observingListToSkySafari(list)
+        : formatId === 'stellarium' ? observingListToStellarium(list)
+        : observingListToCsv(list);
+    downloadFile(exportFileName(list.name, format.extension), content, format.mimeType);
+}
+
+async function importObservingListFile(file) {
+    try {
+        const lists = parseObservingListFile(file.name, await file.text());
+        let imported = 0;
+        let unplaced = 0;
+        lists.forEach(({ name, items }) => {
+            observingLists.createList(name, items);
+            imported += items.length;
+            unplaced += items.filter(item => item.ra === null || item.dec === null).length;
+        });
+        renderObservingLists();
+        showObservingListStatus(`Imported ${imported} object${imported === 1 ? '' : 's'}` +
+            (unplaced > 0 ? ` (${unplaced} without a known position).` : '.'));
+    } catch (error) {
+        showObservingListStatus(`Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+function showObservingListStatus(message) {
+    const status = document.getElementById('observingListStatus');
+    if (status) status.textContent = message;
+}
+
+// Rebuild the list menu and the active list's items
+function renderObservingLists() {
+    const select = document.getElementById('observingListSelect');
+    const container = document.getElementById('observingListItems');
+    if (!select || !container) return;
+
+    const active = observingLists.getActiveList();
+    select.innerHTML = '';
+    observingLists.lists.forEach(list => {
+        const option = document.createElement('option');
+        option.value = list.id;
+        option.textContent = `${list.name} (${list.items.length})`;
+        select.appendChild(option);
+    });
+    if (active) select.value = active.id;
+    ['renameListBtn', 'deleteListBtn', 'plotListBtn', 'exportListBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !active;
+    });
+
+    container.innerHTML = '';
+    if (!active || active.items.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'observing-empty';
+        empty.textContent = active
+            ? 'This list is empty. Use "+ Observing List" on a result card to add objects.'
+            : 'No observing lists yet. Create one, import a file, or add an object from a result card.';
+        container.appendChild(empty);
+        return;
+    }
+
+    const items = document.createElement('ol');
+    items.className = 'observing-items';
+    active.items.forEach((item, index) => items.appendChild(createObservingListItem(active, item, index)));
+    container.appendChild(items);
+}
+
+function createObservingListItem(list, item, index) {
+    const row = document.createElement('li');
+    row.className = 'observing-item';
+
+    const number = document.createElement('span');
+    number.className = 'observing-item-index';
+    number.textContent = `${index + 1}.`;
+    row.appendChild(number);
+
+    const info = document.createElement('div');
+    info.className = 'observing-item-info';
+    // The name opens the object's result card through the normal search
+    const name = document.createElement('button');
+    name.type = 'button';
+    name.className = 'observing-item-name';
+    name.textContent = item.name;
+    name.addEventListener('click', () => {
+        document.getElementById('searchInput').value = item.name;
+        performSearch();
+    });
+    info.appendChild(name);
+
+    const meta = document.createElement('span');
+    meta.className = 'observing-item-meta';
+    const parts = [item.type];
+    if (item.magnitude !== null) parts.push(`mag ${item.magnitude.toFixed(1)}`);
+    parts.push(item.ra !== null && item.dec !== null
+        ? `${formatRightAscension(item.ra)} ${formatDeclination(item.dec)}`
+        : 'position unknown');
+    meta.textContent = parts.join(' · ');
+    info.appendChild(meta);
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.className = 'observing-item-note';
+    note.placeholder = 'Notes (eyepiece, filter, seeing...)';
+    note.value = item.note || '';
+    note.setAttribute('aria-label', `Notes for ${item.name}`);
+    note.addEventListener('change', () => observingLists.setNote(list, item.id, note.value));
+    info.appendChild(note);
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'observing-item-actions';
+    [
+        { label: '↑', title: 'Move up', disabled: index === 0, action: () => observingLists.moveItem(list, item.id, -1) },
+        { label: '↓', title: 'Move down', disabled: index === list.items.length - 1, action: () => observingLists.moveItem(list, item.id, 1) },
+        { label: '✕', title: 'Remove from list', disabled: false, action: () => observingLists.removeItem(list, item.id) },
+    ].forEach(({ label, title, disabled, action }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-label', `${title}: ${item.name}`);
+        button.disabled = disabled;
+        button.addEventListener('click', () => {
+            action();
+            renderObservingLists();
+        });
+        actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    return row;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const select = document.getElementById('observingListSelect');
+    const nameInput = document.getElementById('observingListName');
+    const fileInput = document.getElementById('observingListFile');
+    const formatSelect = document.getElementById('observingListFormat');
+    if (!select) return;
+
+    select.addEventListener('change', () => {
+        observingLists.setActiveList(select.value);
+        renderObservingLists();
+    });
+    document.getElementById('newListBtn').addEventListener('click', () => {
+        const list = observingLists.createList(nameInput.value || `List ${observingLists.lists.length + 1}`);
+        nameInput.value = '';
+        renderObservingLists();
+        showObservingListStatus(`Created "${list.name}".`);
+    });
+    document.getElementById('renameListBtn').addEventListener('click', () => {
+        const list = observingLists.getActiveList();
+        if (!list || !nameInput.value.trim()) {
+            showObservingListStatus('Type the new name in the name box first.');
+            return;
+        }
+        observingLists.renameList(list.id, nameInput.value);
+        nameInput.value = '';
+        renderObservingLists();
+    });
+    document.getElementById('deleteListBtn').addEventListener('click', () => {
+        const list = observingLists.getActiveList();
+        if (list && window.confirm(`Delete the observing list "${list.name}"?`)) {
+            observingLists.deleteList(list.id);
+            renderObservingLists();
+            showObservingListStatus(`Deleted "${list.name}".`);
+        }
+    });
+    document.getElementById('plotListBtn').addEventListener('click', () => plotObservingList(observingLists.getActiveList()));
+    document.getElementById('exportListBtn').addEventListener('click', () => {
+        exportObservingList(observingLists.getActiveList(), formatSelect.value);
+    });
+    document.getElementById('importListBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importObservingListFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    renderObservingLists();
+});
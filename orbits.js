@@ -0,0 +1,124 @@
+// Orbit Propagation Module
+// Two-body Kepler propagation of heliocentric orbital elements (elliptic, parabolic and hyperbolic)
+// to geocentric RA/Dec, used for asteroids and comets from the JPL Small-Body Database
+
+// Gaussian gravitational constant (radians per day for a 1 AU orbit around the Sun)
+const GAUSSIAN_GRAVITY = 0.01720209895;
+
+// Eccentricities this close to 1 are treated as exactly parabolic
+const PARABOLIC_TOLERANCE = 1e-8;
+
+// Read the SBDB `orbit` object ({ epoch, elements: [{ name, value }] }) into numeric elements.
+// Angles are in degrees, distances in AU, times as Julian Dates. Returns null if incomplete.
+function parseSbdbElements(orbit) {
+    if (!orbit || !Array.isArray(orbit.elements)) return null;
+
+    const values = {};
+    orbit.elements.forEach(element => {
+        const value = parseFloat(element.value);
+        if (!isNaN(value)) {
+            values[element.name] = value;
+        }
+    });
+
+    const e = values.e;
+    const i = values.i;
+    const node = values.om;
+    const argPerihelion = values.w;
+    if ([e, i, node, argPerihelion].some(v => v === undefined)) return null;
+
+    let q = values.q;
+    const a = values.a !== undefined ? values.a : (e !== 1 && q !== undefined ? q / (1 - e) : undefined);
+    if (q === undefined && a !== undefined) q = a * (1 - e);
+    if (q === undefined) return null;
+
+    // Prefer the time of perihelion; otherwise derive it from the mean anomaly at epoch
+    let perihelionTime = values.tp;
+    const epoch = parseFloat(orbit.epoch);
+    if (perihelionTime === undefined && values.ma !== undefined && !isNaN(epoch) && e < 1) {
+        const meanMotion = GAUSSIAN_GRAVITY / Math.pow(a, 1.5) / DEG;
+        perihelionTime = epoch - values.ma / meanMotion;
+    }
+    if (perihelionTime === undefined) return null;
+
+    return { e, q, a, i, node, argPerihelion, perihelionTime, epoch: isNaN(epoch) ? null : epoch };
+}
+
+// Solve the hyperbolic Kepler equation M = e sinh H - H
+function solveHyperbolicKepler(meanAnomaly, eccentricity) {
+    let H = Math.asinh(meanAnomaly / eccentricity);
+    for (let i = 0; i < 50; i++) {
+        const delta = (eccentricity * Math.sinh(H) - H - meanAnomaly) / (eccentricity * Math.cosh(H) - 1);
+        H -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return H;
+}
+
+// Heliocentric ecliptic (J2000) position in AU for elements at a Julian Date
+function heliocentricFromElements(elements, jd) {
+    const { e, q } = elements;
+    const dt = jd - elements.perihelionTime;
+    let xOrbit;
+    let yOrbit;
+
+    if (Math.abs(e - 1) < PARABOLIC_TOLERANCE) {
+        // Barker's equation: s^3 + 3s = W, with s = tan(ν/2)
+        const W = 3 * GAUSSIAN_GRAVITY / Math.sqrt(2 * q * q * q) * dt;
+        const Y = Math.cbrt(W / 2 + Math.sqrt(W * W / 4 + 1));
+        const s = Y - 1 / Y;
+        xOrbit = q * (1 - s * s);
+        yOrbit = 2 * q * s;
+    } else if (e < 1) {
+        const a = q / (1 - e);
+        const meanAnomaly = GAUSSIAN_GRAVITY / Math.pow(a, 1.5) * dt;
+        const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly));
+        const E = solveKepler(M, e);
+        xOrbit = a * (Math.cos(E) - e);
+        yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    } else {
+        const a = q / (1 - e); // negative for hyperbolic orbits
+        const meanAnomaly = GAUSSIAN_GRAVITY / Math.pow(-a, 1.5) * dt;
+        const H = solveHyperbolicKepler(meanAnomaly, e);
+        xOrbit = a * (Math.cosh(H) - e);
+        yOrbit = -a * Math.sqrt(e * e - 1) * Math.sinh(H);
+    }
+
+    return orbitalToEcliptic(
+        xOrbit,
+        yOrbit,
+        elements.argPerihelion * DEG,
+        elements.node * DEG,
+        elements.i * DEG
+    );
+}
+
+// Geocentric RA (hours), Dec (degrees), distance from Earth and Sun (AU) for a date
+function propagateToSky(elements, date = new Date()) {
+    const jd = julianDate(date);
+    const earth = planetHeliocentric('earth', date);
+
+    // Correct for light travel time with one iteration
+    let heliocentric = heliocentricFromElements(elements, jd);
+    const lightTime = vectorLength(subtractVectors(heliocentric, earth)) * LIGHT_TIME_DAYS_PER_AU;
+    heliocentric = heliocentricFromElements(elements, jd - lightTime);
+
+    const equatorial = eclipticToEquatorial(subtractVectors(heliocentric, earth));
+    return {
+        ra: equatorial.ra,
+        dec: equatorial.dec,
+        distance: equatorial.distance,
+        sunDistance: vectorLength(heliocentric),
+    };
+}
+
+// Sky positions every stepDays from days before to days after a date, for drawing a track
+function computeOrbitTrack(elements, date = new Date(), days = 30, stepDays = 2) {
+    const track = [];
+    for (let offset = -days; offset <= days; offset += stepDays) {
+        const pointDate = new Date(date.getTime() + offset * 86400000);
+        const position = propagateToSky(elements, pointDate);
+        track.push({ date: pointDate, offset, ra: position.ra, dec: position.dec });
+    }
+    return track;
+}
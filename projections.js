@@ -0,0 +1,166 @@
+// Sky Projection Module
+// Maps RA/Dec onto a plane around a movable projection center, with inverses for canvas-to-sky picking
+
+// Each projection works in native coordinates: longitude/latitude (radians) measured from the
+// projection center. forward() returns plane coordinates or null when the point cannot be shown;
+// inverse() returns native coordinates or null outside the projected domain. extent is the
+// half-width/half-height of the plane area shown at zoom 1.
+const PROJECTIONS = {
+    stereographic: {
+        name: 'Stereographic',
+        extent: { x: 2, y: 2 },
+        forward(lon, lat) {
+            const cosC = Math.cos(lat) * Math.cos(lon);
+            if (cosC < -0.95) return null;
+            const k = 2 / (1 + cosC);
+            return { x: k * Math.cos(lat) * Math.sin(lon), y: k * Math.sin(lat) };
+        },
+        inverse(x, y) {
+            return azimuthalInverse(x, y, 2 * Math.atan(Math.hypot(x, y) / 2));
+        },
+    },
+    gnomonic: {
+        name: 'Gnomonic',
+        extent: { x: 1.5, y: 1.5 },
+        forward(lon, lat) {
+            const cosC = Math.cos(lat) * Math.cos(lon);
+            if (cosC < 0.05) return null;
+            return { x: Math.cos(lat) * Math.sin(lon) / cosC, y: Math.sin(lat) / cosC };
+        },
+        inverse(x, y) {
+            return azimuthalInverse(x, y, Math.atan(Math.hypot(x, y)));
+        },
+    },
+    orthographic: {
+        name: 'Orthographic',
+        extent: { x: 1, y: 1 },
+        forward(lon, lat) {
+            const cosC = Math.cos(lat) * Math.cos(lon);
+            if (cosC < 0) return null;
+            return { x: Math.cos(lat) * Math.sin(lon), y: Math.sin(lat) };
+        },
+        inverse(x, y) {
+            const rho = Math.hypot(x, y);
+            if (rho > 1) return null;
+            return azimuthalInverse(x, y, Math.asin(rho));
+        },
+    },
+    equirectangular: {
+        name: 'Equirectangular',
+        extent: { x: Math.PI, y: Math.PI / 2 },
+        forward(lon, lat) {
+            return { x: lon, y: lat };
+        },
+        inverse(x, y) {
+            if (Math.abs(x) > Math.PI || Math.abs(y) > Math.PI / 2) return null;
+            return { lon: x, lat: y };
+        },
+    },
+    mollweide: {
+        name: 'Mollweide',
+        extent: { x: 2 * Math.SQRT2, y: Math.SQRT2 },
+        forward(lon, lat) {
+            // Solve 2θ + sin 2θ = π sin φ for the auxiliary angle θ (Newton-Raphson)
+            let theta = lat;
+            if (Math.abs(lat) < Math.PI / 2 - 1e-9) {
+                const target = Math.PI * Math.sin(lat);
+                for (let i = 0; i < 20; i++) {
+                    const delta = (2 * theta + Math.sin(2 * theta) - target) / (2 + 2 * Math.cos(2 * theta));
+                    theta -= delta;
+                    if (Math.abs(delta) < 1e-9) break;
+                }
+            }
+            return {
+                x: (2 * Math.SQRT2 / Math.PI) * lon * Math.cos(theta),
+                y: Math.SQRT2 * Math.sin(theta),
+            };
+        },
+        inverse(x, y) {
+            if (Math.abs(y) > Math.SQRT2) return null;
+            const theta = Math.asin(y / Math.SQRT2);
+            const cosTheta = Math.cos(theta);
+            const lon = cosTheta < 1e-12 ? 0 : Math.PI * x / (2 * Math.SQRT2 * cosTheta);
+            if (Math.abs(lon) > Math.PI) return null;
+            return { lon, lat: Math.asin((2 * theta + Math.sin(2 * theta)) / Math.PI) };
+        },
+    },
+};
+
+// Shared inverse for azimuthal projections, given the angular distance c from the center
+function azimuthalInverse(x, y, c) {
+    const rho = Math.hypot(x, y);
+    if (rho < 1e-12) return { lon: 0, lat: 0 };
+    const sinC = Math.sin(c);
+    return {
+        lon: Math.atan2(x * sinC, rho * Math.cos(c)),
+        lat: Math.asin(Math.max(-1, Math.min(1, y * sinC / rho))),
+    };
+}
+
+class SkyProjection {
+    constructor(type = 'stereographic', centerRa = 0, centerDec = 0) {
+        this.setType(type);
+        this.setCenter(centerRa, centerDec);
+    }
+
+    setType(type) {
+        if (!PROJECTIONS[type]) {
+            throw new Error(`Unknown projection: ${type}`);
+        }
+        this.type = type;
+        this.projection = PROJECTIONS[type];
+    }
+
+    // Center of the projection (RA in hours, Dec in degrees)
+    setCenter(ra, dec) {
+        this.centerRa = ((ra % 24) + 24) % 24;
+        this.centerDec = Math.max(-90, Math.min(90, dec));
+    }
+
+    // Rotate equatorial RA/Dec so the projection center sits at native (0, 0)
+    toNative(ra, dec) {
+        const dRa = (ra - this.centerRa) * 15 * DEG;
+        const d = dec * DEG;
+        const d0 = this.centerDec * DEG;
+
+        const x = Math.cos(d) * Math.cos(dRa);
+        const y = Math.cos(d) * Math.sin(dRa);
+        const z = Math.sin(d);
+
+        // Rotate about the y axis by the center declination
+        const xr = x * Math.cos(d0) + z * Math.sin(d0);
+        const zr = -x * Math.sin(d0) + z * Math.cos(d0);
+
+        return { lon: Math.atan2(y, xr), lat: Math.asin(Math.max(-1, Math.min(1, zr))) };
+    }
+
+    fromNative(lon, lat) {
+        const d0 = this.centerDec * DEG;
+
+        const xr = Math.cos(lat) * Math.cos(lon);
+        const y = Math.cos(lat) * Math.sin(lon);
+        const zr = Math.sin(lat);
+
+        const x = xr * Math.cos(d0) - zr * Math.sin(d0);
+        const z = xr * Math.sin(d0) + zr * Math.cos(d0);
+
+        const ra = this.centerRa + Math.atan2(y, x) / DEG / 15;
+        return {
+            ra: ((ra % 24) + 24) % 24,
+            dec: Math.asin(Math.max(-1, Math.min(1, z))) / DEG,
+        };
+    }
+
+    // RA/Dec to plane coordinates (east to the left, north up), or null if not visible
+    forward(ra, dec) {
+        const native = this.toNative(ra, dec);
+        const point = this.projection.forward(native.lon, native.lat);
+        return point ? { x: -point.x, y: point.y } : null;
+    }
+
+    // Plane coordinates back to RA/Dec, or null outside the projection
+    inverse(x, y) {
+        const native = this.projection.inverse(-x, y);
+        return native ? this.fromNative(native.lon, native.lat) : null;
+    }
+}
@@ -0,0 +1,329 @@
+// Data Source Providers Module
+// A provider wraps one search backend behind a common interface, and the registry runs every
+// enabled provider for a query in configured order, normalizing results and tracking health.
+//
+// Provider interface:
+//   id            short unique key used in configuration ('sbdb', 'mock', ...)
+//   name          display name
+//   capabilities  what it can find, e.g. ['asteroids', 'comets', 'orbits']
+//   search(query) async; raw response for the query, null when nothing matches, throws
+//                 (preferably a ProviderError) on failure
+//   normalize(raw, query)  raw response to a result object, an array of them, or null
+//   health        { status: 'unknown' | 'ok' | 'error', lastError, errorKind, lastChecked, latencyMs }
+//   quota         { remaining, limit, checkedAt } from X-RateLimit-* headers, or null
+//   cacheTtl      ms to reuse a cached response (see responseCache.js); 0 never caches
+//   local         true when search() needs no network, so it still runs in offline mode
+//   timeDependent true when normalize() depends on the current time (positions), so cached
+//                 responses are normalized again instead of reusing stored results
+
+// localStorage key for saved provider configuration ({ order, enabled, endpoints })
+const PROVIDER_CONFIG_KEY = 'spaceMap.providers';
+
+// Retries for 429 and 5xx responses: attempts after the first, first delay (doubling each time),
+// and the longest Retry-After worth waiting for before giving up (ms)
+const MAX_FETCH_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+
+// What each ProviderError kind means to the user
+const PROVIDER_ERROR_MESSAGES = {
+    'rate-limit': 'rate limit reached',
+    'auth': 'API key rejected',
+    'server': 'service unavailable',
+    'network': 'could not connect',
+    'http': 'request failed',
+    'unexpected': 'unexpected response',
+};
+
+// A failed provider request; kind is one of the PROVIDER_ERROR_MESSAGES keys
+class ProviderError extends Error {
+    constructor(message, kind, status = null) {
+        super(message);
+        this.name = 'ProviderError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+// ProviderError for a non-OK response
+function errorFromResponse(response, sourceName) {
+    let kind = 'http';
+    if (response.status === 429) kind = 'rate-limit';
+    else if (response.status === 401 || response.status === 403) kind = 'auth';
+    else if (response.status >= 500) kind = 'server';
+    return new ProviderError(`${sourceName} returned ${response.status}`, kind, response.status);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// fetch() that retries 429 and 5xx responses with exponential backoff (or a short Retry-After),
+// and records X-RateLimit-* headers on provider.quota. Resolves with the last response, OK or not;
+// throws a 'network' ProviderError when the request cannot be made at all.
+async function fetchWithBackoff(url, { provider = null, retries = MAX_FETCH_RETRIES, baseDelay = RETRY_BASE_DELAY } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new ProviderError(`Network error: ${error.message}`, 'network');
+        }
+
+        if (provider) {
+            recordQuota(provider, response);
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= retries) {
+            return response;
+        }
+
+        // A long Retry-After, or a used-up quota with no hint, will not clear within our retries
+        const retryAfter = parseFloat(response.headers.get('Retry-After'));
+        if (!isNaN(retryAfter) && retryAfter * 1000 > MAX_RETRY_DELAY) {
+            return response;
+        }
+        if (isNaN(retryAfter) && response.headers.get('X-RateLimit-Remaining') === '0') {
+            return response;
+        }
+        const jitter = 1 + Math.random() * 0.25;
+        await sleep(isNaN(retryAfter) ? baseDelay * Math.pow(2, attempt) * jitter : retryAfter * 1000);
+    }
+}
+
+function recordQuota(provider, response) {
+    const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+    if (isNaN(remaining)) return;
+    const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+    provider.quota = { remaining, limit: isNaN(limit) ? null : limit, checkedAt: new Date() };
+}
+
+// Fill in the optional parts of a provider definition
+function createProvider(definition) {
+    if (!definition.id || typeof definition.search !== 'function') {
+        throw new Error('A provider needs an id and a search function');
+    }
+    return {
+        name: definition.id,
+        capabilities: [],
+        normalize: (raw) => raw,
+        cacheTtl: DEFAULT_CACHE_TTL,
+        local: false,
+        timeDependent: false,
+        ...definition,
+        health: { status: 'unknown', lastError: null, errorKind: null, lastChecked: null, latencyMs: null },
+        quota: null,
+    };
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.order = [];
+        this.disabled = new Set();
+        this.cache = null;
+        this.offline = false;
+        // Outcome per provider of the latest finished search: [{ id, name, local, outcome, count, error }]
+        this.lastSearch = [];
+    }
+
+    // Response cache shared by all providers (a ResponseCache, or null for none)
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    // Offline mode: only local providers run and everything else is answered from the cache
+    setOffline(offline) {
+        this.offline = offline;
+    }
+
+    isOffline() {
+        return this.offline || (typeof navigator !== 'undefined' && navigator.onLine === false);
+    }
+
+    // Add a provider at the end of the order (or at options.position); options.enabled defaults to true
+    register(provider, options = {}) {
+        if (this.providers.has(provider.id)) {
+            this.unregister(provider.id);
+        }
+        this.providers.set(provider.id, provider);
+
+        const position = options.position === undefined ? this.order.length : options.position;
+        this.order.splice(position, 0, provider.id);
+        this.setEnabled(provider.id, options.enabled !== false);
+        return provider;
+    }
+
+    unregister(id) {
+        this.providers.delete(id);
+        this.order = this.order.filter(existing => existing !== id);
+        this.disabled.delete(id);
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    setEnabled(id, enabled) {
+        if (enabled) {
+            this.disabled.delete(id);
+        } else {
+            this.disabled.add(id);
+        }
+    }
+
+    isEnabled(id) {
+        return this.providers.has(id) && !this.disabled.has(id);
+    }
+
+    // Move the listed providers to the front, in the given order; unknown ids are ignored
+    setOrder(ids) {
+        const listed = ids.filter(id => this.providers.has(id));
+        this.order = listed.concat(this.order.filter(id => !listed.includes(id)));
+    }
+
+    // All providers in order, or only the enabled ones (optionally with a capability)
+    list({ enabledOnly = false, capability = null } = {}) {
+        return this.order
+            .map(id => this.providers.get(id))
+            .filter(provider => !enabledOnly || this.isEnabled(provider.id))
+            .filter(provider => !capability || provider.capabilities.includes(capability));
+    }
+
+    // Apply { order: [ids], enabled: { id: boolean } }
+    configure(config = {}) {
+        if (Array.isArray(config.order)) {
+            this.setOrder(config.order);
+        }
+        if (config.enabled) {
+            Object.entries(config.enabled).forEach(([id, enabled]) => this.setEnabled(id, enabled));
+        }
+    }
+
+    // Health of every provider, in order
+    getHealth() {
+        return this.list().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            enabled: this.isEnabled(provider.id),
+            ...provider.health,
+            quota: provider.quota,
+        }));
+    }
+
+    // Run one provider: cache lookup, raw search, normalization, caching and health bookkeeping.
+    // Always resolves to an array; each result records the provider and how the cache answered.
+    // The outcome is pushed onto outcomes, which each caller owns so overlapping searches stay apart.
+    async searchProvider(provider, query, outcomes = []) {
+        const useCache = this.cache && provider.cacheTtl > 0 && !provider.local;
+        const offline = this.isOffline();
+
+        if (useCache) {
+            const entry = await this.cache.get(provider.id, query);
+            const ttl = entry && entry.results.length === 0 ? Math.min(provider.cacheTtl, MISS_CACHE_TTL) : provider.cacheTtl;
+            if (entry && (offline || this.cache.isFresh(entry, ttl))) {
+                const status = this.cache.isFresh(entry, ttl) ? 'hit' : 'stale';
+                const results = provider.timeDependent && entry.raw !== null
+                    ? this.normalizeResults(provider, entry.raw, query)
+                    : entry.results;
+                this.recordOutcome(outcomes, provider, results.length > 0 ? 'results' : 'no-match', results.length);
+                return this.annotate(provider, results, { status, storedAt: entry.storedAt });
+            }
+        }
+        if (offline && !provider.local) {
+            this.recordOutcome(outcomes, provider, 'offline', 0);
+            return [];
+        }
+
+        const started = Date.now();
+        try {
+            const raw = await provider.search(query);
+            const results = raw === null || raw === undefined ? [] : this.normalizeResults(provider, raw, query);
+            provider.health = {
+                status: 'ok',
+                lastError: null,
+                errorKind: null,
+                lastChecked: new Date(),
+                latencyMs: Date.now() - started,
+            };
+            this.recordOutcome(outcomes, provider, results.length > 0 ? 'results' : 'no-match', results.length);
+
+            if (useCache) {
+                // Misses are cached too, for MISS_CACHE_TTL, so a name that matches nothing is not
+                // fetched again on every search
+                await this.cache.put(provider.id, query, raw === undefined ? null : raw, results);
+            }
+            return this.annotate(provider, results, useCache ? { status: 'miss', storedAt: null } : null);
+        } catch (error) {
+            // Only fetchWithBackoff reports connection failures ('network'); anything else that
+            // throws (unreadable JSON, a normalize bug) is the response or the code, not the connection
+            const kind = error.kind || 'unexpected';
+            provider.health = {
+                status: 'error',
+                lastError: error.message,
+                errorKind: kind,
+                lastChecked: new Date(),
+                latencyMs: Date.now() - started,
+            };
+            this.recordOutcome(outcomes, provider, 'error', 0, { kind, message: error.message });
+            console.log(`${provider.name} error for ${query}:`, error.message);
+            return [];
+        }
+    }
+
+    // outcome: 'results', 'no-match', 'error' (with { kind, message }) or 'offline' (skipped)
+    recordOutcome(outcomes, provider, outcome, count, error = null) {
+        outcomes.push({ id: provider.id, name: provider.name, local: provider.local, outcome, count, error });
+    }
+
+    normalizeResults(provider, raw, query) {
+        return [].concat(provider.normalize(raw, query) || []).filter(Boolean);
+    }
+
+    // Copies of the results tagged with the provider id and cache status ({ status, storedAt } or null)
+    annotate(provider, results, cache) {
+        return results.map(result => ({
+            ...result,
+            provider: result.provider || provider.id,
+            cache,
+        }));
+    }
+
+    // Search every enabled provider in parallel; results come back flattened in provider order.
+    // lastSearch becomes this search's outcomes once every provider has answered.
+    async searchAll(query) {
+        const outcomes = [];
+        const perProvider = await Promise.all(
+            this.list({ enabledOnly: true }).map(provider => this.searchProvider(provider, query, outcomes))
+        );
+        outcomes.sort((a, b) => this.order.indexOf(a.id) - this.order.indexOf(b.id));
+        this.lastSearch = outcomes;
+        return perProvider.flat();
+    }
+}
+
+// Saved configuration merged with the ?providers=a,b URL parameter, which enables only the
+// listed providers, in that order (e.g. ?providers=mock for a fully offline session)
+function loadProviderConfig() {
+    let config = {};
+    try {
+        config = JSON.parse(localStorage.getItem(PROVIDER_CONFIG_KEY)) || {};
+    } catch (error) {
+        console.log('Ignoring unreadable provider configuration:', error.message);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const listed = params.get('providers');
+    if (listed) {
+        const ids = listed.split(',').map(id => id.trim()).filter(Boolean);
+        config.order = ids;
+        config.enabled = Object.fromEntries(providerRegistry.list().map(provider => [provider.id, ids.includes(provider.id)]));
+    }
+    if (params.get('backend') === 'local') {
+        config.backend = 'local';
+    }
+    return config;
+}
+
+const providerRegistry = new ProviderRegistry();
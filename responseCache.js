@@ -0,0 +1,94 @@
+// Response Cache Module
+// Keeps provider responses and their normalized results in IndexedDB, so repeat searches skip the
+// network (and the DEMO_KEY rate limit) and searches still work offline. Falls back to an
+// in-memory map when IndexedDB is unavailable (private browsing, old browsers).
+
+const CACHE_DB_NAME = 'spaceMapCache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'responses';
+
+// Default time-to-live for providers that do not set cacheTtl
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// Time-to-live for cached misses (responses with no results), whatever the provider's cacheTtl,
+// so a name that just failed upstream or a newly announced object is tried again soon
+const MISS_CACHE_TTL = 60 * 60 * 1000;
+
+class ResponseCache {
+    constructor() {
+        this.memory = new Map();
+        this.dbPromise = this.openDatabase();
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.log('Response cache: IndexedDB unavailable, using memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Run one object store request and resolve with its result (null on failure)
+    async runRequest(mode, makeRequest) {
+        const db = await this.dbPromise;
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            try {
+                const request = makeRequest(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+                request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                request.onerror = () => {
+                    console.log('Response cache error:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.log('Response cache error:', error.message);
+                resolve(null);
+            }
+        });
+    }
+
+    makeKey(providerId, query) {
+        return `${providerId}:${query.toLowerCase().trim()}`;
+    }
+
+    // Cached entry { key, provider, query, raw, results, storedAt } or null
+    async get(providerId, query) {
+        const key = this.makeKey(providerId, query);
+        if (this.memory.has(key)) return this.memory.get(key);
+
+        const entry = await this.runRequest('readonly', store => store.get(key));
+        if (entry) this.memory.set(key, entry);
+        return entry;
+    }
+
+    async put(providerId, query, raw, results) {
+        const entry = {
+            key: this.makeKey(providerId, query),
+            provider: providerId,
+            query,
+            raw,
+            results,
+            storedAt: Date.now(),
+        };
+        this.memory.set(entry.key, entry);
+        await this.runRequest('readwrite', store => store.put(entry));
+    }
+
+    async clear() {
+        this.memory.clear();
+        await this.runRequest('readwrite', store => store.clear());
+    }
+
+    isFresh(entry, ttl) {
+        return Date.now() - entry.storedAt < ttl;
+    }
+}
@@ -0,0 +1,200 @@
+// Local Search Index Module
+// One index over every bundled catalog (stars, deep-sky objects, constellations, the Sun, Moon and
+// planets, and the objects in data/notableObjects.js) for search-as-you-type suggestions and for
+// resolving local lookups. Suggestions match whole names, prefixes and near misses (one typo in
+// short names, two in longer ones); lookups only whole names.
+
+// Greek letters in Bayer designations are indexed and matched by name, so "α Ori",
+// "alpha ori" and "Alpha Orionis"-style prefixes all meet
+const GREEK_LETTER_NAMES = {
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ζ': 'zeta', 'η': 'eta',
+    'θ': 'theta', 'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi',
+    'ο': 'omicron', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma', 'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi',
+    'χ': 'chi', 'ψ': 'psi', 'ω': 'omega',
+};
+
+// Suggestions returned by default, and the shortest query allowed a typo (shorter ones only prefix-match)
+const MAX_SUGGESTIONS = 8;
+const MIN_TYPO_QUERY_LENGTH = 4;
+
+// Normalized form used for both indexed terms and queries: lowercase, accents and punctuation
+// dropped, Greek letters spelled out, and catalog prefixes joined to their numbers ("M 31" -> "m31")
+function normalizeSearchTerm(text) {
+    return text
+        .toLowerCase()
+        .replace(/[α-ω]/g, letter => GREEK_LETTER_NAMES[letter] || letter)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9+\-]+/g, ' ')
+        .replace(/([a-z])\s+(\d)/g, '$1$2')
+        .trim();
+}
+
+// Optimal string alignment distance (edits, with adjacent swaps counting once), or max + 1 as soon
+// as it is certain to exceed max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Magnitude for ranking matches; objects without one sort after everything that has one
+function entryMagnitude(entry) {
+    return entry.magnitude === null ? 99 : entry.magnitude;
+}
+
+class SearchIndex {
+    constructor() {
+        // { name, type, magnitude, kind: 'star' | 'deepsky' | 'constellation' | 'body' | 'notable', data,
+        //   terms: [{ label, key }] }
+        this.entries = [];
+        // Normalized key -> entries with a name or designation of that key, brightest first
+        this.byKey = new Map();
+    }
+
+    // Add an object under each of its names; labels are kept for display, keys for matching
+    add(entry, labels) {
+        const seen = new Set();
+        entry.terms = [];
+        labels.forEach(label => {
+            const key = normalizeSearchTerm(label);
+            if (key && !seen.has(key)) {
+                seen.add(key);
+                entry.terms.push({ label, key });
+                const sharing = this.byKey.get(key) || [];
+                const position = sharing.findIndex(other => entryMagnitude(other) > entryMagnitude(entry));
+                sharing.splice(position === -1 ? sharing.length : position, 0, entry);
+                this.byKey.set(key, sharing);
+            }
+        });
+        this.entries.push(entry);
+    }
+
+    // How well one indexed key matches a normalized query (lower is better), or null for no match:
+    // 0 exact, 1 prefix, 2 prefix of a later word, 3+ typos in the whole key or in its prefix.
+    // Catalog numbers (any key or query with a digit) never match with typos.
+    scoreTerm(key, query) {
+        if (key === query) return 0;
+        if (key.startsWith(query)) return 1 + (key.length - query.length) / 100;
+        if (key.includes(` ${query}`)) return 2;
+        if (query.length < MIN_TYPO_QUERY_LENGTH || /\d/.test(key) || /\d/.test(query)) return null;
+
+        const maxEdits = query.length >= 8 ? 2 : 1;
+        const whole = editDistance(query, key, maxEdits);
+        if (whole <= maxEdits) return 3 + whole;
+        const prefix = editDistance(query, key.slice(0, query.length), maxEdits);
+        if (prefix <= maxEdits) return 3.5 + prefix;
+        return null;
+    }
+
+    // Best matches for a query, one per object, ranked by match quality then brightness:
+    // [{ entry, label (the name that matched), score }]
+    search(query, limit = MAX_SUGGESTIONS) {
+        const normalized = normalizeSearchTerm(query);
+        if (!normalized) return [];
+
+        const matches = [];
+        this.entries.forEach(entry => {
+            let best = null;
+            entry.terms.forEach(term => {
+                const score = this.scoreTerm(term.key, normalized);
+                if (score !== null && (best === null || score < best.score)) {
+                    best = { entry, label: term.label, score };
+                }
+            });
+            if (best) matches.push(best);
+        });
+
+        matches.sort((a, b) => Math.floor(a.score) - Math.floor(b.score) ||
+            entryMagnitude(a.entry) - entryMagnitude(b.entry) || a.score - b.score);
+        return matches.slice(0, limit);
+    }
+
+    // The object a search query names exactly by one of its names or designations (the brightest
+    // when several share it), or null. Prefix and near-miss matches are only ever suggestions, so
+    // "Wild" (the comet) does not answer as M 11, the Wild Duck Cluster. kinds, when given, limits
+    // the answer to entries of those kinds.
+    resolve(query, kinds = null) {
+        const entries = this.byKey.get(normalizeSearchTerm(query)) || [];
+        return entries.find(entry => !kinds || kinds.includes(entry.kind)) || null;
+    }
+}
+
+// Index of the bundled star, deep-sky, constellation and solar system catalogs
+function buildLocalSearchIndex() {
+    const index = new SearchIndex();
+
+    Object.entries(SOLAR_SYSTEM_BODIES).forEach(([id, body]) => {
+        const position = computeBodyPosition(id);
+        index.add({
+            name: body.name,
+            type: id === 'sun' ? 'Star' : id === 'moon' ? 'Moon' : 'Planet',
+            magnitude: position.magnitude,
+            kind: 'body',
+            data: body,
+        }, [body.name]);
+    });
+
+    starCatalog.stars.forEach(star => {
+        index.add({
+            name: starCatalog.getDisplayName(star),
+            type: 'Star',
+            magnitude: star.mag,
+            kind: 'star',
+            data: star,
+        }, starCatalog.getDesignations(star));
+    });
+
+    deepSkyCatalog.objects.forEach(object => {
+        index.add({
+            name: deepSkyCatalog.getDisplayName(object),
+            type: deepSkyCatalog.getTypeLabel(object),
+            magnitude: object.mag,
+            kind: 'deepsky',
+            data: object,
+        }, deepSkyCatalog.getDesignations(object));
+    });
+
+    NOTABLE_OBJECTS.forEach(object => {
+        index.add({
+            name: object.name,
+            type: object.type,
+            magnitude: object.mag === undefined ? null : object.mag,
+            kind: 'notable',
+            data: object,
+        }, [object.name, ...object.aliases]);
+    });
+
+    constellationCatalog.constellations.forEach(constellation => {
+        index.add({
+            name: constellation.name,
+            type: 'Constellation',
+            magnitude: null,
+            kind: 'constellation',
+            data: constellation,
+        }, [constellation.name, constellation.abbreviation]);
+    });
+
+    return index;
+}
+
+const localSearchIndex = buildLocalSearchIndex();
@@ -0,0 +1,73 @@
+// Spatial Index Module
+// Equal-area-ish RA/Dec grid for fast cone queries over large catalogs (picking, cone search)
+
+class SkyIndex {
+    // items must carry ra (hours) and dec (degrees); cellSize is in degrees
+    constructor(items, cellSize = 2) {
+        this.cellSize = cellSize;
+        this.bandCount = Math.ceil(180 / cellSize);
+        this.bands = [];
+
+        // Each declination band gets fewer RA bins toward the poles so cells stay roughly square
+        for (let band = 0; band < this.bandCount; band++) {
+            const bandDec = -90 + (band + 0.5) * cellSize;
+            const binCount = Math.max(1, Math.floor(360 * Math.cos(bandDec * DEG) / cellSize));
+            this.bands.push(Array.from({ length: binCount }, () => []));
+        }
+
+        items.forEach(item => this.insert(item));
+    }
+
+    bandFor(dec) {
+        return Math.min(this.bandCount - 1, Math.max(0, Math.floor((dec + 90) / this.cellSize)));
+    }
+
+    binFor(band, ra) {
+        const bins = this.bands[band].length;
+        return Math.min(bins - 1, Math.floor((((ra % 24) + 24) % 24) / 24 * bins));
+    }
+
+    insert(item) {
+        const band = this.bandFor(item.dec);
+        this.bands[band][this.binFor(band, item.ra)].push(item);
+    }
+
+    // Items within radius degrees of (ra, dec), as [{ item, separation }] sorted by separation
+    query(ra, dec, radius) {
+        const matches = [];
+        const firstBand = this.bandFor(dec - radius);
+        const lastBand = this.bandFor(dec + radius);
+
+        // Widest RA half-width of the search circle; all of RA once it covers a pole
+        const coversPole = Math.abs(dec) + radius >= 90;
+        const raRadius = coversPole ? 12 :
+            Math.asin(Math.min(1, Math.sin(radius * DEG) / Math.cos(dec * DEG))) / DEG / 15;
+
+        for (let band = firstBand; band <= lastBand; band++) {
+            const bins = this.bands[band];
+
+            let binIndexes;
+            if (raRadius >= 12 || bins.length === 1) {
+                binIndexes = bins.map((_, i) => i);
+            } else {
+                const start = Math.floor((ra - raRadius) / 24 * bins.length);
+                const end = Math.floor((ra + raRadius) / 24 * bins.length);
+                binIndexes = [];
+                for (let i = start; i <= end && binIndexes.length < bins.length; i++) {
+                    binIndexes.push(((i % bins.length) + bins.length) % bins.length);
+                }
+            }
+
+            binIndexes.forEach(i => {
+                bins[i].forEach(item => {
+                    const separation = angularSeparation(ra, dec, item.ra, item.dec);
+                    if (separation <= radius) {
+                        matches.push({ item, separation });
+                    }
+                });
+            });
+        }
+
+        return matches.sort((a, b) => a.separation - b.separation);
+    }
+}
@@ -0,0 +1,108 @@
+// Star Catalog Module
+// Loads the bundled bright star catalog (data/brightStars.js) and provides lookups by name and designation
+
+class StarCatalog {
+    constructor(csv) {
+        this.stars = this.parseCSV(csv);
+
+        // Lookup indexes (keys are normalized with normalizeKey)
+        this.byHip = new Map();
+        this.byDesignation = new Map();
+
+        this.stars.forEach(star => {
+            this.byHip.set(star.hip, star);
+            this.getDesignations(star).forEach(designation => {
+                const key = this.normalizeKey(designation);
+                // Catalog is sorted by magnitude, so the brightest star wins a shared key
+                if (!this.byDesignation.has(key)) {
+                    this.byDesignation.set(key, star);
+                }
+            });
+        });
+    }
+
+    // Parse catalog CSV rows into star objects (RA in hours, Dec in degrees)
+    parseCSV(csv) {
+        const lines = csv.trim().split('\n');
+        const header = lines.shift().split(',');
+
+        return lines.map(line => {
+            const values = line.split(',');
+            const row = {};
+            header.forEach((column, i) => {
+                row[column] = values[i] || '';
+            });
+
+            // Multiple-star components carry a number after the letter ("α1"); keep it apart so the
+            // star is found both as "α1 Cen" and as plain "α Cen"
+            const bayer = row.bayer.match(/^(\D+)(\d*)$/);
+            return {
+                hip: parseInt(row.hip, 10),
+                hd: row.hd ? parseInt(row.hd, 10) : null,
+                hr: row.hr ? parseInt(row.hr, 10) : null,
+                ra: parseFloat(row.ra),
+                dec: parseFloat(row.dec),
+                mag: parseFloat(row.mag),
+                bv: row.bv ? parseFloat(row.bv) : null,
+                bayer: bayer ? bayer[1] : null,
+                bayerComponent: bayer && bayer[2] ? bayer[2] : null,
+                flamsteed: row.flam || null,
+                constellation: row.con || null,
+                name: row.name || null,
+            };
+        });
+    }
+
+    // All designations a star is known by, most common first
+    getDesignations(star) {
+        const designations = [];
+        if (star.name) designations.push(star.name);
+        if (star.bayer && star.constellation) {
+            if (star.bayerComponent) designations.push(`${star.bayer}${star.bayerComponent} ${star.constellation}`);
+            designations.push(`${star.bayer} ${star.constellation}`);
+        }
+        if (star.flamsteed && star.constellation) designations.push(`${star.flamsteed} ${star.constellation}`);
+        if (star.hr) designations.push(`HR ${star.hr}`);
+        designations.push(`HIP ${star.hip}`);
+        if (star.hd) designations.push(`HD ${star.hd}`);
+        return designations;
+    }
+
+    // Best display name for a star: proper name, then Bayer, Flamsteed or HIP designation
+    getDisplayName(star) {
+        return this.getDesignations(star)[0];
+    }
+
+    normalizeKey(designation) {
+        return designation.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Find a star by proper name or designation ("Sirius", "α CMa", "9 CMa", "HR 2491", "HIP 32349", "HD 48915")
+    find(designation) {
+        if (!designation) return null;
+        return this.byDesignation.get(this.normalizeKey(designation)) || null;
+    }
+
+    findByHip(hip) {
+        return this.byHip.get(hip) || null;
+    }
+
+    // Stars at or brighter than the given magnitude
+    brighterThan(mag) {
+        return this.stars.filter(star => star.mag <= mag);
+    }
+
+    // Lowercase proper name -> { ra, dec } table for quick coordinate lookups
+    getCoordinateTable() {
+        const table = {};
+        this.stars.forEach(star => {
+            if (star.name) {
+                table[star.name.toLowerCase()] = { ra: star.ra, dec: star.dec };
+            }
+        });
+        return table;
+    }
+}
+
+// Shared catalog instance used by the star map and the search app
+const starCatalog = new StarCatalog(BRIGHT_STAR_CATALOG_CSV);
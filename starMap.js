@@ -1,34 +1,175 @@
 // Star Map Visualization Module
 // Renders an interactive star map with zoom, pan, and object plotting capabilities
 
+// Initial and reset view center (RA in hours, Dec in degrees): Orion
+const DEFAULT_VIEW = { ra: 5.6, dec: 5 };
+
+// Initial and reset view direction in horizon mode (degrees): due south, 30° up
+const DEFAULT_HORIZON_VIEW = { az: 180, alt: 30 };
+
+// Compass points drawn along the horizon
+const CARDINAL_POINTS = [
+    { label: 'N', az: 0 }, { label: 'NE', az: 45 }, { label: 'E', az: 90 }, { label: 'SE', az: 135 },
+    { label: 'S', az: 180 }, { label: 'SW', az: 225 }, { label: 'W', az: 270 }, { label: 'NW', az: 315 },
+];
+
+// Click picking: how far (pixels) a click may land from an object, and how far the mouse
+// may move between press and release before the gesture counts as a drag instead of a click
+const PICK_TOLERANCE = 10;
+const CLICK_MOVE_TOLERANCE = 4;
+
+// Zoom limits (the deepest shows a field about half a degree, 27′, across) and the factor applied by
+// buttons and +/- keys
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 500;
+const ZOOM_STEP = 1.2;
+
+// Zoom used when plotting a search result without a requested field of view, and fly-to duration (ms)
+const DEFAULT_PLOT_ZOOM = 2;
+const FLY_TO_DURATION = 900;
+
+// Keyboard pan distance in pixels, and how close two taps must be to count as a double tap
+const KEYBOARD_PAN_STEP = 40;
+const DOUBLE_TAP_INTERVAL = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+// Marker shape and color for each category of plotted search result, in legend order
+const MARKER_STYLES = {
+    star: { label: 'Star', color: '#fff3a3', shape: 'star' },
+    planet: { label: 'Planet / Moon', color: '#ffa94d', shape: 'circle' },
+    smallBody: { label: 'Asteroid / Comet', color: '#ff6b6b', shape: 'diamond' },
+    galaxy: { label: 'Galaxy / Deep sky', color: '#b197fc', shape: 'ellipse' },
+    exoplanetHost: { label: 'Exoplanet host', color: '#69db7c', shape: 'ring' },
+    other: { label: 'Other', color: '#74c0fc', shape: 'square' },
+};
+
+// Deep-sky layer: outline color per symbol family (see DEEP_SKY_TYPES), the default faintest
+// magnitude shown, the zoom from which every shown object is labeled (Messier objects from half that),
+// and the smallest symbol radius drawn, in pixels, so tiny objects stay visible
+const DEEP_SKY_COLORS = { galaxy: '#e599f7', cluster: '#ffe066', nebula: '#63e6be' };
+const DEFAULT_DEEP_SKY_MAGNITUDE = 8;
+const DEEP_SKY_LABEL_ZOOM = 4;
+const MIN_DEEP_SKY_SYMBOL = 3;
+
+// Toggleable map layers by short name: the StarMap flag and its toolbar button
+const MAP_LAYERS = {
+    lines: { key: 'showConstellationLines', button: 'toggleLinesBtn' },
+    boundaries: { key: 'showConstellationBoundaries', button: 'toggleBoundariesBtn' },
+    names: { key: 'showConstellationNames', button: 'toggleNamesBtn' },
+    planets: { key: 'showPlanets', button: 'togglePlanetsBtn' },
+    deepsky: { key: 'showDeepSky', button: 'toggleDeepSkyBtn' },
+};
+
+// Map a search result's free-form type onto a MARKER_STYLES category
+function markerCategory(type) {
+    const t = (type || '').toLowerCase();
+    if (t.includes('exoplanet')) return 'exoplanetHost';
+    if (t.includes('star')) return 'star';
+    if (t.includes('planet') || t === 'moon') return 'planet';
+    if (t.includes('galaxy') || t.includes('nebula') || t.includes('cluster') || t.includes('deep')) return 'galaxy';
+    // Small bodies also arrive as SBDB orbit classes (Apollo, Amor, Main-belt, Trojan, ...)
+    if (/comet|asteroid|near-earth|small body|apollo|amor|aten|atira|main-belt|trojan|centaur|trans-neptunian/.test(t)) {
+        return 'smallBody';
+    }
+    return 'other';
+}
+
+// Point a fraction t of the way along the great circle between two RA/Dec positions
+function interpolateSkyPosition(from, to, t) {
+    const toVector = ({ ra, dec }) => [
+        Math.cos(dec * DEG) * Math.cos(ra * 15 * DEG),
+        Math.cos(dec * DEG) * Math.sin(ra * 15 * DEG),
+        Math.sin(dec * DEG),
+    ];
+    const a = toVector(from);
+    const b = toVector(to);
+    const angle = Math.acos(Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+    if (angle < 1e-9) return { ra: to.ra, dec: to.dec };
+    
+    const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const wb = Math.sin(t * angle) / Math.sin(angle);
+    const [x, y, z] = a.map((v, i) => wa * v + wb * b[i]);
+    return {
+        ra: normalizeDegrees(Math.atan2(y, x) / DEG) / 15,
+        dec: Math.atan2(z, Math.hypot(x, y)) / DEG,
+    };
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
 class StarMap {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         
-        // View state
+        // View state (panning rotates the projection center rather than shifting pixels;
+        // rotation turns the whole chart on screen, in radians clockwise)
         this.zoom = 1;
-        this.panX = 0;
-        this.panY = 0;
-        this.showConstellations = true;
+        this.rotation = 0;
+        this.projection = new SkyProjection('stereographic', DEFAULT_VIEW.ra, DEFAULT_VIEW.dec);
+        this.showConstellationLines = true;
+        this.showConstellationBoundaries = false;
+        this.showConstellationNames = true;
+        this.showPlanets = true;
+        this.showDeepSky = true;
+        
+        // Observer ({ latitude, longitude }) and view mode ('equatorial' or 'horizon')
+        this.observer = null;
+        this.viewMode = 'equatorial';
+        this.frame = null;
+        
+        // Time shown (a Date, or null to follow the clock) and the equinox of the equatorial chart:
+        // 'J2000', or 'date' to precess every position to the time shown. The horizon view always
+        // uses the equinox of date. precession holds the current render's J2000 -> date matrix.
+        this.time = null;
+        this.equinox = 'J2000';
+        this.precession = null;
         
         // Interaction state
         this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
+        this.dragDistance = 0;
+        this.pointers = new Map(); // active pointers by pointerId: { x, y }
+        this.pinch = null;
+        this.lastTap = null;
+        this.lastPointerType = null; // pointerType of the latest pointerdown ('mouse', 'pen', 'touch')
+        this.plottedFocusIndex = -1;
+        this.flightFrame = null; // requestAnimationFrame id of a running fly-to
+        
+        // Object picked by clicking ({ kind: 'star' | 'planet' | 'plotted', name, ra, dec, data })
+        this.selectedObject = null;
         
-        // Star catalog (brightest stars with RA/Dec)
+        // Star catalog (bundled bright star catalog with RA/Dec), indexed for hit-testing
         this.stars = this.generateStarCatalog();
+        this.starIndex = new SkyIndex(this.stars);
         
-        // Plotted objects (from search results)
+        // Messier/NGC/IC objects (see deepSkyCatalog.js): those passing the magnitude filter, and an
+        // index for hit-testing that is searched wide enough to reach the edge of the largest object
+        this.deepSkyMagnitudeLimit = DEFAULT_DEEP_SKY_MAGNITUDE;
+        this.deepSkyObjects = deepSkyCatalog.brighterThan(this.deepSkyMagnitudeLimit);
+        this.deepSkyShown = new Set(this.deepSkyObjects);
+        this.deepSkyIndex = new SkyIndex(deepSkyCatalog.objects);
+        this.largestDeepSkyRadius = Math.max(...deepSkyCatalog.objects.map(object => (object.major || 0) / 120));
+        
+        // Plotted objects (from search results), marker categories hidden from the legend,
+        // whether a new search adds to the map instead of replacing, and the legend's click areas
         this.plottedObjects = [];
+        this.hiddenMarkerCategories = new Set();
+        this.keepPreviousResults = false;
+        this.legendHitAreas = [];
+        
+        // Sun, Moon and planet positions, recomputed each render (see ephemeris.js)
+        this.solarSystem = [];
         
-        // Constellation lines
+        // Constellation stick figures and boundary outlines
         this.constellations = this.generateConstellationLines();
+        this.constellationBoundaries = constellationCatalog.getBoundaryPaths();
         
         // Setup canvas
         this.setupCanvas();
         this.setupEventListeners();
+        this.setupObserverControls();
         
         // Initial render
         this.render();
@@ -51,201 +192,993 @@ class StarMap {
     }
     
     setupEventListeners() {
-        // Mouse drag to pan
-        this.canvas.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.lastMouseX = e.offsetX;
-            this.lastMouseY = e.offsetY;
-            this.canvas.style.cursor = 'grabbing';
+        // Pointer Events cover mouse, pen and touch: one pointer pans, two pinch-zoom and rotate
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.cancelFlight();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+            this.lastPointerType = e.pointerType;
+            if (this.pointers.size === 1) {
+                this.isDragging = true;
+                this.dragDistance = 0;
+                this.canvas.style.cursor = 'grabbing';
+            }
+            this.pinch = this.pointers.size === 2 ? this.getPinchState() : null;
+            this.hideTooltip();
         });
         
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.isDragging) {
-                const dx = e.offsetX - this.lastMouseX;
-                const dy = e.offsetY - this.lastMouseY;
-                this.panX += dx;
-                this.panY += dy;
-                this.lastMouseX = e.offsetX;
-                this.lastMouseY = e.offsetY;
-                this.render();
+        this.canvas.addEventListener('pointermove', (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) {
+                // Live coordinate readout and hover tooltip (mouse or pen hovering)
+                this.updateHover(e.offsetX, e.offsetY);
+                return;
+            }
+            
+            const dx = e.offsetX - pointer.x;
+            const dy = e.offsetY - pointer.y;
+            pointer.x = e.offsetX;
+            pointer.y = e.offsetY;
+            this.dragDistance += Math.abs(dx) + Math.abs(dy);
+            
+            if (this.pinch) {
+                this.applyPinch();
+            } else if (this.pointers.size === 1) {
+                this.panBy(dx, dy);
             }
         });
         
-        this.canvas.addEventListener('mouseup', () => {
-            this.isDragging = false;
-            this.canvas.style.cursor = 'grab';
+        const endPointer = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.delete(e.pointerId);
+            this.pinch = null;
+            if (this.pointers.size === 0) {
+                this.isDragging = false;
+                this.canvas.style.cursor = 'grab';
+                if (e.type === 'pointerup' && e.pointerType === 'touch') {
+                    this.handleTap(e.offsetX, e.offsetY);
+                }
+            }
+        };
+        this.canvas.addEventListener('pointerup', endPointer);
+        this.canvas.addEventListener('pointercancel', endPointer);
+        
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hideTooltip();
+            this.showCursorReadout(null);
         });
         
-        this.canvas.addEventListener('mouseleave', () => {
-            this.isDragging = false;
-            this.canvas.style.cursor = 'grab';
+        // Touch taps are handled on pointerup (handleTap), so the click the browser sends after
+        // one is ignored rather than selecting the object a second time
+        this.canvas.addEventListener('click', (e) => {
+            if (this.lastPointerType === 'touch' || this.dragDistance > CLICK_MOVE_TOLERANCE) return;
+            this.handleClick(e.offsetX, e.offsetY);
         });
         
-        // Mouse wheel to zoom
+        // Mouse wheel to zoom, keeping the sky under the cursor in place
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-            this.zoom *= zoomFactor;
-            this.zoom = Math.max(0.5, Math.min(5, this.zoom));
-            this.render();
+            this.cancelFlight();
+            const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            const factor = Math.exp(-Math.max(-200, Math.min(200, pixels)) * 0.002);
+            this.zoomBy(factor, this.eventToCanvas(e.offsetX, e.offsetY));
+        });
+        
+        // Keyboard navigation (the canvas is focusable)
+        this.canvas.addEventListener('keydown', (e) => {
+            this.cancelFlight();
+            this.handleKeyDown(e);
         });
         
         // Control buttons
         const resetBtn = document.getElementById('resetViewBtn');
-        const toggleConstBtn = document.getElementById('toggleConstellationsBtn');
+        const toggleLinesBtn = document.getElementById('toggleLinesBtn');
+        const toggleBoundariesBtn = document.getElementById('toggleBoundariesBtn');
+        const toggleNamesBtn = document.getElementById('toggleNamesBtn');
+        const togglePlanetsBtn = document.getElementById('togglePlanetsBtn');
+        const toggleDeepSkyBtn = document.getElementById('toggleDeepSkyBtn');
+        const deepSkyMagSelect = document.getElementById('deepSkyMagSelect');
+        const keepResultsBtn = document.getElementById('keepResultsBtn');
+        const clearResultsBtn = document.getElementById('clearResultsBtn');
         const zoomInBtn = document.getElementById('zoomInBtn');
         const zoomOutBtn = document.getElementById('zoomOutBtn');
+        const projectionSelect = document.getElementById('projectionSelect');
         
         if (resetBtn) {
             resetBtn.addEventListener('click', () => this.resetView());
         }
-        if (toggleConstBtn) {
-            toggleConstBtn.addEventListener('click', () => this.toggleConstellations());
+        if (toggleLinesBtn) {
+            toggleLinesBtn.addEventListener('click', () => this.toggleConstellationLayer('Lines'));
         }
-        if (zoomInBtn) {
-            zoomInBtn.addEventListener('click', () => {
-                this.zoom = Math.min(5, this.zoom * 1.2);
-                this.render();
+        if (toggleBoundariesBtn) {
+            toggleBoundariesBtn.addEventListener('click', () => this.toggleConstellationLayer('Boundaries'));
+        }
+        if (toggleNamesBtn) {
+            toggleNamesBtn.addEventListener('click', () => this.toggleConstellationLayer('Names'));
+        }
+        if (togglePlanetsBtn) {
+            togglePlanetsBtn.addEventListener('click', () => this.toggleLayer('showPlanets', 'togglePlanetsBtn'));
+        }
+        if (toggleDeepSkyBtn) {
+            toggleDeepSkyBtn.addEventListener('click', () => this.toggleLayer('showDeepSky', 'toggleDeepSkyBtn'));
+        }
+        if (deepSkyMagSelect) {
+            deepSkyMagSelect.value = String(this.deepSkyMagnitudeLimit);
+            deepSkyMagSelect.addEventListener('change', () => {
+                this.setDeepSkyMagnitudeLimit(deepSkyMagSelect.value === 'all' ? Infinity : parseFloat(deepSkyMagSelect.value));
             });
         }
+        if (keepResultsBtn) {
+            keepResultsBtn.addEventListener('click', () => this.toggleLayer('keepPreviousResults', 'keepResultsBtn'));
+        }
+        if (clearResultsBtn) {
+            clearResultsBtn.addEventListener('click', () => this.clearPlottedObjects());
+        }
+        if (zoomInBtn) {
+            zoomInBtn.addEventListener('click', () => this.zoomBy(ZOOM_STEP));
+        }
         if (zoomOutBtn) {
-            zoomOutBtn.addEventListener('click', () => {
-                this.zoom = Math.max(0.5, this.zoom / 1.2);
-                this.render();
-            });
+            zoomOutBtn.addEventListener('click', () => this.zoomBy(1 / ZOOM_STEP));
+        }
+        if (projectionSelect) {
+            projectionSelect.addEventListener('change', () => this.setProjection(projectionSelect.value));
         }
     }
     
-    // Convert RA/Dec (hours, degrees) to canvas coordinates
-    raDecToCanvas(ra, dec) {
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+    // Distance, angle and midpoint of the two active pointers
+    getPinchState() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+        };
+    }
+    
+    // Zoom, rotate and pan by how far the two pointers moved since the last update,
+    // keeping the sky under the pinch midpoint attached to it
+    applyPinch() {
+        const next = this.getPinchState();
+        const previous = this.pinch;
+        this.pinch = next;
         
-        // Convert RA from hours to degrees, then to radians
-        const raRad = (ra * 15 - 180) * Math.PI / 180;
-        const decRad = dec * Math.PI / 180;
+        const anchor = this.eventToCanvas(previous.x, previous.y);
+        const target = this.canvasToRaDec(anchor.x, anchor.y);
+        if (previous.distance > 0 && next.distance > 0) {
+            this.zoom = this.clampZoom(this.zoom * next.distance / previous.distance);
+        }
+        this.rotation += next.angle - previous.angle;
+        if (target) {
+            this.keepAtCanvasPoint(target, this.eventToCanvas(next.x, next.y));
+        }
+        this.render();
+    }
+    
+    // Click (without dragging) a legend entry to toggle it, or elsewhere to identify the nearest object
+    handleClick(offsetX, offsetY) {
+        const point = this.eventToCanvas(offsetX, offsetY);
+        const legendEntry = this.legendHitAreas.find(area =>
+            point.x >= area.x && point.x <= area.x + area.width &&
+            point.y >= area.y && point.y <= area.y + area.height);
+        if (legendEntry) {
+            this.toggleMarkerCategory(legendEntry.category);
+            return;
+        }
+        this.selectObject(this.pickObject(point.x, point.y));
+    }
+    
+    // A tap acts as a click; a second tap close in time and place to the first zooms in on that point
+    handleTap(offsetX, offsetY) {
+        const now = Date.now();
+        const last = this.lastTap;
+        if (this.dragDistance > CLICK_MOVE_TOLERANCE) {
+            this.lastTap = null;
+            return;
+        }
+        if (last && now - last.time < DOUBLE_TAP_INTERVAL &&
+            Math.hypot(offsetX - last.x, offsetY - last.y) < DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            const point = this.eventToCanvas(offsetX, offsetY);
+            const target = this.canvasToRaDec(point.x, point.y);
+            if (target) {
+                this.flyTo(target.ra, target.dec, this.zoom * 2);
+            } else {
+                this.zoomBy(2);
+            }
+            return;
+        }
+        this.lastTap = { time: now, x: offsetX, y: offsetY };
+        this.handleClick(offsetX, offsetY);
+    }
+    
+    // Arrows pan, +/- zoom, Home resets, Tab steps through plotted objects and Enter opens one
+    handleKeyDown(e) {
+        switch (e.key) {
+        case 'ArrowLeft':
+            this.panBy(KEYBOARD_PAN_STEP, 0);
+            break;
+        case 'ArrowRight':
+            this.panBy(-KEYBOARD_PAN_STEP, 0);
+            break;
+        case 'ArrowUp':
+            this.panBy(0, KEYBOARD_PAN_STEP);
+            break;
+        case 'ArrowDown':
+            this.panBy(0, -KEYBOARD_PAN_STEP);
+            break;
+        case '+':
+        case '=':
+            this.zoomBy(ZOOM_STEP);
+            break;
+        case '-':
+        case '_':
+            this.zoomBy(1 / ZOOM_STEP);
+            break;
+        case 'Home':
+            this.resetView();
+            break;
+        case 'Enter':
+            if (!this.selectedObject) return;
+            this.selectObject(this.selectedObject);
+            break;
+        case 'Tab':
+            // Past the last (or before the first) plotted object, let focus leave the map
+            if (!this.focusNextPlottedObject(e.shiftKey ? -1 : 1)) return;
+            break;
+        default:
+            return;
+        }
+        e.preventDefault();
+    }
+    
+    // Highlight and center the next plotted object in direction (1 or -1); false when there is none
+    focusNextPlottedObject(direction) {
+        const visible = this.getVisiblePlottedObjects();
+        const index = this.plottedFocusIndex + direction;
+        if (index < 0 || index >= visible.length) {
+            this.plottedFocusIndex = -1;
+            return false;
+        }
+        
+        this.plottedFocusIndex = index;
+        const obj = visible[index];
+        this.selectedObject = { kind: 'plotted', name: obj.name, ra: obj.ra, dec: obj.dec, data: obj };
+        this.flyTo(obj.ra, obj.dec);
+        return true;
+    }
+    
+    clampZoom(zoom) {
+        return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    }
+    
+    // Multiply the zoom by factor (within limits) and redraw. With an anchor canvas point,
+    // the sky under it stays put; otherwise the zoom is about the canvas center.
+    zoomBy(factor, anchor = null) {
+        const target = anchor ? this.canvasToRaDec(anchor.x, anchor.y) : null;
+        this.zoom = this.clampZoom(this.zoom * factor);
+        if (target) {
+            this.keepAtCanvasPoint(target, anchor);
+        }
+        this.render();
+    }
+    
+    // Zoom at which fov degrees spans the shorter side of the canvas
+    zoomForFieldOfView(fov) {
+        const projection = this.projection.projection;
+        const edge = projection.forward(0, Math.min(179, fov) / 2 * DEG);
+        const planeRadius = edge ? edge.y : projection.extent.y;
+        const baseScale = this.getScale() / this.zoom;
+        return this.clampZoom(Math.min(this.canvas.width, this.canvas.height) / 2 / (planeRadius * baseScale));
+    }
+    
+    // Field of view in degrees across the shorter side of the canvas (inverse of zoomForFieldOfView).
+    // Measured as angular distance from the center, so it keeps growing past 180° when zoomed out.
+    getFieldOfView() {
+        const planeRadius = Math.min(this.canvas.width, this.canvas.height) / 2 / this.getScale();
+        const edge = this.projection.projection.inverse(0, planeRadius);
+        if (!edge) return 360;
+        return 2 * Math.acos(Math.max(-1, Math.min(1, Math.cos(edge.lat) * Math.cos(edge.lon)))) / DEG;
+    }
+    
+    // Zoom until getFieldOfView() returns fov (bisection, since it has no closed-form inverse
+    // past 180°) and redraw
+    setFieldOfView(fov) {
+        let low = Math.log(MIN_ZOOM);
+        let high = Math.log(MAX_ZOOM);
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            this.zoom = Math.exp(mid);
+            if (this.getFieldOfView() > fov) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        this.zoom = Math.exp(high);
+        this.render();
+    }
+    
+    // Rotate the projection center until an RA/Dec lands on a canvas point. Away from the center
+    // the projection stretches, so take Newton steps using how one pixel of shiftCenter() moves it.
+    keepAtCanvasPoint(target, point) {
+        for (let i = 0; i < 6; i++) {
+            const pos = this.raDecToCanvas(target.ra, target.dec);
+            if (!pos) return;
+            const dx = point.x - pos.x;
+            const dy = point.y - pos.y;
+            if (Math.hypot(dx, dy) < 0.25) return;
+            
+            const { centerRa, centerDec } = this.projection;
+            this.shiftCenter(1, 0);
+            const alongX = this.raDecToCanvas(target.ra, target.dec);
+            this.projection.setCenter(centerRa, centerDec);
+            this.shiftCenter(0, 1);
+            const alongY = this.raDecToCanvas(target.ra, target.dec);
+            this.projection.setCenter(centerRa, centerDec);
+            if (!alongX || !alongY) return;
+            
+            const a = alongX.x - pos.x;
+            const b = alongY.x - pos.x;
+            const c = alongX.y - pos.y;
+            const d = alongY.y - pos.y;
+            const det = a * d - b * c;
+            if (Math.abs(det) < 1e-9) return;
+            this.shiftCenter((d * dx - b * dy) / det, (a * dy - c * dx) / det);
+        }
+    }
+    
+    // Ease the view center and zoom to a position (RA hours, Dec degrees) over duration ms
+    flyTo(ra, dec, zoom = this.zoom, duration = FLY_TO_DURATION) {
+        this.cancelFlight();
+        this.prepareFrame();
         
-        // Stereographic projection
-        const cosDec = Math.cos(decRad);
-        const x = centerX + this.panX + (Math.sin(raRad) * cosDec * this.canvas.width * this.zoom * 0.4);
-        const y = centerY + this.panY - (Math.cos(raRad) * cosDec * this.canvas.width * this.zoom * 0.4);
+        const from = { ra: this.projection.centerRa, dec: this.projection.centerDec };
+        const to = this.toViewCoordinates(ra, dec);
+        const startZoom = this.zoom;
+        const endZoom = this.clampZoom(zoom);
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (duration <= 0 || reduceMotion) {
+            this.zoom = endZoom;
+            this.projection.setCenter(to.ra, to.dec);
+            this.render();
+            return;
+        }
         
-        return { x, y };
+        let start = null;
+        const step = (now) => {
+            if (start === null) start = now;
+            const t = Math.min(1, (now - start) / duration);
+            const eased = easeInOutCubic(t);
+            const center = interpolateSkyPosition(from, to, eased);
+            this.projection.setCenter(center.ra, center.dec);
+            this.zoom = startZoom * Math.pow(endZoom / startZoom, eased);
+            this.render();
+            this.flightFrame = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.flightFrame = requestAnimationFrame(step);
     }
     
-    // Generate a catalog of bright stars with approximate RA/Dec
-    generateStarCatalog() {
-        return [
-            // Brightest stars with approximate coordinates
-            { name: 'Sirius', ra: 6.75, dec: -16.7, mag: -1.46 },
-            { name: 'Canopus', ra: 6.40, dec: -52.7, mag: -0.74 },
-            { name: 'Arcturus', ra: 14.26, dec: 19.2, mag: -0.05 },
-            { name: 'Vega', ra: 18.62, dec: 38.8, mag: 0.03 },
-            { name: 'Capella', ra: 5.28, dec: 45.98, mag: 0.08 },
-            { name: 'Rigel', ra: 5.24, dec: -8.2, mag: 0.18 },
-            { name: 'Procyon', ra: 7.66, dec: 5.2, mag: 0.34 },
-            { name: 'Betelgeuse', ra: 5.92, dec: 7.4, mag: 0.42 },
-            { name: 'Achernar', ra: 1.63, dec: -57.2, mag: 0.46 },
-            { name: 'Altair', ra: 19.85, dec: 8.87, mag: 0.76 },
-            { name: 'Spica', ra: 13.42, dec: -11.16, mag: 0.98 },
-            { name: 'Pollux', ra: 7.76, dec: 28.0, mag: 1.16 },
-            { name: 'Fomalhaut', ra: 22.96, dec: -29.6, mag: 1.17 },
-            { name: 'Deneb', ra: 20.69, dec: 45.28, mag: 1.25 },
-            { name: 'Regulus', ra: 10.14, dec: 11.97, mag: 1.36 },
-            // Add more stars for a richer map
-            ...this.generateRandomStars(200, 0.5, 4.0)
-        ];
-    }
-    
-    // Generate additional random stars for background
-    generateRandomStars(count, minMag, maxMag) {
-        const stars = [];
-        for (let i = 0; i < count; i++) {
-            stars.push({
-                name: `Star_${i}`,
-                ra: Math.random() * 24,
-                dec: (Math.random() - 0.5) * 180,
-                mag: minMag + Math.random() * (maxMag - minMag)
-            });
+    // Stop a running fly-to where it is (user input takes over)
+    cancelFlight() {
+        if (this.flightFrame !== null) {
+            cancelAnimationFrame(this.flightFrame);
+            this.flightFrame = null;
         }
-        return stars;
     }
     
-    // Generate simple constellation lines (connecting nearby bright stars)
-    generateConstellationLines() {
-        // Simple pattern: connect stars that are close to each other
+    // Mouse offsets are in CSS pixels; the canvas backing store may be sized differently
+    eventToCanvas(offsetX, offsetY) {
+        const scaleX = this.canvas.clientWidth ? this.canvas.width / this.canvas.clientWidth : 1;
+        const scaleY = this.canvas.clientHeight ? this.canvas.height / this.canvas.clientHeight : 1;
+        return { x: offsetX * scaleX, y: offsetY * scaleY };
+    }
+    
+    // Update the cursor readout and the tooltip for the mouse at CSS offset (offsetX, offsetY)
+    updateHover(offsetX, offsetY) {
+        const point = this.eventToCanvas(offsetX, offsetY);
+        this.showCursorReadout(this.canvasToRaDec(point.x, point.y));
+        
+        const object = this.pickObject(point.x, point.y);
+        if (object) {
+            this.showTooltip(object, offsetX, offsetY);
+        } else {
+            this.hideTooltip();
+        }
+    }
+    
+    // RA/Dec under the cursor in sexagesimal and decimal, plus alt/az when an observer is set
+    showCursorReadout(position) {
+        const readout = document.getElementById('cursorReadout');
+        if (!readout) return;
+        if (!position) {
+            readout.textContent = '';
+            return;
+        }
+        
+        const ra = ((position.ra % 24) + 24) % 24;
+        let text = `RA ${formatRightAscension(ra)} (${(ra * 15).toFixed(4)}°)  ` +
+            `Dec ${formatDeclination(position.dec)} (${position.dec >= 0 ? '+' : ''}${position.dec.toFixed(4)}°)`;
+        const horizontal = this.getHorizontalPosition(position.ra, position.dec);
+        if (horizontal) {
+            text += `  Alt ${horizontal.alt.toFixed(2)}°  Az ${horizontal.az.toFixed(2)}°`;
+        }
+        readout.textContent = text;
+    }
+    
+    // Name, type, magnitude and designations for a picked object
+    describeObject(object) {
         const lines = [];
-        const brightStars = this.stars.filter(s => s.mag < 2.0 && s.name && !s.name.startsWith('Star_'));
+        if (object.kind === 'star') {
+            const star = object.data;
+            lines.push(`Star, magnitude ${star.mag.toFixed(2)}`);
+            const designations = starCatalog.getDesignations(star).filter(d => d !== object.name);
+            if (designations.length > 0) {
+                lines.push(designations.join(', '));
+            }
+        } else if (object.kind === 'deepsky') {
+            const dso = object.data;
+            const magnitude = dso.mag === null ? '' : `, magnitude ${dso.mag.toFixed(1)}`;
+            lines.push(`${deepSkyCatalog.getTypeLabel(dso)}${magnitude}`);
+            const designations = deepSkyCatalog.getDesignations(dso).filter(d => d !== object.name);
+            if (designations.length > 0) {
+                lines.push(designations.join(', '));
+            }
+        } else if (object.kind === 'planet') {
+            const body = object.data;
+            const type = body.id === 'sun' ? 'Star' : body.id === 'moon' ? 'Moon' : 'Planet';
+            lines.push(`${type}, magnitude ${body.magnitude.toFixed(1)}`);
+        } else {
+            lines.push(object.data.type);
+        }
+        return { title: object.name, lines };
+    }
+    
+    showTooltip(object, offsetX, offsetY) {
+        const tooltip = document.getElementById('mapTooltip');
+        if (!tooltip) return;
         
-        for (let i = 0; i < brightStars.length; i++) {
-            for (let j = i + 1; j < brightStars.length; j++) {
-                const s1 = brightStars[i];
-                const s2 = brightStars[j];
-                
-                // Calculate angular distance
-                const ra1 = s1.ra * 15 * Math.PI / 180;
-                const dec1 = s1.dec * Math.PI / 180;
-                const ra2 = s2.ra * 15 * Math.PI / 180;
-                const dec2 = s2.dec * Math.PI / 180;
-                
-                const angularDist = Math.acos(
-                    Math.sin(dec1) * Math.sin(dec2) +
-                    Math.cos(dec1) * Math.cos(dec2) * Math.cos(ra1 - ra2)
-                ) * 180 / Math.PI;
-                
-                // Connect stars within ~30 degrees
-                if (angularDist < 30) {
-                    lines.push({ star1: s1, star2: s2 });
+        const { title, lines } = this.describeObject(object);
+        tooltip.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        tooltip.appendChild(heading);
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            tooltip.appendChild(row);
+        });
+        
+        // Keep the tooltip inside the map: flip to the left of the cursor near the right edge
+        tooltip.classList.remove('hidden');
+        const flip = offsetX + 14 + tooltip.offsetWidth > this.canvas.clientWidth;
+        tooltip.style.left = `${flip ? offsetX - 14 - tooltip.offsetWidth : offsetX + 14}px`;
+        tooltip.style.top = `${offsetY + 14}px`;
+    }
+    
+    hideTooltip() {
+        const tooltip = document.getElementById('mapTooltip');
+        if (tooltip) {
+            tooltip.classList.add('hidden');
+        }
+    }
+    
+    // Observer location and time form, geolocation and horizon view toggle
+    setupObserverControls() {
+        const latInput = document.getElementById('observerLat');
+        const lonInput = document.getElementById('observerLon');
+        const setObserverBtn = document.getElementById('setObserverBtn');
+        const geolocateBtn = document.getElementById('geolocateBtn');
+        const horizonViewBtn = document.getElementById('horizonViewBtn');
+        
+        if (setObserverBtn) {
+            setObserverBtn.addEventListener('click', () => {
+                const latitude = parseFloat(latInput.value);
+                const longitude = parseFloat(lonInput.value);
+                if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                    this.showObserverStatus('Enter a latitude (-90 to 90) and longitude (-180 to 180).');
+                    return;
+                }
+                this.setObserver(latitude, longitude);
+            });
+        }
+        if (geolocateBtn) {
+            geolocateBtn.addEventListener('click', () => {
+                if (!navigator.geolocation) {
+                    this.showObserverStatus('Geolocation is not available in this browser.');
+                    return;
                 }
+                this.showObserverStatus('Locating...');
+                navigator.geolocation.getCurrentPosition(
+                    (position) => {
+                        const { latitude, longitude } = position.coords;
+                        if (latInput) latInput.value = latitude.toFixed(4);
+                        if (lonInput) lonInput.value = longitude.toFixed(4);
+                        this.setObserver(latitude, longitude);
+                    },
+                    (error) => this.showObserverStatus(`Could not get location: ${error.message}`)
+                );
+            });
+        }
+        if (horizonViewBtn) {
+            horizonViewBtn.addEventListener('click', () => {
+                this.setViewMode(this.viewMode === 'horizon' ? 'equatorial' : 'horizon');
+            });
+        }
+    }
+    
+    showObserverStatus(message) {
+        const status = document.getElementById('observerStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    // Set the observer (latitude/longitude in degrees, east positive)
+    setObserver(latitude, longitude) {
+        this.observer = { latitude, longitude };
+        
+        const horizonViewBtn = document.getElementById('horizonViewBtn');
+        if (horizonViewBtn) {
+            horizonViewBtn.disabled = false;
+        }
+        this.showObserverStatus(`Observer: ${latitude.toFixed(2)}°, ${longitude.toFixed(2)}°`);
+        this.render();
+    }
+    
+    // Time the sky is shown for: the set time, or now when following the clock
+    getObserverTime() {
+        return this.time || new Date();
+    }
+    
+    // Show the sky at a time (Date, or null to follow the clock). Planets follow on the next render;
+    // plotted asteroids and comets are moved along their orbits here.
+    setTime(date) {
+        this.time = date;
+        this.updateMovingObjects();
+        this.canvas.dispatchEvent(new CustomEvent('timechange'));
+        this.render();
+    }
+    
+    // Chart equinox: 'J2000' or 'date' (see this.equinox), keeping the same sky at the center
+    setEquinox(equinox) {
+        if (equinox === this.equinox) return;
+        this.prepareFrame();
+        const center = this.fromViewCoordinates(this.projection.centerRa, this.projection.centerDec);
+        this.equinox = equinox;
+        this.prepareFrame();
+        const view = this.toViewCoordinates(center.ra, center.dec);
+        this.projection.setCenter(view.ra, view.dec);
+        this.render();
+    }
+    
+    // Place plotted objects that move for the time shown: the Sun, Moon and planets (bodyId) from
+    // the ephemeris, and objects with orbital elements, recomputing their track once the time leaves
+    // the span it covers
+    updateMovingObjects() {
+        const date = this.getObserverTime();
+        this.plottedObjects.forEach(obj => {
+            if (obj.bodyId) {
+                const position = computeBodyPosition(obj.bodyId, date);
+                obj.ra = position.ra;
+                obj.dec = position.dec;
+                return;
+            }
+            if (!obj.elements) return;
+            const position = propagateToSky(obj.elements, date);
+            obj.ra = position.ra;
+            obj.dec = position.dec;
+            if (obj.track && (date < obj.track[0].date || date > obj.track[obj.track.length - 1].date)) {
+                obj.track = computeOrbitTrack(obj.elements, date);
             }
+        });
+    }
+    
+    // Give a plotted object its orbital elements (one restored from a link), so it moves with the
+    // time and shows its track again
+    setPlottedOrbit(name, elements) {
+        const obj = this.plottedObjects.find(candidate => candidate.name === name);
+        if (!obj) return;
+        obj.elements = elements;
+        obj.track = computeOrbitTrack(elements, this.getObserverTime());
+        this.updateMovingObjects();
+        this.render();
+    }
+    
+    // Switch between the equatorial chart and the observer's horizon (alt-az) view
+    setViewMode(mode) {
+        if (mode === 'horizon' && !this.observer) {
+            this.showObserverStatus('Set an observer location first.');
+            return;
+        }
+        this.cancelFlight();
+        this.viewMode = mode;
+        this.zoom = 1;
+        this.rotation = 0;
+        if (mode === 'horizon') {
+            this.setViewCenter(DEFAULT_HORIZON_VIEW.az, DEFAULT_HORIZON_VIEW.alt);
+        } else {
+            this.projection.setCenter(DEFAULT_VIEW.ra, DEFAULT_VIEW.dec);
+        }
+        
+        const horizonViewBtn = document.getElementById('horizonViewBtn');
+        if (horizonViewBtn) {
+            horizonViewBtn.classList.toggle('active', mode === 'horizon');
         }
-        return lines;
+        this.render();
+    }
+    
+    isHorizonMode() {
+        return this.viewMode === 'horizon' && this.observer !== null;
+    }
+    
+    // Cache sidereal time and precession for the current render so per-star conversions stay cheap
+    prepareFrame() {
+        const date = this.getObserverTime();
+        this.frame = this.isHorizonMode()
+            ? {
+                latitude: this.observer.latitude,
+                lst: localSiderealTime(date, this.observer.longitude),
+            }
+            : null;
+        this.precession = this.frame || this.equinox === 'date' ? precessionMatrix(date) : null;
+    }
+    
+    // Altitude/azimuth of a J2000 RA/Dec for the current observer, or null without one
+    getHorizontalPosition(ra, dec) {
+        if (!this.observer) return null;
+        const date = this.getObserverTime();
+        const lst = this.frame ? this.frame.lst : localSiderealTime(date, this.observer.longitude);
+        const ofDate = rotateEquatorial(ra, dec, this.frame ? this.precession : precessionMatrix(date));
+        return equatorialToHorizontal(ofDate.ra, ofDate.dec, this.observer.latitude, lst);
+    }
+    
+    // Positions are J2000; the view precesses them to the equinox of date when asked. In horizon
+    // mode the projection works on (azimuth, altitude), mapped onto its RA/Dec axes as
+    // ra = (360° - az) / 15 so that east stays on the left when facing south.
+    toViewCoordinates(ra, dec) {
+        const equatorial = this.precession ? rotateEquatorial(ra, dec, this.precession) : { ra, dec };
+        if (!this.frame) return equatorial;
+        const horizontal = equatorialToHorizontal(equatorial.ra, equatorial.dec, this.frame.latitude, this.frame.lst);
+        return { ra: (360 - horizontal.az) / 15, dec: horizontal.alt };
+    }
+    
+    fromViewCoordinates(ra, dec) {
+        const equatorial = this.frame
+            ? horizontalToEquatorial(dec, normalizeDegrees(360 - ra * 15), this.frame.latitude, this.frame.lst)
+            : { ra, dec };
+        return this.precession ? rotateEquatorial(equatorial.ra, equatorial.dec, this.precession, true) : equatorial;
+    }
+    
+    // Point the horizon view at an azimuth/altitude (degrees)
+    setViewCenter(az, alt) {
+        this.projection.setCenter((360 - az) / 15, alt);
+    }
+    
+    // Horizontal coordinates straight to canvas (horizon mode only)
+    horizontalToCanvas(alt, az) {
+        return this.viewToCanvas((360 - az) / 15, alt);
+    }
+    
+    isBelowHorizon(ra, dec) {
+        if (!this.frame) return false;
+        return this.toViewCoordinates(ra, dec).dec < 0;
+    }
+    
+    // Pixels per unit of projection plane at the current zoom
+    getScale() {
+        const extent = this.projection.projection.extent;
+        const baseScale = Math.min(this.canvas.width / (2 * extent.x), this.canvas.height / (2 * extent.y));
+        return baseScale * this.zoom;
+    }
+    
+    // Convert RA/Dec (hours, degrees) to canvas coordinates, or null if the point is not projectable
+    raDecToCanvas(ra, dec) {
+        const view = this.toViewCoordinates(ra, dec);
+        return this.viewToCanvas(view.ra, view.dec);
+    }
+    
+    // Project coordinates of the current view frame (equatorial, or mapped alt-az) to the canvas
+    viewToCanvas(ra, dec) {
+        const point = this.projection.forward(ra, dec);
+        if (!point) return null;
+        
+        const scale = this.getScale();
+        const sx = point.x * scale;
+        const sy = -point.y * scale;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        return {
+            x: this.canvas.width / 2 + sx * cos - sy * sin,
+            y: this.canvas.height / 2 + sx * sin + sy * cos,
+        };
+    }
+    
+    // Convert canvas coordinates back to RA/Dec, or null outside the projected sky
+    canvasToRaDec(x, y) {
+        const scale = this.getScale();
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const sx = x - this.canvas.width / 2;
+        const sy = y - this.canvas.height / 2;
+        const view = this.projection.inverse(
+            (sx * cos + sy * sin) / scale,
+            -(-sx * sin + sy * cos) / scale
+        );
+        if (!view) return null;
+        if (!this.frame) this.prepareFrame();
+        return this.fromViewCoordinates(view.ra, view.dec);
     }
     
-    // Plot an object on the star map
-    plotObject(name, ra, dec, type = 'Object') {
+    // Rotate the projection center by a drag of (dx, dy) pixels
+    panBy(screenDx, screenDy) {
+        this.shiftCenter(screenDx, screenDy);
+        this.render();
+    }
+    
+    // Move the projection center so the sky near it shifts by (dx, dy) screen pixels, without redrawing
+    shiftCenter(screenDx, screenDy) {
+        // Undo the on-screen rotation so the sky follows the pointer
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const dx = screenDx * cos + screenDy * sin;
+        const dy = -screenDx * sin + screenDy * cos;
+        const degreesPerPixel = 180 / Math.PI / this.getScale();
+        const cosDec = Math.max(0.1, Math.cos(this.projection.centerDec * Math.PI / 180));
+        this.projection.setCenter(
+            this.projection.centerRa + dx * degreesPerPixel / cosDec / 15,
+            this.projection.centerDec + dy * degreesPerPixel
+        );
+    }
+    
+    // Re-center the map on a position (RA in hours, Dec in degrees)
+    centerOn(ra, dec) {
+        this.prepareFrame();
+        const view = this.toViewCoordinates(ra, dec);
+        this.projection.setCenter(view.ra, view.dec);
+        this.render();
+    }
+    
+    // Switch projection at runtime, keeping the current center
+    setProjection(type) {
+        this.projection.setType(type);
+        const select = document.getElementById('projectionSelect');
+        if (select) {
+            select.value = type;
+        }
+        this.render();
+    }
+    
+    // Load the bundled bright star catalog (see starCatalog.js)
+    generateStarCatalog() {
+        return starCatalog.stars;
+    }
+    
+    // Approximate star color from its B-V color index (blue-white to orange-red)
+    bvToColor(bv) {
+        if (bv === null || bv === undefined) return 'rgb(255, 255, 255)';
+        const t = Math.max(0, Math.min(1, (bv + 0.4) / 2.4));
+        const r = Math.round(155 + 100 * Math.min(1, t * 2));
+        const g = Math.round(180 + 75 * (1 - Math.abs(t - 0.35) * 1.6));
+        const b = Math.round(255 - 175 * Math.max(0, t - 0.3) / 0.7);
+        return `rgb(${r}, ${Math.max(120, g)}, ${b})`;
+    }
+    
+    // IAU constellation stick figures (see constellations.js)
+    generateConstellationLines() {
+        return constellationCatalog.lineSegments;
+    }
+    
+    // Plot an object on the star map and fly to it. options.track is an optional
+    // [{ ra, dec, date, offset }] path; options.elements are orbital elements (see orbits.js) that
+    // move the object with the map time; options.fov is the field of view to zoom to, in degrees;
+    // options.fly = false only adds the marker (see fitToPlottedObjects for batches).
+    plotObject(name, ra, dec, type = 'Object', options = {}) {
         // Remove existing plot for same object
         this.plottedObjects = this.plottedObjects.filter(obj => obj.name !== name);
         
-        this.plottedObjects.push({ name, ra, dec, type });
+        this.plottedObjects.push({
+            name, ra, dec, type,
+            category: markerCategory(type),
+            track: options.track || null,
+            elements: options.elements || null,
+            bodyId: options.bodyId || null,
+            orbitId: options.orbitId || null,
+        });
         
-        // Center view on the object
-        const pos = this.raDecToCanvas(ra, dec);
-        this.panX = -pos.x + this.canvas.width / 2;
-        this.panY = -pos.y + this.canvas.height / 2;
-        this.zoom = 2;
+        if (options.fly === false) {
+            this.render();
+            return;
+        }
+        
+        // Ease the view over to the object
+        const zoom = options.fov ? this.zoomForFieldOfView(options.fov) : DEFAULT_PLOT_ZOOM;
+        this.flyTo(ra, dec, zoom);
+    }
+    
+    // Plotted objects whose marker category is not hidden
+    getVisiblePlottedObjects() {
+        return this.plottedObjects.filter(obj => !this.hiddenMarkerCategories.has(obj.category));
+    }
+    
+    // Fly to a view that frames every visible plotted object
+    fitToPlottedObjects() {
+        const objects = this.getVisiblePlottedObjects();
+        if (objects.length === 0) return;
+        if (objects.length === 1) {
+            this.flyTo(objects[0].ra, objects[0].dec, DEFAULT_PLOT_ZOOM);
+            return;
+        }
         
+        // Center on the mean direction, then open the field to the farthest object plus a margin
+        let x = 0;
+        let y = 0;
+        let z = 0;
+        objects.forEach(obj => {
+            x += Math.cos(obj.dec * DEG) * Math.cos(obj.ra * 15 * DEG);
+            y += Math.cos(obj.dec * DEG) * Math.sin(obj.ra * 15 * DEG);
+            z += Math.sin(obj.dec * DEG);
+        });
+        const center = {
+            ra: normalizeDegrees(Math.atan2(y, x) / DEG) / 15,
+            dec: Math.atan2(z, Math.hypot(x, y)) / DEG,
+        };
+        const radius = Math.max(...objects.map(obj => angularSeparation(center.ra, center.dec, obj.ra, obj.dec)));
+        const fov = Math.max(2, radius * 2 * 1.3);
+        this.flyTo(center.ra, center.dec, Math.min(DEFAULT_PLOT_ZOOM * 4, this.zoomForFieldOfView(fov)));
+    }
+    
+    // Show or hide one marker category (see MARKER_STYLES)
+    toggleMarkerCategory(category) {
+        if (this.hiddenMarkerCategories.has(category)) {
+            this.hiddenMarkerCategories.delete(category);
+        } else {
+            this.hiddenMarkerCategories.add(category);
+        }
+        this.plottedFocusIndex = -1;
+        if (this.selectedObject && this.selectedObject.kind === 'plotted' &&
+            this.hiddenMarkerCategories.has(this.selectedObject.data.category)) {
+            this.selectedObject = null;
+        }
         this.render();
     }
     
     // Clear all plotted objects
     clearPlottedObjects() {
         this.plottedObjects = [];
+        this.plottedFocusIndex = -1;
+        this.render();
+    }
+    
+    // Nearest rendered object within tolerance pixels of a canvas point, or null
+    pickObject(x, y, tolerance = PICK_TOLERANCE) {
+        const sky = this.canvasToRaDec(x, y);
+        if (!sky) return null;
+        
+        // Sky radius covered by the tolerance here: projections stretch unevenly, so measure it locally
+        let radius = tolerance / this.getScale() / DEG;
+        [[tolerance, 0], [-tolerance, 0], [0, tolerance], [0, -tolerance]].forEach(([dx, dy]) => {
+            const neighbour = this.canvasToRaDec(x + dx, y + dy);
+            if (neighbour) {
+                radius = Math.max(radius, angularSeparation(sky.ra, sky.dec, neighbour.ra, neighbour.dec));
+            }
+        });
+        
+        // Candidates from each rendered layer, with the marker radius they are drawn at. Deep-sky
+        // objects come first so that a star inside a nebula or galaxy wins the tie.
+        const candidates = [];
+        if (this.showDeepSky) {
+            this.deepSkyIndex.query(sky.ra, sky.dec, radius * 1.5 + this.largestDeepSkyRadius).forEach(({ item }) => {
+                const outline = this.deepSkyShown.has(item) ? this.getDeepSkyOutline(item) : null;
+                if (!outline) return;
+                candidates.push({
+                    object: { kind: 'deepsky', name: deepSkyCatalog.getDisplayName(item), ra: item.ra, dec: item.dec, data: item },
+                    markerRadius: (outline.semiMajor + outline.semiMinor) / 2,
+                });
+            });
+        }
+        this.starIndex.query(sky.ra, sky.dec, radius * 1.5).forEach(({ item }) => candidates.push({
+            object: { kind: 'star', name: starCatalog.getDisplayName(item), ra: item.ra, dec: item.dec, data: item },
+            markerRadius: Math.max(0.5, (6 - item.mag) * 0.8),
+        }));
+        if (this.showPlanets) {
+            this.solarSystem.forEach(body => candidates.push({
+                object: { kind: 'planet', name: body.name, ra: body.ra, dec: body.dec, data: body },
+                markerRadius: 7,
+            }));
+        }
+        this.getVisiblePlottedObjects().forEach(obj => candidates.push({
+            object: { kind: 'plotted', name: obj.name, ra: obj.ra, dec: obj.dec, data: obj },
+            markerRadius: 8,
+        }));
+        
+        // Closest marker edge in pixels wins, so big markers are easy to hit
+        let best = null;
+        let bestDistance = tolerance;
+        candidates.forEach(({ object, markerRadius }) => {
+            const pos = this.raDecToCanvas(object.ra, object.dec);
+            if (!pos) return;
+            const distance = Math.max(0, Math.hypot(pos.x - x, pos.y - y) - markerRadius);
+            if (distance <= bestDistance) {
+                best = object;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+    
+    // Highlight a picked object (null clears) and announce it with an 'objectselected' event
+    selectObject(object) {
+        this.selectedObject = object;
         this.render();
+        if (object) {
+            this.canvas.dispatchEvent(new CustomEvent('objectselected', { detail: object }));
+        }
     }
     
     render() {
+        this.drawScene();
+        
+        // Let the page follow pans, zooms and layer changes (see urlState.js)
+        this.canvas.dispatchEvent(new CustomEvent('viewchange'));
+    }
+    
+    // Draw the current view into another 2D context (an export canvas, or an SvgContext) as if the
+    // map were width x height pixels; the on-screen canvas and its legend click areas are untouched
+    renderTo(ctx, width, height) {
+        const screen = { canvas: this.canvas, ctx: this.ctx, legendHitAreas: this.legendHitAreas };
+        this.canvas = { width, height };
+        this.ctx = ctx;
+        try {
+            this.drawScene();
+        } finally {
+            Object.assign(this, screen);
+        }
+    }
+    
+    // Every layer of the chart, drawn with this.ctx
+    drawScene() {
+        this.prepareFrame();
+        
         // Clear canvas
         this.ctx.fillStyle = '#000000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw stars as a gradient
-        const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, 50);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-        gradient.addColorStop(0.5, 'rgba(255, 255, 200, 0.8)');
-        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        // Draw constellation boundaries and lines first (so stars appear on top)
+        if (this.showConstellationBoundaries) {
+            this.ctx.strokeStyle = 'rgba(160, 160, 208, 0.25)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            
+            this.constellationBoundaries.forEach(boundary => {
+                this.ctx.beginPath();
+                let previous = null;
+                boundary.points.concat([boundary.points[0]]).forEach(point => {
+                    const pos = this.raDecToCanvas(point.ra, point.dec);
+                    if (this.isSegmentDrawable(previous, pos)) {
+                        this.ctx.lineTo(pos.x, pos.y);
+                    } else if (pos) {
+                        this.ctx.moveTo(pos.x, pos.y);
+                    }
+                    previous = pos;
+                });
+                this.ctx.stroke();
+            });
+            
+            this.ctx.setLineDash([]);
+        }
         
-        // Draw constellation lines first (so stars appear on top)
-        if (this.showConstellations) {
-            this.ctx.strokeStyle = 'rgba(102, 126, 234, 0.3)';
+        if (this.showConstellationLines) {
+            this.ctx.strokeStyle = 'rgba(102, 126, 234, 0.5)';
             this.ctx.lineWidth = 1;
             
             this.constellations.forEach(line => {
                 const pos1 = this.raDecToCanvas(line.star1.ra, line.star1.dec);
                 const pos2 = this.raDecToCanvas(line.star2.ra, line.star2.dec);
                 
-                // Only draw if both points are on canvas
-                if (this.isPointVisible(pos1) || this.isPointVisible(pos2)) {
+                // Only draw if either end is on canvas
+                if (this.isSegmentDrawable(pos1, pos2) &&
+                    (this.isPointVisible(pos1) || this.isPointVisible(pos2))) {
                     this.ctx.beginPath();
                     this.ctx.moveTo(pos1.x, pos1.y);
                     this.ctx.lineTo(pos2.x, pos2.y);
@@ -254,84 +1187,482 @@ class StarMap {
             });
         }
         
+        if (this.showConstellationNames) {
+            this.ctx.fillStyle = 'rgba(160, 160, 208, 0.7)';
+            this.ctx.font = '11px sans-serif';
+            this.ctx.textAlign = 'center';
+            
+            constellationCatalog.constellations.forEach(constellation => {
+                const pos = this.raDecToCanvas(constellation.label.ra, constellation.label.dec);
+                if (this.isPointVisible(pos)) {
+                    this.ctx.fillText(constellation.name.toUpperCase(), pos.x, pos.y);
+                }
+            });
+            
+            this.ctx.textAlign = 'left';
+        }
+        
+        // Draw deep-sky objects under the stars
+        if (this.showDeepSky) {
+            this.renderDeepSky();
+        }
+        
         // Draw stars
         this.stars.forEach(star => {
             const pos = this.raDecToCanvas(star.ra, star.dec);
             
             if (!this.isPointVisible(pos)) return;
             
-            // Size based on magnitude (brighter = larger)
+            // Size based on magnitude (brighter = larger), dimmed below the horizon
             const size = Math.max(0.5, (6 - star.mag) * 0.8);
-            const alpha = Math.max(0.3, 1 - (star.mag - 0) / 5);
+            const belowHorizon = this.isBelowHorizon(star.ra, star.dec);
+            const alpha = Math.max(0.3, 1 - (star.mag - 0) / 5) * (belowHorizon ? 0.35 : 1);
             
             this.ctx.save();
             this.ctx.translate(pos.x, pos.y);
             this.ctx.globalAlpha = alpha;
-            this.ctx.fillStyle = `rgba(255, 255, ${255 - Math.max(0, star.mag) * 40}, 1)`;
+            this.ctx.fillStyle = this.bvToColor(star.bv);
             this.ctx.beginPath();
             this.ctx.arc(0, 0, size, 0, Math.PI * 2);
             this.ctx.fill();
             this.ctx.restore();
             
             // Label bright stars
-            if (star.mag < 1.5 && star.name && !star.name.startsWith('Star_')) {
+            if (star.mag < 1.5 && star.name) {
                 this.ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
                 this.ctx.font = '10px sans-serif';
                 this.ctx.fillText(star.name, pos.x + 5, pos.y - 5);
             }
         });
         
-        // Draw plotted objects (from search)
-        this.plottedObjects.forEach(obj => {
+        // Draw the Sun, Moon and planets
+        if (this.showPlanets) {
+            this.renderSolarSystem();
+        }
+        
+        // Shade the ground and draw the horizon in horizon mode
+        if (this.frame) {
+            this.renderHorizon();
+        }
+        
+        const visiblePlotted = this.getVisiblePlottedObjects();
+        
+        // Draw tracks of plotted moving objects (asteroids, comets)
+        visiblePlotted.forEach(obj => {
+            if (obj.track) {
+                this.renderTrack(obj.track);
+            }
+        });
+        
+        // Draw plotted objects (from search), shaped and colored by category
+        visiblePlotted.forEach(obj => {
             const pos = this.raDecToCanvas(obj.ra, obj.dec);
             
             if (!this.isPointVisible(pos)) return;
             
-            // Draw marker
-            this.ctx.fillStyle = '#ff6b6b';
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 2;
+            const style = MARKER_STYLES[obj.category];
+            this.ctx.save();
+            if (this.isBelowHorizon(obj.ra, obj.dec)) {
+                this.ctx.globalAlpha = 0.4;
+            }
             
-            this.ctx.beginPath();
-            this.ctx.arc(pos.x, pos.y, 8, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.stroke();
+            // Draw marker
+            this.drawMarker(style.shape, pos.x, pos.y, 8, style.color);
             
             // Draw crosshair
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1;
             this.ctx.beginPath();
             this.ctx.moveTo(pos.x - 15, pos.y);
+            this.ctx.lineTo(pos.x - 10, pos.y);
+            this.ctx.moveTo(pos.x + 10, pos.y);
             this.ctx.lineTo(pos.x + 15, pos.y);
             this.ctx.moveTo(pos.x, pos.y - 15);
+            this.ctx.lineTo(pos.x, pos.y - 10);
+            this.ctx.moveTo(pos.x, pos.y + 10);
             this.ctx.lineTo(pos.x, pos.y + 15);
             this.ctx.stroke();
             
             // Label
-            this.ctx.fillStyle = '#ff6b6b';
+            this.ctx.fillStyle = style.color;
             this.ctx.font = 'bold 12px sans-serif';
             this.ctx.fillText(obj.name, pos.x + 12, pos.y - 12);
+            this.ctx.restore();
+        });
+        
+        // Highlight the clicked object
+        if (this.selectedObject) {
+            this.renderSelection();
+        }
+        
+        // Key to the marker categories on the map
+        this.renderLegend();
+    }
+    
+    // One plotted-object marker of the given shape ('star', 'circle', 'diamond', 'ellipse', 'ring', 'square')
+    drawMarker(shape, x, y, size, color) {
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        
+        if (shape === 'star') {
+            for (let i = 0; i < 10; i++) {
+                const r = i % 2 === 0 ? size : size * 0.45;
+                const angle = -Math.PI / 2 + i * Math.PI / 5;
+                ctx.lineTo(x + r * Math.cos(angle), y + r * Math.sin(angle));
+            }
+            ctx.closePath();
+        } else if (shape === 'diamond') {
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size);
+            ctx.lineTo(x - size, y);
+            ctx.closePath();
+        } else if (shape === 'ellipse') {
+            ctx.ellipse(x, y, size, size * 0.55, -Math.PI / 6, 0, Math.PI * 2);
+        } else if (shape === 'square') {
+            ctx.rect(x - size * 0.8, y - size * 0.8, size * 1.6, size * 1.6);
+        } else {
+            ctx.arc(x, y, size * (shape === 'ring' ? 0.9 : 0.8), 0, Math.PI * 2);
+        }
+        
+        if (shape === 'ring') {
+            // Hollow circle with a dot: a star with planets around it
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+    
+    // Legend of the marker categories in use (bottom right); entries are clickable toggles
+    renderLegend() {
+        this.legendHitAreas = [];
+        const categories = Object.keys(MARKER_STYLES)
+            .filter(category => this.plottedObjects.some(obj => obj.category === category));
+        if (categories.length === 0) return;
+        
+        const rowHeight = 18;
+        const width = 150;
+        const height = 24 + categories.length * rowHeight;
+        const left = this.canvas.width - width - 10;
+        const top = this.canvas.height - height - 10;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(12, 12, 29, 0.8)';
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        this.ctx.lineWidth = 1;
+        this.ctx.fillRect(left, top, width, height);
+        this.ctx.strokeRect(left, top, width, height);
+        
+        this.ctx.fillStyle = '#a0a0d0';
+        this.ctx.font = '10px sans-serif';
+        this.ctx.fillText('Results (click to toggle)', left + 8, top + 14);
+        
+        categories.forEach((category, i) => {
+            const style = MARKER_STYLES[category];
+            const rowTop = top + 20 + i * rowHeight;
+            const hidden = this.hiddenMarkerCategories.has(category);
+            
+            this.ctx.globalAlpha = hidden ? 0.35 : 1;
+            this.drawMarker(style.shape, left + 16, rowTop + rowHeight / 2, 6, style.color);
+            this.ctx.fillStyle = '#e0e0ff';
+            this.ctx.font = '11px sans-serif';
+            this.ctx.fillText(style.label, left + 30, rowTop + rowHeight / 2 + 4);
+            
+            this.legendHitAreas.push({ category, x: left, y: rowTop, width, height: rowHeight });
+        });
+        this.ctx.restore();
+    }
+    
+    // Canvas outline of a deep-sky object at its true angular size: center, semi-axes in pixels (at
+    // least MIN_DEEP_SKY_SYMBOL) and the on-screen angle of the major axis, or null when not projected.
+    // Axis ends are projected rather than scaled so projection stretch and chart rotation carry over;
+    // objects without a position angle are drawn with the major axis north-south.
+    getDeepSkyOutline(object) {
+        const center = this.raDecToCanvas(object.ra, object.dec);
+        if (!center) return null;
+        
+        const axisEnd = (size, positionAngle) => {
+            if (!size) return null;
+            const end = offsetSkyPosition(object.ra, object.dec, size / 120, positionAngle);
+            const pos = this.raDecToCanvas(end.ra, end.dec);
+            return this.isSegmentDrawable(center, pos) ? pos : null;
+        };
+        const pa = object.pa || 0;
+        const majorEnd = axisEnd(object.major, pa);
+        const minorEnd = axisEnd(object.minor, pa + 90);
+        const semiMajor = majorEnd ? Math.hypot(majorEnd.x - center.x, majorEnd.y - center.y) : 0;
+        const semiMinor = minorEnd ? Math.hypot(minorEnd.x - center.x, minorEnd.y - center.y) : semiMajor;
+        
+        return {
+            x: center.x,
+            y: center.y,
+            semiMajor: Math.max(MIN_DEEP_SKY_SYMBOL, semiMajor),
+            semiMinor: Math.max(MIN_DEEP_SKY_SYMBOL * 0.6, semiMinor),
+            angle: majorEnd ? Math.atan2(majorEnd.y - center.y, majorEnd.x - center.x) : -Math.PI / 2,
+        };
+    }
+    
+    // Standard chart symbols: ellipses for galaxies, circles for clusters (dashed for open clusters,
+    // crossed for globulars) and squares for nebulae
+    renderDeepSky() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1.2;
+        ctx.font = '10px sans-serif';
+        
+        this.deepSkyObjects.forEach(object => {
+            const outline = this.getDeepSkyOutline(object);
+            if (!outline) return;
+            const { x, y, semiMajor, semiMinor, angle } = outline;
+            if (x + semiMajor < 0 || x - semiMajor > this.canvas.width ||
+                y + semiMajor < 0 || y - semiMajor > this.canvas.height) return;
+            
+            const symbol = deepSkyCatalog.getSymbol(object);
+            ctx.globalAlpha = this.isBelowHorizon(object.ra, object.dec) ? 0.3 : 0.8;
+            ctx.strokeStyle = DEEP_SKY_COLORS[symbol];
+            ctx.setLineDash(object.type === 'oc' ? [3, 2] : []);
+            ctx.beginPath();
+            if (symbol === 'galaxy') {
+                ctx.ellipse(x, y, semiMajor, semiMinor, angle, 0, Math.PI * 2);
+            } else if (symbol === 'cluster') {
+                ctx.arc(x, y, semiMajor, 0, Math.PI * 2);
+                if (object.type === 'gc') {
+                    ctx.moveTo(x - semiMajor, y);
+                    ctx.lineTo(x + semiMajor, y);
+                    ctx.moveTo(x, y - semiMajor);
+                    ctx.lineTo(x, y + semiMajor);
+                }
+            } else {
+                ctx.save();
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx.rect(-semiMajor, -semiMinor, semiMajor * 2, semiMinor * 2);
+                ctx.restore();
+            }
+            ctx.stroke();
+            
+            const labelZoom = object.id.startsWith('M ') ? DEEP_SKY_LABEL_ZOOM / 2 : DEEP_SKY_LABEL_ZOOM;
+            if (this.zoom >= labelZoom) {
+                ctx.fillStyle = DEEP_SKY_COLORS[symbol];
+                ctx.fillText(deepSkyCatalog.getDisplayName(object), x + semiMinor * 0.7 + 3, y - semiMinor * 0.7 - 3);
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    // Show only deep-sky objects at or brighter than mag (Infinity shows everything)
+    setDeepSkyMagnitudeLimit(mag) {
+        this.deepSkyMagnitudeLimit = mag;
+        this.deepSkyObjects = deepSkyCatalog.brighterThan(mag);
+        this.deepSkyShown = new Set(this.deepSkyObjects);
+        this.render();
+    }
+    
+    // Ring and name around the selected object
+    renderSelection() {
+        let { ra, dec } = this.selectedObject;
+        
+        // Solar system bodies and plotted asteroids and comets move with the map time, so follow
+        // their current position
+        if (this.selectedObject.kind === 'planet') {
+            const body = this.solarSystem.find(b => b.id === this.selectedObject.data.id);
+            if (body) ({ ra, dec } = body);
+        } else if (this.selectedObject.kind === 'plotted') {
+            ({ ra, dec } = this.selectedObject.data);
+        }
+        
+        const pos = this.raDecToCanvas(ra, dec);
+        if (!this.isPointVisible(pos)) return;
+        
+        this.ctx.strokeStyle = '#ffd166';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, 12, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffd166';
+        this.ctx.font = 'bold 12px sans-serif';
+        this.ctx.fillText(this.selectedObject.name, pos.x + 15, pos.y + 16);
+    }
+    
+    // Sun, Moon and planets at the observer time, drawn with their symbols
+    renderSolarSystem() {
+        this.solarSystem = computeSolarSystem(this.getObserverTime());
+        
+        this.solarSystem.forEach(body => {
+            const pos = this.raDecToCanvas(body.ra, body.dec);
+            if (!this.isPointVisible(pos)) return;
+            
+            const style = SOLAR_SYSTEM_BODIES[body.id];
+            const radius = body.id === 'sun' || body.id === 'moon'
+                ? 7
+                : Math.max(2.5, Math.min(6, 4 - body.magnitude * 0.6));
+            
+            this.ctx.save();
+            if (this.isBelowHorizon(body.ra, body.dec)) {
+                this.ctx.globalAlpha = 0.4;
+            }
+            this.ctx.fillStyle = style.color;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            this.ctx.font = '14px sans-serif';
+            this.ctx.fillText(body.symbol, pos.x + radius + 3, pos.y + 5);
+            this.ctx.font = '11px sans-serif';
+            this.ctx.fillText(body.name, pos.x + radius + 18, pos.y + 4);
+            this.ctx.restore();
+        });
+    }
+    
+    // Dotted path through a track's positions, with date labels every 10 days
+    renderTrack(track) {
+        this.ctx.strokeStyle = 'rgba(255, 107, 107, 0.7)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([2, 4]);
+        this.ctx.beginPath();
+        let previous = null;
+        track.forEach(point => {
+            const pos = this.raDecToCanvas(point.ra, point.dec);
+            if (this.isSegmentDrawable(previous, pos)) {
+                this.ctx.lineTo(pos.x, pos.y);
+            } else if (pos) {
+                this.ctx.moveTo(pos.x, pos.y);
+            }
+            previous = pos;
+        });
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        this.ctx.fillStyle = 'rgba(255, 107, 107, 0.9)';
+        this.ctx.font = '10px sans-serif';
+        track.forEach(point => {
+            const pos = this.raDecToCanvas(point.ra, point.dec);
+            if (!this.isPointVisible(pos)) return;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            if (point.offset !== 0 && point.offset % 10 === 0) {
+                this.ctx.fillText(point.date.toISOString().slice(5, 10), pos.x + 4, pos.y + 12);
+            }
+        });
+    }
+    
+    // Ground shading below altitude 0, the horizon line and cardinal directions
+    renderHorizon() {
+        // Fill the ground as alt-az cells so it works under every projection
+        this.ctx.fillStyle = 'rgba(20, 40, 25, 0.55)';
+        for (let az = 0; az < 360; az += 10) {
+            for (let alt = 0; alt > -90; alt -= 15) {
+                const corners = [
+                    this.horizontalToCanvas(alt, az),
+                    this.horizontalToCanvas(alt, az + 10),
+                    this.horizontalToCanvas(alt - 15, az + 10),
+                    this.horizontalToCanvas(alt - 15, az),
+                ];
+                const drawable = corners.every((pos, i) => this.isSegmentDrawable(pos, corners[(i + 1) % 4]));
+                if (!drawable) continue;
+                
+                this.ctx.beginPath();
+                corners.forEach((pos, i) => (i === 0 ? this.ctx.moveTo(pos.x, pos.y) : this.ctx.lineTo(pos.x, pos.y)));
+                this.ctx.closePath();
+                this.ctx.fill();
+            }
+        }
+        
+        // Horizon line
+        this.ctx.strokeStyle = 'rgba(120, 200, 140, 0.8)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        let previous = null;
+        for (let az = 0; az <= 360; az += 2) {
+            const pos = this.horizontalToCanvas(0, az);
+            if (this.isSegmentDrawable(previous, pos)) {
+                this.ctx.lineTo(pos.x, pos.y);
+            } else if (pos) {
+                this.ctx.moveTo(pos.x, pos.y);
+            }
+            previous = pos;
+        }
+        this.ctx.stroke();
+        
+        // Cardinal directions
+        this.ctx.fillStyle = 'rgba(160, 230, 170, 0.9)';
+        this.ctx.font = 'bold 13px sans-serif';
+        this.ctx.textAlign = 'center';
+        CARDINAL_POINTS.forEach(point => {
+            const pos = this.horizontalToCanvas(-2, point.az);
+            if (this.isPointVisible(pos)) {
+                this.ctx.fillText(point.label, pos.x, pos.y + 12);
+            }
         });
+        this.ctx.textAlign = 'left';
     }
     
     isPointVisible(pos) {
-        return pos.x > -50 && pos.x < this.canvas.width + 50 &&
+        return pos !== null && pos.x > -50 && pos.x < this.canvas.width + 50 &&
                pos.y > -50 && pos.y < this.canvas.height + 50;
     }
     
+    // Both ends projectable and not split across a projection seam (equirectangular, Mollweide)
+    isSegmentDrawable(pos1, pos2) {
+        if (!pos1 || !pos2) return false;
+        return Math.hypot(pos2.x - pos1.x, pos2.y - pos1.y) < this.getScale();
+    }
+    
     resetView() {
+        this.cancelFlight();
         this.zoom = 1;
-        this.panX = 0;
-        this.panY = 0;
+        this.rotation = 0;
+        if (this.isHorizonMode()) {
+            this.setViewCenter(DEFAULT_HORIZON_VIEW.az, DEFAULT_HORIZON_VIEW.alt);
+        } else {
+            this.projection.setCenter(DEFAULT_VIEW.ra, DEFAULT_VIEW.dec);
+        }
         this.render();
     }
     
-    toggleConstellations() {
-        this.showConstellations = !this.showConstellations;
-        const btn = document.getElementById('toggleConstellationsBtn');
+    // Toggle one constellation layer: 'Lines', 'Boundaries' or 'Names'
+    toggleConstellationLayer(layer) {
+        this.toggleLayer(`showConstellation${layer}`, `toggle${layer}Btn`);
+    }
+    
+    // Flip a layer visibility flag and its button state
+    toggleLayer(key, buttonId) {
+        this.setLayer(key, buttonId, !this[key]);
+    }
+    
+    setLayer(key, buttonId, visible) {
+        this[key] = visible;
+        const btn = document.getElementById(buttonId);
         if (btn) {
-            btn.textContent = this.showConstellations ? 'Toggle Constellations' : 'Show Constellations';
+            btn.classList.toggle('active', visible);
         }
         this.render();
     }
+    
+    // Names of the MAP_LAYERS currently shown
+    getVisibleLayers() {
+        return Object.keys(MAP_LAYERS).filter(name => this[MAP_LAYERS[name].key]);
+    }
+    
+    // Show exactly the named MAP_LAYERS; unknown names are ignored
+    setVisibleLayers(names) {
+        Object.entries(MAP_LAYERS).forEach(([name, layer]) => {
+            this.setLayer(layer.key, layer.button, names.includes(name));
+        });
+    }
 }
 
 // Initialize star map when DOM is ready
@@ -339,8 +1670,8 @@ let starMap;
 
 document.addEventListener('DOMContentLoaded', () => {
     starMap = new StarMap('starMapCanvas');
+    
+    // Export for use in app.js
+    window.starMap = starMap;
 });
 
-// Export for use in app.js
-window.starMap = starMap;
-
@@ -0,0 +1,234 @@
+// SVG Context Module
+// A stand-in for a canvas 2D context that records drawing as SVG: the star map draws into it just
+// as it draws on screen (see StarMap.renderTo), and every fill, stroke and label becomes a vector
+// element. Covers the calls the map uses: paths, arcs, ellipses, rectangles, text, line dashes,
+// global alpha, save/restore and translate/rotate/scale. Gradients and images are not supported.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Canvas textAlign values as SVG text-anchor
+const SVG_TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+// Escape text for XML content and attribute values
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Coordinates rounded to hundredths of a pixel keep files small without visible change
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// A CSS color as { color, opacity }; rgba() is split so older SVG readers get an rgb() color
+function splitSvgColor(style) {
+    const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(String(style).trim());
+    if (!match) return { color: style, opacity: 1 };
+    return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: parseFloat(match[4]) };
+}
+
+// A canvas font string ("bold 12px sans-serif") as SVG font attributes
+function parseCanvasFont(font) {
+    const match = /^((?:\S+\s+)*?)(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font.trim());
+    if (!match) return { weight: 'normal', size: 10, family: 'sans-serif' };
+    return { weight: /\bbold\b/.test(match[1]) ? 'bold' : 'normal', size: parseFloat(match[2]), family: match[3] };
+}
+
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+
+        // Drawing state, saved and restored as on a canvas; transform is [a, b, c, d, e, f]
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.stateStack = [];
+
+        // Current path as SVG path commands in output coordinates
+        this.pathCommands = [];
+        this.hasCurrentPoint = false;
+    }
+
+    save() {
+        this.stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            globalAlpha: this.globalAlpha,
+            lineDash: this.lineDash,
+            transform: this.transform,
+        });
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    }
+
+    rotate(angle) {
+        const [a, b, c, d, e, f] = this.transform;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+    }
+
+    scale(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * x, b * x, c * y, d * y, e, f];
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    // Point in output coordinates
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    // Length scale of the transform (the map only rotates, translates and scales uniformly)
+    transformScale() {
+        return Math.hypot(this.transform[0], this.transform[1]);
+    }
+
+    beginPath() {
+        this.pathCommands = [];
+        this.hasCurrentPoint = false;
+    }
+
+    moveTo(x, y) {
+        const p = this.apply(x, y);
+        this.pathCommands.push(`M${svgNumber(p.x)} ${svgNumber(p.y)}`);
+        this.hasCurrentPoint = true;
+    }
+
+    lineTo(x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        const p = this.apply(x, y);
+        this.pathCommands.push(`L${svgNumber(p.x)} ${svgNumber(p.y)}`);
+    }
+
+    closePath() {
+        if (this.hasCurrentPoint) this.pathCommands.push('Z');
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    // Elliptical arc as SVG arc commands, split in halves so no single arc is ambiguous
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const fullTurn = Math.PI * 2;
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        sweep = sweep >= fullTurn ? fullTurn : ((sweep % fullTurn) + fullTurn) % fullTurn;
+        const direction = counterclockwise ? -1 : 1;
+
+        const pointAt = angle => this.apply(
+            x + radiusX * Math.cos(angle) * Math.cos(rotation) - radiusY * Math.sin(angle) * Math.sin(rotation),
+            y + radiusX * Math.cos(angle) * Math.sin(rotation) + radiusY * Math.sin(angle) * Math.cos(rotation)
+        );
+        const start = pointAt(startAngle);
+        this.pathCommands.push(`${this.hasCurrentPoint ? 'L' : 'M'}${svgNumber(start.x)} ${svgNumber(start.y)}`);
+        this.hasCurrentPoint = true;
+        if (sweep === 0) return;
+
+        const scale = this.transformScale();
+        const axisAngle = (rotation + Math.atan2(this.transform[1], this.transform[0])) / DEG;
+        const parts = sweep > Math.PI ? 2 : 1;
+        for (let i = 1; i <= parts; i++) {
+            const end = pointAt(startAngle + direction * sweep * i / parts);
+            this.pathCommands.push(`A${svgNumber(radiusX * scale)} ${svgNumber(radiusY * scale)} ` +
+                `${svgNumber(axisAngle)} 0 ${counterclockwise ? 0 : 1} ${svgNumber(end.x)} ${svgNumber(end.y)}`);
+        }
+    }
+
+    fill() {
+        if (this.pathCommands.length === 0) return;
+        this.elements.push(`<path d="${this.pathCommands.join('')}"${this.paintAttributes('fill', this.fillStyle)}/>`);
+    }
+
+    stroke() {
+        if (this.pathCommands.length === 0) return;
+        this.elements.push(`<path d="${this.pathCommands.join('')}" fill="none"${this.strokeAttributes()}/>`);
+    }
+
+    fillRect(x, y, width, height) {
+        const saved = { pathCommands: this.pathCommands, hasCurrentPoint: this.hasCurrentPoint };
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        Object.assign(this, saved);
+    }
+
+    strokeRect(x, y, width, height) {
+        const saved = { pathCommands: this.pathCommands, hasCurrentPoint: this.hasCurrentPoint };
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        Object.assign(this, saved);
+    }
+
+    fillText(text, x, y) {
+        const p = this.apply(x, y);
+        const font = parseCanvasFont(this.font);
+        const anchor = SVG_TEXT_ANCHORS[this.textAlign] || 'start';
+        this.elements.push(`<text x="${svgNumber(p.x)}" y="${svgNumber(p.y)}" ` +
+            `font-family="${escapeXml(font.family)}" font-size="${svgNumber(font.size * this.transformScale())}"` +
+            `${font.weight === 'bold' ? ' font-weight="bold"' : ''}${anchor === 'start' ? '' : ` text-anchor="${anchor}"`}` +
+            `${this.paintAttributes('fill', this.fillStyle)}>${escapeXml(text)}</text>`);
+    }
+
+    // fill="..." or stroke="..." with its opacity (color alpha times globalAlpha) when not opaque
+    paintAttributes(property, style) {
+        const { color, opacity } = splitSvgColor(style);
+        const alpha = opacity * this.globalAlpha;
+        return ` ${property}="${escapeXml(color)}"${alpha < 1 ? ` ${property}-opacity="${svgNumber(alpha)}"` : ''}`;
+    }
+
+    strokeAttributes() {
+        const scale = this.transformScale();
+        let attributes = `${this.paintAttributes('stroke', this.strokeStyle)} stroke-width="${svgNumber(this.lineWidth * scale)}"`;
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(length => svgNumber(length * scale)).join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    // The drawing as a standalone SVG document
+    toSvg() {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="${SVG_NAMESPACE}" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+}
@@ -0,0 +1,189 @@
+// Time Control Module
+// Sets the time the star map shows and animates it: a date/time picker, steps of a minute, hour,
+// day, sidereal day or year, and playback at a chosen speed. Every time-dependent layer follows
+// (see StarMap.setTime): the Sun, Moon and planets, plotted asteroids and comets, the horizon view
+// and, on an equinox-of-date chart, precessed star positions.
+
+// Step sizes for the step buttons, in milliseconds (years step by calendar year)
+const TIME_STEPS = {
+    minute: { label: 'Minute', ms: 60 * 1000 },
+    hour: { label: 'Hour', ms: 60 * 60 * 1000 },
+    day: { label: 'Day', ms: 24 * 60 * 60 * 1000 },
+    sidereal: { label: 'Sidereal day', ms: 86164091 },
+    year: { label: 'Year', years: 1 },
+};
+const DEFAULT_TIME_STEP = 'hour';
+
+// Playback speeds in simulated seconds per second
+const TIME_PLAY_SPEEDS = [
+    { label: '1 min/s', rate: 60 },
+    { label: '10 min/s', rate: 600 },
+    { label: '1 hour/s', rate: 3600 },
+    { label: '1 day/s', rate: 86400 },
+    { label: '1 week/s', rate: 7 * 86400 },
+    { label: '1 month/s', rate: 30.44 * 86400 },
+    { label: '1 year/s', rate: 365.25 * 86400 },
+    { label: '10 years/s', rate: 3652.5 * 86400 },
+];
+const DEFAULT_PLAY_SPEED = 86400;
+
+// Years the map can be set to (precession holds over millennia), and the span of the planetary
+// theory (see ephemeris.js); planet positions outside it are only approximate
+const MIN_MAP_YEAR = 1000;
+const MAX_MAP_YEAR = 3000;
+const EPHEMERIS_YEARS = { start: 1800, end: 2050 };
+
+// Value for a datetime-local input, which takes local time without a zone
+function toDateTimeLocal(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+class TimeControl {
+    constructor(map) {
+        this.map = map;
+        this.playing = false;
+        this.animationFrame = null;
+        this.lastFrameTime = null;
+    }
+
+    setup() {
+        this.timeInput = document.getElementById('mapTime');
+        this.stepSelect = document.getElementById('timeStepSelect');
+        this.speedSelect = document.getElementById('timeSpeedSelect');
+        this.playBtn = document.getElementById('timePlayBtn');
+        const nowBtn = document.getElementById('timeNowBtn');
+        const backBtn = document.getElementById('timeBackBtn');
+        const forwardBtn = document.getElementById('timeForwardBtn');
+        if (!this.timeInput || !this.stepSelect || !this.speedSelect || !this.playBtn ||
+            !nowBtn || !backBtn || !forwardBtn) return;
+
+        Object.entries(TIME_STEPS).forEach(([key, step]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = step.label;
+            this.stepSelect.appendChild(option);
+        });
+        this.stepSelect.value = DEFAULT_TIME_STEP;
+        TIME_PLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed.rate);
+            option.textContent = speed.label;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.value = String(DEFAULT_PLAY_SPEED);
+
+        this.timeInput.addEventListener('change', () => {
+            const date = new Date(this.timeInput.value);
+            if (this.timeInput.value && !isNaN(date.getTime())) {
+                this.setTime(date);
+            }
+        });
+        nowBtn.addEventListener('click', () => {
+            this.pause();
+            this.map.setTime(null);
+        });
+        backBtn.addEventListener('click', () => this.step(-1));
+        forwardBtn.addEventListener('click', () => this.step(1));
+        this.playBtn.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+
+        const equinoxSelect = document.getElementById('equinoxSelect');
+        if (equinoxSelect) {
+            equinoxSelect.addEventListener('change', () => this.map.setEquinox(equinoxSelect.value));
+        }
+
+        this.map.canvas.addEventListener('timechange', () => this.updateDisplay());
+        this.map.canvas.addEventListener('viewchange', () => {
+            if (equinoxSelect) equinoxSelect.value = this.map.equinox;
+        });
+        this.updateDisplay();
+    }
+
+    // Move the time by one step of the selected size, forward (1) or back (-1)
+    step(direction) {
+        const step = TIME_STEPS[this.stepSelect.value] || TIME_STEPS[DEFAULT_TIME_STEP];
+        const date = new Date(this.map.getObserverTime().getTime());
+        if (step.years) {
+            date.setUTCFullYear(date.getUTCFullYear() + direction * step.years);
+        } else {
+            date.setTime(date.getTime() + direction * step.ms);
+        }
+        this.setTime(date);
+    }
+
+    // Show the map at a time, held within MIN_MAP_YEAR..MAX_MAP_YEAR; playback stops at either end
+    setTime(date) {
+        const year = date.getUTCFullYear();
+        if (year < MIN_MAP_YEAR) {
+            date = new Date(Date.UTC(MIN_MAP_YEAR, 0, 1));
+            this.pause();
+        } else if (year > MAX_MAP_YEAR) {
+            date = new Date(Date.UTC(MAX_MAP_YEAR, 11, 31, 23, 59));
+            this.pause();
+        }
+        this.map.setTime(date);
+    }
+
+    // Run the clock at the selected speed. The URL waits until playback stops, so a run becomes
+    // one history entry rather than one per frame.
+    play() {
+        if (this.playing) return;
+        this.playing = true;
+        this.lastFrameTime = null;
+        holdUrlStateUpdates();
+        this.updatePlayButton();
+
+        const tick = (now) => {
+            if (this.lastFrameTime !== null) {
+                const rate = parseFloat(this.speedSelect.value) || DEFAULT_PLAY_SPEED;
+                const elapsed = (now - this.lastFrameTime) / 1000;
+                this.setTime(new Date(this.map.getObserverTime().getTime() + elapsed * rate * 1000));
+            }
+            this.lastFrameTime = now;
+            if (this.playing) {
+                this.animationFrame = requestAnimationFrame(tick);
+            }
+        };
+        this.animationFrame = requestAnimationFrame(tick);
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        releaseUrlStateUpdates();
+        this.updatePlayButton();
+    }
+
+    updatePlayButton() {
+        this.playBtn.textContent = this.playing ? '❚❚ Pause' : '▶ Play';
+        this.playBtn.classList.toggle('active', this.playing);
+    }
+
+    // Picker and status line for the time shown
+    updateDisplay() {
+        const date = this.map.getObserverTime();
+        if (document.activeElement !== this.timeInput) {
+            this.timeInput.value = toDateTimeLocal(date);
+        }
+
+        const status = document.getElementById('timeStatus');
+        if (!status) return;
+        let text = `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+        if (!this.map.time) text += ' (now)';
+        const year = date.getUTCFullYear();
+        if (year < EPHEMERIS_YEARS.start || year > EPHEMERIS_YEARS.end) {
+            text += ` • planet positions are approximate outside ${EPHEMERIS_YEARS.start}–${EPHEMERIS_YEARS.end}`;
+        }
+        status.textContent = text;
+    }
+}
+
+let timeControl = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.starMap) return;
+    timeControl = new TimeControl(window.starMap);
+    timeControl.setup();
+});
@@ -0,0 +1,77 @@
+// Fill the hr column of the bundled bright star catalog from the Yale Bright Star Catalogue
+// Reads the BSC5 "catalog" file (CDS V/50, plain or gzipped), matches its stars to data/brightStars.js
+// on HD number, and rewrites the hr column of every row: the HR number, or empty for stars the
+// Bright Star Catalogue does not list. Uses only Node's standard library.
+//
+//   node tools/addHrNumbers.js path/to/catalog.gz
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CATALOG_PATH = path.resolve(__dirname, '..', 'data', 'brightStars.js');
+
+// BSC5 fixed-width fields (1-based columns, inclusive): HR in 1-4, HD in 26-31
+const BSC_HR_COLUMNS = [1, 4];
+const BSC_HD_COLUMNS = [26, 31];
+
+function field(line, [start, end]) {
+    return parseInt(line.slice(start - 1, end), 10);
+}
+
+// HD number -> HR number, for every BSC entry that has both
+function readHrByHd(bscPath) {
+    let text = fs.readFileSync(bscPath);
+    if (bscPath.endsWith('.gz')) text = zlib.gunzipSync(text);
+
+    const hrByHd = new Map();
+    text.toString('latin1').split(/\r?\n/).forEach(line => {
+        const hr = field(line, BSC_HR_COLUMNS);
+        const hd = field(line, BSC_HD_COLUMNS);
+        if (!isNaN(hr) && !isNaN(hd)) hrByHd.set(hd, hr);
+    });
+    return hrByHd;
+}
+
+function main() {
+    const bscPath = process.argv[2];
+    if (!bscPath) {
+        console.error('Usage: node tools/addHrNumbers.js path/to/catalog.gz');
+        process.exit(1);
+    }
+    const hrByHd = readHrByHd(bscPath);
+
+    const source = fs.readFileSync(CATALOG_PATH, 'utf8');
+    const start = source.indexOf('`') + 1;
+    const end = source.lastIndexOf('`');
+    const lines = source.slice(start, end).split('\n');
+    const header = lines[0].split(',');
+    const hdIndex = header.indexOf('hd');
+    let hrIndex = header.indexOf('hr');
+    if (hrIndex === -1) {
+        hrIndex = header.length;
+        lines[0] += ',hr';
+    }
+
+    let matched = 0;
+    let stars = 0;
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        stars++;
+        const values = lines[i].split(',');
+        const hr = hrByHd.get(parseInt(values[hdIndex], 10));
+        // hr is the last column, so rows without one simply end before it
+        while (values.length < hrIndex) values.push('');
+        values.length = hrIndex;
+        if (hr !== undefined) {
+            values.push(String(hr));
+            matched++;
+        }
+        lines[i] = values.join(',');
+    }
+
+    fs.writeFileSync(CATALOG_PATH, source.slice(0, start) + lines.join('\n') + source.slice(end));
+    console.log(`HR numbers for ${matched} of ${stars} stars`);
+}
+
+main();
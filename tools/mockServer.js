@@ -0,0 +1,212 @@
+// Local HTTP stand-in for the remote APIs
+// Serves the app and answers SBDB, NeoWs, Exoplanet Archive and Sesame requests from data/mockFixtures.js,
+// so the real providers can run with no network. Uses only Node's standard library.
+//
+//   node tools/mockServer.js [port]
+//   then open http://localhost:8787/?backend=local
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_FIXTURES = require('../data/mockFixtures.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+// SBDB: ?name= (or sstr=) matched against fixture keys, names and designations
+function handleSbdb(url, res) {
+    const query = (url.searchParams.get('name') || url.searchParams.get('sstr') || '').toLowerCase().trim();
+    const match = Object.entries(MOCK_FIXTURES.sbdb).find(([key, data]) =>
+        key === query || data.object.name.toLowerCase() === query || data.object.designation.toLowerCase() === query);
+    if (match) {
+        sendJson(res, 200, match[1]);
+    } else {
+        sendJson(res, 200, { message: 'specified object was not found' });
+    }
+}
+
+// Longest date range the real feed accepts (end_date - start_date, days)
+const NEO_FEED_LIMIT_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// NeoWs feed for start_date..end_date: every fixture once, its close approach moved onto one of the
+// requested days at noon UTC. Longer ranges get the real service's 400.
+function handleNeoFeed(url, res) {
+    const today = new Date().toISOString().split('T')[0];
+    const startDate = url.searchParams.get('start_date') || today;
+    const endDate = url.searchParams.get('end_date') || startDate;
+    const start = Date.parse(`${startDate}T00:00:00Z`);
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    if (isNaN(start) || isNaN(end) || end < start) {
+        sendJson(res, 400, { code: 400, error_message: 'Date Format Exception - Expected format (yyyy-mm-dd)' });
+        return;
+    }
+    if ((end - start) / DAY_MS > NEO_FEED_LIMIT_DAYS) {
+        sendJson(res, 400, { code: 400, error_message: 'Date Format Exception - Expected format (yyyy-mm-dd) - The Feed date limit is only 7 Days' });
+        return;
+    }
+
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    const nearEarthObjects = {};
+    Object.values(MOCK_FIXTURES.neo).forEach((neo, i) => {
+        const time = start + (i % days) * DAY_MS + DAY_MS / 2;
+        const date = new Date(time).toISOString().split('T')[0];
+        const approach = {
+            ...neo.close_approach_data[0],
+            close_approach_date: date,
+            epoch_date_close_approach: time,
+        };
+        (nearEarthObjects[date] = nearEarthObjects[date] || []).push({ ...neo, close_approach_data: [approach] });
+    });
+    sendJson(res, 200, {
+        element_count: Object.keys(MOCK_FIXTURES.neo).length,
+        near_earth_objects: nearEarthObjects,
+    });
+}
+
+// NeoWs lookup by id (/neo/{id}) or the feed (/feed)
+function handleNeo(url, res) {
+    if (url.pathname === '/api/neo/rest/v1/feed') {
+        handleNeoFeed(url, res);
+        return;
+    }
+
+    const id = decodeURIComponent(url.pathname.split('/').pop());
+    const neo = MOCK_FIXTURES.neo[id];
+    if (neo) {
+        sendJson(res, 200, neo);
+    } else {
+        sendJson(res, 404, { error: { code: 404, message: `No NEO with id ${id}` } });
+    }
+}
+
+// Exoplanet TAP: understands the two queries the app sends (see exoplanetProvider in app.js):
+// hosts matching upper(column) LIKE '%TERM%', and every planet with hostname IN ('a', 'b')
+function handleExoplanet(url, res) {
+    const adql = url.searchParams.get('query') || '';
+    const unquote = literal => literal.replace(/''/g, "'");
+    const inList = adql.match(/hostname\s+IN\s*\(((?:\s*'(?:[^']|'')*'\s*,?)*)\)/i);
+
+    if (inList) {
+        const hosts = [...inList[1].matchAll(/'((?:[^']|'')*)'/g)].map(m => unquote(m[1]));
+        sendJson(res, 200, MOCK_FIXTURES.exoplanet.filter(row => hosts.includes(row.hostname)));
+        return;
+    }
+
+    const terms = [...adql.matchAll(/LIKE\s+'%((?:[^']|'')*)%'/gi)].map(m => unquote(m[1]).toUpperCase());
+    const rows = MOCK_FIXTURES.exoplanet.filter(row => terms.length === 0 || terms.some(term =>
+        row.pl_name.toUpperCase().includes(term) || row.hostname.toUpperCase().includes(term)));
+    const hosts = [...new Set(rows.map(row => row.hostname))];
+    sendJson(res, 200, hosts.map(hostname => ({ hostname })));
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+// Sesame record (data/mockFixtures.js) as the -oxpI XML the real resolver returns
+function toSesameXml(name, record) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8" ?>', '<Sesame>', `<Target option="SNV">`, `  <name>${escapeXml(name)}</name>`];
+    if (record) {
+        const optional = (tag, value) => value === null ? [] : [`    <${tag}>${escapeXml(value)}</${tag}>`];
+        lines.push(
+            `  <Resolver name="${escapeXml(record.resolver)}">`,
+            ...optional('otype', record.otype),
+            `    <jradeg>${record.ra}</jradeg>`,
+            `    <jdedeg>${record.dec}</jdedeg>`,
+            ...optional('z', record.redshift),
+            ...optional('MType', record.morphology),
+            ...optional('spType', record.spectralType),
+            ...(record.parallax === null ? [] : [`    <plx><v>${record.parallax}</v></plx>`]),
+            ...(record.vmag === null ? [] : [`    <mag band="V"><v>${record.vmag}</v></mag>`]),
+            `    <oname>${escapeXml(record.mainId)}</oname>`,
+            ...record.aliases.map(alias => `    <alias>${escapeXml(alias)}</alias>`),
+            '  </Resolver>'
+        );
+    } else {
+        lines.push('  <INFO>*** Nothing found ***</INFO>');
+    }
+    lines.push('</Target>', '</Sesame>');
+    return lines.join('\n');
+}
+
+// Sesame: /api/sesame?{name}, matched against every identifier with catalog padding ignored
+function handleSesame(url, res) {
+    const name = decodeURIComponent(url.search.slice(1)).trim();
+    const compact = text => text.toLowerCase().replace(/^(name|\*|\*\*|v\*) /, '').replace(/\s+/g, '');
+    const record = Object.values(MOCK_FIXTURES.sesame).find(candidate =>
+        candidate.aliases.concat(candidate.mainId).some(alias => compact(alias) === compact(name)));
+    res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+    res.end(toSesameXml(name, record));
+}
+
+// Static files from the repository root, never outside it
+function handleStatic(url, res) {
+    const relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.resolve(ROOT, `.${relative}`);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+function route(url, res) {
+    if (url.pathname === '/api/sbdb.api') {
+        handleSbdb(url, res);
+    } else if (url.pathname.startsWith('/api/neo/rest/v1/')) {
+        handleNeo(url, res);
+    } else if (url.pathname === '/api/TAP/sync') {
+        handleExoplanet(url, res);
+    } else if (url.pathname === '/api/sesame') {
+        handleSesame(url, res);
+    } else {
+        handleStatic(url, res);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method !== 'GET') {
+        res.writeHead(405);
+        res.end('Method not allowed');
+        return;
+    }
+    try {
+        route(url, res);
+    } catch (error) {
+        // decodeURIComponent throws on a malformed escape ("%E0%A4%A"); that is the request's fault
+        if (!(error instanceof URIError)) throw error;
+        res.writeHead(400);
+        res.end('Bad request');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock API server on http://localhost:${PORT}/?backend=local`);
+});
@@ -0,0 +1,280 @@
+// URL State Module
+// Keeps the page state in the URL so links can be shared and reloads lose nothing: the search,
+// map center, field of view, rotation, projection, layers, observer, time and plotted objects. Each search
+// or view change becomes a history entry once it settles, and Back/Forward restore them.
+//
+// Parameters:
+//   q          search query (rerun when the link is opened)
+//   ra, dec    map center (hours, degrees), or az, alt (degrees) in the horizon view
+//   fov        field of view across the shorter side of the map (degrees)
+//   rot        chart rotation (degrees clockwise, omitted when 0)
+//   proj       projection (see PROJECTIONS)
+//   layers     visible MAP_LAYERS, comma separated ('none' for none)
+//   dsomag     faintest deep-sky objects shown ('all' for no limit)
+//   cone       coordinate search radius (degrees)
+//   lat, lon   observer location (degrees)
+//   view       'horizon' for the observer's alt-az view
+//   time       time the sky is shown for (ISO; omitted for "now")
+//   equinox    'date' for a chart precessed to the equinox of date (omitted for J2000)
+//   obj        plotted object, repeated: "ra,dec,type,name", or "ra,dec,type,@ref,name" for an
+//              object that moves, where ref is body:<id> for the Sun, Moon or a planet and
+//              sbdb:<designation> for a comet or asteroid, whose orbit is looked up again
+
+// Quiet time after the last view change before it is recorded (ms), so a pan or a fly-to
+// becomes one history entry rather than one per frame
+const URL_STATE_SETTLE_DELAY = 700;
+
+// Parameters read by other modules (see loadProviderConfig) and passed through unchanged
+const PRESERVED_URL_PARAMS = ['providers', 'backend'];
+
+let urlStateTimer = null;
+// While a search runs or a link is restored (holds > 0), changes wait so each becomes one entry.
+// The state a restore settles into replaces the current entry instead of adding one.
+let urlStateHolds = 0;
+let urlStateReplaceNext = true;
+
+// Current page state as URL parameters
+function encodeAppState() {
+    const current = new URLSearchParams(window.location.search);
+    const params = new URLSearchParams();
+    PRESERVED_URL_PARAMS.forEach(name => {
+        if (current.has(name)) params.set(name, current.get(name));
+    });
+
+    if (lastSearchQuery) params.set('q', lastSearchQuery);
+
+    const map = window.starMap;
+    if (!map) return params;
+    const projection = map.projection;
+    if (map.isHorizonMode()) {
+        params.set('az', normalizeDegrees(360 - projection.centerRa * 15).toFixed(3));
+        params.set('alt', projection.centerDec.toFixed(3));
+    } else {
+        // The center is recorded in J2000 whatever the chart equinox
+        map.prepareFrame();
+        const center = map.fromViewCoordinates(projection.centerRa, projection.centerDec);
+        params.set('ra', center.ra.toFixed(5));
+        params.set('dec', center.dec.toFixed(4));
+    }
+    params.set('fov', map.getFieldOfView().toPrecision(5));
+    const rotation = normalizeDegrees(map.rotation / DEG);
+    if (rotation.toFixed(1) !== '0.0' && rotation.toFixed(1) !== '360.0') {
+        params.set('rot', rotation.toFixed(1));
+    }
+    params.set('proj', projection.type);
+    params.set('layers', map.getVisibleLayers().join(',') || 'none');
+    params.set('dsomag', map.deepSkyMagnitudeLimit === Infinity ? 'all' : String(map.deepSkyMagnitudeLimit));
+
+    const coneRadius = getConeSearchRadius();
+    if (coneRadius !== DEFAULT_CONE_SEARCH_RADIUS) params.set('cone', String(coneRadius));
+
+    if (map.observer) {
+        params.set('lat', map.observer.latitude.toFixed(4));
+        params.set('lon', map.observer.longitude.toFixed(4));
+        if (map.viewMode === 'horizon') params.set('view', 'horizon');
+    }
+    if (map.time) params.set('time', map.time.toISOString());
+    if (map.equinox === 'date') params.set('equinox', 'date');
+
+    map.plottedObjects.forEach(obj => {
+        const ref = obj.bodyId ? `body:${obj.bodyId}` : obj.orbitId && !obj.orbitId.includes(',') ? `sbdb:${obj.orbitId}` : null;
+        params.append('obj', `${obj.ra.toFixed(5)},${obj.dec.toFixed(4)},${obj.type},${ref ? `@${ref},` : ''}${obj.name}`);
+    });
+    return params;
+}
+
+// Number parameter, or null when missing or not a number
+function numberParam(params, name) {
+    if (!params.has(name)) return null;
+    const value = parseFloat(params.get(name));
+    return isNaN(value) ? null : value;
+}
+
+// Restore the page from URL parameters and rerun the search. Missing parameters leave that part
+// of the page as it is.
+async function applyAppState(params) {
+    const map = window.starMap;
+    holdUrlStateUpdates();
+    try {
+        if (map) {
+            map.cancelFlight();
+            applyMapState(map, params);
+        }
+
+        const radiusSelect = document.getElementById('coneRadiusSelect');
+        if (radiusSelect) {
+            radiusSelect.value = String(numberParam(params, 'cone') ?? DEFAULT_CONE_SEARCH_RADIUS);
+        }
+
+        const query = params.get('q') || '';
+        if (query && query !== lastSearchQuery) {
+            document.getElementById('searchInput').value = query;
+            await performSearch({ keepView: true });
+        } else if (!query && lastSearchQuery) {
+            lastSearchQuery = '';
+            document.getElementById('searchInput').value = '';
+            hideError();
+            clearResults();
+        }
+    } finally {
+        urlStateReplaceNext = true;
+        releaseUrlStateUpdates();
+    }
+}
+
+function applyMapState(map, params) {
+    const projection = params.get('proj');
+    if (projection && PROJECTIONS[projection] && projection !== map.projection.type) {
+        map.setProjection(projection);
+    }
+
+    const time = params.has('time') ? new Date(params.get('time')) : null;
+    const date = time && !isNaN(time.getTime()) ? time : null;
+    if ((map.time ? map.time.getTime() : null) !== (date ? date.getTime() : null)) {
+        map.setTime(date);
+    }
+    const equinox = params.get('equinox') === 'date' ? 'date' : 'J2000';
+    if (equinox !== map.equinox) {
+        map.setEquinox(equinox);
+    }
+
+    const latitude = numberParam(params, 'lat');
+    const longitude = numberParam(params, 'lon');
+    if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+        const current = map.observer;
+        if (!current || current.latitude !== latitude || current.longitude !== longitude) {
+            map.setObserver(latitude, longitude);
+        }
+        fillObserverInputs(latitude, longitude);
+    }
+
+    const mode = params.get('view') === 'horizon' && map.observer ? 'horizon' : 'equatorial';
+    if (mode !== map.viewMode) {
+        map.setViewMode(mode);
+    }
+
+    if (params.has('layers')) {
+        const layers = params.get('layers').split(',');
+        if (layers.join(',') !== map.getVisibleLayers().join(',')) {
+            map.setVisibleLayers(layers);
+        }
+    }
+    if (params.has('dsomag')) {
+        const value = params.get('dsomag');
+        const limit = value === 'all' ? Infinity : parseFloat(value);
+        if (!isNaN(limit) && limit !== map.deepSkyMagnitudeLimit) {
+            map.setDeepSkyMagnitudeLimit(limit);
+            const select = document.getElementById('deepSkyMagSelect');
+            if (select) select.value = value;
+        }
+    }
+
+    // Plotted objects are only replaced when they differ, so restoring a view keeps orbit tracks
+    const plotted = params.getAll('obj')
+        .map(value => value.match(/^([^,]*),([^,]*),([^,]*),(?:@(body|sbdb):([^,]*),)?(.*)$/))
+        .filter(match => match && !isNaN(parseFloat(match[1])) && !isNaN(parseFloat(match[2])))
+        .map(match => ({
+            ra: parseFloat(match[1]),
+            dec: parseFloat(match[2]),
+            type: match[3],
+            bodyId: match[4] === 'body' && SOLAR_SYSTEM_BODIES[match[5]] ? match[5] : null,
+            orbitId: match[4] === 'sbdb' && match[5] ? match[5] : null,
+            name: match[6],
+        }));
+    const plottedNames = plotted.map(obj => obj.name).join('\n');
+    if (plottedNames !== map.plottedObjects.map(obj => obj.name).join('\n')) {
+        map.clearPlottedObjects();
+        plotted.forEach(obj => {
+            map.plotObject(obj.name, obj.ra, obj.dec, obj.type, { bodyId: obj.bodyId, orbitId: obj.orbitId, fly: false });
+            if (obj.orbitId) restorePlottedOrbit(map, obj.name, obj.orbitId);
+        });
+        map.updateMovingObjects();
+    }
+
+    const rotation = numberParam(params, 'rot');
+    map.rotation = (rotation || 0) * DEG;
+    if (mode === 'horizon') {
+        const az = numberParam(params, 'az');
+        const alt = numberParam(params, 'alt');
+        if (az !== null && alt !== null) map.setViewCenter(az, alt);
+    } else {
+        const ra = numberParam(params, 'ra');
+        const dec = numberParam(params, 'dec');
+        if (ra !== null && dec !== null) {
+            map.prepareFrame();
+            const view = map.toViewCoordinates(ra, dec);
+            map.projection.setCenter(view.ra, view.dec);
+        }
+    }
+    const fov = numberParam(params, 'fov');
+    if (fov !== null && fov > 0) {
+        map.setFieldOfView(fov);
+    } else {
+        map.render();
+    }
+}
+
+// Orbit of a plotted comet or asteroid from a link, looked up again by its SBDB designation (from
+// the response cache when it is there, else the bundled notable objects), so the marker moves
+// with the time and gets its track back. Until then it stays where the link put it.
+async function restorePlottedOrbit(map, name, orbitId) {
+    const results = providerRegistry.isEnabled('sbdb') ? await providerRegistry.searchProvider(sbdbProvider, orbitId) : [];
+    const result = results.find(candidate => candidate.orbitalElements) || findLocalObject(orbitId);
+    if (result && result.orbitalElements) {
+        map.setPlottedOrbit(name, result.orbitalElements);
+    }
+}
+
+function fillObserverInputs(latitude, longitude) {
+    const latInput = document.getElementById('observerLat');
+    const lonInput = document.getElementById('observerLon');
+    if (latInput) latInput.value = latitude.toFixed(4);
+    if (lonInput) lonInput.value = longitude.toFixed(4);
+}
+
+function holdUrlStateUpdates() {
+    urlStateHolds++;
+}
+
+function releaseUrlStateUpdates() {
+    urlStateHolds = Math.max(0, urlStateHolds - 1);
+    scheduleUrlStateUpdate();
+}
+
+// Record the page state once changes stop for URL_STATE_SETTLE_DELAY
+function scheduleUrlStateUpdate() {
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(commitUrlState, URL_STATE_SETTLE_DELAY);
+}
+
+// Add a history entry for the current state if it differs from the URL (or replace the entry
+// right after a restore, which may have settled slightly differently)
+function commitUrlState() {
+    if (urlStateHolds > 0) return;
+    const query = encodeAppState().toString();
+    const search = query ? `?${query}` : '';
+    const replace = urlStateReplaceNext;
+    urlStateReplaceNext = false;
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('starMapCanvas');
+    if (canvas) {
+        canvas.addEventListener('viewchange', scheduleUrlStateUpdate);
+    }
+    const radiusSelect = document.getElementById('coneRadiusSelect');
+    if (radiusSelect) {
+        radiusSelect.addEventListener('change', scheduleUrlStateUpdate);
+    }
+    window.addEventListener('popstate', () => applyAppState(new URLSearchParams(window.location.search)));
+
+    applyAppState(new URLSearchParams(window.location.search));
+});